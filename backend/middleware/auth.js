@@ -1,100 +1,101 @@
 // backend/middleware/auth.js
+// Authentication, permission and audit middleware. Built around the server's pg pool,
+// PermissionService and AuditTrail so the routers and server.js share one pool, one
+// authenticateToken, one permission cache and one audit chain.
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
+const { redactUrl } = require('../services/auditTrail');
 
-// Database connection - adapt to your existing setup
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL
-});
-
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const userResult = await pool.query(`
-      SELECT id, email, role, status, first_name, last_name
-      FROM users 
-      WHERE id = $1 AND status = 'active'
-    `, [decoded.userId]);
-
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found or inactive' });
-    }
+const createAuthMiddleware = (pool, permissionService, auditTrail) => {
+  // Only active users get through: suspending a user locks them out on their next request
+  const authenticateToken = async (req, res, next) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
 
-    req.user = userResult.rows[0];
-    next();
-  } catch (error) {
-    return res.status(403).json({ error: 'Invalid token' });
-  }
-};
+      if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+      }
 
-const requirePermission = (permission) => {
-  return async (req, res, next) => {
-    try {
-      const rolePermissions = {
-        admin: [
-          'user.create', 'user.read', 'user.update', 'user.delete', 'user.invite',
-          'business_entity.read', 'business_entity.create', 'business_entity.update', 'business_entity.delete',
-          'audit.read'
-        ],
-        validator: ['user.read', 'business_entity.read'],
-        viewer: ['user.read', 'business_entity.read']
-      };
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const userResult = await pool.query(
+        'SELECT id, email, first_name, last_name, role, status, company_id FROM users WHERE id = $1 AND status = $2',
+        [decoded.userId, 'active']
+      );
 
-      const hasPermission = rolePermissions[req.user.role]?.includes(permission);
-      
-      if (!hasPermission) {
-        return res.status(403).json({ error: 'Insufficient permissions' });
+      if (userResult.rows.length === 0) {
+        return res.status(403).json({ error: 'User not found or inactive' });
       }
 
+      req.user = userResult.rows[0];
       next();
     } catch (error) {
-      return res.status(500).json({ error: 'Permission check failed' });
+      console.error('Auth error:', error.message);
+      return res.status(403).json({ error: 'Invalid or expired token' });
     }
   };
-};
 
-const auditLog = (action, resourceType) => {
-  return async (req, res, next) => {
-    const originalSend = res.send;
-    
-    res.send = function(data) {
-      setImmediate(async () => {
-        try {
-          await pool.query(`
-            INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details, ip_address, user_agent)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
-          `, [
-            req.user?.id,
-            action,
-            resourceType,
-            req.params.id || null,
-            JSON.stringify({
-              method: req.method,
-              url: req.originalUrl,
-              body: req.body,
-              query: req.query
-            }),
-            req.ip,
-            req.get('User-Agent')
-          ]);
-        } catch (error) {
-          console.error('Audit logging error:', error);
+  // Role permissions come from role_permissions, cached by PermissionService
+  const requirePermission = (permission) => {
+    return async (req, res, next) => {
+      try {
+        if (!(await permissionService.hasPermission(req.user?.role, permission, req.user?.company_id))) {
+          return res.status(403).json({ error: 'Insufficient permissions' });
         }
-      });
-      
-      originalSend.call(this, data);
+        next();
+      } catch (error) {
+        console.error('Permission check error:', error);
+        res.status(500).json({ error: 'Failed to check permissions' });
+      }
     };
-    
-    next();
   };
+
+  // Record the request once its response is sent. Handlers can set res.locals.audit to
+  // { resourceId, details, userId, companyId } when those are only known inside the handler
+  // (a new document's id, the fields an edit changed, who is logging in).
+  const auditLog = (action, resourceType, { includeBody = true } = {}) => {
+    return (req, res, next) => {
+      const originalSend = res.send;
+      let recorded = false;
+
+      res.send = function(data) {
+        // res.send(object) re-enters send() through res.json()
+        if (!recorded) {
+          recorded = true;
+          const audit = res.locals.audit || {};
+
+          setImmediate(async () => {
+            try {
+              await auditTrail.record({
+                userId: audit.userId || req.user?.id || null,
+                companyId: audit.companyId || req.user?.company_id || null,
+                action,
+                resourceType,
+                resourceId: audit.resourceId || req.params.id || req.params.documentId || null,
+                details: {
+                  method: req.method,
+                  url: redactUrl(req.originalUrl),
+                  statusCode: res.statusCode,
+                  ...(includeBody ? { body: req.body } : {}),
+                  query: req.query,
+                  ...(audit.details || {})
+                },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+              });
+            } catch (error) {
+              console.error('Audit logging error:', error);
+            }
+          });
+        }
+
+        return originalSend.call(this, data);
+      };
+
+      next();
+    };
+  };
+
+  return { authenticateToken, requirePermission, auditLog };
 };
 
-module.exports = { authenticateToken, requirePermission, auditLog };
\ No newline at end of file
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,96 @@
+// backend/routes/auditLogs.js
+// Search, export and verify the company's audit trail, mounted at /api/audit-logs behind
+// authenticateToken.
+const express = require('express');
+const Joi = require('joi');
+const { formatCsv } = require('../utils/csv');
+
+// Validation schemas
+const auditQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  search: Joi.string().trim().max(255).allow(''),
+  action: Joi.string().trim().max(100).allow(''),
+  resourceType: Joi.string().trim().max(50).allow(''),
+  resourceId: Joi.string().trim().max(64).allow(''),
+  userId: Joi.number().integer().positive(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+const CSV_HEADER = ['Time', 'User', 'Action', 'Resource Type', 'Resource ID', 'Status', 'IP Address', 'Details', 'Row Hash'];
+
+const createAuditLogsRouter = ({ auditTrail, requirePermission }) => {
+  const router = express.Router();
+
+  router.get('/', requirePermission('audit.read'), async (req, res) => {
+    try {
+      const { error, value } = auditQuerySchema.validate(req.query);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      res.json(await auditTrail.list(req.user.company_id, value));
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({ error: 'Failed to retrieve audit logs' });
+    }
+  });
+
+  // Actions and resource types present in the log, for the filter dropdowns
+  router.get('/facets', requirePermission('audit.read'), async (req, res) => {
+    try {
+      res.json(await auditTrail.listActions(req.user.company_id));
+    } catch (error) {
+      console.error('Get audit log facets error:', error);
+      res.status(500).json({ error: 'Failed to retrieve audit log filters' });
+    }
+  });
+
+  router.get('/export', requirePermission('audit.read'), async (req, res) => {
+    try {
+      const { error, value } = auditQuerySchema.validate(req.query);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const entries = await auditTrail.exportEntries(req.user.company_id, value);
+      const csv = formatCsv([
+        CSV_HEADER,
+        ...entries.map(entry => [
+          entry.createdAt,
+          entry.user?.email || '',
+          entry.action,
+          entry.resourceType,
+          entry.resourceId || '',
+          entry.details.statusCode || '',
+          entry.ipAddress || '',
+          JSON.stringify(entry.details),
+          entry.rowHash || ''
+        ])
+      ]);
+
+      console.log(`📜 ${entries.length} audit log entries exported by user ${req.user.id}`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.send(csv);
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      res.status(500).json({ error: 'Failed to export audit logs' });
+    }
+  });
+
+  // Recompute the hash chain; reports the first row that no longer matches
+  router.get('/verify', requirePermission('audit.read'), async (req, res) => {
+    try {
+      const result = await auditTrail.verify(req.user.company_id);
+      if (!result.valid) {
+        console.warn(`⚠️ Audit trail of company ${req.user.company_id} broken at ${result.brokenAt}: ${result.reason}`);
+      }
+      res.json({ ...result, verifiedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Verify audit logs error:', error);
+      res.status(500).json({ error: 'Failed to verify audit logs' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuditLogsRouter;
@@ -1,40 +1,23 @@
 // backend/routes/auth.js
+// Login, invitations and session endpoints, mounted at /api/auth. Self-service sign-up
+// (/api/register, /api/verify-email) stays in server.js with the company onboarding it creates.
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { Pool } = require('pg');
-const { sendInvitationEmail, sendWelcomeEmail } = require('../services/emailService');
-const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
-
-const router = express.Router();
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME,
-  user: process.env.DB_USER,
-  password: String(process.env.DB_PASSWORD), // Ensure it's a string
-});
 
 // Validation schemas
 const loginSchema = Joi.object({
-  email: Joi.string().email().required(),
+  email: Joi.string().email({ tlds: { allow: false } }).required(),
   password: Joi.string().required()
 });
 
-const registerSchema = Joi.object({
-  email: Joi.string().email().required(),
-  password: Joi.string().min(8).required(),
-  firstName: Joi.string().min(2).max(100).required(),
-  lastName: Joi.string().min(2).max(100).required()
-});
-
 const inviteSchema = Joi.object({
-  email: Joi.string().email().required(),
+  email: Joi.string().email({ tlds: { allow: false } }).required(),
   firstName: Joi.string().min(2).max(100).required(),
   lastName: Joi.string().min(2).max(100).required(),
-  role: Joi.string().valid('admin', 'validator', 'viewer').required()
+  role: Joi.string().trim().max(50).required()
 });
 
 const acceptInvitationSchema = Joi.object({
@@ -42,283 +25,270 @@ const acceptInvitationSchema = Joi.object({
   password: Joi.string().min(8).required()
 });
 
-// Login
-router.post('/login', async (req, res) => {
-  try {
-    console.log('Login attempt - req.body:', req.body); // Debug log
-    
-    if (!req.body) {
-      return res.status(400).json({ error: 'No request body received' });
-    }
-
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
-    // Find user
-    const userResult = await pool.query(
-      'SELECT id, email, password, password_hash, first_name, last_name, role, status FROM users WHERE email = $1',
-      [email]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    const user = userResult.rows[0];
-    
-    // Check password (try both password and password_hash columns)
-    const passwordToCheck = user.password || user.password_hash;
-    const isValidPassword = await bcrypt.compare(password, passwordToCheck);
-    
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+const signToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, companyId: user.company_id, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: '24h' }
+);
 
-    // Check if user is active
-    if (user.status !== 'active') {
-      return res.status(401).json({ error: 'Account is not active. Please verify your email.' });
-    }
+const createAuthRouter = ({ pool, authenticateToken, requirePermission, auditLog, sendEmail, permissionService }) => {
+  const router = express.Router();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+  const sendInvitation = async (email, firstName, role, invitationToken, inviter) => {
+    const invitationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${invitationToken}`;
+    await sendEmail(
+      email,
+      'You have been invited',
+      `Hi ${firstName}! ${inviter.first_name} ${inviter.last_name} invited you to join as ${role}. Accept within 7 days: ${invitationUrl}`
     );
+    return invitationUrl;
+  };
 
-    // Update last login
-    await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
-
-    console.log('Login successful for:', email); // Debug log
-
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        status: user.status
+  // Login
+  router.post('/login', auditLog('login', 'user'), async (req, res) => {
+    try {
+      const { error, value } = loginSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: 'Email and password are required' });
+
+      const result = await pool.query(`
+        SELECT u.id, u.email, u.password, u.password_hash, u.is_email_verified, u.first_name,
+               u.last_name, u.company_id, u.role, u.status, c.subscription_type
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE u.email = $1
+      `, [value.email]);
+
+      const user = result.rows[0];
+      if (user) {
+        res.locals.audit = { resourceId: user.id, userId: user.id, companyId: user.company_id };
+      }
+      // Invited users have no password until they accept; deleted users cannot log in at all
+      const passwordHash = user && (user.password_hash || user.password);
+      if (!passwordHash || user.status === 'deleted' || !(await bcrypt.compare(value.password, passwordHash))) {
+        return res.status(401).json({ error: 'Invalid credentials' });
       }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
-  }
-});
 
-// Register (if you want to keep existing registration functionality)
-router.post('/register', auditLog('register', 'user'), async (req, res) => {
-  try {
-    const { error } = registerSchema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+      if (user.status === 'suspended') {
+        return res.status(403).json({ error: 'Your account has been suspended. Contact your administrator.' });
+      }
 
-    const { email, password, firstName, lastName } = req.body;
+      if (!user.is_email_verified) {
+        return res.status(401).json({
+          error: 'Please verify your email address before logging in',
+          requiresVerification: true
+        });
+      }
 
-    // Check if user already exists
-    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (existingUser.rows.length > 0) {
-      return res.status(400).json({ error: 'User with this email already exists' });
+      await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+
+      console.log(`🔐 User logged in: ${user.email}`);
+
+      res.json({
+        token: signToken(user),
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.first_name,
+          lastName: user.last_name,
+          companyId: user.company_id,
+          role: user.role,
+          permissions: await permissionService.getPermissions(user.role, user.company_id),
+          status: user.status,
+          subscriptionType: user.subscription_type
+        }
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Login failed. Please try again.' });
     }
-
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const userResult = await pool.query(`
-      INSERT INTO users (email, password, first_name, last_name, role, status)
-      VALUES ($1, $2, $3, $4, 'viewer', 'active')
-      RETURNING id, email, first_name, last_name, role
-    `, [email, hashedPassword, firstName, lastName]);
-
-    const user = userResult.rows[0];
-
-    // Send welcome email
-    await sendWelcomeEmail(email, firstName);
-
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.status(201).json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role
+  });
+
+  // Invite a user into the inviter's company (admin only)
+  router.post('/invite',
+    authenticateToken,
+    requirePermission('user.invite'),
+    auditLog('invite_user', 'user'),
+    async (req, res) => {
+      try {
+        const { error, value } = inviteSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const { email, firstName, lastName, role } = value;
+
+        if (!(await permissionService.roleExists(role, req.user.company_id))) {
+          return res.status(400).json({ error: `Unknown role: ${role}` });
+        }
+
+        const existingUser = await pool.query('SELECT id, status FROM users WHERE email = $1', [email]);
+        if (existingUser.rows.length > 0) {
+          return res.status(409).json({ error: 'User with this email already exists' });
+        }
+
+        const invitationToken = uuidv4();
+        const invitationExpires = new Date(Date.now() + INVITATION_TTL_MS);
+
+        const userResult = await pool.query(`
+          INSERT INTO users (
+            email, first_name, last_name, role, status, company_id,
+            invitation_token, invitation_expires_at, invited_by, is_email_verified
+          ) VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8, false)
+          RETURNING id
+        `, [email, firstName, lastName, role, req.user.company_id, invitationToken, invitationExpires, req.user.id]);
+
+        const invitationUrl = await sendInvitation(email, firstName, role, invitationToken, req.user);
+
+        console.log(`✉️  User invited: ${email} (${role}) by user ${req.user.id}`);
+
+        res.status(201).json({
+          message: 'Invitation sent successfully',
+          userId: userResult.rows[0].id,
+          invitationUrl,
+          expiresAt: invitationExpires.toISOString()
+        });
+      } catch (error) {
+        console.error('Invitation error:', error);
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'User with this email already exists' });
+        }
+        res.status(500).json({ error: 'Failed to send invitation' });
       }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+    }
+  );
+
+  // Send a pending user a fresh invitation link; the old one stops working
+  router.post('/invite/:id/resend',
+    authenticateToken,
+    requirePermission('user.invite'),
+    auditLog('resend_invitation', 'user'),
+    async (req, res) => {
+      try {
+        const invitationToken = uuidv4();
+        const invitationExpires = new Date(Date.now() + INVITATION_TTL_MS);
+
+        const result = await pool.query(`
+          UPDATE users
+          SET invitation_token = $3, invitation_expires_at = $4, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND company_id = $2 AND status = 'pending'
+          RETURNING email, first_name, role
+        `, [Number(req.params.id) || 0, req.user.company_id, invitationToken, invitationExpires]);
+
+        if (result.rows.length === 0) {
+          return res.status(404).json({ error: 'No pending invitation for this user' });
+        }
+
+        const { email, first_name: firstName, role } = result.rows[0];
+        const invitationUrl = await sendInvitation(email, firstName, role, invitationToken, req.user);
+
+        res.json({ message: 'Invitation resent', invitationUrl, expiresAt: invitationExpires.toISOString() });
+      } catch (error) {
+        console.error('Resend invitation error:', error);
+        res.status(500).json({ error: 'Failed to resend invitation' });
+      }
+    }
+  );
 
-// Invite user (admin only)
-router.post('/invite', 
-  authenticateToken, 
-  requirePermission('user.invite'),
-  auditLog('invite_user', 'user'),
-  async (req, res) => {
+  // Accept an invitation: set a password and activate the account
+  router.post('/accept-invitation', auditLog('accept_invitation', 'user'), async (req, res) => {
     try {
-      const { error } = inviteSchema.validate(req.body);
+      const { error, value } = acceptInvitationSchema.validate(req.body);
       if (error) return res.status(400).json({ error: error.details[0].message });
 
-      const { email, firstName, lastName, role } = req.body;
+      const userResult = await pool.query(`
+        SELECT id, email, first_name, last_name, role, company_id, invitation_expires_at
+        FROM users
+        WHERE invitation_token = $1 AND status = 'pending'
+      `, [value.token]);
 
-      // Check if user already exists
-      const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-      if (existingUser.rows.length > 0) {
-        return res.status(400).json({ error: 'User with this email already exists' });
+      if (userResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid or expired invitation' });
       }
 
-      const invitationToken = uuidv4();
-      const invitationExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+      const user = userResult.rows[0];
 
-      // Create user with pending status
-      const userResult = await pool.query(`
-        INSERT INTO users (email, first_name, last_name, role, status, invitation_token, invitation_expires_at)
-        VALUES ($1, $2, $3, $4, 'pending', $5, $6)
-        RETURNING id
-      `, [email, firstName, lastName, role, invitationToken, invitationExpires]);
-
-      // Send invitation email
-      const inviterResult = await pool.query(
-        'SELECT first_name, last_name FROM users WHERE id = $1',
-        [req.user.id]
-      );
-      const inviterName = `${inviterResult.rows[0].first_name} ${inviterResult.rows[0].last_name}`;
-
-      const emailResult = await sendInvitationEmail(email, invitationToken, inviterName);
-      
-      if (!emailResult.success) {
-        // Rollback user creation if email fails
-        await pool.query('DELETE FROM users WHERE id = $1', [userResult.rows[0].id]);
-        return res.status(500).json({ error: 'Failed to send invitation email' });
+      if (new Date() > new Date(user.invitation_expires_at)) {
+        return res.status(400).json({ error: 'Invitation has expired' });
       }
 
-      res.json({ message: 'Invitation sent successfully', userId: userResult.rows[0].id });
+      const passwordHash = await bcrypt.hash(value.password, 12);
+
+      // The invitation link went to their inbox, so the address counts as verified
+      await pool.query(`
+        UPDATE users
+        SET password = $1, password_hash = $1, status = 'active', is_email_verified = true,
+            invitation_token = NULL, invitation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [passwordHash, user.id]);
+
+      console.log(`✅ Invitation accepted: ${user.email}`);
+
+      res.json({
+        token: signToken(user),
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.first_name,
+          lastName: user.last_name,
+          companyId: user.company_id,
+          role: user.role,
+          permissions: await permissionService.getPermissions(user.role, user.company_id),
+          status: 'active'
+        }
+      });
     } catch (error) {
-      console.error('Invitation error:', error);
-      res.status(500).json({ error: 'Failed to send invitation' });
+      console.error('Accept invitation error:', error);
+      res.status(500).json({ error: 'Failed to accept invitation' });
     }
-  }
-);
-
-// Accept invitation
-router.post('/accept-invitation', auditLog('accept_invitation', 'user'), async (req, res) => {
-  try {
-    const { error } = acceptInvitationSchema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+  });
 
-    const { token, password } = req.body;
-
-    const userResult = await pool.query(`
-      SELECT id, email, first_name, last_name, role, invitation_expires_at 
-      FROM users 
-      WHERE invitation_token = $1 AND status = 'pending'
-    `, [token]);
-
-    if (userResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid or expired invitation' });
-    }
+  // Logout: JWTs are dropped by the client, this only records the event
+  router.post('/logout', authenticateToken, auditLog('logout', 'user'), (req, res) => {
+    res.json({ message: 'Logged out successfully' });
+  });
 
-    const user = userResult.rows[0];
-    
-    if (new Date() > new Date(user.invitation_expires_at)) {
-      return res.status(400).json({ error: 'Invitation has expired' });
+  // Check whether a token is still valid
+  router.get('/verify', authenticateToken, async (req, res) => {
+    try {
+      res.json({
+        valid: true,
+        user: {
+          id: req.user.id,
+          email: req.user.email,
+          firstName: req.user.first_name,
+          lastName: req.user.last_name,
+          companyId: req.user.company_id,
+          role: req.user.role,
+          permissions: await permissionService.getPermissions(req.user.role, req.user.company_id)
+        }
+      });
+    } catch (error) {
+      console.error('Verify token error:', error);
+      res.status(500).json({ error: 'Failed to verify token' });
     }
+  });
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    await pool.query(`
-      UPDATE users 
-      SET password = $1, status = 'active', invitation_token = NULL, invitation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `, [hashedPassword, user.id]);
-
-    // Send welcome email
-    await sendWelcomeEmail(user.email, user.first_name);
-
-    const jwtToken = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.json({
-      token: jwtToken,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role
-      }
-    });
-  } catch (error) {
-    console.error('Accept invitation error:', error);
-    res.status(500).json({ error: 'Failed to accept invitation' });
-  }
-});
-
-// Logout (optional - mainly clears any server-side sessions if you have them)
-router.post('/logout', authenticateToken, auditLog('logout', 'user'), async (req, res) => {
-  try {
-    // In a JWT-based system, logout is mainly handled on the client side
-    // But you can add any server-side cleanup here if needed
-    
-    res.json({ message: 'Logged out successfully' });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ error: 'Logout failed' });
-  }
-});
+  // Current user
+  router.get('/me', authenticateToken, async (req, res) => {
+    try {
+      const userResult = await pool.query(`
+        SELECT id, email, first_name, last_name, role, status, company_id, created_at, last_login
+        FROM users
+        WHERE id = $1
+      `, [req.user.id]);
 
-// Verify token (useful for checking if a token is still valid)
-router.get('/verify', authenticateToken, async (req, res) => {
-  try {
-    // If we reach here, the token is valid (middleware passed)
-    res.json({
-      valid: true,
-      user: {
-        id: req.user.id,
-        email: req.user.email,
-        firstName: req.user.first_name,
-        lastName: req.user.last_name,
-        role: req.user.role
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
       }
-    });
-  } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(500).json({ error: 'Token verification failed' });
-  }
-});
 
-// Get current user info
-router.get('/me', authenticateToken, async (req, res) => {
-  try {
-    const userResult = await pool.query(`
-      SELECT id, email, first_name, last_name, role, status, created_at, last_login
-      FROM users 
-      WHERE id = $1
-    `, [req.user.id]);
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      res.json(userResult.rows[0]);
+    } catch (error) {
+      console.error('Get current user error:', error);
+      res.status(500).json({ error: 'Failed to get user information' });
     }
+  });
 
-    res.json(userResult.rows[0]);
-  } catch (error) {
-    console.error('Get current user error:', error);
-    res.status(500).json({ error: 'Failed to get user information' });
-  }
-});
+  return router;
+};
 
-module.exports = router;
\ No newline at end of file
+module.exports = createAuthRouter;
@@ -0,0 +1,122 @@
+// backend/routes/businessEntities.js
+// Business entities of the caller's company and the users assigned to review them,
+// mounted at /api/business-entities behind authenticateToken.
+const express = require('express');
+const Joi = require('joi');
+const { BusinessEntityError } = require('../services/businessEntityRepository');
+
+// Validation schemas
+const entitySchema = Joi.object({
+  code: Joi.string().trim().min(1).max(50).required(),
+  name: Joi.string().trim().min(1).max(255).required(),
+  aliases: Joi.array().items(Joi.string().trim().max(255)).default([]),
+  address: Joi.string().trim().max(1000).allow(null, ''),
+  defaultCurrency: Joi.string().trim().length(3).uppercase().allow(null, ''),
+  taxId: Joi.string().trim().max(50).allow(null, ''),
+  defaultTaxRate: Joi.number().min(0).max(100).allow(null),
+  isActive: Joi.boolean().default(true)
+});
+
+const assignUsersSchema = Joi.object({
+  userIds: Joi.array().items(Joi.number().integer().positive()).unique().required()
+});
+
+const sendEntityError = (res, error, fallbackMessage) => {
+  if (error instanceof BusinessEntityError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+const createBusinessEntitiesRouter = ({ businessEntityRepository, requirePermission, auditLog }) => {
+  const router = express.Router();
+
+  router.get('/', requirePermission('business_entity.read'), async (req, res) => {
+    try {
+      const entities = await businessEntityRepository.list(req.user.company_id, {
+        includeInactive: req.query.includeInactive !== 'false'
+      });
+      res.json({ entities });
+    } catch (error) {
+      sendEntityError(res, error, 'Failed to retrieve business entities');
+    }
+  });
+
+  router.get('/:id', requirePermission('business_entity.read'), async (req, res) => {
+    try {
+      const entity = await businessEntityRepository.findById(req.params.id, req.user.company_id);
+      if (!entity) {
+        return res.status(404).json({ error: 'Business entity not found' });
+      }
+      res.json(entity);
+    } catch (error) {
+      sendEntityError(res, error, 'Failed to retrieve business entity');
+    }
+  });
+
+  router.post('/', requirePermission('business_entity.create'), auditLog('create_business_entity', 'business_entity'), async (req, res) => {
+    try {
+      const { error, value } = entitySchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const entity = await businessEntityRepository.create(value, req.user.company_id);
+      console.log(`🏛️ Business entity ${entity.code} created by user ${req.user.id}`);
+      res.status(201).json(entity);
+    } catch (error) {
+      sendEntityError(res, error, 'Failed to create business entity');
+    }
+  });
+
+  router.put('/:id', requirePermission('business_entity.update'), auditLog('update_business_entity', 'business_entity'), async (req, res) => {
+    try {
+      const { error, value } = entitySchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const entity = await businessEntityRepository.update(req.params.id, req.user.company_id, value);
+      if (!entity) {
+        return res.status(404).json({ error: 'Business entity not found' });
+      }
+      res.json(entity);
+    } catch (error) {
+      sendEntityError(res, error, 'Failed to update business entity');
+    }
+  });
+
+  // Documents of a deleted entity stay, without an entity
+  router.delete('/:id', requirePermission('business_entity.delete'), auditLog('delete_business_entity', 'business_entity'), async (req, res) => {
+    try {
+      const deleted = await businessEntityRepository.delete(req.params.id, req.user.company_id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Business entity not found' });
+      }
+      console.log(`🏛️ Business entity ${req.params.id} deleted by user ${req.user.id}`);
+      res.json({ message: 'Business entity deleted successfully' });
+    } catch (error) {
+      sendEntityError(res, error, 'Failed to delete business entity');
+    }
+  });
+
+  // Replace the users assigned to the entity
+  router.put('/:id/users', requirePermission('business_entity.update'), auditLog('assign_business_entity_users', 'business_entity'), async (req, res) => {
+    try {
+      const { error, value } = assignUsersSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const entity = await businessEntityRepository.findById(req.params.id, req.user.company_id);
+      if (!entity) {
+        return res.status(404).json({ error: 'Business entity not found' });
+      }
+
+      const updated = await businessEntityRepository.setUsers(entity.id, req.user.company_id, value.userIds, req.user.id);
+      console.log(`🏛️ Business entity ${entity.code} assigned to ${value.userIds.length} user(s) by user ${req.user.id}`);
+      res.json(updated);
+    } catch (error) {
+      sendEntityError(res, error, 'Failed to assign users');
+    }
+  });
+
+  return router;
+};
+
+module.exports = createBusinessEntitiesRouter;
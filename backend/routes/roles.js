@@ -0,0 +1,88 @@
+// backend/routes/roles.js
+// Roles and the permission catalogue, mounted at /api/roles behind authenticateToken.
+// Built-in roles are read-only; custom roles belong to the caller's company.
+const express = require('express');
+const Joi = require('joi');
+const { RoleError } = require('../services/permissionService');
+
+// Validation schemas
+const createRoleSchema = Joi.object({
+  name: Joi.string().trim().lowercase().min(2).max(50).required(),
+  description: Joi.string().trim().max(500).allow('', null),
+  permissions: Joi.array().items(Joi.string().max(100)).unique().default([])
+});
+
+const updateRoleSchema = Joi.object({
+  description: Joi.string().trim().max(500).allow('', null),
+  permissions: Joi.array().items(Joi.string().max(100)).unique()
+}).min(1);
+
+const sendRoleError = (res, error, fallbackMessage) => {
+  if (error instanceof RoleError) {
+    return res.status(error.statusCode).json({ error: error.message, ...(error.details || {}) });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+const createRolesRouter = ({ permissionService, requirePermission, auditLog }) => {
+  const router = express.Router();
+
+  // Every permission a role can be given
+  router.get('/permissions', requirePermission('role.manage'), async (req, res) => {
+    try {
+      res.json({ permissions: await permissionService.listPermissions() });
+    } catch (error) {
+      sendRoleError(res, error, 'Failed to retrieve permissions');
+    }
+  });
+
+  // Anyone who can see users can see the roles they may hold
+  router.get('/', requirePermission('user.read'), async (req, res) => {
+    try {
+      res.json({ roles: await permissionService.listRoles(req.user.company_id) });
+    } catch (error) {
+      sendRoleError(res, error, 'Failed to retrieve roles');
+    }
+  });
+
+  router.post('/', requirePermission('role.manage'), auditLog('create_role', 'role'), async (req, res) => {
+    try {
+      const { error, value } = createRoleSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const role = await permissionService.createRole(req.user.company_id, value, req.user.id);
+      console.log(`🛡️ Role "${role.name}" created by user ${req.user.id}`);
+      res.status(201).json(role);
+    } catch (error) {
+      sendRoleError(res, error, 'Failed to create role');
+    }
+  });
+
+  router.put('/:id', requirePermission('role.manage'), auditLog('update_role', 'role'), async (req, res) => {
+    try {
+      const { error, value } = updateRoleSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const role = await permissionService.updateRole(req.params.id, req.user.company_id, value);
+      console.log(`🛡️ Role "${role.name}" updated by user ${req.user.id}`);
+      res.json(role);
+    } catch (error) {
+      sendRoleError(res, error, 'Failed to update role');
+    }
+  });
+
+  router.delete('/:id', requirePermission('role.manage'), auditLog('delete_role', 'role'), async (req, res) => {
+    try {
+      await permissionService.deleteRole(req.params.id, req.user.company_id);
+      console.log(`🛡️ Role "${req.params.id}" deleted by user ${req.user.id}`);
+      res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+      sendRoleError(res, error, 'Failed to delete role');
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRolesRouter;
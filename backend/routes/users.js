@@ -1,13 +1,10 @@
 // backend/routes/users.js
+// User management and the current user's profile, mounted at /api/users behind authenticateToken.
+// Everything is scoped to the caller's company.
 const express = require('express');
 const bcrypt = require('bcrypt');
-const { Pool } = require('pg');
-const { requirePermission, auditLog } = require('../middleware/auth');
 const Joi = require('joi');
 
-const router = express.Router();
-const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-
 // Validation schemas
 const updateProfileSchema = Joi.object({
   firstName: Joi.string().min(2).max(100).optional(),
@@ -23,430 +20,403 @@ const updateProfileSchema = Joi.object({
 const updateUserSchema = Joi.object({
   firstName: Joi.string().min(2).max(100).optional(),
   lastName: Joi.string().min(2).max(100).optional(),
-  role: Joi.string().valid('admin', 'validator', 'viewer').optional(),
+  role: Joi.string().trim().max(50).optional(),
   status: Joi.string().valid('active', 'suspended').optional()
 });
 
-// Get current user profile
-router.get('/profile', async (req, res) => {
-  try {
-    const userResult = await pool.query(`
-      SELECT 
-        u.id, 
-        u.email, 
-        u.first_name, 
-        u.last_name, 
-        u.role, 
-        u.status, 
-        u.created_at, 
-        u.last_login,
-        array_agg(
-          json_build_object(
-            'id', be.id, 
-            'name', be.name, 
-            'code', be.code
-          )
-        ) FILTER (WHERE be.id IS NOT NULL) as business_entities
-      FROM users u
-      LEFT JOIN user_business_entities ube ON u.id = ube.user_id
-      LEFT JOIN business_entities be ON ube.business_entity_id = be.id
-      WHERE u.id = $1
-      GROUP BY u.id
-    `, [req.user.id]);
-
-    const user = userResult.rows[0];
-    res.json({
-      ...user,
-      business_entities: user.business_entities || []
-    });
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ error: 'Failed to get profile' });
-  }
+const listUsersSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  search: Joi.string().allow('').default(''),
+  role: Joi.string().max(50).allow(''),
+  status: Joi.string().valid('pending', 'active', 'suspended', 'deleted').allow('')
 });
 
-// Get all users (with pagination and search)
-router.get('/', requirePermission('user.read'), auditLog('list_users', 'user'), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    const search = req.query.search || '';
-    const role = req.query.role || '';
-    const status = req.query.status || '';
-
-    let query = `
-      SELECT 
-        u.id, 
-        u.email, 
-        u.first_name, 
-        u.last_name, 
-        u.role, 
-        u.status, 
-        u.created_at, 
-        u.last_login,
-        array_agg(
-          json_build_object(
-            'id', be.id, 
-            'name', be.name, 
-            'code', be.code
-          )
-        ) FILTER (WHERE be.id IS NOT NULL) as business_entities
-      FROM users u
-      LEFT JOIN user_business_entities ube ON u.id = ube.user_id
-      LEFT JOIN business_entities be ON ube.business_entity_id = be.id
-    `;
-
-    const params = [];
-    const conditions = [];
-    let paramIndex = 1;
-
-    if (search) {
-      conditions.push(`(u.first_name ILIKE $${paramIndex} OR u.last_name ILIKE $${paramIndex} OR u.email ILIKE $${paramIndex})`);
-      params.push(`%${search}%`);
-      paramIndex++;
-    }
-
-    if (role) {
-      conditions.push(`u.role = $${paramIndex}`);
-      params.push(role);
-      paramIndex++;
-    }
+const USER_SELECT = `
+  SELECT
+    u.id,
+    u.email,
+    u.first_name,
+    u.last_name,
+    u.role,
+    u.status,
+    u.created_at,
+    u.last_login,
+    u.invitation_expires_at,
+    array_agg(
+      json_build_object(
+        'id', be.id,
+        'name', be.name,
+        'code', be.code
+      )
+    ) FILTER (WHERE be.id IS NOT NULL) as business_entities
+  FROM users u
+  LEFT JOIN user_business_entities ube ON u.id = ube.user_id
+  LEFT JOIN business_entities be ON ube.business_entity_id = be.id
+`;
+
+const mapUser = (user) => ({
+  ...user,
+  business_entities: user.business_entities || []
+});
 
-    if (status) {
-      conditions.push(`u.status = $${paramIndex}`);
-      params.push(status);
-      paramIndex++;
+// Route ids are strings, user ids are integers
+const parseUserId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const createUsersRouter = ({ pool, requirePermission, auditLog, documentRepository, permissionService }) => {
+  const router = express.Router();
+
+  // Find a user of the caller's company, or send a 404
+  const findCompanyUser = async (req, res) => {
+    const userId = parseUserId(req.params.id);
+    const result = userId
+      ? await pool.query('SELECT id, status, role FROM users WHERE id = $1 AND company_id = $2', [userId, req.user.company_id])
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: 'User not found' });
+      return null;
     }
+    return result.rows[0];
+  };
+
+  // Admins cannot lock the company out by removing its last active admin
+  const isLastAdmin = async (user, companyId) => {
+    if (user.role !== 'admin' || user.status !== 'active') return false;
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM users WHERE company_id = $1 AND role = 'admin' AND status = 'active'`,
+      [companyId]
+    );
+    return result.rows[0].count <= 1;
+  };
+
+  // Current user's profile, company and onboarding progress
+  router.get('/profile', async (req, res) => {
+    try {
+      const userResult = await pool.query(`
+        SELECT u.*, c.name as company_name, c.subscription_type
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE u.id = $1
+      `, [req.user.id]);
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
 
-    if (conditions.length > 0) {
-      query += ` WHERE ${conditions.join(' AND ')}`;
+      const user = userResult.rows[0];
+
+      const documentCounts = await documentRepository.countByStatus(req.user.id);
+      const completedDocuments = documentCounts.completed || 0;
+
+      res.json({
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role,
+        permissions: await permissionService.getPermissions(user.role, user.company_id),
+        status: user.status,
+        company: {
+          id: user.company_id,
+          name: user.company_name,
+          subscriptionType: user.subscription_type
+        },
+        onboarding: {
+          completed: user.onboarding_completed || completedDocuments > 0,
+          completedAt: user.onboarding_completed_at,
+          documentsProcessed: Math.max(user.documents_processed || 0, completedDocuments)
+        },
+        stats: {
+          totalDocuments: documentCounts.total,
+          completedDocuments: completedDocuments
+        },
+        createdAt: user.created_at,
+        lastLogin: user.last_login
+      });
+    } catch (error) {
+      console.error('Profile fetch error:', error);
+      res.status(500).json({ error: 'Failed to get profile' });
     }
+  });
 
-    query += ` GROUP BY u.id ORDER BY u.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(limit, offset);
-
-    const usersResult = await pool.query(query, params);
-    
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM users u';
-    let countParams = [];
-    let countParamIndex = 1;
+  // Update own profile and password
+  router.put('/profile', auditLog('update_profile', 'user'), async (req, res) => {
+    try {
+      const { error, value } = updateProfileSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
 
-    if (conditions.length > 0) {
-      const countConditions = [];
-      if (search) {
-        countConditions.push(`(u.first_name ILIKE $${countParamIndex} OR u.last_name ILIKE $${countParamIndex} OR u.email ILIKE $${countParamIndex})`);
-        countParams.push(`%${search}%`);
-        countParamIndex++;
-      }
+      const { firstName, lastName, currentPassword, newPassword } = value;
 
-      if (role) {
-        countConditions.push(`u.role = $${countParamIndex}`);
-        countParams.push(role);
-        countParamIndex++;
-      }
+      const updateFields = [];
+      const updateParams = [];
 
-      if (status) {
-        countConditions.push(`u.status = $${countParamIndex}`);
-        countParams.push(status);
-        countParamIndex++;
+      if (firstName) {
+        updateParams.push(firstName);
+        updateFields.push(`first_name = $${updateParams.length}`);
       }
 
-      if (countConditions.length > 0) {
-        countQuery += ` WHERE ${countConditions.join(' AND ')}`;
-      }
-    }
-    
-    const countResult = await pool.query(countQuery, countParams);
-    const totalCount = parseInt(countResult.rows[0].count);
-
-    res.json({
-      users: usersResult.rows.map(user => ({
-        ...user,
-        business_entities: user.business_entities || []
-      })),
-      pagination: {
-        page,
-        limit,
-        total: totalCount,
-        pages: Math.ceil(totalCount / limit)
+      if (lastName) {
+        updateParams.push(lastName);
+        updateFields.push(`last_name = $${updateParams.length}`);
       }
-    });
-  } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ error: 'Failed to get users' });
-  }
-});
-
-// Get user by ID
-router.get('/:id', requirePermission('user.read'), auditLog('view_user', 'user'), async (req, res) => {
-  try {
-    const userId = req.params.id;
-
-    const userResult = await pool.query(`
-      SELECT 
-        u.id, 
-        u.email, 
-        u.first_name, 
-        u.last_name, 
-        u.role, 
-        u.status, 
-        u.created_at, 
-        u.last_login,
-        array_agg(
-          json_build_object(
-            'id', be.id, 
-            'name', be.name, 
-            'code', be.code
-          )
-        ) FILTER (WHERE be.id IS NOT NULL) as business_entities
-      FROM users u
-      LEFT JOIN user_business_entities ube ON u.id = ube.user_id
-      LEFT JOIN business_entities be ON ube.business_entity_id = be.id
-      WHERE u.id = $1
-      GROUP BY u.id
-    `, [userId]);
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
 
-    const user = userResult.rows[0];
-    res.json({
-      ...user,
-      business_entities: user.business_entities || []
-    });
-  } catch (error) {
-    console.error('Get user by ID error:', error);
-    res.status(500).json({ error: 'Failed to get user' });
-  }
-});
+      if (newPassword) {
+        const userResult = await pool.query('SELECT password, password_hash FROM users WHERE id = $1', [req.user.id]);
+        const { password, password_hash: passwordHash } = userResult.rows[0];
+        const isValidPassword = await bcrypt.compare(currentPassword, passwordHash || password || '');
 
-// Update user profile (self)
-router.put('/profile', auditLog('update_profile', 'user'), async (req, res) => {
-  try {
-    const { error } = updateProfileSchema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+        if (!isValidPassword) {
+          return res.status(400).json({ error: 'Current password is incorrect' });
+        }
 
-    const { firstName, lastName, currentPassword, newPassword } = req.body;
-
-    let updateFields = [];
-    let updateParams = [];
-    let paramIndex = 1;
-
-    if (firstName) {
-      updateFields.push(`first_name = $${paramIndex}`);
-      updateParams.push(firstName);
-      paramIndex++;
-    }
-
-    if (lastName) {
-      updateFields.push(`last_name = $${paramIndex}`);
-      updateParams.push(lastName);
-      paramIndex++;
-    }
+        updateParams.push(await bcrypt.hash(newPassword, 12));
+        updateFields.push(`password = $${updateParams.length}`, `password_hash = $${updateParams.length}`);
+      }
 
-    if (newPassword) {
-      // Verify current password
-      const userResult = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
-      const isValidPassword = await bcrypt.compare(currentPassword, userResult.rows[0].password);
-      
-      if (!isValidPassword) {
-        return res.status(400).json({ error: 'Current password is incorrect' });
+      if (updateFields.length > 0) {
+        updateParams.push(req.user.id);
+        await pool.query(
+          `UPDATE users SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${updateParams.length}`,
+          updateParams
+        );
       }
 
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-      updateFields.push(`password = $${paramIndex}`);
-      updateParams.push(hashedPassword);
-      paramIndex++;
+      res.json({ message: 'Profile updated successfully' });
+    } catch (error) {
+      console.error('Update profile error:', error);
+      res.status(500).json({ error: 'Failed to update profile' });
     }
-
-    if (updateFields.length > 0) {
-      updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-      updateParams.push(req.user.id);
-
-      const updateQuery = `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${paramIndex}`;
-      await pool.query(updateQuery, updateParams);
+  });
+
+  // User statistics for the company
+  router.get('/stats/overview', requirePermission('user.read'), async (req, res) => {
+    try {
+      const stats = await pool.query(`
+        SELECT
+          COUNT(*)::int as total_users,
+          COUNT(*) FILTER (WHERE status = 'active')::int as active_users,
+          COUNT(*) FILTER (WHERE status = 'pending')::int as pending_users,
+          COUNT(*) FILTER (WHERE status = 'suspended')::int as suspended_users,
+          COUNT(*) FILTER (WHERE role = 'admin')::int as admin_users,
+          COUNT(*) FILTER (WHERE role = 'validator')::int as validator_users,
+          COUNT(*) FILTER (WHERE role = 'viewer')::int as viewer_users,
+          COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '30 days')::int as users_last_30_days,
+          COUNT(*) FILTER (WHERE last_login >= CURRENT_DATE - INTERVAL '30 days')::int as active_last_30_days
+        FROM users
+        WHERE company_id = $1 AND status != 'deleted'
+      `, [req.user.company_id]);
+
+      res.json(stats.rows[0]);
+    } catch (error) {
+      console.error('Get user stats error:', error);
+      res.status(500).json({ error: 'Failed to get user statistics' });
     }
+  });
 
-    res.json({ message: 'Profile updated successfully' });
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
-  }
-});
+  // List users (with pagination and search); deleted users only when asked for by status
+  router.get('/', requirePermission('user.read'), async (req, res) => {
+    try {
+      const { error, value } = listUsersSchema.validate(req.query);
+      if (error) return res.status(400).json({ error: error.details[0].message });
 
-// Update user (admin only)
-router.put('/:id', requirePermission('user.update'), auditLog('update_user', 'user'), async (req, res) => {
-  try {
-    const { error } = updateUserSchema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+      const { page, limit, search, role, status } = value;
+      const params = [req.user.company_id];
+      const conditions = ['u.company_id = $1'];
 
-    const { firstName, lastName, role, status } = req.body;
-    const userId = req.params.id;
-
-    // Check if user exists
-    const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
-    if (userExists.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Prevent self-demotion from admin
-    if (userId === req.user.id && role && role !== 'admin' && req.user.role === 'admin') {
-      return res.status(400).json({ error: 'Cannot change your own admin role' });
-    }
-
-    // Build update query
-    let updateFields = [];
-    let updateParams = [];
-    let paramIndex = 1;
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(u.first_name ILIKE $${params.length} OR u.last_name ILIKE $${params.length} OR u.email ILIKE $${params.length})`);
+      }
 
-    if (firstName) {
-      updateFields.push(`first_name = $${paramIndex}`);
-      updateParams.push(firstName);
-      paramIndex++;
-    }
+      if (role) {
+        params.push(role);
+        conditions.push(`u.role = $${params.length}`);
+      }
 
-    if (lastName) {
-      updateFields.push(`last_name = $${paramIndex}`);
-      updateParams.push(lastName);
-      paramIndex++;
-    }
+      if (status) {
+        params.push(status);
+        conditions.push(`u.status = $${params.length}`);
+      } else {
+        conditions.push(`u.status != 'deleted'`);
+      }
 
-    if (role) {
-      updateFields.push(`role = $${paramIndex}`);
-      updateParams.push(role);
-      paramIndex++;
+      const where = `WHERE ${conditions.join(' AND ')}`;
+      const countResult = await pool.query(`SELECT COUNT(*)::int AS count FROM users u ${where}`, params);
+      const usersResult = await pool.query(`
+        ${USER_SELECT}
+        ${where}
+        GROUP BY u.id
+        ORDER BY u.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, (page - 1) * limit]);
+
+      const total = countResult.rows[0].count;
+      res.json({
+        users: usersResult.rows.map(mapUser),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get users error:', error);
+      res.status(500).json({ error: 'Failed to get users' });
     }
+  });
+
+  // Get user by ID
+  router.get('/:id', requirePermission('user.read'), async (req, res) => {
+    try {
+      const userId = parseUserId(req.params.id);
+      const userResult = userId
+        ? await pool.query(`${USER_SELECT} WHERE u.id = $1 AND u.company_id = $2 GROUP BY u.id`, [userId, req.user.company_id])
+        : { rows: [] };
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
 
-    if (status) {
-      updateFields.push(`status = $${paramIndex}`);
-      updateParams.push(status);
-      paramIndex++;
+      res.json(mapUser(userResult.rows[0]));
+    } catch (error) {
+      console.error('Get user by ID error:', error);
+      res.status(500).json({ error: 'Failed to get user' });
     }
+  });
 
-    if (updateFields.length > 0) {
-      updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-      updateParams.push(userId);
-
-      const updateQuery = `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${paramIndex}`;
-      await pool.query(updateQuery, updateParams);
-    }
+  // Update user (admin only)
+  router.put('/:id', requirePermission('user.update'), auditLog('update_user', 'user'), async (req, res) => {
+    try {
+      const { error, value } = updateUserSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
 
-    res.json({ message: 'User updated successfully' });
-  } catch (error) {
-    console.error('Update user error:', error);
-    res.status(500).json({ error: 'Failed to update user' });
-  }
-});
+      const user = await findCompanyUser(req, res);
+      if (!user) return;
 
-// Delete user (soft delete)
-router.delete('/:id', requirePermission('user.delete'), auditLog('delete_user', 'user'), async (req, res) => {
-  try {
-    const userId = req.params.id;
+      const { firstName, lastName, role, status } = value;
+      const isSelf = user.id === req.user.id;
 
-    // Check if user exists and is not already deleted
-    const userResult = await pool.query('SELECT id, status FROM users WHERE id = $1', [userId]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+      if (isSelf && role && role !== user.role) {
+        return res.status(400).json({ error: 'Cannot change your own role' });
+      }
+      if (role && !(await permissionService.roleExists(role, req.user.company_id))) {
+        return res.status(400).json({ error: `Unknown role: ${role}` });
+      }
+      if (isSelf && status === 'suspended') {
+        return res.status(400).json({ error: 'Cannot suspend your own account' });
+      }
+      if (((role && role !== 'admin') || status === 'suspended') && await isLastAdmin(user, req.user.company_id)) {
+        return res.status(400).json({ error: 'The company needs at least one active administrator' });
+      }
+      // Pending users become active by accepting their invitation, not by an edit
+      if (status && user.status === 'pending' && status !== 'pending') {
+        return res.status(400).json({ error: 'Invited users become active when they accept their invitation' });
+      }
 
-    if (userResult.rows[0].status === 'deleted') {
-      return res.status(400).json({ error: 'User is already deleted' });
-    }
+      const updateFields = [];
+      const updateParams = [];
+      [['first_name', firstName], ['last_name', lastName], ['role', role], ['status', status]].forEach(([column, fieldValue]) => {
+        if (fieldValue) {
+          updateParams.push(fieldValue);
+          updateFields.push(`${column} = $${updateParams.length}`);
+        }
+      });
+
+      if (updateFields.length > 0) {
+        updateParams.push(user.id);
+        await pool.query(
+          `UPDATE users SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${updateParams.length}`,
+          updateParams
+        );
+      }
 
-    // Prevent self-deletion
-    if (userId === req.user.id) {
-      return res.status(400).json({ error: 'Cannot delete your own account' });
+      res.json({ message: 'User updated successfully' });
+    } catch (error) {
+      console.error('Update user error:', error);
+      res.status(500).json({ error: 'Failed to update user' });
     }
+  });
 
-    // Soft delete user
-    await pool.query('UPDATE users SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', ['deleted', userId]);
+  // Delete user (soft delete)
+  router.delete('/:id', requirePermission('user.delete'), auditLog('delete_user', 'user'), async (req, res) => {
+    try {
+      const user = await findCompanyUser(req, res);
+      if (!user) return;
 
-    res.json({ message: 'User deleted successfully' });
-  } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({ error: 'Failed to delete user' });
-  }
-});
+      if (user.status === 'deleted') {
+        return res.status(400).json({ error: 'User is already deleted' });
+      }
+      if (user.id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot delete your own account' });
+      }
+      if (await isLastAdmin(user, req.user.company_id)) {
+        return res.status(400).json({ error: 'The company needs at least one active administrator' });
+      }
 
-// Get user statistics (admin only)
-router.get('/stats/overview', requirePermission('user.read'), auditLog('view_user_stats', 'user'), async (req, res) => {
-  try {
-    const stats = await pool.query(`
-      SELECT 
-        COUNT(*) as total_users,
-        COUNT(*) FILTER (WHERE status = 'active') as active_users,
-        COUNT(*) FILTER (WHERE status = 'pending') as pending_users,
-        COUNT(*) FILTER (WHERE status = 'suspended') as suspended_users,
-        COUNT(*) FILTER (WHERE role = 'admin') as admin_users,
-        COUNT(*) FILTER (WHERE role = 'validator') as validator_users,
-        COUNT(*) FILTER (WHERE role = 'viewer') as viewer_users,
-        COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '30 days') as users_last_30_days,
-        COUNT(*) FILTER (WHERE last_login >= CURRENT_DATE - INTERVAL '30 days') as active_last_30_days
-      FROM users
-      WHERE status != 'deleted'
-    `);
-
-    res.json(stats.rows[0]);
-  } catch (error) {
-    console.error('Get user stats error:', error);
-    res.status(500).json({ error: 'Failed to get user statistics' });
-  }
-});
+      // A deleted invitee's link must stop working too
+      await pool.query(`
+        UPDATE users
+        SET status = 'deleted', invitation_token = NULL, invitation_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [user.id]);
+
+      res.json({ message: 'User deleted successfully' });
+    } catch (error) {
+      console.error('Delete user error:', error);
+      res.status(500).json({ error: 'Failed to delete user' });
+    }
+  });
 
-// Suspend user (admin only)
-router.post('/:id/suspend', requirePermission('user.update'), auditLog('suspend_user', 'user'), async (req, res) => {
-  try {
-    const userId = req.params.id;
+  // Suspend user (admin only); authenticateToken rejects suspended users on their next request
+  router.post('/:id/suspend', requirePermission('user.update'), auditLog('suspend_user', 'user'), async (req, res) => {
+    try {
+      const user = await findCompanyUser(req, res);
+      if (!user) return;
 
-    // Prevent self-suspension
-    if (userId === req.user.id) {
-      return res.status(400).json({ error: 'Cannot suspend your own account' });
-    }
+      if (user.id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot suspend your own account' });
+      }
+      if (user.status !== 'active') {
+        return res.status(400).json({ error: `Only active users can be suspended (user is ${user.status})` });
+      }
+      if (await isLastAdmin(user, req.user.company_id)) {
+        return res.status(400).json({ error: 'The company needs at least one active administrator' });
+      }
 
-    // Check if user exists
-    const userResult = await pool.query('SELECT id, status FROM users WHERE id = $1', [userId]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+      await pool.query(`UPDATE users SET status = 'suspended', updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [user.id]);
 
-    if (userResult.rows[0].status === 'suspended') {
-      return res.status(400).json({ error: 'User is already suspended' });
+      res.json({ message: 'User suspended successfully' });
+    } catch (error) {
+      console.error('Suspend user error:', error);
+      res.status(500).json({ error: 'Failed to suspend user' });
     }
+  });
 
-    await pool.query('UPDATE users SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', ['suspended', userId]);
-
-    res.json({ message: 'User suspended successfully' });
-  } catch (error) {
-    console.error('Suspend user error:', error);
-    res.status(500).json({ error: 'Failed to suspend user' });
-  }
-});
+  // Reactivate a suspended user (admin only)
+  router.post('/:id/reactivate', requirePermission('user.update'), auditLog('reactivate_user', 'user'), async (req, res) => {
+    try {
+      const user = await findCompanyUser(req, res);
+      if (!user) return;
 
-// Reactivate user (admin only)
-router.post('/:id/reactivate', requirePermission('user.update'), auditLog('reactivate_user', 'user'), async (req, res) => {
-  try {
-    const userId = req.params.id;
+      if (user.status !== 'suspended') {
+        return res.status(400).json({ error: `Only suspended users can be reactivated (user is ${user.status})` });
+      }
 
-    // Check if user exists
-    const userResult = await pool.query('SELECT id, status FROM users WHERE id = $1', [userId]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+      await pool.query(`UPDATE users SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [user.id]);
 
-    if (userResult.rows[0].status === 'active') {
-      return res.status(400).json({ error: 'User is already active' });
+      res.json({ message: 'User reactivated successfully' });
+    } catch (error) {
+      console.error('Reactivate user error:', error);
+      res.status(500).json({ error: 'Failed to reactivate user' });
     }
+  });
 
-    await pool.query('UPDATE users SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', ['active', userId]);
-
-    res.json({ message: 'User reactivated successfully' });
-  } catch (error) {
-    console.error('Reactivate user error:', error);
-    res.status(500).json({ error: 'Failed to reactivate user' });
-  }
-});
+  return router;
+};
 
-module.exports = router;
\ No newline at end of file
+module.exports = createUsersRouter;
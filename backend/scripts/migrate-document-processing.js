@@ -91,6 +91,716 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_processing_metrics_document_id ON processing_metrics(document_id);
     `
   },
+  {
+    name: 'Extend documents table for persistent processing state',
+    sql: `
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS extraction_methods JSONB DEFAULT '[]'::jsonb,
+      ADD COLUMN IF NOT EXISTS processing_method VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS error_message TEXT,
+      ADD COLUMN IF NOT EXISTS is_manually_edited BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS last_modified TIMESTAMP;
+    `
+  },
+  {
+    name: 'Extend invoice_data table with full extraction payload',
+    sql: `
+      ALTER TABLE invoice_data
+      ADD COLUMN IF NOT EXISTS due_date DATE,
+      ADD COLUMN IF NOT EXISTS subtotal DECIMAL(12,2),
+      ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(12,2),
+      ADD COLUMN IF NOT EXISTS data JSONB,
+      ADD COLUMN IF NOT EXISTS original_data JSONB,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_invoice_data_document_id ON invoice_data(document_id);
+    `
+  },
+  {
+    name: 'Extend processing_metrics table with full metrics payload',
+    sql: `
+      ALTER TABLE processing_metrics
+      ADD COLUMN IF NOT EXISTS metrics JSONB;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_processing_metrics_document_id ON processing_metrics(document_id);
+      CREATE INDEX IF NOT EXISTS idx_documents_filename ON documents(filename);
+    `
+  },
+  {
+    name: 'Create approval workflow tables',
+    sql: `
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS business_entity_id UUID;
+
+      ALTER TABLE documents DROP CONSTRAINT IF EXISTS valid_workflow_status;
+      ALTER TABLE documents ADD CONSTRAINT valid_workflow_status CHECK (
+        workflow_status IS NULL OR workflow_status IN (
+          'extracted', 'needs_review', 'needs_correction', 'approved', 'rejected', 'ready_for_payment'
+        )
+      );
+
+      CREATE TABLE IF NOT EXISTS approval_rules (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        step_order INTEGER NOT NULL DEFAULT 1,
+        approver_role VARCHAR(50) NOT NULL DEFAULT 'validator',
+        min_amount DECIMAL(12,2),
+        max_amount DECIMAL(12,2),
+        business_entity_id UUID,
+        vendor_pattern VARCHAR(255),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS document_approval_steps (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        step_order INTEGER NOT NULL,
+        rule_id UUID REFERENCES approval_rules(id) ON DELETE SET NULL,
+        name VARCHAR(255) NOT NULL,
+        approver_role VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        decided_at TIMESTAMP,
+        comment TEXT,
+
+        CONSTRAINT valid_step_status CHECK (status IN ('pending', 'approved', 'rejected'))
+      );
+
+      CREATE TABLE IF NOT EXISTS document_workflow_transitions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        step_order INTEGER,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_documents_workflow_status ON documents(workflow_status);
+      CREATE INDEX IF NOT EXISTS idx_approval_rules_company_id ON approval_rules(company_id);
+      CREATE INDEX IF NOT EXISTS idx_document_approval_steps_document_id ON document_approval_steps(document_id);
+      CREATE INDEX IF NOT EXISTS idx_document_workflow_transitions_document_id ON document_workflow_transitions(document_id);
+    `
+  },
+  {
+    name: 'Create duplicate detection tables',
+    sql: `
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS file_hash VARCHAR(64);
+
+      CREATE INDEX IF NOT EXISTS idx_documents_file_hash ON documents(file_hash);
+
+      CREATE TABLE IF NOT EXISTS document_duplicates (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        duplicate_of_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        match_type VARCHAR(20) NOT NULL,
+        score DECIMAL(5,2) NOT NULL DEFAULT 0,
+        reasons JSONB DEFAULT '[]'::jsonb,
+        status VARCHAR(30) NOT NULL DEFAULT 'open',
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        resolution_comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE(document_id, duplicate_of_id),
+        CONSTRAINT valid_duplicate_match_type CHECK (match_type IN ('exact', 'fuzzy')),
+        CONSTRAINT valid_duplicate_status CHECK (status IN ('open', 'not_duplicate', 'confirmed_duplicate'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_document_duplicates_document_id ON document_duplicates(document_id);
+      CREATE INDEX IF NOT EXISTS idx_document_duplicates_status ON document_duplicates(status);
+    `
+  },
+  {
+    name: 'Create vendors table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vendors (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        aliases JSONB DEFAULT '[]'::jsonb,
+        tax_id VARCHAR(50),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        address TEXT,
+        bank_account VARCHAR(64),
+        bank_routing VARCHAR(34),
+        default_currency VARCHAR(3),
+        payment_terms VARCHAR(100),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vendors_company_id ON vendors(company_id);
+      CREATE INDEX IF NOT EXISTS idx_vendors_tax_id ON vendors(tax_id);
+
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS vendor_match_confidence DECIMAL(5,2),
+      ADD COLUMN IF NOT EXISTS vendor_match_method VARCHAR(30);
+
+      CREATE INDEX IF NOT EXISTS idx_documents_vendor_id ON documents(vendor_id);
+    `
+  },
+  {
+    name: 'Create purchase order matching tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        po_number VARCHAR(100) NOT NULL,
+        vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL,
+        vendor_name VARCHAR(255),
+        currency VARCHAR(3),
+        order_date DATE,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed', 'cancelled')),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (company_id, po_number)
+      );
+
+      CREATE TABLE IF NOT EXISTS purchase_order_lines (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+        line_number INTEGER NOT NULL,
+        item_code VARCHAR(100),
+        description TEXT,
+        quantity DECIMAL(14,4) NOT NULL,
+        unit_price DECIMAL(14,4) NOT NULL,
+        UNIQUE (purchase_order_id, line_number)
+      );
+
+      CREATE TABLE IF NOT EXISTS goods_receipts (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+        receipt_number VARCHAR(100) NOT NULL,
+        received_date DATE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (company_id, receipt_number)
+      );
+
+      CREATE TABLE IF NOT EXISTS goods_receipt_lines (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        goods_receipt_id UUID NOT NULL REFERENCES goods_receipts(id) ON DELETE CASCADE,
+        purchase_order_line_id UUID NOT NULL REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+        quantity_received DECIMAL(14,4) NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS po_match_tolerances (
+        company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+        quantity_percent DECIMAL(6,2) NOT NULL DEFAULT 0,
+        price_percent DECIMAL(6,2) NOT NULL DEFAULT 2,
+        amount_absolute DECIMAL(14,2) NOT NULL DEFAULT 0.05,
+        total_percent DECIMAL(6,2) NOT NULL DEFAULT 1,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS document_po_matches (
+        document_id UUID PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        purchase_order_id UUID REFERENCES purchase_orders(id) ON DELETE SET NULL,
+        po_number VARCHAR(100),
+        status VARCHAR(20) NOT NULL CHECK (status IN ('matched', 'exceptions', 'no_po')),
+        lines JSONB DEFAULT '[]'::jsonb,
+        exceptions JSONB DEFAULT '[]'::jsonb,
+        tolerances JSONB,
+        matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS document_po_line_matches (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        purchase_order_line_id UUID NOT NULL REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+        invoice_line_index INTEGER NOT NULL,
+        quantity DECIMAL(14,4),
+        unit_price DECIMAL(14,4),
+        amount DECIMAL(14,2)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_purchase_orders_company_id ON purchase_orders(company_id);
+      CREATE INDEX IF NOT EXISTS idx_goods_receipts_po_id ON goods_receipts(purchase_order_id);
+      CREATE INDEX IF NOT EXISTS idx_goods_receipt_lines_po_line_id ON goods_receipt_lines(purchase_order_line_id);
+      CREATE INDEX IF NOT EXISTS idx_document_po_matches_po_id ON document_po_matches(purchase_order_id);
+      CREATE INDEX IF NOT EXISTS idx_document_po_line_matches_po_line_id ON document_po_line_matches(purchase_order_line_id);
+    `
+  },
+  {
+    name: 'Create accounting export tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS accounting_export_settings (
+        company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+        settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS accounting_export_batches (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        format VARCHAR(50) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        content BYTEA NOT NULL,
+        document_count INTEGER NOT NULL,
+        total_amount DECIMAL(14,2),
+        exported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        voided_at TIMESTAMP,
+        voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        void_reason TEXT
+      );
+
+      -- One row per document: the primary key is what stops a second export
+      CREATE TABLE IF NOT EXISTS document_exports (
+        document_id UUID PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        batch_id UUID NOT NULL REFERENCES accounting_export_batches(id) ON DELETE CASCADE,
+        format VARCHAR(50) NOT NULL,
+        exported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_accounting_export_batches_company_id ON accounting_export_batches(company_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_document_exports_batch_id ON document_exports(batch_id);
+    `
+  },
+  {
+    name: 'Create payment run tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS payment_settings (
+        company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+        settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS payment_batches (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        method VARCHAR(10) NOT NULL CHECK (method IN ('nacha', 'sepa')),
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'paid', 'cancelled')),
+        currency VARCHAR(3) NOT NULL,
+        execution_date DATE NOT NULL,
+        due_before DATE,
+        payment_count INTEGER NOT NULL,
+        document_count INTEGER NOT NULL,
+        total_amount DECIMAL(14,2) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        content BYTEA NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        paid_at TIMESTAMP,
+        paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        cancelled_at TIMESTAMP,
+        cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      -- One payment per vendor and bank account
+      CREATE TABLE IF NOT EXISTS payment_batch_items (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        batch_id UUID NOT NULL REFERENCES payment_batches(id) ON DELETE CASCADE,
+        vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL,
+        payee_name VARCHAR(255) NOT NULL,
+        account_masked VARCHAR(64),
+        reference_id VARCHAR(35) NOT NULL,
+        amount DECIMAL(14,2) NOT NULL,
+        document_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+        warnings JSONB NOT NULL DEFAULT '[]'::jsonb
+      );
+
+      -- One row per invoice in a live run: the primary key is what stops paying an invoice twice
+      CREATE TABLE IF NOT EXISTS document_payments (
+        document_id UUID PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        batch_id UUID NOT NULL REFERENCES payment_batches(id) ON DELETE CASCADE,
+        item_id UUID NOT NULL REFERENCES payment_batch_items(id) ON DELETE CASCADE,
+        amount DECIMAL(14,2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'paid')),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_payment_batches_company_id ON payment_batches(company_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_payment_batch_items_batch_id ON payment_batch_items(batch_id);
+      CREATE INDEX IF NOT EXISTS idx_document_payments_batch_id ON document_payments(batch_id);
+    `
+  },
+  {
+    name: 'Create user management tables',
+    sql: `
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS role VARCHAR(50) DEFAULT 'viewer',
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS password VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS invitation_token VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS invitation_expires_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS last_login TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+      -- Invited users have no password until they accept their invitation
+      ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_invitation_token ON users(invitation_token) WHERE invitation_token IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_users_company_id ON users(company_id);
+
+      CREATE TABLE IF NOT EXISTS business_entities (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        code VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS user_business_entities (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        business_entity_id UUID NOT NULL REFERENCES business_entities(id) ON DELETE CASCADE,
+        assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, business_entity_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        action VARCHAR(100) NOT NULL,
+        resource_type VARCHAR(50) NOT NULL,
+        resource_id VARCHAR(64),
+        details JSONB,
+        ip_address INET,
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_company_id ON audit_logs(company_id, created_at DESC);
+    `
+  },
+  {
+    name: 'Create role permission tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS permissions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        resource VARCHAR(50) NOT NULL,
+        action VARCHAR(50) NOT NULL
+      );
+
+      -- Built-in roles have no company; custom roles belong to the company that created them,
+      -- and their names are unique within that company only
+      CREATE TABLE IF NOT EXISTS roles (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        name VARCHAR(50) NOT NULL,
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        description TEXT,
+        is_system BOOLEAN DEFAULT false,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_roles_system_name ON roles(name) WHERE company_id IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_roles_company_name ON roles(company_id, name) WHERE company_id IS NOT NULL;
+
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+        permission_id UUID NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+        UNIQUE(role_id, permission_id)
+      );
+
+      -- Custom roles are not in the original admin/validator/viewer check
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+      INSERT INTO permissions (name, description, resource, action) VALUES
+        ('user.create', 'Create new users', 'user', 'create'),
+        ('user.read', 'View user information', 'user', 'read'),
+        ('user.update', 'Update user information', 'user', 'update'),
+        ('user.delete', 'Delete users', 'user', 'delete'),
+        ('user.invite', 'Invite new users', 'user', 'invite'),
+        ('business_entity.read', 'View business entities', 'business_entity', 'read'),
+        ('business_entity.create', 'Create business entities', 'business_entity', 'create'),
+        ('business_entity.update', 'Update business entities', 'business_entity', 'update'),
+        ('business_entity.delete', 'Delete business entities', 'business_entity', 'delete'),
+        ('audit.read', 'View audit logs', 'audit', 'read'),
+        ('role.manage', 'Create custom roles and assign their permissions', 'role', 'manage'),
+        ('document.read', 'View documents and their extracted data', 'document', 'read'),
+        ('document.upload', 'Upload documents for processing', 'document', 'upload'),
+        ('document.edit', 'Correct extracted data and resubmit documents', 'document', 'edit'),
+        ('document.approve', 'Approve, reject and send back documents in review', 'document', 'approve'),
+        ('document.export', 'Export documents and send them to accounting', 'document', 'export'),
+        ('document.delete', 'Delete documents', 'document', 'delete'),
+        ('approval_rule.manage', 'Configure approval rules', 'approval_rule', 'manage'),
+        ('analytics.read', 'View analytics dashboards', 'analytics', 'read'),
+        ('vendor.read', 'View vendors', 'vendor', 'read'),
+        ('vendor.manage', 'Create and update vendors', 'vendor', 'manage'),
+        ('vendor.delete', 'Delete vendors', 'vendor', 'delete'),
+        ('purchase_order.read', 'View purchase orders and goods receipts', 'purchase_order', 'read'),
+        ('purchase_order.manage', 'Import purchase orders and goods receipts', 'purchase_order', 'manage'),
+        ('purchase_order.delete', 'Delete purchase orders', 'purchase_order', 'delete'),
+        ('purchase_order.configure', 'Change three-way match tolerances', 'purchase_order', 'configure'),
+        ('accounting_export.configure', 'Change accounting export settings and void exports', 'accounting_export', 'configure'),
+        ('payment.read', 'View payable invoices and payment runs', 'payment', 'read'),
+        ('payment.manage', 'Release invoices for payment and create payment runs', 'payment', 'manage'),
+        ('exchange_rate.manage', 'Change the base currency and import exchange rates', 'exchange_rate', 'manage')
+      ON CONFLICT (name) DO NOTHING;
+
+      INSERT INTO roles (name, description, is_system) VALUES
+        ('admin', 'Full access to everything in the company', true),
+        ('validator', 'Reviews and approves documents', true),
+        ('viewer', 'Uploads and views documents', true)
+      ON CONFLICT (name) WHERE company_id IS NULL DO NOTHING;
+
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name = 'admin' AND r.company_id IS NULL
+      ON CONFLICT (role_id, permission_id) DO NOTHING;
+
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name = 'validator' AND r.company_id IS NULL AND p.name IN (
+        'user.read', 'business_entity.read', 'document.read', 'document.upload', 'document.edit',
+        'document.approve', 'document.export', 'document.delete', 'analytics.read', 'vendor.read',
+        'vendor.manage', 'purchase_order.read', 'purchase_order.manage', 'payment.read'
+      )
+      ON CONFLICT (role_id, permission_id) DO NOTHING;
+
+      -- Viewers only read: they upload, but cannot change or delete documents
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name = 'viewer' AND r.company_id IS NULL AND p.name IN (
+        'user.read', 'business_entity.read', 'document.read', 'document.upload', 'analytics.read',
+        'vendor.read', 'purchase_order.read'
+      )
+      ON CONFLICT (role_id, permission_id) DO NOTHING;
+    `
+  },
+  {
+    name: 'Add business entity settings and document scoping',
+    sql: `
+      ALTER TABLE business_entities
+      ADD COLUMN IF NOT EXISTS aliases JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS address TEXT,
+      ADD COLUMN IF NOT EXISTS default_currency VARCHAR(3),
+      ADD COLUMN IF NOT EXISTS tax_id VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS default_tax_rate DECIMAL(5,2),
+      ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_business_entities_company_code ON business_entities(company_id, LOWER(code));
+
+      -- How the document got its entity: upload, inferred (from the bill-to party) or manual
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS business_entity_source VARCHAR(20);
+
+      UPDATE documents SET business_entity_id = NULL
+      WHERE business_entity_id IS NOT NULL
+        AND business_entity_id NOT IN (SELECT id FROM business_entities);
+
+      ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_business_entity_id_fkey;
+      ALTER TABLE documents ADD CONSTRAINT documents_business_entity_id_fkey
+        FOREIGN KEY (business_entity_id) REFERENCES business_entities(id) ON DELETE SET NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_documents_business_entity_id ON documents(business_entity_id);
+      CREATE INDEX IF NOT EXISTS idx_user_business_entities_entity ON user_business_entities(business_entity_id);
+    `
+  },
+  {
+    name: 'Add audit log hash chain',
+    sql: `
+      -- Append order of the chain (ids are random UUIDs); existing rows are numbered as found
+      ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS seq BIGSERIAL;
+      ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS previous_hash VARCHAR(64);
+      ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS row_hash VARCHAR(64);
+
+      -- Deleting a user must not rewrite the rows that name them (and break the chain)
+      ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS audit_logs_user_id_fkey;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_seq ON audit_logs(seq);
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_company_seq ON audit_logs(company_id, seq);
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+    `
+  },
+  {
+    name: 'Create document revisions table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS document_revisions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('extraction', 'edit', 'revert')),
+        invoice_data JSONB NOT NULL,
+        changes JSONB,
+        reverted_to_version INTEGER,
+        edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, version)
+      );
+
+      -- Documents processed before revisions were kept: the stored extraction becomes version 0...
+      INSERT INTO document_revisions (document_id, version, source, invoice_data, changes, created_at)
+      SELECT inv.document_id, 0, 'extraction', inv.original_data, '{}', COALESCE(d.processing_completed_at, d.created_at)
+      FROM invoice_data inv
+      JOIN documents d ON d.id = inv.document_id
+      WHERE inv.original_data IS NOT NULL
+      ON CONFLICT (document_id, version) DO NOTHING;
+
+      -- ...and their edited data version 1 (the edits in between were never stored)
+      INSERT INTO document_revisions (document_id, version, source, invoice_data, edited_by, created_at)
+      SELECT inv.document_id, 1, 'edit', inv.data, d.edited_by, COALESCE(d.last_modified, d.updated_at)
+      FROM invoice_data inv
+      JOIN documents d ON d.id = inv.document_id
+      WHERE inv.original_data IS NOT NULL AND inv.data IS DISTINCT FROM inv.original_data
+      ON CONFLICT (document_id, version) DO NOTHING;
+
+      CREATE INDEX IF NOT EXISTS idx_document_revisions_document ON document_revisions(document_id, version);
+    `
+  },
+  {
+    name: 'Create vendor template tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vendor_templates (
+        vendor_id UUID PRIMARY KEY REFERENCES vendors(id) ON DELETE CASCADE,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+        line_items JSONB,
+        corrections_learned INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- One row per document a template was applied to; the hit rate is the share of applied
+      -- fields that were not later corrected
+      CREATE TABLE IF NOT EXISTS vendor_template_runs (
+        document_id UUID PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+        fields_applied JSONB NOT NULL DEFAULT '[]'::jsonb,
+        fields_corrected JSONB NOT NULL DEFAULT '[]'::jsonb,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vendor_templates_company ON vendor_templates(company_id);
+      CREATE INDEX IF NOT EXISTS idx_vendor_template_runs_vendor ON vendor_template_runs(vendor_id);
+    `
+  },
+  {
+    name: 'Create extraction accuracy table',
+    sql: `
+      -- Whether each extraction source had the value a reviewer saved, one row per document, source
+      -- and field ('items' for the line items); the consensus weighs votes by the share of correct rows
+      CREATE TABLE IF NOT EXISTS extraction_accuracy (
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        source VARCHAR(100) NOT NULL,
+        field_path VARCHAR(100) NOT NULL,
+        correct BOOLEAN NOT NULL,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (document_id, source, field_path)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_extraction_accuracy_source ON extraction_accuracy(source, field_path);
+    `
+  },
+  {
+    name: 'Add document split columns',
+    sql: `
+      -- An upload bundling several documents keeps its page classification and becomes 'split'; each
+      -- invoice or credit note in it is a child document over a page range of the same file
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS parent_document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS page_start INTEGER,
+      ADD COLUMN IF NOT EXISTS page_end INTEGER,
+      ADD COLUMN IF NOT EXISTS document_class VARCHAR(30),
+      ADD COLUMN IF NOT EXISTS page_classification JSONB;
+
+      ALTER TABLE documents DROP CONSTRAINT IF EXISTS valid_status;
+      ALTER TABLE documents ADD CONSTRAINT valid_status CHECK (
+        status IN ('uploaded', 'processing', 'completed', 'failed', 'split')
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_documents_parent_document_id ON documents(parent_document_id);
+    `
+  },
+  {
+    name: 'Add document type columns',
+    sql: `
+      -- Invoices, credit notes, debit notes and prepayment invoices; a credit or debit note is linked to
+      -- the invoice it adjusts. Credit notes are stored with negative amounts.
+      ALTER TABLE invoice_data
+      ADD COLUMN IF NOT EXISTS document_type VARCHAR(20) NOT NULL DEFAULT 'invoice',
+      ADD COLUMN IF NOT EXISTS referenced_invoice_number VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS original_document_id UUID REFERENCES documents(id) ON DELETE SET NULL;
+
+      ALTER TABLE invoice_data DROP CONSTRAINT IF EXISTS valid_document_type;
+      ALTER TABLE invoice_data ADD CONSTRAINT valid_document_type CHECK (
+        document_type IN ('invoice', 'credit_note', 'debit_note', 'prepayment')
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_invoice_data_original_document_id ON invoice_data(original_document_id);
+      CREATE INDEX IF NOT EXISTS idx_invoice_data_invoice_number ON invoice_data(invoice_number);
+    `
+  },
+  {
+    name: 'Add currency conversion tables',
+    sql: `
+      -- The currency a company reports in; every invoice also carries its amounts converted to it
+      CREATE TABLE IF NOT EXISTS company_currency_settings (
+        company_id INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+        base_currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- rate: units of base_currency for one unit of currency, as of rate_date
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        base_currency VARCHAR(3) NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        rate_date DATE NOT NULL,
+        rate NUMERIC(20,10) NOT NULL CHECK (rate > 0),
+        source VARCHAR(20) NOT NULL DEFAULT 'manual',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, base_currency, currency, rate_date)
+      );
+
+      -- source_currency: what was converted, the invoice currency or the vendor's default when none was read
+      ALTER TABLE invoice_data
+      ADD COLUMN IF NOT EXISTS source_currency VARCHAR(3),
+      ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3),
+      ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(20,10),
+      ADD COLUMN IF NOT EXISTS exchange_rate_date DATE,
+      ADD COLUMN IF NOT EXISTS base_subtotal DECIMAL(14,2),
+      ADD COLUMN IF NOT EXISTS base_tax_amount DECIMAL(14,2),
+      ADD COLUMN IF NOT EXISTS base_total_amount DECIMAL(14,2),
+      ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP;
+
+      -- Invoices stored before currency detection defaulted to USD whatever they were in
+      ALTER TABLE invoice_data ALTER COLUMN currency DROP DEFAULT;
+
+      CREATE INDEX IF NOT EXISTS idx_invoice_data_base_currency ON invoice_data(base_currency);
+    `
+  },
+  {
+    name: 'Allow XML e-invoice uploads',
+    sql: `
+      -- UBL and CII e-invoices are uploaded as XML, sent as application/xml or text/xml
+      ALTER TABLE documents DROP CONSTRAINT IF EXISTS valid_mime_type;
+      ALTER TABLE documents ADD CONSTRAINT valid_mime_type CHECK (
+        mime_type IN ('application/pdf', 'image/jpeg', 'image/png', 'image/tiff', 'application/xml', 'text/xml')
+      );
+    `
+  },
   {
     name: 'Create onboarding update trigger',
     sql: `
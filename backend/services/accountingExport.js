@@ -0,0 +1,254 @@
+// backend/services/accountingExport.js
+// Exports approved invoices to accounting systems through the exporters in utils/accounting-exporters.
+//
+// Every export is kept as a batch together with the generated file, so it can be downloaded again.
+// document_exports allows one row per document: a document that was exported cannot be exported a
+// second time unless its batch is voided (e.g. because the import into the accounting system failed).
+
+const { DEFAULT_EXPORT_SETTINGS, buildBill, getExporter } = require('../utils/accounting-exporters');
+const { mapBaseAmounts } = require('./documentRepository');
+
+// Only invoices that cleared approval are posted to the books
+const EXPORTABLE_STATUSES = ['approved', 'ready_for_payment'];
+
+class ExportError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const mapBatch = (row) => ({
+  id: row.id,
+  format: row.format,
+  fileName: row.file_name,
+  documentCount: row.document_count,
+  totalAmount: row.total_amount === null ? null : Number(row.total_amount),
+  exportedBy: row.exported_by,
+  exportedByName: row.exported_by_name || null,
+  createdAt: toIso(row.created_at),
+  voidedAt: toIso(row.voided_at),
+  voidedBy: row.voided_by,
+  voidReason: row.void_reason
+});
+
+class AccountingExportService {
+  constructor(pool, documents) {
+    this.pool = pool;
+    this.documents = documents;
+  }
+
+  async getSettings(companyId) {
+    const result = await this.pool.query('SELECT settings FROM accounting_export_settings WHERE company_id = $1', [companyId]);
+    return { ...DEFAULT_EXPORT_SETTINGS, ...(result.rows[0]?.settings || {}) };
+  }
+
+  async updateSettings(companyId, settings, userId) {
+    const result = await this.pool.query(`
+      INSERT INTO accounting_export_settings (company_id, settings, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (company_id) DO UPDATE
+      SET settings = EXCLUDED.settings,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING settings
+    `, [companyId, JSON.stringify(settings), userId]);
+
+    return { ...DEFAULT_EXPORT_SETTINGS, ...result.rows[0].settings };
+  }
+
+  async listBatches(companyId, { limit = 50 } = {}) {
+    const result = await this.pool.query(`
+      SELECT b.id, b.format, b.file_name, b.document_count, b.total_amount, b.exported_by,
+             b.created_at, b.voided_at, b.voided_by, b.void_reason,
+             TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS exported_by_name
+      FROM accounting_export_batches b
+      LEFT JOIN users u ON u.id = b.exported_by
+      WHERE b.company_id = $1
+      ORDER BY b.created_at DESC
+      LIMIT $2
+    `, [companyId, limit]);
+
+    return result.rows.map(mapBatch);
+  }
+
+  async getBatchFile(batchId, companyId) {
+    const result = await this.pool.query(
+      'SELECT file_name, content_type, content FROM accounting_export_batches WHERE id = $1 AND company_id = $2',
+      [batchId, companyId]
+    );
+    const row = result.rows[0];
+    return row ? { fileName: row.file_name, contentType: row.content_type, content: row.content } : null;
+  }
+
+  // Approved documents with their export state and anything that would stop them from being exported
+  async listExportable(companyId, { includeExported = false } = {}) {
+    const settings = await this.getSettings(companyId);
+    const result = await this.pool.query(`
+      SELECT d.id, d.original_name, d.workflow_status, inv.data AS invoice_data, ven.name AS matched_vendor_name,
+             inv.source_currency, inv.base_currency, inv.exchange_rate, inv.exchange_rate_date,
+             inv.base_subtotal, inv.base_tax_amount, inv.base_total_amount,
+             de.batch_id, de.format AS exported_format, de.exported_at
+      FROM documents d
+      LEFT JOIN invoice_data inv ON inv.document_id = d.id
+      LEFT JOIN vendors ven ON ven.id = d.vendor_id
+      LEFT JOIN document_exports de ON de.document_id = d.id
+      WHERE d.company_id = $1
+        AND d.workflow_status = ANY($2)
+        AND ($3 OR de.document_id IS NULL)
+      ORDER BY d.created_at DESC
+    `, [companyId, EXPORTABLE_STATUSES, includeExported]);
+
+    return result.rows.map(row => {
+      const bill = buildBill({
+        id: row.id,
+        invoiceData: row.invoice_data,
+        matchedVendor: row.matched_vendor_name ? { name: row.matched_vendor_name } : null,
+        baseAmounts: mapBaseAmounts(row)
+      }, settings);
+
+      return {
+        documentId: row.id,
+        originalName: row.original_name,
+        workflowStatus: row.workflow_status,
+        invoiceNumber: bill.invoiceNumber,
+        vendorName: bill.vendorName,
+        date: bill.date,
+        dueDate: bill.dueDate,
+        total: bill.total,
+        currency: bill.currency,
+        baseTotal: bill.baseTotal,
+        baseCurrency: bill.baseCurrency,
+        problems: bill.problems,
+        batchId: row.batch_id,
+        exportedFormat: row.exported_format,
+        exportedAt: toIso(row.exported_at)
+      };
+    });
+  }
+
+  // Export the documents in one batch, all or nothing. Refuses documents that are not approved,
+  // belong to another company, were already exported, or whose bill does not balance.
+  async exportDocuments(companyId, documentIds, format, user) {
+    const exporter = getExporter(format);
+    if (!exporter) {
+      throw new ExportError(`Unknown export format: ${format}`, 400);
+    }
+
+    const ids = [...new Set(documentIds)];
+    const settings = await this.getSettings(companyId);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the documents so two concurrent exports of the same invoice cannot both pass the check below
+      const locked = await client.query(`
+        SELECT d.id, d.company_id, d.workflow_status, de.batch_id
+        FROM documents d
+        LEFT JOIN document_exports de ON de.document_id = d.id
+        WHERE d.id = ANY($1::uuid[])
+        FOR UPDATE OF d
+      `, [ids]);
+
+      const found = locked.rows.filter(row => row.company_id === companyId);
+      const missing = ids.filter(id => !found.some(row => row.id === id));
+      if (missing.length > 0) {
+        throw new ExportError('Some documents were not found', 404, { documentIds: missing });
+      }
+
+      const notApproved = found.filter(row => !EXPORTABLE_STATUSES.includes(row.workflow_status)).map(row => row.id);
+      if (notApproved.length > 0) {
+        throw new ExportError('Only approved documents can be exported', 409, { documentIds: notApproved });
+      }
+
+      const alreadyExported = found.filter(row => row.batch_id).map(row => row.id);
+      if (alreadyExported.length > 0) {
+        throw new ExportError(
+          `${alreadyExported.length} document(s) were already exported; void their export batch to export them again`,
+          409,
+          { documentIds: alreadyExported }
+        );
+      }
+
+      const documents = await Promise.all(ids.map(id => this.documents.findById(id)));
+      const bills = documents.map(document => buildBill(document, settings));
+      if (exporter.supportsCredits === false) {
+        bills
+          .filter(bill => bill.documentType === 'credit_note')
+          .forEach(bill => bill.problems.push(`${exporter.label} cannot import credit notes`));
+      }
+
+      const invalid = bills.filter(bill => bill.problems.length > 0);
+      if (invalid.length > 0) {
+        throw new ExportError(`${invalid.length} document(s) cannot be exported as they are`, 422, {
+          problems: invalid.map(bill => ({ documentId: bill.documentId, invoiceNumber: bill.invoiceNumber, problems: bill.problems }))
+        });
+      }
+
+      const content = await exporter.build(bills, settings);
+      const fileName = `${exporter.id}-${new Date().toISOString().slice(0, 10)}-${bills.length}.${exporter.extension}`;
+      const totalAmount = Math.round(bills.reduce((sum, bill) => sum + bill.total, 0) * 100) / 100;
+
+      const batchResult = await client.query(`
+        INSERT INTO accounting_export_batches (
+          company_id, format, file_name, content_type, content, document_count, total_amount, exported_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [companyId, exporter.id, fileName, exporter.contentType, Buffer.from(content), bills.length, totalAmount, user.id]);
+      const batch = batchResult.rows[0];
+
+      await client.query(`
+        INSERT INTO document_exports (document_id, batch_id, format)
+        SELECT UNNEST($1::uuid[]), $2, $3
+      `, [ids, batch.id, exporter.id]);
+
+      await client.query('COMMIT');
+      return { ...mapBatch(batch), documentIds: ids };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // The primary key on document_exports is the last line of defence against a double export
+      if (error.code === '23505') {
+        throw new ExportError('A document in this export was exported concurrently', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Release a batch's documents for export again; the batch and its file are kept for the record
+  async voidBatch(batchId, companyId, userId, reason = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE accounting_export_batches
+        SET voided_at = CURRENT_TIMESTAMP, voided_by = $3, void_reason = $4
+        WHERE id = $1 AND company_id = $2 AND voided_at IS NULL
+        RETURNING *
+      `, [batchId, companyId, userId, reason]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query('DELETE FROM document_exports WHERE batch_id = $1', [batchId]);
+      await client.query('COMMIT');
+      return mapBatch(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { AccountingExportService, ExportError, EXPORTABLE_STATUSES };
@@ -0,0 +1,522 @@
+// backend/services/approvalWorkflow.js
+// Multi-step approval workflow for processed documents.
+//
+//   extracted -> needs_review -> approved -> ready_for_payment
+//                     |  ^          |
+//                     |  '----------'-- send back -> needs_correction -> (resubmit) -> needs_review
+//                     '-> rejected
+//
+// When a document enters review, every active approval rule that matches it (amount threshold,
+// business entity, vendor) becomes an approval step; steps are approved in step_order.
+
+const WORKFLOW_STATUSES = ['extracted', 'needs_review', 'needs_correction', 'approved', 'rejected', 'ready_for_payment'];
+
+// Used when no configured rule matches a document
+const DEFAULT_STEP = { name: 'Review', approverRole: 'validator', stepOrder: 1, ruleId: null };
+
+class WorkflowError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return isNaN(num) ? null : num;
+};
+
+const mapRule = (row) => ({
+  id: row.id,
+  companyId: row.company_id,
+  name: row.name,
+  stepOrder: row.step_order,
+  approverRole: row.approver_role,
+  minAmount: row.min_amount === null ? null : Number(row.min_amount),
+  maxAmount: row.max_amount === null ? null : Number(row.max_amount),
+  businessEntityId: row.business_entity_id,
+  vendorPattern: row.vendor_pattern,
+  isActive: row.is_active,
+  createdBy: row.created_by,
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+  updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+});
+
+const mapStep = (row) => ({
+  id: row.id,
+  stepOrder: row.step_order,
+  ruleId: row.rule_id,
+  name: row.name,
+  approverRole: row.approver_role,
+  status: row.status,
+  decidedBy: row.decided_by,
+  decidedByName: row.decided_by_name || null,
+  decidedAt: row.decided_at ? new Date(row.decided_at).toISOString() : null,
+  comment: row.comment
+});
+
+const mapTransition = (row) => ({
+  id: row.id,
+  fromStatus: row.from_status,
+  toStatus: row.to_status,
+  action: row.action,
+  stepOrder: row.step_order,
+  actorId: row.actor_id,
+  actorName: row.actor_name || null,
+  comment: row.comment,
+  createdAt: new Date(row.created_at).toISOString()
+});
+
+// Does a rule apply to this document? Empty conditions match everything.
+const ruleMatches = (rule, document) => {
+  if (rule.companyId && rule.companyId !== document.companyId) return false;
+  if (rule.businessEntityId && rule.businessEntityId !== document.businessEntityId) return false;
+
+  // Thresholds are in the company's base currency, so the converted total is compared; an invoice
+  // with no exchange rate stored yet is compared as printed. A credit note is held to the rules of
+  // an invoice of the same size.
+  const converted = document.baseAmounts?.rate ? toAmount(document.baseAmounts.total) : null;
+  const signed = converted !== null ? converted : toAmount(document.invoiceData?.amounts?.total);
+  const total = signed === null ? null : Math.abs(signed);
+  if (rule.minAmount !== null && (total === null || total < rule.minAmount)) return false;
+  if (rule.maxAmount !== null && (total === null || total > rule.maxAmount)) return false;
+
+  if (rule.vendorPattern) {
+    const vendor = String(document.invoiceData?.vendor?.name || '').toLowerCase();
+    if (!vendor.includes(rule.vendorPattern.toLowerCase())) return false;
+  }
+
+  return true;
+};
+
+class ApprovalWorkflow {
+  constructor(pool, permissionService) {
+    this.pool = pool;
+    this.permissionService = permissionService;
+  }
+
+  // ===============================
+  // RULES
+  // ===============================
+
+  async listRules(companyId) {
+    const result = await this.pool.query(`
+      SELECT * FROM approval_rules
+      WHERE company_id IS NULL OR company_id = $1
+      ORDER BY step_order ASC, created_at ASC
+    `, [companyId]);
+
+    return result.rows.map(mapRule);
+  }
+
+  async createRule(rule, createdBy) {
+    const result = await this.pool.query(`
+      INSERT INTO approval_rules (
+        company_id, name, step_order, approver_role, min_amount, max_amount,
+        business_entity_id, vendor_pattern, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      rule.companyId,
+      rule.name,
+      rule.stepOrder,
+      rule.approverRole,
+      rule.minAmount,
+      rule.maxAmount,
+      rule.businessEntityId,
+      rule.vendorPattern,
+      rule.isActive,
+      createdBy
+    ]);
+
+    return mapRule(result.rows[0]);
+  }
+
+  async updateRule(ruleId, companyId, rule) {
+    const result = await this.pool.query(`
+      UPDATE approval_rules
+      SET name = $3,
+          step_order = $4,
+          approver_role = $5,
+          min_amount = $6,
+          max_amount = $7,
+          business_entity_id = $8,
+          vendor_pattern = $9,
+          is_active = $10,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND company_id = $2
+      RETURNING *
+    `, [
+      ruleId,
+      companyId,
+      rule.name,
+      rule.stepOrder,
+      rule.approverRole,
+      rule.minAmount,
+      rule.maxAmount,
+      rule.businessEntityId,
+      rule.vendorPattern,
+      rule.isActive
+    ]);
+
+    return result.rows[0] ? mapRule(result.rows[0]) : null;
+  }
+
+  async deleteRule(ruleId, companyId) {
+    const result = await this.pool.query(
+      'DELETE FROM approval_rules WHERE id = $1 AND company_id = $2',
+      [ruleId, companyId]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Approval steps a document needs, from the active rules that match it
+  async resolveSteps(document) {
+    const rules = (await this.listRules(document.companyId)).filter(rule => rule.isActive);
+    const matching = rules.filter(rule => ruleMatches(rule, document));
+
+    if (matching.length === 0) {
+      return [DEFAULT_STEP];
+    }
+
+    return matching.map(rule => ({
+      name: rule.name,
+      approverRole: rule.approverRole,
+      stepOrder: rule.stepOrder,
+      ruleId: rule.id
+    }));
+  }
+
+  // ===============================
+  // ACCESS
+  // ===============================
+
+  async isAssignedToEntity(userId, businessEntityId) {
+    const result = await this.pool.query(
+      'SELECT 1 FROM user_business_entities WHERE user_id = $1 AND business_entity_id = $2',
+      [userId, businessEntityId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Roles with document.approve review documents of their own company, limited to their business
+  // entities when the document has one; admins review all of their own company's documents
+  async canReview(user, document) {
+    if (user.company_id !== document.companyId) return false;
+    if (user.role === 'admin') return true;
+    if (!(await this.permissionService.hasPermission(user.role, 'document.approve', user.company_id))) return false;
+    if (!document.businessEntityId) return true;
+
+    return this.isAssignedToEntity(user.id, document.businessEntityId);
+  }
+
+  async canView(user, document) {
+    return document.userId === user.id || this.canReview(user, document);
+  }
+
+  // The documents a user sees in lists, matching canView: admins see the whole company, reviewers the
+  // company's documents of their entities plus those without one, everyone else their own uploads
+  async visibilityScope(user) {
+    if (user.role === 'admin') {
+      return { userId: user.id, companyId: user.company_id };
+    }
+    if (!(await this.permissionService.hasPermission(user.role, 'document.approve', user.company_id))) {
+      return { userId: user.id };
+    }
+
+    const result = await this.pool.query(
+      'SELECT business_entity_id FROM user_business_entities WHERE user_id = $1',
+      [user.id]
+    );
+    return {
+      userId: user.id,
+      companyId: user.company_id,
+      businessEntityIds: result.rows.map(row => row.business_entity_id)
+    };
+  }
+
+  canActOnStep(user, step) {
+    return user.role === 'admin' || user.role === step.approverRole;
+  }
+
+  // ===============================
+  // STATE
+  // ===============================
+
+  async getWorkflow(documentId) {
+    const [documentResult, stepsResult, transitionsResult] = await Promise.all([
+      this.pool.query('SELECT workflow_status FROM documents WHERE id = $1', [documentId]),
+      this.pool.query(`
+        SELECT s.*, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS decided_by_name
+        FROM document_approval_steps s
+        LEFT JOIN users u ON u.id = s.decided_by
+        WHERE s.document_id = $1
+        ORDER BY s.step_order ASC
+      `, [documentId]),
+      this.pool.query(`
+        SELECT t.*, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS actor_name
+        FROM document_workflow_transitions t
+        LEFT JOIN users u ON u.id = t.actor_id
+        WHERE t.document_id = $1
+        ORDER BY t.created_at ASC
+      `, [documentId])
+    ]);
+
+    const steps = stepsResult.rows.map(mapStep);
+
+    return {
+      documentId,
+      status: documentResult.rows[0]?.workflow_status || null,
+      currentStep: steps.find(step => step.status === 'pending') || null,
+      steps,
+      transitions: transitionsResult.rows.map(mapTransition)
+    };
+  }
+
+  // Documents of the user's company waiting on a step this user may approve; admins may approve any step
+  async listPending(user) {
+    const params = [user.company_id];
+    const conditions = [`d.workflow_status = 'needs_review'`, `d.company_id = $1`];
+
+    if (user.role !== 'admin') {
+      params.push(user.role, user.id);
+      conditions.push(`s.approver_role = $2`);
+      conditions.push(`(d.business_entity_id IS NULL OR EXISTS (
+        SELECT 1 FROM user_business_entities ube
+        WHERE ube.user_id = $3 AND ube.business_entity_id = d.business_entity_id
+      ))`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT
+        d.id, d.original_name, d.user_id, d.business_entity_id, d.created_at,
+        inv.invoice_number, inv.vendor_name, inv.total_amount, inv.currency, inv.due_date,
+        s.name AS step_name, s.step_order, s.approver_role
+      FROM documents d
+      JOIN document_approval_steps s ON s.document_id = d.id AND s.status = 'pending'
+      LEFT JOIN invoice_data inv ON inv.document_id = d.id
+      WHERE ${conditions.join(' AND ')}
+        AND s.step_order = (
+          SELECT MIN(step_order) FROM document_approval_steps
+          WHERE document_id = d.id AND status = 'pending'
+        )
+      ORDER BY d.created_at ASC
+    `, params);
+
+    return result.rows.map(row => ({
+      documentId: row.id,
+      originalName: row.original_name,
+      userId: row.user_id,
+      businessEntityId: row.business_entity_id,
+      createdAt: new Date(row.created_at).toISOString(),
+      invoiceNumber: row.invoice_number,
+      vendorName: row.vendor_name,
+      total: row.total_amount === null ? null : Number(row.total_amount),
+      currency: row.currency,
+      dueDate: row.due_date,
+      step: { name: row.step_name, stepOrder: row.step_order, approverRole: row.approver_role }
+    }));
+  }
+
+  // ===============================
+  // TRANSITIONS
+  // ===============================
+
+  // Lock the document row, run the transition and record it, all in one transaction
+  async transition(documentId, fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        'SELECT workflow_status FROM documents WHERE id = $1 FOR UPDATE',
+        [documentId]
+      );
+      if (locked.rows.length === 0) {
+        throw new WorkflowError('Document not found', 404);
+      }
+
+      const record = async (fromStatus, toStatus, action, actorId, comment, stepOrder = null) => {
+        await client.query(`
+          UPDATE documents
+          SET workflow_status = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [documentId, toStatus]);
+
+        await client.query(`
+          INSERT INTO document_workflow_transitions (
+            document_id, from_status, to_status, action, step_order, actor_id, comment
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [documentId, fromStatus, toStatus, action, stepOrder, actorId, comment || null]);
+      };
+
+      await fn(client, locked.rows[0].workflow_status, record);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getWorkflow(documentId);
+  }
+
+  async replaceSteps(client, documentId, steps) {
+    await client.query('DELETE FROM document_approval_steps WHERE document_id = $1', [documentId]);
+
+    for (const step of steps) {
+      await client.query(`
+        INSERT INTO document_approval_steps (document_id, step_order, rule_id, name, approver_role)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [documentId, step.stepOrder, step.ruleId, step.name, step.approverRole]);
+    }
+  }
+
+  async pendingStep(client, documentId) {
+    const result = await client.query(`
+      SELECT * FROM document_approval_steps
+      WHERE document_id = $1 AND status = 'pending'
+      ORDER BY step_order ASC
+      LIMIT 1
+    `, [documentId]);
+    return result.rows[0] ? mapStep(result.rows[0]) : null;
+  }
+
+  // Extraction finished (or was redone): start over and queue the document for review
+  async start(document) {
+    const steps = await this.resolveSteps(document);
+
+    return this.transition(document.id, async (client, fromStatus, record) => {
+      await record(fromStatus, 'extracted', 'extract', null, 'Extraction completed');
+      await this.replaceSteps(client, document.id, steps);
+      await record('extracted', 'needs_review', 'submit', null,
+        `Awaiting approval: ${steps.map(step => step.name).join(' → ')}`);
+    });
+  }
+
+  // Owner resubmits a corrected document; rules are re-evaluated against the corrected data
+  async resubmit(document, actor, comment) {
+    const steps = await this.resolveSteps(document);
+
+    return this.transition(document.id, async (client, fromStatus, record) => {
+      // A document with no status predates the workflow (or its start failed) and can be submitted once
+      if (fromStatus && !['needs_correction', 'extracted'].includes(fromStatus)) {
+        throw new WorkflowError(`Only documents sent back for correction can be resubmitted (document is ${fromStatus})`);
+      }
+
+      await this.replaceSteps(client, document.id, steps);
+      await record(fromStatus, 'needs_review', 'submit', actor.id, comment);
+    });
+  }
+
+  async approve(document, actor, comment) {
+    return this.transition(document.id, async (client, fromStatus, record) => {
+      if (fromStatus !== 'needs_review') {
+        throw new WorkflowError(`Only documents in review can be approved (document is ${fromStatus || 'not in the workflow'})`);
+      }
+
+      // Suspected duplicates have to be resolved before anyone can approve
+      const duplicates = await client.query(
+        `SELECT COUNT(*)::int AS count FROM document_duplicates WHERE document_id = $1 AND status = 'open'`,
+        [document.id]
+      );
+      if (duplicates.rows[0].count > 0) {
+        throw new WorkflowError('Resolve the suspected duplicate invoices before approving this document');
+      }
+
+      const step = await this.pendingStep(client, document.id);
+      if (!step) {
+        throw new WorkflowError('Document has no pending approval step');
+      }
+      if (!this.canActOnStep(actor, step)) {
+        throw new WorkflowError(`Step "${step.name}" must be approved by a ${step.approverRole}`, 403);
+      }
+
+      await client.query(`
+        UPDATE document_approval_steps
+        SET status = 'approved', decided_by = $2, decided_at = CURRENT_TIMESTAMP, comment = $3
+        WHERE id = $1
+      `, [step.id, actor.id, comment || null]);
+
+      const next = await this.pendingStep(client, document.id);
+      await record(fromStatus, next ? 'needs_review' : 'approved', 'approve', actor.id, comment, step.stepOrder);
+    });
+  }
+
+  async reject(document, actor, reason) {
+    if (!reason || !String(reason).trim()) {
+      throw new WorkflowError('A reason is required to reject a document', 400);
+    }
+
+    return this.transition(document.id, async (client, fromStatus, record) => {
+      if (fromStatus !== 'needs_review') {
+        throw new WorkflowError(`Only documents in review can be rejected (document is ${fromStatus || 'not in the workflow'})`);
+      }
+
+      const step = await this.pendingStep(client, document.id);
+      if (step && !this.canActOnStep(actor, step)) {
+        throw new WorkflowError(`Step "${step.name}" must be decided by a ${step.approverRole}`, 403);
+      }
+
+      if (step) {
+        await client.query(`
+          UPDATE document_approval_steps
+          SET status = 'rejected', decided_by = $2, decided_at = CURRENT_TIMESTAMP, comment = $3
+          WHERE id = $1
+        `, [step.id, actor.id, reason]);
+      }
+
+      await record(fromStatus, 'rejected', 'reject', actor.id, reason, step?.stepOrder);
+    });
+  }
+
+  // Back to the uploader to fix the extracted data; approvals given so far are discarded
+  async sendBack(document, actor, comment) {
+    if (!comment || !String(comment).trim()) {
+      throw new WorkflowError('Explain what needs correcting before sending a document back', 400);
+    }
+
+    return this.transition(document.id, async (client, fromStatus, record) => {
+      if (!['needs_review', 'approved'].includes(fromStatus)) {
+        throw new WorkflowError(`Only documents in review or approved can be sent back (document is ${fromStatus || 'not in the workflow'})`);
+      }
+
+      // Paying an invoice that is being corrected would pay the wrong amount
+      const payment = await client.query('SELECT status FROM document_payments WHERE document_id = $1', [document.id]);
+      if (payment.rows.length > 0) {
+        throw new WorkflowError(`Document is in a payment run (${payment.rows[0].status}); cancel the run before sending it back`);
+      }
+
+      await client.query(`
+        UPDATE document_approval_steps
+        SET status = 'pending', decided_by = NULL, decided_at = NULL, comment = NULL
+        WHERE document_id = $1
+      `, [document.id]);
+
+      await record(fromStatus, 'needs_correction', 'send_back', actor.id, comment);
+    });
+  }
+
+  async markReadyForPayment(document, actor, comment) {
+    if (!(await this.permissionService.hasPermission(actor.role, 'payment.manage', actor.company_id))) {
+      throw new WorkflowError('Insufficient permissions to release documents for payment', 403);
+    }
+
+    return this.transition(document.id, async (client, fromStatus, record) => {
+      if (fromStatus !== 'approved') {
+        throw new WorkflowError(`Only approved documents can be released for payment (document is ${fromStatus || 'not in the workflow'})`);
+      }
+
+      await record(fromStatus, 'ready_for_payment', 'release', actor.id, comment);
+    });
+  }
+}
+
+module.exports = {
+  ApprovalWorkflow,
+  WorkflowError,
+  WORKFLOW_STATUSES
+};
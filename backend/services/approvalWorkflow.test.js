@@ -0,0 +1,109 @@
+// backend/services/approvalWorkflow.test.js
+
+const { ApprovalWorkflow } = require('./approvalWorkflow');
+
+// A pool that answers each query with the next of the given results and records what it was asked
+const fakePool = (...results) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return results.shift() || { rows: [], rowCount: 0 };
+    }
+  };
+};
+
+const permissionService = { hasPermission: async (role, permission) => role === 'validator' && permission === 'document.approve' };
+
+const pendingRow = (id, overrides = {}) => ({
+  id,
+  original_name: `${id}.pdf`,
+  user_id: 3,
+  business_entity_id: null,
+  created_at: '2024-04-03T10:00:00Z',
+  invoice_number: id.toUpperCase(),
+  vendor_name: 'ACME',
+  total_amount: '119.00',
+  currency: 'EUR',
+  due_date: '2024-05-03',
+  step_name: 'Review',
+  step_order: 1,
+  approver_role: 'validator',
+  ...overrides
+});
+
+describe('ApprovalWorkflow.listPending', () => {
+  test('limits an admin to the steps of their own company', async () => {
+    const pool = fakePool({ rows: [pendingRow('doc-1')] });
+    const workflow = new ApprovalWorkflow(pool, permissionService);
+
+    const pending = await workflow.listPending({ id: 1, role: 'admin', company_id: 1 });
+
+    expect(pool.queries[0].sql).toContain('d.company_id = $1');
+    expect(pool.queries[0].sql).not.toContain('s.approver_role =');
+    expect(pool.queries[0].params).toEqual([1]);
+    expect(pending).toEqual([expect.objectContaining({ documentId: 'doc-1', total: 119 })]);
+  });
+
+  test('does not list another company\'s steps to an admin', async () => {
+    const pool = fakePool();
+    const workflow = new ApprovalWorkflow(pool, permissionService);
+
+    await workflow.listPending({ id: 1, role: 'admin', company_id: 1 });
+    await workflow.listPending({ id: 2, role: 'admin', company_id: 2 });
+
+    expect(pool.queries.map(query => query.params)).toEqual([[1], [2]]);
+  });
+
+  test('limits other roles to their company, their steps and their business entities', async () => {
+    const pool = fakePool();
+    const workflow = new ApprovalWorkflow(pool, permissionService);
+
+    await workflow.listPending({ id: 5, role: 'validator', company_id: 1 });
+
+    expect(pool.queries[0].sql).toContain('d.company_id = $1');
+    expect(pool.queries[0].sql).toContain('s.approver_role = $2');
+    expect(pool.queries[0].sql).toContain('ube.user_id = $3');
+    expect(pool.queries[0].params).toEqual([1, 'validator', 5]);
+  });
+});
+
+describe('ApprovalWorkflow.canReview', () => {
+  test('does not let an admin review another company\'s documents', async () => {
+    const workflow = new ApprovalWorkflow(fakePool(), permissionService);
+
+    expect(await workflow.canReview({ id: 1, role: 'admin', company_id: 1 }, { companyId: 1 })).toBe(true);
+    expect(await workflow.canReview({ id: 1, role: 'admin', company_id: 1 }, { companyId: 2 })).toBe(false);
+  });
+});
+
+describe('ApprovalWorkflow.resolveSteps', () => {
+  const ruleRow = { id: 'rule-1', company_id: 1, name: 'CFO sign-off', step_order: 2, approver_role: 'admin', min_amount: '5000', max_amount: null, business_entity_id: null, vendor_pattern: null, is_active: true };
+  const document = (total, currency, baseAmounts = null) => ({
+    companyId: 1,
+    businessEntityId: null,
+    invoiceData: { amounts: { total, currency }, vendor: { name: 'ACME' } },
+    baseAmounts
+  });
+
+  test('compares amount thresholds with the total in the base currency', async () => {
+    const workflow = new ApprovalWorkflow(fakePool({ rows: [ruleRow] }, { rows: [ruleRow] }), permissionService);
+
+    const yen = await workflow.resolveSteps(document(10000, 'JPY', { currency: 'USD', rate: 0.0067, total: 67 }));
+    const dollars = await workflow.resolveSteps(document(10000, 'USD', { currency: 'USD', rate: 1, total: 10000 }));
+
+    expect(yen.map(step => step.name)).toEqual(['Review']);
+    expect(dollars.map(step => step.name)).toEqual(['CFO sign-off']);
+  });
+
+  test('compares the invoice total while no exchange rate is stored', async () => {
+    const workflow = new ApprovalWorkflow(fakePool({ rows: [ruleRow] }, { rows: [ruleRow] }), permissionService);
+
+    const unconverted = await workflow.resolveSteps(document(10000, 'JPY', { currency: 'USD', rate: null, total: null }));
+    const credit = await workflow.resolveSteps(document(-6000, 'USD'));
+
+    expect(unconverted.map(step => step.name)).toEqual(['CFO sign-off']);
+    expect(credit.map(step => step.name)).toEqual(['CFO sign-off']);
+  });
+});
@@ -0,0 +1,295 @@
+// backend/services/auditTrail.js
+// Append-only audit trail. Each company's rows form a hash chain: a row's hash covers its own
+// content and the previous row's hash, so editing, deleting or reordering a row breaks every
+// hash after it and shows up in verify().
+
+const crypto = require('crypto');
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never stored, at any depth of the logged request
+const SECRET_KEY_PATTERN = /password|passwd|secret|token|api[-_]?key|authorization|credential|private[-_]?key/i;
+
+const MAX_EXPORT_ROWS = 10000;
+const VERIFY_BATCH_SIZE = 1000;
+
+// Columns as hashed: text casts keep the values independent of driver and server time zone
+const HASHED_SELECT = `
+  SELECT
+    al.id,
+    al.seq::text AS seq,
+    al.user_id,
+    al.company_id,
+    al.action,
+    al.resource_type,
+    al.resource_id,
+    al.details,
+    al.ip_address::text AS ip_address,
+    al.user_agent,
+    to_char(al.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS created_at_text,
+    al.previous_hash,
+    al.row_hash
+  FROM audit_logs al
+`;
+
+// Replace secret values with a marker, keeping the key so the log still shows it was sent
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redactSecrets(item)
+  ]));
+};
+
+// Query string secrets (e.g. ?token=...) in a logged URL
+const redactUrl = (url) => String(url || '').replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, key) => (
+  SECRET_KEY_PATTERN.test(decodeURIComponent(key)) ? `${separator}${key}=${REDACTED}` : match
+));
+
+// JSON with sorted keys, so the same content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const computeRowHash = (row, previousHash) => crypto
+  .createHash('sha256')
+  .update(`${previousHash || ''}\n${canonicalJson({
+    id: row.id,
+    seq: row.seq,
+    userId: row.user_id,
+    companyId: row.company_id,
+    action: row.action,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    details: row.details,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at_text
+  })}`)
+  .digest('hex');
+
+const mapEntry = (row) => ({
+  id: row.id,
+  seq: Number(row.seq),
+  action: row.action,
+  resourceType: row.resource_type,
+  resourceId: row.resource_id,
+  details: row.details || {},
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  user: row.user_id
+    ? { id: row.user_id, email: row.email, firstName: row.first_name, lastName: row.last_name }
+    : null,
+  rowHash: row.row_hash,
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+class AuditTrail {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Append one event to its company's chain. Secrets are redacted here, whatever the caller passed.
+  async record({ userId = null, companyId = null, action, resourceType, resourceId = null, details = {}, ipAddress = null, userAgent = null }) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      // Appends to one chain are serialized so two rows never claim the same predecessor
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('audit_logs'), $1)", [companyId || 0]);
+
+      const previous = await client.query(`
+        SELECT row_hash FROM audit_logs
+        WHERE company_id IS NOT DISTINCT FROM $1 AND row_hash IS NOT NULL
+        ORDER BY seq DESC
+        LIMIT 1
+      `, [companyId]);
+      const previousHash = previous.rows[0]?.row_hash || null;
+
+      const inserted = await client.query(`
+        INSERT INTO audit_logs (user_id, company_id, action, resource_type, resource_id, details, ip_address, user_agent, previous_hash)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        userId,
+        companyId,
+        action,
+        resourceType,
+        resourceId === null || resourceId === undefined ? null : String(resourceId),
+        JSON.stringify(redactSecrets(details)),
+        ipAddress,
+        userAgent,
+        previousHash
+      ]);
+
+      // Hash the row as stored, so verification reads back exactly what was sealed
+      const stored = await client.query(`${HASHED_SELECT} WHERE al.id = $1`, [inserted.rows[0].id]);
+      await client.query(
+        'UPDATE audit_logs SET row_hash = $2 WHERE id = $1',
+        [inserted.rows[0].id, computeRowHash(stored.rows[0], previousHash)]
+      );
+
+      await client.query('COMMIT');
+      return inserted.rows[0].id;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  buildFilters(companyId, filters = {}) {
+    const conditions = ['al.company_id = $1'];
+    const params = [companyId];
+
+    if (filters.action) {
+      params.push(filters.action);
+      conditions.push(`al.action = $${params.length}`);
+    }
+    if (filters.resourceType) {
+      params.push(filters.resourceType);
+      conditions.push(`al.resource_type = $${params.length}`);
+    }
+    if (filters.resourceId) {
+      params.push(String(filters.resourceId));
+      conditions.push(`al.resource_id = $${params.length}`);
+    }
+    if (filters.userId) {
+      params.push(filters.userId);
+      conditions.push(`al.user_id = $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`al.created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`al.created_at <= $${params.length}`);
+    }
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      conditions.push(`(
+        al.action ILIKE $${params.length} OR al.resource_id ILIKE $${params.length} OR
+        u.email ILIKE $${params.length} OR al.details::text ILIKE $${params.length}
+      )`);
+    }
+
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+  }
+
+  async list(companyId, { page = 1, limit = 50, ...filters } = {}) {
+    const { where, params } = this.buildFilters(companyId, filters);
+
+    const countResult = await this.pool.query(`
+      SELECT COUNT(*)::int AS count
+      FROM audit_logs al
+      LEFT JOIN users u ON u.id = al.user_id
+      ${where}
+    `, params);
+
+    const result = await this.pool.query(`
+      SELECT al.*, al.seq::text AS seq, host(al.ip_address) AS ip_address, u.email, u.first_name, u.last_name
+      FROM audit_logs al
+      LEFT JOIN users u ON u.id = al.user_id
+      ${where}
+      ORDER BY al.seq DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    const total = countResult.rows[0].count;
+    return {
+      entries: result.rows.map(mapEntry),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // Every matching entry for download, newest first
+  async exportEntries(companyId, filters = {}) {
+    const { where, params } = this.buildFilters(companyId, filters);
+
+    const result = await this.pool.query(`
+      SELECT al.*, al.seq::text AS seq, host(al.ip_address) AS ip_address, u.email, u.first_name, u.last_name
+      FROM audit_logs al
+      LEFT JOIN users u ON u.id = al.user_id
+      ${where}
+      ORDER BY al.seq DESC
+      LIMIT ${MAX_EXPORT_ROWS}
+    `, params);
+
+    return result.rows.map(mapEntry);
+  }
+
+  async listActions(companyId) {
+    const result = await this.pool.query(`
+      SELECT DISTINCT action, resource_type FROM audit_logs WHERE company_id = $1 ORDER BY action
+    `, [companyId]);
+    return {
+      actions: [...new Set(result.rows.map(row => row.action))],
+      resourceTypes: [...new Set(result.rows.map(row => row.resource_type))].sort()
+    };
+  }
+
+  // Walk the company's chain from the first sealed row and recompute every hash. Rows written
+  // before the chain existed are counted as unsealed; an unsealed row after that point is a break.
+  async verify(companyId) {
+    let lastSeq = '0';
+    let previousHash = null;
+    let sealing = false;
+    let checked = 0;
+    let unsealed = 0;
+
+    for (;;) {
+      const batch = await this.pool.query(`
+        ${HASHED_SELECT}
+        WHERE al.company_id = $1 AND al.seq > $2
+        ORDER BY al.seq ASC
+        LIMIT ${VERIFY_BATCH_SIZE}
+      `, [companyId, lastSeq]);
+
+      for (const row of batch.rows) {
+        lastSeq = row.seq;
+
+        if (!row.row_hash) {
+          if (sealing) return { valid: false, checked, unsealed, brokenAt: row.id, reason: 'Row has no hash' };
+          unsealed++;
+          continue;
+        }
+
+        if ((row.previous_hash || null) !== previousHash) {
+          return { valid: false, checked, unsealed, brokenAt: row.id, reason: 'Previous row is missing or was changed' };
+        }
+        if (computeRowHash(row, previousHash) !== row.row_hash) {
+          return { valid: false, checked, unsealed, brokenAt: row.id, reason: 'Row content was changed' };
+        }
+
+        sealing = true;
+        previousHash = row.row_hash;
+        checked++;
+      }
+
+      if (batch.rows.length < VERIFY_BATCH_SIZE) break;
+    }
+
+    return { valid: true, checked, unsealed, brokenAt: null, reason: null, lastHash: previousHash };
+  }
+}
+
+module.exports = {
+  AuditTrail,
+  redactSecrets,
+  redactUrl,
+  computeRowHash,
+  REDACTED
+};
@@ -0,0 +1,313 @@
+// backend/services/businessEntityRepository.js
+// Business entities (the legal entities of a company that invoices are billed to), the users
+// assigned to review each one, and matching an invoice's bill-to party to an entity.
+
+const { vendorSimilarity, diceSimilarity } = require('./duplicateDetector');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How the document got its entity
+const ENTITY_SOURCES = ['upload', 'inferred', 'manual'];
+
+// An inferred entity is only assigned at or above this confidence
+const AUTO_ASSIGN_CONFIDENCE = 70;
+
+const NAME_SIMILARITY_THRESHOLD = 0.75;
+const ADDRESS_SIMILARITY_THRESHOLD = 0.8;
+
+const normalizeTaxId = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+const normalizeAddress = (value) => (value
+  ? String(value).toLowerCase().replace(/[^a-z0-9]/g, '')
+  : '');
+
+class BusinessEntityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BusinessEntityError';
+    this.statusCode = statusCode;
+  }
+}
+
+const mapEntity = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    companyId: row.company_id,
+    code: row.code,
+    name: row.name,
+    aliases: row.aliases || [],
+    address: row.address || null,
+    defaultCurrency: row.default_currency || null,
+    taxId: row.tax_id || null,
+    defaultTaxRate: row.default_tax_rate === null || row.default_tax_rate === undefined
+      ? null
+      : Number(row.default_tax_rate),
+    isActive: row.is_active !== false,
+    users: row.users || [],
+    documentCount: Number(row.document_count || 0),
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+};
+
+// Score one entity against an invoice's bill-to party; null when nothing points to it
+const scoreEntity = (entity, billTo) => {
+  const reasons = [];
+
+  const billToTaxId = normalizeTaxId(billTo.taxId);
+  if (billToTaxId && billToTaxId === normalizeTaxId(entity.taxId)) {
+    reasons.push({ method: 'tax_id', confidence: 100 });
+  }
+
+  const nameSimilarity = billTo.name
+    ? Math.max(0, ...[entity.name, ...entity.aliases].map(name => vendorSimilarity(name, billTo.name)))
+    : 0;
+  const addressSimilarity = billTo.address && entity.address
+    ? diceSimilarity(normalizeAddress(entity.address), normalizeAddress(billTo.address))
+    : 0;
+
+  if (nameSimilarity >= NAME_SIMILARITY_THRESHOLD) {
+    // A matching address on top of the name settles entities with similar names
+    const addressBonus = addressSimilarity >= ADDRESS_SIMILARITY_THRESHOLD ? 15 : 0;
+    reasons.push({ method: 'name', confidence: Math.min(95, Math.round((80 * nameSimilarity + addressBonus) * 10) / 10) });
+  } else if (addressSimilarity >= ADDRESS_SIMILARITY_THRESHOLD) {
+    reasons.push({ method: 'address', confidence: Math.round(75 * addressSimilarity * 10) / 10 });
+  }
+
+  if (reasons.length === 0) return null;
+  return reasons.sort((a, b) => b.confidence - a.confidence)[0];
+};
+
+class BusinessEntityRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // ===============================
+  // ENTITIES
+  // ===============================
+
+  async list(companyId, { includeInactive = true } = {}) {
+    const conditions = ['be.company_id = $1'];
+    if (!includeInactive) conditions.push('be.is_active = TRUE');
+
+    const result = await this.pool.query(`
+      SELECT
+        be.*,
+        (SELECT COUNT(*) FROM documents d WHERE d.business_entity_id = be.id) AS document_count,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', u.id, 'email', u.email, 'firstName', u.first_name, 'lastName', u.last_name, 'role', u.role
+          ) ORDER BY u.first_name, u.last_name)
+          FROM user_business_entities ube
+          JOIN users u ON u.id = ube.user_id
+          WHERE ube.business_entity_id = be.id AND u.status <> 'deleted'
+        ), '[]') AS users
+      FROM business_entities be
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY be.code ASC
+    `, [companyId]);
+
+    return result.rows.map(mapEntity);
+  }
+
+  async findById(entityId, companyId) {
+    if (!UUID_PATTERN.test(String(entityId))) return null;
+
+    return (await this.list(companyId)).find(entity => entity.id === entityId) || null;
+  }
+
+  async create(entity, companyId) {
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO business_entities (
+          company_id, code, name, aliases, address, default_currency, tax_id, default_tax_rate, is_active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        companyId,
+        entity.code,
+        entity.name,
+        JSON.stringify(entity.aliases || []),
+        entity.address || null,
+        entity.defaultCurrency || null,
+        entity.taxId || null,
+        entity.defaultTaxRate ?? null,
+        entity.isActive !== false
+      ]);
+
+      return this.findById(result.rows[0].id, companyId);
+    } catch (error) {
+      throw this.translateError(error, entity.code);
+    }
+  }
+
+  async update(entityId, companyId, entity) {
+    if (!UUID_PATTERN.test(String(entityId))) return null;
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE business_entities
+        SET code = $3,
+            name = $4,
+            aliases = $5,
+            address = $6,
+            default_currency = $7,
+            tax_id = $8,
+            default_tax_rate = $9,
+            is_active = $10,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND company_id = $2
+        RETURNING id
+      `, [
+        entityId,
+        companyId,
+        entity.code,
+        entity.name,
+        JSON.stringify(entity.aliases || []),
+        entity.address || null,
+        entity.defaultCurrency || null,
+        entity.taxId || null,
+        entity.defaultTaxRate ?? null,
+        entity.isActive !== false
+      ]);
+
+      return result.rows.length > 0 ? this.findById(entityId, companyId) : null;
+    } catch (error) {
+      throw this.translateError(error, entity.code);
+    }
+  }
+
+  // Documents keep existing but lose their entity (and go back to company-wide review)
+  async delete(entityId, companyId) {
+    if (!UUID_PATTERN.test(String(entityId))) return false;
+
+    const result = await this.pool.query(
+      'DELETE FROM business_entities WHERE id = $1 AND company_id = $2',
+      [entityId, companyId]
+    );
+    return result.rowCount > 0;
+  }
+
+  translateError(error, code) {
+    if (error.code === '23505') {
+      return new BusinessEntityError(`A business entity with code "${code}" already exists`, 409);
+    }
+    return error;
+  }
+
+  // ===============================
+  // USER ASSIGNMENTS
+  // ===============================
+
+  // Replace the users assigned to an entity; only users of the same company can be assigned
+  async setUsers(entityId, companyId, userIds, assignedBy) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const entity = await client.query(
+        'SELECT id FROM business_entities WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [entityId, companyId]
+      );
+      if (entity.rows.length === 0) {
+        throw new BusinessEntityError('Business entity not found', 404);
+      }
+
+      const users = await client.query(
+        `SELECT id FROM users WHERE id = ANY($1::int[]) AND company_id = $2 AND status <> 'deleted'`,
+        [userIds, companyId]
+      );
+      if (users.rows.length !== userIds.length) {
+        throw new BusinessEntityError('Some users do not exist in this company');
+      }
+
+      await client.query(
+        'DELETE FROM user_business_entities WHERE business_entity_id = $1 AND NOT (user_id = ANY($2::int[]))',
+        [entityId, userIds]
+      );
+      await client.query(`
+        INSERT INTO user_business_entities (user_id, business_entity_id, assigned_by)
+        SELECT user_id, $2, $3 FROM UNNEST($1::int[]) AS user_id
+        ON CONFLICT (user_id, business_entity_id) DO NOTHING
+      `, [userIds, entityId, assignedBy]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findById(entityId, companyId);
+  }
+
+  async entityIdsForUser(userId) {
+    const result = await this.pool.query(
+      'SELECT business_entity_id FROM user_business_entities WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows.map(row => row.business_entity_id);
+  }
+
+  // ===============================
+  // DOCUMENTS
+  // ===============================
+
+  // Rank this company's active entities against an invoice's bill-to party
+  async findCandidates(companyId, invoiceData, limit = 5) {
+    const billTo = invoiceData?.billTo && typeof invoiceData.billTo === 'object'
+      ? invoiceData.billTo
+      : { name: invoiceData?.billTo };
+
+    if (!billTo.name && !billTo.address && !billTo.taxId) return [];
+
+    const entities = await this.list(companyId, { includeInactive: false });
+
+    return entities
+      .map(entity => ({ entity, match: scoreEntity(entity, billTo) }))
+      .filter(candidate => candidate.match)
+      .sort((a, b) => b.match.confidence - a.match.confidence)
+      .slice(0, limit)
+      .map(({ entity, match }) => ({ entity, ...match }));
+  }
+
+  async assignDocument(documentId, entityId, source) {
+    await this.pool.query(`
+      UPDATE documents
+      SET business_entity_id = $2, business_entity_source = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [documentId, entityId, entityId ? source : null]);
+  }
+
+  // Infer the entity of a processed document from its bill-to party. Entities chosen at upload or
+  // by hand are kept; an earlier inference is redone since corrected data may point elsewhere.
+  async matchDocument(document) {
+    if (document.businessEntityId && document.businessEntitySource !== 'inferred') {
+      return { businessEntityId: document.businessEntityId, method: document.businessEntitySource, candidates: [] };
+    }
+
+    const candidates = await this.findCandidates(document.companyId, document.invoiceData);
+    const best = candidates[0];
+
+    if (best && best.confidence >= AUTO_ASSIGN_CONFIDENCE) {
+      await this.assignDocument(document.id, best.entity.id, 'inferred');
+      return { businessEntityId: best.entity.id, confidence: best.confidence, method: best.method, candidates };
+    }
+
+    if (document.businessEntityId) {
+      await this.assignDocument(document.id, null, null);
+    }
+    return { businessEntityId: null, confidence: best?.confidence || null, method: null, candidates };
+  }
+}
+
+module.exports = {
+  BusinessEntityRepository,
+  BusinessEntityError,
+  ENTITY_SOURCES
+};
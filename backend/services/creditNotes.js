@@ -0,0 +1,145 @@
+// backend/services/creditNotes.js
+// Credit and debit notes linked to the invoice they adjust, by the invoice number they refer to, and
+// the balance of an invoice net of its adjustments and payments. Credit notes are stored with negative
+// amounts, so every balance here is a plain sum.
+
+const { ADJUSTMENT_TYPES } = require('../utils/document-type');
+
+// Invoice numbers are compared without separators or case: "INV-1023" refers to "inv 1023"
+const normalizedNumber = (column) => `regexp_replace(upper(COALESCE(${column}, '')), '[^A-Z0-9]', '', 'g')`;
+const normalizeNumber = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Adjustments a rejection took out of the books do not count towards a balance
+const VOID_WORKFLOW_STATUSES = ['rejected'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => (value === null || value === undefined ? null : Number(value));
+
+const mapSummary = (row) => ({
+  id: row.id,
+  originalName: row.original_name,
+  documentType: row.document_type || 'invoice',
+  invoiceNumber: row.invoice_number,
+  date: row.invoice_date ? new Date(row.invoice_date).toISOString().slice(0, 10) : null,
+  total: toAmount(row.total_amount),
+  currency: row.currency,
+  workflowStatus: row.workflow_status || null,
+  paymentStatus: row.payment_status || null,
+  paidAmount: toAmount(row.paid_amount)
+});
+
+const SUMMARY_SELECT = `
+  SELECT d.id, d.original_name, d.workflow_status, inv.document_type, inv.invoice_number, inv.invoice_date,
+         inv.total_amount, inv.currency, dp.status AS payment_status,
+         CASE WHEN dp.status = 'paid' THEN dp.amount ELSE NULL END AS paid_amount
+  FROM documents d
+  JOIN invoice_data inv ON inv.document_id = d.id
+  LEFT JOIN document_payments dp ON dp.document_id = d.id
+`;
+
+class CreditNoteService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Link a credit or debit note to the invoice it refers to, preferring one from the same vendor; for
+  // an invoice, link the notes that were waiting for it. Returns { originalDocumentId, linked }.
+  async link(document) {
+    const documentType = document.invoiceData?.documentType || document.documentType || 'invoice';
+
+    if (ADJUSTMENT_TYPES.includes(documentType)) {
+      const reference = normalizeNumber(document.invoiceData?.referencedInvoiceNumber || document.referencedInvoiceNumber);
+      let originalDocumentId = null;
+
+      if (reference) {
+        const result = await this.pool.query(`
+          SELECT d.id
+          FROM documents d
+          JOIN invoice_data inv ON inv.document_id = d.id
+          WHERE d.company_id = $1
+            AND d.id <> $2
+            AND inv.document_type NOT IN ('credit_note', 'debit_note')
+            AND ${normalizedNumber('inv.invoice_number')} = $3
+          ORDER BY CASE WHEN $4::uuid IS NOT NULL AND d.vendor_id = $4::uuid THEN 0 ELSE 1 END, d.created_at DESC
+          LIMIT 1
+        `, [document.companyId, document.id, reference, document.vendorId || null]);
+        originalDocumentId = result.rows[0]?.id || null;
+      }
+
+      await this.pool.query(
+        'UPDATE invoice_data SET original_document_id = $2 WHERE document_id = $1',
+        [document.id, originalDocumentId]
+      );
+      return { originalDocumentId, linked: originalDocumentId ? 1 : 0 };
+    }
+
+    await this.pool.query('UPDATE invoice_data SET original_document_id = NULL WHERE document_id = $1', [document.id]);
+
+    const number = normalizeNumber(document.invoiceData?.invoiceNumber);
+    if (!number) return { originalDocumentId: null, linked: 0 };
+
+    const result = await this.pool.query(`
+      UPDATE invoice_data inv
+      SET original_document_id = $1
+      FROM documents d
+      WHERE d.id = inv.document_id
+        AND d.company_id = $2
+        AND d.id <> $1
+        AND inv.document_type = ANY($3::varchar[])
+        AND inv.original_document_id IS NULL
+        AND ${normalizedNumber('inv.referenced_invoice_number')} = $4
+    `, [document.id, document.companyId, ADJUSTMENT_TYPES, number]);
+
+    return { originalDocumentId: null, linked: result.rowCount };
+  }
+
+  // The invoice a document belongs to (itself, or the invoice a note adjusts), its credit and debit
+  // notes, and its balance: total plus adjustments, less what payment runs paid against any of them
+  async getAdjustments(document) {
+    const adjustment = ADJUSTMENT_TYPES.includes(document.documentType);
+    const invoiceId = adjustment ? document.originalDocumentId : document.id;
+
+    const response = {
+      documentId: document.id,
+      documentType: document.documentType,
+      referencedInvoiceNumber: document.referencedInvoiceNumber,
+      invoice: null,
+      adjustments: [],
+      balance: null
+    };
+    if (!invoiceId) return response;
+
+    const [invoiceResult, adjustmentsResult] = await Promise.all([
+      this.pool.query(`${SUMMARY_SELECT} WHERE d.id = $1`, [invoiceId]),
+      this.pool.query(`${SUMMARY_SELECT} WHERE inv.original_document_id = $1 ORDER BY inv.invoice_date NULLS LAST, d.created_at`, [invoiceId])
+    ]);
+    if (invoiceResult.rows.length === 0) return response;
+
+    const invoice = mapSummary(invoiceResult.rows[0]);
+    const adjustments = adjustmentsResult.rows.map(mapSummary);
+    const counted = adjustments.filter(entry => !VOID_WORKFLOW_STATUSES.includes(entry.workflowStatus));
+
+    const total = invoice.total || 0;
+    const adjustmentTotal = round(counted.reduce((sum, entry) => sum + (entry.total || 0), 0));
+    const paid = round([invoice, ...counted].reduce((sum, entry) => sum + (entry.paidAmount || 0), 0));
+
+    return {
+      ...response,
+      invoice,
+      adjustments,
+      balance: {
+        currency: invoice.currency,
+        total: round(total),
+        adjustments: adjustmentTotal,
+        net: round(total + adjustmentTotal),
+        paid,
+        outstanding: round(total + adjustmentTotal - paid)
+      }
+    };
+  }
+}
+
+module.exports = {
+  CreditNoteService
+};
@@ -0,0 +1,114 @@
+// backend/services/creditNotes.test.js
+
+const { CreditNoteService } = require('./creditNotes');
+
+// A pool that answers each query with the next of the given results and records what it was asked
+const fakePool = (...results) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return results.shift() || { rows: [], rowCount: 0 };
+    }
+  };
+};
+
+const summaryRow = (id, documentType, total, overrides = {}) => ({
+  id,
+  original_name: `${id}.pdf`,
+  document_type: documentType,
+  invoice_number: id.toUpperCase(),
+  invoice_date: '2024-04-03',
+  total_amount: String(total),
+  currency: 'EUR',
+  workflow_status: 'approved',
+  payment_status: null,
+  paid_amount: null,
+  ...overrides
+});
+
+describe('CreditNoteService.link', () => {
+  test('links a credit note to the invoice it refers to, compared without separators', async () => {
+    const pool = fakePool({ rows: [{ id: 'invoice-1' }] }, { rowCount: 1 });
+    const service = new CreditNoteService(pool);
+
+    const result = await service.link({
+      id: 'credit-1',
+      companyId: 7,
+      vendorId: null,
+      invoiceData: { documentType: 'credit_note', referencedInvoiceNumber: 'inv 1023' }
+    });
+
+    expect(result).toEqual({ originalDocumentId: 'invoice-1', linked: 1 });
+    expect(pool.queries[0].params).toEqual([7, 'credit-1', 'INV1023', null]);
+    expect(pool.queries[1].params).toEqual(['credit-1', 'invoice-1']);
+  });
+
+  test('clears the link of a credit note that refers to no known invoice', async () => {
+    const pool = fakePool({ rows: [] });
+    const service = new CreditNoteService(pool);
+
+    const result = await service.link({ id: 'credit-1', companyId: 7, invoiceData: { documentType: 'credit_note', referencedInvoiceNumber: 'INV-9' } });
+
+    expect(result).toEqual({ originalDocumentId: null, linked: 0 });
+    expect(pool.queries[1].params).toEqual(['credit-1', null]);
+  });
+
+  test('links the notes that were waiting for a new invoice', async () => {
+    const pool = fakePool({ rowCount: 0 }, { rowCount: 2 });
+    const service = new CreditNoteService(pool);
+
+    const result = await service.link({ id: 'invoice-1', companyId: 7, invoiceData: { documentType: 'invoice', invoiceNumber: 'INV-1023' } });
+
+    expect(result).toEqual({ originalDocumentId: null, linked: 2 });
+    expect(pool.queries[1].params).toEqual(['invoice-1', 7, ['credit_note', 'debit_note'], 'INV1023']);
+  });
+});
+
+describe('CreditNoteService.getAdjustments', () => {
+  test('nets the invoice against its credit and debit notes and what was paid', async () => {
+    const pool = fakePool(
+      { rows: [summaryRow('inv-1', 'invoice', 119, { payment_status: 'paid', paid_amount: '60.00' })] },
+      {
+        rows: [
+          summaryRow('cn-1', 'credit_note', -29.75, { payment_status: 'paid', paid_amount: '-29.75' }),
+          summaryRow('cn-2', 'credit_note', -10, { workflow_status: 'rejected' }),
+          summaryRow('dn-1', 'debit_note', 5.5)
+        ]
+      }
+    );
+    const service = new CreditNoteService(pool);
+
+    const result = await service.getAdjustments({ id: 'cn-1', documentType: 'credit_note', originalDocumentId: 'inv-1', referencedInvoiceNumber: 'INV-1' });
+
+    expect(pool.queries.map(query => query.params)).toEqual([['inv-1'], ['inv-1']]);
+    expect(result.invoice).toMatchObject({ id: 'inv-1', total: 119, paidAmount: 60 });
+    expect(result.adjustments.map(entry => entry.total)).toEqual([-29.75, -10, 5.5]);
+    expect(result.balance).toEqual({
+      currency: 'EUR',
+      total: 119,
+      adjustments: -24.25,
+      net: 94.75,
+      paid: 30.25,
+      outstanding: 64.5
+    });
+  });
+
+  test('has no balance for a credit note that is not linked to an invoice', async () => {
+    const pool = fakePool();
+    const service = new CreditNoteService(pool);
+
+    const result = await service.getAdjustments({ id: 'cn-1', documentType: 'credit_note', originalDocumentId: null, referencedInvoiceNumber: 'INV-9' });
+
+    expect(result).toEqual({
+      documentId: 'cn-1',
+      documentType: 'credit_note',
+      referencedInvoiceNumber: 'INV-9',
+      invoice: null,
+      adjustments: [],
+      balance: null
+    });
+    expect(pool.queries).toEqual([]);
+  });
+});
@@ -0,0 +1,458 @@
+// backend/services/documentRepository.js
+// PostgreSQL-backed document store (documents + invoice_data + processing_metrics), with every
+// extraction and edit of the invoice data kept as a revision
+
+const { DOCUMENT_TYPES } = require('../utils/document-type');
+
+const IN_FLIGHT_STATUSES = ['uploaded', 'processing'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DOCUMENT_SELECT = `
+  SELECT
+    d.*,
+    inv.data AS invoice_data_json,
+    inv.original_data AS original_invoice_data_json,
+    inv.document_type,
+    inv.referenced_invoice_number,
+    inv.original_document_id,
+    inv.source_currency,
+    inv.base_currency,
+    inv.exchange_rate,
+    inv.exchange_rate_date,
+    inv.base_subtotal,
+    inv.base_tax_amount,
+    inv.base_total_amount,
+    pm.metrics AS metrics_json,
+    ven.name AS matched_vendor_name,
+    be.code AS business_entity_code,
+    be.name AS business_entity_name,
+    de.exported_at,
+    de.format AS exported_format,
+    dp.status AS payment_status,
+    dp.batch_id AS payment_batch_id,
+    (
+      SELECT COUNT(*) FROM document_duplicates dd
+      WHERE dd.document_id = d.id AND dd.status = 'open'
+    )::int AS open_duplicate_count
+  FROM documents d
+  LEFT JOIN invoice_data inv ON inv.document_id = d.id
+  LEFT JOIN processing_metrics pm ON pm.document_id = d.id
+  LEFT JOIN vendors ven ON ven.id = d.vendor_id
+  LEFT JOIN business_entities be ON be.id = d.business_entity_id
+  LEFT JOIN document_exports de ON de.document_id = d.id
+  LEFT JOIN document_payments dp ON dp.document_id = d.id
+`;
+
+// Only hand well-formed ISO dates to DATE columns
+const toSqlDate = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+};
+
+const toSqlAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(num) ? null : Math.round(num * 100) / 100;
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Amounts converted into the company's base currency (see services/exchangeRates); rate is null
+// while no exchange rate for the invoice currency is stored
+const mapBaseAmounts = (row) => (row.base_currency
+  ? {
+    sourceCurrency: row.source_currency,
+    currency: row.base_currency,
+    rate: toNumber(row.exchange_rate),
+    rateDate: row.exchange_rate_date ? toIso(row.exchange_rate_date).slice(0, 10) : null,
+    subtotal: toNumber(row.base_subtotal),
+    tax: toNumber(row.base_tax_amount),
+    total: toNumber(row.base_total_amount)
+  }
+  : null);
+
+// Map a joined row to the document shape the API and frontend already use
+const mapRow = (row, { includeText = true } = {}) => {
+  if (!row) return null;
+
+  const document = {
+    id: row.id,
+    userId: row.user_id,
+    companyId: row.company_id,
+    originalName: row.original_name,
+    filename: row.filename,
+    filePath: row.file_path,
+    fileSize: Number(row.file_size) || 0,
+    mimetype: row.mime_type,
+    status: row.status,
+    workflowStatus: row.workflow_status || null,
+    businessEntityId: row.business_entity_id || null,
+    businessEntitySource: row.business_entity_source || null,
+    businessEntity: row.business_entity_id
+      ? { id: row.business_entity_id, code: row.business_entity_code, name: row.business_entity_name }
+      : null,
+    fileHash: row.file_hash || null,
+    openDuplicateCount: row.open_duplicate_count || 0,
+    vendorId: row.vendor_id || null,
+    vendorMatchConfidence: row.vendor_match_confidence === null || row.vendor_match_confidence === undefined
+      ? null
+      : Number(row.vendor_match_confidence),
+    vendorMatchMethod: row.vendor_match_method || null,
+    matchedVendor: row.vendor_id ? { id: row.vendor_id, name: row.matched_vendor_name } : null,
+    exportedAt: toIso(row.exported_at),
+    exportedFormat: row.exported_format || null,
+    paymentStatus: row.payment_status || null,
+    paymentBatchId: row.payment_batch_id || null,
+    pageCount: row.page_count || 1,
+    parentDocumentId: row.parent_document_id || null,
+    pageRange: row.page_start ? { start: row.page_start, end: row.page_end } : null,
+    documentClass: row.document_class || null,
+    pageClassification: row.page_classification || null,
+    documentType: row.document_type || 'invoice',
+    referencedInvoiceNumber: row.referenced_invoice_number || null,
+    originalDocumentId: row.original_document_id || null,
+    baseAmounts: mapBaseAmounts(row),
+    createdAt: toIso(row.created_at),
+    processingStartedAt: toIso(row.processing_started_at),
+    completedAt: toIso(row.processing_completed_at),
+    lastModified: toIso(row.last_modified),
+    isManuallyEdited: row.is_manually_edited || false,
+    editedBy: row.edited_by,
+    error: row.error_message || null,
+    processingMethod: row.processing_method,
+    extractionMethods: row.extraction_methods || [],
+    invoiceData: row.invoice_data_json || null,
+    originalInvoiceData: row.original_invoice_data_json || null,
+    metrics: row.metrics_json || null
+  };
+
+  if (includeText) {
+    document.extractedText = row.extracted_text || '';
+  }
+
+  return document;
+};
+
+class DocumentRepository {
+  constructor(pool, revisions) {
+    this.pool = pool;
+    this.revisions = revisions;
+  }
+
+  async create(document) {
+    const result = await this.pool.query(`
+      INSERT INTO documents (
+        id, user_id, company_id, original_name, filename, file_path,
+        file_size, mime_type, status, business_entity_id, business_entity_source, file_hash
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id
+    `, [
+      document.id,
+      document.userId,
+      document.companyId,
+      document.originalName,
+      document.filename,
+      document.filePath,
+      document.fileSize || 0,
+      document.mimetype,
+      document.status || 'uploaded',
+      document.businessEntityId || null,
+      document.businessEntityId ? 'upload' : null,
+      document.fileHash || null
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  // Back to the queue after a manual retry
+  async markQueued(documentId) {
+    await this.pool.query(`
+      UPDATE documents
+      SET status = 'uploaded',
+          error_message = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [documentId]);
+  }
+
+  async markProcessing(documentId) {
+    await this.pool.query(`
+      UPDATE documents
+      SET status = 'processing',
+          error_message = NULL,
+          processing_started_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [documentId]);
+  }
+
+  async markFailed(documentId, errorMessage) {
+    await this.pool.query(`
+      UPDATE documents
+      SET status = 'failed',
+          error_message = $2,
+          processing_completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [documentId, errorMessage]);
+  }
+
+  // Persist a finished extraction: text on documents, data and metrics in their own tables
+  async saveResults(documentId, result) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const invoiceData = result.invoiceData || {};
+      const metrics = result.metrics || {};
+
+      await client.query(`
+        UPDATE documents
+        SET status = 'completed',
+            extracted_text = $2,
+            page_count = $3,
+            extraction_methods = $4,
+            processing_method = $5,
+            error_message = NULL,
+            processing_completed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [
+        documentId,
+        result.extractedText || null,
+        metrics.pagesProcessed || 1,
+        JSON.stringify(result.extractionMethods || []),
+        metrics.method || metrics.processingMethod || null
+      ]);
+
+      await this.upsertInvoiceData(client, documentId, invoiceData, { resetOriginal: true });
+      await this.revisions.record(client, documentId, invoiceData, { source: 'extraction' });
+
+      await client.query(`
+        INSERT INTO processing_metrics (
+          document_id, average_ocr_confidence, total_text_length,
+          pages_processed, processing_time_ms, metrics
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (document_id) DO UPDATE SET
+          average_ocr_confidence = EXCLUDED.average_ocr_confidence,
+          total_text_length = EXCLUDED.total_text_length,
+          pages_processed = EXCLUDED.pages_processed,
+          processing_time_ms = EXCLUDED.processing_time_ms,
+          metrics = EXCLUDED.metrics
+      `, [
+        documentId,
+        toSqlAmount(metrics.averageConfidence ?? metrics.confidence),
+        (result.extractedText || '').length,
+        metrics.pagesProcessed || 1,
+        Math.round(metrics.processingTime || 0),
+        JSON.stringify(metrics)
+      ]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async upsertInvoiceData(client, documentId, invoiceData, { resetOriginal = false } = {}) {
+    await client.query(`
+      INSERT INTO invoice_data (
+        document_id, invoice_number, invoice_date, due_date, vendor_name,
+        subtotal, tax_amount, total_amount, currency, data, original_data, updated_at,
+        document_type, referenced_invoice_number
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10, CURRENT_TIMESTAMP, $12, $13)
+      ON CONFLICT (document_id) DO UPDATE SET
+        invoice_number = EXCLUDED.invoice_number,
+        invoice_date = EXCLUDED.invoice_date,
+        due_date = EXCLUDED.due_date,
+        vendor_name = EXCLUDED.vendor_name,
+        subtotal = EXCLUDED.subtotal,
+        tax_amount = EXCLUDED.tax_amount,
+        total_amount = EXCLUDED.total_amount,
+        currency = EXCLUDED.currency,
+        data = EXCLUDED.data,
+        original_data = CASE WHEN $11::boolean THEN EXCLUDED.original_data ELSE invoice_data.original_data END,
+        document_type = EXCLUDED.document_type,
+        referenced_invoice_number = EXCLUDED.referenced_invoice_number,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      documentId,
+      invoiceData.invoiceNumber ? String(invoiceData.invoiceNumber).substring(0, 100) : null,
+      toSqlDate(invoiceData.date),
+      toSqlDate(invoiceData.dueDate),
+      invoiceData.vendor?.name ? String(invoiceData.vendor.name).substring(0, 255) : null,
+      toSqlAmount(invoiceData.amounts?.subtotal),
+      toSqlAmount(invoiceData.amounts?.tax),
+      toSqlAmount(invoiceData.amounts?.total),
+      invoiceData.amounts?.currency ? String(invoiceData.amounts.currency).substring(0, 3) : null,
+      JSON.stringify(invoiceData),
+      resetOriginal,
+      DOCUMENT_TYPES.includes(invoiceData.documentType) ? invoiceData.documentType : 'invoice',
+      invoiceData.referencedInvoiceNumber ? String(invoiceData.referencedInvoiceNumber).substring(0, 100) : null
+    ]);
+  }
+
+  // Manual edit from the review screen, or a revert to an earlier revision
+  async updateInvoiceData(documentId, invoiceData, metrics, editedBy, { source = 'edit', revertedToVersion = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE documents
+        SET status = 'completed',
+            is_manually_edited = true,
+            edited_by = $2,
+            last_modified = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [documentId, editedBy]);
+
+      await this.upsertInvoiceData(client, documentId, invoiceData);
+      await this.revisions.record(client, documentId, invoiceData, { source, editedBy, revertedToVersion });
+
+      await client.query(`
+        UPDATE processing_metrics SET metrics = $2 WHERE document_id = $1
+      `, [documentId, JSON.stringify(metrics || {})]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findById(documentId);
+  }
+
+  async findById(documentId) {
+    if (!UUID_PATTERN.test(String(documentId))) return null;
+
+    const result = await this.pool.query(`${DOCUMENT_SELECT} WHERE d.id = $1`, [documentId]);
+    return mapRow(result.rows[0]);
+  }
+
+  async findByIds(documentIds, userId) {
+    const validIds = documentIds.filter(id => UUID_PATTERN.test(String(id)));
+    if (validIds.length === 0) return [];
+
+    const result = await this.pool.query(
+      `${DOCUMENT_SELECT} WHERE d.id = ANY($1::uuid[]) AND d.user_id = $2`,
+      [validIds, userId]
+    );
+    return result.rows.map(row => mapRow(row));
+  }
+
+  async findByFilename(filename, userId) {
+    const result = await this.pool.query(
+      `${DOCUMENT_SELECT} WHERE d.filename = $1 AND d.user_id = $2 ORDER BY d.parent_document_id NULLS FIRST`,
+      [filename, userId]
+    );
+    return mapRow(result.rows[0]);
+  }
+
+  // Documents split out of an upload, in page order
+  async listChildren(parentDocumentId) {
+    if (!UUID_PATTERN.test(String(parentDocumentId))) return [];
+
+    const result = await this.pool.query(
+      `${DOCUMENT_SELECT} WHERE d.parent_document_id = $1 ORDER BY d.page_start`,
+      [parentDocumentId]
+    );
+    return result.rows.map(row => mapRow(row, { includeText: false }));
+  }
+
+  async listByUser(userId, filters = {}) {
+    return this.listVisible({ userId }, filters);
+  }
+
+  // Documents in a visibility scope (see ApprovalWorkflow.visibilityScope): the user's own uploads,
+  // plus the company's documents when companyId is set, limited to businessEntityIds (and documents
+  // without an entity) when that is set too
+  async listVisible({ userId, companyId = null, businessEntityIds = null }, {
+    status, search, businessEntityId, includeText = false
+  } = {}) {
+    const params = [userId];
+    let scope = 'd.user_id = $1';
+
+    if (companyId) {
+      params.push(companyId);
+      let companyScope = `d.company_id = $${params.length}`;
+
+      if (businessEntityIds) {
+        params.push(businessEntityIds);
+        companyScope += ` AND (d.business_entity_id IS NULL OR d.business_entity_id = ANY($${params.length}::uuid[]))`;
+      }
+      scope = `(${scope} OR (${companyScope}))`;
+    }
+
+    const conditions = [scope];
+
+    if (status && status !== 'all') {
+      params.push(status);
+      conditions.push(`d.status = $${params.length}`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`d.original_name ILIKE $${params.length}`);
+    }
+
+    if (businessEntityId === 'none') {
+      conditions.push('d.business_entity_id IS NULL');
+    } else if (businessEntityId && UUID_PATTERN.test(String(businessEntityId))) {
+      params.push(businessEntityId);
+      conditions.push(`d.business_entity_id = $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      ${DOCUMENT_SELECT}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.created_at DESC
+    `, params);
+
+    return result.rows.map(row => mapRow(row, { includeText }));
+  }
+
+  async countByStatus(userId) {
+    const result = await this.pool.query(`
+      SELECT status, COUNT(*)::int AS count
+      FROM documents
+      WHERE user_id = $1
+      GROUP BY status
+    `, [userId]);
+
+    return result.rows.reduce((counts, row) => {
+      counts[row.status] = row.count;
+      counts.total += row.count;
+      return counts;
+    }, { total: 0 });
+  }
+
+  // Documents left mid-pipeline by a crash or restart
+  async findInFlight() {
+    const result = await this.pool.query(`
+      ${DOCUMENT_SELECT}
+      WHERE d.status = ANY($1::varchar[])
+      ORDER BY d.created_at ASC
+    `, [IN_FLIGHT_STATUSES]);
+
+    return result.rows.map(row => mapRow(row, { includeText: false }));
+  }
+
+  async delete(documentId) {
+    if (!UUID_PATTERN.test(String(documentId))) return false;
+
+    const result = await this.pool.query('DELETE FROM documents WHERE id = $1', [documentId]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = { DocumentRepository, IN_FLIGHT_STATUSES, mapBaseAmounts };
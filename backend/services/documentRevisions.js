@@ -0,0 +1,126 @@
+// backend/services/documentRevisions.js
+// Versioned snapshots of a document's invoice data. Version 0 is the machine extraction; every
+// edit or revert after it adds a version holding the full data and the fields it changed.
+
+const REVISION_SOURCES = ['extraction', 'edit', 'revert'];
+
+// Bookkeeping the server writes on every save; a revision lists what a person changed
+const METADATA_FIELDS = ['lastEditedAt', 'editedBy', 'isManuallyEdited', 'fieldConfidence', 'fieldLocations', 'validation'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Leaf values by path: "vendor.name", "items[2].quantity"
+const flatten = (value, path, leaves) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, path ? `${path}.${key}` : key, leaves));
+  } else if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => flatten(item, `${path}[${index}]`, leaves));
+  } else {
+    leaves[path] = value;
+  }
+  return leaves;
+};
+
+const withoutMetadata = (invoiceData) => Object.fromEntries(
+  Object.entries(invoiceData || {}).filter(([key]) => !METADATA_FIELDS.includes(key))
+);
+
+// Field-level differences between two snapshots: { path: { from, to } }, added and removed fields included
+const diffInvoiceData = (before, after) => {
+  const oldLeaves = flatten(withoutMetadata(before), '', {});
+  const newLeaves = flatten(withoutMetadata(after), '', {});
+  const changes = {};
+
+  new Set([...Object.keys(oldLeaves), ...Object.keys(newLeaves)]).forEach(path => {
+    const from = oldLeaves[path] === undefined ? null : oldLeaves[path];
+    const to = newLeaves[path] === undefined ? null : newLeaves[path];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[path] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+const mapRevision = (row, changes) => ({
+  version: row.version,
+  source: row.source,
+  revertedToVersion: row.reverted_to_version ?? null,
+  changes,
+  changedFields: Object.keys(changes),
+  editedBy: row.edited_by
+    ? { id: row.edited_by, email: row.email, firstName: row.first_name, lastName: row.last_name }
+    : null,
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+class DocumentRevisionRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Add a revision inside the caller's transaction. An edit that changes no fields adds nothing;
+  // returns the document's current version.
+  async record(client, documentId, invoiceData, { source, editedBy = null, revertedToVersion = null }) {
+    // Serialize versions per document
+    await client.query('SELECT id FROM documents WHERE id = $1 FOR UPDATE', [documentId]);
+
+    const latest = await client.query(`
+      SELECT version, invoice_data FROM document_revisions
+      WHERE document_id = $1
+      ORDER BY version DESC
+      LIMIT 1
+    `, [documentId]);
+    const previous = latest.rows[0];
+
+    const changes = previous ? diffInvoiceData(previous.invoice_data, invoiceData) : {};
+    if (previous && source === 'edit' && Object.keys(changes).length === 0) {
+      return previous.version;
+    }
+
+    const version = previous ? previous.version + 1 : 0;
+    await client.query(`
+      INSERT INTO document_revisions (document_id, version, source, invoice_data, changes, reverted_to_version, edited_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [documentId, version, source, JSON.stringify(invoiceData || {}), JSON.stringify(changes), revertedToVersion, editedBy]);
+
+    return version;
+  }
+
+  // Timeline, oldest first. Revisions migrated from before history was kept have no stored
+  // changes; theirs are worked out from the snapshot before them.
+  async list(documentId) {
+    const result = await this.pool.query(`
+      SELECT r.*, u.email, u.first_name, u.last_name
+      FROM document_revisions r
+      LEFT JOIN users u ON u.id = r.edited_by
+      WHERE r.document_id = $1
+      ORDER BY r.version ASC
+    `, [documentId]);
+
+    return result.rows.map((row, index) => mapRevision(
+      row,
+      row.changes || (index > 0 ? diffInvoiceData(result.rows[index - 1].invoice_data, row.invoice_data) : {})
+    ));
+  }
+
+  async findVersion(documentId, version) {
+    const result = await this.pool.query(`
+      SELECT r.*, u.email, u.first_name, u.last_name
+      FROM document_revisions r
+      LEFT JOIN users u ON u.id = r.edited_by
+      WHERE r.document_id = $1 AND r.version = $2
+    `, [documentId, version]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+    return { ...mapRevision(row, row.changes || {}), invoiceData: row.invoice_data };
+  }
+}
+
+module.exports = {
+  DocumentRevisionRepository,
+  diffInvoiceData,
+  REVISION_SOURCES,
+  METADATA_FIELDS
+};
@@ -0,0 +1,181 @@
+// backend/services/documentSplits.js
+// Child documents for uploads that bundle several documents. The upload keeps the classification of
+// its pages and the segments they were split into; every invoice or credit note segment becomes a
+// child document over that page range of the same file, processed and reviewed on its own.
+
+const { EXTRACTABLE_TYPES } = require('../utils/document-splitter');
+
+// Documents past these points carry decisions a split must not throw away
+const LOCKED_WORKFLOW_STATUSES = ['approved', 'ready_for_payment'];
+
+const SEGMENT_LABELS = {
+  invoice: 'Invoice',
+  credit_note: 'Credit note'
+};
+
+class SplitError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'SplitError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const childName = (parent, segment) => {
+  const pages = segment.startPage === segment.endPage
+    ? `p. ${segment.startPage}`
+    : `pp. ${segment.startPage}-${segment.endPage}`;
+  return `${parent.originalName} (${SEGMENT_LABELS[segment.type] || segment.type}, ${pages})`;
+};
+
+class DocumentSplitService {
+  constructor(pool, documentRepository) {
+    this.pool = pool;
+    this.documentRepository = documentRepository;
+  }
+
+  // Keep the page classification of an upload that holds one document
+  async recordClassification(documentId, plan) {
+    await this.pool.query(`
+      UPDATE documents
+      SET page_classification = $2, document_class = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [documentId, JSON.stringify(plan), plan.segments[0]?.type || null]);
+  }
+
+  // Replace the children of an upload with one per extractable segment of the plan ({ pages,
+  // segments, manual }). Returns the new children, which still have to be queued for processing;
+  // with none, the upload goes back to 'uploaded' to be processed as one document.
+  async split(parent, plan) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(`
+        SELECT d.id, d.original_name
+        FROM documents d
+        LEFT JOIN document_exports de ON de.document_id = d.id
+        LEFT JOIN document_payments dp ON dp.document_id = d.id
+        WHERE (d.id = $1 OR d.parent_document_id = $1)
+          AND (d.workflow_status = ANY($2::varchar[]) OR de.document_id IS NOT NULL OR dp.document_id IS NOT NULL)
+      `, [parent.id, LOCKED_WORKFLOW_STATUSES]);
+      if (locked.rows.length > 0) {
+        throw new SplitError(
+          'This upload or documents split out of it are already approved, exported or paid',
+          409,
+          { lockedDocuments: locked.rows.map(row => ({ id: row.id, originalName: row.original_name })) }
+        );
+      }
+
+      await client.query('DELETE FROM documents WHERE parent_document_id = $1', [parent.id]);
+
+      const children = [];
+      for (const segment of plan.segments.filter(s => EXTRACTABLE_TYPES.includes(s.type))) {
+        const result = await client.query(`
+          INSERT INTO documents (
+            user_id, company_id, original_name, filename, file_path, file_size, mime_type, status,
+            business_entity_id, business_entity_source, parent_document_id, page_start, page_end, document_class
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'uploaded', $8, $9, $10, $11, $12, $13)
+          RETURNING id
+        `, [
+          parent.userId,
+          parent.companyId,
+          childName(parent, segment),
+          parent.filename,
+          parent.filePath,
+          parent.fileSize,
+          parent.mimetype,
+          parent.businessEntitySource === 'upload' ? parent.businessEntityId : null,
+          parent.businessEntitySource === 'upload' ? 'upload' : null,
+          parent.id,
+          segment.startPage,
+          segment.endPage,
+          segment.type
+        ]);
+        children.push({ id: result.rows[0].id, ...segment });
+      }
+
+      // A split upload is no invoice itself; what an earlier run extracted from it as one goes
+      if (children.length > 0) {
+        for (const table of ['invoice_data', 'document_approval_steps', 'document_po_matches', 'document_duplicates']) {
+          await client.query(`DELETE FROM ${table} WHERE document_id = $1`, [parent.id]);
+        }
+      }
+
+      await client.query(`
+        UPDATE documents
+        SET status = $2,
+            workflow_status = NULL,
+            page_classification = $3,
+            document_class = NULL,
+            page_count = $4,
+            error_message = NULL,
+            processing_completed_at = CASE WHEN $2 = 'split' THEN CURRENT_TIMESTAMP ELSE NULL END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [parent.id, children.length > 0 ? 'split' : 'uploaded', JSON.stringify(plan), plan.pages.length]);
+
+      await client.query('COMMIT');
+      return children;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Documents split out of an upload share its file and are deleted with it. Refuses while any of them
+  // is in a payment run: the run's bank file already pays it, and deleting it would drop it unnoticed.
+  async childrenToDelete(document) {
+    if (document.parentDocumentId) return [];
+
+    const children = await this.documentRepository.listChildren(document.id);
+    const inRuns = children.filter(child => child.paymentStatus);
+    if (inRuns.length > 0) {
+      throw new SplitError(
+        'Documents split out of this upload are in a payment run; cancel the run before deleting the upload',
+        409,
+        {
+          lockedDocuments: inRuns.map(child => ({
+            id: child.id,
+            originalName: child.originalName,
+            paymentStatus: child.paymentStatus,
+            paymentBatchId: child.paymentBatchId
+          }))
+        }
+      );
+    }
+    return children;
+  }
+
+  // Page classification, segments and child documents of an upload
+  async get(parent) {
+    const children = await this.documentRepository.listChildren(parent.id);
+
+    return {
+      documentId: parent.id,
+      pageCount: parent.pageClassification?.pages?.length || parent.pageCount,
+      pages: parent.pageClassification?.pages || [],
+      segments: parent.pageClassification?.segments || [],
+      manual: !!parent.pageClassification?.manual,
+      children: children.map(child => ({
+        id: child.id,
+        originalName: child.originalName,
+        status: child.status,
+        workflowStatus: child.workflowStatus,
+        documentClass: child.documentClass,
+        pageRange: child.pageRange,
+        invoiceNumber: child.invoiceData?.invoiceNumber || null,
+        total: child.invoiceData?.amounts?.total ?? null
+      }))
+    };
+  }
+}
+
+module.exports = {
+  DocumentSplitService,
+  SplitError
+};
@@ -0,0 +1,123 @@
+// backend/services/documentSplits.test.js
+
+const { DocumentSplitService, SplitError } = require('./documentSplits');
+const { planSplit } = require('../utils/document-splitter');
+
+// A pool whose client answers inserts with new ids and the lock check with the given rows, and
+// records every statement
+const fakePool = ({ locked = [] } = {}) => {
+  const queries = [];
+  let nextId = 1;
+  const query = async (sql, params) => {
+    queries.push({ sql, params });
+    if (/^\s*INSERT INTO documents/.test(sql)) return { rows: [{ id: `child-${nextId++}` }] };
+    if (/FROM documents d\s+LEFT JOIN document_exports/.test(sql)) return { rows: locked };
+    return { rows: [], rowCount: 0 };
+  };
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} })
+  };
+};
+
+const parent = {
+  id: 'upload-1',
+  userId: 3,
+  companyId: 1,
+  originalName: 'scan.pdf',
+  filename: 'scan-123.pdf',
+  filePath: '/uploads/scan-123.pdf',
+  fileSize: 2048,
+  mimetype: 'application/pdf',
+  businessEntityId: 'entity-1',
+  businessEntitySource: 'upload'
+};
+
+const INVOICE = (vendor, number) => `${vendor}\nINVOICE\nInvoice No: ${number}\nTotal due 10.00\nPage 1 of 1`;
+const REMITTANCE = 'REMITTANCE ADVICE\nPlease detach this portion and return it with your payment';
+
+const inserted = (pool) => pool.queries.filter(query => /^\s*INSERT INTO documents/.test(query.sql));
+const parentUpdate = (pool) => pool.queries.find(query => /^\s*UPDATE documents/.test(query.sql));
+
+describe('DocumentSplitService.split', () => {
+  test('creates one child per invoice over its pages of the same file', async () => {
+    const pool = fakePool();
+    const service = new DocumentSplitService(pool, null);
+    const plan = planSplit([INVOICE('ACME SUPPLIES LTD', 'INV-1001'), INVOICE('INITECH GMBH', '2024-077')]);
+
+    const children = await service.split(parent, plan);
+
+    expect(children.map(child => [child.id, child.startPage, child.endPage])).toEqual([['child-1', 1, 1], ['child-2', 2, 2]]);
+    expect(inserted(pool)[1].params).toEqual([
+      3, 1, 'scan.pdf (Invoice, p. 2)', 'scan-123.pdf', '/uploads/scan-123.pdf', 2048, 'application/pdf',
+      'entity-1', 'upload', 'upload-1', 2, 2, 'invoice'
+    ]);
+    expect(parentUpdate(pool).params.slice(0, 2)).toEqual(['upload-1', 'split']);
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('COMMIT');
+  });
+
+  test('gives the invoice of an upload with a remittance slip its own document', async () => {
+    const pool = fakePool();
+    const service = new DocumentSplitService(pool, null);
+
+    const children = await service.split(parent, planSplit([INVOICE('ACME SUPPLIES LTD', 'INV-1001'), REMITTANCE]));
+
+    expect(children.map(child => child.type)).toEqual(['invoice']);
+    // What was extracted from the upload as a whole goes with the split
+    expect(pool.queries.some(query => query.sql.includes('DELETE FROM invoice_data'))).toBe(true);
+  });
+
+  test('processes an upload without an invoice as one document again', async () => {
+    const pool = fakePool();
+    const service = new DocumentSplitService(pool, null);
+
+    const children = await service.split(parent, planSplit([REMITTANCE]));
+
+    expect(children).toEqual([]);
+    expect(inserted(pool)).toEqual([]);
+    expect(parentUpdate(pool).params.slice(0, 2)).toEqual(['upload-1', 'uploaded']);
+  });
+
+  test('refuses to split again once a document of the upload is approved, exported or paid', async () => {
+    const pool = fakePool({ locked: [{ id: 'child-9', original_name: 'scan.pdf (Invoice, p. 1)' }] });
+    const service = new DocumentSplitService(pool, null);
+
+    const error = await service.split(parent, planSplit([INVOICE('ACME SUPPLIES LTD', 'INV-1001')])).catch(e => e);
+
+    expect(error).toBeInstanceOf(SplitError);
+    expect(error.details).toEqual({ lockedDocuments: [{ id: 'child-9', originalName: 'scan.pdf (Invoice, p. 1)' }] });
+    expect(pool.queries.map(query => query.sql.trim())).not.toContain('DELETE FROM documents WHERE parent_document_id = $1');
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('ROLLBACK');
+  });
+});
+
+describe('DocumentSplitService.childrenToDelete', () => {
+  const child = (id, overrides = {}) => ({ id, originalName: `scan.pdf (${id})`, paymentStatus: null, paymentBatchId: null, ...overrides });
+  const repository = (children) => ({ listChildren: async () => children });
+
+  test('returns the documents split out of an upload to delete with it', async () => {
+    const service = new DocumentSplitService(fakePool(), repository([child('child-1'), child('child-2')]));
+
+    expect((await service.childrenToDelete(parent)).map(entry => entry.id)).toEqual(['child-1', 'child-2']);
+  });
+
+  test('refuses while a document split out of the upload is in a payment run', async () => {
+    const children = [child('child-1'), child('child-2', { paymentStatus: 'scheduled', paymentBatchId: 'batch-1' })];
+    const service = new DocumentSplitService(fakePool(), repository(children));
+
+    const error = await service.childrenToDelete(parent).catch(e => e);
+
+    expect(error).toBeInstanceOf(SplitError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({
+      lockedDocuments: [{ id: 'child-2', originalName: 'scan.pdf (child-2)', paymentStatus: 'scheduled', paymentBatchId: 'batch-1' }]
+    });
+  });
+
+  test('has nothing to delete with a document that was split out of an upload', async () => {
+    const service = new DocumentSplitService(fakePool(), repository([child('child-1')]));
+
+    expect(await service.childrenToDelete({ ...parent, id: 'child-1', parentDocumentId: 'upload-1' })).toEqual([]);
+  });
+});
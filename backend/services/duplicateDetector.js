@@ -0,0 +1,292 @@
+// backend/services/duplicateDetector.js
+// Duplicate invoice detection: exact (same file content) at upload, fuzzy (vendor, number, date, total)
+// after extraction. Suspected duplicates are recorded as open flags that block approval until resolved.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const RESOLUTIONS = ['not_duplicate', 'confirmed_duplicate'];
+
+// Bigram similarity above which two vendor names are treated as the same vendor
+const VENDOR_SIMILARITY_THRESHOLD = 0.8;
+// Share of the total two amounts may differ by and still count as the same amount
+const AMOUNT_TOLERANCE = 0.01;
+
+// How much each matching field counts towards the 0-100 duplicate score
+const MATCH_WEIGHTS = {
+  invoiceNumber: 40,
+  vendor: 25,
+  total: 25,
+  date: 10
+};
+
+// Legal-form suffixes that differ between invoices from the same vendor
+const VENDOR_SUFFIXES = /\b(inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|sas|bv|plc|pty)\b/g;
+
+const computeFileHash = async (filePath) => {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Labels printed in front of the number that extraction sometimes keeps: "Invoice No. 0012", "INV-0012", "#0012"
+const NUMBER_LABEL = /^(?:(?:invoice|inv|number|no|nr)(?![a-z])[\s.:#/-]*|#\s*)+/i;
+
+// Drop a leading label and fold characters OCR commonly confuses, so "No. 0012", "INV-O0l2" and
+// "0012" compare equal
+const normalizeInvoiceNumber = (value) => {
+  if (!value) return '';
+
+  const unlabeled = String(value).trim().replace(NUMBER_LABEL, '');
+
+  return (/\d/.test(unlabeled) ? unlabeled : String(value))
+    .replace(/[l|]/g, '1')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/[OQ]/g, '0')
+    .replace(/I/g, '1')
+    .replace(/S/g, '5')
+    .replace(/B/g, '8')
+    .replace(/Z/g, '2');
+};
+
+const normalizeVendorName = (value) => {
+  if (!value) return '';
+
+  return String(value)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(VENDOR_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Dice coefficient over character bigrams of two normalized strings (1 = identical)
+const diceSimilarity = (left, right) => {
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.substring(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  for (const [bigram, count] of leftBigrams) {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  }
+
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+};
+
+const vendorSimilarity = (a, b) => diceSimilarity(
+  normalizeVendorName(a).replace(/\s/g, ''),
+  normalizeVendorName(b).replace(/\s/g, '')
+);
+
+const toAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return isNaN(num) ? null : num;
+};
+
+const toDateKey = (value) => {
+  if (!value) return null;
+  // pg hands DATE columns back as local midnight, so read the local calendar date
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+};
+
+// Compare the extracted fields of two invoices; returns null when they don't look like the same invoice
+const compareInvoices = (invoice, candidate) => {
+  const numberA = normalizeInvoiceNumber(invoice.invoiceNumber);
+  const numberB = normalizeInvoiceNumber(candidate.invoiceNumber);
+  const totalA = toAmount(invoice.total);
+  const totalB = toAmount(candidate.total);
+  const dateA = toDateKey(invoice.date);
+  const dateB = toDateKey(candidate.date);
+  const similarity = vendorSimilarity(invoice.vendorName, candidate.vendorName);
+
+  const matches = {
+    invoiceNumber: !!numberA && numberA === numberB,
+    vendor: similarity >= VENDOR_SIMILARITY_THRESHOLD,
+    total: totalA !== null && totalB !== null &&
+      Math.abs(totalA - totalB) - Math.max(Math.abs(totalA), 1) * AMOUNT_TOLERANCE <= 1e-9,
+    date: !!dateA && dateA === dateB
+  };
+
+  // Same number from the same vendor or for the same amount, or same vendor, amount and date
+  const suspected = (matches.invoiceNumber && (matches.vendor || matches.total)) ||
+    (matches.vendor && matches.total && matches.date);
+  if (!suspected) return null;
+
+  const score = Object.keys(MATCH_WEIGHTS)
+    .filter(field => matches[field])
+    .reduce((sum, field) => sum + MATCH_WEIGHTS[field], 0);
+
+  return {
+    score,
+    reasons: Object.keys(matches).filter(field => matches[field]),
+    vendorSimilarity: Math.round(similarity * 100) / 100
+  };
+};
+
+const mapFlag = (row) => ({
+  id: row.id,
+  documentId: row.document_id,
+  duplicateOfId: row.duplicate_of_id,
+  matchType: row.match_type,
+  score: Number(row.score),
+  reasons: row.reasons || [],
+  status: row.status,
+  resolvedBy: row.resolved_by,
+  resolvedByName: row.resolved_by_name || null,
+  resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null,
+  resolutionComment: row.resolution_comment,
+  createdAt: new Date(row.created_at).toISOString(),
+  duplicateOf: row.other_original_name ? {
+    id: row.duplicate_of_id,
+    originalName: row.other_original_name,
+    filename: row.other_filename,
+    mimetype: row.other_mime_type,
+    createdAt: new Date(row.other_created_at).toISOString(),
+    workflowStatus: row.other_workflow_status,
+    invoiceData: row.other_invoice_data || null
+  } : null
+});
+
+class DuplicateDetector {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async recordFlag(documentId, duplicateOfId, matchType, score, reasons) {
+    const result = await this.pool.query(`
+      INSERT INTO document_duplicates (document_id, duplicate_of_id, match_type, score, reasons)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (document_id, duplicate_of_id) DO UPDATE SET
+        match_type = CASE WHEN document_duplicates.match_type = 'exact' THEN 'exact' ELSE EXCLUDED.match_type END,
+        score = GREATEST(document_duplicates.score, EXCLUDED.score),
+        reasons = EXCLUDED.reasons
+      RETURNING id
+    `, [documentId, duplicateOfId, matchType, score, JSON.stringify(reasons)]);
+
+    return result.rows[0].id;
+  }
+
+  // Same file content already uploaded in this company
+  async flagExactDuplicates(document) {
+    if (!document.fileHash) return [];
+
+    const result = await this.pool.query(`
+      SELECT id FROM documents
+      WHERE file_hash = $1 AND company_id = $2 AND id <> $3
+      ORDER BY created_at ASC
+    `, [document.fileHash, document.companyId, document.id]);
+
+    for (const row of result.rows) {
+      await this.recordFlag(document.id, row.id, 'exact', 100, ['fileHash']);
+    }
+
+    return result.rows.map(row => row.id);
+  }
+
+  // Extracted fields resemble another invoice in this company. Open fuzzy flags from an earlier
+  // extraction are recomputed; resolved ones are kept so reprocessing doesn't reopen them.
+  async flagFuzzyDuplicates(document) {
+    const invoice = {
+      invoiceNumber: document.invoiceData?.invoiceNumber,
+      vendorName: document.invoiceData?.vendor?.name,
+      total: document.invoiceData?.amounts?.total,
+      date: document.invoiceData?.date
+    };
+
+    if (!invoice.invoiceNumber && !(invoice.vendorName && invoice.total)) return [];
+
+    await this.pool.query(`
+      DELETE FROM document_duplicates
+      WHERE document_id = $1 AND match_type = 'fuzzy' AND status = 'open'
+    `, [document.id]);
+
+    const candidates = await this.pool.query(`
+      SELECT d.id, inv.invoice_number, inv.vendor_name, inv.total_amount, inv.invoice_date
+      FROM documents d
+      JOIN invoice_data inv ON inv.document_id = d.id
+      WHERE d.company_id = $1 AND d.id <> $2 AND d.status = 'completed'
+    `, [document.companyId, document.id]);
+
+    const flagged = [];
+    for (const row of candidates.rows) {
+      const match = compareInvoices(invoice, {
+        invoiceNumber: row.invoice_number,
+        vendorName: row.vendor_name,
+        total: row.total_amount,
+        date: row.invoice_date
+      });
+
+      if (match) {
+        await this.recordFlag(document.id, row.id, 'fuzzy', match.score, match.reasons);
+        flagged.push({ duplicateOfId: row.id, ...match });
+      }
+    }
+
+    return flagged;
+  }
+
+  async listForDocument(documentId) {
+    const result = await this.pool.query(`
+      SELECT
+        dd.*,
+        TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS resolved_by_name,
+        other.original_name AS other_original_name,
+        other.filename AS other_filename,
+        other.mime_type AS other_mime_type,
+        other.created_at AS other_created_at,
+        other.workflow_status AS other_workflow_status,
+        inv.data AS other_invoice_data
+      FROM document_duplicates dd
+      LEFT JOIN users u ON u.id = dd.resolved_by
+      LEFT JOIN documents other ON other.id = dd.duplicate_of_id
+      LEFT JOIN invoice_data inv ON inv.document_id = dd.duplicate_of_id
+      WHERE dd.document_id = $1
+      ORDER BY dd.status = 'open' DESC, dd.score DESC, dd.created_at ASC
+    `, [documentId]);
+
+    return result.rows.map(mapFlag);
+  }
+
+  async resolve(documentId, flagId, resolution, actorId, comment) {
+    const result = await this.pool.query(`
+      UPDATE document_duplicates
+      SET status = $3,
+          resolved_by = $4,
+          resolved_at = CURRENT_TIMESTAMP,
+          resolution_comment = $5
+      WHERE id = $2 AND document_id = $1 AND status = 'open'
+      RETURNING *
+    `, [documentId, flagId, resolution, actorId, comment || null]);
+
+    return result.rows[0] ? mapFlag(result.rows[0]) : null;
+  }
+}
+
+module.exports = {
+  DuplicateDetector,
+  RESOLUTIONS,
+  computeFileHash,
+  normalizeInvoiceNumber,
+  vendorSimilarity,
+  diceSimilarity,
+  compareInvoices
+};
@@ -0,0 +1,74 @@
+// backend/services/duplicateDetector.test.js
+
+const { normalizeInvoiceNumber, compareInvoices, vendorSimilarity } = require('./duplicateDetector');
+
+const INVOICE = { invoiceNumber: 'INV-0012', vendorName: 'ACME Supplies Ltd', total: 1190, date: '2024-04-03' };
+
+describe('normalizeInvoiceNumber', () => {
+  test('compares numbers that differ only in punctuation or spacing', () => {
+    expect(['INV 0012', 'inv/0012', 'INV_0012', ' INV-0012 '].map(normalizeInvoiceNumber)).toEqual(['0012', '0012', '0012', '0012']);
+  });
+
+  test('drops an invoice or number label in front of the number', () => {
+    expect(['0012', '#0012', 'No. 0012', 'Invoice No. 0012', 'INV0012', 'Inv. #0012'].map(normalizeInvoiceNumber))
+      .toEqual(['0012', '0012', '0012', '0012', '0012', '0012']);
+  });
+
+  test('keeps other prefixes, and words that only start like a label', () => {
+    expect(normalizeInvoiceNumber('CN-0012')).toBe('CN0012');
+    expect(normalizeInvoiceNumber('Nova-12')).toBe('N0VA12');
+    expect(normalizeInvoiceNumber('2024-0012')).not.toBe(normalizeInvoiceNumber('0012'));
+  });
+
+  test('folds characters OCR confuses', () => {
+    expect(normalizeInvoiceNumber('INV-O0l2')).toBe('0012');
+    expect(normalizeInvoiceNumber('A-S8Z1')).toBe(normalizeInvoiceNumber('A-5821'));
+    expect(normalizeInvoiceNumber(null)).toBe('');
+  });
+});
+
+describe('vendorSimilarity', () => {
+  test('ignores legal forms, punctuation and ampersands', () => {
+    expect(vendorSimilarity('ACME Supplies Ltd', 'Acme Supplies Limited')).toBe(1);
+    expect(vendorSimilarity('Smith & Sons GmbH', 'Smith and Sons')).toBe(1);
+    expect(vendorSimilarity('ACME Supplies', 'Globex Corporation')).toBeLessThan(0.8);
+  });
+});
+
+describe('compareInvoices', () => {
+  test('flags the same number from the same vendor written differently', () => {
+    const match = compareInvoices(INVOICE, { ...INVOICE, invoiceNumber: 'Invoice No. 0012', vendorName: 'Acme Supplies Limited' });
+
+    expect(match).toEqual({ score: 100, reasons: ['invoiceNumber', 'vendor', 'total', 'date'], vendorSimilarity: 1 });
+  });
+
+  test('does not flag the same number from another vendor for another amount', () => {
+    expect(compareInvoices(INVOICE, { ...INVOICE, vendorName: 'Globex Corporation', total: 480 })).toBeNull();
+  });
+
+  test('flags the same number from another vendor for the same amount', () => {
+    const match = compareInvoices(INVOICE, { ...INVOICE, vendorName: 'Globex Corporation', date: '2024-05-01' });
+
+    expect(match).toMatchObject({ score: 65, reasons: ['invoiceNumber', 'total'] });
+  });
+
+  test('treats totals within one percent as the same amount', () => {
+    expect(compareInvoices(INVOICE, { ...INVOICE, invoiceNumber: null, total: '1,201.90' })).toMatchObject({ reasons: ['vendor', 'total', 'date'] });
+    expect(compareInvoices(INVOICE, { ...INVOICE, invoiceNumber: null, total: 1202 })).toBeNull();
+    expect(compareInvoices({ ...INVOICE, total: 0.5 }, { ...INVOICE, vendorName: 'Globex', total: 1.5 })).toBeNull();
+  });
+
+  test('needs the exact date when the numbers do not match', () => {
+    const other = { ...INVOICE, invoiceNumber: 'INV-0013' };
+
+    expect(compareInvoices(INVOICE, other)).toMatchObject({ score: 60 });
+    expect(compareInvoices(INVOICE, { ...other, date: '2024-04-04' })).toBeNull();
+    expect(compareInvoices(INVOICE, { ...INVOICE, date: '2024-04-04' })).toMatchObject({ score: 90, reasons: ['invoiceNumber', 'vendor', 'total'] });
+  });
+
+  test('reads dates from the database as calendar days', () => {
+    const match = compareInvoices({ ...INVOICE, invoiceNumber: null }, { ...INVOICE, invoiceNumber: null, date: new Date(2024, 3, 3) });
+
+    expect(match.reasons).toContain('date');
+  });
+});
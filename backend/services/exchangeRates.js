@@ -0,0 +1,305 @@
+// backend/services/exchangeRates.js
+// The company's base currency and the exchange rates its invoices are converted with. Every invoice
+// keeps its amounts in the currency it was issued in and also carries them in the base currency, at
+// the rate of the invoice date, for analytics and exports.
+
+const { isCurrency, currencyDecimals, convertAmount } = require('../utils/currency');
+
+const DEFAULT_BASE_CURRENCY = process.env.BASE_CURRENCY || 'USD';
+
+const RATE_SOURCES = ['manual', 'import'];
+
+class ExchangeRateError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'ExchangeRateError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const roundIn = (value, currency) => Math.round(value * 10 ** currencyDecimals(currency)) / 10 ** currencyDecimals(currency);
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const mapRate = (row) => ({
+  baseCurrency: row.base_currency,
+  currency: row.currency,
+  date: toIsoDate(row.rate_date),
+  rate: Number(row.rate),
+  source: row.source,
+  createdBy: row.created_by,
+  createdByName: row.created_by_name || null,
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+const normalizeCode = (value) => String(value || '').trim().toUpperCase();
+
+// A rate row as imported or entered; returns [rate, problems]
+function validateRate(input, baseCurrency) {
+  const problems = [];
+  const currency = normalizeCode(input.currency);
+  const base = normalizeCode(input.baseCurrency) || baseCurrency;
+  const rate = Number(String(input.rate ?? '').trim());
+  // A full ISO timestamp counts as its date
+  const date = String(input.date || '').trim().replace(/^(\d{4}-\d{2}-\d{2})T[\d:.]+Z?$/, '$1');
+
+  if (!isCurrency(currency)) problems.push(`unknown currency "${input.currency || ''}"`);
+  if (!isCurrency(base)) problems.push(`unknown base currency "${input.baseCurrency}"`);
+  if (currency && currency === base) problems.push('currency is the base currency');
+  if (!Number.isFinite(rate) || rate <= 0) problems.push(`rate "${input.rate ?? ''}" is not a positive number`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) problems.push(`date "${date}" is not YYYY-MM-DD`);
+
+  return [{ currency, baseCurrency: base, rate, date }, problems];
+}
+
+// CSV import: one rate per row (currency, rate, date, optionally base_currency when the rate is not
+// into the company's base currency); rows are validated by saveRates
+const exchangeRatesFromCsv = (records) => records.map(record => ({
+  currency: record.currency || record.currency_code,
+  rate: record.rate || record.exchange_rate,
+  date: record.date || record.rate_date,
+  baseCurrency: record.base_currency || undefined,
+  line: record.line
+}));
+
+// Spend in the base currency across documents, with what each currency contributed. Documents with
+// no rate for their currency are counted as unconverted and left out of the total.
+function summarizeSpend(documents, baseCurrency) {
+  const byCurrency = {};
+  let total = 0;
+  let converted = 0;
+  let unconverted = 0;
+
+  documents.forEach(document => {
+    const amount = toNumber(document.invoiceData?.amounts?.total);
+    if (amount === null || !Number.isFinite(amount)) return;
+
+    const base = document.baseAmounts;
+    const currency = base?.sourceCurrency || document.invoiceData?.amounts?.currency || 'unknown';
+    const entry = byCurrency[currency] || (byCurrency[currency] = { currency, documents: 0, total: 0, baseTotal: 0, unconverted: 0 });
+    entry.documents += 1;
+    entry.total = roundIn(entry.total + amount, currency);
+
+    if (base && base.currency === baseCurrency && base.total !== null) {
+      entry.baseTotal = roundIn(entry.baseTotal + base.total, baseCurrency);
+      total += base.total;
+      converted += 1;
+    } else {
+      entry.unconverted += 1;
+      unconverted += 1;
+    }
+  });
+
+  return {
+    baseCurrency,
+    total: roundIn(total, baseCurrency),
+    convertedDocuments: converted,
+    unconvertedDocuments: unconverted,
+    byCurrency: Object.values(byCurrency).sort((a, b) => b.baseTotal - a.baseTotal)
+  };
+}
+
+class ExchangeRateService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async getSettings(companyId) {
+    const result = await this.pool.query(
+      'SELECT base_currency, updated_at FROM company_currency_settings WHERE company_id = $1',
+      [companyId]
+    );
+    return {
+      baseCurrency: result.rows[0]?.base_currency || DEFAULT_BASE_CURRENCY,
+      updatedAt: result.rows[0]?.updated_at ? new Date(result.rows[0].updated_at).toISOString() : null
+    };
+  }
+
+  async updateSettings(companyId, { baseCurrency }, userId) {
+    const code = normalizeCode(baseCurrency);
+    if (!isCurrency(code)) {
+      throw new ExchangeRateError(`Unknown currency: ${baseCurrency}`, 400);
+    }
+
+    await this.pool.query(`
+      INSERT INTO company_currency_settings (company_id, base_currency, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (company_id) DO UPDATE
+      SET base_currency = EXCLUDED.base_currency,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+    `, [companyId, code, userId]);
+
+    return this.getSettings(companyId);
+  }
+
+  // Rates into the company's base currency, newest first
+  async listRates(companyId, { currency = null, limit = 500 } = {}) {
+    const { baseCurrency } = await this.getSettings(companyId);
+    const result = await this.pool.query(`
+      SELECT er.*, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS created_by_name
+      FROM exchange_rates er
+      LEFT JOIN users u ON u.id = er.created_by
+      WHERE er.company_id = $1
+        AND er.base_currency = $2
+        AND ($3::varchar IS NULL OR er.currency = $3)
+      ORDER BY er.rate_date DESC, er.currency
+      LIMIT $4
+    `, [companyId, baseCurrency, currency ? normalizeCode(currency) : null, limit]);
+
+    return { baseCurrency, rates: result.rows.map(mapRate) };
+  }
+
+  // Store rates ({ currency, rate, date, baseCurrency? }; the base defaults to the company's). All or
+  // nothing: any invalid row rejects the lot with the problems per row. A rate for a currency and date
+  // that is already stored replaces it.
+  async saveRates(companyId, rates, userId, source = 'manual') {
+    if (!Array.isArray(rates) || rates.length === 0) {
+      throw new ExchangeRateError('No exchange rates to save', 400);
+    }
+
+    const { baseCurrency } = await this.getSettings(companyId);
+    const validated = rates.map((input, index) => {
+      const [rate, problems] = validateRate(input, baseCurrency);
+      return { rate, problems, line: input.line || index + 1 };
+    });
+
+    const invalid = validated.filter(entry => entry.problems.length > 0);
+    if (invalid.length > 0) {
+      throw new ExchangeRateError(`${invalid.length} exchange rate(s) are invalid`, 422, {
+        errors: invalid.map(entry => ({ line: entry.line, problems: entry.problems }))
+      });
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const { rate } of validated) {
+        await client.query(`
+          INSERT INTO exchange_rates (company_id, base_currency, currency, rate_date, rate, source, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (company_id, base_currency, currency, rate_date) DO UPDATE
+          SET rate = EXCLUDED.rate,
+              source = EXCLUDED.source,
+              created_by = EXCLUDED.created_by,
+              created_at = CURRENT_TIMESTAMP
+        `, [companyId, rate.baseCurrency, rate.currency, rate.date, rate.rate, RATE_SOURCES.includes(source) ? source : 'manual', userId]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return {
+      saved: validated.length,
+      currencies: [...new Set(validated.map(entry => entry.rate.currency))]
+    };
+  }
+
+  // Units of baseCurrency for one unit of currency on a date: the latest rate on or before it, else the
+  // earliest after it. A rate stored the other way round (base per currency) is inverted. Null if none.
+  async findRate(companyId, baseCurrency, currency, date = null) {
+    if (currency === baseCurrency) return { rate: 1, date: null };
+
+    const result = await this.pool.query(`
+      SELECT CASE WHEN er.currency = $3 THEN er.rate ELSE 1 / er.rate END AS rate, er.rate_date
+      FROM exchange_rates er
+      WHERE er.company_id = $1
+        AND ((er.base_currency = $2 AND er.currency = $3) OR (er.base_currency = $3 AND er.currency = $2))
+      ORDER BY CASE WHEN er.rate_date <= COALESCE($4::date, CURRENT_DATE) THEN 0 ELSE 1 END,
+               CASE WHEN er.rate_date <= COALESCE($4::date, CURRENT_DATE) THEN er.rate_date END DESC,
+               er.rate_date,
+               CASE WHEN er.currency = $3 THEN 0 ELSE 1 END
+      LIMIT 1
+    `, [companyId, baseCurrency, currency, date]);
+
+    const row = result.rows[0];
+    return row ? { rate: Number(row.rate), date: toIsoDate(row.rate_date) } : null;
+  }
+
+  // Convert a document's amounts into the company's base currency and store them with the rate used.
+  // An invoice with no currency read is taken to be in the matched vendor's default currency, else in
+  // the base currency. Without a rate the base amounts are cleared until one is imported.
+  async convertDocument(documentId) {
+    const result = await this.pool.query(`
+      SELECT d.company_id, d.created_at, inv.currency, inv.invoice_date, inv.subtotal, inv.tax_amount,
+             inv.total_amount, ven.default_currency
+      FROM documents d
+      JOIN invoice_data inv ON inv.document_id = d.id
+      LEFT JOIN vendors ven ON ven.id = d.vendor_id
+      WHERE d.id = $1
+    `, [documentId]);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const { baseCurrency } = await this.getSettings(row.company_id);
+    const sourceCurrency = [row.currency, row.default_currency].map(normalizeCode).find(isCurrency) || baseCurrency;
+    const date = toIsoDate(row.invoice_date) || toIsoDate(row.created_at);
+    const found = await this.findRate(row.company_id, baseCurrency, sourceCurrency, date);
+
+    const converted = {
+      sourceCurrency,
+      currency: baseCurrency,
+      rate: found ? found.rate : null,
+      rateDate: found ? found.date : null,
+      subtotal: found ? convertAmount(toNumber(row.subtotal), found.rate, baseCurrency) : null,
+      tax: found ? convertAmount(toNumber(row.tax_amount), found.rate, baseCurrency) : null,
+      total: found ? convertAmount(toNumber(row.total_amount), found.rate, baseCurrency) : null
+    };
+
+    await this.pool.query(`
+      UPDATE invoice_data
+      SET source_currency = $2,
+          base_currency = $3,
+          exchange_rate = $4,
+          exchange_rate_date = $5,
+          base_subtotal = $6,
+          base_tax_amount = $7,
+          base_total_amount = $8,
+          converted_at = CASE WHEN $4::numeric IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE document_id = $1
+    `, [documentId, sourceCurrency, baseCurrency, converted.rate, converted.rateDate, converted.subtotal, converted.tax, converted.total]);
+
+    return converted;
+  }
+
+  // Convert again the documents a new base currency or new rates affect: those not yet converted, those
+  // in another base currency and, after an import, those in the imported currencies. Exported documents
+  // keep the amounts they were posted with. Returns how many were converted.
+  async reconvert(companyId, { currencies = null } = {}) {
+    const { baseCurrency } = await this.getSettings(companyId);
+    const result = await this.pool.query(`
+      SELECT d.id
+      FROM documents d
+      JOIN invoice_data inv ON inv.document_id = d.id
+      WHERE d.company_id = $1
+        AND NOT EXISTS (SELECT 1 FROM document_exports de WHERE de.document_id = d.id)
+        AND (
+          inv.exchange_rate IS NULL
+          OR inv.base_currency IS DISTINCT FROM $2
+          OR inv.source_currency = ANY($3::varchar[])
+        )
+    `, [companyId, baseCurrency, currencies || []]);
+
+    let converted = 0;
+    for (const { id } of result.rows) {
+      const amounts = await this.convertDocument(id);
+      if (amounts && amounts.rate !== null) converted += 1;
+    }
+    return { checked: result.rows.length, converted };
+  }
+}
+
+module.exports = {
+  ExchangeRateService,
+  ExchangeRateError,
+  DEFAULT_BASE_CURRENCY,
+  exchangeRatesFromCsv,
+  summarizeSpend
+};
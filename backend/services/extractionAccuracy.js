@@ -0,0 +1,123 @@
+// backend/services/extractionAccuracy.js
+// How often each extraction source got each field right, judged by what reviewers saved. The
+// consensus engine weighs a source's vote on a field by this accuracy.
+
+const {
+  CONSENSUS_FIELDS,
+  DEFAULT_SOURCE_WEIGHT,
+  normalizeValue,
+  itemFingerprint
+} = require('../utils/consensus');
+const { getValue } = require('../utils/vendor-templates');
+
+// Reviews a new source's accuracy is smoothed over, starting from DEFAULT_SOURCE_WEIGHT
+const PRIOR_REVIEWS = 5;
+
+const smoothedAccuracy = (correct, reviews) => (correct + DEFAULT_SOURCE_WEIGHT * PRIOR_REVIEWS) / (reviews + PRIOR_REVIEWS);
+
+const sameFingerprint = (a, b) => a.length === b.length && a.every((key, index) => key === b[index]);
+
+// Every source that voted on a field, with whether its value matches the saved one
+const fieldOutcomes = (details, invoiceData) => {
+  const outcomes = [];
+
+  Object.entries(details.fields || {}).forEach(([path, field]) => {
+    const kind = CONSENSUS_FIELDS[path];
+    if (!kind) return;
+
+    const saved = normalizeValue(kind, getValue(invoiceData, path));
+    [field, ...(field.alternatives || [])].forEach(group => {
+      const key = normalizeValue(kind, group.value)?.key;
+      group.sources.forEach(source => {
+        outcomes.push({ source, path, correct: !!saved && key === saved.key });
+      });
+    });
+  });
+
+  const savedItems = itemFingerprint(invoiceData.items);
+  Object.entries(details.items?.fingerprints || {}).forEach(([source, fingerprint]) => {
+    outcomes.push({ source, path: 'items', correct: sameFingerprint(fingerprint, savedItems) });
+  });
+
+  return outcomes;
+};
+
+class ExtractionAccuracyService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // { [source]: { [fieldPath | 'items']: 0-1 } } over the company's reviewed documents
+  async getWeights(companyId) {
+    if (!companyId) return {};
+
+    const weights = {};
+    (await this.list(companyId)).forEach(entry => {
+      weights[entry.source] = weights[entry.source] || {};
+      weights[entry.source][entry.field] = entry.weight;
+    });
+    return weights;
+  }
+
+  // Score every source that voted on the document against the data a reviewer saved; document holds
+  // the data before the save. A later save of the same document replaces its earlier outcomes.
+  // Returns the number of outcomes recorded.
+  async record(document, invoiceData) {
+    const details = document?.invoiceData?.consensus;
+    if (!details?.fields) return 0;
+
+    const outcomes = fieldOutcomes(details, invoiceData);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM extraction_accuracy WHERE document_id = $1', [document.id]);
+
+      for (const outcome of outcomes) {
+        await client.query(`
+          INSERT INTO extraction_accuracy (document_id, source, field_path, correct)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (document_id, source, field_path) DO UPDATE SET correct = EXCLUDED.correct
+        `, [document.id, outcome.source, outcome.path, outcome.correct]);
+      }
+
+      await client.query('COMMIT');
+      return outcomes.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Accuracy per source and field for the company, least accurate first
+  async list(companyId) {
+    const result = await this.pool.query(`
+      SELECT a.source, a.field_path, COUNT(*) AS reviews, COUNT(*) FILTER (WHERE a.correct) AS correct
+      FROM extraction_accuracy a
+      JOIN documents d ON d.id = a.document_id
+      WHERE d.company_id = $1
+      GROUP BY a.source, a.field_path
+    `, [companyId]);
+
+    return result.rows
+      .map(row => {
+        const reviews = Number(row.reviews);
+        const correct = Number(row.correct);
+        return {
+          source: row.source,
+          field: row.field_path,
+          reviews,
+          correct,
+          accuracy: Math.round((correct / reviews) * 1000) / 10,
+          weight: Math.round(smoothedAccuracy(correct, reviews) * 1000) / 1000
+        };
+      })
+      .sort((a, b) => a.accuracy - b.accuracy || a.source.localeCompare(b.source) || a.field.localeCompare(b.field));
+  }
+}
+
+module.exports = {
+  ExtractionAccuracyService
+};
@@ -0,0 +1,543 @@
+// backend/services/paymentRuns.js
+// Payment runs: pick approved, unpaid invoices due by a date, group them into one payment per vendor
+// and bank account, and generate the bank file (NACHA ACH or SEPA pain.001).
+//
+// Bank details come from the vendor record when it has them and from the invoice's
+// paymentDetails.bankDetails otherwise. Invoice-supplied details that differ from the vendor record are
+// flagged, as changed bank details on an invoice are a common fraud pattern; the vendor record is paid.
+//
+// document_payments holds one row per invoice in a live run (scheduled or paid), so an invoice cannot
+// be put into two runs. Cancelling a scheduled run releases its invoices.
+//
+// Approved credit notes are netted against a payment to the same vendor, whatever their date: their
+// negative amount lowers the payment and is stored as such in document_payments. A credit note waits
+// for a run that pays the vendor more than it credits.
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  normalizeIban,
+  isValidIban,
+  isValidBic,
+  isValidRoutingNumber,
+  isValidAccountNumber,
+  buildNachaFile,
+  validateNachaFile,
+  buildSepaCreditTransfer,
+  validateSepaXml
+} = require('../utils/payment-files');
+
+// Invoices that cleared approval can be paid
+const PAYABLE_STATUSES = ['approved', 'ready_for_payment'];
+
+const PAYMENT_METHODS = {
+  nacha: { label: 'NACHA ACH', currency: 'USD', extension: 'ach', contentType: 'text/plain; charset=us-ascii' },
+  sepa: { label: 'SEPA Credit Transfer (pain.001.001.03)', currency: 'EUR', extension: 'xml', contentType: 'application/xml' }
+};
+
+const DEFAULT_PAYMENT_SETTINGS = {
+  nacha: {
+    immediateDestination: '',
+    immediateDestinationName: '',
+    immediateOrigin: '',
+    immediateOriginName: '',
+    companyName: '',
+    companyIdentification: '',
+    originatingDfi: '',
+    secCode: 'CCD',
+    entryDescription: 'VENDOR PAY'
+  },
+  sepa: {
+    debtorName: '',
+    debtorIban: '',
+    debtorBic: '',
+    initiatingPartyName: ''
+  }
+};
+
+class PaymentRunError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'PaymentRunError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(num) ? num : null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+};
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const maskAccount = (value) => {
+  const account = String(value || '').replace(/\s/g, '');
+  return account.length > 4 ? `${'*'.repeat(Math.min(account.length - 4, 8))}${account.slice(-4)}` : account;
+};
+
+// paymentDetails.bankDetails is free-form: an object (e-invoices, manual edits) or OCR'd text
+const accountFromInvoice = (bankDetails) => {
+  if (!bankDetails) return null;
+
+  if (typeof bankDetails === 'object') {
+    return {
+      iban: bankDetails.iban ? normalizeIban(bankDetails.iban) : null,
+      bic: bankDetails.bic || bankDetails.swift || null,
+      routingNumber: bankDetails.routingNumber || bankDetails.aba || bankDetails.routing || null,
+      accountNumber: bankDetails.accountNumber || bankDetails.account || bankDetails.bankAccount || null,
+      accountType: bankDetails.accountType || null
+    };
+  }
+
+  const text = String(bankDetails);
+  // IBANs are printed in groups of four; take the first candidate whose check digits hold
+  const iban = (text.match(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/gi) || []).find(isValidIban);
+  return {
+    iban: iban ? normalizeIban(iban) : null,
+    bic: (text.match(/\b(?:BIC|SWIFT)\W{0,3}([A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?)\b/i) || [])[1] || null,
+    routingNumber: (text.match(/\b(?:ABA|routing|RTN)\D{0,20}(\d{9})\b/i) || [])[1] || null,
+    accountNumber: (text.match(/\b(?:account|acct)(?! name)\D{0,20}(\d[\d-]{3,16})\b/i) || [])[1] || null,
+    accountType: /savings/i.test(text) ? 'savings' : null
+  };
+};
+
+// Vendors keep one account and one routing field: an IBAN + BIC, or an account number + ABA routing number
+const accountFromVendor = (vendor) => {
+  if (!vendor?.bankAccount) return null;
+
+  const account = String(vendor.bankAccount).replace(/\s/g, '');
+  const routing = String(vendor.bankRouting || '').replace(/\s/g, '').toUpperCase();
+
+  return isValidIban(account)
+    ? { iban: normalizeIban(account), bic: isValidBic(routing) ? routing : null }
+    : { accountNumber: account, routingNumber: /^\d{9}$/.test(routing) ? routing : null };
+};
+
+// Whether an account can be paid with the method; returns the problem, or null when usable
+const accountProblem = (account, method) => {
+  if (!account) return 'no bank details';
+  if (method === 'sepa') {
+    if (!account.iban) return 'no IBAN';
+    if (!isValidIban(account.iban)) return `IBAN ${account.iban} is invalid`;
+    if (account.bic && !isValidBic(account.bic)) return `BIC ${account.bic} is invalid`;
+    return null;
+  }
+  if (!account.routingNumber) return 'no ABA routing number';
+  if (!isValidRoutingNumber(account.routingNumber)) return `routing number ${account.routingNumber} fails its check digit`;
+  if (!isValidAccountNumber(account.accountNumber)) return 'no valid account number';
+  return null;
+};
+
+const accountKey = (account, method) => (method === 'sepa'
+  ? account.iban
+  : `${account.routingNumber}:${String(account.accountNumber).replace(/-/g, '')}`);
+
+const vendorKey = (vendor, payeeName) => (vendor ? vendor.id : `name:${normalizeName(payeeName)}`);
+
+// Group payable invoices into payments: one per vendor and bank account, less the vendor's credit
+// notes. Invoices that cannot be paid with the method (wrong currency, nothing due, no usable bank
+// details) and credit notes with no payment to offset are returned in `excluded`.
+function planPayments(rows, method) {
+  const { currency } = PAYMENT_METHODS[method];
+  const groups = new Map();
+  const credits = [];
+  const excluded = [];
+
+  rows.forEach(row => {
+    const data = row.invoice_data || {};
+    const vendor = row.vendor_id
+      ? { id: row.vendor_id, name: row.vendor_name, bankAccount: row.bank_account, bankRouting: row.bank_routing }
+      : null;
+    const payeeName = vendor?.name || data.vendor?.name || null;
+    const amount = toAmount(data.amounts?.balanceDue) ?? toAmount(data.amounts?.total);
+    const invoice = {
+      documentId: row.id,
+      invoiceNumber: data.invoiceNumber || null,
+      dueDate: toDate(row.due_date),
+      amount: amount === null ? null : round(amount),
+      currency: data.amounts?.currency || null,
+      documentType: data.documentType || 'invoice'
+    };
+
+    const problems = [];
+    const warnings = [];
+    const credit = invoice.documentType === 'credit_note';
+    if (!payeeName) problems.push('vendor is missing');
+    if (credit ? !(amount < 0) : !(amount > 0)) problems.push('nothing is due');
+    if (invoice.currency && invoice.currency.toUpperCase() !== currency) {
+      problems.push(`currency ${invoice.currency} cannot be paid by ${PAYMENT_METHODS[method].label}`);
+    }
+
+    // Credit notes are not paid to an account; they are applied once the vendor's payments are known
+    if (credit) {
+      if (problems.length > 0) {
+        excluded.push({ ...invoice, payeeName, problems });
+      } else {
+        credits.push({ invoice, payeeName, vendorKey: vendorKey(vendor, payeeName) });
+      }
+      return;
+    }
+
+    const vendorAccount = accountFromVendor(vendor);
+    const invoiceAccount = accountFromInvoice(data.paymentDetails?.bankDetails);
+    const vendorUsable = vendorAccount && !accountProblem(vendorAccount, method);
+    const invoiceUsable = invoiceAccount && !accountProblem(invoiceAccount, method);
+
+    let account = null;
+    if (vendorUsable) {
+      account = vendorAccount;
+      if (invoiceUsable && accountKey(invoiceAccount, method) !== accountKey(vendorAccount, method)) {
+        warnings.push('bank details on the invoice differ from the vendor record; the vendor record account is paid');
+      }
+    } else if (invoiceUsable) {
+      account = invoiceAccount;
+      warnings.push(vendor
+        ? 'vendor record has no usable bank details; paying the account on the invoice'
+        : 'invoice is not linked to a vendor; paying the account on the invoice');
+    } else {
+      problems.push(accountProblem(vendorAccount || invoiceAccount, method));
+    }
+
+    if (problems.length > 0) {
+      excluded.push({ ...invoice, payeeName, problems });
+      return;
+    }
+
+    const key = `${vendorKey(vendor, payeeName)}|${accountKey(account, method)}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        vendorId: vendor?.id || null,
+        payeeName,
+        account,
+        accountMasked: maskAccount(account.iban || account.accountNumber),
+        amount: 0,
+        invoices: [],
+        warnings: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.amount = round(group.amount + invoice.amount);
+    group.invoices.push(invoice);
+    warnings.forEach(warning => {
+      const message = invoice.invoiceNumber ? `${invoice.invoiceNumber}: ${warning}` : warning;
+      if (!group.warnings.includes(message)) group.warnings.push(message);
+    });
+  });
+
+  // Largest credit first, into the vendor's largest payment that stays above zero
+  credits.sort((a, b) => a.invoice.amount - b.invoice.amount).forEach(({ invoice, payeeName, vendorKey: key }) => {
+    const group = [...groups.values()]
+      .filter(candidate => candidate.key.startsWith(`${key}|`) && candidate.amount + invoice.amount > 0)
+      .sort((a, b) => b.amount - a.amount)[0];
+    if (!group) {
+      excluded.push({ ...invoice, payeeName, problems: ['no payment to this vendor in the run to offset the credit against'] });
+      return;
+    }
+    group.amount = round(group.amount + invoice.amount);
+    group.invoices.push(invoice);
+  });
+
+  const label = (invoice) => invoice.invoiceNumber || invoice.documentId.slice(0, 8);
+  const payments = [...groups.values()].map(group => {
+    const invoices = group.invoices.filter(invoice => invoice.documentType !== 'credit_note');
+    const creditNotes = group.invoices.filter(invoice => invoice.documentType === 'credit_note');
+    return {
+      ...group,
+      reference: `Invoices ${invoices.map(label).join(', ')}${creditNotes.length > 0 ? ` less credit notes ${creditNotes.map(label).join(', ')}` : ''}`
+    };
+  });
+
+  return { method, currency, payments, excluded };
+}
+
+const mapBatch = (row) => ({
+  id: row.id,
+  method: row.method,
+  status: row.status,
+  currency: row.currency,
+  executionDate: toDate(row.execution_date),
+  dueBefore: toDate(row.due_before),
+  paymentCount: row.payment_count,
+  documentCount: row.document_count,
+  totalAmount: row.total_amount === null ? null : Number(row.total_amount),
+  fileName: row.file_name,
+  createdBy: row.created_by,
+  createdByName: row.created_by_name || null,
+  createdAt: toIso(row.created_at),
+  paidAt: toIso(row.paid_at),
+  cancelledAt: toIso(row.cancelled_at)
+});
+
+const mapItem = (row) => ({
+  id: row.id,
+  vendorId: row.vendor_id,
+  payeeName: row.payee_name,
+  accountMasked: row.account_masked,
+  referenceId: row.reference_id,
+  amount: Number(row.amount),
+  documentIds: row.document_ids || [],
+  warnings: row.warnings || []
+});
+
+class PaymentRunService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async getSettings(companyId) {
+    const result = await this.pool.query('SELECT settings FROM payment_settings WHERE company_id = $1', [companyId]);
+    const saved = result.rows[0]?.settings || {};
+    return {
+      nacha: { ...DEFAULT_PAYMENT_SETTINGS.nacha, ...saved.nacha },
+      sepa: { ...DEFAULT_PAYMENT_SETTINGS.sepa, ...saved.sepa }
+    };
+  }
+
+  async updateSettings(companyId, settings, userId) {
+    await this.pool.query(`
+      INSERT INTO payment_settings (company_id, settings, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (company_id) DO UPDATE
+      SET settings = EXCLUDED.settings,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+    `, [companyId, JSON.stringify(settings), userId]);
+
+    return this.getSettings(companyId);
+  }
+
+  // Approved invoices not in a live payment run and due on or before `dueBefore`, and approved credit
+  // notes not in one yet, whatever their date
+  async findPayable(db, companyId, { dueBefore, documentIds = null, lock = false }) {
+    const result = await db.query(`
+      SELECT d.id, d.vendor_id, inv.data AS invoice_data,
+             COALESCE(inv.due_date, inv.invoice_date) AS due_date,
+             v.name AS vendor_name, v.bank_account, v.bank_routing
+      FROM documents d
+      LEFT JOIN invoice_data inv ON inv.document_id = d.id
+      LEFT JOIN vendors v ON v.id = d.vendor_id
+      WHERE d.company_id = $1
+        AND d.workflow_status = ANY($2)
+        AND NOT EXISTS (SELECT 1 FROM document_payments dp WHERE dp.document_id = d.id)
+        AND (COALESCE(inv.due_date, inv.invoice_date, CURRENT_DATE) <= $3 OR inv.document_type = 'credit_note')
+        AND ($4::uuid[] IS NULL OR d.id = ANY($4::uuid[]))
+      ORDER BY COALESCE(inv.due_date, inv.invoice_date) NULLS FIRST, d.created_at
+      ${lock ? 'FOR UPDATE OF d' : ''}
+    `, [companyId, PAYABLE_STATUSES, dueBefore, documentIds]);
+
+    return result.rows;
+  }
+
+  async preview(companyId, { method, dueBefore }) {
+    return planPayments(await this.findPayable(this.pool, companyId, { dueBefore }), method);
+  }
+
+  // Create a run from the payable invoices (optionally only `documentIds`), generate and validate the
+  // bank file, and mark the invoices scheduled. All or nothing.
+  async createRun(companyId, { method, dueBefore, executionDate, documentIds = null }, user) {
+    const settings = (await this.getSettings(companyId))[method];
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const rows = await this.findPayable(client, companyId, { dueBefore, documentIds, lock: true });
+      if (documentIds) {
+        const unavailable = documentIds.filter(id => !rows.some(row => row.id === id));
+        if (unavailable.length > 0) {
+          throw new PaymentRunError('Some invoices are not approved, not due yet, or already in a payment run', 409, { documentIds: unavailable });
+        }
+      }
+
+      const plan = planPayments(rows, method);
+      if (documentIds && plan.excluded.length > 0) {
+        throw new PaymentRunError(`${plan.excluded.length} invoice(s) cannot be paid as they are`, 422, { excluded: plan.excluded });
+      }
+      if (plan.payments.length === 0) {
+        throw new PaymentRunError('No invoices are ready to pay', 400, { excluded: plan.excluded });
+      }
+
+      const batchId = uuidv4();
+      const shortId = batchId.slice(0, 8).toUpperCase();
+      const createdAt = new Date();
+      const messageId = `PAY-${createdAt.toISOString().slice(0, 10).replace(/-/g, '')}-${shortId}`;
+
+      const payments = plan.payments.map((payment, index) => ({
+        ...payment.account,
+        id: `${shortId}-${index + 1}`,
+        payeeName: payment.payeeName,
+        amount: payment.amount,
+        reference: payment.reference
+      }));
+
+      const content = method === 'sepa'
+        ? buildSepaCreditTransfer(payments, settings, { messageId, executionDate, createdAt })
+        : buildNachaFile(payments, settings, { effectiveDate: executionDate, createdAt });
+
+      // The file goes to a bank: never store one that breaks the format rules
+      const validation = method === 'sepa' ? validateSepaXml(content) : validateNachaFile(content);
+      if (!validation.valid) {
+        throw new PaymentRunError('The generated payment file is invalid; check the payment settings', 422, { errors: validation.errors });
+      }
+
+      const { extension, contentType, currency } = PAYMENT_METHODS[method];
+      const documentCount = plan.payments.reduce((sum, payment) => sum + payment.invoices.length, 0);
+      const totalAmount = round(plan.payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+      const batchResult = await client.query(`
+        INSERT INTO payment_batches (
+          id, company_id, method, currency, execution_date, due_before, payment_count, document_count,
+          total_amount, file_name, content_type, content, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        batchId, companyId, method, currency, executionDate || createdAt.toISOString().slice(0, 10), dueBefore,
+        plan.payments.length, documentCount, totalAmount, `${messageId}.${extension}`, contentType,
+        Buffer.from(content), user.id
+      ]);
+
+      for (const [index, payment] of plan.payments.entries()) {
+        const itemResult = await client.query(`
+          INSERT INTO payment_batch_items (
+            batch_id, vendor_id, payee_name, account_masked, reference_id, amount, document_ids, warnings
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id
+        `, [
+          batchId, payment.vendorId, payment.payeeName, payment.accountMasked, payments[index].id, payment.amount,
+          JSON.stringify(payment.invoices.map(invoice => invoice.documentId)), JSON.stringify(payment.warnings)
+        ]);
+
+        for (const invoice of payment.invoices) {
+          await client.query(`
+            INSERT INTO document_payments (document_id, batch_id, item_id, amount, status)
+            VALUES ($1, $2, $3, $4, 'scheduled')
+          `, [invoice.documentId, batchId, itemResult.rows[0].id, invoice.amount]);
+        }
+      }
+
+      await client.query('COMMIT');
+      return { ...mapBatch(batchResult.rows[0]), excluded: plan.excluded };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // The primary key on document_payments stops a concurrent run from paying the same invoice
+      if (error.code === '23505') {
+        throw new PaymentRunError('An invoice in this run was scheduled by another payment run', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listBatches(companyId, { limit = 50 } = {}) {
+    const result = await this.pool.query(`
+      SELECT b.*, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS created_by_name
+      FROM payment_batches b
+      LEFT JOIN users u ON u.id = b.created_by
+      WHERE b.company_id = $1
+      ORDER BY b.created_at DESC
+      LIMIT $2
+    `, [companyId, limit]);
+
+    return result.rows.map(mapBatch);
+  }
+
+  async getBatch(batchId, companyId) {
+    const result = await this.pool.query(`
+      SELECT b.*, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS created_by_name
+      FROM payment_batches b
+      LEFT JOIN users u ON u.id = b.created_by
+      WHERE b.id = $1 AND b.company_id = $2
+    `, [batchId, companyId]);
+    if (result.rows.length === 0) return null;
+
+    const items = await this.pool.query(
+      'SELECT * FROM payment_batch_items WHERE batch_id = $1 ORDER BY reference_id',
+      [batchId]
+    );
+    return { ...mapBatch(result.rows[0]), payments: items.rows.map(mapItem) };
+  }
+
+  async getBatchFile(batchId, companyId) {
+    const result = await this.pool.query(
+      'SELECT file_name, content_type, content FROM payment_batches WHERE id = $1 AND company_id = $2',
+      [batchId, companyId]
+    );
+    const row = result.rows[0];
+    return row ? { fileName: row.file_name, contentType: row.content_type, content: row.content } : null;
+  }
+
+  // The bank executed the run: its invoices are paid
+  async markPaid(batchId, companyId, userId) {
+    return this.changeStatus(batchId, companyId, 'paid', async (client) => {
+      await client.query(`
+        UPDATE document_payments
+        SET status = 'paid', updated_at = CURRENT_TIMESTAMP
+        WHERE batch_id = $1
+      `, [batchId]);
+    }, userId);
+  }
+
+  // The file was never sent (or the bank rejected it): release the invoices for another run
+  async cancel(batchId, companyId, userId) {
+    return this.changeStatus(batchId, companyId, 'cancelled', async (client) => {
+      await client.query('DELETE FROM document_payments WHERE batch_id = $1', [batchId]);
+    }, userId);
+  }
+
+  async changeStatus(batchId, companyId, status, fn, userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        'SELECT status FROM payment_batches WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [batchId, companyId]
+      );
+      if (locked.rows.length === 0) {
+        throw new PaymentRunError('Payment run not found', 404);
+      }
+      if (locked.rows[0].status !== 'scheduled') {
+        throw new PaymentRunError(`Only scheduled payment runs can be marked ${status} (run is ${locked.rows[0].status})`);
+      }
+
+      const column = status === 'paid' ? 'paid' : 'cancelled';
+      const result = await client.query(`
+        UPDATE payment_batches
+        SET status = $2, ${column}_at = CURRENT_TIMESTAMP, ${column}_by = $3
+        WHERE id = $1
+        RETURNING *
+      `, [batchId, status, userId]);
+
+      await fn(client);
+      await client.query('COMMIT');
+      return mapBatch(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  PaymentRunService,
+  PaymentRunError,
+  PAYMENT_METHODS,
+  PAYABLE_STATUSES,
+  DEFAULT_PAYMENT_SETTINGS,
+  planPayments
+};
@@ -0,0 +1,117 @@
+// backend/services/paymentRuns.test.js
+
+const { planPayments } = require('./paymentRuns');
+
+const VENDOR = { vendor_id: 'vendor-1', vendor_name: 'Schrauben KG', bank_account: 'DE02120300000000202051', bank_routing: 'BYLADEM1001' };
+
+const row = (id, amounts, overrides = {}) => ({
+  id,
+  due_date: '2024-04-30',
+  ...VENDOR,
+  ...overrides,
+  invoice_data: {
+    invoiceNumber: id.toUpperCase(),
+    documentType: 'invoice',
+    amounts: { currency: 'EUR', ...amounts },
+    ...overrides.invoice_data
+  }
+});
+
+const creditNote = (id, balanceDue, overrides = {}) => row(id, { balanceDue }, {
+  ...overrides,
+  invoice_data: { documentType: 'credit_note', ...overrides.invoice_data }
+});
+
+describe('planPayments', () => {
+  test('groups a vendor\'s invoices into one payment to the vendor record account', () => {
+    const plan = planPayments([row('inv-1', { balanceDue: 100 }), row('inv-2', { total: 50.25 })], 'sepa');
+
+    expect(plan.currency).toBe('EUR');
+    expect(plan.excluded).toEqual([]);
+    expect(plan.payments).toHaveLength(1);
+    expect(plan.payments[0]).toMatchObject({
+      vendorId: 'vendor-1',
+      payeeName: 'Schrauben KG',
+      amount: 150.25,
+      account: { iban: 'DE02120300000000202051', bic: 'BYLADEM1001' },
+      accountMasked: '********2051',
+      reference: 'Invoices INV-1, INV-2'
+    });
+  });
+
+  test('nets a credit note against the vendor\'s payment', () => {
+    const plan = planPayments([row('inv-1', { balanceDue: 100 }), creditNote('cn-1', -30)], 'sepa');
+
+    expect(plan.payments[0].amount).toBe(70);
+    expect(plan.payments[0].invoices.map(invoice => invoice.documentId)).toEqual(['inv-1', 'cn-1']);
+    expect(plan.payments[0].reference).toBe('Invoices INV-1 less credit notes CN-1');
+  });
+
+  test('puts the largest credit into the largest payment that stays above zero', () => {
+    const secondAccount = { bank_account: null, invoice_data: { paymentDetails: { bankDetails: { iban: 'FR1420041010050500013M02606' } } } };
+    const plan = planPayments([
+      row('inv-1', { balanceDue: 100 }),
+      row('inv-2', { balanceDue: 50 }, secondAccount),
+      creditNote('cn-1', -60),
+      creditNote('cn-2', -30)
+    ], 'sepa');
+
+    const amounts = Object.fromEntries(plan.payments.map(payment => [payment.account.iban.slice(0, 2), payment.amount]));
+    expect(amounts).toEqual({ DE: 40, FR: 20 });
+  });
+
+  test('holds back a credit note larger than anything paid to the vendor', () => {
+    const plan = planPayments([row('inv-1', { balanceDue: 100 }), creditNote('cn-1', -100)], 'sepa');
+
+    expect(plan.payments[0].amount).toBe(100);
+    expect(plan.excluded).toEqual([
+      expect.objectContaining({ documentId: 'cn-1', problems: ['no payment to this vendor in the run to offset the credit against'] })
+    ]);
+  });
+
+  test('does not net a credit note against another vendor', () => {
+    const plan = planPayments([
+      row('inv-1', { balanceDue: 100 }),
+      creditNote('cn-1', -30, { vendor_id: 'vendor-2', vendor_name: 'Other GmbH' })
+    ], 'sepa');
+
+    expect(plan.payments[0].amount).toBe(100);
+    expect(plan.excluded.map(invoice => invoice.documentId)).toEqual(['cn-1']);
+  });
+
+  test('excludes a credit note with a positive amount and an invoice with nothing due', () => {
+    const plan = planPayments([row('inv-1', { balanceDue: 0 }), creditNote('cn-1', 30)], 'sepa');
+
+    expect(plan.payments).toEqual([]);
+    expect(plan.excluded.map(invoice => invoice.problems)).toEqual([['nothing is due'], ['nothing is due']]);
+  });
+
+  test('excludes invoices in a currency the method cannot pay', () => {
+    const plan = planPayments([row('inv-1', { balanceDue: 100, currency: 'USD' })], 'sepa');
+
+    expect(plan.excluded[0].problems).toEqual(['currency USD cannot be paid by SEPA Credit Transfer (pain.001.001.03)']);
+  });
+
+  test('pays the vendor record and warns when the invoice names a different account', () => {
+    const plan = planPayments([
+      row('inv-1', { balanceDue: 100 }, { invoice_data: { paymentDetails: { bankDetails: 'IBAN FR14 2004 1010 0505 0001 3M02 606' } } })
+    ], 'sepa');
+
+    expect(plan.payments[0].account.iban).toBe('DE02120300000000202051');
+    expect(plan.payments[0].warnings).toEqual([
+      'INV-1: bank details on the invoice differ from the vendor record; the vendor record account is paid'
+    ]);
+  });
+
+  test('checks the routing number before paying by ACH', () => {
+    const ach = { bank_account: '12345678' };
+    const plan = planPayments([
+      row('inv-1', { balanceDue: 100, currency: 'USD' }, { ...ach, bank_routing: '021000021' }),
+      row('inv-2', { balanceDue: 100, currency: 'USD' }, { ...ach, vendor_id: 'vendor-2', vendor_name: 'Beta LLC', bank_routing: '021000022' })
+    ], 'nacha');
+
+    expect(plan.payments).toHaveLength(1);
+    expect(plan.payments[0].account).toMatchObject({ accountNumber: '12345678', routingNumber: '021000021' });
+    expect(plan.excluded[0].problems).toEqual(['routing number 021000022 fails its check digit']);
+  });
+});
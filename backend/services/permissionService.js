@@ -0,0 +1,251 @@
+// backend/services/permissionService.js
+// Role-based permissions read from the permissions and role_permissions tables.
+//
+// admin, validator and viewer are system roles shared by every company and cannot be changed.
+// Companies add their own roles with any set of permissions from the catalogue; a custom role
+// belongs to its company alone, so two companies can each have a role of the same name. admin
+// always holds every permission, including ones added to the catalogue after the role was seeded.
+
+const SUPER_ROLE = 'admin';
+
+// Permissions change rarely; a role's set is re-read at most this often
+const CACHE_TTL_MS = 60 * 1000;
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+class RoleError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'RoleError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const cacheKey = (role, companyId) => `${companyId ?? ''}:${role}`;
+
+const mapRole = (row) => ({
+  name: row.name,
+  description: row.description,
+  isSystem: row.is_system,
+  permissions: row.permissions || [],
+  userCount: Number(row.user_count || 0),
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+class PermissionService {
+  constructor(pool, { cacheTtlMs = CACHE_TTL_MS } = {}) {
+    this.pool = pool;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = new Map();
+  }
+
+  // ===============================
+  // LOOKUP
+  // ===============================
+
+  // Permissions of a system role, or of the custom role of that name in the user's company
+  async getPermissions(role, companyId = null) {
+    if (!role) return [];
+
+    const key = cacheKey(role, companyId);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const result = role === SUPER_ROLE
+      ? await this.pool.query('SELECT name FROM permissions ORDER BY name')
+      : await this.pool.query(`
+          SELECT p.name
+          FROM roles r
+          JOIN role_permissions rp ON rp.role_id = r.id
+          JOIN permissions p ON p.id = rp.permission_id
+          WHERE r.name = $1 AND (r.company_id IS NULL OR r.company_id = $2)
+          ORDER BY p.name
+        `, [role, companyId]);
+
+    const permissions = result.rows.map(row => row.name);
+    this.cache.set(key, { permissions, expiresAt: Date.now() + this.cacheTtlMs });
+    return permissions;
+  }
+
+  async hasPermission(role, permission, companyId = null) {
+    return (await this.getPermissions(role, companyId)).includes(permission);
+  }
+
+  invalidate(role, companyId = null) {
+    if (role) {
+      this.cache.delete(cacheKey(role, companyId));
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  async listPermissions() {
+    const result = await this.pool.query(
+      'SELECT name, description, resource, action FROM permissions ORDER BY resource, action'
+    );
+    return result.rows;
+  }
+
+  // System roles plus the company's own, with their permissions and how many of the company's users hold each
+  async listRoles(companyId) {
+    const [rolesResult, catalogue] = await Promise.all([
+      this.pool.query(`
+        SELECT
+          r.name, r.description, r.is_system, r.created_at,
+          COALESCE(ARRAY_AGG(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions,
+          (SELECT COUNT(*) FROM users u
+           WHERE u.role = r.name AND u.company_id = $1 AND u.status <> 'deleted') AS user_count
+        FROM roles r
+        LEFT JOIN role_permissions rp ON rp.role_id = r.id
+        LEFT JOIN permissions p ON p.id = rp.permission_id
+        WHERE r.company_id IS NULL OR r.company_id = $1
+        GROUP BY r.id, r.name, r.description, r.is_system, r.created_at
+        ORDER BY r.is_system DESC, r.name ASC
+      `, [companyId]),
+      this.listPermissions()
+    ]);
+
+    return rolesResult.rows.map(row => mapRole(row.name === SUPER_ROLE
+      ? { ...row, permissions: catalogue.map(permission => permission.name) }
+      : row));
+  }
+
+  // Roles a user of this company may be given
+  async roleExists(name, companyId, db = this.pool) {
+    const result = await db.query(
+      'SELECT 1 FROM roles WHERE name = $1 AND (company_id IS NULL OR company_id = $2)',
+      [name, companyId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // ===============================
+  // CUSTOM ROLES
+  // ===============================
+
+  async findCustomRole(db, name, companyId) {
+    const result = await db.query(
+      'SELECT id, name, company_id, is_system FROM roles WHERE name = $1 AND (company_id IS NULL OR company_id = $2)',
+      [name, companyId]
+    );
+    const role = result.rows[0];
+
+    if (!role) {
+      throw new RoleError('Role not found', 404);
+    }
+    if (role.is_system) {
+      throw new RoleError(`${name} is a built-in role and cannot be changed`, 403);
+    }
+    return role;
+  }
+
+  async assertKnownPermissions(db, permissions) {
+    const result = await db.query('SELECT name FROM permissions WHERE name = ANY($1)', [permissions]);
+    const known = new Set(result.rows.map(row => row.name));
+    const unknownPermissions = permissions.filter(permission => !known.has(permission));
+
+    if (unknownPermissions.length > 0) {
+      throw new RoleError('Unknown permissions', 400, { unknownPermissions });
+    }
+  }
+
+  async replacePermissions(db, roleId, permissions) {
+    await db.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT $1, id FROM permissions WHERE name = ANY($2)
+    `, [roleId, permissions]);
+  }
+
+  async withTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createRole(companyId, { name, description, permissions }, createdBy) {
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      throw new RoleError('Role names are 2-50 lowercase letters, digits, "-" or "_", starting with a letter');
+    }
+
+    try {
+      await this.withTransaction(async (client) => {
+        // users.role holds the name, so a custom role may not share one with a system role either
+        if (await this.roleExists(name, companyId, client)) {
+          throw new RoleError(`A role named "${name}" already exists`, 409);
+        }
+        await this.assertKnownPermissions(client, permissions);
+        const result = await client.query(`
+          INSERT INTO roles (name, company_id, description, is_system, created_by)
+          VALUES ($1, $2, $3, false, $4)
+          RETURNING id
+        `, [name, companyId, description || null, createdBy]);
+        await this.replacePermissions(client, result.rows[0].id, permissions);
+      });
+    } catch (error) {
+      // Two admins of the company creating the same role at once
+      if (error.code === '23505') {
+        throw new RoleError(`A role named "${name}" already exists`, 409);
+      }
+      throw error;
+    }
+
+    this.invalidate(name, companyId);
+    return (await this.listRoles(companyId)).find(role => role.name === name);
+  }
+
+  async updateRole(name, companyId, { description, permissions }) {
+    await this.withTransaction(async (client) => {
+      const role = await this.findCustomRole(client, name, companyId);
+
+      if (description !== undefined) {
+        await client.query('UPDATE roles SET description = $2 WHERE id = $1', [role.id, description || null]);
+      }
+      if (permissions) {
+        await this.assertKnownPermissions(client, permissions);
+        await this.replacePermissions(client, role.id, permissions);
+      }
+    });
+
+    this.invalidate(name, companyId);
+    return (await this.listRoles(companyId)).find(role => role.name === name);
+  }
+
+  async deleteRole(name, companyId) {
+    await this.withTransaction(async (client) => {
+      const role = await this.findCustomRole(client, name, companyId);
+
+      const holders = await client.query(
+        `SELECT COUNT(*)::int AS count FROM users WHERE role = $1 AND company_id = $2 AND status <> 'deleted'`,
+        [name, companyId]
+      );
+      if (holders.rows[0].count > 0) {
+        throw new RoleError('Reassign the users who hold this role before deleting it', 409, {
+          userCount: holders.rows[0].count
+        });
+      }
+
+      await client.query('DELETE FROM role_permissions WHERE role_id = $1', [role.id]);
+      await client.query('DELETE FROM roles WHERE id = $1', [role.id]);
+    });
+
+    this.invalidate(name, companyId);
+  }
+}
+
+module.exports = {
+  PermissionService,
+  RoleError,
+  SUPER_ROLE,
+  ROLE_NAME_PATTERN
+};
@@ -0,0 +1,102 @@
+// backend/services/permissionService.test.js
+
+const { PermissionService, RoleError } = require('./permissionService');
+
+// A pool that answers each query with the next of the given results and records what it was asked;
+// transactions run on the same recorder
+const fakePool = (...results) => {
+  const queries = [];
+  const query = async (sql, params) => {
+    queries.push({ sql, params });
+    return results.shift() || { rows: [], rowCount: 0 };
+  };
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} })
+  };
+};
+
+const statements = (pool) => pool.queries.map(query => query.sql.trim().split(/\s+/).slice(0, 2).join(' '));
+
+describe('PermissionService.getPermissions', () => {
+  test('reads a role\'s permissions within the user\'s company', async () => {
+    const pool = fakePool({ rows: [{ name: 'document.read' }] });
+    const service = new PermissionService(pool);
+
+    expect(await service.getPermissions('clerk', 1)).toEqual(['document.read']);
+    expect(pool.queries[0].sql).toContain('r.company_id IS NULL OR r.company_id = $2');
+    expect(pool.queries[0].params).toEqual(['clerk', 1]);
+  });
+
+  test('keeps the permissions of same-named roles of two companies apart', async () => {
+    const pool = fakePool({ rows: [{ name: 'document.read' }] }, { rows: [{ name: 'document.delete' }] });
+    const service = new PermissionService(pool);
+
+    expect(await service.hasPermission('clerk', 'document.delete', 1)).toBe(false);
+    expect(await service.hasPermission('clerk', 'document.delete', 2)).toBe(true);
+    expect(await service.hasPermission('clerk', 'document.delete', 1)).toBe(false);
+    expect(pool.queries).toHaveLength(2);
+  });
+
+  test('gives admin the whole catalogue', async () => {
+    const pool = fakePool({ rows: [{ name: 'document.read' }, { name: 'role.manage' }] });
+    const service = new PermissionService(pool);
+
+    expect(await service.getPermissions('admin', 1)).toEqual(['document.read', 'role.manage']);
+    expect(pool.queries[0].sql).toContain('FROM permissions');
+  });
+});
+
+describe('PermissionService.createRole', () => {
+  test('creates a role whose name another company already uses', async () => {
+    const pool = fakePool(
+      { rows: [] },
+      { rows: [] },
+      { rows: [{ name: 'document.read' }] },
+      { rows: [{ id: 'role-b' }] },
+      { rows: [] },
+      { rows: [] },
+      { rows: [] },
+      { rows: [{ name: 'clerk', is_system: false, permissions: ['document.read'] }] },
+      { rows: [] }
+    );
+    const service = new PermissionService(pool);
+
+    const role = await service.createRole(2, { name: 'clerk', permissions: ['document.read'] }, 9);
+
+    expect(role).toMatchObject({ name: 'clerk', permissions: ['document.read'] });
+    // Only the system roles and company 2's own are checked for the name
+    expect(pool.queries[1].params).toEqual(['clerk', 2]);
+    expect(pool.queries[3].params).toEqual(['clerk', 2, null, 9]);
+    expect(pool.queries[4].params).toEqual(['role-b']);
+    expect(pool.queries[5].params).toEqual(['role-b', ['document.read']]);
+  });
+
+  test('refuses a name the company or a system role already has', async () => {
+    const pool = fakePool({ rows: [] }, { rows: [{ 1: 1 }] });
+    const service = new PermissionService(pool);
+
+    const error = await service.createRole(2, { name: 'viewer', permissions: [] }, 9).catch(e => e);
+
+    expect(error).toBeInstanceOf(RoleError);
+    expect(error.statusCode).toBe(409);
+    expect(statements(pool)).toEqual(['BEGIN', 'SELECT 1', 'ROLLBACK']);
+  });
+});
+
+describe('PermissionService.deleteRole', () => {
+  test('counts only the company\'s holders and deletes the role by id', async () => {
+    const pool = fakePool(
+      { rows: [] },
+      { rows: [{ id: 'role-b', name: 'clerk', company_id: 2, is_system: false }] },
+      { rows: [{ count: 0 }] }
+    );
+    const service = new PermissionService(pool);
+
+    await service.deleteRole('clerk', 2);
+
+    expect(pool.queries[2].params).toEqual(['clerk', 2]);
+    expect(pool.queries.slice(3, 5).map(query => query.params)).toEqual([['role-b'], ['role-b']]);
+  });
+});
@@ -0,0 +1,225 @@
+// backend/services/processingQueue.js
+// Redis-backed (bull) queue for document processing with retries and a dead-letter queue
+
+const Queue = require('bull');
+
+const QUEUE_NAME = 'document-processing';
+const DEAD_LETTER_QUEUE_NAME = 'document-processing-dead-letter';
+
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const redisConfig = process.env.REDIS_URL || {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInteger(process.env.REDIS_PORT, 6379),
+  password: process.env.REDIS_PASSWORD || undefined
+};
+
+const QUEUE_CONFIG = {
+  concurrency: parseInteger(process.env.PROCESSING_CONCURRENCY, 2),
+  attempts: parseInteger(process.env.PROCESSING_MAX_ATTEMPTS, 3),
+  backoffDelay: parseInteger(process.env.PROCESSING_BACKOFF_MS, 5000)
+};
+
+// Retries inside a single job attempt, per pipeline stage
+const DEFAULT_STAGE_RETRIES = {
+  extraction: { attempts: 2, delay: 2000 },
+  persistence: { attempts: 3, delay: 500 }
+};
+
+const loadStageRetries = () => {
+  if (!process.env.PROCESSING_STAGE_RETRIES) return DEFAULT_STAGE_RETRIES;
+
+  try {
+    return { ...DEFAULT_STAGE_RETRIES, ...JSON.parse(process.env.PROCESSING_STAGE_RETRIES) };
+  } catch (error) {
+    console.warn('⚠️ Invalid PROCESSING_STAGE_RETRIES, using defaults:', error.message);
+    return DEFAULT_STAGE_RETRIES;
+  }
+};
+
+const STAGE_RETRIES = loadStageRetries();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run one pipeline stage, retrying with exponential backoff (delay, 2x delay, 4x delay...)
+const withStageRetry = async (stage, fn, onRetry) => {
+  const { attempts, delay } = STAGE_RETRIES[stage] || { attempts: 1, delay: 0 };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts) {
+        error.stage = error.stage || stage;
+        throw error;
+      }
+
+      const wait = delay * Math.pow(2, attempt - 1);
+      console.warn(`⚠️ Stage "${stage}" failed (attempt ${attempt}/${attempts}), retrying in ${wait}ms: ${error.message}`);
+      if (onRetry) onRetry({ stage, attempt, attempts, wait, error });
+      await sleep(wait);
+    }
+  }
+};
+
+const JOB_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed'];
+
+const mapJob = (job, state) => ({
+  id: job.id,
+  documentId: job.data.documentId,
+  originalName: job.data.originalName,
+  userId: job.data.userId,
+  state,
+  attemptsMade: job.data.attemptsMade ?? job.attemptsMade,
+  maxAttempts: job.opts.attempts || 1,
+  failedReason: job.data.failedReason || job.failedReason || null,
+  failedStage: job.data.failedStage || null,
+  createdAt: new Date(job.timestamp).toISOString(),
+  processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+  finishedAt: job.data.failedAt || (job.finishedOn ? new Date(job.finishedOn).toISOString() : null)
+});
+
+class DocumentProcessingQueue {
+  constructor() {
+    this.queue = new Queue(QUEUE_NAME, redisConfig, {
+      defaultJobOptions: {
+        attempts: QUEUE_CONFIG.attempts,
+        backoff: { type: 'exponential', delay: QUEUE_CONFIG.backoffDelay },
+        removeOnComplete: 100,
+        // Kept so the status listing shows them; the final failure is also copied to the dead-letter queue
+        removeOnFail: 1000
+      }
+    });
+    this.deadLetterQueue = new Queue(DEAD_LETTER_QUEUE_NAME, redisConfig);
+
+    this.queue.on('error', (error) => {
+      console.error('❌ Processing queue error:', error.message);
+    });
+  }
+
+  // Register the worker; handlers are told about retries and final failures
+  start(processor, { onRetry, onDeadLetter } = {}) {
+    this.queue.process(QUEUE_CONFIG.concurrency, (job) => processor(job.data, job));
+
+    this.queue.on('failed', async (job, error) => {
+      const maxAttempts = job.opts.attempts || 1;
+
+      if (job.attemptsMade < maxAttempts) {
+        console.warn(`🔁 Job ${job.id} failed (attempt ${job.attemptsMade}/${maxAttempts}), will retry: ${error.message}`);
+        if (onRetry) onRetry(job.data, error, job.attemptsMade);
+        return;
+      }
+
+      console.error(`☠️ Job ${job.id} moved to dead-letter queue after ${job.attemptsMade} attempts: ${error.message}`);
+
+      try {
+        await this.deadLetterQueue.add({
+          ...job.data,
+          failedReason: error.message,
+          failedStage: error.stage || null,
+          attemptsMade: job.attemptsMade,
+          failedAt: new Date().toISOString()
+        }, { jobId: job.id });
+      } catch (queueError) {
+        console.error('❌ Failed to dead-letter job:', queueError.message);
+      }
+
+      if (onDeadLetter) onDeadLetter(job.data, error);
+    });
+
+    console.log(`✅ Processing queue started (concurrency ${QUEUE_CONFIG.concurrency}, ${QUEUE_CONFIG.attempts} attempts)`);
+  }
+
+  // Job ids are document ids, so re-enqueueing an already queued document is a no-op
+  async enqueue(data) {
+    return this.queue.add(data, { jobId: data.documentId });
+  }
+
+  // Queue a document that has been processed before; its finished job would otherwise block the new one
+  async reprocess(data) {
+    const existing = await this.queue.getJob(data.documentId);
+    if (existing && (await existing.isCompleted() || await existing.isFailed())) {
+      await existing.remove();
+    }
+    return this.enqueue(data);
+  }
+
+  async getJob(jobId) {
+    const deadLetterJob = await this.deadLetterQueue.getJob(jobId);
+    if (deadLetterJob) {
+      return mapJob(deadLetterJob, 'dead_letter');
+    }
+
+    const job = await this.queue.getJob(jobId);
+    return job ? mapJob(job, await job.getState()) : null;
+  }
+
+  async listJobs({ state, userId } = {}) {
+    const jobs = [];
+
+    const states = state && state !== 'dead_letter' ? [state] : JOB_STATES;
+    if (!state || JOB_STATES.includes(state)) {
+      for (const jobState of states) {
+        const stateJobs = await this.queue.getJobs([jobState]);
+        stateJobs.filter(Boolean).forEach(job => jobs.push(mapJob(job, jobState)));
+      }
+    }
+
+    if (!state || state === 'dead_letter') {
+      const deadLetterJobs = (await this.deadLetterQueue.getJobs(['waiting'])).filter(Boolean);
+      // Without a state filter a dead-lettered job is listed once, as dead-lettered
+      const deadLetterIds = new Set(deadLetterJobs.map(job => String(job.id)));
+      for (let i = jobs.length - 1; i >= 0; i--) {
+        if (jobs[i].state === 'failed' && deadLetterIds.has(String(jobs[i].id))) jobs.splice(i, 1);
+      }
+      deadLetterJobs.forEach(job => jobs.push(mapJob(job, 'dead_letter')));
+    }
+
+    return jobs
+      .filter(job => userId === undefined || job.userId === userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getCounts() {
+    const counts = await this.queue.getJobCounts();
+    counts.dead_letter = await this.deadLetterQueue.count();
+    return counts;
+  }
+
+  // Move a dead-lettered (or failed) job back onto the processing queue
+  async retry(jobId) {
+    const deadLetterJob = await this.deadLetterQueue.getJob(jobId);
+
+    if (deadLetterJob) {
+      const data = { ...deadLetterJob.data };
+      ['failedReason', 'failedStage', 'attemptsMade', 'failedAt'].forEach(key => delete data[key]);
+      await deadLetterJob.remove();
+
+      const existing = await this.queue.getJob(jobId);
+      if (existing) await existing.remove();
+
+      return this.enqueue(data);
+    }
+
+    const job = await this.queue.getJob(jobId);
+    if (job && await job.isFailed()) {
+      await job.retry();
+      return job;
+    }
+
+    return null;
+  }
+
+  async close() {
+    await Promise.all([this.queue.close(), this.deadLetterQueue.close()]);
+  }
+}
+
+module.exports = {
+  DocumentProcessingQueue,
+  withStageRetry,
+  QUEUE_CONFIG
+};
@@ -0,0 +1,396 @@
+// backend/services/purchaseOrderRepository.js
+// Purchase orders and goods receipts (per company), imported by API or CSV, for three-way invoice matching
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class PurchaseOrderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PurchaseOrderError';
+    this.statusCode = statusCode;
+  }
+}
+
+// "PO-00123", "po 00123" and "PO00123" are the same order
+const normalizePoNumber = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value);
+};
+
+const mapLine = (row) => ({
+  id: row.id,
+  lineNumber: row.line_number,
+  itemCode: row.item_code,
+  description: row.description,
+  quantity: toNumber(row.quantity),
+  unitPrice: toNumber(row.unit_price),
+  amount: Math.round(toNumber(row.quantity) * toNumber(row.unit_price) * 100) / 100,
+  quantityReceived: toNumber(row.quantity_received) || 0,
+  quantityBilled: toNumber(row.quantity_billed) || 0
+});
+
+const mapPurchaseOrder = (row, lines) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    companyId: row.company_id,
+    poNumber: row.po_number,
+    vendorId: row.vendor_id,
+    vendorName: row.matched_vendor_name || row.vendor_name,
+    currency: row.currency,
+    orderDate: toDateString(row.order_date),
+    status: row.status,
+    lineCount: row.line_count !== undefined ? Number(row.line_count) : lines?.length,
+    totalAmount: row.total_amount !== undefined && row.total_amount !== null
+      ? Math.round(toNumber(row.total_amount) * 100) / 100
+      : undefined,
+    receiptCount: row.receipt_count !== undefined ? Number(row.receipt_count) : undefined,
+    lines,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+};
+
+const mapReceipt = (row) => ({
+  id: row.id,
+  purchaseOrderId: row.purchase_order_id,
+  poNumber: row.po_number,
+  receiptNumber: row.receipt_number,
+  receivedDate: toDateString(row.received_date),
+  lines: row.lines || [],
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+// CSV import: one row per PO line (po_number, vendor_name, currency, order_date, line_number,
+// item_code, description, quantity, unit_price); rows sharing a po_number form one order
+const purchaseOrdersFromCsv = (records) => {
+  const orders = new Map();
+
+  records.forEach(record => {
+    const poNumber = record.po_number || record.purchase_order || record.po;
+    if (!poNumber) {
+      throw new PurchaseOrderError(`Row ${record.line}: po_number is required`);
+    }
+
+    if (!orders.has(poNumber)) {
+      orders.set(poNumber, {
+        poNumber,
+        vendorName: record.vendor_name || record.vendor || undefined,
+        currency: record.currency || undefined,
+        orderDate: record.order_date || undefined,
+        lines: []
+      });
+    }
+
+    const order = orders.get(poNumber);
+    order.lines.push({
+      lineNumber: toNumber(record.line_number || record.line_no) || order.lines.length + 1,
+      itemCode: record.item_code || record.sku || undefined,
+      description: record.description || undefined,
+      quantity: toNumber(record.quantity || record.qty),
+      unitPrice: toNumber(record.unit_price || record.price)
+    });
+  });
+
+  return [...orders.values()];
+};
+
+// CSV import: one row per received line (receipt_number, po_number, received_date, line_number, quantity_received)
+const goodsReceiptsFromCsv = (records) => {
+  const receipts = new Map();
+
+  records.forEach(record => {
+    const receiptNumber = record.receipt_number || record.grn || record.receipt;
+    if (!receiptNumber) {
+      throw new PurchaseOrderError(`Row ${record.line}: receipt_number is required`);
+    }
+
+    if (!receipts.has(receiptNumber)) {
+      receipts.set(receiptNumber, {
+        receiptNumber,
+        poNumber: record.po_number || record.purchase_order || record.po,
+        receivedDate: record.received_date || undefined,
+        lines: []
+      });
+    }
+
+    receipts.get(receiptNumber).lines.push({
+      lineNumber: toNumber(record.line_number || record.line_no),
+      quantityReceived: toNumber(record.quantity_received || record.quantity || record.qty)
+    });
+  });
+
+  return [...receipts.values()];
+};
+
+const LINE_TOTALS_SELECT = `
+  SELECT pol.*,
+         (SELECT COALESCE(SUM(grl.quantity_received), 0)
+          FROM goods_receipt_lines grl
+          WHERE grl.purchase_order_line_id = pol.id) AS quantity_received,
+         (SELECT COALESCE(SUM(dplm.quantity), 0)
+          FROM document_po_line_matches dplm
+          JOIN documents d ON d.id = dplm.document_id
+          WHERE dplm.purchase_order_line_id = pol.id
+            AND COALESCE(d.workflow_status, '') <> 'rejected'
+            AND ($2::uuid IS NULL OR dplm.document_id <> $2::uuid)) AS quantity_billed
+  FROM purchase_order_lines pol
+`;
+
+class PurchaseOrderRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async list(companyId, { search, status } = {}) {
+    const conditions = ['po.company_id = $1'];
+    const params = [companyId];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`po.status = $${params.length}`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(po.po_number ILIKE $${params.length} OR po.vendor_name ILIKE $${params.length} OR v.name ILIKE $${params.length})`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT po.*, v.name AS matched_vendor_name,
+             (SELECT COUNT(*) FROM purchase_order_lines pol WHERE pol.purchase_order_id = po.id) AS line_count,
+             (SELECT SUM(pol.quantity * pol.unit_price) FROM purchase_order_lines pol WHERE pol.purchase_order_id = po.id) AS total_amount,
+             (SELECT COUNT(*) FROM goods_receipts gr WHERE gr.purchase_order_id = po.id) AS receipt_count
+      FROM purchase_orders po
+      LEFT JOIN vendors v ON v.id = po.vendor_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY po.order_date DESC NULLS LAST, po.po_number ASC
+    `, params);
+
+    return result.rows.map(row => mapPurchaseOrder(row));
+  }
+
+  // quantityBilled counts every invoice not rejected, except excludeDocumentId (the one being re-matched)
+  async getLines(purchaseOrderId, { excludeDocumentId = null } = {}) {
+    const result = await this.pool.query(`
+      ${LINE_TOTALS_SELECT}
+      WHERE pol.purchase_order_id = $1
+      ORDER BY pol.line_number ASC
+    `, [purchaseOrderId, excludeDocumentId]);
+
+    return result.rows.map(mapLine);
+  }
+
+  async findById(purchaseOrderId, companyId, options = {}) {
+    if (!UUID_PATTERN.test(String(purchaseOrderId))) return null;
+
+    const result = await this.pool.query(`
+      SELECT po.*, v.name AS matched_vendor_name
+      FROM purchase_orders po
+      LEFT JOIN vendors v ON v.id = po.vendor_id
+      WHERE po.id = $1 AND po.company_id = $2
+    `, [purchaseOrderId, companyId]);
+
+    if (result.rows.length === 0) return null;
+
+    const lines = await this.getLines(purchaseOrderId, options);
+    const po = mapPurchaseOrder(result.rows[0], lines);
+    po.totalAmount = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+    return po;
+  }
+
+  // Look an order up by the number printed on an invoice, ignoring punctuation and case
+  async findByNumber(companyId, poNumber, options = {}) {
+    const normalized = normalizePoNumber(poNumber);
+    if (!normalized) return null;
+
+    const result = await this.pool.query(`
+      SELECT id FROM purchase_orders
+      WHERE company_id = $1 AND UPPER(regexp_replace(po_number, '[^A-Za-z0-9]', '', 'g')) = $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [companyId, normalized]);
+
+    return result.rows.length > 0 ? this.findById(result.rows[0].id, companyId, options) : null;
+  }
+
+  // Create or replace an order by PO number. Lines are upserted by line number so goods receipts
+  // and invoice matches already recorded against them survive a re-import.
+  async upsert(order, companyId, createdBy) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      let vendorId = order.vendorId || null;
+      if (!vendorId && order.vendorName) {
+        const vendor = await client.query(`
+          SELECT id FROM vendors
+          WHERE company_id = $1 AND (LOWER(name) = LOWER($2) OR aliases ? $2)
+          LIMIT 1
+        `, [companyId, order.vendorName]);
+        vendorId = vendor.rows[0]?.id || null;
+      }
+
+      const header = await client.query(`
+        INSERT INTO purchase_orders (company_id, po_number, vendor_id, vendor_name, currency, order_date, status, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (company_id, po_number) DO UPDATE
+        SET vendor_id = EXCLUDED.vendor_id,
+            vendor_name = EXCLUDED.vendor_name,
+            currency = EXCLUDED.currency,
+            order_date = EXCLUDED.order_date,
+            status = EXCLUDED.status,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING id, (xmax = 0) AS inserted
+      `, [
+        companyId,
+        order.poNumber,
+        vendorId,
+        order.vendorName || null,
+        order.currency || null,
+        order.orderDate || null,
+        order.status || 'open',
+        createdBy
+      ]);
+
+      const purchaseOrderId = header.rows[0].id;
+      const lineNumbers = order.lines.map(line => line.lineNumber);
+
+      for (const line of order.lines) {
+        await client.query(`
+          INSERT INTO purchase_order_lines (purchase_order_id, line_number, item_code, description, quantity, unit_price)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (purchase_order_id, line_number) DO UPDATE
+          SET item_code = EXCLUDED.item_code,
+              description = EXCLUDED.description,
+              quantity = EXCLUDED.quantity,
+              unit_price = EXCLUDED.unit_price
+        `, [purchaseOrderId, line.lineNumber, line.itemCode || null, line.description || null, line.quantity, line.unitPrice]);
+      }
+
+      await client.query(
+        'DELETE FROM purchase_order_lines WHERE purchase_order_id = $1 AND NOT (line_number = ANY($2::int[]))',
+        [purchaseOrderId, lineNumbers]
+      );
+
+      await client.query('COMMIT');
+      return { id: purchaseOrderId, created: header.rows[0].inserted };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async delete(purchaseOrderId, companyId) {
+    if (!UUID_PATTERN.test(String(purchaseOrderId))) return false;
+
+    const result = await this.pool.query(
+      'DELETE FROM purchase_orders WHERE id = $1 AND company_id = $2',
+      [purchaseOrderId, companyId]
+    );
+    return result.rowCount > 0;
+  }
+
+  async listReceipts(companyId, { purchaseOrderId } = {}) {
+    const conditions = ['gr.company_id = $1'];
+    const params = [companyId];
+
+    if (purchaseOrderId) {
+      if (!UUID_PATTERN.test(String(purchaseOrderId))) return [];
+      params.push(purchaseOrderId);
+      conditions.push(`gr.purchase_order_id = $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT gr.*, po.po_number,
+             COALESCE((
+               SELECT json_agg(json_build_object(
+                 'lineNumber', pol.line_number,
+                 'description', pol.description,
+                 'quantityReceived', grl.quantity_received
+               ) ORDER BY pol.line_number)
+               FROM goods_receipt_lines grl
+               JOIN purchase_order_lines pol ON pol.id = grl.purchase_order_line_id
+               WHERE grl.goods_receipt_id = gr.id
+             ), '[]'::json) AS lines
+      FROM goods_receipts gr
+      JOIN purchase_orders po ON po.id = gr.purchase_order_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY gr.received_date DESC NULLS LAST, gr.receipt_number ASC
+    `, params);
+
+    return result.rows.map(mapReceipt);
+  }
+
+  // Create or replace a goods receipt by receipt number; lines refer to PO lines by line number
+  async recordReceipt(receipt, companyId, createdBy) {
+    const po = receipt.purchaseOrderId
+      ? await this.findById(receipt.purchaseOrderId, companyId)
+      : await this.findByNumber(companyId, receipt.poNumber);
+
+    if (!po) {
+      throw new PurchaseOrderError(`Receipt ${receipt.receiptNumber}: purchase order ${receipt.poNumber || receipt.purchaseOrderId} not found`, 404);
+    }
+
+    const linesByNumber = new Map(po.lines.map(line => [line.lineNumber, line]));
+    const missing = receipt.lines.filter(line => !linesByNumber.has(line.lineNumber));
+    if (missing.length > 0) {
+      throw new PurchaseOrderError(`Receipt ${receipt.receiptNumber}: PO ${po.poNumber} has no line ${missing.map(line => line.lineNumber).join(', ')}`);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const header = await client.query(`
+        INSERT INTO goods_receipts (company_id, purchase_order_id, receipt_number, received_date, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (company_id, receipt_number) DO UPDATE
+        SET purchase_order_id = EXCLUDED.purchase_order_id,
+            received_date = EXCLUDED.received_date
+        RETURNING id, (xmax = 0) AS inserted
+      `, [companyId, po.id, receipt.receiptNumber, receipt.receivedDate || null, createdBy]);
+
+      const receiptId = header.rows[0].id;
+      await client.query('DELETE FROM goods_receipt_lines WHERE goods_receipt_id = $1', [receiptId]);
+
+      for (const line of receipt.lines) {
+        await client.query(`
+          INSERT INTO goods_receipt_lines (goods_receipt_id, purchase_order_line_id, quantity_received)
+          VALUES ($1, $2, $3)
+        `, [receiptId, linesByNumber.get(line.lineNumber).id, line.quantityReceived]);
+      }
+
+      await client.query('COMMIT');
+      return { id: receiptId, purchaseOrderId: po.id, created: header.rows[0].inserted };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  PurchaseOrderRepository,
+  PurchaseOrderError,
+  normalizePoNumber,
+  purchaseOrdersFromCsv,
+  goodsReceiptsFromCsv
+};
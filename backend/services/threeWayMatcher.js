@@ -0,0 +1,386 @@
+// backend/services/threeWayMatcher.js
+// Three-way match of an invoice against its purchase order and goods receipts, line by line
+
+const { diceSimilarity } = require('./duplicateDetector');
+const { normalizePoNumber } = require('./purchaseOrderRepository');
+const { ADJUSTMENT_TYPES } = require('../utils/document-type');
+
+// Used until a company saves its own tolerances
+const DEFAULT_TOLERANCES = {
+  quantityPercent: 0,
+  pricePercent: 2,
+  amountAbsolute: 0.05,
+  totalPercent: 1
+};
+
+// Exceptions a reviewer must look at before approving; the rest are informational
+const EXCEPTION_SEVERITY = {
+  po_not_found: 'error',
+  po_closed: 'error',
+  over_billing: 'error',
+  unreceived_quantity: 'error',
+  price_variance: 'error',
+  amount_variance: 'error',
+  total_variance: 'error',
+  unmatched_line: 'warning',
+  vendor_mismatch: 'warning',
+  currency_mismatch: 'warning'
+};
+
+// An invoice line has to score at least this well to be paired with a PO line
+const LINE_MATCH_THRESHOLD = 0.6;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Past a tolerance, ignoring float noise: 1.02 against 1.00 is 2.0000000000000018% off
+const exceeds = (value, limit) => value - limit > 1e-9;
+
+const normalizeText = (value) => (value ? String(value).toLowerCase().replace(/[^a-z0-9]/g, '') : '');
+
+const mapTolerances = (row) => (row
+  ? {
+    quantityPercent: toNumber(row.quantity_percent),
+    pricePercent: toNumber(row.price_percent),
+    amountAbsolute: toNumber(row.amount_absolute),
+    totalPercent: toNumber(row.total_percent)
+  }
+  : { ...DEFAULT_TOLERANCES });
+
+const mapMatch = (row) => {
+  if (!row) return null;
+
+  const exceptions = row.exceptions || [];
+  return {
+    documentId: row.document_id,
+    purchaseOrderId: row.purchase_order_id,
+    poNumber: row.po_number,
+    status: row.status,
+    lines: row.lines || [],
+    exceptions,
+    errorCount: exceptions.filter(exception => exception.severity === 'error').length,
+    tolerances: row.tolerances,
+    matchedAt: row.matched_at ? new Date(row.matched_at).toISOString() : null
+  };
+};
+
+const invoiceLines = (invoiceData) => {
+  const items = Array.isArray(invoiceData?.items) ? invoiceData.items : invoiceData?.lineItems;
+  if (!Array.isArray(items)) return [];
+
+  return items.map((item, index) => ({
+    index,
+    itemNumber: item.itemNumber || item.sku || null,
+    description: item.description || '',
+    quantity: toNumber(item.quantity),
+    unitPrice: toNumber(item.unitPrice),
+    amount: toNumber(item.amount ?? item.lineTotal)
+  }));
+};
+
+// How well an invoice line fits a PO line (0-1): item code wins outright, otherwise description similarity
+const scoreLinePair = (invoiceLine, poLine) => {
+  const itemNumber = normalizeText(invoiceLine.itemNumber);
+  if (itemNumber && itemNumber === normalizeText(poLine.itemCode)) return 1;
+
+  let score = diceSimilarity(normalizeText(invoiceLine.description), normalizeText(poLine.description));
+  if (invoiceLine.unitPrice !== null && round(invoiceLine.unitPrice) === round(poLine.unitPrice)) {
+    score += 0.1;
+  }
+  return Math.min(score, 1);
+};
+
+// Pair invoice lines with PO lines, best pairs first, each PO line used once.
+// A one-line invoice against a one-line order is paired regardless of wording.
+const pairLines = (lines, poLines) => {
+  if (lines.length === 1 && poLines.length === 1) {
+    return new Map([[lines[0].index, poLines[0]]]);
+  }
+
+  const candidates = [];
+  lines.forEach(line => {
+    poLines.forEach(poLine => {
+      const score = scoreLinePair(line, poLine);
+      if (score >= LINE_MATCH_THRESHOLD) candidates.push({ line, poLine, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const pairs = new Map();
+  const usedPoLines = new Set();
+  candidates.forEach(({ line, poLine }) => {
+    if (pairs.has(line.index) || usedPoLines.has(poLine.id)) return;
+    pairs.set(line.index, poLine);
+    usedPoLines.add(poLine.id);
+  });
+
+  return pairs;
+};
+
+// Match an invoice to a purchase order (with per-line received and previously billed quantities).
+// Pure: returns { status, lines, exceptions } without touching the database.
+const matchInvoiceToPurchaseOrder = (invoiceData, po, tolerances = DEFAULT_TOLERANCES, { vendorId } = {}) => {
+  const exceptions = [];
+  const raise = (type, message, details = {}) => {
+    exceptions.push({ type, severity: EXCEPTION_SEVERITY[type], message, ...details });
+  };
+
+  if (po.status !== 'open') {
+    raise('po_closed', `Purchase order ${po.poNumber} is ${po.status}`);
+  }
+
+  if (po.vendorId && vendorId && po.vendorId !== vendorId) {
+    raise('vendor_mismatch', `Invoice vendor differs from ${po.vendorName || 'the vendor'} on PO ${po.poNumber}`);
+  }
+
+  const currency = invoiceData?.amounts?.currency;
+  if (po.currency && currency && po.currency.toUpperCase() !== String(currency).toUpperCase()) {
+    raise('currency_mismatch', `Invoice is in ${currency} but PO ${po.poNumber} is in ${po.currency}`, {
+      expected: po.currency,
+      actual: currency
+    });
+  }
+
+  const lines = invoiceLines(invoiceData);
+  const pairs = pairLines(lines, po.lines);
+  const quantityAllowance = (quantity) => quantity * (1 + tolerances.quantityPercent / 100) + 1e-6;
+
+  const lineResults = lines.map(line => {
+    const poLine = pairs.get(line.index);
+    const label = `Line ${line.index + 1}${line.description ? ` (${line.description})` : ''}`;
+
+    if (!poLine) {
+      raise('unmatched_line', `${label} is not on PO ${po.poNumber}`, { invoiceLineIndex: line.index });
+      return { invoiceLineIndex: line.index, description: line.description, quantity: line.quantity, unitPrice: line.unitPrice, amount: line.amount, status: 'unmatched' };
+    }
+
+    const before = exceptions.length;
+    const details = { invoiceLineIndex: line.index, poLineNumber: poLine.lineNumber };
+    const quantity = line.quantity ?? 0;
+    const billedToDate = poLine.quantityBilled + quantity;
+
+    if (billedToDate > quantityAllowance(poLine.quantity)) {
+      raise('over_billing', `${label}: ${round(billedToDate, 4)} billed${poLine.quantityBilled ? ` (${round(poLine.quantityBilled, 4)} on earlier invoices)` : ''} but ${poLine.quantity} ordered`, {
+        ...details, expected: poLine.quantity, actual: round(billedToDate, 4)
+      });
+    }
+
+    if (billedToDate > quantityAllowance(poLine.quantityReceived)) {
+      raise('unreceived_quantity', `${label}: ${round(billedToDate, 4)} billed but only ${poLine.quantityReceived} received`, {
+        ...details, expected: poLine.quantityReceived, actual: round(billedToDate, 4)
+      });
+    }
+
+    let priceVariance = false;
+    if (line.unitPrice !== null && poLine.unitPrice > 0) {
+      const variancePercent = Math.abs(line.unitPrice - poLine.unitPrice) / poLine.unitPrice * 100;
+      if (exceeds(variancePercent, tolerances.pricePercent)) {
+        priceVariance = true;
+        raise('price_variance', `${label}: unit price ${line.unitPrice} vs ${poLine.unitPrice} on the PO (${round(variancePercent, 1)}%)`, {
+          ...details, expected: poLine.unitPrice, actual: line.unitPrice, variancePercent: round(variancePercent, 1)
+        });
+      }
+    }
+
+    // A line can be priced right and still extended wrong; skip when the price already explains it.
+    // The extension is checked at the invoice's own price, which may be off the PO price within tolerance.
+    const expectedAmount = round(quantity * poLine.unitPrice);
+    const price = line.unitPrice ?? poLine.unitPrice;
+    const extended = round(quantity * price);
+    if (!priceVariance && line.amount !== null && exceeds(Math.abs(line.amount - extended), tolerances.amountAbsolute)) {
+      raise('amount_variance', `${label}: amount ${line.amount} vs ${extended} for ${quantity} at ${price}`, {
+        ...details, expected: extended, actual: line.amount
+      });
+    }
+
+    return {
+      invoiceLineIndex: line.index,
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount,
+      poLineId: poLine.id,
+      poLineNumber: poLine.lineNumber,
+      poDescription: poLine.description,
+      orderedQuantity: poLine.quantity,
+      receivedQuantity: poLine.quantityReceived,
+      previouslyBilledQuantity: poLine.quantityBilled,
+      poUnitPrice: poLine.unitPrice,
+      expectedAmount,
+      status: exceptions.length > before ? 'exception' : 'matched'
+    };
+  });
+
+  // The invoice subtotal should be what the matched lines cost at PO prices. Lines not on the PO are
+  // reported above and left out here.
+  const matched = lineResults.filter(line => line.poLineId);
+  if (matched.length > 0) {
+    const expectedTotal = round(matched.reduce((sum, line) => sum + line.expectedAmount, 0));
+    const unmatchedAmount = lineResults
+      .filter(line => !line.poLineId)
+      .reduce((sum, line) => sum + (line.amount || 0), 0);
+    const invoiceSubtotal = toNumber(invoiceData?.amounts?.subtotal) ??
+      lines.reduce((sum, line) => sum + (line.amount || 0), 0);
+    const subtotal = round(invoiceSubtotal - unmatchedAmount);
+    const allowed = Math.max(tolerances.amountAbsolute, expectedTotal * tolerances.totalPercent / 100);
+
+    if (exceeds(Math.abs(subtotal - expectedTotal), allowed)) {
+      const scope = subtotal === round(invoiceSubtotal) ? '' : ' (without the lines not on the PO)';
+      raise('total_variance', `Invoice subtotal ${subtotal}${scope} vs ${expectedTotal} for the matched PO lines`, {
+        expected: expectedTotal,
+        actual: subtotal
+      });
+    }
+  }
+
+  return {
+    status: exceptions.length > 0 ? 'exceptions' : 'matched',
+    lines: lineResults,
+    exceptions
+  };
+};
+
+class ThreeWayMatcher {
+  constructor(pool, purchaseOrders) {
+    this.pool = pool;
+    this.purchaseOrders = purchaseOrders;
+  }
+
+  async getTolerances(companyId) {
+    const result = await this.pool.query('SELECT * FROM po_match_tolerances WHERE company_id = $1', [companyId]);
+    return mapTolerances(result.rows[0]);
+  }
+
+  async updateTolerances(companyId, tolerances, userId) {
+    const result = await this.pool.query(`
+      INSERT INTO po_match_tolerances (company_id, quantity_percent, price_percent, amount_absolute, total_percent, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (company_id) DO UPDATE
+      SET quantity_percent = EXCLUDED.quantity_percent,
+          price_percent = EXCLUDED.price_percent,
+          amount_absolute = EXCLUDED.amount_absolute,
+          total_percent = EXCLUDED.total_percent,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      companyId,
+      tolerances.quantityPercent,
+      tolerances.pricePercent,
+      tolerances.amountAbsolute,
+      tolerances.totalPercent,
+      userId
+    ]);
+
+    return mapTolerances(result.rows[0]);
+  }
+
+  async getMatch(documentId) {
+    const result = await this.pool.query('SELECT * FROM document_po_matches WHERE document_id = $1', [documentId]);
+    return mapMatch(result.rows[0]);
+  }
+
+  // Match a processed document against the PO its orderInfo.orderNumber names and store the result.
+  // Invoices that quote no PO are recorded as 'no_po' without exceptions, and so are credit and debit
+  // notes: they adjust an invoice that was matched already, and receiving them again would double count.
+  async matchDocument(document) {
+    const adjustment = ADJUSTMENT_TYPES.includes(document.invoiceData?.documentType);
+    const poNumber = adjustment ? null : document.invoiceData?.orderInfo?.orderNumber || null;
+    const tolerances = await this.getTolerances(document.companyId);
+
+    let po = null;
+    let result;
+
+    if (!normalizePoNumber(poNumber)) {
+      result = { status: 'no_po', lines: [], exceptions: [] };
+    } else {
+      po = await this.purchaseOrders.findByNumber(document.companyId, poNumber, { excludeDocumentId: document.id });
+      result = po
+        ? matchInvoiceToPurchaseOrder(document.invoiceData, po, tolerances, { vendorId: document.vendorId })
+        : {
+          status: 'exceptions',
+          lines: [],
+          exceptions: [{ type: 'po_not_found', severity: EXCEPTION_SEVERITY.po_not_found, message: `No purchase order ${poNumber} on file` }]
+        };
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM document_po_line_matches WHERE document_id = $1', [document.id]);
+
+      for (const line of result.lines.filter(item => item.poLineId)) {
+        await client.query(`
+          INSERT INTO document_po_line_matches (document_id, purchase_order_line_id, invoice_line_index, quantity, unit_price, amount)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [document.id, line.poLineId, line.invoiceLineIndex, line.quantity, line.unitPrice, line.amount]);
+      }
+
+      const saved = await client.query(`
+        INSERT INTO document_po_matches (document_id, purchase_order_id, po_number, status, lines, exceptions, tolerances, matched_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+        ON CONFLICT (document_id) DO UPDATE
+        SET purchase_order_id = EXCLUDED.purchase_order_id,
+            po_number = EXCLUDED.po_number,
+            status = EXCLUDED.status,
+            lines = EXCLUDED.lines,
+            exceptions = EXCLUDED.exceptions,
+            tolerances = EXCLUDED.tolerances,
+            matched_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        document.id,
+        po?.id || null,
+        po?.poNumber || poNumber,
+        result.status,
+        JSON.stringify(result.lines),
+        JSON.stringify(result.exceptions),
+        JSON.stringify(tolerances)
+      ]);
+
+      await client.query('COMMIT');
+      return mapMatch(saved.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Undecided documents whose match may change after these orders or receipts were imported:
+  // those already matched to them and those that quoted one of the numbers before it existed
+  async findDocumentsToRematch(companyId, purchaseOrderIds) {
+    if (purchaseOrderIds.length === 0) return [];
+
+    const result = await this.pool.query(`
+      SELECT dpm.document_id
+      FROM document_po_matches dpm
+      JOIN documents d ON d.id = dpm.document_id
+      WHERE d.company_id = $1
+        AND COALESCE(d.workflow_status, '') NOT IN ('approved', 'rejected', 'ready_for_payment')
+        AND (
+          dpm.purchase_order_id = ANY($2::uuid[])
+          OR (dpm.purchase_order_id IS NULL AND UPPER(regexp_replace(dpm.po_number, '[^A-Za-z0-9]', '', 'g')) IN (
+            SELECT UPPER(regexp_replace(po.po_number, '[^A-Za-z0-9]', '', 'g'))
+            FROM purchase_orders po WHERE po.id = ANY($2::uuid[])
+          ))
+        )
+    `, [companyId, purchaseOrderIds]);
+
+    return result.rows.map(row => row.document_id);
+  }
+}
+
+module.exports = {
+  ThreeWayMatcher,
+  DEFAULT_TOLERANCES,
+  EXCEPTION_SEVERITY,
+  matchInvoiceToPurchaseOrder
+};
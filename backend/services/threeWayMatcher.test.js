@@ -0,0 +1,145 @@
+// backend/services/threeWayMatcher.test.js
+
+const { matchInvoiceToPurchaseOrder, DEFAULT_TOLERANCES } = require('./threeWayMatcher');
+
+const poLine = (id, description, quantity, unitPrice, overrides = {}) => ({
+  id,
+  lineNumber: Number(id.replace(/\D/g, '')),
+  description,
+  itemCode: null,
+  quantity,
+  quantityReceived: quantity,
+  quantityBilled: 0,
+  unitPrice,
+  ...overrides
+});
+
+const purchaseOrder = (lines, overrides = {}) => ({
+  id: 'po-1',
+  poNumber: 'PO-1',
+  status: 'open',
+  currency: 'EUR',
+  vendorId: 'vendor-1',
+  lines,
+  ...overrides
+});
+
+const invoice = (items, amounts = {}) => ({
+  amounts: { currency: 'EUR', ...amounts },
+  items: items.map(([description, quantity, unitPrice, amount = Math.round(quantity * unitPrice * 100) / 100]) => ({ description, quantity, unitPrice, amount }))
+});
+
+const types = (result) => result.exceptions.map(exception => exception.type);
+
+const WIDGETS = poLine('line-1', 'Blue widget', 10, 5);
+const BOLTS = poLine('line-2', 'Steel bolt M8', 100, 0.25);
+
+describe('matchInvoiceToPurchaseOrder', () => {
+  test('matches an invoice that bills what was ordered and received at the PO prices', () => {
+    const result = matchInvoiceToPurchaseOrder(invoice([['Steel bolt M8', 100, 0.25], ['Blue widget', 10, 5]]), purchaseOrder([WIDGETS, BOLTS]));
+
+    expect(result.status).toBe('matched');
+    expect(result.lines.map(line => [line.invoiceLineIndex, line.poLineNumber, line.status])).toEqual([[0, 2, 'matched'], [1, 1, 'matched']]);
+  });
+
+  describe('quantity variance', () => {
+    test('flags billing more than was ordered', () => {
+      const result = matchInvoiceToPurchaseOrder(invoice([['Blue widget', 12, 5]]), purchaseOrder([poLine('line-1', 'Blue widget', 10, 5, { quantityReceived: 12 })]));
+
+      expect(types(result)).toEqual(['over_billing']);
+      expect(result.exceptions[0]).toMatchObject({ expected: 10, actual: 12 });
+    });
+
+    test('counts what earlier invoices billed against the line', () => {
+      const po = purchaseOrder([poLine('line-1', 'Blue widget', 10, 5, { quantityBilled: 6 })]);
+
+      const result = matchInvoiceToPurchaseOrder(invoice([['Blue widget', 6, 5]]), po);
+
+      expect(result.exceptions[0]).toMatchObject({ type: 'over_billing', actual: 12 });
+      expect(result.exceptions[0].message).toContain('(6 on earlier invoices)');
+    });
+
+    test('allows over-billing within the quantity tolerance', () => {
+      const po = purchaseOrder([poLine('line-1', 'Blue widget', 10, 5, { quantityReceived: 11 })]);
+      const tolerances = { ...DEFAULT_TOLERANCES, quantityPercent: 10, totalPercent: 10 };
+
+      expect(matchInvoiceToPurchaseOrder(invoice([['Blue widget', 11, 5]]), po, tolerances).status).toBe('matched');
+      expect(types(matchInvoiceToPurchaseOrder(invoice([['Blue widget', 11.5, 5]]), po, tolerances))).toEqual(['over_billing']);
+    });
+  });
+
+  describe('partial receipts', () => {
+    const po = purchaseOrder([poLine('line-1', 'Blue widget', 10, 5, { quantityReceived: 4 })]);
+
+    test('matches an invoice for what has been received so far', () => {
+      expect(matchInvoiceToPurchaseOrder(invoice([['Blue widget', 4, 5]]), po).status).toBe('matched');
+    });
+
+    test('flags billing more than was received, though not more than ordered', () => {
+      const result = matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 5]]), po);
+
+      expect(types(result)).toEqual(['unreceived_quantity']);
+      expect(result.exceptions[0]).toMatchObject({ expected: 4, actual: 10 });
+    });
+  });
+
+  describe('price variance', () => {
+    test('flags a unit price over the tolerance and does not report the amount again', () => {
+      const result = matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 5.5]]), purchaseOrder([WIDGETS]));
+
+      expect(types(result)).toEqual(['price_variance', 'total_variance']);
+      expect(result.exceptions[0]).toMatchObject({ expected: 5, actual: 5.5, variancePercent: 10 });
+      expect(result.lines[0].status).toBe('exception');
+    });
+
+    test('accepts a price exactly at the tolerance and flags one just past it', () => {
+      const po = purchaseOrder([poLine('line-1', 'Blue widget', 10, 1)]);
+      const tolerances = { ...DEFAULT_TOLERANCES, totalPercent: 2 };
+
+      expect(matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 1.02]]), po, tolerances).status).toBe('matched');
+      expect(types(matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 1.021]]), po, tolerances))).toEqual(['price_variance', 'total_variance']);
+    });
+  });
+
+  describe('amount variance', () => {
+    test('flags a line priced right but extended wrong, outside the absolute tolerance only', () => {
+      const po = purchaseOrder([WIDGETS]);
+
+      expect(matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 5, 50.05]]), po).status).toBe('matched');
+
+      const result = matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 5, 50.06]]), po);
+      expect(types(result)).toEqual(['amount_variance']);
+      expect(result.exceptions[0]).toMatchObject({ expected: 50, actual: 50.06 });
+    });
+
+    test('compares the invoice subtotal with the matched lines at PO prices', () => {
+      const po = purchaseOrder([WIDGETS, BOLTS]);
+      const items = [['Blue widget', 10, 5], ['Steel bolt M8', 100, 0.25]];
+
+      expect(matchInvoiceToPurchaseOrder(invoice(items, { subtotal: 75.75 }), po).status).toBe('matched');
+      expect(matchInvoiceToPurchaseOrder(invoice(items, { subtotal: 75.76 }), po).exceptions).toEqual([
+        expect.objectContaining({ type: 'total_variance', expected: 75, actual: 75.76 })
+      ]);
+    });
+  });
+
+  test('reports invoice lines that are not on the order and leaves them out of the subtotal', () => {
+    const items = [['Blue widget', 10, 5], ['Express freight', 1, 30]];
+
+    const result = matchInvoiceToPurchaseOrder(invoice(items, { subtotal: 80 }), purchaseOrder([WIDGETS, BOLTS]));
+
+    expect(result.exceptions).toEqual([expect.objectContaining({ type: 'unmatched_line', severity: 'warning', invoiceLineIndex: 1 })]);
+    expect(result.lines[1].status).toBe('unmatched');
+    expect(matchInvoiceToPurchaseOrder(invoice(items, { subtotal: 85 }), purchaseOrder([WIDGETS])).exceptions[1]).toMatchObject({
+      type: 'total_variance', expected: 50, actual: 55, message: 'Invoice subtotal 55 (without the lines not on the PO) vs 50 for the matched PO lines'
+    });
+  });
+
+  test('flags a closed order, another vendor and another currency', () => {
+    const po = purchaseOrder([WIDGETS], { status: 'closed', currency: 'USD' });
+
+    const result = matchInvoiceToPurchaseOrder(invoice([['Blue widget', 10, 5]]), po, DEFAULT_TOLERANCES, { vendorId: 'vendor-2' });
+
+    expect(types(result)).toEqual(['po_closed', 'vendor_mismatch', 'currency_mismatch']);
+  });
+});
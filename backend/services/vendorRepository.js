@@ -0,0 +1,319 @@
+// backend/services/vendorRepository.js
+// Vendor master data (per company) and matching of extracted invoice vendors to vendor records
+
+const { vendorSimilarity } = require('./duplicateDetector');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Below this an invoice is left unmatched and the best candidates are only suggested
+const AUTO_MATCH_CONFIDENCE = 70;
+
+// Confidence for each kind of evidence; name matches scale with similarity
+const MATCH_CONFIDENCE = {
+  taxId: 99,
+  bankAccount: 95,
+  emailDomain: 85,
+  name: 90
+};
+
+const NAME_SIMILARITY_THRESHOLD = 0.75;
+
+// Mailbox providers say nothing about who the vendor is
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'aol.com', 'icloud.com', 'me.com', 'protonmail.com', 'gmx.com', 'mail.com', 'zoho.com'
+]);
+
+const normalizeTaxId = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+const normalizeBankAccount = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+const emailDomain = (email) => {
+  const match = String(email || '').toLowerCase().match(/@([a-z0-9.-]+\.[a-z]{2,})/);
+  if (!match || FREE_EMAIL_DOMAINS.has(match[1])) return '';
+  return match[1];
+};
+
+// paymentDetails.bankDetails is free-form: a string, or an object with IBAN / account number fields
+const extractBankAccounts = (bankDetails) => {
+  if (!bankDetails) return [];
+
+  const values = typeof bankDetails === 'object'
+    ? [bankDetails.iban, bankDetails.accountNumber, bankDetails.account, bankDetails.bankAccount]
+    : String(bankDetails).match(/[A-Z]{2}\d{2}[A-Z0-9 ]{10,30}|\d[\d -]{5,20}\d/gi) || [];
+
+  return values
+    .map(normalizeBankAccount)
+    .filter(account => account.length >= 6);
+};
+
+const mapVendor = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    companyId: row.company_id,
+    name: row.name,
+    aliases: row.aliases || [],
+    taxId: row.tax_id,
+    email: row.email,
+    phone: row.phone,
+    address: row.address,
+    bankAccount: row.bank_account,
+    bankRouting: row.bank_routing,
+    defaultCurrency: row.default_currency,
+    paymentTerms: row.payment_terms,
+    isActive: row.is_active,
+    invoiceCount: row.invoice_count !== undefined ? Number(row.invoice_count) : undefined,
+    createdBy: row.created_by,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+};
+
+// Score one vendor record against an invoice; returns { confidence, method, reasons } or null
+const scoreVendor = (vendor, invoice) => {
+  const reasons = [];
+
+  const invoiceTaxId = normalizeTaxId(invoice.taxId);
+  if (invoiceTaxId && invoiceTaxId === normalizeTaxId(vendor.taxId)) {
+    reasons.push({ method: 'taxId', confidence: MATCH_CONFIDENCE.taxId });
+  }
+
+  const vendorAccount = normalizeBankAccount(vendor.bankAccount);
+  if (vendorAccount && invoice.bankAccounts.includes(vendorAccount)) {
+    reasons.push({ method: 'bankAccount', confidence: MATCH_CONFIDENCE.bankAccount });
+  }
+
+  const invoiceDomain = emailDomain(invoice.email);
+  if (invoiceDomain && invoiceDomain === emailDomain(vendor.email)) {
+    reasons.push({ method: 'emailDomain', confidence: MATCH_CONFIDENCE.emailDomain });
+  }
+
+  const similarity = Math.max(0, ...[vendor.name, ...(vendor.aliases || [])]
+    .map(name => vendorSimilarity(name, invoice.name)));
+  if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+    reasons.push({ method: 'name', confidence: Math.round(MATCH_CONFIDENCE.name * similarity * 10) / 10 });
+  }
+
+  if (reasons.length === 0) return null;
+
+  // Strongest signal wins; each additional agreeing signal adds a little certainty
+  reasons.sort((a, b) => b.confidence - a.confidence);
+  const confidence = Math.min(100, reasons[0].confidence + 3 * (reasons.length - 1));
+
+  return {
+    confidence: Math.round(confidence * 10) / 10,
+    method: reasons[0].method,
+    reasons: reasons.map(reason => reason.method)
+  };
+};
+
+class VendorRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async list(companyId, { search, includeInactive = false } = {}) {
+    const conditions = ['v.company_id = $1'];
+    const params = [companyId];
+
+    if (!includeInactive) {
+      conditions.push('v.is_active = TRUE');
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(v.name ILIKE $${params.length} OR v.tax_id ILIKE $${params.length} OR v.email ILIKE $${params.length})`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT v.*, (SELECT COUNT(*) FROM documents d WHERE d.vendor_id = v.id) AS invoice_count
+      FROM vendors v
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY v.name ASC
+    `, params);
+
+    return result.rows.map(mapVendor);
+  }
+
+  async findById(vendorId, companyId) {
+    if (!UUID_PATTERN.test(String(vendorId))) return null;
+
+    const result = await this.pool.query(`
+      SELECT v.*, (SELECT COUNT(*) FROM documents d WHERE d.vendor_id = v.id) AS invoice_count
+      FROM vendors v
+      WHERE v.id = $1 AND v.company_id = $2
+    `, [vendorId, companyId]);
+
+    return mapVendor(result.rows[0]);
+  }
+
+  async create(vendor, createdBy) {
+    const result = await this.pool.query(`
+      INSERT INTO vendors (
+        company_id, name, aliases, tax_id, email, phone, address,
+        bank_account, bank_routing, default_currency, payment_terms, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      vendor.companyId,
+      vendor.name,
+      JSON.stringify(vendor.aliases || []),
+      vendor.taxId || null,
+      vendor.email || null,
+      vendor.phone || null,
+      vendor.address || null,
+      vendor.bankAccount || null,
+      vendor.bankRouting || null,
+      vendor.defaultCurrency || null,
+      vendor.paymentTerms || null,
+      vendor.isActive !== false,
+      createdBy
+    ]);
+
+    return mapVendor(result.rows[0]);
+  }
+
+  async update(vendorId, companyId, vendor) {
+    if (!UUID_PATTERN.test(String(vendorId))) return null;
+
+    const result = await this.pool.query(`
+      UPDATE vendors
+      SET name = $3,
+          aliases = $4,
+          tax_id = $5,
+          email = $6,
+          phone = $7,
+          address = $8,
+          bank_account = $9,
+          bank_routing = $10,
+          default_currency = $11,
+          payment_terms = $12,
+          is_active = $13,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND company_id = $2
+      RETURNING *
+    `, [
+      vendorId,
+      companyId,
+      vendor.name,
+      JSON.stringify(vendor.aliases || []),
+      vendor.taxId || null,
+      vendor.email || null,
+      vendor.phone || null,
+      vendor.address || null,
+      vendor.bankAccount || null,
+      vendor.bankRouting || null,
+      vendor.defaultCurrency || null,
+      vendor.paymentTerms || null,
+      vendor.isActive !== false
+    ]);
+
+    return mapVendor(result.rows[0]);
+  }
+
+  async delete(vendorId, companyId) {
+    if (!UUID_PATTERN.test(String(vendorId))) return false;
+
+    const result = await this.pool.query(
+      'DELETE FROM vendors WHERE id = $1 AND company_id = $2',
+      [vendorId, companyId]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Remember a name the vendor appeared under, so the next invoice matches on it
+  async addAlias(vendorId, alias) {
+    if (!alias) return;
+
+    await this.pool.query(`
+      UPDATE vendors
+      SET aliases = aliases || to_jsonb($2::text), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND LOWER(name) <> LOWER($2) AND NOT aliases ? $2
+    `, [vendorId, alias]);
+  }
+
+  // Rank this company's active vendors against an invoice's vendor details
+  async findCandidates(companyId, invoiceData, limit = 5) {
+    const vendor = invoiceData?.vendor && typeof invoiceData.vendor === 'object'
+      ? invoiceData.vendor
+      : { name: invoiceData?.vendor };
+
+    const invoice = {
+      name: vendor.name || '',
+      taxId: vendor.taxId,
+      email: vendor.email,
+      bankAccounts: extractBankAccounts(invoiceData?.paymentDetails?.bankDetails)
+    };
+
+    if (!invoice.name && !invoice.taxId && !invoice.email && invoice.bankAccounts.length === 0) {
+      return [];
+    }
+
+    const vendors = await this.list(companyId);
+
+    return vendors
+      .map(record => ({ vendor: record, match: scoreVendor(record, invoice) }))
+      .filter(candidate => candidate.match)
+      .sort((a, b) => b.match.confidence - a.match.confidence)
+      .slice(0, limit)
+      .map(({ vendor: record, match }) => ({ vendor: record, ...match }));
+  }
+
+  async linkDocument(documentId, vendorId, confidence, method) {
+    await this.pool.query(`
+      UPDATE documents
+      SET vendor_id = $2,
+          vendor_match_confidence = $3,
+          vendor_match_method = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [documentId, vendorId, confidence, method]);
+  }
+
+  // Link a processed document to its best vendor match, or clear a stale automatic match
+  async matchDocument(document) {
+    if (document.vendorMatchMethod === 'manual') {
+      return { vendorId: document.vendorId, confidence: 100, method: 'manual', candidates: [] };
+    }
+
+    const candidates = await this.findCandidates(document.companyId, document.invoiceData);
+    const best = candidates[0];
+
+    if (best && best.confidence >= AUTO_MATCH_CONFIDENCE) {
+      await this.linkDocument(document.id, best.vendor.id, best.confidence, best.method);
+      return { vendorId: best.vendor.id, confidence: best.confidence, method: best.method, candidates };
+    }
+
+    await this.linkDocument(document.id, null, null, null);
+    return { vendorId: null, confidence: best?.confidence || null, method: null, candidates };
+  }
+}
+
+// Vendor record fields taken from an invoice's extracted vendor block
+const vendorFromInvoice = (invoiceData) => {
+  const vendor = invoiceData?.vendor && typeof invoiceData.vendor === 'object'
+    ? invoiceData.vendor
+    : { name: invoiceData?.vendor };
+  const bankAccounts = extractBankAccounts(invoiceData?.paymentDetails?.bankDetails);
+
+  return {
+    name: vendor.name ? String(vendor.name).trim() : null,
+    taxId: vendor.taxId || null,
+    email: vendor.email || null,
+    phone: vendor.phone || null,
+    address: vendor.address || null,
+    bankAccount: bankAccounts[0] || null,
+    defaultCurrency: invoiceData?.amounts?.currency || null,
+    paymentTerms: invoiceData?.paymentDetails?.terms || null
+  };
+};
+
+module.exports = {
+  VendorRepository,
+  AUTO_MATCH_CONFIDENCE,
+  vendorFromInvoice,
+  scoreVendor,
+  extractBankAccounts
+};
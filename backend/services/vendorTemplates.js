@@ -0,0 +1,298 @@
+// backend/services/vendorTemplates.js
+// Per-vendor extraction templates: learned from what reviewers save, applied to the vendor's next
+// invoices before the generic extraction, and scored by how many template values reviewers
+// later had to correct.
+
+const {
+  LEARNABLE_FIELDS,
+  learnFieldRule,
+  learnLineItemLayout,
+  applyTemplate,
+  appliedFields,
+  getValue
+} = require('../utils/vendor-templates');
+const { diffInvoiceData } = require('./documentRevisions');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const normalizeTaxId = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Share of template values reviewers left as they were, in percent
+const hitRate = (applied, corrected) => (applied > 0
+  ? Math.round(((applied - corrected) / applied) * 1000) / 10
+  : null);
+
+// Which vendor printed this text: tax id first, then the longest name or alias found as whole words
+const identifyVendor = (candidates, text) => {
+  const compactText = normalizeTaxId(text);
+  const byTaxId = candidates.find(candidate => {
+    const taxId = normalizeTaxId(candidate.tax_id);
+    return taxId.length >= 5 && compactText.includes(taxId);
+  });
+  if (byTaxId) return byTaxId;
+
+  let best = null;
+  candidates.forEach(candidate => {
+    [candidate.name, ...(candidate.aliases || [])].forEach(name => {
+      const trimmed = String(name || '').trim();
+      if (trimmed.length < 3 || (best && trimmed.length <= best.length)) return;
+      const pattern = new RegExp(`(^|[^a-z0-9])${trimmed.split(/\s+/).map(escapeRegex).join('\\s+')}($|[^a-z0-9])`, 'i');
+      if (pattern.test(text)) best = { candidate, length: trimmed.length };
+    });
+  });
+  return best ? best.candidate : null;
+};
+
+// A field counts as corrected when the reviewer changed it or anything under it
+const correctedPaths = (before, after) => {
+  const paths = new Set();
+  Object.keys(diffInvoiceData(before, after)).forEach(path => {
+    if (path.startsWith('items')) {
+      paths.add('items');
+    } else {
+      Object.keys(LEARNABLE_FIELDS).forEach(field => {
+        if (path === field || path.startsWith(`${field}.`)) paths.add(field);
+      });
+    }
+  });
+  return paths;
+};
+
+const mapStats = (row) => {
+  const applied = Number(row.fields_applied) || 0;
+  const corrected = Number(row.fields_corrected) || 0;
+
+  return {
+    vendorId: row.vendor_id,
+    vendorName: row.vendor_name,
+    learnedFields: Object.keys(row.fields || {}),
+    hasLineItemLayout: !!row.line_items,
+    correctionsLearned: row.corrections_learned || 0,
+    documents: Number(row.documents) || 0,
+    fieldsApplied: applied,
+    fieldsCorrected: corrected,
+    hitRate: hitRate(applied, corrected),
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+};
+
+class VendorTemplateService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Run the template of the vendor that issued this text. Returns { vendorId, vendorName, fields, items }
+  // or null when no templated vendor is recognized; the run is recorded for the vendor's hit rate.
+  async extract(companyId, documentId, text, words = []) {
+    if (!companyId || !text) return null;
+
+    const result = await this.pool.query(`
+      SELECT t.vendor_id, t.fields, t.line_items, v.name, v.aliases, v.tax_id
+      FROM vendor_templates t
+      JOIN vendors v ON v.id = t.vendor_id
+      WHERE t.company_id = $1 AND v.is_active = TRUE
+    `, [companyId]);
+
+    const vendor = identifyVendor(result.rows, text);
+    if (!vendor) {
+      await this.pool.query('DELETE FROM vendor_template_runs WHERE document_id = $1', [documentId]);
+      return null;
+    }
+
+    const templateResult = applyTemplate({ fields: vendor.fields, lineItems: vendor.line_items }, text, words);
+
+    // Reprocessing a document starts its run over
+    await this.pool.query(`
+      INSERT INTO vendor_template_runs (document_id, vendor_id, fields_applied, fields_corrected)
+      VALUES ($1, $2, $3, '[]')
+      ON CONFLICT (document_id) DO UPDATE
+      SET vendor_id = EXCLUDED.vendor_id,
+          fields_applied = EXCLUDED.fields_applied,
+          fields_corrected = '[]',
+          created_at = CURRENT_TIMESTAMP
+    `, [documentId, vendor.vendor_id, JSON.stringify(appliedFields(templateResult))]);
+
+    return { vendorId: vendor.vendor_id, vendorName: vendor.name, ...templateResult };
+  }
+
+  // Learn from a reviewer's save of a document linked to a vendor; document holds the data before
+  // the save. Corrected fields are relearned from where the new value sits in the text; fields the
+  // reviewer confirmed keep their rule, or get one (with the extracted location) if the template had
+  // none. Returns the fields learned.
+  async learn(document, invoiceData) {
+    if (!document?.vendorId || !document.extractedText) return [];
+
+    const corrected = correctedPaths(document.invoiceData, invoiceData);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT fields, line_items FROM vendor_templates WHERE vendor_id = $1 FOR UPDATE',
+        [document.vendorId]
+      );
+      const fields = { ...(existing.rows[0]?.fields || {}) };
+      let lineItems = existing.rows[0]?.line_items || null;
+      const learned = [];
+
+      Object.keys(LEARNABLE_FIELDS).forEach(path => {
+        const wasCorrected = corrected.has(path);
+        if (fields[path] && !wasCorrected) return;
+
+        const location = wasCorrected ? null : document.invoiceData?.fieldLocations?.[path];
+        const rule = learnFieldRule(document.extractedText, path, getValue(invoiceData, path), location);
+        if (rule) {
+          fields[path] = {
+            ...rule,
+            corrections: (fields[path]?.corrections || 0) + (wasCorrected ? 1 : 0),
+            learnedFrom: document.id
+          };
+          learned.push(path);
+        } else if (wasCorrected) {
+          // The old rule produced a value the reviewer rejected and the new one is not in the text
+          delete fields[path];
+        }
+      });
+
+      if (!lineItems || corrected.has('items')) {
+        const layout = learnLineItemLayout(document.extractedText, invoiceData.items);
+        if (layout) {
+          lineItems = { ...layout, learnedFrom: document.id };
+          learned.push('items');
+        } else if (corrected.has('items')) {
+          lineItems = null;
+        }
+      }
+
+      if (Object.keys(fields).length > 0 || lineItems) {
+        await client.query(`
+          INSERT INTO vendor_templates (vendor_id, company_id, fields, line_items, corrections_learned)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (vendor_id) DO UPDATE
+          SET fields = EXCLUDED.fields,
+              line_items = EXCLUDED.line_items,
+              corrections_learned = vendor_templates.corrections_learned + EXCLUDED.corrections_learned,
+              updated_at = CURRENT_TIMESTAMP
+        `, [
+          document.vendorId,
+          document.companyId,
+          JSON.stringify(fields),
+          lineItems ? JSON.stringify(lineItems) : null,
+          learned.filter(path => corrected.has(path)).length
+        ]);
+      }
+
+      // Template values the reviewer had to change count against the template's hit rate
+      await client.query(`
+        UPDATE vendor_template_runs
+        SET fields_corrected = (
+          SELECT COALESCE(jsonb_agg(DISTINCT field), '[]'::jsonb)
+          FROM jsonb_array_elements_text(fields_applied) AS field
+          WHERE field = ANY($2::text[]) OR fields_corrected ? field
+        )
+        WHERE document_id = $1
+      `, [document.id, Array.from(corrected)]);
+
+      await client.query('COMMIT');
+      return learned;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Hit rate of every vendor's template, worst first
+  async list(companyId) {
+    const result = await this.pool.query(`
+      SELECT t.vendor_id, v.name AS vendor_name, t.fields, t.line_items, t.corrections_learned, t.updated_at,
+             COUNT(r.document_id) AS documents,
+             COALESCE(SUM(jsonb_array_length(r.fields_applied)), 0) AS fields_applied,
+             COALESCE(SUM(jsonb_array_length(r.fields_corrected)), 0) AS fields_corrected
+      FROM vendor_templates t
+      JOIN vendors v ON v.id = t.vendor_id
+      LEFT JOIN vendor_template_runs r ON r.vendor_id = t.vendor_id
+      WHERE t.company_id = $1
+      GROUP BY t.vendor_id, v.name
+    `, [companyId]);
+
+    return result.rows
+      .map(mapStats)
+      .sort((a, b) => (a.hitRate ?? 101) - (b.hitRate ?? 101) || a.vendorName.localeCompare(b.vendorName));
+  }
+
+  // One vendor's template with its rules and hit rate per field
+  async get(vendorId, companyId) {
+    if (!UUID_PATTERN.test(String(vendorId))) return null;
+
+    const template = await this.pool.query(`
+      SELECT t.*, v.name AS vendor_name
+      FROM vendor_templates t
+      JOIN vendors v ON v.id = t.vendor_id
+      WHERE t.vendor_id = $1 AND t.company_id = $2
+    `, [vendorId, companyId]);
+    if (template.rows.length === 0) return null;
+
+    const runs = await this.pool.query(
+      'SELECT fields_applied, fields_corrected FROM vendor_template_runs WHERE vendor_id = $1',
+      [vendorId]
+    );
+
+    const perField = {};
+    runs.rows.forEach(run => {
+      (run.fields_applied || []).forEach(field => {
+        perField[field] = perField[field] || { applied: 0, corrected: 0 };
+        perField[field].applied++;
+        if ((run.fields_corrected || []).includes(field)) perField[field].corrected++;
+      });
+    });
+
+    const row = template.rows[0];
+    const applied = Object.values(perField).reduce((sum, field) => sum + field.applied, 0);
+    const corrected = Object.values(perField).reduce((sum, field) => sum + field.corrected, 0);
+
+    return {
+      ...mapStats({ ...row, documents: runs.rows.length, fields_applied: applied, fields_corrected: corrected }),
+      fields: row.fields || {},
+      lineItems: row.line_items || null,
+      fieldHitRates: Object.fromEntries(Object.entries(perField).map(([field, counts]) => [
+        field,
+        { ...counts, hitRate: hitRate(counts.applied, counts.corrected) }
+      ])),
+      createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    };
+  }
+
+  // Forget a vendor's template and its run history; the next reviewed invoice starts a new one
+  async reset(vendorId, companyId) {
+    if (!UUID_PATTERN.test(String(vendorId))) return false;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'DELETE FROM vendor_templates WHERE vendor_id = $1 AND company_id = $2',
+        [vendorId, companyId]
+      );
+      if (result.rowCount > 0) {
+        await client.query('DELETE FROM vendor_template_runs WHERE vendor_id = $1', [vendorId]);
+      }
+      await client.query('COMMIT');
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  VendorTemplateService,
+  identifyVendor
+};
@@ -0,0 +1,527 @@
+// backend/utils/accounting-exporters.js
+// Accounting exports: turn approved invoices into files QuickBooks, Xero or a general ledger can import.
+//
+// Every exporter works from the same normalized bill (see buildBill): one expense line per invoice item
+// with its GL account, tax code and share of the invoice tax, balanced against the invoice total.
+// Exporters are registered by id; registerExporter() adds new formats without touching the export service.
+
+const ExcelJS = require('exceljs');
+const { formatCsv } = require('./csv');
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// Columns available to the AP journal, in their default order
+const JOURNAL_COLUMNS = {
+    date: { header: 'Date', value: row => row.date },
+    documentNumber: { header: 'Invoice Number', value: row => row.documentNumber },
+    vendor: { header: 'Vendor', value: row => row.vendor },
+    vendorTaxId: { header: 'Vendor Tax ID', value: row => row.vendorTaxId },
+    account: { header: 'GL Account', value: row => row.account },
+    description: { header: 'Description', value: row => row.description },
+    taxCode: { header: 'Tax Code', value: row => row.taxCode },
+    debit: { header: 'Debit', value: row => row.debit, numeric: true },
+    credit: { header: 'Credit', value: row => row.credit, numeric: true },
+    currency: { header: 'Currency', value: row => row.currency },
+    exchangeRate: { header: 'Exchange Rate', value: row => row.exchangeRate },
+    baseCurrency: { header: 'Base Currency', value: row => row.baseCurrency },
+    baseDebit: { header: 'Base Debit', value: row => row.baseDebit, numeric: true },
+    baseCredit: { header: 'Base Credit', value: row => row.baseCredit, numeric: true },
+    dueDate: { header: 'Due Date', value: row => row.dueDate },
+    reference: { header: 'Reference', value: row => row.reference },
+    documentId: { header: 'Document ID', value: row => row.documentId }
+};
+
+const DEFAULT_EXPORT_SETTINGS = {
+    apAccount: 'Accounts Payable',
+    expenseAccount: '6000',
+    taxAccount: '2200',
+    // Tax codes by rate in percent, e.g. { "20": "VAT20", "0": "EXEMPT" }; defaultTaxCode covers the rest
+    taxCodes: {},
+    defaultTaxCode: '',
+    // Expense account per vendor, keyed by vendor name (case-insensitive)
+    vendorAccounts: {},
+    dateFormat: 'YYYY-MM-DD',
+    journalColumns: Object.keys(JOURNAL_COLUMNS)
+};
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(num) ? num : null;
+}
+
+function round(value, places = 2) {
+    return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+const formatAmount = (value) => (value === null || value === undefined ? '' : round(value).toFixed(2));
+
+// Unit prices keep up to four decimals (0.1234 per unit) but are written with at least two like amounts
+const formatUnitAmount = (value) => (round(value, 4) === round(value) ? formatAmount(value) : String(round(value, 4)));
+
+function formatDate(value, format = 'YYYY-MM-DD') {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return value || '';
+    const [, year, month, day] = match;
+
+    switch (format) {
+        case 'MM/DD/YYYY': return `${month}/${day}/${year}`;
+        case 'DD/MM/YYYY': return `${day}/${month}/${year}`;
+        default: return `${year}-${month}-${day}`;
+    }
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas; free text from invoices must not
+const safeText = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+// Tax rates arrive as 20 (percent) or 0.2 (fraction)
+const ratePercent = (rate) => (rate === null ? null : rate > 0 && rate < 1 ? rate * 100 : rate);
+
+function taxCodeFor(rate, settings) {
+    if (rate !== null) {
+        const code = settings.taxCodes?.[String(round(rate, 3))];
+        if (code) return code;
+    }
+    return settings.defaultTaxCode || '';
+}
+
+function accountFor(item, vendorName, settings) {
+    const vendorAccount = settings.vendorAccounts?.[String(vendorName || '').trim().toLowerCase()];
+    return item?.glAccount || vendorAccount || settings.expenseAccount;
+}
+
+// Spread the invoice tax over the lines: by each line's own rate where known, otherwise by net amount.
+// Rounding leftovers go to the largest line so the line taxes always add up to the invoice tax.
+function allocateTax(lines, tax) {
+    if (!tax) return lines.map(() => 0);
+
+    // Signed, so a discount line takes tax back off the lines it discounts
+    const weights = lines.map(line => line.amount * (line.taxRate !== null ? line.taxRate : 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) {
+        return lines.map((line, index) => (index === 0 ? round(tax) : 0));
+    }
+
+    const shares = weights.map(weight => round(tax * weight / totalWeight));
+    const remainder = round(tax - shares.reduce((sum, share) => sum + share, 0));
+    if (remainder !== 0) {
+        const magnitudes = weights.map(Math.abs);
+        const largest = magnitudes.indexOf(Math.max(...magnitudes));
+        shares[largest] = round(shares[largest] + remainder);
+    }
+    return shares;
+}
+
+// Line, tax and total amounts in the company's base currency at the document's stored rate. Rounding
+// leftovers go to the largest line so the base lines and tax always add up to the base total.
+function convertBill(lines, tax, total, rate) {
+    const baseTax = round(tax * rate);
+    const baseTotal = round(total * rate);
+    lines.forEach(line => {
+        line.baseAmount = round(line.amount * rate);
+    });
+
+    const remainder = round(baseTotal - baseTax - lines.reduce((sum, line) => sum + line.baseAmount, 0));
+    if (remainder !== 0 && lines.length > 0) {
+        const magnitudes = lines.map(line => Math.abs(line.amount));
+        const largest = lines[magnitudes.indexOf(Math.max(...magnitudes))];
+        largest.baseAmount = round(largest.baseAmount + remainder);
+    }
+    return { baseTax, baseTotal };
+}
+
+// Normalize a document into the bill every exporter writes. `problems` lists what would make the
+// exported entry wrong (nothing to post, lines that do not add up to the total); such bills are not exported.
+function buildBill(document, settings = DEFAULT_EXPORT_SETTINGS) {
+    const data = document.invoiceData || {};
+    const amounts = data.amounts || {};
+    const vendorName = document.matchedVendor?.name || data.vendor?.name || null;
+    const headerRate = ratePercent(toNumber(amounts.taxRate));
+    const tax = toNumber(amounts.tax) || 0;
+    const discount = toNumber(amounts.discount) || 0;
+    const documentType = data.documentType || 'invoice';
+    const title = documentType === 'credit_note' ? 'Credit note' : 'Invoice';
+    const problems = [];
+
+    const sourceItems = Array.isArray(data.items) && data.items.length > 0
+        ? data.items
+        : (Array.isArray(data.lineItems) ? data.lineItems : []);
+
+    let lines = sourceItems
+        .map(item => ({ item, amount: toNumber(item.amount ?? item.lineTotal) }))
+        .filter(({ amount }) => amount !== null && amount !== 0)
+        .map(({ item, amount }) => {
+            const quantity = toNumber(item.quantity ?? item.qtyShipped);
+            const unitPrice = toNumber(item.unitPrice);
+            const itemRate = ratePercent(toNumber(item.taxRate));
+            return {
+                description: item.description || '',
+                itemCode: item.itemNumber || null,
+                quantity,
+                unitPrice,
+                amount: round(amount),
+                account: accountFor(item, vendorName, settings),
+                taxRate: itemRate !== null ? itemRate : headerRate
+            };
+        });
+
+    // No usable line items: post the invoice as a single line
+    if (lines.length === 0) {
+        const subtotal = toNumber(amounts.subtotal);
+        const total = toNumber(amounts.total);
+        const net = subtotal !== null ? subtotal : (total !== null ? total - tax + discount : null);
+        if (net !== null && net !== 0) {
+            lines = [{
+                description: data.invoiceNumber ? `${title} ${data.invoiceNumber}` : title,
+                itemCode: null,
+                quantity: 1,
+                unitPrice: round(net),
+                amount: round(net),
+                account: accountFor(null, vendorName, settings),
+                taxRate: headerRate
+            }];
+        }
+    }
+
+    if (discount) {
+        lines.push({
+            description: 'Discount',
+            itemCode: null,
+            quantity: 1,
+            unitPrice: round(-discount),
+            amount: round(-discount),
+            account: accountFor(null, vendorName, settings),
+            taxRate: headerRate
+        });
+    }
+
+    const taxShares = allocateTax(lines, tax);
+    lines.forEach((line, index) => {
+        line.taxAmount = taxShares[index];
+        line.taxCode = taxCodeFor(line.taxRate, settings);
+    });
+
+    const net = round(lines.reduce((sum, line) => sum + line.amount, 0));
+    const total = toNumber(amounts.total) ?? round(net + tax);
+
+    if (lines.length === 0) {
+        problems.push('no amounts to post');
+    } else if (Math.abs(round(net + tax) - total) > 0.01) {
+        problems.push(`lines (${formatAmount(net)}) plus tax (${formatAmount(tax)}) do not equal the total (${formatAmount(total)})`);
+    }
+    if (!vendorName) problems.push('vendor is missing');
+    if (!data.invoiceNumber) problems.push('invoice number is missing');
+
+    // Documents converted before the export carry the rate; without one the base amounts stay empty
+    const baseAmounts = document.baseAmounts || null;
+    const rate = baseAmounts?.rate ?? null;
+    const { baseTax, baseTotal } = rate !== null ? convertBill(lines, tax, total, rate) : { baseTax: null, baseTotal: null };
+    if (baseAmounts && rate === null) {
+        problems.push(`no exchange rate from ${baseAmounts.sourceCurrency} to ${baseAmounts.currency}`);
+    }
+
+    return {
+        documentId: document.id,
+        vendorName,
+        vendorTaxId: data.vendor?.taxId || null,
+        vendorEmail: data.vendor?.email || null,
+        vendorAddress: data.vendor?.address || null,
+        invoiceNumber: data.invoiceNumber || null,
+        documentType,
+        referencedInvoiceNumber: data.referencedInvoiceNumber || null,
+        date: data.date || null,
+        dueDate: data.dueDate || data.date || null,
+        currency: amounts.currency || baseAmounts?.sourceCurrency || null,
+        baseCurrency: baseAmounts?.currency || null,
+        exchangeRate: rate,
+        exchangeRateDate: baseAmounts?.rateDate || null,
+        baseTax,
+        baseTotal,
+        reference: data.orderInfo?.orderNumber || null,
+        terms: data.paymentDetails?.terms || null,
+        net,
+        tax: round(tax),
+        total: round(total),
+        lines,
+        problems
+    };
+}
+
+// ===============================
+// QuickBooks Desktop IIF
+// ===============================
+
+// One BILL transaction per invoice: AP credited with the total, each line and the tax debited. A credit
+// note is a BILL CRED with the same rows; its negative amounts put every row on the other side.
+async function buildQuickBooksIif(bills, settings) {
+    const rows = [
+        ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'DUEDATE', 'TERMS'],
+        ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+        ['!ENDTRNS']
+    ];
+
+    // IIF is tab separated and cannot quote, so tabs and line breaks in text are flattened
+    const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+
+    bills.forEach(bill => {
+        const date = formatDate(bill.date, 'MM/DD/YYYY');
+        const type = bill.documentType === 'credit_note' ? 'BILL CRED' : 'BILL';
+        rows.push([
+            'TRNS', '', type, date, clean(settings.apAccount), clean(bill.vendorName), formatAmount(-bill.total),
+            clean(bill.invoiceNumber), clean(bill.reference ? `PO ${bill.reference}` : ''), formatDate(bill.dueDate, 'MM/DD/YYYY'), clean(bill.terms)
+        ]);
+        bill.lines.forEach(line => {
+            rows.push(['SPL', '', type, date, clean(line.account), clean(bill.vendorName), formatAmount(line.amount), clean(bill.invoiceNumber), clean(line.description)]);
+        });
+        if (bill.tax) {
+            rows.push(['SPL', '', type, date, clean(settings.taxAccount), clean(bill.vendorName), formatAmount(bill.tax), clean(bill.invoiceNumber), 'Tax']);
+        }
+        rows.push(['ENDTRNS']);
+    });
+
+    return rows.map(row => row.join('\t')).join('\r\n') + '\r\n';
+}
+
+// ===============================
+// QuickBooks Online bill import CSV
+// ===============================
+
+async function buildQuickBooksBillCsv(bills, settings) {
+    const rows = [[
+        'Bill No', 'Supplier', 'Bill Date', 'Due Date', 'Terms', 'Memo', 'Account',
+        'Line Description', 'Line Amount', 'Line Tax Code', 'Line Tax Amount', 'Currency'
+    ]];
+
+    bills.forEach(bill => {
+        bill.lines.forEach(line => {
+            rows.push([
+                safeText(bill.invoiceNumber),
+                safeText(bill.vendorName),
+                formatDate(bill.date, settings.dateFormat),
+                formatDate(bill.dueDate, settings.dateFormat),
+                safeText(bill.terms),
+                safeText(bill.reference ? `PO ${bill.reference}` : ''),
+                safeText(line.account),
+                safeText(line.description),
+                formatAmount(line.amount),
+                safeText(line.taxCode),
+                formatAmount(line.taxAmount),
+                bill.currency || ''
+            ]);
+        });
+    });
+
+    return formatCsv(rows);
+}
+
+// ===============================
+// Xero bills import CSV
+// ===============================
+
+// Xero multiplies Quantity by UnitAmount, so lines whose quantity and price do not reproduce
+// the amount are written as one unit at the line amount. Import with "tax exclusive" amounts.
+// Xero imports a bill whose total is negative as a supplier credit note.
+async function buildXeroBillsCsv(bills, settings) {
+    const rows = [[
+        '*ContactName', 'EmailAddress', 'POAddressLine1', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Total',
+        'InventoryItemCode', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount', 'Currency'
+    ]];
+
+    bills.forEach(bill => {
+        bill.lines.forEach(line => {
+            const consistent = line.quantity && line.unitPrice !== null &&
+                Math.abs(line.quantity * line.unitPrice - line.amount) <= 0.01;
+
+            rows.push([
+                safeText(bill.vendorName),
+                safeText(bill.vendorEmail),
+                safeText(bill.vendorAddress),
+                safeText(bill.invoiceNumber),
+                formatDate(bill.date, settings.dateFormat),
+                formatDate(bill.dueDate, settings.dateFormat),
+                formatAmount(bill.total),
+                safeText(line.itemCode),
+                safeText(line.description),
+                consistent ? line.quantity : 1,
+                formatUnitAmount(consistent ? line.unitPrice : line.amount),
+                safeText(line.account),
+                safeText(line.taxCode),
+                formatAmount(line.taxAmount),
+                bill.currency || ''
+            ]);
+        });
+    });
+
+    return formatCsv(rows);
+}
+
+// ===============================
+// AP journal (CSV / XLSX)
+// ===============================
+
+// Double-entry rows: a debit per expense line, a debit for tax, and the AP credit for the total
+function journalRows(bills, settings) {
+    const rows = [];
+
+    bills.forEach(bill => {
+        const common = {
+            date: formatDate(bill.date, settings.dateFormat),
+            dueDate: formatDate(bill.dueDate, settings.dateFormat),
+            documentNumber: bill.invoiceNumber,
+            vendor: bill.vendorName,
+            vendorTaxId: bill.vendorTaxId,
+            currency: bill.currency,
+            exchangeRate: bill.exchangeRate,
+            baseCurrency: bill.baseCurrency,
+            reference: bill.reference,
+            documentId: bill.documentId
+        };
+
+        // Negative lines (discounts, credit notes) land on the opposite side
+        const side = (amount) => (amount >= 0 ? { debit: round(amount), credit: null } : { debit: null, credit: round(-amount) });
+        const baseSide = (amount) => {
+            if (amount === null || amount === undefined) return { baseDebit: null, baseCredit: null };
+            const { debit, credit } = side(amount);
+            return { baseDebit: debit, baseCredit: credit };
+        };
+
+        bill.lines.forEach(line => {
+            rows.push({ ...common, account: line.account, description: line.description, taxCode: line.taxCode, ...side(line.amount), ...baseSide(line.baseAmount) });
+        });
+        if (bill.tax) {
+            rows.push({ ...common, account: settings.taxAccount, description: 'Tax', taxCode: '', ...side(bill.tax), ...baseSide(bill.baseTax) });
+        }
+        const ap = side(bill.total);
+        const baseAp = baseSide(bill.baseTotal);
+        const apDescription = bill.documentType === 'credit_note' ? 'Credit note' : 'Bill';
+        rows.push({
+            ...common,
+            account: settings.apAccount,
+            description: `${apDescription} ${bill.invoiceNumber || ''}`.trim(),
+            taxCode: '',
+            debit: ap.credit,
+            credit: ap.debit,
+            baseDebit: baseAp.baseCredit,
+            baseCredit: baseAp.baseDebit
+        });
+    });
+
+    return rows;
+}
+
+const journalColumns = (settings) => {
+    const keys = (settings.journalColumns || []).filter(key => JOURNAL_COLUMNS[key]);
+    return (keys.length > 0 ? keys : DEFAULT_EXPORT_SETTINGS.journalColumns).map(key => ({ key, ...JOURNAL_COLUMNS[key] }));
+};
+
+async function buildJournalCsv(bills, settings) {
+    const columns = journalColumns(settings);
+    const rows = journalRows(bills, settings).map(row => columns.map(column => {
+        const value = column.value(row);
+        return column.numeric ? formatAmount(value) : safeText(value);
+    }));
+
+    return formatCsv([columns.map(column => column.header), ...rows]);
+}
+
+async function buildJournalXlsx(bills, settings) {
+    const columns = journalColumns(settings);
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('AP Journal');
+
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.numeric ? 14 : Math.max(12, column.header.length + 2),
+        style: column.numeric ? { numFmt: '#,##0.00' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    journalRows(bills, settings).forEach(row => {
+        sheet.addRow(Object.fromEntries(columns.map(column => [column.key, column.numeric ? column.value(row) : safeText(column.value(row))])));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ===============================
+// Registry
+// ===============================
+
+const EXPORTERS = new Map();
+
+// exporter: { id, label, description, extension, contentType, supportsCredits, build(bills, settings) -> Promise<string|Buffer> }
+// supportsCredits: false for formats that cannot import a bill with negative amounts
+function registerExporter(exporter) {
+    if (!exporter?.id || typeof exporter.build !== 'function') {
+        throw new Error('An exporter needs an id and a build function');
+    }
+    EXPORTERS.set(exporter.id, exporter);
+}
+
+const getExporter = (id) => EXPORTERS.get(id) || null;
+
+const listExporters = () => [...EXPORTERS.values()].map(({ id, label, description, extension, supportsCredits }) => ({
+    id, label, description, extension, supportsCredits: supportsCredits !== false
+}));
+
+registerExporter({
+    id: 'quickbooks_iif',
+    label: 'QuickBooks Desktop (IIF)',
+    description: 'Bills for File > Utilities > Import > IIF Files',
+    extension: 'iif',
+    contentType: 'text/plain; charset=utf-8',
+    build: buildQuickBooksIif
+});
+
+registerExporter({
+    id: 'quickbooks_csv',
+    label: 'QuickBooks Online bills (CSV)',
+    description: 'One row per bill line for the QuickBooks Online bill import',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    // The bill import has no vendor credits; those are entered by hand in QuickBooks Online
+    supportsCredits: false,
+    build: buildQuickBooksBillCsv
+});
+
+registerExporter({
+    id: 'xero_bills',
+    label: 'Xero bills (CSV)',
+    description: 'Xero purchases import template; import with tax-exclusive amounts',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    build: buildXeroBillsCsv
+});
+
+registerExporter({
+    id: 'ap_journal_csv',
+    label: 'AP journal (CSV)',
+    description: 'Debit/credit journal lines with GL account and tax code',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    build: buildJournalCsv
+});
+
+registerExporter({
+    id: 'ap_journal_xlsx',
+    label: 'AP journal (Excel)',
+    description: 'The AP journal as an Excel workbook',
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    build: buildJournalXlsx
+});
+
+module.exports = {
+    DATE_FORMATS,
+    JOURNAL_COLUMNS,
+    DEFAULT_EXPORT_SETTINGS,
+    buildBill,
+    registerExporter,
+    getExporter,
+    listExporters
+};
@@ -0,0 +1,134 @@
+// backend/utils/accounting-exporters.test.js
+
+const { buildBill, getExporter, DEFAULT_EXPORT_SETTINGS } = require('./accounting-exporters');
+const { parseCsvRows } = require('./csv');
+
+const document = (overrides = {}) => ({
+    id: 'doc-1',
+    invoiceData: {
+        invoiceNumber: 'INV-7',
+        date: '2024-03-05',
+        dueDate: '2024-04-04',
+        vendor: { name: 'Smith, Jones & "Co"', email: 'ap@smith.test' },
+        amounts: { subtotal: 1234.5, tax: 246.9, total: 1481.4, currency: 'USD', taxRate: 20 },
+        orderInfo: { orderNumber: 'PO-9' },
+        paymentDetails: { terms: 'Net 30' },
+        items: [
+            { description: '=SUM(A1)', quantity: 3, unitPrice: 400, amount: 1200 },
+            { description: 'Shipping\tfee', quantity: 1, unitPrice: 34.5, amount: 34.5 }
+        ],
+        ...overrides
+    }
+});
+
+const settings = (overrides = {}) => ({ ...DEFAULT_EXPORT_SETTINGS, ...overrides });
+
+const build = (id, documents, exportSettings = settings()) =>
+    getExporter(id).build(documents.map(entry => buildBill(entry, exportSettings)), exportSettings);
+
+const lines = (output) => output.split('\r\n').slice(0, -1);
+
+describe('buildBill', () => {
+    test('spreads the invoice tax over the lines so it adds up to the total', () => {
+        const bill = buildBill(document(), settings({ taxCodes: { 20: 'VAT20' } }));
+
+        expect(bill.lines.map(line => [line.amount, line.taxAmount, line.taxCode])).toEqual([[1200, 240, 'VAT20'], [34.5, 6.9, 'VAT20']]);
+        expect(bill.problems).toEqual([]);
+    });
+
+    test('reports lines that do not add up to the total', () => {
+        const bill = buildBill(document({ amounts: { tax: 246.9, total: 1500, currency: 'USD' } }));
+
+        expect(bill.problems).toEqual(['lines (1234.50) plus tax (246.90) do not equal the total (1500.00)']);
+    });
+});
+
+describe('QuickBooks Desktop IIF', () => {
+    test('writes the header rows, then a BILL with its split lines, tab separated', async () => {
+        const output = lines(await build('quickbooks_iif', [document()]));
+
+        expect(output.slice(0, 3)).toEqual([
+            '!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tDUEDATE\tTERMS',
+            '!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO',
+            '!ENDTRNS'
+        ]);
+        expect(output.slice(3).map(row => row.split('\t'))).toEqual([
+            ['TRNS', '', 'BILL', '03/05/2024', 'Accounts Payable', 'Smith, Jones & "Co"', '-1481.40', 'INV-7', 'PO PO-9', '04/04/2024', 'Net 30'],
+            ['SPL', '', 'BILL', '03/05/2024', '6000', 'Smith, Jones & "Co"', '1200.00', 'INV-7', '=SUM(A1)'],
+            // IIF cannot quote, so a tab in the text becomes a space
+            ['SPL', '', 'BILL', '03/05/2024', '6000', 'Smith, Jones & "Co"', '34.50', 'INV-7', 'Shipping fee'],
+            ['SPL', '', 'BILL', '03/05/2024', '2200', 'Smith, Jones & "Co"', '246.90', 'INV-7', 'Tax'],
+            ['ENDTRNS']
+        ]);
+    });
+
+    test('writes a credit note as a BILL CRED on the other side', async () => {
+        const credit = document({
+            documentType: 'credit_note',
+            amounts: { tax: -20, total: -120, currency: 'USD' },
+            items: [{ description: 'Returned widgets', amount: -100 }]
+        });
+
+        const output = lines(await build('quickbooks_iif', [credit])).slice(3).map(row => row.split('\t').slice(2, 7));
+
+        expect(output.slice(0, 3)).toEqual([
+            ['BILL CRED', '03/05/2024', 'Accounts Payable', 'Smith, Jones & "Co"', '120.00'],
+            ['BILL CRED', '03/05/2024', '6000', 'Smith, Jones & "Co"', '-100.00'],
+            ['BILL CRED', '03/05/2024', '2200', 'Smith, Jones & "Co"', '-20.00']
+        ]);
+    });
+});
+
+describe('CSV exports', () => {
+    test('QuickBooks Online: one row per line, quoting commas and quotes, guarding formulas', async () => {
+        const output = await build('quickbooks_csv', [document()], settings({ dateFormat: 'DD/MM/YYYY' }));
+
+        expect(lines(output)[1]).toBe('INV-7,"Smith, Jones & ""Co""",05/03/2024,04/04/2024,Net 30,PO PO-9,6000,\'=SUM(A1),1200.00,,240.00,USD');
+        expect(parseCsvRows(output)).toEqual([
+            ['Bill No', 'Supplier', 'Bill Date', 'Due Date', 'Terms', 'Memo', 'Account', 'Line Description', 'Line Amount', 'Line Tax Code', 'Line Tax Amount', 'Currency'],
+            ['INV-7', 'Smith, Jones & "Co"', '05/03/2024', '04/04/2024', 'Net 30', 'PO PO-9', '6000', '\'=SUM(A1)', '1200.00', '', '240.00', 'USD'],
+            ['INV-7', 'Smith, Jones & "Co"', '05/03/2024', '04/04/2024', 'Net 30', 'PO PO-9', '6000', 'Shipping\tfee', '34.50', '', '6.90', 'USD']
+        ]);
+    });
+
+    test('Xero: unit amounts with at least two decimals, one unit at the line amount when they do not multiply out', async () => {
+        const invoice = document({
+            amounts: { tax: 0, total: 148.52, currency: 'USD' },
+            items: [
+                { description: 'Bolts', quantity: 1000, unitPrice: 0.1234, amount: 123.4 },
+                { description: 'Screws', quantity: 3, unitPrice: 6.7, amount: 20.12 },
+                { description: 'Nuts', quantity: 10, unitPrice: 0.5, amount: 5 }
+            ]
+        });
+
+        const rows = parseCsvRows(await build('xero_bills', [invoice]));
+
+        expect(rows[0]).toEqual([
+            '*ContactName', 'EmailAddress', 'POAddressLine1', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Total',
+            'InventoryItemCode', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount', 'Currency'
+        ]);
+        expect(rows.slice(1).map(row => [row[6], row[8], row[9], row[10]])).toEqual([
+            ['148.52', 'Bolts', '1000', '0.1234'],
+            ['148.52', 'Screws', '1', '20.12'],
+            ['148.52', 'Nuts', '10', '0.50']
+        ]);
+    });
+
+    test('AP journal: the configured columns in their order, debits and credits balanced', async () => {
+        const output = await build('ap_journal_csv', [document()], settings({ journalColumns: ['account', 'debit', 'credit', 'bogus', 'documentNumber'] }));
+
+        expect(parseCsvRows(output)).toEqual([
+            ['GL Account', 'Debit', 'Credit', 'Invoice Number'],
+            ['6000', '1200.00', '', 'INV-7'],
+            ['6000', '34.50', '', 'INV-7'],
+            ['2200', '246.90', '', 'INV-7'],
+            ['Accounts Payable', '', '1481.40', 'INV-7']
+        ]);
+    });
+
+    test('AP journal: all columns when none are configured', async () => {
+        const output = await build('ap_journal_csv', [document()], settings({ journalColumns: [] }));
+
+        expect(parseCsvRows(output)[0]).toHaveLength(DEFAULT_EXPORT_SETTINGS.journalColumns.length);
+    });
+});
@@ -0,0 +1,333 @@
+// backend/utils/consensus.js
+// Weighted consensus over the invoiceData several extractors returned for one document. Values are
+// normalized before the vote (dates to ISO, amounts to numbers, invoice numbers without separators),
+// each source votes with its historical accuracy on the field, amounts are voted on and never
+// averaged, and line items are matched row by row. Every field reports the winning value, the
+// runner-up alternatives and the share of the voting weight that agreed.
+
+const { parseLooseNumber, getValue } = require('./vendor-templates');
+const { parseDate } = require('./dates');
+const { normalizeCurrency } = require('./currency');
+
+// Fields voted on, by how their values are normalized
+const CONSENSUS_FIELDS = {
+    documentType: 'type',
+    referencedInvoiceNumber: 'identifier',
+    invoiceNumber: 'identifier',
+    date: 'date',
+    dueDate: 'date',
+    'vendor.name': 'text',
+    'vendor.address': 'text',
+    'vendor.phone': 'phone',
+    'vendor.email': 'email',
+    'vendor.taxId': 'identifier',
+    'billTo.name': 'text',
+    'billTo.address': 'text',
+    'billTo.phone': 'phone',
+    'billTo.email': 'email',
+    'amounts.subtotal': 'amount',
+    'amounts.tax': 'amount',
+    'amounts.taxRate': 'rate',
+    'amounts.discount': 'amount',
+    'amounts.total': 'amount',
+    'amounts.amountPaid': 'amount',
+    'amounts.balanceDue': 'amount',
+    'amounts.currency': 'currency',
+    'paymentDetails.method': 'text',
+    'paymentDetails.terms': 'text',
+    'orderInfo.orderNumber': 'identifier',
+    'orderInfo.orderDate': 'date',
+    notes: 'text'
+};
+
+const ITEM_COLUMNS = {
+    description: 'text',
+    quantity: 'number',
+    unitPrice: 'amount',
+    amount: 'amount'
+};
+
+// Keys older extractors return at the top level instead of nested
+const FLAT_KEYS = {
+    'vendor.name': 'vendor',
+    'amounts.subtotal': 'subtotal',
+    'amounts.tax': 'tax',
+    'amounts.taxRate': 'taxRate',
+    'amounts.total': 'total',
+    'amounts.currency': 'currency',
+    'orderInfo.orderNumber': 'orderNumber',
+    'orderInfo.orderDate': 'orderDate',
+    'paymentDetails.method': 'paymentMethod',
+    'paymentDetails.terms': 'terms'
+};
+
+// Vote of a source with no review history on a field yet, and the least any source counts for
+const DEFAULT_SOURCE_WEIGHT = 0.7;
+const MIN_SOURCE_WEIGHT = 0.05;
+
+// A row is kept when the sources that found it hold at least this share of the line item weight
+const MIN_ROW_SUPPORT = 0.5;
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+const roundWeight = (weight) => Math.round(weight * 1000) / 1000;
+
+function setValue(obj, path, value) {
+    const keys = path.split('.');
+    let current = obj;
+    keys.slice(0, -1).forEach(key => {
+        if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+        current = current[key];
+    });
+    current[keys[keys.length - 1]] = value;
+}
+
+function sourceValue(data, path) {
+    const value = getValue(data, path);
+    if (hasValue(value)) return value;
+
+    const flat = data?.[FLAT_KEYS[path]];
+    return typeof flat === 'object' ? null : flat;
+}
+
+// { key, value }: key is what votes are grouped by, value what the winner is reported as
+function normalizeValue(kind, value) {
+    if (!hasValue(value) || typeof value === 'object') return null;
+    const text = String(value).trim().replace(/\s+/g, ' ');
+
+    switch (kind) {
+        case 'amount':
+        case 'number': {
+            const number = typeof value === 'number' ? value : parseLooseNumber(text);
+            if (number === null || !isFinite(number)) return null;
+            const rounded = Math.round(number * 10000) / 10000;
+            return { key: rounded.toFixed(kind === 'amount' ? 2 : 4), value: rounded };
+        }
+        case 'rate': {
+            const number = parseFloat(text.replace(/[^\d.-]/g, ''));
+            return isNaN(number) ? null : { key: String(number), value };
+        }
+        case 'date': {
+            const iso = parseDate(text);
+            return iso ? { key: iso, value: iso } : { key: text.toLowerCase(), value: text };
+        }
+        case 'currency': {
+            const code = normalizeCurrency(text) || text.toUpperCase();
+            return { key: code, value: code };
+        }
+        case 'identifier': {
+            const key = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+            return key ? { key, value: text } : null;
+        }
+        case 'phone': {
+            const digits = text.replace(/\D/g, '');
+            return digits ? { key: digits.slice(-10), value: text } : null;
+        }
+        case 'email':
+            return { key: text.toLowerCase(), value: text.toLowerCase() };
+        case 'type': {
+            const type = text.toLowerCase().replace(/[^a-z]+/g, '_');
+            return { key: type, value: type };
+        }
+        default: {
+            const key = text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+            return key ? { key, value: text } : null;
+        }
+    }
+}
+
+// Group the candidates by normalized value and rank the groups by weight, then by how many sources
+// agree. Each group reports the value of its heaviest source. totalWeight defaults to the weight of
+// the candidates; pass the weight of every source that could have voted to count abstentions.
+function vote(candidates, totalWeight = null) {
+    if (candidates.length === 0) return null;
+
+    const groups = new Map();
+    candidates
+        .slice()
+        .sort((a, b) => b.weight - a.weight)
+        .forEach(candidate => {
+            if (!groups.has(candidate.key)) {
+                groups.set(candidate.key, { value: candidate.value, sources: [], weight: 0 });
+            }
+            const group = groups.get(candidate.key);
+            group.sources.push(candidate.source);
+            group.weight += candidate.weight;
+        });
+
+    const ranked = Array.from(groups.values())
+        .sort((a, b) => b.weight - a.weight || b.sources.length - a.sources.length);
+    const total = totalWeight || ranked.reduce((sum, group) => sum + group.weight, 0);
+    const [winner, ...others] = ranked;
+
+    return {
+        value: winner.value,
+        sources: winner.sources,
+        weight: roundWeight(winner.weight),
+        agreement: total > 0 ? Math.round(Math.min(1, winner.weight / total) * 100) : 0,
+        alternatives: others.map(group => ({
+            value: group.value,
+            sources: group.sources,
+            weight: roundWeight(group.weight)
+        }))
+    };
+}
+
+const weightOf = (weights, source, path) => Math.max(
+    MIN_SOURCE_WEIGHT,
+    weights[source]?.[path] ?? DEFAULT_SOURCE_WEIGHT
+);
+
+const itemAmount = (item) => item?.amount ?? item?.lineTotal;
+
+const descriptionTokens = (item) => new Set(
+    (normalizeValue('text', item?.description)?.key || '').split(' ').filter(Boolean)
+);
+
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = Array.from(a).filter(token => b.has(token)).length;
+    return shared / (a.size + b.size - shared);
+}
+
+// Two sources' rows are the same line when they agree on the amount and roughly on the description,
+// or closely on the description alone
+function rowsMatch(a, b) {
+    const overlap = similarity(descriptionTokens(a), descriptionTokens(b));
+    const amountA = normalizeValue('amount', itemAmount(a))?.key;
+    const amountB = normalizeValue('amount', itemAmount(b))?.key;
+
+    if (amountA && amountA === amountB) return overlap >= 0.3 || !hasValue(a.description) || !hasValue(b.description);
+    return overlap >= 0.6;
+}
+
+// The amounts of a list of items, sorted; two sources found the same rows when these are equal
+function itemFingerprint(items) {
+    return (Array.isArray(items) ? items : [])
+        .map(item => normalizeValue('amount', itemAmount(item))?.key || '')
+        .sort();
+}
+
+// Match rows across sources (heaviest source first), then vote on each column of every matched row
+function mergeItems(sources, weights) {
+    const withItems = sources
+        .filter(({ data }) => Array.isArray(data?.items) && data.items.length > 0)
+        .map(({ source, data }) => ({ source, items: data.items, weight: weightOf(weights, source, 'items') }))
+        .sort((a, b) => b.weight - a.weight);
+    const totalWeight = withItems.reduce((sum, entry) => sum + entry.weight, 0);
+
+    const clusters = [];
+    withItems.forEach(({ source, items, weight }) => {
+        items.forEach((item, index) => {
+            const member = { source, item, weight, position: index / items.length };
+            const cluster = clusters.find(candidate =>
+                !candidate.some(other => other.source === source) && rowsMatch(candidate[0].item, item));
+            if (cluster) {
+                cluster.push(member);
+            } else {
+                clusters.push([member]);
+            }
+        });
+    });
+
+    const items = [];
+    const rows = [];
+    const dropped = [];
+
+    clusters
+        .map((members, order) => ({ members, order }))
+        .sort((a, b) => a.members[0].position - b.members[0].position || a.order - b.order)
+        .forEach(({ members }) => {
+            const support = members.reduce((sum, member) => sum + member.weight, 0) / (totalWeight || 1);
+            if (withItems.length > 1 && support < MIN_ROW_SUPPORT) {
+                dropped.push({
+                    item: members[0].item,
+                    sources: members.map(member => member.source),
+                    weight: roundWeight(support * totalWeight)
+                });
+                return;
+            }
+
+            const item = { ...members[0].item };
+            const alternatives = {};
+            const agreements = [];
+
+            Object.entries(ITEM_COLUMNS).forEach(([column, kind]) => {
+                const candidates = members
+                    .map(member => ({ member, normalized: normalizeValue(kind, column === 'amount' ? itemAmount(member.item) : member.item[column]) }))
+                    .filter(({ normalized }) => normalized)
+                    .map(({ member, normalized }) => ({ source: member.source, weight: member.weight, ...normalized }));
+                const result = vote(candidates, totalWeight);
+                if (!result) return;
+
+                item[column] = result.value;
+                agreements.push(result.agreement);
+                if (result.alternatives.length > 0) alternatives[column] = result.alternatives;
+            });
+            if (item.lineTotal !== undefined && hasValue(item.amount)) item.lineTotal = item.amount;
+
+            const agreement = agreements.length > 0
+                ? Math.round(agreements.reduce((sum, value) => sum + value, 0) / agreements.length)
+                : 0;
+            items.push(item);
+            rows.push({ sources: members.map(member => member.source), agreement, alternatives });
+        });
+
+    return {
+        items,
+        details: {
+            sources: withItems.map(entry => entry.source),
+            rows,
+            dropped,
+            fingerprints: Object.fromEntries(withItems.map(entry => [entry.source, itemFingerprint(entry.items)]))
+        }
+    };
+}
+
+// sources: [{ source, data }] in the order they ran. weights: { [source]: { [fieldPath | 'items']: 0-1 } },
+// the sources' historical accuracy; a source without history on a field gets DEFAULT_SOURCE_WEIGHT.
+// Returns { data, details } where data is the consensus invoiceData (every field present, null when no
+// source found it) and details is { agreement, fields: { [path]: winner }, items } for reviewers.
+function buildConsensus(sources, weights = {}) {
+    const data = {};
+    const fields = {};
+
+    Object.entries(CONSENSUS_FIELDS).forEach(([path, kind]) => {
+        const candidates = sources
+            .map(({ source, data: sourceData }) => ({ source, normalized: normalizeValue(kind, sourceValue(sourceData, path)) }))
+            .filter(({ normalized }) => normalized)
+            .map(({ source, normalized }) => ({ source, weight: weightOf(weights, source, path), ...normalized }));
+
+        const result = vote(candidates);
+        setValue(data, path, result ? result.value : null);
+        if (result) fields[path] = result;
+    });
+
+    const merged = mergeItems(sources, weights);
+    data.items = merged.items;
+
+    const scores = Object.values(fields).map(field => field.agreement);
+    if (merged.details.rows.length > 0) {
+        scores.push(merged.details.rows.reduce((sum, row) => sum + row.agreement, 0) / merged.details.rows.length);
+    }
+
+    return {
+        data,
+        details: {
+            agreement: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+            fields,
+            items: merged.details
+        }
+    };
+}
+
+module.exports = {
+    CONSENSUS_FIELDS,
+    DEFAULT_SOURCE_WEIGHT,
+    MIN_ROW_SUPPORT,
+    normalizeValue,
+    itemFingerprint,
+    vote,
+    mergeItems,
+    buildConsensus
+};
@@ -0,0 +1,179 @@
+// backend/utils/consensus.test.js
+
+const { DEFAULT_SOURCE_WEIGHT, MIN_ROW_SUPPORT, normalizeValue, vote, mergeItems, buildConsensus } = require('./consensus');
+
+const candidate = (source, key, weight, value = key) => ({ source, key, value, weight });
+
+const source = (name, data) => ({ source: name, data });
+
+describe('vote', () => {
+    test('picks the heaviest group and lists the others as alternatives', () => {
+        const result = vote([candidate('ocr', '110.00', 0.9, 110), candidate('ai', '1100.00', 0.4, 1100), candidate('template', '110.00', 0.3, 110)]);
+
+        expect(result).toEqual({
+            value: 110,
+            sources: ['ocr', 'template'],
+            weight: 1.2,
+            agreement: 75,
+            alternatives: [{ value: 1100, sources: ['ai'], weight: 0.4 }]
+        });
+    });
+
+    test('breaks a weight tie by the number of sources that agree', () => {
+        const result = vote([candidate('ocr', 'a', 0.6), candidate('ai', 'b', 0.3), candidate('template', 'b', 0.3)]);
+
+        expect(result.value).toBe('b');
+        expect(result.sources).toEqual(['ai', 'template']);
+        expect(result.agreement).toBe(50);
+    });
+
+    test('keeps the first group when weight and source count tie', () => {
+        expect(vote([candidate('ocr', 'a', 0.5), candidate('ai', 'b', 0.5)]).value).toBe('a');
+        expect(vote([candidate('ai', 'b', 0.5), candidate('ocr', 'a', 0.5)]).value).toBe('b');
+    });
+
+    test('reports the value of the heaviest source in the winning group', () => {
+        const result = vote([candidate('ai', 'INV001', 0.4, 'inv 001'), candidate('ocr', 'INV001', 0.9, 'INV-001')]);
+
+        expect(result.value).toBe('INV-001');
+        expect(result.sources).toEqual(['ocr', 'ai']);
+    });
+
+    test('counts sources that did not vote against the agreement when given the total weight', () => {
+        const candidates = [candidate('ocr', 'a', 0.7)];
+
+        expect(vote(candidates).agreement).toBe(100);
+        expect(vote(candidates, 2.1).agreement).toBe(33);
+    });
+
+    test('returns null with no candidates', () => {
+        expect(vote([])).toBeNull();
+    });
+});
+
+describe('normalizeValue', () => {
+    test('groups equal values written differently', () => {
+        expect(normalizeValue('amount', '1,234.50').key).toBe(normalizeValue('amount', 1234.5).key);
+        expect(normalizeValue('date', '2024-03-04').key).toBe(normalizeValue('date', 'March 4, 2024').key);
+        expect(normalizeValue('identifier', 'inv-001').key).toBe(normalizeValue('identifier', 'INV 001').key);
+        expect(normalizeValue('phone', '+1 (555) 010-2000').key).toBe(normalizeValue('phone', '555.010.2000').key);
+    });
+
+    test('ignores missing and nested values', () => {
+        expect(normalizeValue('text', '')).toBeNull();
+        expect(normalizeValue('text', { name: 'Acme' })).toBeNull();
+        expect(normalizeValue('amount', 'n/a')).toBeNull();
+    });
+});
+
+describe('mergeItems', () => {
+    const widget = { description: 'Widget large', quantity: 2, unitPrice: 50, amount: 100 };
+    const bolts = { description: 'Bolts M8 zinc', quantity: 10, unitPrice: 1.5, amount: 15 };
+    const shipping = { description: 'Shipping', quantity: 1, unitPrice: 9.99, amount: 9.99 };
+
+    test('keeps a row found by enough of the line item weight', () => {
+        const { items, details } = mergeItems([
+            source('ocr', { items: [widget, bolts] }),
+            source('ai', { items: [widget, bolts] }),
+            source('template', { items: [widget] })
+        ], {});
+
+        expect(items.map(item => item.amount)).toEqual([100, 15]);
+        expect(details.rows.map(row => row.sources)).toEqual([['ocr', 'ai', 'template'], ['ocr', 'ai']]);
+        expect(details.rows.map(row => row.agreement)).toEqual([100, 67]);
+        expect(details.dropped).toEqual([]);
+    });
+
+    test('drops a row found by less than MIN_ROW_SUPPORT of the line item weight', () => {
+        const { items, details } = mergeItems([
+            source('ocr', { items: [widget, shipping] }),
+            source('ai', { items: [widget] }),
+            source('template', { items: [widget] })
+        ], {});
+
+        expect(1 / 3).toBeLessThan(MIN_ROW_SUPPORT);
+        expect(items).toEqual([widget]);
+        expect(details.dropped).toEqual([{ item: shipping, sources: ['ocr'], weight: DEFAULT_SOURCE_WEIGHT }]);
+    });
+
+    test('keeps a row only a heavy enough source found', () => {
+        const { items } = mergeItems([
+            source('ocr', { items: [widget, shipping] }),
+            source('ai', { items: [widget] })
+        ], { ocr: { items: 0.9 }, ai: { items: 0.3 } });
+
+        expect(items.map(item => item.description)).toEqual(['Widget large', 'Shipping']);
+    });
+
+    test('keeps every row when only one source returned items', () => {
+        const { items, details } = mergeItems([source('ocr', { items: [widget, shipping] }), source('ai', {})], {});
+
+        expect(items).toHaveLength(2);
+        expect(details.sources).toEqual(['ocr']);
+    });
+
+    test('votes on each column of a matched row', () => {
+        const { items, details } = mergeItems([
+            source('ocr', { items: [{ ...widget, quantity: 7 }] }),
+            source('ai', { items: [widget] }),
+            source('template', { items: [widget] })
+        ], {});
+
+        expect(items[0].quantity).toBe(2);
+        expect(details.rows[0].alternatives.quantity).toEqual([{ value: 7, sources: ['ocr'], weight: DEFAULT_SOURCE_WEIGHT }]);
+    });
+});
+
+describe('buildConsensus', () => {
+    test('votes each field with the sources\' accuracy on it', () => {
+        const { data, details } = buildConsensus([
+            source('ocr', { invoiceNumber: 'INV-001', amounts: { total: '1,100.00', currency: '$' } }),
+            source('ai', { invoiceNumber: 'INV 001', amounts: { total: 110, currency: 'USD' } }),
+            source('template', { invoiceNumber: 'INV-00I', amounts: { total: 110 } })
+        ], {
+            ocr: { 'amounts.total': 0.95 },
+            ai: { 'amounts.total': 0.3 },
+            template: { 'amounts.total': 0.3, invoiceNumber: 0.2 }
+        });
+
+        expect(data.amounts.total).toBe(1100);
+        expect(details.fields['amounts.total'].alternatives).toEqual([{ value: 110, sources: ['ai', 'template'], weight: 0.6 }]);
+        expect(data.invoiceNumber).toBe('INV-001');
+        expect(details.fields.invoiceNumber.sources).toEqual(['ocr', 'ai']);
+        expect(data.amounts.currency).toBe('USD');
+    });
+
+    test('reads the flat keys older extractors return', () => {
+        const { data } = buildConsensus([
+            source('legacy', { vendor: 'Acme Corp', total: '250.00', orderNumber: 'PO-1' }),
+            source('ai', { vendor: { name: 'Acme Corp' }, amounts: { total: 250 } })
+        ]);
+
+        expect(data.vendor.name).toBe('Acme Corp');
+        expect(data.amounts.total).toBe(250);
+        expect(data.orderInfo.orderNumber).toBe('PO-1');
+    });
+
+    test('fills fields no source found with null and averages the agreement', () => {
+        const { data, details } = buildConsensus([
+            source('ocr', { invoiceNumber: 'A-1', date: '2024-03-04' }),
+            source('ai', { invoiceNumber: 'A-2', date: 'March 4, 2024' })
+        ]);
+
+        expect(data.dueDate).toBeNull();
+        expect(data.amounts.subtotal).toBeNull();
+        expect(data.items).toEqual([]);
+        expect(data.date).toBe('2024-03-04');
+        expect(details.fields.invoiceNumber.agreement).toBe(50);
+        expect(details.agreement).toBe(75);
+    });
+
+    test('counts a source with zero accuracy at the minimum weight', () => {
+        const { details } = buildConsensus([
+            source('ocr', { invoiceNumber: 'A-1' }),
+            source('ai', { invoiceNumber: 'A-2' })
+        ], { ocr: { invoiceNumber: 0 }, ai: { invoiceNumber: 0 } });
+
+        expect(details.fields.invoiceNumber.weight).toBe(0.05);
+    });
+});
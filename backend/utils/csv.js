@@ -0,0 +1,94 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV reader and writer: purchase order and goods receipt imports, accounting exports
+
+// "PO Number" / "po-number" / "PO_NUMBER" all become "po_number"
+const normalizeHeader = (header) => String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+// Split CSV text into rows of raw cell strings; quoted cells may contain commas, quotes ("") and newlines
+function parseCsvRows(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted value in CSV');
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Parse CSV with a header row into objects keyed by normalized header; `line` is the row number
+// counting the header as row 1 (blank lines are skipped)
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const keys = header.map(normalizeHeader);
+
+    return rows.map((cells, index) => {
+        const record = { line: index + 2 };
+        keys.forEach((key, column) => {
+            if (key) record[key] = (cells[column] || '').trim();
+        });
+        return record;
+    });
+}
+
+// Quote a cell only when it needs it (separator, quote or line break)
+const formatCsvCell = (value, separator = ',') => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cell arrays to CSV text; CRLF line endings as RFC 4180 and spreadsheet imports expect
+function formatCsv(rows, { separator = ',' } = {}) {
+    return rows.map(row => row.map(cell => formatCsvCell(cell, separator)).join(separator)).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    formatCsv,
+    parseCsvRows,
+    normalizeHeader
+};
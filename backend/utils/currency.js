@@ -0,0 +1,225 @@
+// backend/utils/currency.js
+// ISO 4217 currencies: which currency an invoice is in, from the codes and symbols printed on it, and
+// amounts read in the number format of the vendor's locale (1,234.56, 1.234,56, 1 234,56, 1'234.56
+// or the Indian 1,23,456.00).
+
+const { amountSign } = require('./document-type');
+const { COUNTRY_LOCALES, detectCountry, resolveLocale } = require('./locale');
+
+// decimals: minor units; symbol: how amounts are formatted; aliases: other ways invoices print it.
+// Symbols several currencies share ($, ¥, kr) are resolved with the vendor country.
+const CURRENCIES = {
+    USD: { decimals: 2, symbol: '$', aliases: ['US$', 'U.S. dollars', 'US dollars'] },
+    EUR: { decimals: 2, symbol: '€', aliases: ['euro', 'euros'] },
+    GBP: { decimals: 2, symbol: '£', aliases: ['sterling'] },
+    CHF: { decimals: 2, symbol: 'CHF', aliases: ['SFr.'] },
+    JPY: { decimals: 0, symbol: '¥', aliases: ['円', 'yen'] },
+    CNY: { decimals: 2, symbol: '¥', aliases: ['RMB', '元', 'yuan', 'renminbi'] },
+    INR: { decimals: 2, symbol: '₹', aliases: ['Rs.', 'Rs', 'rupees'] },
+    CAD: { decimals: 2, symbol: 'CA$', aliases: ['C$', 'CDN$'] },
+    AUD: { decimals: 2, symbol: 'A$', aliases: ['AU$'] },
+    NZD: { decimals: 2, symbol: 'NZ$', aliases: [] },
+    SGD: { decimals: 2, symbol: 'S$', aliases: ['SG$'] },
+    HKD: { decimals: 2, symbol: 'HK$', aliases: [] },
+    MXN: { decimals: 2, symbol: 'MX$', aliases: [] },
+    BRL: { decimals: 2, symbol: 'R$', aliases: ['reais'] },
+    SEK: { decimals: 2, symbol: 'kr', aliases: [] },
+    NOK: { decimals: 2, symbol: 'kr', aliases: [] },
+    DKK: { decimals: 2, symbol: 'kr.', aliases: [] },
+    PLN: { decimals: 2, symbol: 'zł', aliases: [] },
+    CZK: { decimals: 2, symbol: 'Kč', aliases: [] },
+    HUF: { decimals: 2, symbol: 'Ft', aliases: [] },
+    TRY: { decimals: 2, symbol: '₺', aliases: [] },
+    RUB: { decimals: 2, symbol: '₽', aliases: ['руб.'] },
+    ZAR: { decimals: 2, symbol: 'R', aliases: [] },
+    NGN: { decimals: 2, symbol: '₦', aliases: ['naira'] },
+    AED: { decimals: 2, symbol: 'AED', aliases: ['dirhams'] },
+    SAR: { decimals: 2, symbol: 'SAR', aliases: ['riyals'] },
+    ILS: { decimals: 2, symbol: '₪', aliases: ['NIS'] },
+    MYR: { decimals: 2, symbol: 'RM', aliases: ['ringgit'] },
+    THB: { decimals: 2, symbol: '฿', aliases: ['baht'] },
+    PHP: { decimals: 2, symbol: '₱', aliases: [] },
+    IDR: { decimals: 2, symbol: 'Rp', aliases: ['rupiah'] },
+    VND: { decimals: 0, symbol: '₫', aliases: [] },
+    KRW: { decimals: 0, symbol: '₩', aliases: ['원'] }
+};
+
+// Symbols several currencies print, read as the vendor country's currency when it is one of them.
+// Otherwise $ and ¥ fall back to USD and JPY; kr and R (also a word and an abbreviation) say nothing.
+const AMBIGUOUS_SYMBOLS = {
+    '$': { currencies: ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN'], fallback: 'USD' },
+    '¥': { currencies: ['JPY', 'CNY'], fallback: 'JPY' },
+    'kr.': { currencies: ['DKK', 'NOK', 'SEK'], fallback: null },
+    'kr': { currencies: ['SEK', 'NOK', 'DKK'], fallback: null },
+    'R': { currencies: ['ZAR'], fallback: null }
+};
+
+// Regex source capturing a labelled amount with the sign it may be printed with (-12.00, (12.00),
+// 12.00-, 12.00 CR), a currency code or symbol, and the digit grouping of any locale
+const SIGNED_AMOUNT = String.raw`(\(?-?\s*(?:[A-Z]{3}\s*)?[^\s\d(-]{0,3}\s*-?\d[\d.,'’]*\)?(?:-|\s*CR\b)?)`;
+
+const CODE_PATTERN = new RegExp(`\\b(${Object.keys(CURRENCIES).join('|')})\\b`, 'g');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every distinctive symbol and alias with its currency, longest first so "HK$" is not read as "$"
+const SYMBOL_TOKENS = Object.entries(CURRENCIES)
+    .flatMap(([code, currency]) => [currency.symbol, ...currency.aliases]
+        .filter(token => !(token in AMBIGUOUS_SYMBOLS) && token !== code)
+        .map(token => ({
+            code,
+            pattern: new RegExp(`(?<![A-Za-z])${escapeRegExp(token)}(?![A-Za-z])`, /^[a-z]/i.test(token) ? 'gi' : 'g')
+        })))
+    .sort((a, b) => b.pattern.source.length - a.pattern.source.length);
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+const currencyDecimals = (code) => (isCurrency(code) ? CURRENCIES[code].decimals : 2);
+
+// The currency an ambiguous symbol stands for in the vendor's country, or its fallback
+const resolveSymbol = (symbol, country) => {
+    const local = COUNTRY_LOCALES[country]?.currency;
+    const { currencies, fallback } = AMBIGUOUS_SYMBOLS[symbol];
+    return currencies.includes(local) ? local : fallback;
+};
+
+const mostFrequent = (counts) => {
+    const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return best ? best[0] : null;
+};
+
+// { currency, source } from the text: the ISO code printed most often, else the most frequent
+// distinctive symbol, else an ambiguous symbol read in the vendor country, else the country's
+// currency. Null when nothing points to a currency.
+function detectCurrency(text, { country = null } = {}) {
+    let remaining = String(text || '');
+
+    const codes = {};
+    for (const match of remaining.matchAll(CODE_PATTERN)) {
+        codes[match[1]] = (codes[match[1]] || 0) + 1;
+    }
+    const code = mostFrequent(codes);
+    if (code) return { currency: code, source: 'code' };
+
+    const symbols = {};
+    SYMBOL_TOKENS.forEach(({ code: currency, pattern }) => {
+        remaining = remaining.replace(pattern, () => {
+            symbols[currency] = (symbols[currency] || 0) + 1;
+            return ' ';
+        });
+    });
+    const symbol = mostFrequent(symbols);
+    if (symbol) return { currency: symbol, source: 'symbol' };
+
+    for (const ambiguous of Object.keys(AMBIGUOUS_SYMBOLS)) {
+        // Letters only count as a symbol right next to a number
+        const pattern = /^[a-z]/i.test(ambiguous)
+            ? new RegExp(`(?<![A-Za-z])${escapeRegExp(ambiguous)}(?![A-Za-z])\\s*\\d|\\d\\s*${escapeRegExp(ambiguous)}(?![A-Za-z])`)
+            : new RegExp(escapeRegExp(ambiguous));
+        const currency = pattern.test(remaining) ? resolveSymbol(ambiguous, country) : null;
+        if (currency) return { currency, source: 'symbol' };
+    }
+
+    const local = COUNTRY_LOCALES[country]?.currency;
+    return local ? { currency: local, source: 'country' } : null;
+}
+
+// An ISO code from whatever an extractor returned for the currency ("eur", "€", "US$"); null if unknown
+function normalizeCurrency(value, { country = null } = {}) {
+    if (!value) return null;
+    const text = String(value).trim();
+    if (isCurrency(text.toUpperCase())) return text.toUpperCase();
+    return detectCurrency(text, { country })?.currency || null;
+}
+
+// Decide which of "." and "," is the decimal separator of one number. The last of two different
+// separators is; a separator used twice groups thousands (1.234.567, 1,23,456); a lone one is decimal
+// unless three digits follow, where the locale decides (1.234 is 1234 in Germany, 1.234 in the US).
+function decimalSeparatorOf(digits, { decimalSeparator = null, decimals = 2 } = {}) {
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? '.' : ',';
+
+    const separator = lastDot >= 0 ? '.' : (lastComma >= 0 ? ',' : null);
+    if (!separator) return null;
+    if (digits.split(separator).length > 2) return null;
+
+    const fraction = digits.length - digits.lastIndexOf(separator) - 1;
+    if (fraction !== 3) return separator;
+    if (decimals === 0) return null;
+    if (decimalSeparator) return decimalSeparator === separator ? separator : null;
+    // No locale: "1,234" has long meant 1234 here and "1.234" 1.234
+    return separator === '.' ? '.' : null;
+}
+
+// A signed amount from printed text in the locale's number format: { decimalSeparator, currency }
+// as resolveLocale returns them. Returns null when the text holds no number.
+function parseLocalizedAmount(text, { decimalSeparator = null, currency = null } = {}) {
+    if (text === null || text === undefined || text === '') return null;
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+
+    const source = String(text);
+    // Spaces group thousands only in "1 234,56"; narrow and no-break spaces and apostrophes always do
+    const match = source.match(/\d{1,3}(?: \d{3})+,\d{1,2}(?!\d)/) ||
+        source.match(/\d(?:[\d.,'’\u00a0\u202f]*\d)?/);
+    if (!match) return null;
+
+    const digits = match[0].replace(/[ '’\u00a0\u202f]/g, '');
+    const separator = decimalSeparatorOf(digits, { decimalSeparator, decimals: currencyDecimals(currency) });
+    const normalized = separator
+        ? digits.split(separator).map((part, index, parts) => (index === parts.length - 1 ? part : part.replace(/[.,]/g, ''))).join('.')
+        : digits.replace(/[.,]/g, '');
+
+    const number = parseFloat(normalized);
+    return Number.isFinite(number) ? amountSign(source) * number : null;
+}
+
+// { country, currency, decimalSeparator, dateOrder } for reading a document: the currency printed on it
+// and the vendor country found in it (or in invoice data already extracted)
+function detectLocale(text, invoiceData = null) {
+    const country = detectCountry(invoiceData, text)?.country || null;
+    const printed = normalizeCurrency(invoiceData?.amounts?.currency, { country }) ||
+        detectCurrency(text, { country })?.currency || null;
+    return resolveLocale({ country, currency: printed });
+}
+
+// Set vendor.country (when the extractor left it empty) and an ISO amounts.currency on extracted invoice
+// data: the currency the extractor read if it names one, else the one printed in the text, else the
+// vendor country's. Left null when nothing points to a currency. Returns { country, countrySource, currency }.
+function applyCurrency(invoiceData, text) {
+    if (!invoiceData) return null;
+
+    invoiceData.vendor = invoiceData.vendor || {};
+    const detected = detectCountry(invoiceData, text);
+    const country = detected?.country || null;
+    invoiceData.vendor.country = country;
+
+    invoiceData.amounts = invoiceData.amounts || {};
+    const currency = normalizeCurrency(invoiceData.amounts.currency, { country }) ||
+        detectCurrency(text, { country })?.currency || null;
+    invoiceData.amounts.currency = currency;
+
+    return { country, countrySource: detected?.source || null, currency };
+}
+
+const roundTo = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// An amount in another currency at `rate` (units of the target currency per unit of the source)
+const convertAmount = (amount, rate, currency = null) => (
+    amount === null || amount === undefined || rate === null || rate === undefined
+        ? null
+        : roundTo(Number(amount) * Number(rate), currencyDecimals(currency))
+);
+
+module.exports = {
+    CURRENCIES,
+    SIGNED_AMOUNT,
+    isCurrency,
+    currencyDecimals,
+    detectCurrency,
+    normalizeCurrency,
+    parseLocalizedAmount,
+    detectLocale,
+    applyCurrency,
+    convertAmount
+};
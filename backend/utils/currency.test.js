@@ -0,0 +1,127 @@
+// backend/utils/currency.test.js
+
+const {
+    detectCurrency,
+    normalizeCurrency,
+    parseLocalizedAmount,
+    detectLocale,
+    applyCurrency,
+    convertAmount
+} = require('./currency');
+
+describe('parseLocalizedAmount', () => {
+    test('reads the digit grouping of each locale', () => {
+        expect(parseLocalizedAmount('1,234.56')).toBe(1234.56);
+        expect(parseLocalizedAmount('1.234,56')).toBe(1234.56);
+        expect(parseLocalizedAmount('1 234,56')).toBe(1234.56);
+        expect(parseLocalizedAmount('1 234,56 €')).toBe(1234.56);
+        expect(parseLocalizedAmount("1'234.50")).toBe(1234.5);
+        expect(parseLocalizedAmount('1’234.50')).toBe(1234.5);
+        expect(parseLocalizedAmount('1,23,456.00')).toBe(123456);
+        expect(parseLocalizedAmount('1.234.567')).toBe(1234567);
+    });
+
+    test('reads negative amounts however they are printed', () => {
+        expect(parseLocalizedAmount('(1,234.50)')).toBe(-1234.5);
+        expect(parseLocalizedAmount('-€ 12,00')).toBe(-12);
+        expect(parseLocalizedAmount('€ 1.234,56-')).toBe(-1234.56);
+        expect(parseLocalizedAmount('1234.50 CR')).toBe(-1234.5);
+    });
+
+    test('lets the locale decide a lone separator followed by three digits', () => {
+        expect(parseLocalizedAmount('1,234', { decimalSeparator: ',' })).toBe(1.234);
+        expect(parseLocalizedAmount('1,234', { decimalSeparator: '.' })).toBe(1234);
+        expect(parseLocalizedAmount('1.234', { decimalSeparator: ',' })).toBe(1234);
+        expect(parseLocalizedAmount('1.234', { decimalSeparator: '.' })).toBe(1.234);
+    });
+
+    test('reads a lone separator without a locale the way it has long been read', () => {
+        expect(parseLocalizedAmount('1,234')).toBe(1234);
+        expect(parseLocalizedAmount('1.234')).toBe(1.234);
+        expect(parseLocalizedAmount('12,50')).toBe(12.5);
+    });
+
+    test('never reads decimals into a currency without minor units', () => {
+        expect(parseLocalizedAmount('¥1,234', { currency: 'JPY' })).toBe(1234);
+        expect(parseLocalizedAmount('₩1.234', { currency: 'KRW', decimalSeparator: '.' })).toBe(1234);
+    });
+
+    test('passes numbers through and returns null without a number', () => {
+        expect(parseLocalizedAmount(12.5)).toBe(12.5);
+        expect(parseLocalizedAmount('n/a')).toBeNull();
+        expect(parseLocalizedAmount('')).toBeNull();
+        expect(parseLocalizedAmount(null)).toBeNull();
+    });
+});
+
+describe('detectCurrency', () => {
+    test('prefers the ISO code printed most often', () => {
+        expect(detectCurrency('EUR 5.00 USD 3.00 EUR 2.00 $')).toEqual({ currency: 'EUR', source: 'code' });
+    });
+
+    test('reads distinctive symbols, longest first', () => {
+        expect(detectCurrency('Summe 12,00 €')).toEqual({ currency: 'EUR', source: 'symbol' });
+        expect(detectCurrency('Total HK$120.00', { country: 'US' })).toEqual({ currency: 'HKD', source: 'symbol' });
+        expect(detectCurrency('Total R$ 99,90')).toEqual({ currency: 'BRL', source: 'symbol' });
+    });
+
+    test('reads $ as the vendor country\'s dollar, and as USD elsewhere', () => {
+        expect(detectCurrency('Total $120.00', { country: 'CA' })).toEqual({ currency: 'CAD', source: 'symbol' });
+        expect(detectCurrency('Total $120.00', { country: 'AU' })).toEqual({ currency: 'AUD', source: 'symbol' });
+        expect(detectCurrency('Total $120.00', { country: 'US' })).toEqual({ currency: 'USD', source: 'symbol' });
+        expect(detectCurrency('Total $120.00', { country: 'DE' })).toEqual({ currency: 'USD', source: 'symbol' });
+        expect(detectCurrency('Total $120.00')).toEqual({ currency: 'USD', source: 'symbol' });
+    });
+
+    test('reads kr only with a Scandinavian vendor country', () => {
+        expect(detectCurrency('Total 12 kr', { country: 'NO' })).toEqual({ currency: 'NOK', source: 'symbol' });
+        expect(detectCurrency('Total 12 kr')).toBeNull();
+    });
+
+    test('falls back to the vendor country\'s currency', () => {
+        expect(detectCurrency('Total 12,00', { country: 'DE' })).toEqual({ currency: 'EUR', source: 'country' });
+        expect(detectCurrency('Total 12.00')).toBeNull();
+    });
+});
+
+describe('normalizeCurrency', () => {
+    test('turns what extractors return into an ISO code', () => {
+        expect(normalizeCurrency('eur')).toBe('EUR');
+        expect(normalizeCurrency('€')).toBe('EUR');
+        expect(normalizeCurrency('US$')).toBe('USD');
+        expect(normalizeCurrency('$', { country: 'CA' })).toBe('CAD');
+        expect(normalizeCurrency('dollars')).toBeNull();
+        expect(normalizeCurrency(null)).toBeNull();
+    });
+});
+
+describe('detectLocale and applyCurrency', () => {
+    test('reads the locale from the vendor and the printed currency', () => {
+        expect(detectLocale('Total 1.234,56', { vendor: { taxId: 'DE123456789' } })).toEqual({
+            country: 'DE',
+            currency: 'EUR',
+            decimalSeparator: ',',
+            dateOrder: 'DMY'
+        });
+    });
+
+    test('sets the vendor country and an ISO currency on invoice data', () => {
+        const invoiceData = { vendor: { address: 'Vancouver, BC, Canada' }, amounts: { currency: '$' } };
+
+        expect(applyCurrency(invoiceData, '')).toEqual({ country: 'CA', countrySource: 'address', currency: 'CAD' });
+        expect(invoiceData.vendor.country).toBe('CA');
+        expect(invoiceData.amounts.currency).toBe('CAD');
+    });
+});
+
+describe('convertAmount', () => {
+    test('rounds to the target currency\'s minor units', () => {
+        expect(convertAmount(100, 1.08567)).toBe(108.57);
+        expect(convertAmount(100, 150.456, 'JPY')).toBe(15046);
+    });
+
+    test('returns null without an amount or a rate', () => {
+        expect(convertAmount(null, 1.1)).toBeNull();
+        expect(convertAmount(100, null)).toBeNull();
+    });
+});
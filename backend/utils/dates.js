@@ -0,0 +1,324 @@
+// backend/utils/dates.js
+// Invoice dates read from whatever was printed ("03/04/25", "2025-03-04", "March 4, 2025", "4. März 2025",
+// "04-févr.-25") and stored as ISO 8601. A numeric date whose day and month could be swapped is read in
+// the order the document itself proves, else the one that puts the due date on or after the invoice
+// date, else the one that matches the payment terms, else the vendor locale's; what none of these
+// settles is kept for a reviewer to decide.
+
+const { resolveLocale } = require('./locale');
+const { setFieldConfidence } = require('./field-confidence');
+
+// Month names and their usual abbreviations in English, German, French, Spanish, Italian, Dutch and Portuguese
+const MONTH_NAMES = [
+    ['january', 'jan', 'januar', 'jänner', 'janner', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro'],
+    ['february', 'feb', 'februar', 'février', 'fevrier', 'févr', 'fevr', 'fév', 'fev', 'febrero', 'febbraio', 'februari', 'fevereiro'],
+    ['march', 'mar', 'märz', 'maerz', 'mrz', 'mars', 'marzo', 'maart', 'mrt', 'março', 'marco'],
+    ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+    ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+    ['june', 'jun', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+    ['july', 'jul', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+    ['august', 'aug', 'août', 'aout', 'agosto', 'ago', 'augustus'],
+    ['september', 'sep', 'sept', 'septembre', 'septiembre', 'setiembre', 'set', 'settembre', 'setembro'],
+    ['october', 'oct', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+    ['november', 'nov', 'novembre', 'noviembre', 'novembro'],
+    ['december', 'dec', 'dezember', 'dez', 'décembre', 'decembre', 'déc', 'diciembre', 'dic', 'dicembre', 'dezembro']
+];
+
+const MONTHS = new Map(MONTH_NAMES.flatMap((names, index) => names.map(name => [name, index + 1])));
+
+// Longest first so "mars" is not read as "mar" followed by an "s"
+const MONTH_PATTERN = [...MONTHS.keys()].sort((a, b) => b.length - a.length).join('|');
+
+// A printed date: 1-3 numeric (D/M/Y, M/D/Y or Y-M-D with / . or -), 4-6 month-name day year
+// ("March 4, 2025"), 7-9 day month-name year ("4 March 2025", "4. März 25", "04-Mar-25", "4 de marzo de 2025")
+const DATE_TOKEN = new RegExp([
+    String.raw`(?<!\d)(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?!\d)`,
+    String.raw`\b(${MONTH_PATTERN})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b`,
+    String.raw`\b(\d{1,2})(?:st|nd|rd|th|er)?\.?(?:\s+de)?[\s/.-]+(${MONTH_PATTERN})\.?(?:\s+de)?[\s,/.-]+(\d{4}|\d{2})\b`
+].join('|'), 'giu');
+
+// The orders a numeric date with the year last can be printed in
+const DAY_MONTH_ORDERS = ['MDY', 'DMY'];
+
+// Payment terms as a number of days: "Net 30", "30 days", "zahlbar in 30 Tagen", "à 30 jours"
+const TERM_PATTERNS = [
+    /\bnet\s*(\d{1,3})\b/i,
+    /\b(\d{1,3})\s*(?:days?|tage|tagen|jours|días|dias|giorni|dagen|dage|dagar)\b/iu
+];
+
+// Labels printed before the invoice date and the due date, as regex sources for labelledDate; a bare
+// "date" is the invoice date unless it is the due date's
+const INVOICE_DATE_LABELS = String.raw`invoice\s*date|rechnungsdatum|date\s+de\s+facturation|date\s+de\s+la\s+facture|fecha(?:\s+de\s+factura)?|data\s+(?:fattura|da\s+fatura)|factuurdatum|(?<!due\s?)\bdate(?!\s+d['’]échéance)|\bdatum|issued`;
+const DUE_DATE_LABELS = String.raw`due\s*date|payment\s*due|fällig(?:keitsdatum|\s+am)?|date\s+d['’]échéance|échéance|fecha\s+de\s+vencimiento|vencimento|scadenza|vervaldatum`;
+
+// Dates of an invoice that are read together: a document prints them all in the same order
+const DATE_FIELDS = ['date', 'dueDate', 'orderInfo.orderDate'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getValue(obj, path) {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function setValue(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+        if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+        return current[key];
+    }, obj);
+    target[last] = value;
+}
+
+// Two-digit years are the ones of this century, unless that lands more than 50 years ahead
+function expandYear(year, digits) {
+    if (digits === 4) return year;
+    if (digits !== 2) return null;
+    const expanded = 2000 + year;
+    return expanded > new Date().getUTCFullYear() + 50 ? expanded - 100 : expanded;
+}
+
+// YYYY-MM-DD for a calendar date that exists; null for 31 April, month 13 or a year out of range
+function toIsoDate(year, month, day) {
+    if (year === null || year < 1900 || year > 2100) return null;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+const monthNumber = (name) => MONTHS.get(String(name).toLowerCase()) || 0;
+
+// A DATE_TOKEN match under each reading it allows: [{ order: 'MDY' | 'DMY' | 'YMD' | 'TEXT', iso }].
+// "03/04/25" has two readings, "13/04/25" one, "2025-04-03" and "3 April 2025" one that no order changes.
+function readDateToken(match) {
+    if (match[1] !== undefined) {
+        const [a, b, c] = [Number(match[1]), Number(match[2]), Number(match[3])];
+        if (match[1].length === 4) {
+            return [{ order: 'YMD', iso: toIsoDate(a, b, c) }].filter(reading => reading.iso);
+        }
+        const year = expandYear(c, match[3].length);
+        return [
+            { order: 'MDY', iso: toIsoDate(year, a, b) },
+            { order: 'DMY', iso: toIsoDate(year, b, a) }
+        ].filter(reading => reading.iso);
+    }
+
+    const [monthName, day, year] = match[4] !== undefined
+        ? [match[4], Number(match[5]), match[6]]
+        : [match[8], Number(match[7]), match[9]];
+    const month = monthNumber(monthName);
+    const iso = month > 0 ? toIsoDate(expandYear(Number(year), year.length), month, day) : null;
+    return iso ? [{ order: 'TEXT', iso }] : [];
+}
+
+// { printed, readings } for the first date in a value, or null when it holds none. Also takes Date
+// objects and the compact YYYYMMDD of e-invoices.
+function readDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : { printed: value.toISOString(), readings: [{ order: 'YMD', iso: value.toISOString().slice(0, 10) }] };
+    }
+
+    const text = String(value).trim();
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) {
+        const iso = toIsoDate(Number(compact[1]), Number(compact[2]), Number(compact[3]));
+        return iso ? { printed: text, readings: [{ order: 'YMD', iso }] } : null;
+    }
+
+    for (const match of text.matchAll(DATE_TOKEN)) {
+        const readings = readDateToken(match);
+        if (readings.length > 0) return { printed: match[0], readings };
+    }
+    return null;
+}
+
+// ISO date of a single value, reading a swappable day and month in `dateOrder` when given, else month
+// first as dates were read before. Null when the value holds no date.
+function parseDate(value, { dateOrder = null } = {}) {
+    const read = readDate(value);
+    if (!read) return null;
+    return (read.readings.find(reading => reading.order === dateOrder) || read.readings[0]).iso;
+}
+
+// ISO date of the first date printed after one of the labels (a regex source) on the same line:
+// "Invoice date: 03/04/25", "Date of issue 4 March 2025", "Rechnungsdatum: 04.03.2025"
+function labelledDate(text, labels, options = {}) {
+    for (const match of String(text || '').matchAll(new RegExp(`(?:${labels})[:\\s]*([^\\n]*)`, 'giu'))) {
+        const iso = parseDate(match[1], options);
+        if (iso) return iso;
+    }
+    return null;
+}
+
+// Days from the invoice date to the due date that payment terms ask for, or null
+function paymentTermDays(terms) {
+    const text = String(terms || '');
+    for (const pattern of TERM_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) return Number(match[1]);
+    }
+    return null;
+}
+
+const distinctDates = (readings) => [...new Set(readings.map(reading => reading.iso))];
+
+// A reading fits a day/month order when it was read in that order or no order changes it
+const fitsOrder = (reading, order) => reading.order === order || !DAY_MONTH_ORDERS.includes(reading.order);
+
+// The printed date a value stands for, looked up in the document text. Extractors (an LLM in
+// particular) hand back a date already in ISO form, which hides that "03/04/25" could be either;
+// an unambiguous printing of the same date wins over an ambiguous one. `claimed` holds the positions
+// of printings other fields already stand for, so "03/04/25" and "04/03/25" are not both read as one.
+function printedDate(text, iso, claimed) {
+    let ambiguous = null;
+    for (const match of String(text).matchAll(DATE_TOKEN)) {
+        const readings = readDateToken(match);
+        if (claimed.has(match.index) || !readings.some(reading => reading.iso === iso)) continue;
+        if (distinctDates(readings).length === 1) return { printed: match[0], readings, index: match.index };
+        ambiguous = ambiguous || { printed: match[0], readings, index: match.index };
+    }
+    return ambiguous;
+}
+
+// Orders that every numeric date printed in the document can be read in; "15/04/2025" anywhere on
+// the page rules out month first for the rest of it
+function ordersInText(text) {
+    const possible = new Set(DAY_MONTH_ORDERS);
+    for (const match of String(text || '').matchAll(DATE_TOKEN)) {
+        const readings = readDateToken(match);
+        if (readings.length === 1 && DAY_MONTH_ORDERS.includes(readings[0].order)) {
+            DAY_MONTH_ORDERS.filter(order => order !== readings[0].order).forEach(order => possible.delete(order));
+        }
+    }
+    return [...possible];
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Store the invoice's dates (date, dueDate, orderInfo.orderDate) as ISO 8601, reading them all in one
+// day/month order. The order is the one the document's own dates allow, narrowed by the due date
+// falling on or after the invoice date, then by the payment terms, then by the vendor locale.
+//
+// A date no evidence settles keeps the month-first reading and is listed in invoiceData.dateReview
+// ({ fields: { [path]: { printed, iso, candidates: [{ order, iso }] } } }) with its confidence lowered;
+// a date still equal to its pending iso is read from its candidates again, so correcting the invoice
+// date can settle the due date. `text` is the document text, or null when re-checking an edit.
+// Returns { dateOrder, source, ambiguous } where source is 'document', 'date_order', 'payment_terms',
+// 'locale' or null, and ambiguous lists the paths left for review.
+function normalizeInvoiceDates(invoiceData, text = null, { dateOrder } = {}) {
+    if (!invoiceData) return null;
+
+    const localeOrder = dateOrder !== undefined
+        ? dateOrder
+        : resolveLocale({ country: invoiceData.vendor?.country }).dateOrder;
+    const pending = invoiceData.dateReview?.fields || {};
+
+    const fields = {};
+    const claimed = new Set();
+    DATE_FIELDS.forEach(path => {
+        const value = getValue(invoiceData, path);
+        let read = pending[path] && pending[path].iso === value
+            ? { printed: pending[path].printed, readings: pending[path].candidates }
+            : readDate(value);
+
+        if (read && text && distinctDates(read.readings).length === 1) {
+            const printed = printedDate(text, read.readings[0].iso, claimed);
+            if (printed) {
+                claimed.add(printed.index);
+                read = { printed: printed.printed, readings: printed.readings };
+            }
+        }
+        if (read) {
+            fields[path] = read;
+        } else if (getValue(invoiceData, path) !== undefined) {
+            setValue(invoiceData, path, null);
+        }
+    });
+
+    // Each field's date under an order; a field printed in the other order (a document mixing both)
+    // keeps its first reading
+    const datesUnder = (order) => Object.fromEntries(Object.entries(fields).map(([path, read]) => [
+        path,
+        (read.readings.find(reading => fitsOrder(reading, order)) || read.readings[0]).iso
+    ]));
+    const readableUnder = (order) => Object.values(fields).every(read => read.readings.some(reading => fitsOrder(reading, order)));
+
+    const ambiguousPaths = (orders) => Object.keys(fields).filter(path => new Set(orders.map(order => datesUnder(order)[path])).size > 1);
+
+    let orders = DAY_MONTH_ORDERS.filter(readableUnder);
+    if (orders.length === 0) orders = [...DAY_MONTH_ORDERS];
+    let source = null;
+
+    const narrow = (name, keep) => {
+        if (orders.length < 2 || ambiguousPaths(orders).length === 0) return;
+        const kept = orders.filter(keep);
+        if (kept.length > 0 && kept.length < orders.length) {
+            orders = kept;
+            source = name;
+        }
+    };
+
+    if (orders.length < DAY_MONTH_ORDERS.length) source = 'document';
+    if (text) {
+        const inText = ordersInText(text);
+        narrow('document', order => inText.includes(order));
+    }
+
+    narrow('date_order', order => {
+        const dates = datesUnder(order);
+        return (!dates.date || !dates.dueDate || dates.dueDate >= dates.date) &&
+            (!dates.date || !dates['orderInfo.orderDate'] || dates['orderInfo.orderDate'] <= dates.date);
+    });
+
+    const termDays = paymentTermDays(invoiceData.paymentDetails?.terms) ?? paymentTermDays(text);
+    if (termDays !== null) {
+        narrow('payment_terms', order => {
+            const dates = datesUnder(order);
+            return Boolean(dates.date && dates.dueDate) && daysBetween(dates.date, dates.dueDate) === termDays;
+        });
+    }
+
+    if (localeOrder) narrow('locale', order => order === localeOrder);
+
+    const ambiguous = ambiguousPaths(orders);
+    const chosen = orders.includes('MDY') ? 'MDY' : orders[0];
+    const dates = datesUnder(chosen);
+    Object.entries(dates).forEach(([path, iso]) => setValue(invoiceData, path, iso));
+
+    invoiceData.dateReview = ambiguous.length > 0
+        ? {
+            fields: Object.fromEntries(ambiguous.map(path => [path, {
+                printed: fields[path].printed,
+                iso: dates[path],
+                candidates: fields[path].readings.filter(reading => orders.some(order => fitsOrder(reading, order)))
+            }]))
+        }
+        : null;
+
+    // Either reading is as likely as the other
+    ambiguous.forEach(path => {
+        setFieldConfidence(invoiceData, path, Math.min(invoiceData.fieldConfidence?.[path] ?? 50, 50));
+    });
+
+    const settled = Object.values(fields).some(read => distinctDates(read.readings).length > 1);
+    return {
+        dateOrder: ambiguous.length === 0 && settled ? orders[0] : null,
+        source: ambiguous.length === 0 && settled ? source : null,
+        ambiguous
+    };
+}
+
+module.exports = {
+    DATE_TOKEN,
+    DATE_FIELDS,
+    INVOICE_DATE_LABELS,
+    DUE_DATE_LABELS,
+    readDateToken,
+    readDate,
+    parseDate,
+    labelledDate,
+    paymentTermDays,
+    normalizeInvoiceDates
+};
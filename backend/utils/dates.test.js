@@ -0,0 +1,216 @@
+// backend/utils/dates.test.js
+
+const {
+    readDate,
+    parseDate,
+    labelledDate,
+    paymentTermDays,
+    normalizeInvoiceDates,
+    INVOICE_DATE_LABELS,
+    DUE_DATE_LABELS
+} = require('./dates');
+
+// Invoice dated 3 April or 4 March, due 3 May or 5 March: only the due date can settle which
+const swappable = (overrides = {}) => ({
+    date: '03/04/2024',
+    dueDate: '03/05/2024',
+    ...overrides
+});
+
+describe('readDate', () => {
+    test('keeps both readings of a date whose day and month can be swapped', () => {
+        expect(readDate('03/04/2024')).toEqual({
+            printed: '03/04/2024',
+            readings: [{ order: 'MDY', iso: '2024-03-04' }, { order: 'DMY', iso: '2024-04-03' }]
+        });
+    });
+
+    test('keeps the one reading of a date that cannot be swapped', () => {
+        expect(readDate('13/04/2024').readings).toEqual([{ order: 'DMY', iso: '2024-04-13' }]);
+        expect(readDate('04/13/2024').readings).toEqual([{ order: 'MDY', iso: '2024-04-13' }]);
+        expect(readDate('04/04/2024').readings.map(reading => reading.iso)).toEqual(['2024-04-04', '2024-04-04']);
+    });
+
+    test('reads ISO, compact and written-out dates', () => {
+        expect(readDate('2024-04-03').readings).toEqual([{ order: 'YMD', iso: '2024-04-03' }]);
+        expect(readDate('2024-04-03T10:00:00Z').readings).toEqual([{ order: 'YMD', iso: '2024-04-03' }]);
+        expect(readDate('20240403').readings).toEqual([{ order: 'YMD', iso: '2024-04-03' }]);
+        expect(readDate('April 3rd, 2024').readings).toEqual([{ order: 'TEXT', iso: '2024-04-03' }]);
+        expect(readDate('3. März 2024').readings).toEqual([{ order: 'TEXT', iso: '2024-03-03' }]);
+        expect(readDate('04-févr.-24').readings).toEqual([{ order: 'TEXT', iso: '2024-02-04' }]);
+        expect(readDate('3 de abril de 2024').readings).toEqual([{ order: 'TEXT', iso: '2024-04-03' }]);
+    });
+
+    test('rejects dates that do not exist', () => {
+        expect(readDate('31/04/2024')).toBeNull();
+        expect(readDate('13/13/2024')).toBeNull();
+        expect(readDate('2024-02-30')).toBeNull();
+        expect(readDate('no date here')).toBeNull();
+        expect(readDate(null)).toBeNull();
+    });
+});
+
+describe('parseDate', () => {
+    test('reads a swappable date month first unless told otherwise', () => {
+        expect(parseDate('03/04/2024')).toBe('2024-03-04');
+        expect(parseDate('03/04/2024', { dateOrder: 'DMY' })).toBe('2024-04-03');
+    });
+
+    test('ignores the order for a date only one reading fits', () => {
+        expect(parseDate('13/04/2024')).toBe('2024-04-13');
+        expect(parseDate('13/04/2024', { dateOrder: 'MDY' })).toBe('2024-04-13');
+    });
+
+    test('expands two-digit years into this century', () => {
+        expect(parseDate('03.04.24', { dateOrder: 'DMY' })).toBe('2024-04-03');
+    });
+});
+
+describe('labelledDate', () => {
+    const text = 'Rechnungsdatum: 03.04.2024\nFällig am: 03.05.2024';
+
+    test('reads the date after a label on the same line', () => {
+        expect(labelledDate(text, INVOICE_DATE_LABELS, { dateOrder: 'DMY' })).toBe('2024-04-03');
+        expect(labelledDate(text, DUE_DATE_LABELS, { dateOrder: 'DMY' })).toBe('2024-05-03');
+        expect(labelledDate('Due date: none', DUE_DATE_LABELS)).toBeNull();
+    });
+
+    test('does not read the due date as the invoice date', () => {
+        expect(labelledDate('Due date: 2024-05-03\nDate: 2024-04-03', INVOICE_DATE_LABELS)).toBe('2024-04-03');
+    });
+});
+
+describe('paymentTermDays', () => {
+    test('reads the terms in several languages', () => {
+        expect(paymentTermDays('Net 30')).toBe(30);
+        expect(paymentTermDays('Payable within 14 days')).toBe(14);
+        expect(paymentTermDays('zahlbar innerhalb 14 Tagen')).toBe(14);
+        expect(paymentTermDays('à 45 jours fin de mois')).toBe(45);
+        expect(paymentTermDays('Due on receipt')).toBeNull();
+        expect(paymentTermDays(null)).toBeNull();
+    });
+});
+
+describe('normalizeInvoiceDates', () => {
+    test('reads the dates in the order a date that cannot be swapped proves', () => {
+        const invoiceData = { date: '03/04/2024', dueDate: '13/04/2024' };
+        const result = normalizeInvoiceDates(invoiceData);
+
+        expect(result).toEqual({ dateOrder: 'DMY', source: 'document', ambiguous: [] });
+        expect(invoiceData).toMatchObject({ date: '2024-04-03', dueDate: '2024-04-13', dateReview: null });
+    });
+
+    test('reads the dates in the order the rest of the document proves', () => {
+        const invoiceData = swappable();
+        const result = normalizeInvoiceDates(invoiceData, 'Invoice date: 03/04/2024\nDelivered: 15/03/2024\nDue: 03/05/2024');
+
+        expect(result).toEqual({ dateOrder: 'DMY', source: 'document', ambiguous: [] });
+        expect(invoiceData.date).toBe('2024-04-03');
+    });
+
+    test('finds the printed date behind an ISO date an extractor returned', () => {
+        const invoiceData = { date: '2024-03-04', dueDate: '2024-05-03' };
+        const result = normalizeInvoiceDates(invoiceData, 'Date: 03/04/2024\nDue date: 03/05/2024\nDelivered 15/03/2024');
+
+        expect(result.source).toBe('document');
+        expect(invoiceData).toMatchObject({ date: '2024-04-03', dueDate: '2024-05-03' });
+    });
+
+    test('takes the order that puts the due date on or after the invoice date', () => {
+        // Day first the invoice would be due on 5 March, a month before its 3 April date
+        const invoiceData = { date: '03/04/2024', dueDate: '05/03/2024' };
+
+        expect(normalizeInvoiceDates(invoiceData)).toEqual({ dateOrder: 'MDY', source: 'date_order', ambiguous: [] });
+        expect(invoiceData).toMatchObject({ date: '2024-03-04', dueDate: '2024-05-03' });
+    });
+
+    test('takes the order that matches the payment terms', () => {
+        const invoiceData = swappable({ paymentDetails: { terms: 'Net 30' } });
+
+        expect(normalizeInvoiceDates(invoiceData)).toEqual({ dateOrder: 'DMY', source: 'payment_terms', ambiguous: [] });
+        expect(invoiceData).toMatchObject({ date: '2024-04-03', dueDate: '2024-05-03' });
+    });
+
+    test('reads the payment terms from the text when the extractor did not', () => {
+        const invoiceData = { date: '03/04/2024', dueDate: '04/04/2024' };
+
+        expect(normalizeInvoiceDates(invoiceData, 'Payable within 31 days').source).toBe('payment_terms');
+        expect(invoiceData).toMatchObject({ date: '2024-03-04', dueDate: '2024-04-04' });
+    });
+
+    test('falls back to the vendor locale\'s order', () => {
+        const us = swappable({ vendor: { country: 'US' } });
+        const gb = swappable({ vendor: { country: 'GB' } });
+        const de = swappable({ vendor: { country: 'DE' } });
+
+        expect(normalizeInvoiceDates(us)).toEqual({ dateOrder: 'MDY', source: 'locale', ambiguous: [] });
+        expect(us).toMatchObject({ date: '2024-03-04', dueDate: '2024-03-05' });
+        expect(normalizeInvoiceDates(gb)).toEqual({ dateOrder: 'DMY', source: 'locale', ambiguous: [] });
+        expect(gb).toMatchObject({ date: '2024-04-03', dueDate: '2024-05-03' });
+        expect(normalizeInvoiceDates(de).dateOrder).toBe('DMY');
+    });
+
+    test('takes the order it is given over the vendor locale', () => {
+        const invoiceData = swappable({ vendor: { country: 'US' } });
+
+        expect(normalizeInvoiceDates(invoiceData, null, { dateOrder: 'DMY' }).dateOrder).toBe('DMY');
+        expect(normalizeInvoiceDates(swappable({ vendor: { country: 'US' } }), null, { dateOrder: null }).ambiguous).toEqual(['date', 'dueDate']);
+    });
+
+    test('leaves the dates for review where the locale writes both orders or year first', () => {
+        ['CA', 'JP', null].forEach(country => {
+            const invoiceData = swappable({ vendor: { country } });
+
+            expect(normalizeInvoiceDates(invoiceData)).toEqual({ dateOrder: null, source: null, ambiguous: ['date', 'dueDate'] });
+        });
+    });
+
+    test('flags the dates nothing settles and keeps the month-first reading meanwhile', () => {
+        const invoiceData = swappable({ fieldConfidence: { date: 95 } });
+        normalizeInvoiceDates(invoiceData);
+
+        expect(invoiceData.date).toBe('2024-03-04');
+        expect(invoiceData.dueDate).toBe('2024-03-05');
+        expect(invoiceData.dateReview).toEqual({
+            fields: {
+                date: {
+                    printed: '03/04/2024',
+                    iso: '2024-03-04',
+                    candidates: [{ order: 'MDY', iso: '2024-03-04' }, { order: 'DMY', iso: '2024-04-03' }]
+                },
+                dueDate: {
+                    printed: '03/05/2024',
+                    iso: '2024-03-05',
+                    candidates: [{ order: 'MDY', iso: '2024-03-05' }, { order: 'DMY', iso: '2024-05-03' }]
+                }
+            }
+        });
+        expect(invoiceData.fieldConfidence.date).toBe(50);
+    });
+
+    test('settles the other dates once a reviewer picks one', () => {
+        const invoiceData = swappable();
+        normalizeInvoiceDates(invoiceData);
+
+        invoiceData.date = '2024-04-03';
+        const result = normalizeInvoiceDates(invoiceData, null);
+
+        expect(result).toEqual({ dateOrder: 'DMY', source: 'date_order', ambiguous: [] });
+        expect(invoiceData).toMatchObject({ date: '2024-04-03', dueDate: '2024-05-03', dateReview: null });
+    });
+
+    test('does not flag a date both readings agree on', () => {
+        const invoiceData = { date: '04/04/2024', dueDate: '2024-05-04' };
+
+        expect(normalizeInvoiceDates(invoiceData)).toEqual({ dateOrder: null, source: null, ambiguous: [] });
+        expect(invoiceData.dateReview).toBeNull();
+    });
+
+    test('clears a date that cannot be read', () => {
+        const invoiceData = { date: 'see below', dueDate: '2024-05-04' };
+        normalizeInvoiceDates(invoiceData);
+
+        expect(invoiceData.date).toBeNull();
+        expect(invoiceData.dueDate).toBe('2024-05-04');
+    });
+});
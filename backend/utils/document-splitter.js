@@ -0,0 +1,259 @@
+// backend/utils/document-splitter.js
+// Page classification and invoice boundary detection for uploads that bundle several documents
+// (a mailroom scan with invoices, credit notes, remittance slips and cover letters). Each page is
+// classified from its title and wording; a new document starts where page numbering resets, a new
+// invoice number appears, or a page of a different type or from a different letterhead begins.
+
+const PAGE_TYPES = ['invoice', 'credit_note', 'statement', 'remittance', 'purchase_order', 'other'];
+
+// Only these segments are extracted as invoices; the rest stay on the upload's page list
+const EXTRACTABLE_TYPES = ['invoice', 'credit_note'];
+
+// Wording that points to each page type, with its weight
+const TYPE_SIGNALS = {
+    invoice: [
+        [/\binvoice\s*(no\.?|number|#|date)/i, 2],
+        [/\b(amount|balance|total)\s+due\b/i, 1],
+        [/\bbill(ed)?\s+to\b/i, 1],
+        [/\bsub\s*-?total\b/i, 1],
+        [/\bpayment\s+terms\b|\bdue\s+date\b/i, 1]
+    ],
+    credit_note: [
+        [/\bcredit\s*(note|memo)\b/i, 3],
+        [/\bcredit\s*(no\.?|number|#)/i, 2],
+        [/\b(credited|refund(ed)?)\b/i, 1]
+    ],
+    statement: [
+        [/\bstatement\s+of\s+account\b|\baccount\s+statement\b/i, 3],
+        [/\b(opening|closing|previous)\s+balance\b/i, 2],
+        [/\b(current|30|60|90)\s+days\b|\baging\b|\bageing\b/i, 1]
+    ],
+    remittance: [
+        [/\bremittance\s+(advice|slip)?\b/i, 3],
+        [/\b(detach|return)\s+(this|the)\s+(portion|slip|stub|part)\b/i, 2],
+        [/\bamount\s+enclosed\b|\bpayment\s+(slip|stub|coupon)\b/i, 2]
+    ],
+    purchase_order: [
+        [/\bpurchase\s+order\b/i, 2],
+        [/\b(ship\s+via|deliver\s+to|requested\s+by|buyer)\b/i, 1]
+    ],
+    other: [
+        [/^\s*dear\b/im, 2],
+        [/\b(sincerely|kind\s+regards|yours\s+(faithfully|truly|sincerely))\b/i, 2],
+        [/\b(please\s+find\s+enclosed|enclosed\s+(please\s+find|are|is))\b/i, 1]
+    ]
+};
+
+// A title printed near the top outweighs the wording further down
+const TITLE_PATTERNS = {
+    invoice: /^\s*(tax\s+|commercial\s+|proforma\s+|pro-forma\s+)?invoice\b/i,
+    credit_note: /^\s*credit\s*(note|memo)\b/i,
+    statement: /^\s*(account\s+)?statement\b/i,
+    remittance: /^\s*remittance\b/i,
+    purchase_order: /^\s*purchase\s+order\b/i
+};
+const TITLE_WEIGHT = 4;
+const TITLE_LINES = 8;
+
+// Below this a page has no type of its own and continues the document before it
+const MIN_TYPE_SCORE = 2;
+
+const PAGE_NUMBER = /\bpage\s*(\d+)\s*(?:of|\/)\s*(\d+)\b|\bpage\s*(\d+)\b|^\s*(\d+)\s*(?:of|\/)\s*(\d+)\s*$/im;
+const DOCUMENT_NUMBER = /\b(?:invoice|inv|credit\s*(?:note|memo))\s*(?:no\.?|number|#)\s*[:.#]?\s*([A-Z0-9][A-Z0-9\-/]{2,})/i;
+
+const HEADER_LINES = 3;
+
+const nonEmptyLines = (text) => String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+// { type, confidence (0-100), scores, titled, continuation } for one page's text; a page too weak to
+// classify is a continuation of the document before it
+function classifyPage(text) {
+    const scores = Object.fromEntries(PAGE_TYPES.map(type => [type, 0]));
+    let titled = false;
+
+    Object.entries(TYPE_SIGNALS).forEach(([type, signals]) => {
+        signals.forEach(([pattern, weight]) => {
+            if (pattern.test(text)) scores[type] += weight;
+        });
+    });
+
+    nonEmptyLines(text).slice(0, TITLE_LINES).forEach(line => {
+        Object.entries(TITLE_PATTERNS).forEach(([type, pattern]) => {
+            if (pattern.test(line)) {
+                scores[type] += TITLE_WEIGHT;
+                titled = true;
+            }
+        });
+    });
+
+    // A credit note carries most invoice wording too
+    if (scores.credit_note >= MIN_TYPE_SCORE + 1) scores.invoice = Math.max(0, scores.invoice - TITLE_WEIGHT);
+
+    const [[bestType, best], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best < MIN_TYPE_SCORE) {
+        return { type: 'other', confidence: 0, scores, titled, continuation: true };
+    }
+
+    return {
+        type: bestType,
+        confidence: Math.round((best / (best + second + 1)) * 100),
+        scores,
+        titled,
+        continuation: false
+    };
+}
+
+// Printed page number, invoice number and letterhead of a page
+function readPageSignals(text) {
+    const pageMatch = String(text || '').match(PAGE_NUMBER);
+    let pageNumber = null;
+    if (pageMatch) {
+        const current = Number(pageMatch[1] || pageMatch[3] || pageMatch[4]);
+        const total = Number(pageMatch[2] || pageMatch[5]) || null;
+        if (current > 0 && (!total || current <= total)) pageNumber = { current, total };
+    }
+
+    const numberMatch = String(text || '').match(DOCUMENT_NUMBER);
+    const header = nonEmptyLines(text)
+        .slice(0, HEADER_LINES)
+        .join(' ')
+        .toLowerCase()
+        .replace(/[^a-z]+/g, ' ')
+        .trim();
+
+    return {
+        pageNumber,
+        invoiceNumber: numberMatch ? numberMatch[1].toUpperCase() : null,
+        header
+    };
+}
+
+const sameHeader = (a, b) => {
+    if (!a || !b) return true;
+    const wordsA = new Set(a.split(' '));
+    const wordsB = b.split(' ');
+    const shared = wordsB.filter(word => wordsA.has(word)).length;
+    return shared / Math.max(wordsA.size, wordsB.length) >= 0.5;
+};
+
+// Why page starts a new document after the segment before it, or [] when it continues it
+function boundaryReasons(page, segment) {
+    const reasons = [];
+
+    if (page.pageNumber?.current === 1) reasons.push('page_number_reset');
+    if (page.invoiceNumber && segment.invoiceNumber && page.invoiceNumber !== segment.invoiceNumber) {
+        reasons.push('new_invoice_number');
+    }
+
+    // Type and letterhead only count on pages that are not numbered as a continuation, and a changed
+    // letterhead only on a page that opens a document (a title or its own invoice number)
+    const continued = page.pageNumber?.current > 1;
+    if (!continued && !page.continuation) {
+        if (page.type !== segment.type) reasons.push('document_type');
+        if ((page.titled || page.invoiceNumber) && !sameHeader(segment.header, page.header)) {
+            reasons.push('vendor_header');
+        }
+    }
+
+    return reasons;
+}
+
+// Type of a run of pages: the type with the highest total score among its classified pages
+function segmentType(pages) {
+    const totals = {};
+    pages.filter(page => !page.continuation).forEach(page => {
+        totals[page.type] = (totals[page.type] || 0) + page.scores[page.type];
+    });
+    const ranked = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : 'other';
+}
+
+const toSegment = (pages, reasons = []) => ({
+    startPage: pages[0].page,
+    endPage: pages[pages.length - 1].page,
+    type: segmentType(pages),
+    invoiceNumber: pages.map(page => page.invoiceNumber).find(Boolean) || null,
+    reasons
+});
+
+// pageTexts: text of every page in order. Returns { pages, segments }: the classification of each
+// page ({ page, type, confidence, scores, continuation, pageNumber, invoiceNumber }) and the documents found
+// ({ startPage, endPage, type, invoiceNumber, reasons }), 1-based and inclusive.
+function planSplit(pageTexts) {
+    const pages = pageTexts.map((text, index) => ({
+        page: index + 1,
+        ...classifyPage(text),
+        ...readPageSignals(text)
+    }));
+
+    const runs = [];
+    pages.forEach(page => {
+        const current = runs[runs.length - 1];
+        if (current) {
+            const open = {
+                type: segmentType(current.pages),
+                invoiceNumber: current.pages.map(p => p.invoiceNumber).find(Boolean) || null,
+                header: current.pages[0].header
+            };
+            const reasons = boundaryReasons(page, open);
+            if (reasons.length === 0) {
+                current.pages.push(page);
+                return;
+            }
+            runs.push({ pages: [page], reasons });
+        } else {
+            runs.push({ pages: [page], reasons: [] });
+        }
+    });
+
+    return {
+        pages: pages.map(page => ({
+            page: page.page,
+            type: page.type,
+            confidence: page.confidence,
+            scores: page.scores,
+            titled: page.titled,
+            continuation: page.continuation,
+            pageNumber: page.pageNumber,
+            invoiceNumber: page.invoiceNumber
+        })),
+        segments: runs.map(run => toSegment(run.pages, run.reasons))
+    };
+}
+
+// Segments from split points a user set by hand: boundaries is [{ startPage, type? }]; each segment
+// runs to the page before the next boundary, and takes the given type or the one its pages suggest.
+// pages is the stored classification from planSplit.
+function segmentsFromBoundaries(pages, boundaries) {
+    const pageCount = pages.length;
+    const sorted = boundaries
+        .filter(boundary => boundary.startPage >= 1 && boundary.startPage <= pageCount)
+        .sort((a, b) => a.startPage - b.startPage)
+        .filter((boundary, index, list) => index === 0 || boundary.startPage !== list[index - 1].startPage);
+    if (sorted.length === 0 || sorted[0].startPage !== 1) {
+        sorted.unshift({ startPage: 1 });
+    }
+
+    return sorted.map((boundary, index) => {
+        const endPage = index < sorted.length - 1 ? sorted[index + 1].startPage - 1 : pageCount;
+        const segment = toSegment(pages.filter(page => page.page >= boundary.startPage && page.page <= endPage), ['manual']);
+        return PAGE_TYPES.includes(boundary.type) ? { ...segment, type: boundary.type } : segment;
+    });
+}
+
+// Whether a plan calls for child documents: more than one document, or a single extractable one
+// that does not cover the whole upload (a cover letter or remittance slip came with it)
+function shouldSplit(segments) {
+    const extractable = segments.filter(segment => EXTRACTABLE_TYPES.includes(segment.type));
+    return extractable.length > 1 || (extractable.length === 1 && segments.length > 1);
+}
+
+module.exports = {
+    PAGE_TYPES,
+    EXTRACTABLE_TYPES,
+    classifyPage,
+    readPageSignals,
+    planSplit,
+    segmentsFromBoundaries,
+    shouldSplit
+};
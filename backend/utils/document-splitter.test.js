@@ -0,0 +1,93 @@
+// backend/utils/document-splitter.test.js
+
+const { classifyPage, planSplit, segmentsFromBoundaries, shouldSplit } = require('./document-splitter');
+
+const ACME_PAGE_1 = 'ACME SUPPLIES LTD\n1 Main Street\nINVOICE\nInvoice No: INV-1001\nBill to: Globex\nPage 1 of 2';
+const ACME_PAGE_2 = 'ACME SUPPLIES LTD\n1 Main Street\nWidget 2 x 10.00\nSubtotal 20.00\nTotal due 23.80\nPage 2 of 2';
+const INITECH = 'INITECH GMBH\nHauptstrasse 5\nINVOICE\nInvoice No: 2024-077\nAmount due 50.00\nPage 1 of 1';
+const REMITTANCE = 'ACME SUPPLIES LTD\n1 Main Street\nREMITTANCE ADVICE\nPlease detach this portion and return it with your payment\nAmount enclosed: ______';
+const COVER_LETTER = 'Dear customer,\nPlease find enclosed our invoices for March.\nKind regards,\nAccounts team';
+
+const ranges = (segments) => segments.map(segment => [segment.startPage, segment.endPage, segment.type]);
+
+describe('classifyPage', () => {
+    test('classifies a page by its title and wording', () => {
+        expect(classifyPage(ACME_PAGE_1).type).toBe('invoice');
+        expect(classifyPage(REMITTANCE).type).toBe('remittance');
+        expect(classifyPage(COVER_LETTER).type).toBe('other');
+        expect(classifyPage('CREDIT NOTE\nCredit note no: CN-5\nAmount credited 10.00').type).toBe('credit_note');
+    });
+
+    test('leaves a page with too little wording to continue the one before', () => {
+        expect(classifyPage('Widget 2 x 10.00')).toMatchObject({ continuation: true, confidence: 0 });
+    });
+});
+
+describe('planSplit', () => {
+    test('keeps the pages of a single invoice together', () => {
+        const { pages, segments } = planSplit([ACME_PAGE_1, ACME_PAGE_2]);
+
+        expect(segments).toEqual([{ startPage: 1, endPage: 2, type: 'invoice', invoiceNumber: 'INV-1001', reasons: [] }]);
+        expect(pages.map(page => page.pageNumber)).toEqual([{ current: 1, total: 2 }, { current: 2, total: 2 }]);
+        expect(shouldSplit(segments)).toBe(false);
+    });
+
+    test('starts a new document where the page numbering, invoice number and letterhead change', () => {
+        const { segments } = planSplit([ACME_PAGE_1, ACME_PAGE_2, INITECH]);
+
+        expect(ranges(segments)).toEqual([[1, 2, 'invoice'], [3, 3, 'invoice']]);
+        expect(segments[1]).toMatchObject({
+            invoiceNumber: '2024-077',
+            reasons: ['page_number_reset', 'new_invoice_number', 'vendor_header']
+        });
+        expect(shouldSplit(segments)).toBe(true);
+    });
+
+    test('separates invoices of one vendor by their invoice numbers', () => {
+        const first = 'ACME SUPPLIES LTD\nINVOICE\nInvoice No: INV-1001\nTotal due 10.00';
+        const second = 'ACME SUPPLIES LTD\nINVOICE\nInvoice No: INV-1002\nTotal due 20.00';
+
+        const { segments } = planSplit([first, second]);
+
+        expect(segments.map(segment => segment.invoiceNumber)).toEqual(['INV-1001', 'INV-1002']);
+        expect(segments[1].reasons).toEqual(['new_invoice_number']);
+    });
+
+    test('splits off the pages after an invoice that are not invoices', () => {
+        const { segments } = planSplit([ACME_PAGE_1, ACME_PAGE_2, REMITTANCE, COVER_LETTER]);
+
+        expect(ranges(segments)).toEqual([[1, 2, 'invoice'], [3, 3, 'remittance'], [4, 4, 'other']]);
+        expect(segments.slice(1).map(segment => segment.reasons)).toEqual([['document_type'], ['document_type']]);
+        // One invoice, but it does not cover the whole upload
+        expect(shouldSplit(segments)).toBe(true);
+    });
+
+    test('splits off a cover letter in front of the invoice', () => {
+        const { segments } = planSplit([COVER_LETTER, ACME_PAGE_1, ACME_PAGE_2]);
+
+        expect(ranges(segments)).toEqual([[1, 1, 'other'], [2, 3, 'invoice']]);
+    });
+
+    test('does not split an upload without an invoice', () => {
+        const { segments } = planSplit([COVER_LETTER, REMITTANCE]);
+
+        expect(shouldSplit(segments)).toBe(false);
+    });
+});
+
+describe('segmentsFromBoundaries', () => {
+    const { pages } = planSplit([ACME_PAGE_1, ACME_PAGE_2, REMITTANCE, COVER_LETTER]);
+
+    test('runs each segment to the page before the next boundary', () => {
+        const segments = segmentsFromBoundaries(pages, [{ startPage: 3 }, { startPage: 1 }]);
+
+        expect(ranges(segments)).toEqual([[1, 2, 'invoice'], [3, 4, 'remittance']]);
+        expect(segments.every(segment => segment.reasons[0] === 'manual')).toBe(true);
+    });
+
+    test('takes the type a reviewer gave and always starts at the first page', () => {
+        const segments = segmentsFromBoundaries(pages, [{ startPage: 2, type: 'credit_note' }, { startPage: 2 }, { startPage: 9 }]);
+
+        expect(ranges(segments)).toEqual([[1, 1, 'invoice'], [2, 4, 'credit_note']]);
+    });
+});
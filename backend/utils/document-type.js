@@ -0,0 +1,222 @@
+// backend/utils/document-type.js
+// Document types of the AP documents the pipeline extracts (invoice, credit note, debit note,
+// prepayment invoice), detected from the printed title and wording, and the sign convention they are
+// stored with: a credit note carries negative amounts, so balances, exports and payment runs net it
+// against invoices by adding. Also finds the invoice a credit or debit note refers to.
+
+const DOCUMENT_TYPES = ['invoice', 'credit_note', 'debit_note', 'prepayment'];
+
+// Types that adjust an earlier invoice and are linked to it
+const ADJUSTMENT_TYPES = ['credit_note', 'debit_note'];
+
+const DOCUMENT_TYPE_LABELS = {
+    invoice: 'Invoice',
+    credit_note: 'Credit note',
+    debit_note: 'Debit note',
+    prepayment: 'Prepayment invoice'
+};
+
+// UNTDID 1001 document type codes used by UBL and CII e-invoices
+const TYPE_CODES = {
+    380: 'invoice',
+    384: 'invoice',
+    389: 'invoice',
+    326: 'invoice',
+    381: 'credit_note',
+    261: 'credit_note',
+    396: 'credit_note',
+    383: 'debit_note',
+    386: 'prepayment'
+};
+
+// Titles printed near the top of the document, in the languages vendors commonly send
+const TITLE_PATTERNS = {
+    credit_note: /^\s*(?:tax\s+)?(?:credit\s*(?:note|memo(?:randum)?)|gutschrift|rechnungskorrektur|avoir|note\s+de\s+cr[ée]dit|nota\s+de\s+cr[ée]dito|nota\s+di\s+credito|creditnota|kreditnota)\b/i,
+    debit_note: /^\s*(?:debit\s*(?:note|memo(?:randum)?)|belastungsanzeige|note\s+de\s+d[ée]bit|nota\s+de\s+d[ée]bito|nota\s+di\s+debito|debetnota)\b/i,
+    prepayment: /^\s*(?:(?:prepayment|advance|deposit|down[\s-]*payment)\s+invoice|anzahlungsrechnung|vorauszahlungsrechnung|facture\s+d'acompte|factura\s+de\s+anticipo)\b/i
+};
+const TITLE_WEIGHT = 4;
+const TITLE_LINES = 10;
+
+// Wording further down the document, with its weight
+const TYPE_SIGNALS = {
+    credit_note: [
+        [/\bcredit\s*(?:note|memo)\s*(?:no\.?|number|#|date)/i, 2],
+        [/\b(?:amount|total)\s+(?:to\s+be\s+)?credited\b|\bcredit\s+(?:total|amount)\b/i, 2],
+        [/\b(?:we\s+have\s+credited|has\s+been\s+credited|credited\s+to\s+your\s+account)\b/i, 2],
+        [/\b(?:refund(?:ed)?|returned\s+goods|goods\s+returned)\b/i, 1]
+    ],
+    debit_note: [
+        [/\bdebit\s*(?:note|memo)\s*(?:no\.?|number|#|date)/i, 2],
+        [/\b(?:amount|total)\s+debited\b|\bhave\s+debited\s+your\s+account\b/i, 2]
+    ],
+    prepayment: [
+        [/\b(?:prepayment|advance\s+payment|down[\s-]*payment|deposit)\s+(?:of|due|requested|invoice)\b/i, 2],
+        [/\bfinal\s+invoice\s+will\s+follow\b/i, 2]
+    ]
+};
+
+// Below this a document is an ordinary invoice
+const MIN_TYPE_SCORE = 3;
+
+// Words before an invoice number that say it is the invoice being corrected, not this document's own
+const REFERENCE_PATTERN = /\b(?:original|orig\.?|referenced?|ref\.?|related|relating\s+to|against|corrects|correcting|credit(?:ed)?\s+(?:for|to|against)|applies\s+to|re:?|for)\s*(?:tax\s+)?invoice\s*(?:no\.?|number|#|nr\.?)?\s*[:.#-]?\s*([A-Z0-9][A-Z0-9\-/.]{2,})/gi;
+const FIELD_REFERENCE_PATTERN = /\b(?:invoice\s+reference|reference\s+invoice|bezug\s+auf\s+rechnung|facture\s+d'origine|factura\s+original)\s*(?:no\.?|number|#|nr\.?)?\s*[:.#-]?\s*([A-Z0-9][A-Z0-9\-/.]{2,})/gi;
+
+// A negative amount as invoices print it: -12.00, (12.00), 12.00-, 12.00 CR
+const NEGATIVE_AMOUNT = /^\s*[^\d(]*-|^\s*[^\d]*\(.*\d.*\)|\d\s*-\s*$|\d\s*CR\b/i;
+
+const AMOUNT_FIELDS = ['subtotal', 'tax', 'discount', 'total', 'amountPaid', 'balanceDue'];
+
+const normalizeNumber = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const isNegativeAmount = (text) => NEGATIVE_AMOUNT.test(String(text || ''));
+
+// -1 for an amount printed as negative, 1 otherwise; extractors multiply the parsed magnitude by it
+const amountSign = (text) => (isNegativeAmount(text) ? -1 : 1);
+
+const typeFromCode = (code) => TYPE_CODES[String(code || '').trim()] || null;
+
+const isDocumentType = (value) => DOCUMENT_TYPES.includes(value);
+
+// { documentType, confidence (0-100), signals } from the document text. A negative total is a signal
+// for a credit note when the wording leaves a doubt.
+function detectDocumentType(text, invoiceData = null) {
+    const scores = { credit_note: 0, debit_note: 0, prepayment: 0 };
+    const signals = [];
+
+    String(text || '').split('\n').map(line => line.trim()).filter(Boolean).slice(0, TITLE_LINES).forEach(line => {
+        Object.entries(TITLE_PATTERNS).forEach(([type, pattern]) => {
+            if (pattern.test(line) && !signals.includes(`title:${type}`)) {
+                scores[type] += TITLE_WEIGHT;
+                signals.push(`title:${type}`);
+            }
+        });
+    });
+
+    Object.entries(TYPE_SIGNALS).forEach(([type, patterns]) => {
+        patterns.forEach(([pattern, weight]) => {
+            const match = String(text || '').match(pattern);
+            if (match) {
+                scores[type] += weight;
+                signals.push(`${type}:${match[0].trim().toLowerCase()}`);
+            }
+        });
+    });
+
+    const total = Number(invoiceData?.amounts?.total);
+    if (Number.isFinite(total) && total < 0) {
+        scores.credit_note += 2;
+        signals.push('negative_total');
+    }
+
+    const [[bestType, best], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best < MIN_TYPE_SCORE) {
+        return { documentType: 'invoice', confidence: Math.max(50, 100 - best * 15), signals };
+    }
+
+    return {
+        documentType: bestType,
+        confidence: Math.min(100, Math.round((best / (best + second + 1)) * 100)),
+        signals
+    };
+}
+
+// Invoice number a credit or debit note refers to, never the document's own number
+function findReferencedInvoice(text, ownNumber = null) {
+    const own = normalizeNumber(ownNumber);
+    const source = String(text || '');
+
+    for (const pattern of [FIELD_REFERENCE_PATTERN, REFERENCE_PATTERN]) {
+        for (const match of source.matchAll(pattern)) {
+            const candidate = match[1].replace(/[.\-/]+$/, '');
+            if (/\d/.test(candidate) && normalizeNumber(candidate) !== own) return candidate;
+        }
+    }
+    return null;
+}
+
+// Flip every amount of the invoice data (header amounts and line amounts, not quantities)
+function negateAmounts(invoiceData) {
+    const negate = (value) => {
+        if (value === null || value === undefined || value === '') return value;
+        const number = Number(value);
+        return Number.isFinite(number) && number !== 0 ? -number : value;
+    };
+
+    AMOUNT_FIELDS.forEach(field => {
+        if (invoiceData.amounts && field in invoiceData.amounts) {
+            invoiceData.amounts[field] = negate(invoiceData.amounts[field]);
+        }
+    });
+    (invoiceData.items || []).forEach(item => {
+        ['unitPrice', 'netPrice', 'amount', 'lineTotal'].forEach(field => {
+            if (field in item) item[field] = negate(item[field]);
+        });
+    });
+}
+
+const isPositive = (invoiceData) => {
+    const total = invoiceData.amounts?.total;
+    if (total !== null && total !== undefined && Number.isFinite(Number(total))) return Number(total) > 0;
+    return (invoiceData.items || []).reduce((sum, item) => sum + (Number(item.amount ?? item.lineTotal) || 0), 0) > 0;
+};
+
+// Give the amounts the sign of the document type: negative for a credit note, positive otherwise.
+// Returns whether they were flipped.
+function alignAmountSign(invoiceData) {
+    const positive = isPositive(invoiceData);
+    const total = Number(invoiceData.amounts?.total);
+    const wrongSign = invoiceData.documentType === 'credit_note'
+        ? positive
+        : !positive && Number.isFinite(total) && total < 0;
+    if (wrongSign) negateAmounts(invoiceData);
+    return wrongSign;
+}
+
+// Set documentType and referencedInvoiceNumber on extracted invoice data and store a credit note
+// with negative amounts. A type the extractor already set (an e-invoice type code, the LLM) wins over
+// ordinary-invoice detection; hint is the type page classification gave the document, if any.
+// Returns { documentType, confidence, signals, signFlipped }.
+function applyDocumentType(invoiceData, text, { hint = null } = {}) {
+    if (!invoiceData) return null;
+
+    const detected = detectDocumentType(text, invoiceData);
+    let { documentType, confidence } = detected;
+    if (isDocumentType(invoiceData.documentType) && (invoiceData.documentType !== 'invoice' || documentType === 'invoice')) {
+        documentType = invoiceData.documentType;
+        confidence = Math.max(confidence, 90);
+    } else if (documentType === 'invoice' && isDocumentType(hint) && hint !== 'invoice') {
+        documentType = hint;
+        confidence = 60;
+    }
+    invoiceData.documentType = documentType;
+
+    if (ADJUSTMENT_TYPES.includes(documentType)) {
+        invoiceData.referencedInvoiceNumber = invoiceData.referencedInvoiceNumber ||
+            findReferencedInvoice(text, invoiceData.invoiceNumber);
+    } else {
+        invoiceData.referencedInvoiceNumber = invoiceData.referencedInvoiceNumber || null;
+    }
+
+    // Credit notes are often printed with positive amounts under a "Credit note" title
+    const signFlipped = documentType === 'credit_note' && isPositive(invoiceData);
+    if (signFlipped) negateAmounts(invoiceData);
+
+    return { documentType, confidence, signals: detected.signals, signFlipped };
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    ADJUSTMENT_TYPES,
+    DOCUMENT_TYPE_LABELS,
+    isDocumentType,
+    typeFromCode,
+    isNegativeAmount,
+    amountSign,
+    detectDocumentType,
+    findReferencedInvoice,
+    negateAmounts,
+    alignAmountSign,
+    applyDocumentType
+};
@@ -0,0 +1,184 @@
+// backend/utils/document-type.test.js
+
+const {
+    typeFromCode,
+    isNegativeAmount,
+    amountSign,
+    detectDocumentType,
+    findReferencedInvoice,
+    negateAmounts,
+    alignAmountSign,
+    applyDocumentType
+} = require('./document-type');
+
+const CREDIT_NOTE_TEXT = [
+    'ACME SUPPLIES LTD',
+    'CREDIT NOTE',
+    'Credit Note No: CN-2044',
+    'Original Invoice No: INV-1023',
+    'Returned goods: 2 x Widget',
+    'Total credited: 119.00'
+].join('\n');
+
+const invoiceData = (amounts, items = []) => ({ amounts: { ...amounts }, items: items.map(item => ({ ...item })) });
+
+describe('detectDocumentType', () => {
+    test('recognizes a credit note from its title and wording', () => {
+        const result = detectDocumentType(CREDIT_NOTE_TEXT);
+
+        expect(result.documentType).toBe('credit_note');
+        // Title 4, credit note number 2, amount credited 2, returned goods 1; nothing for the other types
+        expect(result.confidence).toBe(90);
+        expect(result.signals).toEqual(expect.arrayContaining(['title:credit_note', 'credit_note:credit note no']));
+    });
+
+    test('recognizes titles in other languages', () => {
+        expect(detectDocumentType('Muster GmbH\nGutschrift\nNr. 4711').documentType).toBe('credit_note');
+        expect(detectDocumentType('Société Dupont\nAvoir n° 12').documentType).toBe('credit_note');
+        expect(detectDocumentType('Debit Note\nDebit note no: DN-5').documentType).toBe('debit_note');
+        expect(detectDocumentType('Anzahlungsrechnung\nNr. 77').documentType).toBe('prepayment');
+    });
+
+    test('treats a document without credit wording as an invoice', () => {
+        const result = detectDocumentType('ACME SUPPLIES LTD\nINVOICE\nInvoice No: INV-1023\nTotal: 119.00');
+
+        expect(result).toEqual({ documentType: 'invoice', confidence: 100, signals: [] });
+    });
+
+    test('does not take a credit note title further down the page', () => {
+        const text = ['INVOICE', ...Array(10).fill('Widget 1 x 10.00'), 'Credit note terms apply'].join('\n');
+
+        expect(detectDocumentType(text).documentType).toBe('invoice');
+    });
+
+    test('counts a negative total towards a credit note', () => {
+        expect(detectDocumentType('Refund for returned goods', { amounts: { total: -50 } }).documentType).toBe('credit_note');
+        expect(detectDocumentType('Refund for returned goods', { amounts: { total: 50 } }).documentType).toBe('invoice');
+    });
+});
+
+describe('findReferencedInvoice', () => {
+    test('finds the invoice a credit note corrects', () => {
+        expect(findReferencedInvoice(CREDIT_NOTE_TEXT, 'CN-2044')).toBe('INV-1023');
+        expect(findReferencedInvoice('Invoice reference: 2024/0815.', 'GS-1')).toBe('2024/0815');
+    });
+
+    test('never returns the document\'s own number', () => {
+        expect(findReferencedInvoice('Re: invoice no. CN-2044', 'cn 2044')).toBeNull();
+    });
+
+    test('ignores references without digits', () => {
+        expect(findReferencedInvoice('Credit for invoice ABCDEF')).toBeNull();
+    });
+});
+
+describe('amount signs', () => {
+    test('reads the ways invoices print a negative amount', () => {
+        ['-12.00', '€ -12,00', '(12.00)', '($12.00)', '12.00-', '12.00 CR'].forEach(text => {
+            expect(isNegativeAmount(text)).toBe(true);
+        });
+        ['12.00', '$1,200.00', '12-14 days'].forEach(text => {
+            expect(isNegativeAmount(text)).toBe(false);
+        });
+        expect(amountSign('(12.00)')).toBe(-1);
+        expect(amountSign('12.00')).toBe(1);
+    });
+
+    test('maps e-invoice type codes', () => {
+        expect(typeFromCode('380')).toBe('invoice');
+        expect(typeFromCode(381)).toBe('credit_note');
+        expect(typeFromCode(' 383 ')).toBe('debit_note');
+        expect(typeFromCode('999')).toBeNull();
+    });
+});
+
+describe('negateAmounts', () => {
+    test('flips header and line amounts but not quantities, zeros or missing values', () => {
+        const data = invoiceData(
+            { subtotal: 100, tax: '19.00', discount: 0, total: 119, balanceDue: null, currency: 'EUR' },
+            [{ quantity: 2, unitPrice: 50, amount: 100 }]
+        );
+        negateAmounts(data);
+
+        expect(data.amounts).toEqual({ subtotal: -100, tax: -19, discount: 0, total: -119, balanceDue: null, currency: 'EUR' });
+        expect(data.items).toEqual([{ quantity: 2, unitPrice: -50, amount: -100 }]);
+    });
+});
+
+describe('alignAmountSign', () => {
+    test('makes a credit note negative', () => {
+        const data = { documentType: 'credit_note', ...invoiceData({ total: 119 }) };
+
+        expect(alignAmountSign(data)).toBe(true);
+        expect(data.amounts.total).toBe(-119);
+        expect(alignAmountSign(data)).toBe(false);
+    });
+
+    test('makes an invoice with a negative total positive', () => {
+        const data = { documentType: 'invoice', ...invoiceData({ total: -119 }) };
+
+        expect(alignAmountSign(data)).toBe(true);
+        expect(data.amounts.total).toBe(119);
+    });
+
+    test('uses the line amounts when there is no total', () => {
+        const data = { documentType: 'credit_note', ...invoiceData({ total: null }, [{ amount: 30 }, { amount: 20 }]) };
+
+        expect(alignAmountSign(data)).toBe(true);
+        expect(data.items.map(item => item.amount)).toEqual([-30, -20]);
+    });
+});
+
+describe('applyDocumentType', () => {
+    test('stores a credit note printed with positive amounts as negative and links its invoice', () => {
+        const data = { invoiceNumber: 'CN-2044', ...invoiceData({ subtotal: 100, tax: 19, total: 119 }) };
+        const result = applyDocumentType(data, CREDIT_NOTE_TEXT);
+
+        expect(result).toMatchObject({ documentType: 'credit_note', signFlipped: true });
+        expect(data.documentType).toBe('credit_note');
+        expect(data.referencedInvoiceNumber).toBe('INV-1023');
+        expect(data.amounts).toMatchObject({ subtotal: -100, tax: -19, total: -119 });
+    });
+
+    test('leaves a credit note that is already negative alone', () => {
+        const data = invoiceData({ total: -119 });
+
+        expect(applyDocumentType(data, CREDIT_NOTE_TEXT).signFlipped).toBe(false);
+        expect(data.amounts.total).toBe(-119);
+    });
+
+    test('keeps the type an e-invoice set', () => {
+        const data = { documentType: 'credit_note', referencedInvoiceNumber: 'UBL-1001', ...invoiceData({ total: 29.75 }) };
+        const result = applyDocumentType(data, '');
+
+        expect(result.documentType).toBe('credit_note');
+        expect(result.confidence).toBe(100);
+        expect(data.referencedInvoiceNumber).toBe('UBL-1001');
+        expect(data.amounts.total).toBe(-29.75);
+    });
+
+    test('lets detected wording override an extractor that defaulted to invoice', () => {
+        const data = { documentType: 'invoice', ...invoiceData({ total: 119 }) };
+
+        expect(applyDocumentType(data, CREDIT_NOTE_TEXT).documentType).toBe('credit_note');
+    });
+
+    test('falls back to the page classification hint', () => {
+        const data = invoiceData({ total: 40 });
+        const result = applyDocumentType(data, 'Page 2 of 3', { hint: 'credit_note' });
+
+        expect(result).toMatchObject({ documentType: 'credit_note', confidence: 60, signFlipped: true });
+    });
+
+    test('clears the reference on an ordinary invoice', () => {
+        const data = invoiceData({ total: 119 });
+        applyDocumentType(data, 'INVOICE\nInvoice No: INV-1023');
+
+        expect(data.documentType).toBe('invoice');
+        expect(data.referencedInvoiceNumber).toBeNull();
+    });
+
+    test('returns null without invoice data', () => {
+        expect(applyDocumentType(null, CREDIT_NOTE_TEXT)).toBeNull();
+    });
+});
@@ -0,0 +1,441 @@
+// backend/utils/e-invoice.js
+// Structured e-invoices: UBL 2.1 and UN/CEFACT CII XML, and the CII XML embedded in ZUGFeRD/Factur-X PDF/A-3 files,
+// mapped straight into invoiceData without OCR
+
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { CONFIDENCE_FIELDS, setFieldConfidence } = require('./field-confidence');
+const { typeFromCode } = require('./document-type');
+const { parseDate } = require('./dates');
+
+// Attachment names the ZUGFeRD 1/2, Factur-X and XRechnung specs use for the embedded invoice
+const EMBEDDED_XML_NAMES = ['factur-x.xml', 'zugferd-invoice.xml', 'xrechnung.xml', 'order-x.xml'];
+
+const SOURCE_LABELS = {
+    ubl: 'UBL 2.1',
+    cii: 'UN/CEFACT CII',
+    zugferd: 'ZUGFeRD/Factur-X'
+};
+
+// UNTDID 4461 payment means codes seen on European invoices
+const PAYMENT_MEANS = {
+    1: 'Not defined',
+    10: 'Cash',
+    20: 'Cheque',
+    30: 'Credit transfer',
+    31: 'Debit transfer',
+    42: 'Payment to bank account',
+    48: 'Bank card',
+    49: 'Direct debit',
+    57: 'Standing agreement',
+    58: 'SEPA credit transfer',
+    59: 'SEPA direct debit'
+};
+
+// Namespace prefixes are dropped so UBL's cbc:/cac: and CII's ram:/rsm: elements are addressed by local name
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+// Text content of an element that may carry attributes ({ '#text': ..., '@_currencyID': ... })
+function text(node) {
+    if (node === undefined || node === null) return null;
+    if (Array.isArray(node)) return text(node[0]);
+    if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : null;
+    const value = String(node).trim();
+    return value === '' ? null : value;
+}
+
+function amount(node) {
+    const value = text(node);
+    if (value === null) return null;
+    const num = parseFloat(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+// Walk a path of local element names, taking the first element at each step
+function get(node, ...keys) {
+    return keys.reduce((current, key) => (current === undefined || current === null ? undefined : asArray(current)[0]?.[key]), node);
+}
+
+function joinLines(parts) {
+    const lines = parts.map(part => (part ? String(part).trim() : '')).filter(Boolean);
+    return lines.length > 0 ? lines.join(', ') : null;
+}
+
+// CII dates are DateTimeString format 102 (YYYYMMDD); UBL dates are already YYYY-MM-DD
+function isoDate(value) {
+    const raw = text(value);
+    return raw ? parseDate(raw) : null;
+}
+
+function round(value, places = 2) {
+    return value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+}
+
+// A single tax rate applies to the whole invoice only when every tax breakdown uses it
+function singleRate(rates) {
+    const distinct = [...new Set(rates.filter(rate => rate !== null))];
+    return distinct.length === 1 ? distinct[0] : null;
+}
+
+// ===============================
+// UBL 2.1
+// ===============================
+
+function mapUblParty(party) {
+    const address = get(party, 'PostalAddress');
+    const contact = get(party, 'Contact');
+    const endpoint = get(party, 'EndpointID');
+
+    return {
+        name: text(get(party, 'PartyName', 'Name')) || text(get(party, 'PartyLegalEntity', 'RegistrationName')),
+        address: joinLines([
+            text(get(address, 'StreetName')),
+            text(get(address, 'AdditionalStreetName')),
+            joinLines([text(get(address, 'PostalZone')), text(get(address, 'CityName'))])?.replace(', ', ' '),
+            text(get(address, 'CountrySubentity')),
+            text(get(address, 'Country', 'IdentificationCode'))
+        ]),
+        phone: text(get(contact, 'Telephone')),
+        email: text(get(contact, 'ElectronicMail')) ||
+            (endpoint?.['@_schemeID'] === 'EM' ? text(endpoint) : null),
+        taxId: text(get(party, 'PartyTaxScheme', 'CompanyID')) || text(get(party, 'PartyLegalEntity', 'CompanyID'))
+    };
+}
+
+function parseUbl(root, rootName) {
+    const isCreditNote = rootName === 'CreditNote';
+    const lineKey = isCreditNote ? 'CreditNoteLine' : 'InvoiceLine';
+    const quantityKey = isCreditNote ? 'CreditedQuantity' : 'InvoicedQuantity';
+
+    const currency = text(root.DocumentCurrencyCode);
+    const totals = get(root, 'LegalMonetaryTotal');
+
+    // TaxTotal repeats when tax is also reported in the accounting currency; use the one in the invoice currency
+    const taxTotals = asArray(root.TaxTotal);
+    const taxTotal = taxTotals.find(total => total.TaxAmount?.['@_currencyID'] === currency) || taxTotals[0];
+    const taxRates = asArray(taxTotal?.TaxSubtotal).map(sub => amount(get(sub, 'TaxCategory', 'Percent')));
+
+    const items = asArray(root[lineKey]).map(line => {
+        const baseQuantity = amount(get(line, 'Price', 'BaseQuantity')) || 1;
+        const priceAmount = amount(get(line, 'Price', 'PriceAmount'));
+
+        return {
+            lineNumber: text(line.ID),
+            itemNumber: text(get(line, 'Item', 'SellersItemIdentification', 'ID')),
+            description: text(get(line, 'Item', 'Name')) || text(get(line, 'Item', 'Description')) || '',
+            quantity: amount(line[quantityKey]),
+            unit: line[quantityKey]?.['@_unitCode'] || null,
+            unitPrice: priceAmount !== null ? round(priceAmount / baseQuantity, 4) : null,
+            amount: amount(line.LineExtensionAmount),
+            taxRate: amount(get(line, 'Item', 'ClassifiedTaxCategory', 'Percent')),
+            reference: text(get(line, 'OrderLineReference', 'LineID')),
+            category: null,
+            confidence: 100
+        };
+    });
+
+    const paymentMeans = get(root, 'PaymentMeans');
+    const account = get(paymentMeans, 'PayeeFinancialAccount');
+    const iban = text(get(account, 'ID'));
+    const bic = text(get(account, 'FinancialInstitutionBranch', 'ID'));
+    const meansCode = text(get(paymentMeans, 'PaymentMeansCode'));
+
+    const typeCode = text(root.InvoiceTypeCode) || text(root.CreditNoteTypeCode);
+
+    return {
+        documentType: typeFromCode(typeCode) || (isCreditNote ? 'credit_note' : 'invoice'),
+        referencedInvoiceNumber: text(get(root, 'BillingReference', 'InvoiceDocumentReference', 'ID')),
+        invoiceNumber: text(root.ID),
+        date: isoDate(root.IssueDate),
+        dueDate: isoDate(root.DueDate) || isoDate(get(paymentMeans, 'PaymentDueDate')),
+        vendor: mapUblParty(get(root, 'AccountingSupplierParty', 'Party')),
+        billTo: mapUblParty(get(root, 'AccountingCustomerParty', 'Party')),
+        amounts: {
+            subtotal: amount(get(totals, 'LineExtensionAmount')),
+            tax: amount(taxTotal?.TaxAmount),
+            taxRate: singleRate(taxRates),
+            discount: amount(get(totals, 'AllowanceTotalAmount')),
+            total: amount(get(totals, 'TaxInclusiveAmount')),
+            amountPaid: amount(get(totals, 'PrepaidAmount')),
+            balanceDue: amount(get(totals, 'PayableAmount')),
+            currency
+        },
+        items,
+        paymentDetails: {
+            method: meansCode ? PAYMENT_MEANS[meansCode] || `Payment means ${meansCode}` : null,
+            terms: text(get(root, 'PaymentTerms', 'Note')),
+            bankDetails: iban ? { iban, bic, accountName: text(get(account, 'Name')) } : null,
+            instructions: text(get(paymentMeans, 'PaymentID')) ? `Payment reference: ${text(get(paymentMeans, 'PaymentID'))}` : null
+        },
+        orderInfo: {
+            orderNumber: text(get(root, 'OrderReference', 'ID')),
+            orderDate: isoDate(get(root, 'OrderReference', 'IssueDate')),
+            reference: text(root.BuyerReference)
+        },
+        notes: asArray(root.Note).map(text).filter(Boolean).join('\n') || null,
+        structuredSource: {
+            format: 'ubl',
+            documentType: rootName,
+            typeCode,
+            profile: text(root.CustomizationID)
+        }
+    };
+}
+
+// ===============================
+// UN/CEFACT CII (also the ZUGFeRD/Factur-X payload)
+// ===============================
+
+function mapCiiParty(party) {
+    const address = get(party, 'PostalTradeAddress');
+    const contact = get(party, 'DefinedTradeContact');
+    const registrations = asArray(party?.SpecifiedTaxRegistration);
+    // VA is the VAT number, FC the local tax number
+    const vat = registrations.find(reg => reg.ID?.['@_schemeID'] === 'VA') || registrations[0];
+
+    return {
+        name: text(get(party, 'Name')),
+        address: joinLines([
+            text(get(address, 'LineOne')),
+            text(get(address, 'LineTwo')),
+            text(get(address, 'LineThree')),
+            joinLines([text(get(address, 'PostcodeCode')), text(get(address, 'CityName'))])?.replace(', ', ' '),
+            text(get(address, 'CountrySubDivisionName')),
+            text(get(address, 'CountryID'))
+        ]),
+        phone: text(get(contact, 'TelephoneUniversalCommunication', 'CompleteNumber')),
+        email: text(get(contact, 'EmailURIUniversalCommunication', 'URIID')) ||
+            text(get(party, 'URIUniversalCommunication', 'URIID')),
+        taxId: text(get(vat, 'ID'))
+    };
+}
+
+function parseCii(root) {
+    const header = get(root, 'ExchangedDocument');
+    const transaction = get(root, 'SupplyChainTradeTransaction');
+    const agreement = get(transaction, 'ApplicableHeaderTradeAgreement');
+    const settlement = get(transaction, 'ApplicableHeaderTradeSettlement');
+    const summation = get(settlement, 'SpecifiedTradeSettlementHeaderMonetarySummation');
+
+    const currency = text(get(settlement, 'InvoiceCurrencyCode'));
+
+    // TaxTotalAmount repeats when tax is also given in the accounting currency
+    const taxAmounts = asArray(summation?.TaxTotalAmount);
+    const taxTotal = taxAmounts.find(node => node?.['@_currencyID'] === currency) || taxAmounts[0];
+    const taxRates = asArray(settlement?.ApplicableTradeTax).map(tax => amount(get(tax, 'RateApplicablePercent')));
+
+    const items = asArray(transaction?.IncludedSupplyChainTradeLineItem).map(line => {
+        const product = get(line, 'SpecifiedTradeProduct');
+        const price = get(line, 'SpecifiedLineTradeAgreement', 'NetPriceProductTradePrice');
+        const basisQuantity = amount(get(price, 'BasisQuantity')) || 1;
+        const chargeAmount = amount(get(price, 'ChargeAmount'));
+        const billed = get(line, 'SpecifiedLineTradeDelivery', 'BilledQuantity');
+        const lineSettlement = get(line, 'SpecifiedLineTradeSettlement');
+
+        return {
+            lineNumber: text(get(line, 'AssociatedDocumentLineDocument', 'LineID')),
+            itemNumber: text(get(product, 'SellerAssignedID')),
+            description: text(get(product, 'Name')) || text(get(product, 'Description')) || '',
+            quantity: amount(billed),
+            unit: billed?.['@_unitCode'] || null,
+            unitPrice: chargeAmount !== null ? round(chargeAmount / basisQuantity, 4) : null,
+            amount: amount(get(lineSettlement, 'SpecifiedTradeSettlementLineMonetarySummation', 'LineTotalAmount')),
+            taxRate: amount(get(lineSettlement, 'ApplicableTradeTax', 'RateApplicablePercent')),
+            reference: null,
+            category: null,
+            confidence: 100
+        };
+    });
+
+    const paymentMeans = get(settlement, 'SpecifiedTradeSettlementPaymentMeans');
+    const iban = text(get(paymentMeans, 'PayeePartyCreditorFinancialAccount', 'IBANID')) ||
+        text(get(paymentMeans, 'PayeePartyCreditorFinancialAccount', 'ProprietaryID'));
+    const bic = text(get(paymentMeans, 'PayeeSpecifiedCreditorFinancialInstitution', 'BICID'));
+    const meansCode = text(get(paymentMeans, 'TypeCode'));
+    const paymentReference = text(get(settlement, 'PaymentReference'));
+    const terms = get(settlement, 'SpecifiedTradePaymentTerms');
+
+    return {
+        documentType: typeFromCode(text(get(header, 'TypeCode'))) || 'invoice',
+        referencedInvoiceNumber: text(get(settlement, 'InvoiceReferencedDocument', 'IssuerAssignedID')),
+        invoiceNumber: text(get(header, 'ID')),
+        date: isoDate(get(header, 'IssueDateTime', 'DateTimeString')),
+        dueDate: isoDate(get(terms, 'DueDateDateTime', 'DateTimeString')),
+        vendor: mapCiiParty(get(agreement, 'SellerTradeParty')),
+        billTo: mapCiiParty(get(agreement, 'BuyerTradeParty')),
+        amounts: {
+            subtotal: amount(get(summation, 'LineTotalAmount')),
+            tax: amount(taxTotal),
+            taxRate: singleRate(taxRates),
+            discount: amount(get(summation, 'AllowanceTotalAmount')),
+            total: amount(get(summation, 'GrandTotalAmount')),
+            amountPaid: amount(get(summation, 'TotalPrepaidAmount')),
+            balanceDue: amount(get(summation, 'DuePayableAmount')),
+            currency
+        },
+        items,
+        paymentDetails: {
+            method: meansCode ? PAYMENT_MEANS[meansCode] || `Payment means ${meansCode}` : null,
+            terms: text(get(terms, 'Description')),
+            bankDetails: iban ? { iban, bic, accountName: text(get(paymentMeans, 'PayeePartyCreditorFinancialAccount', 'AccountName')) } : null,
+            instructions: paymentReference ? `Payment reference: ${paymentReference}` : null
+        },
+        orderInfo: {
+            orderNumber: text(get(agreement, 'BuyerOrderReferencedDocument', 'IssuerAssignedID')),
+            orderDate: isoDate(get(agreement, 'BuyerOrderReferencedDocument', 'FormattedIssueDateTime', 'DateTimeString')),
+            reference: text(get(agreement, 'BuyerReference'))
+        },
+        notes: asArray(header?.IncludedNote).map(note => text(get(note, 'Content'))).filter(Boolean).join('\n') || null,
+        structuredSource: {
+            format: 'cii',
+            documentType: 'CrossIndustryInvoice',
+            typeCode: text(get(header, 'TypeCode')),
+            profile: text(get(root, 'ExchangedDocumentContext', 'GuidelineSpecifiedDocumentContextParameter', 'ID'))
+        }
+    };
+}
+
+// ===============================
+// Detection and entry points
+// ===============================
+
+// Parse XML and map it if it is a UBL or CII invoice; returns null for any other XML
+function parseInvoiceXml(xml) {
+    // The parser tolerates unclosed elements, which would turn a truncated file into an empty invoice
+    if (XMLValidator.validate(String(xml)) !== true) return null;
+
+    let parsed;
+    try {
+        parsed = parser.parse(String(xml));
+    } catch {
+        return null;
+    }
+
+    const rootName = Object.keys(parsed).find(key => !key.startsWith('?') && !key.startsWith('#'));
+    const root = parsed[rootName];
+    if (!root || typeof root !== 'object') return null;
+
+    if (rootName === 'Invoice' || rootName === 'CreditNote') {
+        return parseUbl(root, rootName);
+    }
+    if (rootName === 'CrossIndustryInvoice') {
+        return parseCii(root);
+    }
+    return null;
+}
+
+// The invoice XML attached to a ZUGFeRD/Factur-X PDF, or null for an ordinary PDF
+async function extractEmbeddedInvoiceXml(pdfBuffer) {
+    const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = null;
+
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise;
+    try {
+        const attachments = await pdf.getAttachments();
+        if (!attachments) return null;
+
+        const files = Object.values(attachments).filter(file => /\.xml$/i.test(file.filename || ''));
+        const ordered = [
+            ...files.filter(file => EMBEDDED_XML_NAMES.includes(file.filename.toLowerCase())),
+            ...files.filter(file => !EMBEDDED_XML_NAMES.includes(file.filename.toLowerCase()))
+        ];
+
+        for (const file of ordered) {
+            const xml = Buffer.from(file.content).toString('utf8');
+            const invoiceData = parseInvoiceXml(xml);
+            if (invoiceData) {
+                return { filename: file.filename, xml, invoiceData, pageCount: pdf.numPages };
+            }
+        }
+        return null;
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+function finalizeInvoiceData(invoiceData, source, attachmentName = null) {
+    invoiceData.structuredSource = {
+        ...invoiceData.structuredSource,
+        source,
+        attachment: attachmentName
+    };
+    invoiceData.confidence = 100;
+    invoiceData.extractionMethods = [attachmentName ? `${SOURCE_LABELS[source]} (${attachmentName})` : SOURCE_LABELS[source]];
+
+    // Values read from the XML are exact; there is nothing to be unsure about
+    invoiceData.fieldConfidence = {};
+    CONFIDENCE_FIELDS.forEach(fieldPath => {
+        const value = fieldPath.split('.').reduce((current, key) => current?.[key], invoiceData);
+        if (value !== null && value !== undefined && value !== '') {
+            setFieldConfidence(invoiceData, fieldPath, 100);
+        }
+    });
+
+    return invoiceData;
+}
+
+// Extract a structured invoice from an XML upload or a ZUGFeRD/Factur-X PDF.
+// Returns a processing result like the OCR pipeline's, or null when the file needs OCR.
+async function processStructuredInvoice(filePath, originalName = '') {
+    const startTime = Date.now();
+    const extension = path.extname(originalName || filePath).toLowerCase();
+
+    let invoiceData = null;
+    let source = null;
+    let attachmentName = null;
+    let xml = null;
+    let pageCount = 1;
+
+    if (extension === '.xml') {
+        xml = await fs.readFile(filePath, 'utf8');
+        invoiceData = parseInvoiceXml(xml);
+        if (!invoiceData) {
+            throw new Error('XML file is not a UBL 2.1 or UN/CEFACT CII invoice');
+        }
+        source = invoiceData.structuredSource.format;
+    } else if (extension === '.pdf') {
+        const embedded = await extractEmbeddedInvoiceXml(await fs.readFile(filePath));
+        if (!embedded) return null;
+        ({ invoiceData, xml, pageCount } = embedded);
+        source = 'zugferd';
+        attachmentName = embedded.filename;
+    } else {
+        return null;
+    }
+
+    finalizeInvoiceData(invoiceData, source, attachmentName);
+    const [method] = invoiceData.extractionMethods;
+
+    return {
+        extractedText: xml,
+        invoiceData,
+        extractionMethods: [method],
+        metrics: {
+            processingTime: Date.now() - startTime,
+            method,
+            confidence: 100,
+            averageConfidence: 100,
+            pagesProcessed: pageCount,
+            dataExtractionScore: 100,
+            consensusScore: 100,
+            fieldConfidenceAverage: 100
+        }
+    };
+}
+
+module.exports = {
+    SOURCE_LABELS,
+    parseInvoiceXml,
+    extractEmbeddedInvoiceXml,
+    processStructuredInvoice
+};
@@ -0,0 +1,160 @@
+// backend/utils/e-invoice.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseInvoiceXml, extractEmbeddedInvoiceXml, processStructuredInvoice } = require('./e-invoice');
+
+const FIXTURES = path.join(__dirname, '__fixtures__', 'e-invoice');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// pdfjs needs its native canvas binding, which is not built everywhere the tests run
+const pdfjsAvailable = (() => {
+    try {
+        require('pdfjs-dist/legacy/build/pdf.js');
+        return true;
+    } catch {
+        return false;
+    }
+})();
+const describeWithPdfjs = pdfjsAvailable ? describe : describe.skip;
+
+// The smallest PDF/A-3-style file that carries an attachment in its EmbeddedFiles name tree
+function pdfWithAttachment(filename, content) {
+    const objects = [
+        `<< /Type /Catalog /Pages 2 0 R /Names << /EmbeddedFiles << /Names [(${filename}) 4 0 R] >> >> >>`,
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>',
+        `<< /Type /Filespec /F (${filename}) /UF (${filename}) /EF << /F 5 0 R >> >>`,
+        `<< /Type /EmbeddedFile /Subtype /text#2Fxml /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+    ];
+
+    let body = '%PDF-1.7\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(body);
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(body);
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(body);
+}
+
+let tmpDir;
+const writeTmp = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e-invoice-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('parseInvoiceXml', () => {
+    test('maps a UBL 2.1 invoice', () => {
+        const invoiceData = parseInvoiceXml(fixture('ubl-invoice.xml'));
+
+        expect(invoiceData).toMatchObject({
+            documentType: 'invoice',
+            invoiceNumber: 'UBL-1001',
+            date: '2024-04-03',
+            dueDate: '2024-05-03',
+            vendor: { name: 'Muster GmbH', address: 'Hauptstraße 1, 10115 Berlin, DE', taxId: 'DE123456789' },
+            billTo: { name: 'Buyer AG' },
+            amounts: { subtotal: 100, tax: 19, taxRate: 19, total: 119, balanceDue: 119, currency: 'EUR' },
+            paymentDetails: {
+                method: 'SEPA credit transfer',
+                terms: 'Net 30',
+                bankDetails: { iban: 'DE89370400440532013000', bic: 'COBADEFFXXX' }
+            },
+            orderInfo: { orderNumber: 'PO-7788', reference: 'DEPT-42' },
+            structuredSource: { format: 'ubl', documentType: 'Invoice', typeCode: '380' }
+        });
+        expect(invoiceData.items).toEqual([
+            expect.objectContaining({ itemNumber: 'W-1', description: 'Widget', quantity: 4, unit: 'H87', unitPrice: 25, amount: 100, taxRate: 19 })
+        ]);
+    });
+
+    test('maps a UBL credit note and the invoice it refers to', () => {
+        const invoiceData = parseInvoiceXml(fixture('ubl-credit-note.xml'));
+
+        expect(invoiceData.documentType).toBe('credit_note');
+        expect(invoiceData.referencedInvoiceNumber).toBe('UBL-1001');
+        expect(invoiceData.items[0]).toMatchObject({ quantity: 1, amount: 25 });
+        expect(invoiceData.structuredSource.documentType).toBe('CreditNote');
+    });
+
+    test('maps a CII invoice, dividing the price by its basis quantity', () => {
+        const invoiceData = parseInvoiceXml(fixture('cii-invoice.xml'));
+
+        expect(invoiceData).toMatchObject({
+            documentType: 'invoice',
+            invoiceNumber: 'CII-3001',
+            date: '2024-04-03',
+            dueDate: '2024-04-17',
+            vendor: { name: 'Schrauben KG', address: 'Marienplatz 2, 80331 München, DE', taxId: 'DE987654321' },
+            amounts: { subtotal: 250, tax: 17.5, taxRate: 7, total: 267.5, balanceDue: 267.5, currency: 'EUR' },
+            paymentDetails: { bankDetails: { iban: 'DE02120300000000202051' }, instructions: 'Payment reference: CII-3001' },
+            orderInfo: { orderNumber: 'PO-5566' },
+            notes: 'Lieferung frei Haus',
+            structuredSource: { format: 'cii' }
+        });
+        expect(invoiceData.items[0]).toMatchObject({ quantity: 200, unit: 'C62', unitPrice: 1.25, amount: 250 });
+    });
+
+    test('returns null for XML that is not an invoice, and for malformed XML', () => {
+        expect(parseInvoiceXml('<?xml version="1.0"?><Order><ID>1</ID></Order>')).toBeNull();
+        expect(parseInvoiceXml('<Invoice><ID>')).toBeNull();
+    });
+});
+
+describe('processStructuredInvoice', () => {
+    test('reads an XML upload with full confidence', async () => {
+        const result = await processStructuredInvoice(writeTmp('upload.tmp', fixture('ubl-invoice.xml')), 'invoice.xml');
+
+        expect(result.extractionMethods).toEqual(['UBL 2.1']);
+        expect(result.metrics.confidence).toBe(100);
+        expect(result.invoiceData.structuredSource).toMatchObject({ source: 'ubl', attachment: null });
+        expect(result.invoiceData.fieldConfidence.invoiceNumber).toBe(100);
+    });
+
+    test('rejects XML that is not a UBL or CII invoice', async () => {
+        const filePath = writeTmp('order.tmp', '<?xml version="1.0"?><Order><ID>1</ID></Order>');
+
+        await expect(processStructuredInvoice(filePath, 'order.xml')).rejects.toThrow('not a UBL 2.1 or UN/CEFACT CII invoice');
+    });
+
+    test('leaves images to OCR', async () => {
+        await expect(processStructuredInvoice(writeTmp('scan.tmp', 'not read'), 'scan.png')).resolves.toBeNull();
+    });
+});
+
+describeWithPdfjs('ZUGFeRD/Factur-X PDFs', () => {
+    test('finds the CII invoice attached to the PDF', async () => {
+        const embedded = await extractEmbeddedInvoiceXml(pdfWithAttachment('factur-x.xml', fixture('cii-invoice.xml')));
+
+        expect(embedded).toMatchObject({ filename: 'factur-x.xml', pageCount: 1 });
+        expect(embedded.invoiceData.invoiceNumber).toBe('CII-3001');
+    });
+
+    test('reports the attachment it read the invoice from', async () => {
+        const filePath = writeTmp('zugferd.tmp', pdfWithAttachment('zugferd-invoice.xml', fixture('cii-invoice.xml')));
+        const result = await processStructuredInvoice(filePath, 'invoice.pdf');
+
+        expect(result.extractionMethods).toEqual(['ZUGFeRD/Factur-X (zugferd-invoice.xml)']);
+        expect(result.invoiceData.structuredSource).toMatchObject({ format: 'cii', source: 'zugferd', attachment: 'zugferd-invoice.xml' });
+    });
+
+    test('leaves a PDF whose attachment is not an invoice to OCR', async () => {
+        const filePath = writeTmp('plain.tmp', pdfWithAttachment('notes.xml', '<Notes/>'));
+
+        await expect(processStructuredInvoice(filePath, 'scan.pdf')).resolves.toBeNull();
+    });
+});
@@ -3,6 +3,11 @@
 
 const { GoogleDocumentAIProcessor } = require('./google-document-ai');
 const { processDocumentPure } = require('./pure-pdf-processor');
+const { averageFieldConfidence } = require('./field-confidence');
+const { validateInvoiceArithmetic } = require('./invoice-validation');
+const { mergeTemplateResult } = require('./vendor-templates');
+const { resolveLocale } = require('./locale');
+const { parseDate } = require('./dates');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -50,8 +55,10 @@ class EnhancedDocumentProcessor {
         };
     }
 
-    // Main processing function that chooses the best method
-    async processDocument(filePath, documentId, socketId, io) {
+    // Main processing function that chooses the best method.
+    // options.extractWithTemplate(text, words) runs the issuing vendor's learned template, if any.
+    // options.pages (1-based) limits processing to the pages of one document split out of the file.
+    async processDocument(filePath, documentId, socketId, io, options = {}) {
         const startTime = Date.now();
         
         try {
@@ -66,13 +73,13 @@ class EnhancedDocumentProcessor {
 
             if (this.useGoogleAI && this.googleAI && this.googleAI.isConfigured()) {
                 console.log('🤖 Using Google Document AI for processing...');
-                result = await this.processWithGoogleAI(filePath, documentId, socketId, io);
+                result = await this.processWithGoogleAI(filePath, documentId, socketId, io, options);
             } else {
                 console.log('🔍 Using OCR fallback processing...');
                 if (!this.useGoogleAI) {
                     console.log('ℹ️ Google Document AI not available - using enhanced OCR');
                 }
-                result = await this.processWithOCR(filePath, documentId, socketId, io);
+                result = await this.processWithOCR(filePath, documentId, socketId, io, options);
             }
 
             // Calculate processing metrics
@@ -82,10 +89,11 @@ class EnhancedDocumentProcessor {
                 processingTime: processingTime,
                 method: result.method,
                 confidence: result.confidence || 0,
-                pagesProcessed: 1,
+                pagesProcessed: options.pages ? options.pages.length : 1,
                 averageConfidence: result.confidence || 0,
                 dataExtractionScore: this.calculateDataScore(result.invoiceData),
-                consensusScore: result.confidence || 0
+                consensusScore: result.confidence || 0,
+                fieldConfidenceAverage: averageFieldConfidence(result.invoiceData)
             };
 
             console.log(`✅ Enhanced processing completed in ${processingTime}ms`);
@@ -95,7 +103,7 @@ class EnhancedDocumentProcessor {
                 extractedText: result.extractedText,
                 invoiceData: result.invoiceData,
                 metrics: metrics,
-                extractionMethods: [result.method]
+                extractionMethods: result.templateApplied ? ['Vendor Template', result.method] : [result.method]
             };
 
         } catch (error) {
@@ -105,10 +113,18 @@ class EnhancedDocumentProcessor {
     }
 
     // Process with Google Document AI
-    async processWithGoogleAI(filePath, documentId, socketId, io) {
+    async processWithGoogleAI(filePath, documentId, socketId, io, options = {}) {
         try {
-            const result = await this.googleAI.processDocument(filePath, documentId, socketId, io);
-            
+            const result = await this.googleAI.processDocument(filePath, documentId, socketId, io, { pages: options.pages });
+
+            // Values from the vendor's learned template replace Document AI's guesses for those fields
+            const templateResult = options.extractWithTemplate
+                ? await options.extractWithTemplate(result.extractedText, [])
+                : null;
+            if (templateResult) {
+                mergeTemplateResult(result.invoiceData, templateResult);
+            }
+
             // Enhance the result with additional validation
             const enhancedData = this.validateAndEnhanceData(result.invoiceData);
             
@@ -116,25 +132,27 @@ class EnhancedDocumentProcessor {
                 extractedText: result.extractedText,
                 invoiceData: enhancedData,
                 confidence: result.confidence,
-                method: 'Google Document AI'
+                method: 'Google Document AI',
+                templateApplied: !!templateResult
             };
 
         } catch (error) {
             console.warn('⚠️ Google Document AI failed, falling back to OCR:', error.message);
-            return await this.processWithOCR(filePath, documentId, socketId, io);
+            return await this.processWithOCR(filePath, documentId, socketId, io, options);
         }
     }
 
     // Process with OCR fallback
-    async processWithOCR(filePath, documentId, socketId, io) {
+    async processWithOCR(filePath, documentId, socketId, io, options = {}) {
         try {
-            const result = await processDocumentPure(filePath, documentId, socketId, io);
+            const result = await processDocumentPure(filePath, documentId, socketId, io, options);
             
             return {
                 extractedText: result.extractedText,
                 invoiceData: result.invoiceData,
                 confidence: result.metrics?.averageConfidence || 0,
-                method: 'Enhanced OCR'
+                method: 'Enhanced OCR',
+                templateApplied: result.extractionMethods.includes('Vendor Template')
             };
 
         } catch (error) {
@@ -152,12 +170,13 @@ class EnhancedDocumentProcessor {
             invoiceData.invoiceNumber = invoiceData.invoiceNumber.trim().replace(/[^\w\-]/g, '');
         }
 
-        // Validate and format dates
+        // Dates as ISO, a swappable day and month read in the vendor locale's order
+        const { dateOrder } = resolveLocale({ country: invoiceData.vendor?.country });
         if (invoiceData.date) {
-            invoiceData.date = this.validateDate(invoiceData.date);
+            invoiceData.date = parseDate(invoiceData.date, { dateOrder });
         }
         if (invoiceData.dueDate) {
-            invoiceData.dueDate = this.validateDate(invoiceData.dueDate);
+            invoiceData.dueDate = parseDate(invoiceData.dueDate, { dateOrder });
         }
 
         // Clean up vendor information
@@ -180,11 +199,6 @@ class EnhancedDocumentProcessor {
                     invoiceData.amounts[key] = Math.round(invoiceData.amounts[key] * 100) / 100;
                 }
             });
-
-            // Validate currency
-            if (!invoiceData.amounts.currency) {
-                invoiceData.amounts.currency = 'USD';
-            }
         }
 
         // Validate and clean line items
@@ -198,10 +212,15 @@ class EnhancedDocumentProcessor {
                     unitPrice: Math.round((item.unitPrice || 0) * 100) / 100,
                     amount: Math.round((item.amount || 0) * 100) / 100,
                     category: item.category || null,
-                    lineNumber: index + 1
+                    lineNumber: index + 1,
+                    confidence: item.confidence ?? null,
+                    locations: item.locations || {}
                 }));
         }
 
+        // Check the numbers add up once they are cleaned
+        invoiceData.validation = validateInvoiceArithmetic(invoiceData);
+
         return invoiceData;
     }
 
@@ -230,18 +249,6 @@ class EnhancedDocumentProcessor {
     }
 
     // Helper validation methods
-    validateDate(dateString) {
-        if (!dateString) return null;
-        try {
-            const date = new Date(dateString);
-            if (isNaN(date.getTime())) return dateString;
-            if (date.getFullYear() < 1900 || date.getFullYear() > 2100) return dateString;
-            return date.toISOString().split('T')[0];
-        } catch {
-            return dateString;
-        }
-    }
-
     validateEmail(email) {
         if (!email) return null;
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -1,7 +1,16 @@
 // backend/utils/enhanced-line-items-extraction.js
 // Improved line items extraction that separates actual items from totals/taxes
 
-function extractLineItemsOnly(text) {
+const { setFieldConfidence } = require('./field-confidence');
+const { SIGNED_AMOUNT, detectCurrency, detectLocale, parseLocalizedAmount } = require('./currency');
+const { INVOICE_DATE_LABELS, DUE_DATE_LABELS, labelledDate, parseDate } = require('./dates');
+
+// Pattern reliability (0-100) by the number of fields a line item pattern captured: a row read as
+// description, quantity, price and amount beats one read as code, description and amount
+const LINE_ITEM_PATTERN_CONFIDENCE = { 4: 90, 3: 75, 2: 65 };
+
+// locale: the number format amounts are read in (see detectLocale); detected from the text if not given
+function extractLineItemsOnly(text, locale = detectLocale(text)) {
     console.log('🔍 Extracting line items (excluding totals/taxes)...');
     
     if (!text || text.length < 10) {
@@ -52,11 +61,18 @@ function extractLineItemsOnly(text) {
         // Skip lines that are clearly summary/total lines
         if (isSummaryLine(line, summaryKeywords)) continue;
         
+        // Credit lines end in -12.00, (12.00), 12.00- or 12.00 CR; match them as positive, then negate
+        const { text: unsignedLine, sign } = splitAmountSign(line);
+
         // Try to match line item patterns
         for (const pattern of lineItemPatterns) {
-            const match = line.match(pattern);
+            const match = unsignedLine.match(pattern);
             if (match) {
-                const item = parseLineItemMatch(match, pattern);
+                const item = parseLineItemMatch(match, locale);
+                if (item && sign < 0) {
+                    item.amount = -item.amount;
+                    item.unitPrice = -item.unitPrice;
+                }
                 if (item && isValidLineItem(item)) {
                     potentialItems.push({
                         ...item,
@@ -80,13 +96,28 @@ function extractLineItemsOnly(text) {
             amount: item.amount,
             reference: item.reference || null,
             category: inferCategory(item.description),
-            lineNumber: index + 1
+            lineNumber: index + 1,
+            confidence: item.confidence
         }));
     
     console.log(`📦 Found ${cleanedItems.length} valid line items`);
     return cleanedItems.slice(0, 20); // Limit to 20 items max
 }
 
+// The line with the sign of its closing amount taken off, and that sign
+function splitAmountSign(line) {
+    const parenthesized = line.match(/^(.*\s)\((\s*[$£€¥₹]?\s*\d[\d.,]*)\)$/);
+    if (parenthesized) return { text: `${parenthesized[1]}${parenthesized[2].trim()}`, sign: -1 };
+
+    const trailing = line.match(/^(.*\d)\s*(?:-|CR)$/i);
+    if (trailing) return { text: trailing[1], sign: -1 };
+
+    const leading = line.match(/^(.*\s)-\s*([$£€¥₹]?\s*\d[\d.,]*)$/);
+    if (leading) return { text: `${leading[1]}${leading[2]}`, sign: -1 };
+
+    return { text: line, sign: 1 };
+}
+
 function isHeaderLine(line) {
     const headerPatterns = [
         /^(description|item|product|service|qty|quantity|price|rate|amount|total)[\s\|]*$/i,
@@ -124,15 +155,25 @@ function isSummaryLine(line, summaryKeywords) {
     return false;
 }
 
-function parseLineItemMatch(match, pattern) {
+function parseLineItemMatch(match, locale) {
+    const item = parseLineItemFields(match, locale);
+    if (item) {
+        item.confidence = LINE_ITEM_PATTERN_CONFIDENCE[match.length - 1] || 60;
+    }
+    return item;
+}
+
+function parseLineItemFields(match, locale) {
+    const amount = (value) => parseLocalizedAmount(value, locale) || 0;
+
     // Different parsing based on pattern structure
     if (match.length === 5) {
         // Full pattern: description, qty, price, amount
         return {
             description: match[1].trim(),
             quantity: parseFloat(match[2]) || 1,
-            unitPrice: parseFloat(match[3].replace(/[,]/g, '')) || 0,
-            amount: parseFloat(match[4].replace(/[,]/g, '')) || 0
+            unitPrice: amount(match[3]),
+            amount: amount(match[4])
         };
     } else if (match.length === 4) {
         // Code + description + amount, or description + amount
@@ -142,16 +183,16 @@ function parseLineItemMatch(match, pattern) {
                 description: match[2].trim(),
                 reference: match[1].trim(),
                 quantity: 1,
-                amount: parseFloat(match[3].replace(/[,]/g, '')) || 0,
-                unitPrice: parseFloat(match[3].replace(/[,]/g, '')) || 0
+                amount: amount(match[3]),
+                unitPrice: amount(match[3])
             };
         } else {
             // Description with qty, price, amount
             return {
                 description: match[1].trim(),
                 quantity: parseFloat(match[2]) || 1,
-                unitPrice: parseFloat(match[3].replace(/[,]/g, '')) || 0,
-                amount: parseFloat(match[3].replace(/[,]/g, '')) || 0
+                unitPrice: amount(match[3]),
+                amount: amount(match[3])
             };
         }
     } else if (match.length === 3) {
@@ -159,8 +200,8 @@ function parseLineItemMatch(match, pattern) {
         return {
             description: match[1].trim(),
             quantity: 1,
-            amount: parseFloat(match[2].replace(/[,]/g, '')) || 0,
-            unitPrice: parseFloat(match[2].replace(/[,]/g, '')) || 0
+            amount: amount(match[2]),
+            unitPrice: amount(match[2])
         };
     }
     
@@ -173,8 +214,8 @@ function isValidLineItem(item) {
     // Description must be meaningful
     if (item.description.length < 3 || item.description.length > 200) return false;
     
-    // Amount must be reasonable
-    if (!item.amount || item.amount <= 0 || item.amount > 1000000) return false;
+    // Amount must be reasonable; credit lines are negative
+    if (!item.amount || Math.abs(item.amount) > 1000000) return false;
     
     // Quantity must be reasonable
     if (item.quantity && (item.quantity <= 0 || item.quantity > 10000)) return false;
@@ -267,7 +308,7 @@ function enhancedRegexExtractionWithFixedItems(text) {
             total: null,
             amountPaid: null,
             balanceDue: null,
-            currency: 'USD'
+            currency: null
         },
         items: [],
         paymentDetails: {
@@ -289,8 +330,11 @@ function enhancedRegexExtractionWithFixedItems(text) {
     }
     
     try {
+        // Amounts are read in the number format of the vendor's locale
+        const locale = detectLocale(text);
+
         // Extract line items FIRST (before other extractions)
-        result.items = extractLineItemsOnly(text);
+        result.items = extractLineItemsOnly(text, locale);
         
         // Invoice Number - Enhanced patterns
         const invoicePatterns = [
@@ -300,37 +344,31 @@ function enhancedRegexExtractionWithFixedItems(text) {
             /#([A-Z0-9\-]{5,20})/,
             /(?:^|\s)([A-Z]{2,4}[-\s]?\d{4,8})(?:\s|$)/
         ];
+        const invoicePatternConfidence = [90, 85, 80, 70, 55];
         
-        for (const pattern of invoicePatterns) {
+        for (const [index, pattern] of invoicePatterns.entries()) {
             const match = text.match(pattern);
             if (match && match[1]) {
                 result.invoiceNumber = match[1].trim();
+                setFieldConfidence(result, 'invoiceNumber', invoicePatternConfidence[index]);
                 console.log(`📄 Found invoice number: ${result.invoiceNumber}`);
                 break;
             }
         }
         
-        // Date extraction
-        const datePatterns = [
-            /(?:invoice\s*date|date|issued)[:\s]*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i,
-            /(?:date)[:\s]*([A-Z][a-z]+\s+\d{1,2},?\s+\d{4})/i,
-            /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/,
-            /([A-Z][a-z]+\s+\d{1,2},?\s+\d{4})/
-        ];
-        
-        for (const pattern of datePatterns) {
-            const match = text.match(pattern);
-            if (match && match[1]) {
-                result.date = match[1].trim();
-                console.log(`📅 Found date: ${result.date}`);
-                break;
-            }
+        // Dates in any printed format, stored as ISO; a day and month that could be swapped are read in
+        // the locale's order here and settled against the invoice's other dates by normalizeInvoiceDates
+        const labelledInvoiceDate = labelledDate(text, INVOICE_DATE_LABELS, locale);
+        result.date = labelledInvoiceDate || parseDate(text, locale);
+        if (result.date) {
+            setFieldConfidence(result, 'date', labelledInvoiceDate ? 90 : 55);
+            console.log(`📅 Found date: ${result.date}`);
         }
         
         // Due Date
-        const dueDateMatch = text.match(/(?:due\s*date|payment\s*due)[:\s]*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i);
-        if (dueDateMatch) {
-            result.dueDate = dueDateMatch[1].trim();
+        result.dueDate = labelledDate(text, DUE_DATE_LABELS, locale);
+        if (result.dueDate) {
+            setFieldConfidence(result, 'dueDate', 90);
             console.log(`📅 Found due date: ${result.dueDate}`);
         }
         
@@ -340,11 +378,13 @@ function enhancedRegexExtractionWithFixedItems(text) {
             /^([A-Z][A-Za-z\s&\.,]{5,50})(?:\n|$)/m,
             /(?:^|\n)([A-Z][A-Za-z\s&\.,]{10,50})\s*(?:inc|llc|ltd|corp|co\.)/im
         ];
+        const vendorPatternConfidence = [85, 55, 70];
         
-        for (const pattern of vendorPatterns) {
+        for (const [index, pattern] of vendorPatterns.entries()) {
             const match = text.match(pattern);
             if (match && match[1]) {
                 result.vendor.name = match[1].trim();
+                setFieldConfidence(result, 'vendor.name', vendorPatternConfidence[index]);
                 console.log(`🏢 Found vendor: ${result.vendor.name}`);
                 break;
             }
@@ -354,53 +394,53 @@ function enhancedRegexExtractionWithFixedItems(text) {
         const emailMatch = text.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
         if (emailMatch) {
             result.vendor.email = emailMatch[1];
+            setFieldConfidence(result, 'vendor.email', 95);
             console.log(`📧 Found email: ${result.vendor.email}`);
         }
         
         // Phone numbers
-        const phoneMatch = text.match(/(?:phone|tel|call)[:\s]*([0-9\-\.\(\)\s]{10,20})/i) || 
+        const labelledPhoneMatch = text.match(/(?:phone|tel|call)[:\s]*([0-9\-\.\(\)\s]{10,20})/i);
+        const phoneMatch = labelledPhoneMatch || 
                           text.match(/(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})/);
         if (phoneMatch) {
             result.vendor.phone = phoneMatch[1].trim();
+            setFieldConfidence(result, 'vendor.phone', labelledPhoneMatch ? 90 : 65);
             console.log(`📞 Found phone: ${result.vendor.phone}`);
         }
         
         // SEPARATE AMOUNT EXTRACTION (not from line items)
         
         // Subtotal (exclude line items)
-        const subtotalPattern = /(?:^|\n)\s*(?:subtotal|sub\s*total)[\s:]*[\$£€¥₹C\$]?\s*([0-9,]+\.?\d{0,2})/im;
+        const subtotalPattern = new RegExp(`(?:^|\\n)\\s*(?:subtotal|sub\\s*total)\\b[\\s:]*${SIGNED_AMOUNT}`, 'im');
         const subtotalMatch = text.match(subtotalPattern);
         if (subtotalMatch) {
-            result.amounts.subtotal = parseFloat(subtotalMatch[1].replace(/,/g, ''));
+            result.amounts.subtotal = parseLocalizedAmount(subtotalMatch[1], locale);
+            setFieldConfidence(result, 'amounts.subtotal', 90);
             console.log(`💰 Found subtotal: ${result.amounts.subtotal}`);
         }
         
         // Tax (exclude line items)
-        const taxPattern = /(?:^|\n)\s*(?:tax|vat|gst)[\s:]*[\$£€¥₹C\$]?\s*([0-9,]+\.?\d{0,2})/im;
+        const taxPattern = new RegExp(`(?:^|\\n)\\s*(?:tax|vat|gst)\\b[\\s:]*${SIGNED_AMOUNT}`, 'im');
         const taxMatch = text.match(taxPattern);
         if (taxMatch) {
-            result.amounts.tax = parseFloat(taxMatch[1].replace(/,/g, ''));
+            result.amounts.tax = parseLocalizedAmount(taxMatch[1], locale);
+            setFieldConfidence(result, 'amounts.tax', 90);
             console.log(`💰 Found tax: ${result.amounts.tax}`);
         }
         
         // Total (exclude line items)
-        const totalPattern = /(?:^|\n)\s*(?:total|grand\s*total|amount\s*due|final\s*total)[\s:]*[\$£€¥₹C\$]?\s*([0-9,]+\.?\d{0,2})/im;
+        const totalPattern = new RegExp(`(?:^|\\n)\\s*(?:total|grand\\s*total|amount\\s*due|final\\s*total)\\b[\\s:]*${SIGNED_AMOUNT}`, 'im');
         const totalMatch = text.match(totalPattern);
         if (totalMatch) {
-            result.amounts.total = parseFloat(totalMatch[1].replace(/,/g, ''));
+            result.amounts.total = parseLocalizedAmount(totalMatch[1], locale);
+            setFieldConfidence(result, 'amounts.total', 90);
             console.log(`💰 Found total: ${result.amounts.total}`);
         }
         
-        // Currency detection
-        if (text.includes('CAD') || text.includes('C$')) {
-            result.amounts.currency = 'CAD';
-        } else if (text.includes('€') || text.includes('EUR')) {
-            result.amounts.currency = 'EUR';
-        } else if (text.includes('£') || text.includes('GBP')) {
-            result.amounts.currency = 'GBP';
-        } else if (text.includes('₹') || text.includes('INR')) {
-            result.amounts.currency = 'INR';
-        }
+        // Currency: an ISO code or symbol printed on the invoice, else the vendor country's currency
+        result.amounts.currency = locale.currency;
+        const printed = ['code', 'symbol'].includes(detectCurrency(text, locale)?.source);
+        setFieldConfidence(result, 'amounts.currency', printed ? 85 : 40);
         
         console.log(`💱 Currency: ${result.amounts.currency}`);
         console.log(`📦 Extracted ${result.items.length} line items (excluding totals)`);
@@ -5,6 +5,9 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
 const { tesseractManager } = require('./tesseract-manager');
+const { toLocatedOcrWords } = require('./field-locations');
+const { SIGNED_AMOUNT, detectLocale, parseLocalizedAmount } = require('./currency');
+const { INVOICE_DATE_LABELS, DUE_DATE_LABELS, labelledDate } = require('./dates');
 
 // Enhanced image preprocessing
 async function enhancedPreprocessImage(imagePath) {
@@ -98,7 +101,7 @@ async function performEnhancedOCR(imagePath, documentId, socketId, pageNumber =
             text: cleanedText,
             confidence: bestConfidence,
             mode: bestResult.mode,
-            words: bestResult.words,
+            words: await toLocatedOcrWords(bestResult.words, imagePath, pageNumber),
             lines: bestResult.lines,
             paragraphs: bestResult.paragraphs
         };
@@ -209,7 +212,7 @@ function basicRegexExtraction(text) {
             total: null,
             amountPaid: null,
             balanceDue: null,
-            currency: 'USD'
+            currency: null
         },
         items: [],
         paymentDetails: {
@@ -231,6 +234,10 @@ function basicRegexExtraction(text) {
     }
 
     try {
+        // Amounts are read in the number format of the vendor's locale
+        const locale = detectLocale(text);
+        const parseSignedAmount = (amountText) => parseLocalizedAmount(amountText, locale);
+
         // Invoice Number
         const invoiceMatch = text.match(/(?:invoice\s*(?:number|#|no\.?)?[:\s]*([A-Z0-9\-]{3,20}))/i);
         if (invoiceMatch) {
@@ -238,17 +245,15 @@ function basicRegexExtraction(text) {
             console.log(`📄 Found invoice number: ${result.invoiceNumber}`);
         }
 
-        // Date
-        const dateMatch = text.match(/(?:invoice\s*date|date|issued)[:\s]*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i);
-        if (dateMatch) {
-            result.date = dateMatch[1].trim();
+        // Dates as ISO, a swappable day and month read in the locale's order
+        result.date = labelledDate(text, INVOICE_DATE_LABELS, locale);
+        if (result.date) {
             console.log(`📅 Found date: ${result.date}`);
         }
 
         // Due Date
-        const dueDateMatch = text.match(/(?:due\s*date|payment\s*due)[:\s]*(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i);
-        if (dueDateMatch) {
-            result.dueDate = dueDateMatch[1].trim();
+        result.dueDate = labelledDate(text, DUE_DATE_LABELS, locale);
+        if (result.dueDate) {
             console.log(`📅 Found due date: ${result.dueDate}`);
         }
 
@@ -275,36 +280,28 @@ function basicRegexExtraction(text) {
         }
 
         // Total amount
-        const totalMatch = text.match(/(?:total|grand\s*total|amount\s*due)[:\s]*[\$£€¥₹C\$]?\s*([0-9,]+\.?\d{0,2})/i);
+        const totalMatch = text.match(new RegExp(`\\b(?:total|grand\\s*total|amount\\s*due)\\b[:\\s]*${SIGNED_AMOUNT}`, 'i'));
         if (totalMatch) {
-            result.amounts.total = parseFloat(totalMatch[1].replace(/,/g, ''));
+            result.amounts.total = parseSignedAmount(totalMatch[1]);
             console.log(`💰 Found total: ${result.amounts.total}`);
         }
 
         // Subtotal
-        const subtotalMatch = text.match(/(?:subtotal|sub\s*total)[:\s]*[\$£€¥₹C\$]?\s*([0-9,]+\.?\d{0,2})/i);
+        const subtotalMatch = text.match(new RegExp(`\\b(?:subtotal|sub\\s*total)\\b[:\\s]*${SIGNED_AMOUNT}`, 'i'));
         if (subtotalMatch) {
-            result.amounts.subtotal = parseFloat(subtotalMatch[1].replace(/,/g, ''));
+            result.amounts.subtotal = parseSignedAmount(subtotalMatch[1]);
             console.log(`💰 Found subtotal: ${result.amounts.subtotal}`);
         }
 
         // Tax
-        const taxMatch = text.match(/(?:tax|vat|gst)[:\s]*[\$£€¥₹C\$]?\s*([0-9,]+\.?\d{0,2})/i);
+        const taxMatch = text.match(new RegExp(`\\b(?:tax|vat|gst)\\b[:\\s]*${SIGNED_AMOUNT}`, 'i'));
         if (taxMatch) {
-            result.amounts.tax = parseFloat(taxMatch[1].replace(/,/g, ''));
+            result.amounts.tax = parseSignedAmount(taxMatch[1]);
             console.log(`💰 Found tax: ${result.amounts.tax}`);
         }
 
-        // Currency detection
-        if (text.includes('CAD') || text.includes('C$')) {
-            result.amounts.currency = 'CAD';
-        } else if (text.includes('€') || text.includes('EUR')) {
-            result.amounts.currency = 'EUR';
-        } else if (text.includes('£') || text.includes('GBP')) {
-            result.amounts.currency = 'GBP';
-        } else if (text.includes('₹') || text.includes('INR')) {
-            result.amounts.currency = 'INR';
-        }
+        // ISO 4217 code, from the codes and symbols printed on the invoice
+        result.amounts.currency = locale.currency;
 
         console.log(`💱 Currency: ${result.amounts.currency}`);
 
@@ -322,9 +319,9 @@ function basicRegexExtraction(text) {
         });
 
         result.items = itemLines.slice(0, 10).map((line, index) => {
-            const amountMatch = line.match(/([\$£€¥₹C\$]?\s*\d+[\.,]\d{2})/);
-            const amount = amountMatch ? parseFloat(amountMatch[1].replace(/[^\d\.]/g, '')) : 0;
-            const description = line.replace(/([\$£€¥₹C\$]?\s*\d+[\.,]\d{2}).*$/, '').trim();
+            const amountMatch = line.match(/([\$£€¥₹C\$]?\s*\d[\d.,']*[.,]\d{2})(?!\d)/);
+            const amount = amountMatch ? parseLocalizedAmount(amountMatch[1], locale) : 0;
+            const description = line.replace(/([\$£€¥₹C\$]?\s*\d[\d.,']*[.,]\d{2})(?!\d).*$/, '').trim();
 
             return {
                 description: description,
@@ -347,82 +344,10 @@ function basicRegexExtraction(text) {
     return result;
 }
 
-// Create enhanced LLM prompt
-function createEnhancedLLMPrompt(text) {
-    return `
-Please extract comprehensive invoice data from the following text and return it as valid JSON.
-
-Text to analyze:
-"""
-${text.substring(0, 4000)} // Limit text to prevent token overflow
-"""
-
-Return a JSON object with this exact structure:
-{
-  "invoiceNumber": "string or null",
-  "date": "string or null",
-  "dueDate": "string or null",
-  "vendor": {
-    "name": "string or null",
-    "address": "string or null",
-    "phone": "string or null",
-    "email": "string or null",
-    "website": "string or null",
-    "taxId": "string or null"
-  },
-  "billTo": {
-    "name": "string or null",
-    "address": "string or null",
-    "phone": "string or null",
-    "email": "string or null"
-  },
-  "amounts": {
-    "subtotal": number or null,
-    "tax": number or null,
-    "taxRate": "string or null",
-    "discount": number or null,
-    "total": number or null,
-    "amountPaid": number or null,
-    "balanceDue": number or null,
-    "currency": "string (USD, CAD, EUR, etc.)"
-  },
-  "items": [
-    {
-      "description": "string",
-      "quantity": number,
-      "unitPrice": number,
-      "amount": number,
-      "category": "string or null"
-    }
-  ],
-  "paymentDetails": {
-    "method": "string or null",
-    "terms": "string or null",
-    "instructions": "string or null"
-  },
-  "orderInfo": {
-    "orderNumber": "string or null",
-    "orderDate": "string or null",
-    "reference": "string or null"
-  },
-  "notes": "string or null"
-}
-
-Important instructions:
-1. Extract ALL line items with descriptions, quantities, unit prices, and amounts
-2. Include all vendor contact information found
-3. Parse all monetary amounts as numbers (no currency symbols)
-4. Identify the correct currency (USD, CAD, EUR, GBP, INR, etc.)
-5. Extract payment terms and methods if mentioned
-6. Return valid JSON only, no explanations
-`;
-}
-
 module.exports = {
     enhancedPreprocessImage,
     performEnhancedOCR,
     enhancedRegexExtraction,
-    createEnhancedLLMPrompt,
     postProcessOCRText,
     basicRegexExtraction
 };
\ No newline at end of file
@@ -0,0 +1,209 @@
+// backend/utils/field-confidence.js
+// Per-field and per-line-item confidence scores (0-100) stored on invoiceData.fieldConfidence
+
+// Fields the review screen shows a confidence chip for
+const CONFIDENCE_FIELDS = [
+    'invoiceNumber',
+    'date',
+    'dueDate',
+    'vendor.name',
+    'vendor.address',
+    'vendor.phone',
+    'vendor.email',
+    'vendor.taxId',
+    'billTo.name',
+    'billTo.address',
+    'amounts.subtotal',
+    'amounts.tax',
+    'amounts.taxRate',
+    'amounts.total',
+    'amounts.amountPaid',
+    'amounts.balanceDue',
+    'amounts.currency',
+    'paymentDetails.terms',
+    'orderInfo.orderNumber',
+    'orderInfo.orderDate'
+];
+
+// Used when an extractor found a value but gave no score of its own
+const DEFAULT_PATTERN_CONFIDENCE = 70;
+const DEFAULT_SOURCE_CONFIDENCE = 80;
+
+// Relative tolerance when deciding whether two extracted amounts agree
+const AMOUNT_TOLERANCE = 0.01;
+
+function getValue(obj, path) {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function clampConfidence(value) {
+    const num = Number(value);
+    if (isNaN(num)) return null;
+    return Math.round(Math.min(100, Math.max(0, num)) * 10) / 10;
+}
+
+// Record the score for the value an extractor just assigned to a field
+function setFieldConfidence(invoiceData, path, confidence) {
+    const score = clampConfidence(confidence);
+    if (!invoiceData || score === null) return;
+
+    invoiceData.fieldConfidence = invoiceData.fieldConfidence || {};
+    invoiceData.fieldConfidence[path] = score;
+}
+
+function normalizeToken(token) {
+    return String(token)
+        .toLowerCase()
+        .replace(/[^a-z0-9.@-]/g, '')
+        .replace(/^[.-]+|[.-]+$/g, '');
+}
+
+function tokensMatch(a, b) {
+    if (a === b) return true;
+
+    // "$1,234.50" and 1234.5 are the same amount
+    const numA = parseFloat(a.replace(/,/g, ''));
+    const numB = parseFloat(b.replace(/,/g, ''));
+    return /^-?[\d,]*\.?\d+$/.test(a) && /^-?[\d,]*\.?\d+$/.test(b) && numA === numB;
+}
+
+// Average Tesseract confidence of the OCR words that make up a value, or null if they can't be found
+function wordConfidenceForValue(value, words) {
+    if (!hasValue(value) || !Array.isArray(words) || words.length === 0) return null;
+
+    const tokens = String(value).split(/\s+/).map(normalizeToken).filter(Boolean);
+    if (tokens.length === 0) return null;
+
+    const confidences = [];
+    for (const token of tokens) {
+        const match = words.find(word => word && tokensMatch(normalizeToken(word.text || ''), token));
+        if (match && typeof match.confidence === 'number') {
+            confidences.push(match.confidence);
+        }
+    }
+
+    if (confidences.length === 0) return null;
+
+    // Tokens we could not locate count against the value
+    const coverage = confidences.length / tokens.length;
+    const average = confidences.reduce((sum, c) => sum + c, 0) / confidences.length;
+    return average * (0.5 + 0.5 * coverage);
+}
+
+// Combine how reliable the matching pattern was with how reliable the underlying text is.
+// source.words are OCR words ({ text, confidence }); source.textConfidence is the page-level score.
+function applySourceConfidence(invoiceData, source = {}) {
+    if (!invoiceData) return invoiceData;
+
+    const patternScores = invoiceData.fieldConfidence || {};
+    const textConfidence = hasValue(source.textConfidence) ? source.textConfidence : DEFAULT_SOURCE_CONFIDENCE;
+    const scored = {};
+
+    const sourceScore = (value) => {
+        const wordScore = wordConfidenceForValue(value, source.words);
+        return wordScore !== null ? wordScore : textConfidence;
+    };
+
+    for (const path of CONFIDENCE_FIELDS) {
+        const value = getValue(invoiceData, path);
+        if (!hasValue(value)) continue;
+
+        const patternScore = hasValue(patternScores[path]) ? patternScores[path] : DEFAULT_PATTERN_CONFIDENCE;
+        scored[path] = clampConfidence(patternScore * sourceScore(value) / 100);
+    }
+
+    invoiceData.fieldConfidence = scored;
+
+    if (Array.isArray(invoiceData.items)) {
+        invoiceData.items.forEach(item => {
+            const patternScore = hasValue(item.confidence) ? item.confidence : DEFAULT_PATTERN_CONFIDENCE;
+            const lineAmount = item.lineTotal ?? item.amount;
+            const textScore = sourceScore([item.description, lineAmount].filter(hasValue).join(' '));
+            item.confidence = clampConfidence(patternScore * textScore / 100);
+        });
+    }
+
+    return invoiceData;
+}
+
+function toAmount(value) {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value).replace(/[$£€¥₹,\s]/g, '');
+    return /^-?\d*\.?\d+$/.test(cleaned) ? parseFloat(cleaned) : null;
+}
+
+function valuesAgree(a, b) {
+    if (!hasValue(a) || !hasValue(b)) return false;
+
+    const numA = toAmount(a);
+    const numB = toAmount(b);
+    if (numA !== null && numB !== null) {
+        return Math.abs(numA - numB) <= Math.max(Math.abs(numA), 1) * AMOUNT_TOLERANCE;
+    }
+
+    return normalizeToken(String(a).replace(/\s+/g, '')) === normalizeToken(String(b).replace(/\s+/g, ''));
+}
+
+// Score a consensus result by how many sources agree with each chosen value,
+// weighted by the agreeing sources' own confidence when they reported one
+function scoreConsensus(consensus, results) {
+    const fieldConfidence = {};
+    const sourceCount = results.length || 1;
+
+    for (const path of CONFIDENCE_FIELDS) {
+        const value = getValue(consensus, path);
+        if (!hasValue(value)) continue;
+
+        const flatKey = path.split('.').pop();
+        const agreeing = results.filter(r => valuesAgree(getValue(r, path) ?? r?.[flatKey], value));
+        if (agreeing.length === 0) continue;
+
+        const sourceScores = agreeing.map(r => r.fieldConfidence?.[path]).filter(hasValue);
+        const sourceScore = sourceScores.length > 0
+            ? sourceScores.reduce((sum, c) => sum + c, 0) / sourceScores.length
+            : DEFAULT_SOURCE_CONFIDENCE;
+
+        fieldConfidence[path] = clampConfidence(sourceScore * (0.5 + 0.5 * agreeing.length / sourceCount));
+    }
+
+    consensus.fieldConfidence = fieldConfidence;
+
+    if (Array.isArray(consensus.items)) {
+        consensus.items = consensus.items.map(item => {
+            const lineAmount = item.lineTotal ?? item.amount;
+            const agreeing = results.filter(r => Array.isArray(r.items) &&
+                r.items.some(other => valuesAgree(other.lineTotal ?? other.amount, lineAmount)));
+            const sourceScore = hasValue(item.confidence) ? item.confidence : DEFAULT_SOURCE_CONFIDENCE;
+
+            return {
+                ...item,
+                confidence: clampConfidence(sourceScore * (0.5 + 0.5 * Math.max(agreeing.length, 1) / sourceCount))
+            };
+        });
+    }
+
+    return consensus;
+}
+
+// Mean of the recorded field scores, for summary metrics
+function averageFieldConfidence(invoiceData) {
+    const scores = Object.values(invoiceData?.fieldConfidence || {}).filter(hasValue);
+    if (scores.length === 0) return null;
+    return clampConfidence(scores.reduce((sum, c) => sum + c, 0) / scores.length);
+}
+
+module.exports = {
+    CONFIDENCE_FIELDS,
+    setFieldConfidence,
+    wordConfidenceForValue,
+    applySourceConfidence,
+    scoreConsensus,
+    averageFieldConfidence,
+    normalizeToken,
+    tokensMatch,
+    valuesAgree
+};
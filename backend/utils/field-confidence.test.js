@@ -0,0 +1,104 @@
+// backend/utils/field-confidence.test.js
+
+const {
+    setFieldConfidence,
+    wordConfidenceForValue,
+    applySourceConfidence,
+    scoreConsensus,
+    averageFieldConfidence,
+    valuesAgree
+} = require('./field-confidence');
+
+const WORDS = [
+    { text: 'INV-1001', confidence: 95 },
+    { text: 'ACME', confidence: 90 },
+    { text: '$1,234.50', confidence: 88 },
+    { text: 'Blue', confidence: 80 },
+    { text: 'widget', confidence: 70 },
+    { text: '20.00', confidence: 90 }
+];
+
+describe('wordConfidenceForValue', () => {
+    test('averages the OCR confidence of the words that spell the value', () => {
+        expect(wordConfidenceForValue('INV-1001', WORDS)).toBe(95);
+        expect(wordConfidenceForValue('Blue widget 20', WORDS)).toBe(80);
+        // "$1,234.50" on the page is the extracted 1234.5
+        expect(wordConfidenceForValue(1234.5, WORDS)).toBe(88);
+    });
+
+    test('counts the words it cannot find against the value', () => {
+        expect(wordConfidenceForValue('ACME Supplies', WORDS)).toBe(67.5);
+        expect(wordConfidenceForValue('Globex', WORDS)).toBeNull();
+        expect(wordConfidenceForValue('ACME', [])).toBeNull();
+    });
+});
+
+describe('applySourceConfidence', () => {
+    const extracted = () => ({
+        invoiceNumber: 'INV-1001',
+        date: '2024-04-03',
+        vendor: { name: 'ACME Supplies' },
+        amounts: { total: 1234.5, tax: null },
+        fieldConfidence: { invoiceNumber: 90, 'vendor.name': 80 },
+        items: [{ description: 'Blue widget', amount: 20, confidence: 60 }, { description: 'Freight', amount: 5 }]
+    });
+
+    test('scales each pattern score by the confidence of the text it was read from', () => {
+        const data = applySourceConfidence(extracted(), { words: WORDS, textConfidence: 75 });
+
+        expect(data.fieldConfidence).toEqual({
+            invoiceNumber: 85.5,
+            // Not found in the words: the page's text confidence, and the default pattern score
+            date: 52.5,
+            'vendor.name': 54,
+            'amounts.total': 61.6
+        });
+        expect(data.items.map(item => item.confidence)).toEqual([48, 52.5]);
+    });
+
+    test('uses the default text confidence without OCR words', () => {
+        const data = applySourceConfidence(extracted());
+
+        expect(data.fieldConfidence.invoiceNumber).toBe(72);
+        expect(data.fieldConfidence).not.toHaveProperty('amounts.tax');
+    });
+});
+
+describe('scoreConsensus', () => {
+    test('scores each field by how many sources agree with it, weighted by their own scores', () => {
+        const consensus = { invoiceNumber: 'INV-1001', amounts: { total: 100 }, dueDate: '2024-05-01', items: [{ amount: 40, confidence: 90 }] };
+        const results = [
+            { invoiceNumber: 'INV-1001', amounts: { total: 100.5 }, fieldConfidence: { invoiceNumber: 90, 'amounts.total': 80 }, items: [{ amount: 40 }] },
+            // Flat results from the older extractors count too
+            { invoiceNumber: 'INV-1001', total: '100.00', items: [] },
+            { invoiceNumber: 'INV-1007', amounts: { total: 250 } }
+        ];
+
+        const scored = scoreConsensus(consensus, results);
+
+        expect(scored.fieldConfidence).toEqual({ invoiceNumber: 75, 'amounts.total': 66.7 });
+        expect(scored.items[0].confidence).toBe(60);
+    });
+});
+
+describe('valuesAgree', () => {
+    test('compares amounts within one percent and text without spacing or case', () => {
+        expect(valuesAgree('$1,000.00', 1009)).toBe(true);
+        expect(valuesAgree(1000, 1011)).toBe(false);
+        expect(valuesAgree('ACME Supplies', 'acme  supplies')).toBe(true);
+        expect(valuesAgree('INV-1001', null)).toBe(false);
+    });
+});
+
+describe('setFieldConfidence and averageFieldConfidence', () => {
+    test('clamps scores to 0-100 and averages the recorded ones', () => {
+        const data = {};
+        setFieldConfidence(data, 'invoiceNumber', 120);
+        setFieldConfidence(data, 'date', 61.04);
+        setFieldConfidence(data, 'vendor.name', 'high');
+
+        expect(data.fieldConfidence).toEqual({ invoiceNumber: 100, date: 61 });
+        expect(averageFieldConfidence(data)).toBe(80.5);
+        expect(averageFieldConfidence({})).toBeNull();
+    });
+});
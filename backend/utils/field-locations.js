@@ -0,0 +1,208 @@
+// backend/utils/field-locations.js
+// Where each extracted value sits on the page, stored on invoiceData.fieldLocations.
+// A location is { page, bbox: { x, y, width, height } } with page 1-based and bbox normalized to 0-1
+// (top-left origin), so the viewer can draw it at any zoom level.
+
+const sharp = require('sharp');
+const { CONFIDENCE_FIELDS, normalizeToken, tokensMatch, valuesAgree } = require('./field-confidence');
+
+// Line item cells we try to locate for regex/OCR extracted items
+const ITEM_LOCATION_FIELDS = ['description', 'lineTotal', 'amount', 'unitPrice', 'quantity', 'itemNumber'];
+
+function roundCoordinate(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+}
+
+// Edges are clamped to the page before the size is taken, so a box running off the page ends at its edge
+function boxFromEdges(left, top, right, bottom) {
+    if ([left, top, right, bottom].some(v => typeof v !== 'number' || isNaN(v))) return null;
+
+    const [x0, y0, x1, y1] = [left, top, right, bottom].map(roundCoordinate);
+    if (x1 <= x0 || y1 <= y0) return null;
+
+    return {
+        x: x0,
+        y: y0,
+        width: roundCoordinate(x1 - x0),
+        height: roundCoordinate(y1 - y0)
+    };
+}
+
+// Document AI bounding poly -> bbox; prefers normalizedVertices, else scales vertices by the page dimension
+function boundingPolyToBox(boundingPoly, dimension) {
+    if (!boundingPoly) return null;
+
+    let vertices = boundingPoly.normalizedVertices;
+    if (!vertices || vertices.length === 0) {
+        if (!boundingPoly.vertices || !dimension?.width || !dimension?.height) return null;
+        vertices = boundingPoly.vertices.map(v => ({
+            x: (v.x || 0) / dimension.width,
+            y: (v.y || 0) / dimension.height
+        }));
+    }
+
+    const xs = vertices.map(v => v.x || 0);
+    const ys = vertices.map(v => v.y || 0);
+    return boxFromEdges(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+}
+
+// Document AI entity pageAnchor -> location (pageRefs[].page is a 0-based index, sent as a string)
+function pageAnchorToLocation(pageAnchor, pages) {
+    const pageRef = pageAnchor?.pageRefs?.[0];
+    if (!pageRef) return null;
+
+    const pageIndex = parseInt(pageRef.page || 0, 10) || 0;
+    const bbox = boundingPolyToBox(pageRef.boundingPoly, pages?.[pageIndex]?.dimension);
+    return bbox ? { page: pageIndex + 1, bbox } : null;
+}
+
+// Document AI layout (table cells, tokens) on a known page -> location
+function layoutToLocation(layout, page) {
+    const bbox = boundingPolyToBox(layout?.boundingPoly, page?.dimension);
+    return bbox ? { page: page?.pageNumber || 1, bbox } : null;
+}
+
+// Smallest box around several locations on the same page
+function unionLocations(locations) {
+    const onPage = locations.filter(Boolean);
+    if (onPage.length === 0) return null;
+
+    const page = onPage[0].page;
+    const boxes = onPage.filter(l => l.page === page).map(l => l.bbox);
+    const box = boxFromEdges(
+        Math.min(...boxes.map(b => b.x)),
+        Math.min(...boxes.map(b => b.y)),
+        Math.max(...boxes.map(b => b.x + b.width)),
+        Math.max(...boxes.map(b => b.y + b.height))
+    );
+    return box ? { page, bbox: box } : null;
+}
+
+function setFieldLocation(invoiceData, path, location) {
+    if (!invoiceData || !location) return;
+
+    invoiceData.fieldLocations = invoiceData.fieldLocations || {};
+    invoiceData.fieldLocations[path] = location;
+}
+
+// Tesseract words carry pixel boxes ({ x0, y0, x1, y1 }); keep text, confidence and a normalized location
+async function toLocatedOcrWords(words, imagePath, pageNumber = 1) {
+    if (!Array.isArray(words) || words.length === 0) return [];
+
+    let width;
+    let height;
+    try {
+        ({ width, height } = await sharp(imagePath).metadata());
+    } catch (error) {
+        console.warn(`⚠️ Could not read image size for word boxes: ${error.message}`);
+        return words.map(word => ({ text: word.text, confidence: word.confidence, location: null }));
+    }
+
+    return words.map(word => {
+        const bbox = word.bbox
+            ? boxFromEdges(word.bbox.x0 / width, word.bbox.y0 / height, word.bbox.x1 / width, word.bbox.y1 / height)
+            : null;
+
+        return {
+            text: word.text,
+            confidence: word.confidence,
+            location: bbox ? { page: pageNumber, bbox } : null
+        };
+    });
+}
+
+// Find the run of words that spells a value and return the box around it
+function locateValueInWords(value, words) {
+    if (value === null || value === undefined || value === '' || !Array.isArray(words)) return null;
+
+    const tokens = String(value).split(/\s+/).map(normalizeToken).filter(Boolean);
+    if (tokens.length === 0) return null;
+
+    let best = null;
+    for (let start = 0; start < words.length; start++) {
+        if (!words[start]?.location || !tokensMatch(normalizeToken(words[start].text || ''), tokens[0])) continue;
+
+        let matched = 1;
+        while (matched < tokens.length && start + matched < words.length &&
+            tokensMatch(normalizeToken(words[start + matched].text || ''), tokens[matched])) {
+            matched++;
+        }
+
+        if (!best || matched > best.matched) {
+            best = { start, matched };
+            if (matched === tokens.length) break;
+        }
+    }
+
+    if (!best) return null;
+    return unionLocations(words.slice(best.start, best.start + best.matched).map(w => w.location));
+}
+
+function wordsOnLineOf(location, words) {
+    const { y, height } = location.bbox;
+    return words.filter(word => {
+        if (!word.location || word.location.page !== location.page) return false;
+        const center = word.location.bbox.y + word.location.bbox.height / 2;
+        return center >= y - height / 2 && center <= y + height * 1.5;
+    });
+}
+
+// Locate every extracted field and line item cell in a page's words (OCR or PDF.js text)
+function applyWordLocations(invoiceData, words) {
+    if (!invoiceData || !Array.isArray(words) || words.length === 0) return invoiceData;
+
+    for (const path of CONFIDENCE_FIELDS) {
+        const value = path.split('.').reduce((current, key) => current?.[key], invoiceData);
+        setFieldLocation(invoiceData, path, locateValueInWords(value, words));
+    }
+
+    if (Array.isArray(invoiceData.items)) {
+        invoiceData.items.forEach(item => {
+            const locations = {};
+            const description = locateValueInWords(item.description, words);
+
+            // Numbers like "1" appear all over a page, so look for the other cells on the description's line
+            const rowWords = description ? wordsOnLineOf(description, words) : words;
+            ITEM_LOCATION_FIELDS.forEach(field => {
+                const location = field === 'description' ? description : locateValueInWords(item[field], rowWords);
+                if (location) locations[field] = location;
+            });
+
+            const row = unionLocations(Object.values(locations));
+            if (row) {
+                item.locations = { ...locations, row };
+            }
+        });
+    }
+
+    return invoiceData;
+}
+
+// Take each consensus field's location from a source that extracted the same value
+function pickConsensusLocations(consensus, results) {
+    const fieldLocations = {};
+
+    for (const path of CONFIDENCE_FIELDS) {
+        const value = path.split('.').reduce((current, key) => current?.[key], consensus);
+        const source = results.find(r => r.fieldLocations?.[path] &&
+            valuesAgree(path.split('.').reduce((current, key) => current?.[key], r), value));
+        if (source) {
+            fieldLocations[path] = source.fieldLocations[path];
+        }
+    }
+
+    consensus.fieldLocations = fieldLocations;
+    return consensus;
+}
+
+module.exports = {
+    boundingPolyToBox,
+    pageAnchorToLocation,
+    layoutToLocation,
+    unionLocations,
+    setFieldLocation,
+    toLocatedOcrWords,
+    locateValueInWords,
+    applyWordLocations,
+    pickConsensusLocations
+};
@@ -0,0 +1,121 @@
+// backend/utils/field-locations.test.js
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const {
+    boundingPolyToBox,
+    pageAnchorToLocation,
+    unionLocations,
+    toLocatedOcrWords,
+    locateValueInWords,
+    applyWordLocations,
+    pickConsensusLocations
+} = require('./field-locations');
+
+const word = (text, x, y, page = 1) => ({ text, confidence: 90, location: { page, bbox: { x, y, width: 0.05, height: 0.02 } } });
+
+describe('boundingPolyToBox', () => {
+    test('takes the box around normalized vertices', () => {
+        const box = boundingPolyToBox({ normalizedVertices: [{ x: 0.1, y: 0.2 }, { x: 0.4, y: 0.2 }, { x: 0.4, y: 0.25 }, { x: 0.1, y: 0.25 }] });
+
+        expect(box).toEqual({ x: 0.1, y: 0.2, width: 0.3, height: 0.05 });
+    });
+
+    test('scales pixel vertices by the page size and needs the page size to do so', () => {
+        const poly = { vertices: [{ x: 100, y: 50 }, { x: 300, y: 50 }, { x: 300, y: 100 }, { x: 100, y: 100 }] };
+
+        expect(boundingPolyToBox(poly, { width: 1000, height: 500 })).toEqual({ x: 0.1, y: 0.1, width: 0.2, height: 0.1 });
+        expect(boundingPolyToBox(poly)).toBeNull();
+    });
+
+    test('rejects an empty box and clamps one running off the page', () => {
+        expect(boundingPolyToBox({ normalizedVertices: [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.6 }] })).toBeNull();
+        expect(boundingPolyToBox({ normalizedVertices: [{ x: 0.9, y: 0.9 }, { x: 1.2, y: 1.1 }] })).toEqual({ x: 0.9, y: 0.9, width: 0.1, height: 0.1 });
+    });
+});
+
+describe('pageAnchorToLocation', () => {
+    test('turns the 0-based page index into a 1-based page number', () => {
+        const pages = [{}, { dimension: { width: 1000, height: 500 } }];
+        const anchor = { pageRefs: [{ page: '1', boundingPoly: { vertices: [{ x: 100, y: 50 }, { x: 300, y: 100 }] } }] };
+
+        expect(pageAnchorToLocation(anchor, pages)).toEqual({ page: 2, bbox: { x: 0.1, y: 0.1, width: 0.2, height: 0.1 } });
+        expect(pageAnchorToLocation({ pageRefs: [] }, pages)).toBeNull();
+    });
+});
+
+describe('toLocatedOcrWords', () => {
+    const imagePath = path.join(os.tmpdir(), `field-locations-${process.pid}.png`);
+
+    beforeAll(() => sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } }).png().toFile(imagePath));
+    afterAll(() => fs.unlink(imagePath));
+
+    test('normalizes Tesseract pixel boxes by the image size', async () => {
+        const words = await toLocatedOcrWords([
+            { text: 'INV-1001', confidence: 91, bbox: { x0: 20, y0: 10, x1: 60, y1: 20 } },
+            { text: 'stray', confidence: 12 }
+        ], imagePath, 2);
+
+        expect(words).toEqual([
+            { text: 'INV-1001', confidence: 91, location: { page: 2, bbox: { x: 0.1, y: 0.1, width: 0.2, height: 0.1 } } },
+            { text: 'stray', confidence: 12, location: null }
+        ]);
+    });
+});
+
+describe('locateValueInWords', () => {
+    const words = [word('ACME', 0.1, 0.05), word('Supplies', 0.16, 0.05), word('Total:', 0.6, 0.8), word('$1,234.50', 0.7, 0.8)];
+
+    test('boxes the run of words that spells a value', () => {
+        expect(locateValueInWords('ACME Supplies', words)).toEqual({ page: 1, bbox: { x: 0.1, y: 0.05, width: 0.11, height: 0.02 } });
+        expect(locateValueInWords(1234.5, words)).toEqual({ page: 1, bbox: { x: 0.7, y: 0.8, width: 0.05, height: 0.02 } });
+    });
+
+    test('finds nothing for a value that is not on the page', () => {
+        expect(locateValueInWords('Globex', words)).toBeNull();
+        expect(locateValueInWords('', words)).toBeNull();
+    });
+
+    test('keeps a box to the page of the first word', () => {
+        expect(unionLocations([word('a', 0.1, 0.1).location, word('b', 0.5, 0.5, 2).location])).toEqual(word('a', 0.1, 0.1).location);
+    });
+});
+
+describe('applyWordLocations', () => {
+    test('locates the fields and each item cell on its description\'s line', () => {
+        const words = [
+            word('INV-1001', 0.7, 0.05),
+            // A stray "1" higher up the page must not be taken for the quantity
+            word('1', 0.1, 0.2),
+            word('Blue', 0.1, 0.4),
+            word('widget', 0.16, 0.4),
+            word('1', 0.6, 0.4),
+            word('20.00', 0.8, 0.4)
+        ];
+
+        const data = applyWordLocations({ invoiceNumber: 'INV-1001', items: [{ description: 'Blue widget', quantity: 1, amount: 20 }] }, words);
+
+        expect(data.fieldLocations).toEqual({ invoiceNumber: { page: 1, bbox: { x: 0.7, y: 0.05, width: 0.05, height: 0.02 } } });
+        expect(data.items[0].locations).toEqual({
+            description: { page: 1, bbox: { x: 0.1, y: 0.4, width: 0.11, height: 0.02 } },
+            quantity: { page: 1, bbox: { x: 0.6, y: 0.4, width: 0.05, height: 0.02 } },
+            amount: { page: 1, bbox: { x: 0.8, y: 0.4, width: 0.05, height: 0.02 } },
+            row: { page: 1, bbox: { x: 0.1, y: 0.4, width: 0.75, height: 0.02 } }
+        });
+    });
+});
+
+describe('pickConsensusLocations', () => {
+    test('takes each field\'s box from a source that extracted the same value', () => {
+        const box = (x) => ({ page: 1, bbox: { x, y: 0.1, width: 0.1, height: 0.02 } });
+        const consensus = { invoiceNumber: 'INV-1001', amounts: { total: 100 } };
+        const results = [
+            { invoiceNumber: 'INV-1007', amounts: { total: 100 }, fieldLocations: { invoiceNumber: box(0.1), 'amounts.total': box(0.2) } },
+            { invoiceNumber: 'INV-1001', fieldLocations: { invoiceNumber: box(0.3) } }
+        ];
+
+        expect(pickConsensusLocations(consensus, results).fieldLocations).toEqual({ invoiceNumber: box(0.3), 'amounts.total': box(0.2) });
+    });
+});
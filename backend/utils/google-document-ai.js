@@ -4,6 +4,57 @@
 const { DocumentProcessorServiceClient } = require('@google-cloud/documentai');
 const fs = require('fs');
 const path = require('path');
+const { setFieldConfidence } = require('./field-confidence');
+const { pageAnchorToLocation, layoutToLocation, unionLocations, setFieldLocation } = require('./field-locations');
+const { detectLocale, normalizeCurrency, parseLocalizedAmount } = require('./currency');
+const { resolveLocale } = require('./locale');
+const { parseDate } = require('./dates');
+
+// Table column mapping keys -> line item fields they fill
+const COLUMN_ITEM_FIELDS = {
+    itemNumber: 'itemNumber',
+    description: 'description',
+    customerPartNo: 'customerPartNo',
+    quantity: 'unitQtyOrdered',
+    unitQtyOrdered: 'unitQtyOrdered',
+    qtyShipped: 'qtyShipped',
+    unitPrice: 'unitPrice',
+    netPrice: 'netPrice',
+    amount: 'lineTotal'
+};
+
+// Entity types handled by processStandardEntity, mapped to the invoiceData field they fill
+const ENTITY_FIELD_PATHS = {
+    invoice_id: 'invoiceNumber',
+    invoice_number: 'invoiceNumber',
+    invoice_date: 'date',
+    due_date: 'dueDate',
+    supplier_name: 'vendor.name',
+    vendor_name: 'vendor.name',
+    supplier_address: 'vendor.address',
+    vendor_address: 'vendor.address',
+    supplier_phone: 'vendor.phone',
+    vendor_phone: 'vendor.phone',
+    supplier_email: 'vendor.email',
+    vendor_email: 'vendor.email',
+    supplier_website: 'vendor.website',
+    supplier_tax_id: 'vendor.taxId',
+    vendor_tax_id: 'vendor.taxId',
+    customer_name: 'billTo.name',
+    bill_to_name: 'billTo.name',
+    customer_address: 'billTo.address',
+    bill_to_address: 'billTo.address',
+    total_amount: 'amounts.total',
+    invoice_total: 'amounts.total',
+    net_amount: 'amounts.subtotal',
+    subtotal_amount: 'amounts.subtotal',
+    total_tax_amount: 'amounts.tax',
+    tax_amount: 'amounts.tax',
+    currency: 'amounts.currency',
+    payment_terms: 'paymentDetails.terms',
+    purchase_order: 'orderInfo.orderNumber',
+    order_number: 'orderInfo.orderNumber'
+};
 
 class GoogleDocumentAIProcessor {
     constructor() {
@@ -12,6 +63,8 @@ class GoogleDocumentAIProcessor {
         this.processorName = null;
         this.isInitialized = false;
         this.initializationError = null;
+        // Number format of the document being parsed (see parseDocumentAIResponse)
+        this.locale = resolveLocale();
 
         // Initialize lazily when first used
         this.initialize();
@@ -113,8 +166,8 @@ class GoogleDocumentAIProcessor {
         };
     }
 
-    // Process document with Google Document AI
-    async processDocument(filePath, documentId, socketId, io) {
+    // Process document with Google Document AI; pages (1-based) limits it to part of the file
+    async processDocument(filePath, documentId, socketId, io, { pages = null } = {}) {
         try {
             // Ensure we're properly initialized
             if (!this.isConfigured()) {
@@ -151,6 +204,9 @@ class GoogleDocumentAIProcessor {
                     mimeType: mimeType,
                 },
             };
+            if (pages) {
+                request.processOptions = { individualPageSelector: { pages } };
+            }
 
             console.log(`📤 Sending to Google Document AI (${mimeType})`);
 
@@ -241,7 +297,7 @@ class GoogleDocumentAIProcessor {
                 total: null,
                 amountPaid: null,
                 balanceDue: null,
-                currency: 'USD'
+                currency: null
             },
             items: [], // This will store the final items
             paymentDetails: {
@@ -269,6 +325,15 @@ class GoogleDocumentAIProcessor {
         console.log(`   Entities: ${document.entities?.length || 0}`);
         console.log(`   Text length: ${document.text?.length || 0} characters`);
 
+        // Amounts are read in the number format of the vendor's locale. Parsing is synchronous, so the
+        // shared processor can hold it for the document at hand.
+        const currencyEntity = (document.entities || []).find(entity => entity.type === 'currency');
+        const moneyEntity = (document.entities || []).find(entity => entity.normalizedValue?.moneyValue?.currencyCode);
+        this.locale = detectLocale(document.text, {
+            amounts: { currency: moneyEntity?.normalizedValue.moneyValue.currencyCode || currencyEntity?.mentionText || null }
+        });
+        console.log(`💱 Locale: ${this.locale.country || 'unknown country'}, ${this.locale.currency || 'unknown currency'}, decimal "${this.locale.decimalSeparator || '?'}"`);
+
         let totalConfidence = 0;
         let entityCount = 0;
         const lineItemEntities = [];
@@ -300,18 +365,21 @@ class GoogleDocumentAIProcessor {
                         type: entityType,
                         text: mentionText,
                         confidence: confidence,
-                        pageAnchor: entity.pageAnchor
+                        pageAnchor: entity.pageAnchor,
+                        location: pageAnchorToLocation(entity.pageAnchor, document.pages)
                     });
                     console.log(`   🎯 LINE ITEM ENTITY FOUND: ${entityType}`);
                 }
 
                 // Process standard entities
-                this.processStandardEntity(entity, result);
+                this.processStandardEntity(entity, result, document.pages);
             }
 
             console.log(`\n📈 Entity Summary: ${entityCount} total, ${lineItemEntities.length} line item entities`);
         }
 
+        result.amounts.currency = normalizeCurrency(result.amounts.currency, this.locale) || this.locale.currency;
+
         // CRITICAL: Initialize allExtractedItems array to collect from all methods
         let allExtractedItems = [];
 
@@ -449,6 +517,8 @@ class GoogleDocumentAIProcessor {
                 const item = this.extractItemFromTableRowWithDebug(row, structure, fullText, rowIndex, cellContents);
 
                 if (item) {
+                    item.confidence = this.getRowConfidence(row);
+                    item.locations = this.getRowCellLocations(row, structure.columnMapping, page);
                     console.log(`         ✅ Extracted item:`, item);
                     items.push(item);
                 } else {
@@ -461,6 +531,32 @@ class GoogleDocumentAIProcessor {
         return items;
     }
 
+    // Average OCR confidence of a table row's cells, as a percentage
+    getRowConfidence(row) {
+        const cellConfidences = row.cells
+            .map(cell => cell.layout?.confidence)
+            .filter(confidence => typeof confidence === 'number');
+
+        if (cellConfidences.length === 0) return null;
+        return (cellConfidences.reduce((sum, c) => sum + c, 0) / cellConfidences.length) * 100;
+    }
+
+    // Page location of each mapped cell in a table row, plus the whole row
+    getRowCellLocations(row, columnMapping, page) {
+        const locations = {};
+
+        Object.entries(columnMapping || {}).forEach(([column, cellIndex]) => {
+            const field = COLUMN_ITEM_FIELDS[column];
+            const location = field && layoutToLocation(row.cells[cellIndex]?.layout, page);
+            if (location) locations[field] = location;
+        });
+
+        const rowLocation = unionLocations(row.cells.map(cell => layoutToLocation(cell.layout, page)));
+        if (rowLocation) locations.row = rowLocation;
+
+        return locations;
+    }
+
     // Enhanced table structure analysis with debugging
     analyzeTableStructureWithDebug(table, fullText) {
         const structure = {
@@ -655,32 +751,8 @@ class GoogleDocumentAIProcessor {
 
         console.log(`         💰 Parsing amount: "${text}"`);
 
-        // Remove currency symbols and clean
-        const cleaned = text.replace(/[^\d.,\-]/g, '');
-        console.log(`         💰 Cleaned: "${cleaned}"`);
-
-        if (!cleaned) return null;
-
-        // Handle different number formats
-        let number;
-        if (cleaned.includes(',') && cleaned.includes('.')) {
-            // Format: 1,234.56
-            number = parseFloat(cleaned.replace(/,/g, ''));
-        } else if (cleaned.includes(',')) {
-            // Could be 1,234 or 1,23 (European)
-            const parts = cleaned.split(',');
-            if (parts[parts.length - 1].length <= 2) {
-                // European format: 1.234,56
-                number = parseFloat(cleaned.replace(/\./g, '').replace(',', '.'));
-            } else {
-                // US format: 1,234
-                number = parseFloat(cleaned.replace(/,/g, ''));
-            }
-        } else {
-            number = parseFloat(cleaned);
-        }
-
-        const result = !isNaN(number) && number >= 0 ? number : null;
+        // Signed, in the document's number format (1.234,56 from a German vendor is 1234.56)
+        const result = parseLocalizedAmount(text, this.locale);
         console.log(`         💰 Parsed result: ${result}`);
 
         return result;
@@ -783,7 +855,7 @@ class GoogleDocumentAIProcessor {
                 }
 
                 // Check for amount-like content
-                if (this.parseAmountWithDebug(cellText) > 0) {
+                if (Math.abs(this.parseAmountWithDebug(cellText)) > 0) {
                     hasAmount = true;
                 }
             }
@@ -816,6 +888,8 @@ class GoogleDocumentAIProcessor {
             console.log(`   🔍 Processing line_item entity: "${entity.text}"`);
             const item = this.parseLineItemFromText(entity.text);
             if (item) {
+                item.confidence = (entity.confidence || 0) * 100;
+                item.locations = entity.location ? { row: entity.location } : {};
                 items.push(item);
                 console.log('   ✅ Entity-based item:', item);
             }
@@ -896,13 +970,8 @@ class GoogleDocumentAIProcessor {
 
     // Simple amount parsing
     parseAmountSafe(text) {
-        if (!text) return 0;
-
-        const cleaned = text.replace(/[^\d.,]/g, '');
-        if (!cleaned) return 0;
-
-        const number = parseFloat(cleaned.replace(/,/g, ''));
-        return !isNaN(number) && number >= 0 ? number : 0;
+        const number = parseLocalizedAmount(text, this.locale);
+        return number !== null && number >= 0 ? number : 0;
     }
 
     // Group line item entities that belong to the same item
@@ -1060,7 +1129,9 @@ class GoogleDocumentAIProcessor {
                 qtyShipped: Math.max(item.qtyShipped || 0, 0),
                 unitPrice: Math.round((item.unitPrice || 0) * 100) / 100,
                 netPrice: Math.round((item.netPrice || 0) * 100) / 100,
-                lineTotal: Math.round((item.lineTotal || 0) * 100) / 100
+                lineTotal: Math.round((item.lineTotal || 0) * 100) / 100,
+                confidence: typeof item.confidence === 'number' ? Math.round(item.confidence * 10) / 10 : null,
+                locations: item.locations || {}
             };
 
             cleanItems.push(cleanItem);
@@ -1135,7 +1206,7 @@ class GoogleDocumentAIProcessor {
         return entityType.toLowerCase() === 'line_item';
     }
 
-    processStandardEntity(entity, result) {
+    processStandardEntity(entity, result, pages) {
         const entityType = entity.type;
         const mentionText = entity.mentionText;
 
@@ -1145,10 +1216,10 @@ class GoogleDocumentAIProcessor {
                 result.invoiceNumber = mentionText;
                 break;
             case 'invoice_date':
-                result.date = this.formatDate(mentionText);
+                result.date = this.formatDate(entity);
                 break;
             case 'due_date':
-                result.dueDate = this.formatDate(mentionText);
+                result.dueDate = this.formatDate(entity);
                 break;
             case 'supplier_name':
             case 'vendor_name':
@@ -1204,6 +1275,11 @@ class GoogleDocumentAIProcessor {
                 result.orderInfo.orderNumber = mentionText;
                 break;
         }
+
+        if (ENTITY_FIELD_PATHS[entityType]) {
+            setFieldConfidence(result, ENTITY_FIELD_PATHS[entityType], (entity.confidence || 0) * 100);
+            setFieldLocation(result, ENTITY_FIELD_PATHS[entityType], pageAnchorToLocation(entity.pageAnchor, pages));
+        }
     }
 
     // Helper methods
@@ -1220,22 +1296,18 @@ class GoogleDocumentAIProcessor {
         return mimeTypes[ext] || 'application/pdf';
     }
 
-    formatDate(dateString) {
-        if (!dateString) return null;
-        try {
-            const date = new Date(dateString);
-            if (isNaN(date.getTime())) return dateString;
-            return date.toISOString().split('T')[0];
-        } catch {
-            return dateString;
+    // ISO date of a date entity: Document AI's own normalized date when it gives one, else the printed
+    // text read in the document locale's day/month order
+    formatDate(entity) {
+        const normalized = entity.normalizedValue?.dateValue;
+        if (normalized?.year && normalized?.month && normalized?.day) {
+            return parseDate(`${normalized.year}-${String(normalized.month).padStart(2, '0')}-${String(normalized.day).padStart(2, '0')}`);
         }
+        return parseDate(entity.mentionText, this.locale);
     }
 
     parseAmount(amountString) {
-        if (!amountString) return null;
-        const cleaned = amountString.replace(/[^\d.,]/g, '');
-        const number = parseFloat(cleaned.replace(/,/g, ''));
-        return isNaN(number) ? null : number;
+        return parseLocalizedAmount(amountString, this.locale);
     }
 }
 
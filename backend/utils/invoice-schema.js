@@ -0,0 +1,158 @@
+// backend/utils/invoice-schema.js
+// JSON Schema of the invoiceData an extractor has to return, and a validator for the subset of
+// JSON Schema it uses (type, properties, required, items, enum, pattern, minimum). LLM output is
+// checked against it before it is trusted.
+
+const { DOCUMENT_TYPES } = require('./document-type');
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const INVOICE_DATA_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'invoiceData',
+    type: 'object',
+    required: ['invoiceNumber', 'date', 'vendor', 'amounts', 'items'],
+    properties: {
+        documentType: { type: ['string', 'null'], enum: DOCUMENT_TYPES },
+        referencedInvoiceNumber: nullable('string'),
+        invoiceNumber: nullable('string'),
+        date: nullable('string'),
+        dueDate: nullable('string'),
+        vendor: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: nullable('string'),
+                address: nullable('string'),
+                phone: nullable('string'),
+                email: nullable('string'),
+                website: nullable('string'),
+                taxId: nullable('string'),
+                country: { type: ['string', 'null'], pattern: '^[A-Z]{2}$' }
+            }
+        },
+        billTo: {
+            type: ['object', 'null'],
+            properties: {
+                name: nullable('string'),
+                address: nullable('string'),
+                phone: nullable('string'),
+                email: nullable('string')
+            }
+        },
+        amounts: {
+            type: 'object',
+            required: ['total'],
+            properties: {
+                subtotal: nullable('number'),
+                tax: nullable('number'),
+                taxRate: { type: ['string', 'number', 'null'] },
+                discount: nullable('number'),
+                total: nullable('number'),
+                amountPaid: nullable('number'),
+                balanceDue: nullable('number'),
+                currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' }
+            }
+        },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['description', 'amount'],
+                properties: {
+                    description: { type: 'string' },
+                    quantity: nullable('number'),
+                    unitPrice: nullable('number'),
+                    amount: nullable('number'),
+                    category: nullable('string')
+                }
+            }
+        },
+        paymentDetails: {
+            type: ['object', 'null'],
+            properties: {
+                method: nullable('string'),
+                terms: nullable('string'),
+                instructions: nullable('string')
+            }
+        },
+        orderInfo: {
+            type: ['object', 'null'],
+            properties: {
+                orderNumber: nullable('string'),
+                orderDate: nullable('string'),
+                reference: nullable('string')
+            }
+        },
+        notes: nullable('string')
+    }
+};
+
+// What an item chunk of a long document returns
+const LINE_ITEMS_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'invoiceLineItems',
+    type: 'object',
+    required: ['items'],
+    properties: {
+        items: INVOICE_DATA_SCHEMA.properties.items
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, types) {
+    const actual = typeOf(value);
+    return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+// Every violation as { path, message }; an empty list means the value is valid
+function validateAgainstSchema(value, schema, path = '$', errors = []) {
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !matchesType(value, types)) {
+        errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+        return errors;
+    }
+    if (value === null) return errors;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) validateAgainstSchema(value[key], propertySchema, `${path}.${key}`, errors);
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    return errors;
+}
+
+function validateInvoiceData(invoiceData) {
+    return validateAgainstSchema(invoiceData, INVOICE_DATA_SCHEMA);
+}
+
+module.exports = {
+    INVOICE_DATA_SCHEMA,
+    LINE_ITEMS_SCHEMA,
+    validateAgainstSchema,
+    validateInvoiceData
+};
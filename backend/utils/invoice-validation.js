@@ -0,0 +1,295 @@
+// backend/utils/invoice-validation.js
+// Arithmetic and tax consistency checks on extracted invoice amounts, with a guess at which value was misread
+
+// One cent per rounded term; sums of several rounded terms get proportionally more room
+const DEFAULT_TOLERANCE = 0.01;
+
+// Digits OCR commonly confuses with each other
+const CONFUSABLE_DIGITS = [
+    ['0', '8'], ['0', '6'], ['0', '9'], ['1', '7'], ['1', '4'], ['3', '8'], ['5', '6'], ['5', '8'], ['6', '8'], ['8', '9']
+];
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(num) ? num : null;
+}
+
+function round(value, places = 2) {
+    return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+// Tax rates arrive as 8.25 (percent) or 0.0825 (fraction)
+function rateAsFraction(rate) {
+    return rate > 1 ? rate / 100 : rate;
+}
+
+function areConfusable(a, b) {
+    return CONFUSABLE_DIGITS.some(([x, y]) => (a === x && b === y) || (a === y && b === x));
+}
+
+// How plausibly `extracted` is an OCR misreading of `corrected`: { score, reason } with score 0-3
+function describeOcrError(extracted, corrected) {
+    if (extracted === null) {
+        return { score: 2, reason: 'value was not extracted' };
+    }
+    // Credit notes carry negative amounts; a misread keeps the sign, so compare magnitudes
+    if (corrected === null || corrected === 0 || extracted === 0 || Math.sign(corrected) !== Math.sign(extracted)) {
+        return { score: 0, reason: null };
+    }
+    corrected = Math.abs(corrected);
+    extracted = Math.abs(extracted);
+
+    const ratio = corrected / extracted;
+    const decimalShift = [10, 100, 1000, 0.1, 0.01, 0.001].some(factor => Math.abs(ratio - factor) < factor * 0.0005);
+    if (decimalShift) {
+        return { score: 3, reason: 'decimal point misread' };
+    }
+
+    const a = corrected.toFixed(2).replace('.', '');
+    const b = extracted.toFixed(2).replace('.', '');
+
+    if (a.length === b.length) {
+        const diffs = [...a].map((char, i) => (char !== b[i] ? i : -1)).filter(i => i >= 0);
+
+        if (diffs.length === 1) {
+            const confusable = areConfusable(a[diffs[0]], b[diffs[0]]);
+            return { score: confusable ? 3 : 2.5, reason: `digit ${b[diffs[0]]} misread for ${a[diffs[0]]}` };
+        }
+
+        if (diffs.length === 2 && diffs[1] === diffs[0] + 1 && a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]]) {
+            return { score: 2.5, reason: 'adjacent digits transposed' };
+        }
+    }
+
+    // One digit dropped or doubled
+    const [longer, shorter] = a.length > b.length ? [a, b] : [b, a];
+    if (longer.length === shorter.length + 1) {
+        for (let i = 0; i < longer.length; i++) {
+            if (longer.slice(0, i) + longer.slice(i + 1) === shorter) {
+                return { score: 2, reason: a.length > b.length ? 'digit dropped' : 'extra digit read' };
+            }
+        }
+    }
+
+    return { score: 0, reason: null };
+}
+
+// Each rule: the fields it ties together, the values it expects, and how to solve it for any one field
+function buildRules(invoiceData, tolerance) {
+    const amounts = invoiceData.amounts || {};
+    const items = Array.isArray(invoiceData.items) && invoiceData.items.length > 0
+        ? invoiceData.items
+        : (Array.isArray(invoiceData.lineItems) ? invoiceData.lineItems : []);
+    const itemsKey = Array.isArray(invoiceData.items) && invoiceData.items.length > 0 ? 'items' : 'lineItems';
+
+    const subtotal = toNumber(amounts.subtotal);
+    const tax = toNumber(amounts.tax);
+    const taxRate = toNumber(amounts.taxRate);
+    const discount = toNumber(amounts.discount);
+    const total = toNumber(amounts.total);
+    const amountPaid = toNumber(amounts.amountPaid);
+    const balanceDue = toNumber(amounts.balanceDue);
+
+    const rules = [];
+
+    // quantity × unitPrice = amount, per line
+    items.forEach((item, index) => {
+        const quantity = toNumber(item.quantity ?? item.qtyShipped);
+        const unitPrice = toNumber(item.unitPrice);
+        const amount = toNumber(item.amount ?? item.lineTotal);
+        if (quantity === null || unitPrice === null || amount === null) return;
+
+        const prefix = `${itemsKey}.${index}`;
+        rules.push({
+            rule: 'line_amount',
+            message: `Line ${index + 1}: quantity × unit price does not equal the line amount`,
+            fields: {
+                [`${prefix}.quantity`]: { value: quantity, solve: () => (unitPrice ? round(amount / unitPrice, 4) : null) },
+                [`${prefix}.unitPrice`]: { value: unitPrice, solve: () => (quantity ? round(amount / quantity, 4) : null) },
+                [`${prefix}.amount`]: { value: amount, solve: () => round(quantity * unitPrice) }
+            },
+            expected: round(quantity * unitPrice),
+            actual: amount,
+            // Unit prices are often printed rounded to the cent
+            tolerance: Math.max(tolerance, Math.abs(quantity) * 0.005 + tolerance / 2)
+        });
+    });
+
+    // sum(line amounts) = subtotal
+    const lineAmounts = items.map(item => toNumber(item.amount ?? item.lineTotal));
+    if (subtotal !== null && lineAmounts.length > 0 && lineAmounts.every(amount => amount !== null)) {
+        const sum = round(lineAmounts.reduce((acc, amount) => acc + amount, 0));
+        const fields = {
+            'amounts.subtotal': { value: subtotal, solve: () => sum }
+        };
+        lineAmounts.forEach((amount, index) => {
+            fields[`${itemsKey}.${index}.amount`] = { value: amount, solve: () => round(subtotal - (sum - amount)) };
+        });
+
+        rules.push({
+            rule: 'line_items_sum',
+            message: 'Line item amounts do not add up to the subtotal',
+            fields,
+            expected: sum,
+            actual: subtotal,
+            tolerance: tolerance * Math.max(1, Math.ceil(lineAmounts.length / 2))
+        });
+    }
+
+    // subtotal + tax − discount = total
+    if (subtotal !== null && total !== null) {
+        const expected = round(subtotal + (tax || 0) - (discount || 0));
+        rules.push({
+            rule: 'total',
+            message: 'Subtotal + tax − discount does not equal the total',
+            fields: {
+                'amounts.subtotal': { value: subtotal, solve: () => round(total - (tax || 0) + (discount || 0)) },
+                'amounts.tax': { value: tax, solve: () => round(total - subtotal + (discount || 0)) },
+                'amounts.discount': { value: discount, solve: () => round(subtotal + (tax || 0) - total) },
+                'amounts.total': { value: total, solve: () => expected }
+            },
+            expected,
+            actual: total,
+            tolerance: tolerance * 2
+        });
+    }
+
+    // tax = subtotal × taxRate
+    if (subtotal !== null && tax !== null && taxRate !== null && taxRate > 0) {
+        const fraction = rateAsFraction(taxRate);
+        const expected = round(subtotal * fraction);
+        rules.push({
+            rule: 'tax_rate',
+            message: 'Tax does not equal subtotal × tax rate',
+            fields: {
+                'amounts.tax': { value: tax, solve: () => expected },
+                'amounts.subtotal': { value: subtotal, solve: () => round(tax / fraction) },
+                'amounts.taxRate': {
+                    value: taxRate,
+                    solve: () => (subtotal ? round((tax / subtotal) * (taxRate > 1 ? 100 : 1), taxRate > 1 ? 3 : 5) : null)
+                }
+            },
+            expected,
+            actual: tax,
+            // A rate printed as 8.25% may really be anywhere from 8.245% to 8.255%
+            tolerance: tolerance + Math.abs(subtotal) * 0.00005
+        });
+    }
+
+    // balanceDue = total − amountPaid
+    if (total !== null && balanceDue !== null) {
+        const expected = round(total - (amountPaid || 0));
+        rules.push({
+            rule: 'balance_due',
+            message: 'Balance due does not equal total − amount paid',
+            fields: {
+                'amounts.total': { value: total, solve: () => round(balanceDue + (amountPaid || 0)) },
+                'amounts.amountPaid': { value: amountPaid, solve: () => round(total - balanceDue) },
+                'amounts.balanceDue': { value: balanceDue, solve: () => expected }
+            },
+            expected,
+            actual: balanceDue,
+            tolerance: tolerance * 2
+        });
+    }
+
+    return rules;
+}
+
+function confidenceOf(invoiceData, path) {
+    const [collection, index, field] = path.split('.');
+    if ((collection === 'items' || collection === 'lineItems') && field) {
+        const item = invoiceData[collection]?.[index];
+        return toNumber(item?.confidence);
+    }
+    return toNumber(invoiceData.fieldConfidence?.[path]);
+}
+
+// Rank the fields of a failed rule by how likely each is the misread one. A field that other passing
+// rules agree with is probably right; one that fails several rules, reads like an OCR slip of the value
+// that would fix the rule, or was extracted with low confidence is probably wrong.
+function suggestCorrection(invoiceData, failed, outcomes) {
+    const expectedSign = invoiceData.documentType === 'credit_note' ? -1 : 1;
+    const candidates = Object.entries(failed.fields).map(([path, field]) => {
+        const suggestedValue = field.solve();
+        if (suggestedValue === null || !Number.isFinite(suggestedValue)) return null;
+        if (suggestedValue * expectedSign < 0 && !path.endsWith('discount')) return null;
+
+        const involved = outcomes.filter(outcome => outcome !== failed && outcome.fields[path]);
+        const passing = involved.filter(outcome => outcome.passed).length;
+        const failing = involved.filter(outcome => !outcome.passed).length;
+
+        const ocr = describeOcrError(field.value, suggestedValue);
+        const confidence = confidenceOf(invoiceData, path);
+
+        const score = ocr.score
+            + 2 * failing
+            - 2 * passing
+            + (confidence !== null ? (100 - confidence) / 50 : 0);
+
+        const reasons = [];
+        if (ocr.reason) reasons.push(ocr.reason);
+        if (failing > 0) reasons.push(`also fails ${failing} other check${failing > 1 ? 's' : ''}`);
+        if (confidence !== null && confidence < 70) reasons.push(`low extraction confidence (${confidence}%)`);
+
+        return { field: path, currentValue: field.value, suggestedValue, score, reasons };
+    }).filter(Boolean);
+
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = candidates;
+
+    // A tie says nothing about which value is wrong
+    if (runnerUp && Math.abs(best.score - runnerUp.score) < 0.5 && best.reasons.length === 0) {
+        return null;
+    }
+
+    return {
+        field: best.field,
+        currentValue: best.currentValue,
+        suggestedValue: best.suggestedValue,
+        reason: best.reasons.join('; ') || 'the other values in this check are corroborated elsewhere'
+    };
+}
+
+// Check that the invoice's numbers add up. Returns { valid, checked, issues } where each issue is
+// { rule, message, fields, expected, actual, difference, suggestion } and suggestion (or null) names
+// the value most likely misread with the value that would satisfy the rule.
+function validateInvoiceArithmetic(invoiceData, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    if (!invoiceData || typeof invoiceData !== 'object') {
+        return { valid: true, checked: [], issues: [] };
+    }
+
+    const outcomes = buildRules(invoiceData, tolerance).map(rule => ({
+        ...rule,
+        difference: round(rule.actual - rule.expected),
+        passed: Math.abs(rule.actual - rule.expected) <= rule.tolerance + 1e-9
+    }));
+
+    const issues = outcomes
+        .filter(outcome => !outcome.passed)
+        .map(outcome => ({
+            rule: outcome.rule,
+            message: outcome.message,
+            fields: Object.keys(outcome.fields),
+            expected: outcome.expected,
+            actual: outcome.actual,
+            difference: outcome.difference,
+            suggestion: suggestCorrection(invoiceData, outcome, outcomes)
+        }));
+
+    return {
+        valid: issues.length === 0,
+        checked: [...new Set(outcomes.map(outcome => outcome.rule))],
+        issues,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    DEFAULT_TOLERANCE,
+    validateInvoiceArithmetic,
+    describeOcrError
+};
@@ -0,0 +1,94 @@
+// backend/utils/invoice-validation.test.js
+
+const { validateInvoiceArithmetic, describeOcrError } = require('./invoice-validation');
+
+const invoice = (overrides = {}) => ({
+    documentType: 'invoice',
+    amounts: { subtotal: 100, tax: 10, taxRate: 10, total: 110, balanceDue: 110, ...overrides.amounts },
+    items: overrides.items || [{ quantity: 2, unitPrice: 50, amount: 100 }],
+    ...(overrides.documentType ? { documentType: overrides.documentType } : {})
+});
+
+describe('validateInvoiceArithmetic', () => {
+    test('passes every rule on a consistent invoice', () => {
+        const result = validateInvoiceArithmetic(invoice());
+
+        expect(result.valid).toBe(true);
+        expect(result.issues).toEqual([]);
+        expect(result.checked).toEqual(expect.arrayContaining(['line_amount', 'line_items_sum', 'total', 'tax_rate', 'balance_due']));
+    });
+
+    test('accepts the tax rate as a percentage or a fraction', () => {
+        expect(validateInvoiceArithmetic(invoice({ amounts: { subtotal: 200, tax: 16.5, taxRate: 8.25, total: 216.5, balanceDue: 216.5 }, items: [{ quantity: 1, unitPrice: 200, amount: 200 }] })).valid).toBe(true);
+        expect(validateInvoiceArithmetic(invoice({ amounts: { taxRate: 0.1 } })).valid).toBe(true);
+    });
+
+    test('reports a line whose quantity × unit price is off', () => {
+        const result = validateInvoiceArithmetic(invoice({ items: [{ quantity: 2, unitPrice: 50, amount: 120 }] }));
+        const rules = result.issues.map(issue => issue.rule);
+
+        expect(result.valid).toBe(false);
+        expect(rules).toContain('line_amount');
+        expect(rules).toContain('line_items_sum');
+    });
+
+    test('suggests the total when its decimal point was misread', () => {
+        const result = validateInvoiceArithmetic(invoice({ amounts: { total: 1100 } }));
+        const totalIssue = result.issues.find(issue => issue.rule === 'total');
+
+        expect(totalIssue.expected).toBe(110);
+        expect(totalIssue.actual).toBe(1100);
+        expect(totalIssue.suggestion).toMatchObject({ field: 'amounts.total', currentValue: 1100, suggestedValue: 110 });
+        expect(totalIssue.suggestion.reason).toContain('decimal point misread');
+    });
+
+    test('keeps suggestions negative on a credit note', () => {
+        const result = validateInvoiceArithmetic(invoice({
+            documentType: 'credit_note',
+            amounts: { subtotal: -100, tax: -10, taxRate: 10, total: -1100, balanceDue: -110 },
+            items: [{ quantity: 2, unitPrice: -50, amount: -100 }]
+        }));
+        const totalIssue = result.issues.find(issue => issue.rule === 'total');
+
+        expect(totalIssue.suggestion).toMatchObject({ field: 'amounts.total', suggestedValue: -110 });
+    });
+
+    test('tolerates rounding to the cent', () => {
+        expect(validateInvoiceArithmetic(invoice({ amounts: { total: 110.01, balanceDue: 110.01 } })).valid).toBe(true);
+    });
+
+    test('treats missing data as nothing to check', () => {
+        expect(validateInvoiceArithmetic(null)).toEqual({ valid: true, checked: [], issues: [] });
+        expect(validateInvoiceArithmetic({ amounts: {} }).checked).toEqual([]);
+    });
+});
+
+describe('describeOcrError', () => {
+    test('recognizes a shifted decimal point', () => {
+        expect(describeOcrError(1100, 110)).toEqual({ score: 3, reason: 'decimal point misread' });
+        expect(describeOcrError(1.1, 110)).toEqual({ score: 3, reason: 'decimal point misread' });
+    });
+
+    test('scores confusable digits above other single-digit slips', () => {
+        expect(describeOcrError(18.5, 10.5)).toEqual({ score: 3, reason: 'digit 8 misread for 0' });
+        expect(describeOcrError(12.5, 10.5)).toEqual({ score: 2.5, reason: 'digit 2 misread for 0' });
+    });
+
+    test('recognizes transposed adjacent digits', () => {
+        expect(describeOcrError(12.54, 12.45)).toEqual({ score: 2.5, reason: 'adjacent digits transposed' });
+    });
+
+    test('recognizes dropped and extra digits', () => {
+        expect(describeOcrError(12.5, 112.5)).toEqual({ score: 2, reason: 'digit dropped' });
+        expect(describeOcrError(112.5, 12.5)).toEqual({ score: 2, reason: 'extra digit read' });
+    });
+
+    test('compares credit note amounts by magnitude and never across signs', () => {
+        expect(describeOcrError(-1100, -110)).toEqual({ score: 3, reason: 'decimal point misread' });
+        expect(describeOcrError(-110, 110)).toEqual({ score: 0, reason: null });
+    });
+
+    test('scores a value that was not extracted', () => {
+        expect(describeOcrError(null, 110)).toEqual({ score: 2, reason: 'value was not extracted' });
+    });
+});
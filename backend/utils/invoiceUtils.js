@@ -62,10 +62,10 @@ export const safeGetTotalAmount = (invoiceData) => {
 };
 
 /**
- * Safely extract currency from invoice data
+ * Safely extract currency (ISO 4217 code) from invoice data; null when none was detected
  */
 export const safeGetCurrency = (invoiceData) => {
-    if (!invoiceData) return 'USD';
+    if (!invoiceData) return null;
 
     // Check new structure first
     if (invoiceData.amounts?.currency) {
@@ -77,26 +77,23 @@ export const safeGetCurrency = (invoiceData) => {
         return invoiceData.currency;
     }
 
-    return 'USD';
+    return null;
 };
 
 /**
- * Safely format currency with proper symbol and amount
+ * Safely format an amount in the invoice currency; a plain number when no currency was detected
  */
 export const safeFormatCurrency = (amount, invoiceData) => {
     if (!amount || isNaN(amount)) return 'N/A';
 
     const currency = safeGetCurrency(invoiceData);
-    const currencyMap = {
-        'USD': '$',
-        'CAD': 'CAD $',
-        'INR': '₹',
-        'EUR': '€',
-        'GBP': '£'
-    };
+    if (!currency) return Number(amount).toLocaleString();
 
-    const symbol = currencyMap[currency] || '$';
-    return `${symbol}${amount.toLocaleString()}`;
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(amount));
+    } catch (error) {
+        return `${Number(amount).toLocaleString()} ${currency}`;
+    }
 };
 
 /**
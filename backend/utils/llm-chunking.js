@@ -0,0 +1,192 @@
+// backend/utils/llm-chunking.js
+// Page-aware chunking for LLM extraction of documents longer than one prompt. Header fields come from
+// the first and last pages (invoice number and parties on top, totals at the end), line items from
+// every page. Lines repeated on every page (letterhead, footer, page numbers, the item table's
+// column headings) are dropped from all but the first page, and rows repeated across a page break
+// are merged away.
+
+// OCR output marks pages as "--- Page 2 ---"; PDF text may separate them with form feeds
+const PAGE_MARKER = /^\s*-{2,}\s*page\s+\d+\s*-{2,}\s*$/im;
+const PAGE_NUMBER_LINE = /^(page\s*\d+(\s*(of|\/)\s*\d+)?|\d+\s*(of|\/)\s*\d+)$/i;
+const TABLE_HEADING_WORDS = /\b(description|item|qty|quantity|unit|price|rate|amount|total|sku|part)\b/gi;
+
+// Rows that only move a running total from one page to the next
+const CARRY_OVER_ROW = /\b(carried|brought)\s+forward\b|\bcontinued\b|\bpage\s+(sub)?total\b|\bc\/f\b|\bb\/f\b/i;
+
+// Lines of context from the previous page at the top of an item chunk, for rows split across the break
+const OVERLAP_LINES = 3;
+// How far from a page's top or bottom letterhead and footer lines are looked for
+const EDGE_LINES = 6;
+
+const normalizeLine = (line) => line.toLowerCase().replace(/\s+/g, ' ').trim();
+
+function splitPages(text) {
+    const source = String(text || '');
+    const parts = PAGE_MARKER.test(source)
+        ? source.split(new RegExp(PAGE_MARKER.source, 'gim'))
+        : source.split('\f');
+
+    return parts.map(page => page.trim()).filter(Boolean);
+}
+
+const isTableHeading = (line) => (line.match(TABLE_HEADING_WORDS) || []).length >= 2 && !/\d/.test(line);
+
+// Normalized lines that repeat as letterhead, footer or table heading on two or more pages
+function findRepeatedLines(pages) {
+    if (pages.length < 2) return new Set();
+
+    const seenOn = new Map();
+    pages.forEach((page, pageIndex) => {
+        const lines = page.split('\n').map(line => line.trim()).filter(Boolean);
+        lines.forEach((line, lineIndex) => {
+            const atEdge = lineIndex < EDGE_LINES || lineIndex >= lines.length - EDGE_LINES;
+            if (!atEdge && !isTableHeading(line)) return;
+
+            const key = normalizeLine(line);
+            if (!seenOn.has(key)) seenOn.set(key, new Set());
+            seenOn.get(key).add(pageIndex);
+        });
+    });
+
+    return new Set(Array.from(seenOn.entries())
+        .filter(([, pageSet]) => pageSet.size >= 2)
+        .map(([key]) => key));
+}
+
+// Pages with repeated lines and page numbers removed; the first page keeps its letterhead
+function stripRepeatedLines(pages) {
+    const repeated = findRepeatedLines(pages);
+
+    return pages.map((page, pageIndex) => page
+        .split('\n')
+        .filter(line => {
+            const trimmed = line.trim();
+            if (PAGE_NUMBER_LINE.test(trimmed)) return false;
+            if (pageIndex > 0 && repeated.has(normalizeLine(trimmed))) return false;
+            return true;
+        })
+        .join('\n')
+        .trim());
+}
+
+// Cut text at line boundaries into pieces of at most maxLength characters
+function splitAtLines(text, maxLength) {
+    const pieces = [];
+    let current = '';
+
+    text.split('\n').forEach(line => {
+        const piece = line.length > maxLength ? line.slice(0, maxLength) : line;
+        if (current && current.length + piece.length + 1 > maxLength) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+    });
+    if (current) pieces.push(current);
+
+    return pieces;
+}
+
+const headOf = (text, maxLength) => (text.length <= maxLength ? text : splitAtLines(text, maxLength)[0]);
+
+const tailOf = (text, maxLength) => {
+    if (text.length <= maxLength) return text;
+    const pieces = splitAtLines(text, maxLength);
+    return pieces[pieces.length - 1];
+};
+
+// The last few whole lines of a piece that fit in maxLength, carried into the next chunk as context
+const overlapOf = (text, maxLength) => {
+    const lines = text.split('\n').slice(-OVERLAP_LINES);
+    while (lines.length && lines.join('\n').length > maxLength) lines.shift();
+    return lines.join('\n');
+};
+
+// What to send for a document: { single } when it fits in one prompt, otherwise { header, itemChunks }
+// where header is the top of the first page and the end of the last, and each item chunk covers one
+// or more whole pages (or part of a long page) with a few lines of the previous page for context.
+function planChunks(text, maxLength) {
+    const pages = stripRepeatedLines(splitPages(text));
+    const joined = pages.join('\n\n');
+    if (joined.length <= maxLength) {
+        return { single: joined, pageCount: pages.length };
+    }
+
+    const first = pages[0];
+    const last = pages[pages.length - 1];
+    const header = pages.length === 1
+        ? `${headOf(first, Math.floor(maxLength * 0.6))}\n...\n${tailOf(first, Math.floor(maxLength * 0.4))}`
+        : `${headOf(first, Math.floor(maxLength * 0.6))}\n...\n${tailOf(last, Math.floor(maxLength * 0.4))}`;
+
+    const itemChunks = [];
+    const contextLength = Math.floor(maxLength * 0.1);
+    let previousTail = '';
+
+    pages.forEach((page, pageIndex) => {
+        const pieces = splitAtLines(page, maxLength - contextLength);
+        pieces.forEach(piece => {
+            const context = previousTail ? `${previousTail}\n` : '';
+            const open = itemChunks[itemChunks.length - 1];
+
+            // Short pages share a chunk
+            if (open && open.text.length + piece.length + 2 <= maxLength) {
+                open.text = `${open.text}\n\n${piece}`;
+                open.pages.push(pageIndex + 1);
+            } else {
+                itemChunks.push({ pages: [pageIndex + 1], text: `${context}${piece}`.slice(0, maxLength) });
+            }
+
+            previousTail = overlapOf(piece, contextLength);
+        });
+    });
+
+    itemChunks.forEach(chunk => {
+        chunk.pages = Array.from(new Set(chunk.pages));
+    });
+
+    return { header, itemChunks, pageCount: pages.length };
+}
+
+const itemKey = (item) => [
+    normalizeLine(String(item.description || '')),
+    Number(item.quantity) || '',
+    Number(item.amount) || ''
+].join('|');
+
+const hasAmount = (item) => item.amount !== null && item.amount !== undefined;
+
+// A row cut by a page break comes back from the chunk before without its amount, and whole from the
+// chunk that has the rest of it
+const completes = (item, partial) => !!partial?.description && !hasAmount(partial) && hasAmount(item) &&
+    normalizeLine(String(item.description || '')).startsWith(normalizeLine(String(partial.description || '')));
+
+// Line items of all chunks in page order. A row a chunk repeats from the end of the chunk before it
+// (the overlap context, or a row printed again after a page break) is kept once, the whole row
+// replaces the part of it cut off by a page break, and carry-over rows go.
+function mergeChunkItems(chunkItems) {
+    const merged = [];
+
+    chunkItems.forEach(items => {
+        const tailKeys = new Set(merged.slice(-OVERLAP_LINES * 2).map(itemKey));
+        (items || [])
+            .filter(item => !CARRY_OVER_ROW.test(String(item.description || '')))
+            .forEach((item, index) => {
+                if (index < OVERLAP_LINES * 2 && tailKeys.has(itemKey(item))) return;
+                if (index === 0 && completes(item, merged[merged.length - 1])) {
+                    merged[merged.length - 1] = item;
+                    return;
+                }
+                merged.push(item);
+            });
+    });
+
+    return merged;
+}
+
+module.exports = {
+    splitPages,
+    findRepeatedLines,
+    stripRepeatedLines,
+    planChunks,
+    mergeChunkItems
+};
@@ -0,0 +1,116 @@
+// backend/utils/llm-chunking.test.js
+
+const { splitPages, findRepeatedLines, stripRepeatedLines, planChunks, mergeChunkItems } = require('./llm-chunking');
+
+const widgets = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `Widget model ${from + i} 1 x 10.00 10.00`);
+
+// A page of a three-page invoice with letterhead, table heading and footer on every page
+const page = (number, rows) => [
+    'ACME SUPPLIES LTD',
+    '1 Main Street',
+    'Invoice No: INV-1001',
+    'Description Qty Unit price Amount',
+    ...rows,
+    'Thank you for your business',
+    `Page ${number} of 3`
+].join('\n');
+
+const INVOICE_TEXT = [
+    page(1, widgets(1, 10)),
+    page(2, widgets(11, 20)),
+    page(3, [...widgets(21, 25), 'Subtotal 250.00', 'Total due 297.50'])
+].join('\n--- Page 2 ---\n');
+
+const item = (description, amount = 10, quantity = 1) => ({ description, quantity, amount });
+
+describe('splitPages', () => {
+    test('splits at page markers, or at form feeds without them', () => {
+        expect(splitPages('first\n--- Page 2 ---\nsecond\n-- page 3 --\nthird')).toEqual(['first', 'second', 'third']);
+        expect(splitPages('first\fsecond\f\f')).toEqual(['first', 'second']);
+        expect(splitPages(null)).toEqual([]);
+    });
+});
+
+describe('stripRepeatedLines', () => {
+    test('keeps the letterhead on the first page only and drops page numbers', () => {
+        const pages = stripRepeatedLines(splitPages(INVOICE_TEXT));
+
+        expect(pages[0].split('\n').slice(0, 4)).toEqual(['ACME SUPPLIES LTD', '1 Main Street', 'Invoice No: INV-1001', 'Description Qty Unit price Amount']);
+        expect(pages[1].split('\n')).toEqual(widgets(11, 20));
+        expect(pages.join('\n')).not.toMatch(/Page \d of 3/);
+    });
+
+    test('does not take a row repeated in the middle of two pages for letterhead', () => {
+        const pageWith = (number) => ['ACME SUPPLIES LTD', ...widgets(number * 20 + 1, number * 20 + 5), 'Freight 1 x 25.00 25.00', ...widgets(number * 20 + 6, number * 20 + 11)].join('\n');
+
+        const repeated = findRepeatedLines([pageWith(0), pageWith(1)]);
+
+        expect(repeated.has('acme supplies ltd')).toBe(true);
+        expect(repeated.has('freight 1 x 25.00 25.00')).toBe(false);
+    });
+});
+
+describe('planChunks', () => {
+    test('sends a document that fits in one prompt as is', () => {
+        expect(planChunks('short\fpage', 400)).toEqual({ single: 'short\n\npage', pageCount: 2 });
+    });
+
+    test('sends the top of the first page and the end of the last as the header', () => {
+        const { header, pageCount } = planChunks(INVOICE_TEXT, 400);
+
+        expect(pageCount).toBe(3);
+        expect(header).toMatch(/^ACME SUPPLIES LTD\n1 Main Street\nInvoice No: INV-1001/);
+        expect(header).toMatch(/\n\.\.\.\nSubtotal 250\.00\nTotal due 297\.50$/);
+    });
+
+    test('starts each item chunk with the last whole line of the chunk before', () => {
+        const { itemChunks } = planChunks(INVOICE_TEXT, 400);
+
+        expect(itemChunks.map(chunk => chunk.pages)).toEqual([[1], [1], [2], [3]]);
+        itemChunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(400));
+        itemChunks.slice(1).forEach((chunk, index) => {
+            const previous = itemChunks[index].text.split('\n');
+            expect(chunk.text.split('\n')[0]).toBe(previous[previous.length - 1]);
+        });
+        expect(itemChunks[3].text.split('\n')[0]).toBe('Widget model 20 1 x 10.00 10.00');
+    });
+});
+
+describe('mergeChunkItems', () => {
+    test('keeps a row once when the next chunk reads it again from its context', () => {
+        const merged = mergeChunkItems([
+            [item('Widget model 9'), item('Widget model 10')],
+            [item('Widget model 10'), item('Widget model 11')]
+        ]);
+
+        expect(merged.map(entry => entry.description)).toEqual(['Widget model 9', 'Widget model 10', 'Widget model 11']);
+    });
+
+    test('replaces a row cut by a page break with the whole row from the next chunk', () => {
+        const merged = mergeChunkItems([
+            [item('Widget model 9'), { description: 'Consulting services for', quantity: null, amount: null }],
+            [item('Consulting services for March 2024', 500), item('Widget model 11')]
+        ]);
+
+        expect(merged).toEqual([item('Widget model 9'), item('Consulting services for March 2024', 500), item('Widget model 11')]);
+    });
+
+    test('keeps the same item billed twice further into a chunk', () => {
+        const tail = widgets(1, 6).map(description => item(description));
+
+        const merged = mergeChunkItems([[item('Freight', 25)], [...tail, item('Freight', 25)]]);
+
+        expect(merged.filter(entry => entry.description === 'Freight')).toHaveLength(2);
+        expect(mergeChunkItems([[item('Freight', 25)], [item('Freight', 30)]])).toHaveLength(2);
+    });
+
+    test('drops the page subtotals and carry-over rows the chunks read as items', () => {
+        const merged = mergeChunkItems([
+            [item('Widget model 1'), item('Page subtotal', 10), item('Carried forward', 10)],
+            [item('Brought forward', 10), item('Widget model 2'), item('Continued on next page', null)],
+            null
+        ]);
+
+        expect(merged.map(entry => entry.description)).toEqual(['Widget model 1', 'Widget model 2']);
+    });
+});
@@ -0,0 +1,208 @@
+// backend/utils/llm-extraction.js
+// Invoice extraction through the configured LLM providers: one shared versioned prompt, transient
+// failures retried with backoff, replies checked against the invoiceData JSON Schema with a repair
+// round-trip when they do not match, and tokens and cost counted per provider. Documents longer
+// than one prompt are extracted in page-aware chunks (llm-chunking.js).
+
+const { createProvider, loadProviderConfigs } = require('./llm-providers');
+const { INVOICE_DATA_SCHEMA, LINE_ITEMS_SCHEMA, validateAgainstSchema } = require('./invoice-schema');
+const { planChunks, mergeChunkItems } = require('./llm-chunking');
+const {
+    PROMPT_VERSION,
+    SYSTEM_PROMPT,
+    MAX_PROMPT_TEXT_LENGTH,
+    createEnhancedLLMPrompt,
+    createLineItemsPrompt,
+    createRepairPrompt
+} = require('./llm-prompt');
+
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+class LLMOutputError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'LLMOutputError';
+        this.errors = errors;
+    }
+}
+
+// Rate limits, server errors and timeouts are worth another try; bad requests and refused connections are not
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Models wrap JSON in code fences or a sentence now and then; take the outermost object
+function parseJsonReply(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+    try {
+        return { value: JSON.parse(trimmed) };
+    } catch (error) {
+        const start = trimmed.indexOf('{');
+        const end = trimmed.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return { value: JSON.parse(trimmed.slice(start, end + 1)) };
+            } catch {
+                // fall through to the original parse error
+            }
+        }
+        return { error: error.message };
+    }
+}
+
+const emptyUsage = () => ({ requests: 0, retries: 0, repairs: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+class LLMExtractor {
+    constructor(providers = loadProviderConfigs().map(createProvider), {
+        maxRepairs = 1,
+        retryDelayMs = 1000,
+        maxPromptLength = MAX_PROMPT_TEXT_LENGTH
+    } = {}) {
+        this.providers = providers;
+        this.maxPromptLength = maxPromptLength;
+        this.maxRepairs = maxRepairs;
+        this.retryDelayMs = retryDelayMs;
+        this.totals = {};
+    }
+
+    configuredProviders() {
+        return this.providers.filter(provider => provider.isConfigured());
+    }
+
+    // Provider status with running totals since startup, for the health endpoint
+    getStatus() {
+        return {
+            promptVersion: PROMPT_VERSION,
+            providers: this.providers.map(provider => ({
+                ...provider.getStatus(),
+                usage: this.totals[provider.name] || { ...emptyUsage(), succeeded: 0, failed: 0 }
+            }))
+        };
+    }
+
+    async callWithRetry(provider, request, usage) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                usage.requests++;
+                const reply = await provider.complete(request);
+                usage.inputTokens += reply.usage.inputTokens;
+                usage.outputTokens += reply.usage.outputTokens;
+                usage.costUsd = roundCost(usage.costUsd + provider.costOf(reply.usage));
+                return reply;
+            } catch (error) {
+                if (attempt >= provider.maxRetries || !isRetryable(error)) throw error;
+
+                const retryAfter = Number(error.response?.headers?.['retry-after']);
+                const wait = retryAfter > 0 ? retryAfter * 1000 : this.retryDelayMs * 2 ** attempt;
+                console.warn(`⚠️ ${provider.label} request failed (${error.response?.status || error.code}), retrying in ${wait}ms`);
+                usage.retries++;
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+    }
+
+    // One prompt through the retry and repair loop; returns the parsed reply once it matches the schema
+    async requestJson(provider, prompt, schema, usage) {
+        const messages = [{ role: 'user', content: prompt }];
+
+        for (let round = 0; ; round++) {
+            const reply = await this.callWithRetry(provider, { system: SYSTEM_PROMPT, messages }, usage);
+            const parsed = parseJsonReply(reply.text);
+            const errors = parsed.error
+                ? [{ path: '$', message: `is not valid JSON (${parsed.error})` }]
+                : validateAgainstSchema(parsed.value, schema);
+
+            if (errors.length === 0) return parsed.value;
+
+            if (round >= this.maxRepairs) {
+                throw new LLMOutputError(`${provider.label} returned invalid invoice data: ${errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ')}`, errors);
+            }
+
+            console.warn(`⚠️ ${provider.label} reply failed schema validation (${errors.length} issues), asking for a repair`);
+            usage.repairs++;
+            messages.push({ role: 'assistant', content: reply.text }, { role: 'user', content: createRepairPrompt(errors, schema) });
+        }
+    }
+
+    // Extract with one provider: { data, usage, promptVersion, provider, model, chunks }. A long
+    // document takes a header request plus one request per item chunk. Throws when the provider fails
+    // or still returns invalid JSON after the repair round-trips.
+    async extract(provider, text) {
+        const usage = emptyUsage();
+        const plan = planChunks(text, this.maxPromptLength);
+
+        try {
+            let data;
+            if (plan.single !== undefined) {
+                data = await this.requestJson(provider, createEnhancedLLMPrompt(plan.single), INVOICE_DATA_SCHEMA, usage);
+            } else {
+                console.log(`📑 ${plan.pageCount}-page document: ${provider.label} extracts the header and ${plan.itemChunks.length} line item chunk(s)`);
+                data = await this.requestJson(provider, createEnhancedLLMPrompt(plan.header), INVOICE_DATA_SCHEMA, usage);
+
+                const chunkItems = [];
+                for (const chunk of plan.itemChunks) {
+                    const reply = await this.requestJson(
+                        provider,
+                        createLineItemsPrompt(chunk.text, { pages: chunk.pages, pageCount: plan.pageCount }),
+                        LINE_ITEMS_SCHEMA,
+                        usage
+                    );
+                    chunkItems.push(reply.items);
+                }
+                data.items = mergeChunkItems(chunkItems);
+            }
+
+            this.record(provider, usage, true);
+            return {
+                data,
+                usage,
+                promptVersion: PROMPT_VERSION,
+                provider: provider.name,
+                model: provider.model,
+                chunks: plan.single !== undefined ? 1 : plan.itemChunks.length + 1
+            };
+        } catch (error) {
+            this.record(provider, usage, false);
+            throw error;
+        }
+    }
+
+    // Every configured provider in turn; failures are logged and skipped
+    async extractAll(text, { onProvider } = {}) {
+        const results = [];
+
+        for (const provider of this.configuredProviders()) {
+            onProvider?.(provider);
+            try {
+                const result = await this.extract(provider, text);
+                console.log(`✅ ${provider.label} extraction completed - ${result.usage.inputTokens}+${result.usage.outputTokens} tokens, $${result.usage.costUsd}`);
+                results.push({ ...result, label: provider.label });
+            } catch (error) {
+                console.error(`${provider.label} extraction failed:`, error.message);
+            }
+        }
+
+        return results;
+    }
+
+    record(provider, usage, succeeded) {
+        const totals = this.totals[provider.name] || { ...emptyUsage(), succeeded: 0, failed: 0 };
+        Object.keys(emptyUsage()).forEach(key => {
+            totals[key] += usage[key];
+        });
+        totals.costUsd = roundCost(totals.costUsd);
+        totals[succeeded ? 'succeeded' : 'failed']++;
+        this.totals[provider.name] = totals;
+    }
+}
+
+module.exports = {
+    LLMExtractor,
+    LLMOutputError,
+    parseJsonReply,
+    isRetryable
+};
@@ -0,0 +1,197 @@
+// backend/utils/llm-extraction.test.js
+
+const { LLMExtractor, LLMOutputError, parseJsonReply, isRetryable } = require('./llm-extraction');
+const { LLMProvider, createProvider, registerProviderType, loadProviderConfigs } = require('./llm-providers');
+const { validateInvoiceData } = require('./invoice-schema');
+
+// A provider that answers each request with the next scripted reply (an object is sent as JSON,
+// an Error is thrown) and records what it was asked
+class ScriptedProvider extends LLMProvider {
+    constructor(name, replies, config = {}) {
+        super({ name, type: 'scripted', model: 'scripted-1', endpoint: 'memory', pricing: { input: 1, output: 2 }, ...config });
+        this.replies = replies;
+        this.requests = [];
+    }
+
+    async complete(request) {
+        this.requests.push(JSON.parse(JSON.stringify(request)));
+        const reply = this.replies.shift();
+        if (reply instanceof Error) throw reply;
+        return {
+            text: typeof reply === 'string' ? reply : JSON.stringify(reply),
+            usage: { inputTokens: 100, outputTokens: 50 }
+        };
+    }
+}
+
+const INVOICE = {
+    invoiceNumber: 'INV-1001',
+    date: '2024-04-03',
+    vendor: { name: 'ACME Supplies' },
+    amounts: { total: 119, currency: 'EUR' },
+    items: [{ description: 'Widget', quantity: 2, amount: 100 }]
+};
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+
+const extractor = (providers, options = {}) => new LLMExtractor(providers, { retryDelayMs: 0, ...options });
+
+describe('parseJsonReply', () => {
+    test('reads JSON wrapped in code fences or a sentence', () => {
+        expect(parseJsonReply('```json\n{"a": 1}\n```')).toEqual({ value: { a: 1 } });
+        expect(parseJsonReply('Here is the invoice: {"a": 1}. Let me know!')).toEqual({ value: { a: 1 } });
+    });
+
+    test('reports a reply that is not JSON', () => {
+        expect(parseJsonReply('{"a": 1,')).toHaveProperty('error');
+        expect(parseJsonReply('')).toHaveProperty('error');
+    });
+});
+
+describe('isRetryable', () => {
+    test('retries rate limits, server errors and timeouts only', () => {
+        expect(isRetryable(httpError(429))).toBe(true);
+        expect(isRetryable(httpError(503))).toBe(true);
+        expect(isRetryable(httpError(400))).toBe(false);
+        expect(isRetryable(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true);
+        expect(isRetryable(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }))).toBe(false);
+    });
+});
+
+describe('schema repair', () => {
+    test('asks again when the reply is not JSON', async () => {
+        const provider = new ScriptedProvider('first', ['{"invoiceNumber": "INV-1001", "date":', INVOICE]);
+
+        const result = await extractor([provider]).extract(provider, 'INVOICE INV-1001');
+
+        expect(result.data).toEqual(INVOICE);
+        expect(result.usage).toMatchObject({ requests: 2, repairs: 1, inputTokens: 200, outputTokens: 100, costUsd: 0.4 });
+        const repair = provider.requests[1].messages;
+        expect(repair.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+        expect(repair[2].content).toContain('- $: is not valid JSON');
+    });
+
+    test('names the missing required fields in the repair prompt', async () => {
+        const { amounts, ...withoutAmounts } = INVOICE;
+        const provider = new ScriptedProvider('first', [{ ...withoutAmounts, vendor: {} }, INVOICE]);
+
+        const result = await extractor([provider]).extract(provider, 'INVOICE INV-1001');
+
+        expect(result.data.amounts).toEqual(amounts);
+        expect(provider.requests[1].messages[2].content).toContain('- $.vendor.name: is required');
+        expect(provider.requests[1].messages[2].content).toContain('- $.amounts: is required');
+    });
+
+    test('gives up once the repairs are used up', async () => {
+        const provider = new ScriptedProvider('first', [{ invoiceNumber: 42 }, { invoiceNumber: 42 }]);
+
+        const error = await extractor([provider]).extract(provider, 'INVOICE').catch(e => e);
+
+        expect(error).toBeInstanceOf(LLMOutputError);
+        expect(error.errors).toEqual(expect.arrayContaining([{ path: '$.invoiceNumber', message: 'must be string or null, got integer' }]));
+        expect(provider.requests).toHaveLength(2);
+    });
+
+    test('accepts what it returns as valid invoice data', () => {
+        expect(validateInvoiceData(INVOICE)).toEqual([]);
+        expect(validateInvoiceData({ ...INVOICE, amounts: { total: '119' } })).toEqual([{ path: '$.amounts.total', message: 'must be number or null, got string' }]);
+    });
+});
+
+describe('provider fallback', () => {
+    test('retries a rate-limited request before giving up on the provider', async () => {
+        const provider = new ScriptedProvider('first', [httpError(429), INVOICE]);
+
+        const result = await extractor([provider]).extract(provider, 'INVOICE');
+
+        expect(result.usage).toMatchObject({ requests: 2, retries: 1 });
+    });
+
+    test('falls back to the next provider when one fails', async () => {
+        const failing = new ScriptedProvider('first', [httpError(401)]);
+        const garbled = new ScriptedProvider('second', ['no json here', 'still none']);
+        const working = new ScriptedProvider('third', [INVOICE]);
+        const llm = extractor([failing, garbled, working]);
+
+        const results = await llm.extractAll('INVOICE INV-1001');
+
+        expect(results.map(result => result.provider)).toEqual(['third']);
+        expect(results[0]).toMatchObject({ label: 'third', model: 'scripted-1', chunks: 1, data: INVOICE });
+        const usage = Object.fromEntries(llm.getStatus().providers.map(status => [status.name, status.usage]));
+        expect(usage.first).toMatchObject({ failed: 1, succeeded: 0, requests: 1 });
+        expect(usage.second).toMatchObject({ failed: 1, repairs: 1 });
+        expect(usage.third).toMatchObject({ failed: 0, succeeded: 1 });
+    });
+
+    test('skips providers that are not configured', async () => {
+        const missingKey = new ScriptedProvider('keyless', [INVOICE], { requiresApiKey: true });
+        const disabled = new ScriptedProvider('disabled', [INVOICE], { enabled: false });
+        const working = new ScriptedProvider('working', [INVOICE]);
+
+        const results = await extractor([missingKey, disabled, working]).extractAll('INVOICE');
+
+        expect(results.map(result => result.provider)).toEqual(['working']);
+        expect(missingKey.requests).toEqual([]);
+        expect(disabled.requests).toEqual([]);
+    });
+
+    test('returns nothing when every provider fails', async () => {
+        const results = await extractor([new ScriptedProvider('only', [httpError(400)])]).extractAll('INVOICE');
+
+        expect(results).toEqual([]);
+    });
+});
+
+describe('chunked extraction', () => {
+    const rows = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `Widget model ${from + i} 1 x 10.00 10.00`);
+    const TEXT = [
+        ['ACME SUPPLIES LTD', 'INVOICE INV-1001', ...rows(1, 8), 'Page subtotal 80.00', 'Page 1 of 2'].join('\n'),
+        ['ACME SUPPLIES LTD', 'Brought forward 80.00', ...rows(9, 12), 'Total due 142.80', 'Page 2 of 2'].join('\n')
+    ].join('\f');
+    const widget = (number) => ({ description: `Widget model ${number}`, quantity: 1, amount: 10 });
+
+    test('takes the totals from the header and merges the items of every chunk', async () => {
+        const header = { ...INVOICE, amounts: { total: 142.8, currency: 'EUR' }, items: [widget(1)] };
+        // The second chunk reads widget 7 again from its context, the page subtotal and carry-over as
+        // items, and totals its own pages
+        const provider = new ScriptedProvider('first', [
+            header,
+            { items: [1, 2, 3, 4, 5, 6, 7].map(widget) },
+            {
+                items: [
+                    widget(7), widget(8),
+                    { description: 'Page subtotal', quantity: null, amount: 80 },
+                    { description: 'Brought forward', quantity: null, amount: 80 },
+                    ...[9, 10, 11, 12].map(widget)
+                ],
+                amounts: { total: 60, currency: 'EUR' }
+            }
+        ]);
+
+        const result = await extractor([provider], { maxPromptLength: 300 }).extract(provider, TEXT);
+
+        expect(result.chunks).toBe(3);
+        expect(provider.requests[2].messages[0].content).toContain('Widget model 7 1 x 10.00 10.00\nWidget model 8');
+        expect(result.data.amounts).toEqual({ total: 142.8, currency: 'EUR' });
+        expect(result.data.items).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(widget));
+    });
+});
+
+describe('provider registry', () => {
+    test('reads the providers from the environment in the order they are tried', () => {
+        const configs = loadProviderConfigs({ OPENAI_API_KEY: 'sk-test', OLLAMA_ENABLED: 'false', LLM_TIMEOUT_MS: '5000', CLAUDE_TIMEOUT_MS: '9000' });
+        const providers = configs.map(createProvider);
+
+        expect(providers.map(provider => provider.name)).toEqual(['openai', 'claude', 'ollama', 'local']);
+        expect(providers.map(provider => provider.isConfigured())).toEqual([true, false, false, false]);
+        expect(providers.map(provider => provider.timeoutMs)).toEqual([5000, 9000, 5000, 5000]);
+    });
+
+    test('creates providers of registered types and refuses unknown ones', () => {
+        class EchoProvider extends LLMProvider {}
+        registerProviderType('echo', EchoProvider);
+
+        expect(createProvider({ type: 'echo', name: 'echo', model: 'echo-1', endpoint: 'memory' })).toBeInstanceOf(EchoProvider);
+        expect(() => createProvider({ type: 'carrier-pigeon', name: 'coo' })).toThrow('Unknown LLM provider type "carrier-pigeon"');
+    });
+});
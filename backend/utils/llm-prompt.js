@@ -0,0 +1,147 @@
+// backend/utils/llm-prompt.js
+// The one extraction prompt every LLM provider gets. Bump PROMPT_VERSION with any wording change so
+// stored results can be traced back to the prompt that produced them.
+
+const { INVOICE_DATA_SCHEMA } = require('./invoice-schema');
+
+const PROMPT_VERSION = 'v6';
+
+// Longest document text sent in one prompt; longer documents are chunked (llm-chunking.js)
+const MAX_PROMPT_TEXT_LENGTH = 4000;
+
+const SYSTEM_PROMPT = 'You are a precise invoice data extraction AI. Always return valid JSON with complete line item details.';
+
+function createEnhancedLLMPrompt(text) {
+    return `
+Please extract comprehensive invoice data from the following text and return it as valid JSON.
+
+Text to analyze:
+"""
+${text}
+"""
+
+Return a JSON object with this exact structure:
+{
+  "documentType": "invoice, credit_note, debit_note or prepayment",
+  "referencedInvoiceNumber": "string or null",
+  "invoiceNumber": "string or null",
+  "date": "string or null",
+  "dueDate": "string or null",
+  "vendor": {
+    "name": "string or null",
+    "address": "string or null",
+    "phone": "string or null",
+    "email": "string or null",
+    "website": "string or null",
+    "taxId": "string or null",
+    "country": "ISO 3166 country code (US, DE, IN, etc.) or null"
+  },
+  "billTo": {
+    "name": "string or null",
+    "address": "string or null",
+    "phone": "string or null",
+    "email": "string or null"
+  },
+  "amounts": {
+    "subtotal": number or null,
+    "tax": number or null,
+    "taxRate": "string or null",
+    "discount": number or null,
+    "total": number or null,
+    "amountPaid": number or null,
+    "balanceDue": number or null,
+    "currency": "ISO 4217 code (USD, CAD, EUR, etc.) or null"
+  },
+  "items": [
+    {
+      "description": "string",
+      "quantity": number,
+      "unitPrice": number,
+      "amount": number,
+      "category": "string or null"
+    }
+  ],
+  "paymentDetails": {
+    "method": "string or null",
+    "terms": "string or null",
+    "instructions": "string or null"
+  },
+  "orderInfo": {
+    "orderNumber": "string or null",
+    "orderDate": "string or null",
+    "reference": "string or null"
+  },
+  "notes": "string or null"
+}
+
+Important instructions:
+1. Extract ALL line items with descriptions, quantities, unit prices, and amounts
+2. Include all vendor contact information found
+3. Parse all monetary amounts as numbers (no currency symbols), reading the vendor's number format: 1.234,56 and 1 234,56 are 1234.56, 1,23,456.00 is 123456
+4. Identify the correct currency as an ISO code (USD, CAD, EUR, GBP, INR, etc.); a $ or ¥ means the currency of the vendor's country
+5. Extract payment terms and methods if mentioned
+6. Use null for anything not in the text
+7. documentType is credit_note for a credit note or credit memo, debit_note for a debit note, prepayment for an advance or deposit invoice, otherwise invoice
+8. For a credit or debit note, referencedInvoiceNumber is the number of the original invoice it corrects, never its own number
+9. Keep the sign of amounts printed as negative (-12.00, (12.00), 12.00 CR); a credit note's amounts are negative
+10. Write dates as YYYY-MM-DD, except a numeric date whose day and month could be either way round (03/04/25): copy that exactly as printed
+11. Return valid JSON only, no explanations
+`;
+}
+
+// One chunk of a long document: only the line items printed in it
+function createLineItemsPrompt(text, { pages, pageCount }) {
+    return `
+The following text is ${pages.length === 1 ? `page ${pages[0]}` : `pages ${pages[0]}-${pages[pages.length - 1]}`} of a ${pageCount}-page invoice.
+It may start with the last lines of the previous page for context.
+
+Text to analyze:
+"""
+${text}
+"""
+
+Return a JSON object with the invoice line items printed in this text:
+{
+  "items": [
+    {
+      "description": "string",
+      "quantity": number,
+      "unitPrice": number,
+      "amount": number,
+      "category": "string or null"
+    }
+  ]
+}
+
+Important instructions:
+1. Include every line item row, in the order printed
+2. Skip column headings, page totals and "carried forward" / "brought forward" rows
+3. Parse all monetary amounts as numbers (no currency symbols)
+4. Return {"items": []} if the text has no line items
+5. Return valid JSON only, no explanations
+`;
+}
+
+// Follow-up turn when a reply was not valid JSON or did not match the schema
+function createRepairPrompt(errors, schema = INVOICE_DATA_SCHEMA) {
+    const problems = errors.slice(0, 20).map(error => `- ${error.path}: ${error.message}`).join('\n');
+
+    return `
+Your reply could not be used:
+${problems}
+
+It must be a single JSON object matching this JSON Schema:
+${JSON.stringify(schema)}
+
+Return the corrected JSON only, no explanations.
+`;
+}
+
+module.exports = {
+    PROMPT_VERSION,
+    SYSTEM_PROMPT,
+    MAX_PROMPT_TEXT_LENGTH,
+    createEnhancedLLMPrompt,
+    createLineItemsPrompt,
+    createRepairPrompt
+};
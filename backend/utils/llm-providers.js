@@ -0,0 +1,231 @@
+// backend/utils/llm-providers.js
+// LLM provider plugins. A provider turns a chat (system prompt + messages) into reply text and token
+// usage; prompting, validation, retries and accounting live in llm-extraction.js. New providers
+// subclass LLMProvider and are added with registerProviderType.
+
+const axios = require('axios');
+
+// USD per 1000 tokens, for cost accounting when the config does not set a price
+const MODEL_PRICING = {
+    'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+    'gpt-4o': { input: 0.0025, output: 0.01 },
+    'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 },
+    'claude-3-5-sonnet-20240620': { input: 0.003, output: 0.015 }
+};
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_MAX_TOKENS = 4000;
+
+class LLMProvider {
+    constructor(config) {
+        this.name = config.name;
+        this.type = config.type;
+        this.label = config.label || config.name;
+        this.model = config.model;
+        this.endpoint = config.endpoint;
+        this.apiKey = config.apiKey || null;
+        this.requiresApiKey = !!config.requiresApiKey;
+        this.enabled = config.enabled !== false;
+        this.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+        this.maxTokens = config.maxTokens || DEFAULT_MAX_TOKENS;
+        this.temperature = config.temperature ?? 0.1;
+        this.pricing = config.pricing || MODEL_PRICING[config.model] || { input: 0, output: 0 };
+    }
+
+    isConfigured() {
+        return this.enabled && !!this.endpoint && !!this.model && (!this.requiresApiKey || !!this.apiKey);
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            label: this.label,
+            type: this.type,
+            model: this.model,
+            configured: this.isConfigured(),
+            timeoutMs: this.timeoutMs,
+            maxRetries: this.maxRetries
+        };
+    }
+
+    costOf(usage) {
+        return (usage.inputTokens / 1000) * this.pricing.input + (usage.outputTokens / 1000) * this.pricing.output;
+    }
+
+    // { system, messages: [{ role: 'user' | 'assistant', content }] } -> { text, usage: { inputTokens, outputTokens } }
+    async complete() {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+}
+
+// OpenAI chat completions; also any OpenAI-compatible server (vLLM, LM Studio, llama.cpp, a test stub)
+class OpenAIProvider extends LLMProvider {
+    async complete({ system, messages }) {
+        const response = await axios.post(this.endpoint, {
+            model: this.model,
+            messages: [{ role: 'system', content: system }, ...messages],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+            response_format: { type: 'json_object' }
+        }, {
+            headers: {
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            timeout: this.timeoutMs
+        });
+
+        return {
+            text: response.data.choices?.[0]?.message?.content || '',
+            usage: {
+                inputTokens: response.data.usage?.prompt_tokens || 0,
+                outputTokens: response.data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+class AnthropicProvider extends LLMProvider {
+    async complete({ system, messages }) {
+        const response = await axios.post(this.endpoint, {
+            model: this.model,
+            system,
+            messages,
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        }, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'Content-Type': 'application/json',
+                'anthropic-version': '2023-06-01'
+            },
+            timeout: this.timeoutMs
+        });
+
+        return {
+            text: (response.data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+            usage: {
+                inputTokens: response.data.usage?.input_tokens || 0,
+                outputTokens: response.data.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+class OllamaProvider extends LLMProvider {
+    async complete({ system, messages }) {
+        const response = await axios.post(`${this.endpoint.replace(/\/$/, '')}/api/chat`, {
+            model: this.model,
+            messages: [{ role: 'system', content: system }, ...messages],
+            format: 'json',
+            stream: false,
+            options: {
+                temperature: this.temperature,
+                top_p: 0.9,
+                num_predict: this.maxTokens
+            }
+        }, {
+            timeout: this.timeoutMs
+        });
+
+        return {
+            text: response.data.message?.content || '',
+            usage: {
+                inputTokens: response.data.prompt_eval_count || 0,
+                outputTokens: response.data.eval_count || 0
+            }
+        };
+    }
+}
+
+const PROVIDER_TYPES = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider
+};
+
+function registerProviderType(type, ProviderClass) {
+    PROVIDER_TYPES[type] = ProviderClass;
+}
+
+function createProvider(config) {
+    const ProviderClass = PROVIDER_TYPES[config.type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider type "${config.type}"`);
+    }
+    return new ProviderClass(config);
+}
+
+const numberFromEnv = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Shared settings under LLM_*, each overridable per provider under its own prefix (OPENAI_TIMEOUT_MS, ...)
+function providerSettings(env, prefix) {
+    const input = numberFromEnv(env[`${prefix}_INPUT_COST_PER_1K`]);
+    const output = numberFromEnv(env[`${prefix}_OUTPUT_COST_PER_1K`]);
+
+    return {
+        timeoutMs: numberFromEnv(env[`${prefix}_TIMEOUT_MS`]) ?? numberFromEnv(env.LLM_TIMEOUT_MS),
+        maxRetries: numberFromEnv(env[`${prefix}_MAX_RETRIES`]) ?? numberFromEnv(env.LLM_MAX_RETRIES),
+        maxTokens: numberFromEnv(env[`${prefix}_MAX_TOKENS`]),
+        pricing: input !== undefined || output !== undefined ? { input: input || 0, output: output || 0 } : undefined
+    };
+}
+
+// Provider configs from the environment, in the order they are consulted
+function loadProviderConfigs(env = process.env) {
+    return [
+        {
+            name: 'openai',
+            label: 'OpenAI GPT',
+            type: 'openai',
+            apiKey: env.OPENAI_API_KEY,
+            requiresApiKey: true,
+            model: env.OPENAI_MODEL || 'gpt-4o-mini',
+            endpoint: env.OPENAI_ENDPOINT || 'https://api.openai.com/v1/chat/completions',
+            ...providerSettings(env, 'OPENAI')
+        },
+        {
+            name: 'claude',
+            label: 'Claude',
+            type: 'anthropic',
+            apiKey: env.CLAUDE_API_KEY,
+            requiresApiKey: true,
+            model: env.CLAUDE_MODEL || 'claude-3-haiku-20240307',
+            endpoint: env.CLAUDE_ENDPOINT || 'https://api.anthropic.com/v1/messages',
+            ...providerSettings(env, 'CLAUDE')
+        },
+        {
+            name: 'ollama',
+            label: 'Ollama Local',
+            type: 'ollama',
+            enabled: env.OLLAMA_ENABLED !== 'false',
+            model: env.OLLAMA_MODEL || 'llama3.1:8b',
+            endpoint: env.OLLAMA_ENDPOINT || 'http://localhost:11434',
+            ...providerSettings(env, 'OLLAMA')
+        },
+        {
+            // Any OpenAI-compatible server, e.g. LOCAL_LLM_ENDPOINT=http://localhost:8080/v1/chat/completions
+            name: 'local',
+            label: 'Local OpenAI-compatible',
+            type: 'openai',
+            enabled: !!env.LOCAL_LLM_ENDPOINT,
+            apiKey: env.LOCAL_LLM_API_KEY,
+            model: env.LOCAL_LLM_MODEL || 'local-model',
+            endpoint: env.LOCAL_LLM_ENDPOINT,
+            ...providerSettings(env, 'LOCAL_LLM')
+        }
+    ];
+}
+
+module.exports = {
+    LLMProvider,
+    OpenAIProvider,
+    AnthropicProvider,
+    OllamaProvider,
+    MODEL_PRICING,
+    registerProviderType,
+    createProvider,
+    loadProviderConfigs
+};
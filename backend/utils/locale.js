@@ -0,0 +1,190 @@
+// backend/utils/locale.js
+// Number and date conventions of the vendor's country, and how the country is told from the invoice:
+// the VAT or GST number, the address, the IBAN, the phone prefix. Amounts and dates are read in the
+// conventions of the vendor's locale, so "1.234,56" from a German vendor is 1234.56 and "03/04/2025"
+// from a British one is the 3rd of April.
+
+// currency: what the country invoices in; decimalSeparator: '.' or ','; dateOrder: how numeric dates
+// are written (null where both orders are common)
+const COUNTRY_LOCALES = {
+    US: { currency: 'USD', decimalSeparator: '.', dateOrder: 'MDY' },
+    CA: { currency: 'CAD', decimalSeparator: '.', dateOrder: null },
+    MX: { currency: 'MXN', decimalSeparator: '.', dateOrder: 'DMY' },
+    BR: { currency: 'BRL', decimalSeparator: ',', dateOrder: 'DMY' },
+    GB: { currency: 'GBP', decimalSeparator: '.', dateOrder: 'DMY' },
+    IE: { currency: 'EUR', decimalSeparator: '.', dateOrder: 'DMY' },
+    DE: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    AT: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    CH: { currency: 'CHF', decimalSeparator: '.', dateOrder: 'DMY' },
+    FR: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    BE: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    NL: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    LU: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    ES: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    PT: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    IT: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    GR: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    FI: { currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' },
+    SE: { currency: 'SEK', decimalSeparator: ',', dateOrder: 'YMD' },
+    NO: { currency: 'NOK', decimalSeparator: ',', dateOrder: 'DMY' },
+    DK: { currency: 'DKK', decimalSeparator: ',', dateOrder: 'DMY' },
+    PL: { currency: 'PLN', decimalSeparator: ',', dateOrder: 'DMY' },
+    CZ: { currency: 'CZK', decimalSeparator: ',', dateOrder: 'DMY' },
+    HU: { currency: 'HUF', decimalSeparator: ',', dateOrder: 'YMD' },
+    TR: { currency: 'TRY', decimalSeparator: ',', dateOrder: 'DMY' },
+    RU: { currency: 'RUB', decimalSeparator: ',', dateOrder: 'DMY' },
+    ZA: { currency: 'ZAR', decimalSeparator: '.', dateOrder: 'YMD' },
+    NG: { currency: 'NGN', decimalSeparator: '.', dateOrder: 'DMY' },
+    AE: { currency: 'AED', decimalSeparator: '.', dateOrder: 'DMY' },
+    SA: { currency: 'SAR', decimalSeparator: '.', dateOrder: 'DMY' },
+    IL: { currency: 'ILS', decimalSeparator: '.', dateOrder: 'DMY' },
+    IN: { currency: 'INR', decimalSeparator: '.', dateOrder: 'DMY' },
+    SG: { currency: 'SGD', decimalSeparator: '.', dateOrder: 'DMY' },
+    MY: { currency: 'MYR', decimalSeparator: '.', dateOrder: 'DMY' },
+    TH: { currency: 'THB', decimalSeparator: '.', dateOrder: 'DMY' },
+    PH: { currency: 'PHP', decimalSeparator: '.', dateOrder: 'MDY' },
+    ID: { currency: 'IDR', decimalSeparator: ',', dateOrder: 'DMY' },
+    VN: { currency: 'VND', decimalSeparator: ',', dateOrder: 'DMY' },
+    HK: { currency: 'HKD', decimalSeparator: '.', dateOrder: 'DMY' },
+    CN: { currency: 'CNY', decimalSeparator: '.', dateOrder: 'YMD' },
+    JP: { currency: 'JPY', decimalSeparator: '.', dateOrder: 'YMD' },
+    KR: { currency: 'KRW', decimalSeparator: '.', dateOrder: 'YMD' },
+    AU: { currency: 'AUD', decimalSeparator: '.', dateOrder: 'DMY' },
+    NZ: { currency: 'NZD', decimalSeparator: '.', dateOrder: 'DMY' }
+};
+
+// Currencies written with a decimal comma wherever they are used, for invoices whose country is unknown
+const DECIMAL_COMMA_CURRENCIES = ['EUR', 'BRL', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'TRY', 'RUB', 'IDR', 'VND'];
+
+// Country names as addresses print them, in English and the local language
+const COUNTRY_NAMES = {
+    'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'u.s.a.': 'US', 'u.s.': 'US',
+    'canada': 'CA', 'mexico': 'MX', 'méxico': 'MX', 'brazil': 'BR', 'brasil': 'BR',
+    'united kingdom': 'GB', 'uk': 'GB', 'u.k.': 'GB', 'great britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+    'ireland': 'IE', 'éire': 'IE',
+    'germany': 'DE', 'deutschland': 'DE', 'austria': 'AT', 'österreich': 'AT',
+    'switzerland': 'CH', 'schweiz': 'CH', 'suisse': 'CH', 'svizzera': 'CH',
+    'france': 'FR', 'belgium': 'BE', 'belgique': 'BE', 'belgië': 'BE', 'netherlands': 'NL', 'the netherlands': 'NL', 'nederland': 'NL',
+    'luxembourg': 'LU', 'spain': 'ES', 'españa': 'ES', 'portugal': 'PT', 'italy': 'IT', 'italia': 'IT',
+    'greece': 'GR', 'finland': 'FI', 'suomi': 'FI', 'sweden': 'SE', 'sverige': 'SE', 'norway': 'NO', 'norge': 'NO',
+    'denmark': 'DK', 'danmark': 'DK', 'poland': 'PL', 'polska': 'PL', 'czech republic': 'CZ', 'czechia': 'CZ', 'česká republika': 'CZ',
+    'hungary': 'HU', 'magyarország': 'HU', 'turkey': 'TR', 'türkiye': 'TR', 'russia': 'RU',
+    'south africa': 'ZA', 'nigeria': 'NG', 'united arab emirates': 'AE', 'uae': 'AE', 'saudi arabia': 'SA', 'israel': 'IL',
+    'india': 'IN', 'bharat': 'IN', 'singapore': 'SG', 'malaysia': 'MY', 'thailand': 'TH', 'philippines': 'PH',
+    'indonesia': 'ID', 'vietnam': 'VN', 'viet nam': 'VN', 'hong kong': 'HK', 'china': 'CN', "people's republic of china": 'CN',
+    'japan': 'JP', 'south korea': 'KR', 'korea': 'KR', 'republic of korea': 'KR', 'australia': 'AU', 'new zealand': 'NZ'
+};
+
+// International dialling codes of the countries above; +1 is read as the US
+const CALLING_CODES = {
+    1: 'US', 52: 'MX', 55: 'BR', 44: 'GB', 353: 'IE', 49: 'DE', 43: 'AT', 41: 'CH', 33: 'FR', 32: 'BE', 31: 'NL',
+    352: 'LU', 34: 'ES', 351: 'PT', 39: 'IT', 30: 'GR', 358: 'FI', 46: 'SE', 47: 'NO', 45: 'DK', 48: 'PL', 420: 'CZ',
+    36: 'HU', 90: 'TR', 7: 'RU', 27: 'ZA', 234: 'NG', 971: 'AE', 966: 'SA', 972: 'IL', 91: 'IN', 65: 'SG', 60: 'MY',
+    66: 'TH', 63: 'PH', 62: 'ID', 84: 'VN', 852: 'HK', 86: 'CN', 81: 'JP', 82: 'KR', 61: 'AU', 64: 'NZ'
+};
+
+// EU VAT numbers start with the country code, except Greece's (EL)
+const VAT_PREFIXES = { EL: 'GR' };
+
+const GSTIN_PATTERN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/;
+const IBAN_PATTERN = /\b([A-Z]{2})\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/;
+const PHONE_PATTERN = /(?:^|[\s(:])\+\s?(\d{1,3})[\s\-.()]*\d/g;
+
+const isCountry = (code) => Object.prototype.hasOwnProperty.call(COUNTRY_LOCALES, code);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest names first, so "south korea" is not read as "korea"
+const COUNTRY_NAME_PATTERN = new RegExp(
+    `(?:^|[\\s,;(])(${Object.keys(COUNTRY_NAMES).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?=$|[\\s,;.)])`,
+    'im'
+);
+
+const countryFromTaxId = (taxId) => {
+    const value = String(taxId || '').toUpperCase().replace(/[\s.-]/g, '');
+    if (GSTIN_PATTERN.test(value)) return 'IN';
+    const match = value.match(/^([A-Z]{2})[0-9A-Z]{8,12}$/);
+    if (!match) return null;
+    const country = VAT_PREFIXES[match[1]] || match[1];
+    return isCountry(country) ? country : null;
+};
+
+const countryFromName = (text) => {
+    const match = String(text || '').match(COUNTRY_NAME_PATTERN);
+    return match ? COUNTRY_NAMES[match[1].toLowerCase()] : null;
+};
+
+// Addresses from e-invoices and vendor records often end in the ISO country code
+const countryFromAddress = (address) => {
+    const value = String(address || '').trim();
+    if (!value) return null;
+    const code = value.match(/(?:^|[\s,])([A-Z]{2})$/);
+    if (code && isCountry(code[1])) return code[1];
+    return countryFromName(value);
+};
+
+const countryFromPhone = (text) => {
+    for (const match of String(text || '').matchAll(PHONE_PATTERN)) {
+        // Codes are one to three digits; take the longest one that is known
+        for (let length = 3; length >= 1; length--) {
+            const code = match[1].slice(0, length);
+            if (match[1].length >= length && CALLING_CODES[code]) return CALLING_CODES[code];
+        }
+    }
+    return null;
+};
+
+// { country, source } of the vendor, from the extracted vendor fields first and the document text
+// after; null when nothing names a country
+function detectCountry(invoiceData = null, text = '') {
+    const vendor = invoiceData?.vendor || {};
+    const bankDetails = invoiceData?.paymentDetails?.bankDetails;
+    const bankText = typeof bankDetails === 'object' && bankDetails ? bankDetails.iban : bankDetails;
+
+    const candidates = [
+        ['vendor', () => (isCountry(String(vendor.country || '').toUpperCase()) ? String(vendor.country).toUpperCase() : null)],
+        ['tax_id', () => countryFromTaxId(vendor.taxId)],
+        ['address', () => countryFromAddress(vendor.address)],
+        ['iban', () => {
+            const match = String(bankText || text || '').toUpperCase().match(IBAN_PATTERN);
+            return match && isCountry(match[1]) ? match[1] : null;
+        }],
+        ['tax_id', () => (GSTIN_PATTERN.test(String(text || '')) ? 'IN' : null)],
+        ['phone', () => countryFromPhone(vendor.phone) || countryFromPhone(text)],
+        ['text', () => countryFromName(text)]
+    ];
+
+    for (const [source, find] of candidates) {
+        const country = find();
+        if (country) return { country, source };
+    }
+    return null;
+}
+
+// Conventions for reading amounts and dates: the country's where it is known, otherwise what the
+// currency implies. Fields stay null when neither says.
+function resolveLocale({ country = null, currency = null } = {}) {
+    const profile = isCountry(country) ? COUNTRY_LOCALES[country] : null;
+    const code = currency || profile?.currency || null;
+
+    let decimalSeparator = profile?.decimalSeparator || null;
+    if (!decimalSeparator && code) {
+        decimalSeparator = DECIMAL_COMMA_CURRENCIES.includes(code) ? ',' : '.';
+    }
+
+    return {
+        country: profile ? country : null,
+        currency: code,
+        decimalSeparator,
+        dateOrder: profile?.dateOrder || null
+    };
+}
+
+module.exports = {
+    COUNTRY_LOCALES,
+    isCountry,
+    countryFromTaxId,
+    countryFromAddress,
+    detectCountry,
+    resolveLocale
+};
@@ -0,0 +1,61 @@
+// backend/utils/locale.test.js
+
+const { countryFromTaxId, countryFromAddress, detectCountry, resolveLocale } = require('./locale');
+
+describe('detectCountry', () => {
+    test('takes the country the extractor set first', () => {
+        expect(detectCountry({ vendor: { country: 'ch', taxId: 'DE123456789' } })).toEqual({ country: 'CH', source: 'vendor' });
+    });
+
+    test('reads the VAT or GST number', () => {
+        expect(detectCountry({ vendor: { taxId: 'DE 123 456 789' } })).toEqual({ country: 'DE', source: 'tax_id' });
+        expect(countryFromTaxId('EL123456789')).toBe('GR');
+        expect(countryFromTaxId('27AAPFU0939F1ZV')).toBe('IN');
+        expect(countryFromTaxId('12-3456789')).toBeNull();
+    });
+
+    test('reads the address, by ISO code or country name', () => {
+        expect(countryFromAddress('Hauptstraße 1, 10115 Berlin, DE')).toBe('DE');
+        expect(countryFromAddress('1 Main St, Toronto, ON, Canada')).toBe('CA');
+        expect(countryFromAddress('Seoul, South Korea')).toBe('KR');
+        expect(countryFromAddress('12 High Street, OX1 1AA')).toBeNull();
+    });
+
+    test('falls back to the IBAN, the phone prefix and country names in the text', () => {
+        expect(detectCountry({ paymentDetails: { bankDetails: { iban: 'FR1420041010050500013M02606' } } })).toEqual({ country: 'FR', source: 'iban' });
+        expect(detectCountry(null, 'IBAN NL91 ABNA 0417 1643 00')).toEqual({ country: 'NL', source: 'iban' });
+        expect(detectCountry({ vendor: { phone: '+44 20 7946 0000' } })).toEqual({ country: 'GB', source: 'phone' });
+        expect(detectCountry(null, 'Tel: +353 1 234 5678')).toEqual({ country: 'IE', source: 'phone' });
+        expect(detectCountry(null, 'Made in Italy')).toEqual({ country: 'IT', source: 'text' });
+    });
+
+    test('returns null when nothing names a country', () => {
+        expect(detectCountry(null, 'Invoice 42')).toBeNull();
+        expect(detectCountry()).toBeNull();
+    });
+});
+
+describe('resolveLocale', () => {
+    test('uses the country\'s conventions', () => {
+        expect(resolveLocale({ country: 'DE' })).toEqual({ country: 'DE', currency: 'EUR', decimalSeparator: ',', dateOrder: 'DMY' });
+        expect(resolveLocale({ country: 'US' })).toEqual({ country: 'US', currency: 'USD', decimalSeparator: '.', dateOrder: 'MDY' });
+        expect(resolveLocale({ country: 'JP' })).toEqual({ country: 'JP', currency: 'JPY', decimalSeparator: '.', dateOrder: 'YMD' });
+    });
+
+    test('leaves the date order open where both are common', () => {
+        expect(resolveLocale({ country: 'CA' })).toEqual({ country: 'CA', currency: 'CAD', decimalSeparator: '.', dateOrder: null });
+    });
+
+    test('keeps the country\'s number format when it invoices in another currency', () => {
+        expect(resolveLocale({ country: 'CH', currency: 'EUR' })).toEqual({ country: 'CH', currency: 'EUR', decimalSeparator: '.', dateOrder: 'DMY' });
+    });
+
+    test('takes the number format from the currency when the country is unknown', () => {
+        expect(resolveLocale({ currency: 'EUR' })).toEqual({ country: null, currency: 'EUR', decimalSeparator: ',', dateOrder: null });
+        expect(resolveLocale({ country: 'XX', currency: 'USD' })).toEqual({ country: null, currency: 'USD', decimalSeparator: '.', dateOrder: null });
+    });
+
+    test('knows nothing without a country or a currency', () => {
+        expect(resolveLocale()).toEqual({ country: null, currency: null, decimalSeparator: null, dateOrder: null });
+    });
+});
@@ -0,0 +1,476 @@
+// backend/utils/payment-files.js
+// Outbound bank payment files: NACHA ACH (credits) and SEPA Credit Transfer pain.001.001.03.
+// Builders take a list of payments ({ id, payeeName, amount, reference, ...bank account }) and the
+// originator settings; validators re-read a generated file and check it against the format rules.
+
+const { XMLParser } = require('fast-xml-parser');
+
+const NACHA_RECORD_LENGTH = 94;
+const NACHA_BLOCKING_FACTOR = 10;
+const SEPA_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03';
+const SEPA_MAX_AMOUNT = 999999999.99;
+
+// ===============================
+// Account identifiers
+// ===============================
+
+const normalizeIban = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+function isValidIban(value) {
+    const iban = normalizeIban(value);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+    // Move the country code and check digits to the end, letters to numbers, then mod 97 must be 1
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, char => String(char.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i += 7) {
+        remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+    }
+    return remainder === 1;
+}
+
+const isValidBic = (value) => /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(String(value || '').toUpperCase());
+
+// ABA routing number checksum: 3·(d1+d4+d7) + 7·(d2+d5+d8) + (d3+d6+d9) ≡ 0 (mod 10)
+function isValidRoutingNumber(value) {
+    const routing = String(value || '');
+    if (!/^\d{9}$/.test(routing)) return false;
+    const d = [...routing].map(Number);
+    return (3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8])) % 10 === 0;
+}
+
+const isValidAccountNumber = (value) => /^[A-Za-z0-9-]{4,17}$/.test(String(value || ''));
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Strip accents so names survive the ASCII-only NACHA and SEPA character sets
+const transliterate = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .replace(/[æÆ]/g, 'ae')
+    .replace(/[øØ]/g, 'o');
+
+// ===============================
+// NACHA ACH
+// ===============================
+
+// Alphanumeric fields: upper-case printable ASCII, left-justified, space-filled
+const alpha = (value, length) => transliterate(value)
+    .toUpperCase()
+    .replace(/[^\x20-\x7E]/g, ' ')
+    .slice(0, length)
+    .padEnd(length, ' ');
+
+// Numeric fields: right-justified, zero-filled
+const numeric = (value, length) => String(value).replace(/\D/g, '').slice(-length).padStart(length, '0');
+
+const yymmdd = (date) => date.toISOString().slice(2, 10).replace(/-/g, '');
+
+// Sum of the 8-digit receiving DFI numbers, keeping the low 10 digits
+const entryHash = (routingNumbers) => String(routingNumbers.reduce((sum, routing) => sum + Number(routing.slice(0, 8)), 0)).slice(-10);
+
+// One PPD/CCD credit batch: an entry per payment with a remittance addenda listing the invoices.
+// settings: { immediateDestination, immediateDestinationName, immediateOrigin, immediateOriginName,
+//             companyName, companyIdentification, originatingDfi, secCode, entryDescription }
+function buildNachaFile(payments, settings, { effectiveDate, createdAt = new Date(), fileIdModifier = 'A' } = {}) {
+    const records = [];
+    const secCode = settings.secCode || 'CCD';
+    const odfi = numeric(settings.originatingDfi || String(settings.immediateDestination || '').slice(0, 8), 8);
+    const batchNumber = numeric(1, 7);
+    const effective = effectiveDate ? new Date(`${effectiveDate}T00:00:00Z`) : createdAt;
+
+    records.push(
+        '1' + '01' +
+        (' ' + numeric(settings.immediateDestination, 9)) +
+        // Immediate origin is right-justified: " " + routing number, or a 10-character "1" + EIN
+        String(settings.immediateOrigin || '').replace(/\s/g, '').slice(0, 10).padStart(10, ' ') +
+        yymmdd(createdAt) +
+        createdAt.toISOString().slice(11, 16).replace(':', '') +
+        alpha(fileIdModifier, 1) +
+        '094' + '10' + '1' +
+        alpha(settings.immediateDestinationName, 23) +
+        alpha(settings.immediateOriginName || settings.companyName, 23) +
+        alpha('', 8)
+    );
+
+    records.push(
+        '5' + '220' +
+        alpha(settings.companyName, 16) +
+        alpha('', 20) +
+        alpha(settings.companyIdentification, 10) +
+        alpha(secCode, 3) +
+        alpha(settings.entryDescription || 'VENDOR PAY', 10) +
+        alpha('', 6) +
+        yymmdd(effective) +
+        alpha('', 3) +
+        '1' +
+        odfi +
+        batchNumber
+    );
+
+    let sequence = 0;
+    let totalCredit = 0;
+    const routingNumbers = [];
+
+    payments.forEach(payment => {
+        sequence += 1;
+        const routing = String(payment.routingNumber);
+        const cents = toCents(payment.amount);
+        const traceNumber = odfi + numeric(sequence, 7);
+        const transactionCode = payment.accountType === 'savings' ? '32' : '22';
+
+        routingNumbers.push(routing);
+        totalCredit += cents;
+
+        records.push(
+            '6' + transactionCode +
+            routing.slice(0, 8) + routing.slice(8) +
+            alpha(payment.accountNumber, 17) +
+            numeric(cents, 10) +
+            alpha(payment.id, 15) +
+            alpha(payment.payeeName, 22) +
+            alpha('', 2) +
+            '1' +
+            traceNumber
+        );
+
+        records.push(
+            '7' + '05' +
+            alpha(payment.reference, 80) +
+            '0001' +
+            numeric(sequence, 7)
+        );
+    });
+
+    const entryCount = payments.length * 2;
+    const hash = entryHash(routingNumbers);
+
+    records.push(
+        '8' + '220' +
+        numeric(entryCount, 6) +
+        numeric(hash, 10) +
+        numeric(0, 12) +
+        numeric(totalCredit, 12) +
+        alpha(settings.companyIdentification, 10) +
+        alpha('', 19) +
+        alpha('', 6) +
+        odfi +
+        batchNumber
+    );
+
+    const blockCount = Math.ceil((records.length + 1) / NACHA_BLOCKING_FACTOR);
+    records.push(
+        '9' +
+        numeric(1, 6) +
+        numeric(blockCount, 6) +
+        numeric(entryCount, 8) +
+        numeric(hash, 10) +
+        numeric(0, 12) +
+        numeric(totalCredit, 12) +
+        alpha('', 39)
+    );
+
+    // Fill the last block with all-9 records
+    while (records.length % NACHA_BLOCKING_FACTOR !== 0) {
+        records.push('9'.repeat(NACHA_RECORD_LENGTH));
+    }
+
+    return records.join('\n') + '\n';
+}
+
+// Check record lengths and order, blocking, routing check digits, and every count, hash and total
+function validateNachaFile(content) {
+    const errors = [];
+    const lines = String(content).split(/\r?\n/).filter(line => line.length > 0);
+
+    lines.forEach((line, index) => {
+        if (line.length !== NACHA_RECORD_LENGTH) {
+            errors.push(`Record ${index + 1} is ${line.length} characters, not ${NACHA_RECORD_LENGTH}`);
+        }
+    });
+    if (lines.length % NACHA_BLOCKING_FACTOR !== 0) {
+        errors.push(`Record count ${lines.length} is not a multiple of the blocking factor ${NACHA_BLOCKING_FACTOR}`);
+    }
+    if (lines[0]?.[0] !== '1') {
+        errors.push('File does not start with a file header (1) record');
+    } else if (!isValidRoutingNumber(lines[0].slice(4, 13))) {
+        errors.push('Immediate destination is not a valid routing number');
+    }
+
+    const records = lines.filter(line => line !== '9'.repeat(NACHA_RECORD_LENGTH));
+    const fileControl = records[records.length - 1];
+    if (fileControl?.[0] !== '9') {
+        errors.push('File does not end with a file control (9) record');
+        return { valid: false, errors };
+    }
+
+    let batch = null;
+    let batchCount = 0;
+    let fileEntries = 0;
+    let fileHash = 0;
+    let fileCredit = 0;
+    let fileDebit = 0;
+
+    records.slice(1, -1).forEach((line, offset) => {
+        const recordNumber = offset + 2;
+        switch (line[0]) {
+            case '5':
+                if (batch) errors.push(`Batch header at record ${recordNumber} before the previous batch was closed`);
+                batch = { header: line, entries: 0, hash: 0, credit: 0, debit: 0 };
+                batchCount += 1;
+                break;
+            case '6': {
+                if (!batch) {
+                    errors.push(`Entry at record ${recordNumber} is outside a batch`);
+                    break;
+                }
+                const routing = line.slice(3, 12);
+                if (!isValidRoutingNumber(routing)) {
+                    errors.push(`Entry at record ${recordNumber} has an invalid routing number ${routing}`);
+                }
+                const amount = Number(line.slice(29, 39));
+                if (!(amount > 0)) errors.push(`Entry at record ${recordNumber} has no amount`);
+                if (!line.slice(12, 29).trim()) errors.push(`Entry at record ${recordNumber} has no account number`);
+
+                const code = line.slice(1, 3);
+                if (['22', '32'].includes(code)) batch.credit += amount;
+                else if (['27', '37'].includes(code)) batch.debit += amount;
+                else errors.push(`Entry at record ${recordNumber} has unsupported transaction code ${code}`);
+
+                batch.entries += 1;
+                batch.hash += Number(routing.slice(0, 8));
+                break;
+            }
+            case '7':
+                if (!batch) errors.push(`Addenda at record ${recordNumber} is outside a batch`);
+                else batch.entries += 1;
+                break;
+            case '8': {
+                if (!batch) {
+                    errors.push(`Batch control at record ${recordNumber} without a batch header`);
+                    break;
+                }
+                const hash = String(batch.hash).slice(-10);
+                if (Number(line.slice(4, 10)) !== batch.entries) errors.push(`Batch ${batchCount}: entry/addenda count does not match`);
+                if (Number(line.slice(10, 20)) !== Number(hash)) errors.push(`Batch ${batchCount}: entry hash does not match`);
+                if (Number(line.slice(20, 32)) !== batch.debit) errors.push(`Batch ${batchCount}: total debit does not match`);
+                if (Number(line.slice(32, 44)) !== batch.credit) errors.push(`Batch ${batchCount}: total credit does not match`);
+                if (line.slice(1, 4) !== batch.header.slice(1, 4)) errors.push(`Batch ${batchCount}: service class code differs from its header`);
+                if (line.slice(87, 94) !== batch.header.slice(87, 94)) errors.push(`Batch ${batchCount}: batch number differs from its header`);
+
+                fileEntries += batch.entries;
+                fileHash += batch.hash;
+                fileCredit += batch.credit;
+                fileDebit += batch.debit;
+                batch = null;
+                break;
+            }
+            default:
+                errors.push(`Unexpected record type "${line[0]}" at record ${recordNumber}`);
+        }
+    });
+
+    if (batch) errors.push('Last batch has no batch control (8) record');
+    if (batchCount === 0) errors.push('File contains no batches');
+
+    if (Number(fileControl.slice(1, 7)) !== batchCount) errors.push('File control: batch count does not match');
+    if (Number(fileControl.slice(7, 13)) !== lines.length / NACHA_BLOCKING_FACTOR) errors.push('File control: block count does not match');
+    if (Number(fileControl.slice(13, 21)) !== fileEntries) errors.push('File control: entry/addenda count does not match');
+    if (Number(fileControl.slice(21, 31)) !== Number(String(fileHash).slice(-10))) errors.push('File control: entry hash does not match');
+    if (Number(fileControl.slice(31, 43)) !== fileDebit) errors.push('File control: total debit does not match');
+    if (Number(fileControl.slice(43, 55)) !== fileCredit) errors.push('File control: total credit does not match');
+
+    return { valid: errors.length === 0, errors };
+}
+
+// ===============================
+// SEPA Credit Transfer (pain.001.001.03)
+// ===============================
+
+// The SEPA Latin character set; anything else is dropped after transliteration
+const sepaText = (value, length) => transliterate(value)
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, length);
+
+// Message, payment and end-to-end ids: no spaces and no leading, trailing or double slashes
+const sepaId = (value, length = 35) => String(value || '').replace(/[^A-Za-z0-9-]/g, '').slice(0, length) || 'NOTPROVIDED';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const formatSepaAmount = (amount) => (toCents(amount) / 100).toFixed(2);
+
+const agentXml = (tag, bic, indent) => (bic
+    ? `${indent}<${tag}><FinInstnId><BIC>${escapeXml(bic.toUpperCase())}</BIC></FinInstnId></${tag}>`
+    : `${indent}<${tag}><FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId></${tag}>`);
+
+// settings: { debtorName, debtorIban, debtorBic, initiatingPartyName }
+function buildSepaCreditTransfer(payments, settings, { messageId, executionDate, createdAt = new Date() } = {}) {
+    const controlSum = formatSepaAmount(payments.reduce((sum, payment) => sum + toCents(payment.amount), 0) / 100);
+    const msgId = sepaId(messageId);
+
+    const transactions = payments.map(payment => [
+        '      <CdtTrfTxInf>',
+        `        <PmtId><EndToEndId>${escapeXml(sepaId(payment.endToEndId || payment.id))}</EndToEndId></PmtId>`,
+        `        <Amt><InstdAmt Ccy="EUR">${formatSepaAmount(payment.amount)}</InstdAmt></Amt>`,
+        payment.bic ? agentXml('CdtrAgt', payment.bic, '        ') : null,
+        `        <Cdtr><Nm>${escapeXml(sepaText(payment.payeeName, 70))}</Nm></Cdtr>`,
+        `        <CdtrAcct><Id><IBAN>${escapeXml(normalizeIban(payment.iban))}</IBAN></Id></CdtrAcct>`,
+        `        <RmtInf><Ustrd>${escapeXml(sepaText(payment.reference, 140))}</Ustrd></RmtInf>`,
+        '      </CdtTrfTxInf>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<Document xmlns="${SEPA_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+        '  <CstmrCdtTrfInitn>',
+        '    <GrpHdr>',
+        `      <MsgId>${escapeXml(msgId)}</MsgId>`,
+        `      <CreDtTm>${createdAt.toISOString().slice(0, 19)}</CreDtTm>`,
+        `      <NbOfTxs>${payments.length}</NbOfTxs>`,
+        `      <CtrlSum>${controlSum}</CtrlSum>`,
+        `      <InitgPty><Nm>${escapeXml(sepaText(settings.initiatingPartyName || settings.debtorName, 70))}</Nm></InitgPty>`,
+        '    </GrpHdr>',
+        '    <PmtInf>',
+        `      <PmtInfId>${escapeXml(sepaId(`${msgId}-1`))}</PmtInfId>`,
+        '      <PmtMtd>TRF</PmtMtd>',
+        '      <BtchBookg>true</BtchBookg>',
+        `      <NbOfTxs>${payments.length}</NbOfTxs>`,
+        `      <CtrlSum>${controlSum}</CtrlSum>`,
+        '      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>',
+        `      <ReqdExctnDt>${executionDate || createdAt.toISOString().slice(0, 10)}</ReqdExctnDt>`,
+        `      <Dbtr><Nm>${escapeXml(sepaText(settings.debtorName, 70))}</Nm></Dbtr>`,
+        `      <DbtrAcct><Id><IBAN>${escapeXml(normalizeIban(settings.debtorIban))}</IBAN></Id></DbtrAcct>`,
+        agentXml('DbtrAgt', settings.debtorBic, '      '),
+        '      <ChrgBr>SLEV</ChrgBr>',
+        ...transactions,
+        '    </PmtInf>',
+        '  </CstmrCdtTrfInitn>',
+        '</Document>',
+        ''
+    ].join('\n');
+}
+
+const sepaParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['PmtInf', 'CdtTrfTxInf'].includes(name)
+});
+
+// Check the structure and business rules of a pain.001.001.03 file (the rules the bank's schema and
+// SEPA rulebook enforce: counts and control sums, IBAN/BIC, EUR amounts, lengths and character set)
+function validateSepaXml(xml) {
+    const errors = [];
+    let parsed;
+    try {
+        parsed = sepaParser.parse(String(xml));
+    } catch (error) {
+        return { valid: false, errors: [`Not well-formed XML: ${error.message}`] };
+    }
+
+    const document = parsed.Document;
+    if (!document || document['@_xmlns'] !== SEPA_NAMESPACE) {
+        return { valid: false, errors: [`Root element must be Document in namespace ${SEPA_NAMESPACE}`] };
+    }
+
+    const initiation = document.CstmrCdtTrfInitn;
+    const header = initiation?.GrpHdr;
+    if (!header) {
+        return { valid: false, errors: ['GrpHdr is missing'] };
+    }
+
+    const text = (value) => (value && typeof value === 'object' ? value['#text'] : value);
+    const checkLength = (value, max, label) => {
+        if (!value) errors.push(`${label} is missing`);
+        else if (String(value).length > max) errors.push(`${label} is longer than ${max} characters`);
+    };
+    const checkCharset = (value, label) => {
+        if (value && /[^A-Za-z0-9/\-?:().,'+ ]/.test(value)) errors.push(`${label} contains characters outside the SEPA character set`);
+    };
+    const checkSum = (expected, cents, label) => {
+        if (toCents(expected) !== cents) errors.push(`${label} ${expected} does not equal the sum of its transactions`);
+    };
+
+    checkLength(header.MsgId, 35, 'MsgId');
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(header.CreDtTm || '')) errors.push('CreDtTm is not an ISO date-time');
+    checkLength(header.InitgPty?.Nm, 70, 'InitgPty/Nm');
+
+    const paymentInfos = initiation.PmtInf || [];
+    if (paymentInfos.length === 0) errors.push('No PmtInf block');
+
+    let groupCount = 0;
+    let groupCents = 0;
+
+    paymentInfos.forEach((info, infoIndex) => {
+        const label = `PmtInf ${infoIndex + 1}`;
+        checkLength(info.PmtInfId, 35, `${label} PmtInfId`);
+        if (info.PmtMtd !== 'TRF') errors.push(`${label}: PmtMtd must be TRF`);
+        if (info.PmtTpInf?.SvcLvl?.Cd !== 'SEPA') errors.push(`${label}: service level must be SEPA`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(info.ReqdExctnDt || '')) errors.push(`${label}: ReqdExctnDt is not an ISO date`);
+        checkLength(info.Dbtr?.Nm, 70, `${label} Dbtr/Nm`);
+        checkCharset(info.Dbtr?.Nm, `${label} Dbtr/Nm`);
+        if (!isValidIban(info.DbtrAcct?.Id?.IBAN)) errors.push(`${label}: debtor IBAN is invalid`);
+        const debtorBic = info.DbtrAgt?.FinInstnId?.BIC;
+        if (debtorBic ? !isValidBic(debtorBic) : info.DbtrAgt?.FinInstnId?.Othr?.Id !== 'NOTPROVIDED') {
+            errors.push(`${label}: debtor agent BIC is invalid`);
+        }
+        if (info.ChrgBr !== 'SLEV') errors.push(`${label}: ChrgBr must be SLEV`);
+
+        const transactions = info.CdtTrfTxInf || [];
+        let infoCents = 0;
+
+        transactions.forEach((tx, txIndex) => {
+            const txLabel = `${label} transaction ${txIndex + 1}`;
+            const amount = tx.Amt?.InstdAmt;
+            const value = text(amount);
+
+            checkLength(tx.PmtId?.EndToEndId, 35, `${txLabel} EndToEndId`);
+            if (amount?.['@_Ccy'] !== 'EUR') errors.push(`${txLabel}: currency must be EUR`);
+            if (!/^\d{1,9}(\.\d{1,2})?$/.test(value || '') || Number(value) < 0.01 || Number(value) > SEPA_MAX_AMOUNT) {
+                errors.push(`${txLabel}: amount ${value} must be between 0.01 and ${SEPA_MAX_AMOUNT} with at most two decimals`);
+            }
+            const creditorBic = tx.CdtrAgt?.FinInstnId?.BIC;
+            if (creditorBic && !isValidBic(creditorBic)) errors.push(`${txLabel}: creditor BIC is invalid`);
+            checkLength(tx.Cdtr?.Nm, 70, `${txLabel} Cdtr/Nm`);
+            checkCharset(tx.Cdtr?.Nm, `${txLabel} Cdtr/Nm`);
+            if (!isValidIban(tx.CdtrAcct?.Id?.IBAN)) errors.push(`${txLabel}: creditor IBAN is invalid`);
+            const remittance = tx.RmtInf?.Ustrd;
+            if (remittance && String(remittance).length > 140) errors.push(`${txLabel}: remittance information is longer than 140 characters`);
+            checkCharset(remittance, `${txLabel} remittance information`);
+
+            infoCents += toCents(value);
+        });
+
+        if (Number(info.NbOfTxs) !== transactions.length) errors.push(`${label}: NbOfTxs does not match its transactions`);
+        checkSum(info.CtrlSum, infoCents, `${label} CtrlSum`);
+
+        groupCount += transactions.length;
+        groupCents += infoCents;
+    });
+
+    if (Number(header.NbOfTxs) !== groupCount) errors.push('GrpHdr NbOfTxs does not match the number of transactions');
+    checkSum(header.CtrlSum, groupCents, 'GrpHdr CtrlSum');
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    normalizeIban,
+    isValidIban,
+    isValidBic,
+    isValidRoutingNumber,
+    isValidAccountNumber,
+    buildNachaFile,
+    validateNachaFile,
+    buildSepaCreditTransfer,
+    validateSepaXml
+};
@@ -0,0 +1,227 @@
+// backend/utils/payment-files.test.js
+
+const {
+    normalizeIban,
+    isValidIban,
+    isValidBic,
+    isValidRoutingNumber,
+    isValidAccountNumber,
+    buildNachaFile,
+    validateNachaFile,
+    buildSepaCreditTransfer,
+    validateSepaXml
+} = require('./payment-files');
+
+const NACHA_SETTINGS = {
+    immediateDestination: '021000021',
+    immediateDestinationName: 'JPMORGAN CHASE',
+    immediateOrigin: '1234567890',
+    immediateOriginName: 'Acme Corp',
+    companyName: 'Acme Corp',
+    companyIdentification: '1234567890',
+    originatingDfi: '02100002',
+    secCode: 'CCD',
+    entryDescription: 'VENDOR PAY'
+};
+
+const NACHA_PAYMENTS = [
+    { id: 'PAY-1', payeeName: 'Müller Supplies', amount: 1234.56, routingNumber: '021000021', accountNumber: '12345678', reference: 'Invoices INV-1, INV-2' },
+    { id: 'PAY-2', payeeName: 'Beta LLC', amount: 99.44, routingNumber: '011000015', accountNumber: '9876-5432', accountType: 'savings', reference: 'Invoices B-7' }
+];
+
+const CREATED_AT = new Date('2024-04-03T09:15:00Z');
+
+const nachaLines = (content) => content.split('\n').filter(Boolean);
+
+const SEPA_SETTINGS = {
+    debtorName: 'Acme GmbH',
+    debtorIban: 'DE89 3704 0044 0532 0130 00',
+    debtorBic: 'COBADEFFXXX',
+    initiatingPartyName: 'Acme GmbH'
+};
+
+const SEPA_PAYMENTS = [
+    { id: 'PAY-1', payeeName: 'Schrauben & Söhne KG', amount: 267.5, iban: 'DE02120300000000202051', bic: 'BYLADEM1001', reference: 'Invoices CII-3001' },
+    { id: 'PAY-2', payeeName: 'Dupont SARL', amount: 0.1, iban: 'FR1420041010050500013M02606', reference: 'Invoices F-99 less credit notes AV-1' }
+];
+
+describe('account identifiers', () => {
+    test('checks IBAN check digits, ignoring spaces and case', () => {
+        expect(isValidIban('DE89 3704 0044 0532 0130 00')).toBe(true);
+        expect(isValidIban('gb82west12345698765432')).toBe(true);
+        expect(isValidIban('DE88370400440532013000')).toBe(false);
+        expect(isValidIban('DE89')).toBe(false);
+        expect(normalizeIban(' de89 3704 0044 0532 0130 00 ')).toBe('DE89370400440532013000');
+    });
+
+    test('checks BIC shape', () => {
+        expect(isValidBic('COBADEFF')).toBe(true);
+        expect(isValidBic('cobadeffxxx')).toBe(true);
+        expect(isValidBic('COBADEF')).toBe(false);
+        expect(isValidBic('1OBADEFFXXX')).toBe(false);
+    });
+
+    test('checks the ABA routing number check digit', () => {
+        expect(isValidRoutingNumber('021000021')).toBe(true);
+        expect(isValidRoutingNumber('011000015')).toBe(true);
+        expect(isValidRoutingNumber('021000022')).toBe(false);
+        expect(isValidRoutingNumber('02100002')).toBe(false);
+        expect(isValidRoutingNumber(null)).toBe(false);
+    });
+
+    test('accepts 4 to 17 character account numbers', () => {
+        expect(isValidAccountNumber('9876-5432')).toBe(true);
+        expect(isValidAccountNumber('123')).toBe(false);
+        expect(isValidAccountNumber('1'.repeat(18))).toBe(false);
+    });
+});
+
+describe('buildNachaFile', () => {
+    const content = buildNachaFile(NACHA_PAYMENTS, NACHA_SETTINGS, { effectiveDate: '2024-04-05', createdAt: CREATED_AT });
+    const lines = nachaLines(content);
+
+    test('writes 94-character records padded to a block of ten with all-9 records', () => {
+        expect(lines.every(line => line.length === 94)).toBe(true);
+        expect(lines).toHaveLength(10);
+        expect(lines.map(line => line[0]).join('')).toBe('1567678999');
+        expect(lines.slice(8)).toEqual(['9'.repeat(94), '9'.repeat(94)]);
+        expect(content.endsWith('\n')).toBe(true);
+    });
+
+    test('writes the header, entries and addenda', () => {
+        expect(lines[0].slice(3, 13)).toBe(' 021000021');
+        expect(lines[0].slice(23, 33)).toBe('2404030915');
+        expect(lines[1].slice(69, 75)).toBe('240405');
+
+        expect(lines[2].slice(0, 12)).toBe('622021000021');
+        expect(lines[2].slice(29, 39)).toBe('0000123456');
+        expect(lines[2].slice(54, 76)).toBe('MULLER SUPPLIES       ');
+        expect(lines[2].slice(79, 94)).toBe('021000020000001');
+        expect(lines[3].slice(3, 83).trim()).toBe('INVOICES INV-1, INV-2');
+
+        expect(lines[4].slice(0, 3)).toBe('632');
+        expect(lines[4].slice(29, 39)).toBe('0000009944');
+    });
+
+    test('writes entry counts, the entry hash and the credit total in the controls', () => {
+        // 02100002 + 01100001
+        const hash = '0003200003';
+
+        expect(lines[6].slice(4, 10)).toBe('000004');
+        expect(lines[6].slice(10, 20)).toBe(hash);
+        expect(lines[6].slice(20, 32)).toBe('000000000000');
+        expect(lines[6].slice(32, 44)).toBe('000000133400');
+
+        expect(lines[7].slice(1, 7)).toBe('000001');
+        expect(lines[7].slice(7, 13)).toBe('000001');
+        expect(lines[7].slice(13, 21)).toBe('00000004');
+        expect(lines[7].slice(21, 31)).toBe(hash);
+        expect(lines[7].slice(43, 55)).toBe('000000133400');
+    });
+
+    test('adds a block once the records no longer fit in one', () => {
+        const payments = Array.from({ length: 4 }, (_, index) => ({ ...NACHA_PAYMENTS[0], id: `PAY-${index}` }));
+        const fileLines = nachaLines(buildNachaFile(payments, NACHA_SETTINGS, { createdAt: CREATED_AT }));
+
+        // 1 + 1 + 4 × 2 + 1 + 1 = 12 records
+        expect(fileLines).toHaveLength(20);
+        expect(fileLines[11].slice(7, 13)).toBe('000002');
+        expect(validateNachaFile(fileLines.join('\n')).valid).toBe(true);
+    });
+});
+
+describe('validateNachaFile', () => {
+    const content = buildNachaFile(NACHA_PAYMENTS, NACHA_SETTINGS, { createdAt: CREATED_AT });
+
+    test('accepts a generated file', () => {
+        expect(validateNachaFile(content)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('reports short records and broken blocking', () => {
+        const lines = nachaLines(content);
+        const result = validateNachaFile([...lines.slice(0, 9), lines[9].slice(1)].join('\n'));
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Record 10 is 93 characters, not 94');
+
+        expect(validateNachaFile(lines.slice(0, 9).join('\n')).errors)
+            .toContain('Record count 9 is not a multiple of the blocking factor 10');
+    });
+
+    test('reports an entry amount that no longer matches the totals', () => {
+        const lines = nachaLines(content);
+        lines[2] = lines[2].slice(0, 29) + '0000123457' + lines[2].slice(39);
+        const { errors } = validateNachaFile(lines.join('\n'));
+
+        expect(errors).toContain('Batch 1: total credit does not match');
+        expect(errors).toContain('File control: total credit does not match');
+    });
+
+    test('reports an entry with a bad routing number and a broken entry hash', () => {
+        const lines = nachaLines(content);
+        lines[2] = lines[2].slice(0, 3) + '021000022' + lines[2].slice(12);
+        const { errors } = validateNachaFile(lines.join('\n'));
+
+        expect(errors).toContain('Entry at record 3 has an invalid routing number 021000022');
+        expect(errors).not.toContain('Batch 1: entry hash does not match');
+
+        lines[2] = lines[2].slice(0, 3) + '011000015' + lines[2].slice(12);
+        expect(validateNachaFile(lines.join('\n')).errors).toContain('Batch 1: entry hash does not match');
+    });
+});
+
+describe('buildSepaCreditTransfer', () => {
+    const xml = buildSepaCreditTransfer(SEPA_PAYMENTS, SEPA_SETTINGS, { messageId: 'RUN-2024-04-03', executionDate: '2024-04-05', createdAt: CREATED_AT });
+
+    test('writes a file that passes validation', () => {
+        expect(validateSepaXml(xml)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('writes counts and control sums to the cent', () => {
+        expect(xml.match(/<NbOfTxs>2<\/NbOfTxs>/g)).toHaveLength(2);
+        expect(xml.match(/<CtrlSum>267\.60<\/CtrlSum>/g)).toHaveLength(2);
+        expect(xml).toContain('<InstdAmt Ccy="EUR">0.10</InstdAmt>');
+        expect(xml).toContain('<ReqdExctnDt>2024-04-05</ReqdExctnDt>');
+    });
+
+    test('normalizes IBANs and keeps names within the SEPA character set', () => {
+        expect(xml).toContain('<DbtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></DbtrAcct>');
+        expect(xml).toContain('<Cdtr><Nm>Schrauben Sohne KG</Nm></Cdtr>');
+    });
+
+    test('writes NOTPROVIDED for a missing debtor BIC and omits a missing creditor BIC', () => {
+        const noBic = buildSepaCreditTransfer(SEPA_PAYMENTS, { ...SEPA_SETTINGS, debtorBic: '' }, { messageId: 'RUN-1', createdAt: CREATED_AT });
+
+        expect(noBic).toContain('<DbtrAgt><FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId></DbtrAgt>');
+        expect(noBic.match(/<CdtrAgt>/g)).toHaveLength(1);
+        expect(validateSepaXml(noBic).valid).toBe(true);
+    });
+});
+
+describe('validateSepaXml', () => {
+    const xml = buildSepaCreditTransfer(SEPA_PAYMENTS, SEPA_SETTINGS, { messageId: 'RUN-1', createdAt: CREATED_AT });
+
+    test('reports an invalid creditor IBAN', () => {
+        const { errors } = validateSepaXml(xml.replace('DE02120300000000202051', 'DE02120300000000202052'));
+
+        expect(errors).toContain('PmtInf 1 transaction 1: creditor IBAN is invalid');
+    });
+
+    test('reports control sums that do not add up', () => {
+        const { errors } = validateSepaXml(xml.replace('<InstdAmt Ccy="EUR">0.10</InstdAmt>', '<InstdAmt Ccy="EUR">0.20</InstdAmt>'));
+
+        expect(errors).toContain('PmtInf 1 CtrlSum 267.60 does not equal the sum of its transactions');
+        expect(errors).toContain('GrpHdr CtrlSum 267.60 does not equal the sum of its transactions');
+    });
+
+    test('reports amounts in another currency or with more than two decimals', () => {
+        const { errors } = validateSepaXml(xml.replace('<InstdAmt Ccy="EUR">0.10</InstdAmt>', '<InstdAmt Ccy="USD">0.101</InstdAmt>'));
+
+        expect(errors).toContain('PmtInf 1 transaction 2: currency must be EUR');
+        expect(errors).toEqual(expect.arrayContaining([expect.stringMatching(/^PmtInf 1 transaction 2: amount 0\.101 must be between/)]));
+    });
+
+    test('rejects a document in another namespace', () => {
+        expect(validateSepaXml(xml.replace('pain.001.001.03', 'pain.001.001.09')).valid).toBe(false);
+    });
+});
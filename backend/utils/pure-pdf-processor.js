@@ -3,12 +3,50 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const sharp = require('sharp');
 const { createCanvas } = require('canvas');
 const { tesseractManager } = require('./tesseract-manager');
 const { enhancedRegexExtractionWithFixedItems, postProcessOCRText } = require('./enhanced-line-items-extraction');
+const { applySourceConfidence, averageFieldConfidence } = require('./field-confidence');
+const { toLocatedOcrWords, applyWordLocations } = require('./field-locations');
+const { mergeTemplateResult, appliedFields } = require('./vendor-templates');
+
+// Pages with less text than this have no usable text layer and are OCR'd
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+// Split a PDF.js text item into words, spreading the item's width over its characters
+function textItemToWords(item, viewport, pageNum) {
+    if (!item.str || !item.str.trim()) return [];
+
+    const [left, baseline] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+    const height = (item.height || Math.hypot(item.transform[2], item.transform[3])) * viewport.scale;
+    const charWidth = (item.width * viewport.scale) / item.str.length;
+    const words = [];
+
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(item.str)) !== null) {
+        const x = left + match.index * charWidth;
+        const width = match[0].length * charWidth;
+        words.push({
+            text: match[0],
+            location: {
+                page: pageNum,
+                bbox: {
+                    x: Math.max(0, x / viewport.width),
+                    y: Math.max(0, (baseline - height) / viewport.height),
+                    width: Math.min(1, width / viewport.width),
+                    height: Math.min(1, height / viewport.height)
+                }
+            }
+        });
+    }
 
-// Alternative PDF text extraction using pure PDF.js
-async function extractTextFromPdf(pdfPath) {
+    return words;
+}
+
+// Alternative PDF text extraction using pure PDF.js; pages (1-based) limits it to part of the file
+async function extractTextFromPdf(pdfPath, { pages = null } = {}) {
     try {
         const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
 
@@ -27,11 +65,14 @@ async function extractTextFromPdf(pdfPath) {
 
         let fullText = '';
         const pageTexts = [];
+        const words = [];
+        const pageNumbers = pages || Array.from({ length: pdf.numPages }, (_, index) => index + 1);
 
-        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        for (const pageNum of pageNumbers) {
             try {
                 const page = await pdf.getPage(pageNum);
                 const textContent = await page.getTextContent();
+                const viewport = page.getViewport({ scale: 1 });
 
                 // Better text extraction with positioning
                 let pageText = '';
@@ -44,6 +85,7 @@ async function extractTextFromPdf(pdfPath) {
                     }
 
                     pageText += item.str;
+                    words.push(...textItemToWords(item, viewport, pageNum));
 
                     // Add space if there's a significant gap in X position
                     if (item.hasEOL || (item.width && item.width > 0)) {
@@ -69,8 +111,9 @@ async function extractTextFromPdf(pdfPath) {
 
         return {
             text: cleanText,
-            pageCount: pdf.numPages,
+            pageCount: pageNumbers.length,
             pageTexts: pageTexts,
+            words: words,
             hasText: cleanText.length > 50
         };
 
@@ -80,13 +123,41 @@ async function extractTextFromPdf(pdfPath) {
             text: '',
             pageCount: 0,
             pageTexts: [],
+            words: [],
             hasText: false
         };
     }
 }
 
-// Alternative: Convert PDF to images using PDF.js and Canvas (no GraphicsMagick)
-async function convertPdfToImages(pdfPath, outputDir) {
+// Render one PDF.js page to a PNG
+async function renderPageToImage(page, imagePath) {
+    // Set up canvas with high resolution
+    const scale = 2.0; // High resolution for better OCR
+    const viewport = page.getViewport({ scale });
+
+    const canvas = createCanvas(viewport.width, viewport.height);
+    const context = canvas.getContext('2d');
+
+    // White background
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, viewport.width, viewport.height);
+
+    // Render PDF page to canvas
+    const renderContext = {
+        canvasContext: context,
+        viewport: viewport
+    };
+
+    await page.render(renderContext).promise;
+
+    // Save canvas as PNG
+    const buffer = canvas.toBuffer('image/png');
+    await fs.writeFile(imagePath, buffer);
+}
+
+// Alternative: Convert PDF to images using PDF.js and Canvas (no GraphicsMagick); pages (1-based)
+// limits it to part of the file
+async function convertPdfToImages(pdfPath, outputDir, { pages = null } = {}) {
     try {
         const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
 
@@ -101,34 +172,12 @@ async function convertPdfToImages(pdfPath, outputDir) {
         await fs.mkdir(outputDir, { recursive: true });
 
         const imagePaths = [];
+        const pageNumbers = pages || Array.from({ length: pdf.numPages }, (_, index) => index + 1);
 
-        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        for (const pageNum of pageNumbers) {
             try {
-                const page = await pdf.getPage(pageNum);
-
-                // Set up canvas with high resolution
-                const scale = 2.0; // High resolution for better OCR
-                const viewport = page.getViewport({ scale });
-
-                const canvas = createCanvas(viewport.width, viewport.height);
-                const context = canvas.getContext('2d');
-
-                // White background
-                context.fillStyle = 'white';
-                context.fillRect(0, 0, viewport.width, viewport.height);
-
-                // Render PDF page to canvas
-                const renderContext = {
-                    canvasContext: context,
-                    viewport: viewport
-                };
-
-                await page.render(renderContext).promise;
-
-                // Save canvas as PNG
                 const imagePath = path.join(outputDir, `page-${pageNum}.png`);
-                const buffer = canvas.toBuffer('image/png');
-                await fs.writeFile(imagePath, buffer);
+                await renderPageToImage(await pdf.getPage(pageNum), imagePath);
 
                 imagePaths.push(imagePath);
                 console.log(`✅ Page ${pageNum} converted to: ${imagePath}`);
@@ -179,7 +228,7 @@ async function performOCRWithManager(imagePath, documentId, socketId, pageNumber
         return {
             text: result.text,
             confidence: result.confidence,
-            words: result.words || [],
+            words: await toLocatedOcrWords(result.words, imagePath, pageNumber),
             lines: result.lines || []
         };
         
@@ -196,8 +245,10 @@ async function performOCRWithManager(imagePath, documentId, socketId, pageNumber
     }
 }
 
-// Main processing function - NO EXTERNAL DEPENDENCIES except Tesseract
-async function processDocumentPure(filePath, documentId, socketId, io) {
+// Main processing function - NO EXTERNAL DEPENDENCIES except Tesseract.
+// options.extractWithTemplate(text, words) runs the issuing vendor's learned template, if any.
+// options.pages (1-based) limits processing to the pages of one document split out of the file.
+async function processDocumentPure(filePath, documentId, socketId, io, options = {}) {
     const startTime = Date.now();
     let imagePaths = [];
     let extractedText = '';
@@ -210,6 +261,7 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
         consensusScore: 0
     };
     let extractionMethods = [];
+    let pageWords = [];
 
     try {
         console.log(`🚀 Starting pure PDF.js processing: ${path.basename(filePath)}`);
@@ -228,9 +280,10 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
             }
 
             // Try to extract text directly from PDF first
-            const textResult = await extractTextFromPdf(filePath);
+            const textResult = await extractTextFromPdf(filePath, { pages: options.pages });
             extractedText = textResult.text;
             pageCount = textResult.pageCount || 1;
+            pageWords = textResult.words || [];
 
             if (textResult.hasText) {
                 console.log(`✅ Successfully extracted ${extractedText.length} characters from PDF`);
@@ -249,7 +302,7 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
                 }
 
                 const outputDir = path.join(path.dirname(filePath), `${documentId}_pages`);
-                imagePaths = await convertPdfToImages(filePath, outputDir);
+                imagePaths = await convertPdfToImages(filePath, outputDir, { pages: options.pages });
                 extractionMethods.push('PDF.js + Canvas Conversion');
             }
 
@@ -275,17 +328,20 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
             let allOcrText = '';
             let totalConfidence = 0;
             let successfulPages = 0;
+            pageWords = [];
 
             for (let i = 0; i < imagePaths.length; i++) {
                 const imagePath = imagePaths[i];
-                console.log(`🔍 OCR processing page ${i + 1}/${imagePaths.length}`);
+                const pageNumber = options.pages ? options.pages[i] : i + 1;
+                console.log(`🔍 OCR processing page ${pageNumber} (${i + 1}/${imagePaths.length})`);
 
                 try {
-                    const ocrResult = await performOCRWithManager(imagePath, documentId, socketId, i + 1);
+                    const ocrResult = await performOCRWithManager(imagePath, documentId, socketId, pageNumber);
                     
                     if (ocrResult.text && ocrResult.text.length > 10) {
                         allOcrText += ocrResult.text + '\n';
                         totalConfidence += ocrResult.confidence;
+                        pageWords = pageWords.concat(ocrResult.words);
                         successfulPages++;
                     }
 
@@ -324,10 +380,29 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
         // Post-process the extracted text
         const cleanedText = postProcessOCRText(extractedText);
         
+        // A learned vendor template goes first; the generic patterns fill in what it does not cover
+        const templateResult = options.extractWithTemplate
+            ? await options.extractWithTemplate(cleanedText, pageWords)
+            : null;
+
         // Use enhanced regex extraction with fixed line items
         const invoiceData = enhancedRegexExtractionWithFixedItems(cleanedText);
         extractionMethods.push('Enhanced Regex Extraction');
 
+        if (templateResult) {
+            mergeTemplateResult(invoiceData, templateResult);
+            extractionMethods.unshift('Vendor Template');
+            console.log(`🧩 Vendor template of ${templateResult.vendorName} filled ${appliedFields(templateResult).join(', ') || 'no fields'}`);
+        }
+
+        // Per-field confidence: pattern reliability x OCR word confidence (or native text confidence)
+        applySourceConfidence(invoiceData, {
+            words: pageWords,
+            textConfidence: metrics.averageConfidence
+        });
+        applyWordLocations(invoiceData, pageWords);
+        metrics.fieldConfidenceAverage = averageFieldConfidence(invoiceData);
+
         // Calculate metrics
         const processingTime = Date.now() - startTime;
         metrics.processingTime = processingTime;
@@ -362,8 +437,8 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
         console.error('❌ Document processing failed:', error);
         throw new Error(`Document processing failed: ${error.message}`);
     } finally {
-        // Cleanup temporary image files
-        if (imagePaths.length > 0) {
+        // Cleanup temporary page images (image uploads are OCR'd in place and must be kept)
+        if (imagePaths.length > 0 && isPdfFile(filePath)) {
             console.log('🗑️ Cleaning up temporary files...');
             await cleanupFiles(imagePaths);
 
@@ -379,11 +454,90 @@ async function processDocumentPure(filePath, documentId, socketId, io) {
     }
 }
 
+// Text of every page of a PDF, for page classification; pages without a text layer are OCR'd
+async function extractPageTexts(filePath, documentId) {
+    const textResult = await extractTextFromPdf(filePath);
+    const pageTexts = textResult.pageTexts.slice();
+    const scannedPages = pageTexts
+        .map((text, index) => (text.length < MIN_PAGE_TEXT_LENGTH ? index + 1 : null))
+        .filter(Boolean);
+    if (scannedPages.length === 0) return pageTexts;
+
+    const tempDir = path.join(path.dirname(filePath), `${documentId}_classify`);
+    try {
+        const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+        pdfjsLib.GlobalWorkerOptions.workerSrc = null;
+
+        const data = new Uint8Array(await fs.readFile(filePath));
+        const pdf = await pdfjsLib.getDocument({ data, verbosity: 0 }).promise;
+        await fs.mkdir(tempDir, { recursive: true });
+
+        for (const pageNumber of scannedPages) {
+            const imagePath = path.join(tempDir, `page-${pageNumber}.png`);
+            await renderPageToImage(await pdf.getPage(pageNumber), imagePath);
+            const ocrResult = await performOCRWithManager(imagePath, documentId, null, pageNumber);
+            pageTexts[pageNumber - 1] = postProcessOCRText(ocrResult.text || '');
+        }
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    return pageTexts;
+}
+
+// OCR just one region of a page; bbox is normalized ({ x, y, width, height } in 0-1)
+async function ocrRegion(filePath, pageNumber, bbox) {
+    const tempDir = path.join(path.dirname(filePath), `region_${Date.now()}_${Math.round(Math.random() * 1e6)}`);
+    let imagePath = filePath;
+
+    try {
+        if (isPdfFile(filePath)) {
+            const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+            pdfjsLib.GlobalWorkerOptions.workerSrc = null;
+
+            const data = new Uint8Array(await fs.readFile(filePath));
+            const pdf = await pdfjsLib.getDocument({ data, verbosity: 0 }).promise;
+            if (pageNumber < 1 || pageNumber > pdf.numPages) {
+                throw new Error(`Page ${pageNumber} does not exist (document has ${pdf.numPages})`);
+            }
+
+            await fs.mkdir(tempDir, { recursive: true });
+            imagePath = path.join(tempDir, `page-${pageNumber}.png`);
+            await renderPageToImage(await pdf.getPage(pageNumber), imagePath);
+        } else if (pageNumber !== 1) {
+            throw new Error('Image documents only have one page');
+        }
+
+        const { width, height } = await sharp(imagePath).metadata();
+        const rectangle = {
+            left: Math.round(bbox.x * width),
+            top: Math.round(bbox.y * height),
+            width: Math.max(1, Math.round(bbox.width * width)),
+            height: Math.max(1, Math.round(bbox.height * height))
+        };
+
+        console.log(`🔍 Region OCR on page ${pageNumber}: ${JSON.stringify(rectangle)}`);
+        const result = await tesseractManager.performOCR(imagePath, { rectangle });
+
+        return {
+            text: postProcessOCRText(result.text).replace(/\s+/g, ' ').trim(),
+            confidence: result.confidence
+        };
+
+    } finally {
+        if (imagePath !== filePath) {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+}
+
 module.exports = {
     extractTextFromPdf,
+    extractPageTexts,
     convertPdfToImages,
     processDocumentPure,
     isPdfFile,
     cleanupFiles,
-    performOCRWithManager
+    performOCRWithManager,
+    ocrRegion
 };
\ No newline at end of file
@@ -0,0 +1,383 @@
+// backend/utils/vendor-templates.js
+// Per-vendor extraction templates learned from reviewer corrections. A field rule remembers the
+// label printed next to the value (the anchor), whether the value follows it on the same line or
+// sits on the line below, the shape of the value and where it was on the page. A line item layout
+// remembers the table's header row and which trailing number on a row is which column.
+
+const { setFieldConfidence } = require('./field-confidence');
+const { DATE_TOKEN, readDateToken, parseDate } = require('./dates');
+
+// Fields whose position and shape are stable enough from one invoice of a vendor to the next
+const LEARNABLE_FIELDS = {
+    invoiceNumber: 'text',
+    date: 'date',
+    dueDate: 'date',
+    'vendor.taxId': 'text',
+    'amounts.subtotal': 'amount',
+    'amounts.tax': 'amount',
+    'amounts.total': 'amount',
+    'amounts.amountPaid': 'amount',
+    'amounts.balanceDue': 'amount',
+    'orderInfo.orderNumber': 'text',
+    'orderInfo.orderDate': 'date',
+    'paymentDetails.terms': 'text'
+};
+
+const ITEM_NUMBER_FIELDS = ['quantity', 'unitPrice', 'amount'];
+
+// Pattern score of a template value before OCR confidence is applied
+const TEMPLATE_CONFIDENCE = 92;
+
+const MAX_ANCHOR_LENGTH = 40;
+const REGION_MARGIN = 0.02;
+
+const NUMBER_TOKEN = /-?\(?[$£€¥₹]?\s?\d[\d.,']*\d\)?|-?\d/g;
+const ITEMS_END = /\b(sub\s*-?total|total|tax|vat|gst|balance|amount\s+due)\b/i;
+
+const normalizeLabel = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function getValue(obj, path) {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function setValue(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+        if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+        return current[key];
+    }, obj);
+    target[last] = value;
+}
+
+// "1,234.50", "1.234,50", "1 234,50", "(12.00)" -> number; the last separator followed by one or
+// two digits is the decimal point
+function parseLooseNumber(token) {
+    if (token === null || token === undefined) return null;
+    let text = String(token).trim();
+    const negative = /^-|^\(.*\)$/.test(text);
+    text = text.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(text)) return null;
+
+    const decimal = text.match(/[.,](\d{1,2})$/);
+    const integerPart = decimal ? text.slice(0, -decimal[0].length) : text;
+    const value = Number(`${integerPart.replace(/[.,]/g, '')}${decimal ? `.${decimal[1]}` : ''}`);
+    if (isNaN(value)) return null;
+    return negative ? -value : value;
+}
+
+const amountsEqual = (a, b) => a !== null && b !== null && Math.abs(Math.abs(a) - Math.abs(b)) < 0.005;
+
+// Every place on a line where the corrected value is printed
+function findOccurrences(line, type, value) {
+    const occurrences = [];
+
+    if (type === 'amount') {
+        const target = Number(value);
+        for (const match of line.matchAll(NUMBER_TOKEN)) {
+            if (amountsEqual(parseLooseNumber(match[0]), target)) {
+                occurrences.push({ start: match.index, end: match.index + match[0].length, raw: match[0] });
+            }
+        }
+    } else if (type === 'date') {
+        // Dates in the corrected data are either ISO (from the date picker) or as printed
+        const iso = parseDate(value);
+        if (!iso) return occurrences;
+        for (const match of line.matchAll(DATE_TOKEN)) {
+            const reading = readDateToken(match).find(candidate => candidate.iso === iso);
+            if (reading) {
+                occurrences.push({ start: match.index, end: match.index + match[0].length, raw: match[0], dateOrder: reading.order });
+            }
+        }
+    } else {
+        const text = String(value).trim();
+        if (!text) return occurrences;
+        const pattern = new RegExp(text.split(/\s+/).map(escapeRegex).join('\\s+'), 'gi');
+        for (const match of line.matchAll(pattern)) {
+            occurrences.push({ start: match.index, end: match.index + match[0].length, raw: match[0] });
+        }
+    }
+
+    return occurrences;
+}
+
+// "INV-00123" -> "[A-Za-z]+-\d+"; runs are open-ended so the next invoice number may be longer
+function shapePattern(raw) {
+    return Array.from(raw)
+        .map(char => {
+            if (/\d/.test(char)) return '\\d+';
+            if (/[A-Za-z]/.test(char)) return '[A-Za-z]+';
+            if (/\s/.test(char)) return '\\s+';
+            return escapeRegex(char);
+        })
+        .filter((cls, index, classes) => !(cls.endsWith('+') && cls === classes[index - 1]))
+        .join('');
+}
+
+// Text in the last column before a position: "Date: 03/04/2024    Invoice No:" -> "invoice no:"
+const lastColumn = (text) => normalizeLabel(text.split(/\s{2,}|\t|\|/).filter(part => part.trim()).pop()).slice(-MAX_ANCHOR_LENGTH);
+
+// The label right before the value on its line, or the previous non-empty line when the value starts its line
+function findAnchor(lines, lineIndex, start) {
+    const prefix = lastColumn(lines[lineIndex].slice(0, start));
+    if (/[a-z]/.test(prefix)) {
+        return { anchor: prefix, relation: 'same_line' };
+    }
+
+    for (let index = lineIndex - 1; index >= 0 && index >= lineIndex - 2; index--) {
+        const previous = lines[index].trim();
+        if (previous) {
+            return /[A-Za-z]/.test(previous)
+                ? { anchor: lastColumn(previous), relation: 'next_line' }
+                : null;
+        }
+    }
+    return null;
+}
+
+// Learn how to find one corrected field on this vendor's invoices; null when the value is not in the text
+function learnFieldRule(text, path, value, location = null) {
+    const type = LEARNABLE_FIELDS[path];
+    if (!type || value === null || value === undefined || value === '' || !text) return null;
+
+    const lines = String(text).split('\n');
+    let best = null;
+
+    lines.forEach((line, lineIndex) => {
+        findOccurrences(line, type, value).forEach(occurrence => {
+            const anchor = findAnchor(lines, lineIndex, occurrence.start);
+            // A labelled occurrence beats a bare one; on the label's own line beats the line below
+            const score = anchor ? (anchor.relation === 'same_line' ? 2 : 1) : 0;
+            if (!best || score > best.score) {
+                best = { ...occurrence, ...(anchor || { anchor: null, relation: 'region' }), score };
+            }
+        });
+    });
+
+    if (!best || (!best.anchor && !location)) return null;
+
+    return {
+        type,
+        anchor: best.anchor,
+        relation: best.relation,
+        pattern: type === 'text' ? shapePattern(best.raw) : null,
+        dateOrder: best.dateOrder || null,
+        region: location?.bbox ? { page: location.page || 1, bbox: location.bbox } : null,
+        learnedAt: new Date().toISOString()
+    };
+}
+
+// Read a value of the rule's type from the start of a piece of text
+function readValue(rule, text) {
+    if (!text) return null;
+
+    if (rule.type === 'amount') {
+        NUMBER_TOKEN.lastIndex = 0;
+        for (const match of text.matchAll(NUMBER_TOKEN)) {
+            const value = parseLooseNumber(match[0]);
+            if (value !== null) return Math.round(value * 100) / 100;
+        }
+        return null;
+    }
+
+    if (rule.type === 'date') {
+        for (const match of text.matchAll(DATE_TOKEN)) {
+            const readings = readDateToken(match);
+            const reading = readings.find(candidate => candidate.order === rule.dateOrder) || readings[0];
+            if (reading) return reading.iso;
+        }
+        return null;
+    }
+
+    const match = text.match(new RegExp(rule.pattern));
+    return match ? match[0].trim() : null;
+}
+
+function applyFieldRule(rule, lines, words) {
+    if (rule.anchor) {
+        // "total:" must not match inside "Subtotal:"
+        const anchor = new RegExp(`(?<![a-z])${rule.anchor.split(' ').map(escapeRegex).join('\\s+')}`, 'i');
+        for (let index = 0; index < lines.length; index++) {
+            const match = lines[index].match(anchor);
+            if (!match) continue;
+
+            const searchText = rule.relation === 'same_line'
+                ? lines[index].slice(match.index + match[0].length)
+                : lines.slice(index + 1).find(next => next.trim()) || '';
+            const value = readValue(rule, searchText);
+            if (value !== null) return value;
+        }
+    }
+
+    // Fixed layouts: read whatever is printed where the value was last time
+    if (rule.region && Array.isArray(words) && words.length > 0) {
+        const { x, y, width, height } = rule.region.bbox;
+        const inRegion = words.filter(word => {
+            const box = word.location?.bbox;
+            if (!box || word.location.page !== rule.region.page) return false;
+            const centerX = box.x + box.width / 2;
+            const centerY = box.y + box.height / 2;
+            return centerX >= x - REGION_MARGIN && centerX <= x + width + REGION_MARGIN &&
+                centerY >= y - REGION_MARGIN && centerY <= y + height + REGION_MARGIN;
+        });
+        return readValue(rule, inRegion.map(word => word.text).join(' '));
+    }
+
+    return null;
+}
+
+// Split an item row into its description and trailing numbers
+function splitItemRow(line) {
+    const numbers = Array.from(line.matchAll(NUMBER_TOKEN));
+    const trailing = [];
+    let cut = line.length;
+
+    for (let index = numbers.length - 1; index >= 0; index--) {
+        const match = numbers[index];
+        const between = line.slice(match.index + match[0].length, cut);
+        if (between.trim() && !/^[\s%xX*@]*$/.test(between)) break;
+        // "M8" in "Steel bolt M8" belongs to the description; "2x10.00" is quantity and price
+        if (/[a-wyz]/i.test(line[match.index - 1] || '')) break;
+        trailing.unshift(parseLooseNumber(match[0]));
+        cut = match.index;
+    }
+
+    return { description: line.slice(0, cut).trim(), numbers: trailing };
+}
+
+// Learn the line item table from the corrected items: header row, and which trailing number
+// (counted from the end of the row) holds quantity, unit price and amount
+function learnLineItemLayout(text, items) {
+    if (!text || !Array.isArray(items) || items.length === 0) return null;
+
+    const lines = String(text).split('\n');
+    const votes = {};
+    let firstRow = null;
+
+    items.forEach(item => {
+        const description = normalizeLabel(item.description).slice(0, 30);
+        if (description.length < 3) return;
+
+        const lineIndex = lines.findIndex(line => normalizeLabel(line).includes(description));
+        if (lineIndex === -1) return;
+        if (firstRow === null || lineIndex < firstRow) firstRow = lineIndex;
+
+        const { numbers } = splitItemRow(lines[lineIndex]);
+        ITEM_NUMBER_FIELDS.forEach(field => {
+            const target = parseLooseNumber(item[field]);
+            if (target === null) return;
+            const position = numbers.findIndex(number => amountsEqual(number, target));
+            if (position === -1) return;
+            const key = `${field}:${numbers.length - position}`;
+            votes[key] = (votes[key] || 0) + 1;
+        });
+    });
+
+    if (firstRow === null) return null;
+
+    // Each field takes the position from the end most items agree on
+    const columns = {};
+    Object.entries(votes)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([key]) => {
+            const [field, fromEnd] = key.split(':');
+            if (!columns[field] && !Object.values(columns).includes(Number(fromEnd))) {
+                columns[field] = Number(fromEnd);
+            }
+        });
+    if (columns.amount === undefined) return null;
+
+    const header = lines.slice(0, firstRow).reverse().find(line => /[A-Za-z]{3,}/.test(line) && !/\d/.test(line));
+
+    return {
+        header: header ? normalizeLabel(header) : null,
+        columns,
+        learnedAt: new Date().toISOString()
+    };
+}
+
+function applyLineItemLayout(layout, lines) {
+    if (!layout?.header) return null;
+
+    const headerIndex = lines.findIndex(line => normalizeLabel(line) === layout.header);
+    if (headerIndex === -1) return null;
+
+    const needed = Math.max(...Object.values(layout.columns));
+    const items = [];
+    let misses = 0;
+
+    for (let index = headerIndex + 1; index < lines.length && misses < 3; index++) {
+        const line = lines[index].trim();
+        if (!line) continue;
+        if (ITEMS_END.test(line) && items.length > 0) break;
+
+        const { description, numbers } = splitItemRow(line);
+        if (numbers.length < needed || !/[A-Za-z]/.test(description)) {
+            misses++;
+            continue;
+        }
+
+        misses = 0;
+        const item = { description, lineNumber: items.length + 1 };
+        Object.entries(layout.columns).forEach(([field, fromEnd]) => {
+            item[field] = numbers[numbers.length - fromEnd];
+        });
+        items.push(item);
+    }
+
+    return items.length > 0 ? items : null;
+}
+
+// Run a vendor's template over the document text: { fields: { path: value }, items }
+function applyTemplate(template, text, words = []) {
+    const lines = String(text || '').split('\n');
+    const fields = {};
+
+    Object.entries(template.fields || {}).forEach(([path, rule]) => {
+        const value = applyFieldRule(rule, lines, words);
+        if (value !== null && value !== '') fields[path] = value;
+    });
+
+    return {
+        fields,
+        items: template.lineItems ? applyLineItemLayout(template.lineItems, lines) : null
+    };
+}
+
+// Template values take precedence; the generic extraction keeps the fields the template does not cover
+function mergeTemplateResult(invoiceData, templateResult) {
+    if (!templateResult) return invoiceData;
+
+    Object.entries(templateResult.fields).forEach(([path, value]) => {
+        setValue(invoiceData, path, value);
+        setFieldConfidence(invoiceData, path, TEMPLATE_CONFIDENCE);
+        // The generic extractor's box may point at a different value
+        if (invoiceData.fieldLocations) delete invoiceData.fieldLocations[path];
+    });
+
+    if (templateResult.items) {
+        invoiceData.items = templateResult.items.map(item => ({ ...item, confidence: TEMPLATE_CONFIDENCE }));
+    }
+
+    return invoiceData;
+}
+
+// Fields a template run filled, as recorded for its hit rate
+const appliedFields = (templateResult) => [
+    ...Object.keys(templateResult?.fields || {}),
+    ...(templateResult?.items ? ['items'] : [])
+];
+
+module.exports = {
+    LEARNABLE_FIELDS,
+    TEMPLATE_CONFIDENCE,
+    learnFieldRule,
+    learnLineItemLayout,
+    applyTemplate,
+    mergeTemplateResult,
+    appliedFields,
+    parseLooseNumber,
+    getValue
+};
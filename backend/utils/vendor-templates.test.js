@@ -0,0 +1,151 @@
+// backend/utils/vendor-templates.test.js
+
+const {
+    TEMPLATE_CONFIDENCE,
+    learnFieldRule,
+    learnLineItemLayout,
+    applyTemplate,
+    mergeTemplateResult,
+    appliedFields
+} = require('./vendor-templates');
+
+const invoiceText = ({ number, date, order, rows, subtotal, tax, total }) => [
+    'ACME SUPPLIES LTD',
+    `Invoice No: ${number}        Date: ${date}`,
+    'Order reference',
+    order,
+    '',
+    'Description              Qty   Unit price   Amount',
+    ...rows,
+    `Subtotal:   ${subtotal}`,
+    `VAT:        ${tax}`,
+    `Total:      ${total}`
+].join('\n');
+
+// The invoice a reviewer corrected, and what they saved
+const FIRST = invoiceText({
+    number: 'INV-00123',
+    date: '03/04/2024',
+    order: 'PO-7781',
+    rows: ['Blue widget              2     10.00        20.00', 'Steel bolt M8            100   0.25         25.00'],
+    subtotal: '45.00',
+    tax: '9.00',
+    total: '54.00'
+});
+const CORRECTED = {
+    invoiceNumber: 'INV-00123',
+    date: '2024-04-03',
+    'orderInfo.orderNumber': 'PO-7781',
+    'amounts.subtotal': 45,
+    'amounts.tax': 9,
+    'amounts.total': 54
+};
+const ITEMS = [
+    { description: 'Blue widget', quantity: 2, unitPrice: 10, amount: 20 },
+    { description: 'Steel bolt M8', quantity: 100, unitPrice: 0.25, amount: 25 }
+];
+
+// The vendor's next invoice: same layout, other values
+const NEXT = invoiceText({
+    number: 'INV-00188',
+    date: '17/05/2024',
+    order: 'PO-7790',
+    rows: ['Red widget               3     10.00        30.00', 'Steel bolt M8            100   0.25         25.00', 'Washer                   1     1.00          1.00'],
+    subtotal: '56.00',
+    tax: '11.20',
+    total: '1,067.20'
+});
+
+const learnTemplate = (text = FIRST) => ({
+    fields: Object.fromEntries(Object.entries(CORRECTED).map(([path, value]) => [path, learnFieldRule(text, path, value)])),
+    lineItems: learnLineItemLayout(text, ITEMS)
+});
+
+describe('learnFieldRule', () => {
+    test('remembers the label next to the value, or on the line above it', () => {
+        const { fields } = learnTemplate();
+
+        expect(fields.invoiceNumber).toMatchObject({ anchor: 'invoice no:', relation: 'same_line', pattern: '[A-Za-z]+-\\d+' });
+        expect(fields.date).toMatchObject({ anchor: 'date:', relation: 'same_line', dateOrder: 'DMY' });
+        expect(fields['orderInfo.orderNumber']).toMatchObject({ anchor: 'order reference', relation: 'next_line' });
+        expect(fields['amounts.total']).toMatchObject({ type: 'amount', anchor: 'total:' });
+    });
+
+    test('learns nothing for a value that is not in the text or a field that is not learnable', () => {
+        expect(learnFieldRule(FIRST, 'invoiceNumber', 'INV-99999')).toBeNull();
+        expect(learnFieldRule(FIRST, 'vendor.name', 'ACME SUPPLIES LTD')).toBeNull();
+    });
+});
+
+describe('learnLineItemLayout', () => {
+    test('remembers the header row and which trailing number is which column', () => {
+        expect(learnTemplate().lineItems).toMatchObject({
+            header: 'description qty unit price amount',
+            columns: { quantity: 3, unitPrice: 2, amount: 1 }
+        });
+    });
+});
+
+describe('applyTemplate', () => {
+    test('reads the next invoice of the vendor with the learned template', () => {
+        const result = applyTemplate(learnTemplate(), NEXT);
+
+        expect(result.fields).toEqual({
+            invoiceNumber: 'INV-00188',
+            date: '2024-05-17',
+            'orderInfo.orderNumber': 'PO-7790',
+            'amounts.subtotal': 56,
+            'amounts.tax': 11.2,
+            'amounts.total': 1067.2
+        });
+        expect(result.items).toEqual([
+            { description: 'Red widget', lineNumber: 1, quantity: 3, unitPrice: 10, amount: 30 },
+            { description: 'Steel bolt M8', lineNumber: 2, quantity: 100, unitPrice: 0.25, amount: 25 },
+            { description: 'Washer', lineNumber: 3, quantity: 1, unitPrice: 1, amount: 1 }
+        ]);
+        expect(appliedFields(result)).toEqual([...Object.keys(CORRECTED), 'items']);
+    });
+
+    test('fills nothing when the invoice does not have the learned layout', () => {
+        const result = applyTemplate(learnTemplate(), 'ACME SUPPLIES LTD\nBill number 5\nAmount due 10.00');
+
+        expect(result).toEqual({ fields: {}, items: null });
+        expect(appliedFields(result)).toEqual([]);
+    });
+
+    test('does not read a total from the subtotal line', () => {
+        const result = applyTemplate(learnTemplate(), 'Subtotal:   45.00\nGrand total 54.00');
+
+        expect(result.fields).toEqual({ 'amounts.subtotal': 45 });
+    });
+
+    test('reads a value from where it was printed when the layout has no label', () => {
+        const rule = learnFieldRule('INV-00123', 'invoiceNumber', 'INV-00123', { page: 1, bbox: { x: 0.7, y: 0.05, width: 0.2, height: 0.03 } });
+        const words = [
+            { text: 'INV-00188', location: { page: 1, bbox: { x: 0.71, y: 0.05, width: 0.1, height: 0.02 } } },
+            { text: 'ACME', location: { page: 1, bbox: { x: 0.05, y: 0.05, width: 0.1, height: 0.02 } } }
+        ];
+
+        expect(applyTemplate({ fields: { invoiceNumber: rule } }, 'ACME INV-00188', words).fields).toEqual({ invoiceNumber: 'INV-00188' });
+        expect(applyTemplate({ fields: { invoiceNumber: rule } }, 'ACME INV-00188', []).fields).toEqual({});
+    });
+});
+
+describe('mergeTemplateResult', () => {
+    test('overrides the extracted fields the template read and keeps the rest', () => {
+        const invoiceData = {
+            invoiceNumber: 'INV-0O188',
+            vendor: { name: 'ACME Supplies' },
+            amounts: { total: 1067.2 },
+            fieldConfidence: {},
+            fieldLocations: { invoiceNumber: { page: 1, bbox: { x: 0, y: 0, width: 1, height: 1 } } }
+        };
+
+        const merged = mergeTemplateResult(invoiceData, applyTemplate(learnTemplate(), NEXT));
+
+        expect(merged.invoiceNumber).toBe('INV-00188');
+        expect(merged.vendor).toEqual({ name: 'ACME Supplies' });
+        expect(merged.fieldLocations).toEqual({});
+        expect(merged.items.every(item => item.confidence === TEMPLATE_CONFIDENCE)).toBe(true);
+    });
+});
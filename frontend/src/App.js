@@ -18,12 +18,20 @@ import AcceptInvitation from './components/AcceptInvitation';
 import Dashboard from './components/Dashboard';
 import ProtectedRoute from './components/ProtectedRoute';
 import UserList from './components/UserManagement/UserList';
+import RoleList from './components/RoleManagement/RoleList';
+import BusinessEntityList from './components/BusinessEntities/BusinessEntityList';
+import AuditLogPage from './components/AuditLog/AuditLogPage';
+import VendorList from './components/VendorManagement/VendorList';
+import PurchaseOrderList from './components/PurchaseOrders/PurchaseOrderList';
+import AccountingExportPage from './components/AccountingExport/AccountingExportPage';
+import PaymentRunPage from './components/PaymentRuns/PaymentRunPage';
 
 // Document Processing Components
 import DocumentList from './components/DocumentProcessing/DocumentList';
 import DocumentDetailView from './components/DocumentProcessing/DocumentDetailView';
 import SampleInvoices from './components/DocumentProcessing/SampleInvoices';
 import OnboardingProgress from './components/DocumentProcessing/OnboardingProgress';
+import ApprovalQueue from './components/DocumentProcessing/ApprovalQueue';
 
 // Error Boundary Component
 import ErrorBoundary from './components/ErrorBoundary';
@@ -183,6 +191,15 @@ function App() {
                   } 
                 />
                 
+                <Route 
+                  path="/roles" 
+                  element={
+                    <ProtectedRoute requiredPermission="role.manage">
+                      <RoleList />
+                    </ProtectedRoute>
+                  } 
+                />
+                
                 {/* Document Processing Routes */}
                 <Route 
                   path="/documents" 
@@ -203,6 +220,51 @@ function App() {
                   } 
                 />
                 
+                <Route 
+                  path="/approvals" 
+                  element={
+                    <ProtectedRoute requiredPermission="document.approve">
+                      <ApprovalQueue />
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/vendors" 
+                  element={
+                    <ProtectedRoute requiredPermission="vendor.read">
+                      <VendorList />
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/purchase-orders" 
+                  element={
+                    <ProtectedRoute requiredPermission="purchase_order.read">
+                      <PurchaseOrderList />
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/accounting-export" 
+                  element={
+                    <ProtectedRoute requiredPermission="document.export">
+                      <AccountingExportPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                
+                <Route 
+                  path="/payment-runs" 
+                  element={
+                    <ProtectedRoute requiredPermission="payment.read">
+                      <PaymentRunPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                
                 <Route 
                   path="/documents/samples" 
                   element={
@@ -221,36 +283,22 @@ function App() {
                   } 
                 />
                 
-                {/* Business Entities Route (placeholder) */}
+                {/* Business Entities Route */}
                 <Route 
                   path="/business-entities" 
                   element={
                     <ProtectedRoute requiredPermission="business_entity.read">
-                      <div style={{ padding: '2rem', textAlign: 'center' }}>
-                        <Typography variant="h4" gutterBottom>
-                          Business Entities
-                        </Typography>
-                        <Typography variant="body1" color="text.secondary">
-                          Business entities management coming soon...
-                        </Typography>
-                      </div>
+                      <BusinessEntityList />
                     </ProtectedRoute>
                   } 
                 />
                 
-                {/* Audit Logs Route (placeholder) */}
+                {/* Audit Logs Route */}
                 <Route 
                   path="/audit-logs" 
                   element={
                     <ProtectedRoute requiredPermission="audit.read">
-                      <div style={{ padding: '2rem', textAlign: 'center' }}>
-                        <Typography variant="h4" gutterBottom>
-                          Audit Logs
-                        </Typography>
-                        <Typography variant="body1" color="text.secondary">
-                          Audit logs viewer coming soon...
-                        </Typography>
-                      </div>
+                      <AuditLogPage />
                     </ProtectedRoute>
                   } 
                 />
@@ -0,0 +1,519 @@
+// frontend/src/components/AccountingExport/AccountingExportPage.js
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  Tooltip,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { AccountBalance, Download, Settings, Block } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+import ExchangeRatesCard from './ExchangeRatesCard';
+
+const EMPTY_SELECTION = { type: 'include', ids: new Set() };
+
+const JOURNAL_COLUMN_LABELS = {
+  date: 'Date',
+  documentNumber: 'Invoice number',
+  vendor: 'Vendor',
+  vendorTaxId: 'Vendor tax ID',
+  account: 'GL account',
+  description: 'Description',
+  taxCode: 'Tax code',
+  debit: 'Debit',
+  credit: 'Credit',
+  currency: 'Currency',
+  exchangeRate: 'Exchange rate',
+  baseCurrency: 'Base currency',
+  baseDebit: 'Base debit',
+  baseCredit: 'Base credit',
+  dueDate: 'Due date',
+  reference: 'Reference',
+  documentId: 'Document ID'
+};
+
+// "key = value" lines <-> { key: value } for the tax code and vendor account maps
+const mapToLines = (map) => Object.entries(map || {}).map(([key, value]) => `${key} = ${value}`).join('\n');
+
+const linesToMap = (text) => Object.fromEntries(
+  text.split('\n')
+    .map(line => line.split('='))
+    .filter(parts => parts.length >= 2 && parts[0].trim() && parts.slice(1).join('=').trim())
+    .map(parts => [parts[0].trim(), parts.slice(1).join('=').trim()])
+);
+
+const formatAmount = (value, currency) => (
+  value === null || value === undefined ? '' : `${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency || ''}`.trim()
+);
+
+const downloadBatch = async (batch) => {
+  const response = await axios.get(`/api/accounting-exports/${batch.id}/download`, { responseType: 'blob' });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = batch.fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const AccountingExportPage = () => {
+  const [format, setFormat] = useState('');
+  const [showExported, setShowExported] = useState(false);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [result, setResult] = useState(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settingsForm, setSettingsForm] = useState(null);
+
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canExport = hasPermission('document.export');
+  const canConfigure = hasPermission('accounting_export.configure');
+  const canManageRates = hasPermission('exchange_rate.manage');
+
+  const { data: formatsData } = useQuery({
+    queryKey: ['exportFormats'],
+    queryFn: async () => {
+      const response = await axios.get('/api/accounting-exports/formats');
+      return response.data;
+    }
+  });
+
+  const {
+    data: documentsData,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['exportableDocuments', showExported],
+    queryFn: async () => {
+      const response = await axios.get(`/api/accounting-exports/documents?includeExported=${showExported}`);
+      return response.data;
+    }
+  });
+
+  const { data: batchesData } = useQuery({
+    queryKey: ['exportBatches'],
+    queryFn: async () => {
+      const response = await axios.get('/api/accounting-exports');
+      return response.data;
+    }
+  });
+
+  const formats = formatsData?.formats || [];
+  const selectedFormat = format || formats[0]?.id || '';
+  const rows = (documentsData?.documents || []).map(doc => ({ id: doc.documentId, ...doc }));
+  const isSelectable = (row) => !row.exportedAt && row.problems.length === 0;
+
+  // The grid reports "select all" as an exclude-list
+  const selectedIds = selection.type === 'include'
+    ? [...selection.ids]
+    : rows.filter(row => isSelectable(row) && !selection.ids.has(row.id)).map(row => row.id);
+
+  const refreshExports = () => {
+    queryClient.invalidateQueries({ queryKey: ['exportableDocuments'] });
+    queryClient.invalidateQueries({ queryKey: ['exportBatches'] });
+    queryClient.invalidateQueries({ queryKey: ['documents'] });
+  };
+
+  const exportMutation = useMutation({
+    mutationFn: async () => {
+      const response = await axios.post('/api/accounting-exports', { format: selectedFormat, documentIds: selectedIds });
+      await downloadBatch(response.data);
+      return response.data;
+    },
+    onSuccess: (batch) => {
+      setSelection(EMPTY_SELECTION);
+      refreshExports();
+      setResult({ severity: 'success', message: `Exported ${batch.documentCount} invoice(s) to ${batch.fileName}.` });
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      const details = data?.problems
+        ? data.problems.map(problem => `${problem.invoiceNumber || problem.documentId}: ${problem.problems.join(', ')}`)
+        : [];
+      refreshExports();
+      setResult({ severity: 'error', message: [data?.error || 'Export failed', ...details].join(' · ') });
+    }
+  });
+
+  const voidMutation = useMutation({
+    mutationFn: ({ batchId, reason }) => axios.post(`/api/accounting-exports/${batchId}/void`, { reason }),
+    onSuccess: () => {
+      refreshExports();
+      setResult({ severity: 'info', message: 'Export voided; its invoices can be exported again.' });
+    },
+    onError: (error) => {
+      setResult({ severity: 'error', message: error.response?.data?.error || 'Failed to void export' });
+    }
+  });
+
+  const saveSettingsMutation = useMutation({
+    mutationFn: (values) => axios.put('/api/accounting-exports/settings', values),
+    onSuccess: () => {
+      setSettingsOpen(false);
+      queryClient.invalidateQueries({ queryKey: ['exportableDocuments'] });
+    }
+  });
+
+  const handleOpenSettings = async () => {
+    saveSettingsMutation.reset();
+    const response = await axios.get('/api/accounting-exports/settings');
+    setSettingsForm({
+      ...response.data,
+      taxCodes: mapToLines(response.data.taxCodes),
+      vendorAccounts: mapToLines(response.data.vendorAccounts)
+    });
+    setSettingsOpen(true);
+  };
+
+  const handleSaveSettings = () => {
+    saveSettingsMutation.mutate({
+      ...settingsForm,
+      taxCodes: linesToMap(settingsForm.taxCodes),
+      vendorAccounts: linesToMap(settingsForm.vendorAccounts)
+    });
+  };
+
+  const handleVoid = (batch) => {
+    const reason = window.prompt(`Void ${batch.fileName}? Its ${batch.documentCount} invoice(s) become exportable again. Reason (optional):`);
+    if (reason !== null) {
+      voidMutation.mutate({ batchId: batch.id, reason });
+    }
+  };
+
+  const columns = [
+    { field: 'invoiceNumber', headerName: 'Invoice #', width: 140 },
+    { field: 'vendorName', headerName: 'Vendor', flex: 1, minWidth: 180 },
+    { field: 'date', headerName: 'Date', width: 110 },
+    { field: 'dueDate', headerName: 'Due', width: 110 },
+    {
+      field: 'total',
+      headerName: 'Total',
+      width: 140,
+      type: 'number',
+      valueFormatter: (value, row) => formatAmount(value, row.currency)
+    },
+    {
+      field: 'baseTotal',
+      headerName: 'Base Total',
+      width: 140,
+      type: 'number',
+      valueFormatter: (value, row) => formatAmount(value, row.baseCurrency)
+    },
+    {
+      field: 'exportState',
+      headerName: 'Export',
+      width: 200,
+      sortable: false,
+      renderCell: (params) => {
+        if (params.row.exportedAt) {
+          return (
+            <Chip
+              size="small"
+              label={`Exported ${new Date(params.row.exportedAt).toLocaleDateString()}`}
+              title={params.row.exportedFormat}
+            />
+          );
+        }
+        if (params.row.problems.length > 0) {
+          return (
+            <Tooltip title={params.row.problems.join('; ')}>
+              <Chip size="small" color="warning" label="Needs correction" />
+            </Tooltip>
+          );
+        }
+        return <Chip size="small" color="success" label="Ready" />;
+      }
+    }
+  ];
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load exportable invoices: {error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  const formatLabel = (id) => formats.find(item => item.id === id)?.label || id;
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <AccountBalance fontSize="large" />
+          Accounting Export
+        </Typography>
+        {canConfigure && (
+          <Button variant="outlined" startIcon={<Settings />} onClick={handleOpenSettings}>
+            Accounts &amp; Tax Codes
+          </Button>
+        )}
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Approved invoices can be exported once. To export an invoice again, void the export it was part of.
+      </Typography>
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 2 }} onClose={() => setResult(null)}>
+          {result.message}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Format"
+          value={selectedFormat}
+          onChange={(e) => setFormat(e.target.value)}
+          helperText={formats.find(item => item.id === selectedFormat)?.description}
+          sx={{ minWidth: 280 }}
+        >
+          {formats.map(item => (
+            <MenuItem key={item.id} value={item.id}>{item.label}</MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={<Switch checked={showExported} onChange={(e) => setShowExported(e.target.checked)} />}
+          label="Show exported"
+        />
+        <Box sx={{ flex: 1 }} />
+        {canExport && (
+          <Button
+            variant="contained"
+            startIcon={<Download />}
+            onClick={() => exportMutation.mutate()}
+            disabled={selectedIds.length === 0 || !selectedFormat || exportMutation.isPending}
+          >
+            {exportMutation.isPending ? 'Exporting...' : `Export ${selectedIds.length || ''} Selected`}
+          </Button>
+        )}
+      </Box>
+
+      <Paper sx={{ height: 480, width: '100%', mb: 4 }}>
+        <DataGrid
+          rows={rows}
+          columns={columns}
+          checkboxSelection={canExport}
+          isRowSelectable={(params) => isSelectable(params.row)}
+          rowSelectionModel={selection}
+          onRowSelectionModelChange={setSelection}
+          initialState={{
+            pagination: {
+              paginationModel: { pageSize: 25 }
+            }
+          }}
+          pageSizeOptions={[25, 50, 100]}
+          loading={isLoading}
+          disableRowSelectionOnClick
+          sx={{ border: 0 }}
+        />
+      </Paper>
+
+      <ExchangeRatesCard canManage={canManageRates} />
+
+      <Typography variant="h6" gutterBottom>
+        Export History
+      </Typography>
+      <Paper>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Exported</TableCell>
+              <TableCell>Format</TableCell>
+              <TableCell align="right">Invoices</TableCell>
+              <TableCell align="right">Total</TableCell>
+              <TableCell>By</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(batchesData?.batches || []).length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7}>
+                  <Typography variant="body2" color="text.secondary">Nothing exported yet.</Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {(batchesData?.batches || []).map(batch => (
+              <TableRow key={batch.id}>
+                <TableCell>{new Date(batch.createdAt).toLocaleString()}</TableCell>
+                <TableCell>{formatLabel(batch.format)}</TableCell>
+                <TableCell align="right">{batch.documentCount}</TableCell>
+                <TableCell align="right">{formatAmount(batch.totalAmount)}</TableCell>
+                <TableCell>{batch.exportedByName || '—'}</TableCell>
+                <TableCell>
+                  {batch.voidedAt ? (
+                    <Tooltip title={batch.voidReason || ''}>
+                      <Chip size="small" label="Voided" />
+                    </Tooltip>
+                  ) : (
+                    <Chip size="small" color="success" label="Exported" />
+                  )}
+                </TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Download again">
+                    <IconButton size="small" onClick={() => downloadBatch(batch)}>
+                      <Download fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  {canConfigure && !batch.voidedAt && (
+                    <Tooltip title="Void export">
+                      <IconButton size="small" color="error" onClick={() => handleVoid(batch)}>
+                        <Block fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {/* Export Settings Dialog */}
+      <Dialog open={settingsOpen} onClose={() => setSettingsOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Accounts &amp; Tax Codes</DialogTitle>
+        <DialogContent>
+          {saveSettingsMutation.isError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {saveSettingsMutation.error.response?.data?.error || 'Failed to save settings'}
+            </Alert>
+          )}
+          {settingsForm && (
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Accounts payable account"
+                  value={settingsForm.apAccount}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, apAccount: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Default expense account"
+                  value={settingsForm.expenseAccount}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, expenseAccount: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Tax account"
+                  value={settingsForm.taxAccount}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, taxAccount: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Tax codes by rate"
+                  placeholder={'20 = VAT20\n0 = EXEMPT'}
+                  helperText="One per line: rate in percent = tax code"
+                  value={settingsForm.taxCodes}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, taxCodes: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Expense account by vendor"
+                  placeholder="Acme Supplies = 6100"
+                  helperText="One per line: vendor name = GL account"
+                  value={settingsForm.vendorAccounts}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, vendorAccounts: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  label="Default tax code"
+                  helperText="Used when the invoice rate has no tax code"
+                  value={settingsForm.defaultTaxCode}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, defaultTaxCode: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Date format"
+                  value={settingsForm.dateFormat}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, dateFormat: e.target.value })}
+                >
+                  {(formatsData?.dateFormats || []).map(dateFormat => (
+                    <MenuItem key={dateFormat} value={dateFormat}>{dateFormat}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  select
+                  fullWidth
+                  label="AP journal columns"
+                  helperText="Columns of the AP journal export, in the order selected"
+                  value={settingsForm.journalColumns}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, journalColumns: e.target.value })}
+                  SelectProps={{
+                    multiple: true,
+                    renderValue: (selected) => selected.map(key => JOURNAL_COLUMN_LABELS[key] || key).join(', ')
+                  }}
+                >
+                  {(formatsData?.journalColumns || []).map(key => (
+                    <MenuItem key={key} value={key}>{JOURNAL_COLUMN_LABELS[key] || key}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSettingsOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveSettings}
+            disabled={saveSettingsMutation.isPending}
+          >
+            {saveSettingsMutation.isPending ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AccountingExportPage;
@@ -0,0 +1,242 @@
+// frontend/src/components/AccountingExport/ExchangeRatesCard.js
+// The company's base currency and the exchange rates invoices are converted into it with
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  TextField,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { CurrencyExchange, UploadFile } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+
+const EMPTY_RATE = { currency: '', rate: '', date: '' };
+
+const ExchangeRatesCard = ({ canManage }) => {
+  const [baseCurrency, setBaseCurrency] = useState(null);
+  const [rateForm, setRateForm] = useState(EMPTY_RATE);
+  const [result, setResult] = useState(null);
+  const fileInput = useRef(null);
+  const queryClient = useQueryClient();
+
+  const { data: settings } = useQuery({
+    queryKey: ['currencySettings'],
+    queryFn: async () => {
+      const response = await axios.get('/api/currency/settings');
+      return response.data;
+    }
+  });
+
+  const { data: ratesData } = useQuery({
+    queryKey: ['exchangeRates'],
+    queryFn: async () => {
+      const response = await axios.get('/api/exchange-rates');
+      return response.data;
+    }
+  });
+
+  // Converted amounts show up in the export list, the document list and the dashboard
+  const refreshConversions = () => {
+    queryClient.invalidateQueries({ queryKey: ['currencySettings'] });
+    queryClient.invalidateQueries({ queryKey: ['exchangeRates'] });
+    queryClient.invalidateQueries({ queryKey: ['exportableDocuments'] });
+    queryClient.invalidateQueries({ queryKey: ['documents'] });
+    queryClient.invalidateQueries({ queryKey: ['document-analytics'] });
+  };
+
+  const showError = (error, fallback) => {
+    const details = error.response?.data?.errors;
+    setResult({
+      severity: 'error',
+      message: details
+        ? details.map(detail => `Row ${detail.line}: ${detail.problems.join(', ')}`).join(' · ')
+        : error.response?.data?.error || fallback
+    });
+  };
+
+  const settingsMutation = useMutation({
+    mutationFn: (value) => axios.put('/api/currency/settings', { baseCurrency: value }),
+    onSuccess: (response) => {
+      setBaseCurrency(null);
+      refreshConversions();
+      setResult({
+        severity: 'success',
+        message: `Base currency set to ${response.data.baseCurrency}; ${response.data.reconverted} invoice(s) converted.`
+      });
+    },
+    onError: (error) => showError(error, 'Failed to change the base currency')
+  });
+
+  const saveRateMutation = useMutation({
+    mutationFn: (rate) => axios.post('/api/exchange-rates', { ...rate, rate: Number(rate.rate) }),
+    onSuccess: (response) => {
+      setRateForm(EMPTY_RATE);
+      refreshConversions();
+      setResult({ severity: 'success', message: `Rate saved; ${response.data.reconverted} invoice(s) converted.` });
+    },
+    onError: (error) => showError(error, 'Failed to save the rate')
+  });
+
+  const importMutation = useMutation({
+    mutationFn: async (file) => {
+      const csv = await file.text();
+      const response = await axios.post('/api/exchange-rates/import', { csv });
+      return response.data;
+    },
+    onSuccess: (data) => {
+      refreshConversions();
+      setResult({ severity: 'success', message: `Imported ${data.saved} rate(s); ${data.reconverted} invoice(s) converted.` });
+    },
+    onError: (error) => showError(error, 'Import failed')
+  });
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      setResult(null);
+      importMutation.mutate(file);
+    }
+  };
+
+  const currentBase = settings?.baseCurrency || '';
+  const editedBase = baseCurrency === null ? currentBase : baseCurrency;
+  const rates = ratesData?.rates || [];
+
+  return (
+    <Paper sx={{ p: 2, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <CurrencyExchange fontSize="small" />
+          Currencies
+        </Typography>
+        {canManage && (
+          <>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<UploadFile />}
+              onClick={() => fileInput.current?.click()}
+              disabled={importMutation.isPending}
+            >
+              Import Rates
+            </Button>
+            <input ref={fileInput} type="file" accept=".csv,text/csv" hidden onChange={handleFileSelected} />
+          </>
+        )}
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Invoices keep the currency they were issued in and are also converted into the base currency at the
+        rate of the invoice date. Rates are units of {currentBase || 'the base currency'} for one unit of the
+        currency; a CSV import has the columns currency, rate, date (YYYY-MM-DD).
+      </Typography>
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 2 }} onClose={() => setResult(null)}>
+          {result.message}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          size="small"
+          label="Base currency"
+          value={editedBase}
+          onChange={(e) => setBaseCurrency(e.target.value.toUpperCase())}
+          inputProps={{ maxLength: 3 }}
+          disabled={!canManage}
+          sx={{ width: 140 }}
+        />
+        {canManage && (
+          <Button
+            size="small"
+            onClick={() => settingsMutation.mutate(editedBase)}
+            disabled={editedBase.length !== 3 || editedBase === currentBase || settingsMutation.isPending}
+          >
+            Change
+          </Button>
+        )}
+        {canManage && (
+          <>
+            <Box sx={{ flex: 1 }} />
+            <TextField
+              size="small"
+              label="Currency"
+              value={rateForm.currency}
+              onChange={(e) => setRateForm({ ...rateForm, currency: e.target.value.toUpperCase() })}
+              inputProps={{ maxLength: 3 }}
+              sx={{ width: 110 }}
+            />
+            <TextField
+              size="small"
+              label="Rate"
+              type="number"
+              value={rateForm.rate}
+              onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })}
+              sx={{ width: 130 }}
+            />
+            <TextField
+              size="small"
+              label="Date"
+              type="date"
+              value={rateForm.date}
+              onChange={(e) => setRateForm({ ...rateForm, date: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <Button
+              size="small"
+              variant="contained"
+              onClick={() => saveRateMutation.mutate(rateForm)}
+              disabled={rateForm.currency.length !== 3 || !rateForm.rate || !rateForm.date || saveRateMutation.isPending}
+            >
+              Add Rate
+            </Button>
+          </>
+        )}
+      </Box>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Date</TableCell>
+            <TableCell>Currency</TableCell>
+            <TableCell align="right">Rate ({currentBase})</TableCell>
+            <TableCell>Source</TableCell>
+            <TableCell>By</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rates.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={5}>
+                <Typography variant="body2" color="text.secondary">
+                  No exchange rates yet; invoices in other currencies stay unconverted until one is added.
+                </Typography>
+              </TableCell>
+            </TableRow>
+          )}
+          {rates.slice(0, 50).map(rate => (
+            <TableRow key={`${rate.currency}-${rate.date}`}>
+              <TableCell>{rate.date}</TableCell>
+              <TableCell>{rate.currency}</TableCell>
+              <TableCell align="right">{rate.rate}</TableCell>
+              <TableCell>{rate.source}</TableCell>
+              <TableCell>{rate.createdByName || '—'}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Paper>
+  );
+};
+
+export default ExchangeRatesCard;
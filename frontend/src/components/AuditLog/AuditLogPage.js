@@ -0,0 +1,304 @@
+// frontend/src/components/AuditLog/AuditLogPage.js
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  MenuItem,
+  InputAdornment
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { History, Download, Search, VerifiedUser } from '@mui/icons-material';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import axios from 'axios';
+
+const EMPTY_FILTERS = {
+  search: '',
+  action: '',
+  resourceType: '',
+  from: '',
+  to: ''
+};
+
+// Only the filters that are set, with the date range covering whole days
+const toParams = (filters) => Object.fromEntries(Object.entries({
+  ...filters,
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : ''
+}).filter(([, value]) => value !== ''));
+
+const userLabel = (user) => {
+  if (!user) return 'System';
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+};
+
+const statusColor = (statusCode) => {
+  if (!statusCode) return 'default';
+  if (statusCode >= 500) return 'error';
+  if (statusCode >= 400) return 'warning';
+  return 'success';
+};
+
+const AuditLogPage = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 50 });
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const params = toParams(filters);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['auditLogs', params, paginationModel],
+    queryFn: async () => {
+      const response = await axios.get('/api/audit-logs', {
+        params: { ...params, page: paginationModel.page + 1, limit: paginationModel.pageSize }
+      });
+      return response.data;
+    },
+    placeholderData: (previous) => previous
+  });
+
+  const { data: facets } = useQuery({
+    queryKey: ['auditLogFacets'],
+    queryFn: async () => {
+      const response = await axios.get('/api/audit-logs/facets');
+      return response.data;
+    }
+  });
+
+  const verifyMutation = useMutation({
+    mutationFn: async () => (await axios.get('/api/audit-logs/verify')).data
+  });
+
+  const handleFilterChange = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPaginationModel({ ...paginationModel, page: 0 });
+  };
+
+  const handleExport = async () => {
+    setExportError(null);
+    try {
+      const response = await axios.get('/api/audit-logs/export', { params, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError('Failed to export audit logs');
+    }
+  };
+
+  const columns = [
+    {
+      field: 'createdAt',
+      headerName: 'Time',
+      width: 180,
+      valueFormatter: (value) => (value ? new Date(value).toLocaleString() : '')
+    },
+    {
+      field: 'user',
+      headerName: 'User',
+      width: 180,
+      sortable: false,
+      valueGetter: (value) => userLabel(value)
+    },
+    {
+      field: 'action',
+      headerName: 'Action',
+      width: 200,
+      renderCell: (params) => <Chip label={params.value.replace(/_/g, ' ')} size="small" variant="outlined" />
+    },
+    { field: 'resourceType', headerName: 'Resource', width: 130 },
+    { field: 'resourceId', headerName: 'Resource ID', flex: 1, minWidth: 200 },
+    {
+      field: 'status',
+      headerName: 'Status',
+      width: 90,
+      sortable: false,
+      valueGetter: (value, row) => row.details?.statusCode || '',
+      renderCell: (params) => params.value && <Chip label={params.value} size="small" color={statusColor(params.value)} />
+    },
+    { field: 'ipAddress', headerName: 'IP Address', width: 130 }
+  ];
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load audit logs: {error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  const verification = verifyMutation.data;
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <History fontSize="large" />
+          Audit Logs
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<VerifiedUser />}
+            disabled={verifyMutation.isPending}
+            onClick={() => verifyMutation.mutate()}
+          >
+            {verifyMutation.isPending ? 'Verifying...' : 'Verify Integrity'}
+          </Button>
+          <Button variant="contained" startIcon={<Download />} onClick={handleExport}>
+            Export CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {verification && (
+        verification.valid ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            Audit trail intact: {verification.checked} entries verified
+            {verification.unsealed > 0 && ` (${verification.unsealed} older entries predate hashing)`}.
+          </Alert>
+        ) : (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Audit trail broken at entry {verification.brokenAt}: {verification.reason}.
+            {` ${verification.checked} entries before it verified.`}
+          </Alert>
+        )
+      )}
+      {verifyMutation.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {verifyMutation.error.response?.data?.error || 'Failed to verify audit logs'}
+        </Alert>
+      )}
+      {exportError && (
+        <Alert severity="error" sx={{ mb: 2 }}>{exportError}</Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              size="small"
+              placeholder="Search action, resource, user or details"
+              value={filters.search}
+              onChange={handleFilterChange('search')}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <Search />
+                  </InputAdornment>
+                )
+              }}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField select fullWidth size="small" label="Action" value={filters.action} onChange={handleFilterChange('action')}>
+              <MenuItem value="">All</MenuItem>
+              {(facets?.actions || []).map(action => (
+                <MenuItem key={action} value={action}>{action.replace(/_/g, ' ')}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField select fullWidth size="small" label="Resource" value={filters.resourceType} onChange={handleFilterChange('resourceType')}>
+              <MenuItem value="">All</MenuItem>
+              {(facets?.resourceTypes || []).map(type => (
+                <MenuItem key={type} value={type}>{type.replace(/_/g, ' ')}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="From"
+              InputLabelProps={{ shrink: true }}
+              value={filters.from}
+              onChange={handleFilterChange('from')}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="To"
+              InputLabelProps={{ shrink: true }}
+              value={filters.to}
+              onChange={handleFilterChange('to')}
+            />
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper sx={{ height: 640, width: '100%' }}>
+        <DataGrid
+          rows={data?.entries || []}
+          columns={columns}
+          loading={isLoading}
+          paginationMode="server"
+          rowCount={data?.pagination?.total || 0}
+          paginationModel={paginationModel}
+          onPaginationModelChange={setPaginationModel}
+          pageSizeOptions={[25, 50, 100]}
+          onRowClick={(params) => setSelectedEntry(params.row)}
+          disableRowSelectionOnClick
+          sx={{ border: 0, '& .MuiDataGrid-row': { cursor: 'pointer' } }}
+        />
+      </Paper>
+
+      {/* Entry Details Dialog */}
+      <Dialog open={!!selectedEntry} onClose={() => setSelectedEntry(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{selectedEntry?.action.replace(/_/g, ' ')}</DialogTitle>
+        <DialogContent>
+          {selectedEntry && (
+            <Box>
+              <Typography variant="body2" color="text.secondary">
+                {new Date(selectedEntry.createdAt).toLocaleString()} by {userLabel(selectedEntry.user)}
+                {selectedEntry.ipAddress && ` from ${selectedEntry.ipAddress}`}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {selectedEntry.resourceType} {selectedEntry.resourceId}
+              </Typography>
+              <Box
+                component="pre"
+                sx={{ bgcolor: 'grey.100', p: 2, borderRadius: 1, overflow: 'auto', fontSize: 12, maxHeight: 400 }}
+              >
+                {JSON.stringify(selectedEntry.details, null, 2)}
+              </Box>
+              {selectedEntry.rowHash && (
+                <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                  Row hash: {selectedEntry.rowHash}
+                </Typography>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedEntry(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AuditLogPage;
@@ -0,0 +1,438 @@
+// frontend/src/components/BusinessEntities/BusinessEntityList.js
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  Tooltip,
+  Switch,
+  FormControlLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  OutlinedInput
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Add, Edit, Delete, Business, Group } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMPTY_ENTITY = {
+  code: '',
+  name: '',
+  aliases: '',
+  address: '',
+  defaultCurrency: '',
+  taxId: '',
+  defaultTaxRate: '',
+  isActive: true
+};
+
+// Entity assignments come back camelCased, the /api/users list as table rows
+const userName = (user) => [user.firstName ?? user.first_name, user.lastName ?? user.last_name]
+  .filter(Boolean)
+  .join(' ') || user.email;
+
+const BusinessEntityList = () => {
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedEntity, setSelectedEntity] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_ENTITY);
+  const [usersEntity, setUsersEntity] = useState(null);
+  const [assignedUserIds, setAssignedUserIds] = useState([]);
+
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canCreate = hasPermission('business_entity.create');
+  const canUpdate = hasPermission('business_entity.update');
+  const canDelete = hasPermission('business_entity.delete');
+
+  // Fetch business entities
+  const {
+    data: entitiesData,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['businessEntities'],
+    queryFn: async () => {
+      const response = await axios.get('/api/business-entities');
+      return response.data;
+    }
+  });
+
+  // Users that can be assigned to an entity
+  const { data: usersData } = useQuery({
+    queryKey: ['users', 'all'],
+    queryFn: async () => {
+      const response = await axios.get('/api/users', { params: { limit: 500 } });
+      return response.data;
+    },
+    enabled: canUpdate
+  });
+
+  const saveEntityMutation = useMutation({
+    mutationFn: ({ id, ...entity }) => (id
+      ? axios.put(`/api/business-entities/${id}`, entity)
+      : axios.post('/api/business-entities', entity)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['businessEntities'] });
+      setDialogOpen(false);
+      setSelectedEntity(null);
+    }
+  });
+
+  const deleteEntityMutation = useMutation({
+    mutationFn: (id) => axios.delete(`/api/business-entities/${id}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['businessEntities'] });
+    }
+  });
+
+  const assignUsersMutation = useMutation({
+    mutationFn: ({ id, userIds }) => axios.put(`/api/business-entities/${id}/users`, { userIds }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['businessEntities'] });
+      setUsersEntity(null);
+    }
+  });
+
+  const handleAddEntity = () => {
+    setSelectedEntity(null);
+    setFormData(EMPTY_ENTITY);
+    saveEntityMutation.reset();
+    setDialogOpen(true);
+  };
+
+  const handleEditEntity = (entity) => {
+    setSelectedEntity(entity);
+    setFormData({
+      code: entity.code,
+      name: entity.name,
+      aliases: (entity.aliases || []).join(', '),
+      address: entity.address || '',
+      defaultCurrency: entity.defaultCurrency || '',
+      taxId: entity.taxId || '',
+      defaultTaxRate: entity.defaultTaxRate ?? '',
+      isActive: entity.isActive
+    });
+    saveEntityMutation.reset();
+    setDialogOpen(true);
+  };
+
+  const handleDeleteEntity = (entity) => {
+    const documents = entity.documentCount > 0
+      ? ` Its ${entity.documentCount} document(s) will no longer belong to an entity.`
+      : '';
+    if (window.confirm(`Delete business entity "${entity.name}"?${documents}`)) {
+      deleteEntityMutation.mutate(entity.id);
+    }
+  };
+
+  const handleAssignUsers = (entity) => {
+    setUsersEntity(entity);
+    setAssignedUserIds(entity.users.map(user => user.id));
+    assignUsersMutation.reset();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveEntityMutation.mutate({
+      id: selectedEntity?.id,
+      code: formData.code,
+      name: formData.name,
+      aliases: formData.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+      address: formData.address,
+      defaultCurrency: formData.defaultCurrency,
+      taxId: formData.taxId,
+      defaultTaxRate: formData.defaultTaxRate === '' ? null : Number(formData.defaultTaxRate),
+      isActive: formData.isActive
+    });
+  };
+
+  const columns = [
+    { field: 'code', headerName: 'Code', width: 110 },
+    {
+      field: 'name',
+      headerName: 'Name',
+      flex: 1,
+      minWidth: 180,
+      renderCell: (params) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2">{params.value}</Typography>
+          {!params.row.isActive && <Chip label="Inactive" size="small" variant="outlined" />}
+        </Box>
+      )
+    },
+    { field: 'defaultCurrency', headerName: 'Currency', width: 90 },
+    { field: 'taxId', headerName: 'Tax ID', width: 140 },
+    {
+      field: 'defaultTaxRate',
+      headerName: 'Tax Rate',
+      width: 90,
+      valueFormatter: (value) => (value === null || value === undefined ? '' : `${value}%`)
+    },
+    {
+      field: 'users',
+      headerName: 'Assigned Users',
+      flex: 1,
+      minWidth: 200,
+      sortable: false,
+      renderCell: (params) => (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, alignItems: 'center', height: '100%' }}>
+          {params.value.map(user => (
+            <Chip key={user.id} label={userName(user)} size="small" />
+          ))}
+        </Box>
+      )
+    },
+    {
+      field: 'documentCount',
+      headerName: 'Documents',
+      width: 100,
+      type: 'number'
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 140,
+      sortable: false,
+      renderCell: (params) => (
+        <Box>
+          {canUpdate && (
+            <Tooltip title="Assign users">
+              <IconButton size="small" onClick={() => handleAssignUsers(params.row)}>
+                <Group fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canUpdate && (
+            <Tooltip title="Edit entity">
+              <IconButton size="small" onClick={() => handleEditEntity(params.row)}>
+                <Edit fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canDelete && (
+            <Tooltip title="Delete entity">
+              <IconButton size="small" color="error" onClick={() => handleDeleteEntity(params.row)}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+      )
+    }
+  ];
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load business entities: {error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  const users = usersData?.users || [];
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Business fontSize="large" />
+          Business Entities
+        </Typography>
+        {canCreate && (
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={handleAddEntity}
+          >
+            Add Entity
+          </Button>
+        )}
+      </Box>
+
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Validators only review documents of the entities they are assigned to. Documents are
+        assigned to an entity at upload or from the invoice's bill-to name, address and tax ID.
+      </Alert>
+
+      {deleteEntityMutation.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {deleteEntityMutation.error.response?.data?.error || 'Failed to delete business entity'}
+        </Alert>
+      )}
+
+      <Paper sx={{ height: 520, width: '100%' }}>
+        <DataGrid
+          rows={entitiesData?.entities || []}
+          columns={columns}
+          loading={isLoading}
+          getRowHeight={() => 'auto'}
+          hideFooter
+          disableRowSelectionOnClick
+          sx={{ border: 0, '& .MuiDataGrid-cell': { py: 1 } }}
+        />
+      </Paper>
+
+      {/* Add / Edit Entity Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>{selectedEntity ? 'Edit Business Entity' : 'Add Business Entity'}</DialogTitle>
+          <DialogContent>
+            {saveEntityMutation.isError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {saveEntityMutation.error.response?.data?.error || 'Failed to save business entity'}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  label="Code"
+                  value={formData.code}
+                  onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  required
+                  label="Legal Name"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Other Names"
+                  helperText="Comma-separated names this entity appears under on invoices"
+                  value={formData.aliases}
+                  onChange={(e) => setFormData({ ...formData, aliases: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  label="Address"
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Default Currency"
+                  placeholder="USD"
+                  inputProps={{ maxLength: 3 }}
+                  value={formData.defaultCurrency}
+                  onChange={(e) => setFormData({ ...formData, defaultCurrency: e.target.value.toUpperCase() })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Tax ID"
+                  value={formData.taxId}
+                  onChange={(e) => setFormData({ ...formData, taxId: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Default Tax Rate (%)"
+                  inputProps={{ min: 0, max: 100, step: 0.01 }}
+                  value={formData.defaultTaxRate}
+                  onChange={(e) => setFormData({ ...formData, defaultTaxRate: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                  }
+                  label="Active"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={saveEntityMutation.isPending}>
+              {saveEntityMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* Assign Users Dialog */}
+      <Dialog open={!!usersEntity} onClose={() => setUsersEntity(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Assign Users: {usersEntity?.name}</DialogTitle>
+        <DialogContent>
+          {assignUsersMutation.isError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {assignUsersMutation.error.response?.data?.error || 'Failed to assign users'}
+            </Alert>
+          )}
+          <FormControl fullWidth sx={{ mt: 1 }}>
+            <InputLabel>Users</InputLabel>
+            <Select
+              multiple
+              value={assignedUserIds}
+              onChange={(e) => setAssignedUserIds(e.target.value)}
+              input={<OutlinedInput label="Users" />}
+              renderValue={(selected) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {selected.map(id => {
+                    const user = users.find(candidate => candidate.id === id);
+                    return <Chip key={id} label={user ? userName(user) : id} size="small" />;
+                  })}
+                </Box>
+              )}
+            >
+              {users.map(user => (
+                <MenuItem key={user.id} value={user.id}>
+                  {userName(user)} ({user.role})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUsersEntity(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={assignUsersMutation.isPending}
+            onClick={() => assignUsersMutation.mutate({ id: usersEntity.id, userIds: assignedUserIds })}
+          >
+            {assignUsersMutation.isPending ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default BusinessEntityList;
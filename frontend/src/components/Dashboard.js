@@ -35,9 +35,15 @@ import {
   CheckCircle,
   TrendingUp,
   Receipt,
-  Assignment
+  Assignment,
+  FactCheck,
+  Store,
+  Inventory,
+  AccountBalance,
+  Payments
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
+import { formatCurrencyWithSymbol } from './utils/invoiceUtils';
 import { useAuth } from '../contexts/AuthContext';
 import { useQuery } from '@tanstack/react-query';
 import axios from 'axios';
@@ -73,7 +79,7 @@ const Dashboard = () => {
   const { data: userProfile } = useQuery({
     queryKey: ['user-profile'],
     queryFn: async () => {
-      const response = await axios.get('/users/profile');
+      const response = await axios.get('/api/users/profile');
       return response.data;
     },
     enabled: !!user
@@ -82,12 +88,20 @@ const Dashboard = () => {
   const userManagementCards = [
     {
       title: 'User Management',
-      description: 'Manage users, roles, and permissions across your organization',
+      description: 'Invite users, assign roles and suspend accounts across your organization',
       icon: <People />,
       path: '/users',
       permission: 'user.read',
       color: '#1976d2'
     },
+    {
+      title: 'Roles & Permissions',
+      description: 'Create custom roles and choose what each role may do',
+      icon: <AdminPanelSettings />,
+      path: '/roles',
+      permission: 'role.manage',
+      color: '#c2185b'
+    },
     {
       title: 'Business Entities',
       description: 'Manage business entities and validator assignments',
@@ -96,6 +110,46 @@ const Dashboard = () => {
       permission: 'business_entity.read',
       color: '#388e3c'
     },
+    {
+      title: 'Approvals',
+      description: 'Review and approve invoices waiting on your approval step',
+      icon: <FactCheck />,
+      path: '/approvals',
+      permission: 'document.approve',
+      color: '#7b1fa2'
+    },
+    {
+      title: 'Vendors',
+      description: 'Maintain vendor master data used to match incoming invoices',
+      icon: <Store />,
+      path: '/vendors',
+      permission: 'vendor.read',
+      color: '#00796b'
+    },
+    {
+      title: 'Purchase Orders',
+      description: 'Import purchase orders and goods receipts for three-way invoice matching',
+      icon: <Inventory />,
+      path: '/purchase-orders',
+      permission: 'purchase_order.read',
+      color: '#5d4037'
+    },
+    {
+      title: 'Accounting Export',
+      description: 'Export approved invoices to QuickBooks, Xero or an AP journal',
+      icon: <AccountBalance />,
+      path: '/accounting-export',
+      permission: 'document.export',
+      color: '#455a64'
+    },
+    {
+      title: 'Payment Runs',
+      description: 'Pay approved invoices by NACHA ACH or SEPA credit transfer',
+      icon: <Payments />,
+      path: '/payment-runs',
+      permission: 'payment.read',
+      color: '#2e7d32'
+    },
     {
       title: 'Audit Logs',
       description: 'View system audit logs and track user activities',
@@ -395,6 +449,32 @@ const Dashboard = () => {
               </Button>
             </Box>
 
+            {/* Spend in the company's base currency, by invoice currency */}
+            {documentAnalytics?.spend && documentAnalytics.spend.byCurrency.length > 0 && (
+              <Card variant="outlined" sx={{ mb: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    Spend: {formatCurrencyWithSymbol(documentAnalytics.spend.total, documentAnalytics.spend.baseCurrency)}
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    {documentAnalytics.spend.byCurrency.map((entry) => (
+                      <Chip
+                        key={entry.currency}
+                        size="small"
+                        variant="outlined"
+                        label={`${entry.currency}: ${formatCurrencyWithSymbol(entry.total, entry.currency === 'unknown' ? null : entry.currency)} (${entry.documents})`}
+                      />
+                    ))}
+                  </Box>
+                  {documentAnalytics.spend.unconvertedDocuments > 0 && (
+                    <Typography variant="caption" color="warning.main" display="block" sx={{ mt: 1 }}>
+                      {documentAnalytics.spend.unconvertedDocuments} document(s) have no exchange rate into {documentAnalytics.spend.baseCurrency} and are not in the total
+                    </Typography>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
             {/* Recent Documents */}
             {documentAnalytics?.recentDocuments && (
               <Box>
@@ -426,7 +506,10 @@ const Dashboard = () => {
                           )}
                           {doc.amount && (
                             <Typography variant="body2" color="text.secondary">
-                              Amount: ${doc.amount.toFixed(2)}
+                              Amount: {formatCurrencyWithSymbol(doc.amount, doc.currency)}
+                              {doc.baseAmount !== null && doc.baseAmount !== undefined && doc.currency !== documentAnalytics.spend?.baseCurrency
+                                ? ` (≈ ${formatCurrencyWithSymbol(doc.baseAmount, documentAnalytics.spend?.baseCurrency)})`
+                                : ''}
                             </Typography>
                           )}
                           <Typography variant="caption" color="text.secondary">
@@ -0,0 +1,142 @@
+// Documents waiting on an approval step the signed-in validator or admin can act on
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    Container,
+    Paper,
+    Typography,
+    Box,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Chip,
+    Button,
+    Alert,
+    CircularProgress,
+    IconButton
+} from '@mui/material';
+import { ArrowBack, Visibility, Refresh, FactCheck } from '@mui/icons-material';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+const formatAmount = (amount, currency) => {
+    if (amount === null || amount === undefined) return '—';
+    return `${currency || ''} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`.trim();
+};
+
+const ApprovalQueue = () => {
+    const navigate = useNavigate();
+
+    const { data, isLoading, error, refetch, isFetching } = useQuery({
+        queryKey: ['pendingApprovals'],
+        queryFn: async () => {
+            const response = await api.get('/api/approvals/pending');
+            return response.data;
+        },
+        refetchInterval: 30000
+    });
+
+    const documents = data?.documents || [];
+
+    return (
+        <Container maxWidth="lg" sx={{ py: 4 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+                <IconButton onClick={() => navigate('/dashboard')} sx={{ mr: 1 }}>
+                    <ArrowBack />
+                </IconButton>
+                <FactCheck sx={{ mr: 1 }} color="primary" />
+                <Typography variant="h4" sx={{ flexGrow: 1 }}>
+                    Pending Approvals
+                </Typography>
+                <Button
+                    variant="outlined"
+                    startIcon={<Refresh />}
+                    onClick={() => refetch()}
+                    disabled={isFetching}
+                >
+                    Refresh
+                </Button>
+            </Box>
+
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    Failed to load pending approvals: {error.response?.data?.error || error.message}
+                </Alert>
+            )}
+
+            <Paper>
+                {isLoading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+                        <CircularProgress />
+                    </Box>
+                ) : documents.length === 0 ? (
+                    <Box sx={{ p: 4, textAlign: 'center' }}>
+                        <Typography color="text.secondary">
+                            Nothing is waiting for your approval.
+                        </Typography>
+                    </Box>
+                ) : (
+                    <TableContainer>
+                        <Table>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Document</TableCell>
+                                    <TableCell>Vendor</TableCell>
+                                    <TableCell>Invoice #</TableCell>
+                                    <TableCell align="right">Total</TableCell>
+                                    <TableCell>Due</TableCell>
+                                    <TableCell>Step</TableCell>
+                                    <TableCell>Received</TableCell>
+                                    <TableCell />
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {documents.map(doc => (
+                                    <TableRow
+                                        key={doc.documentId}
+                                        hover
+                                        sx={{ cursor: 'pointer' }}
+                                        onClick={() => navigate(`/documents/${doc.documentId}`)}
+                                    >
+                                        <TableCell>{doc.originalName}</TableCell>
+                                        <TableCell>{doc.vendorName || '—'}</TableCell>
+                                        <TableCell>{doc.invoiceNumber || '—'}</TableCell>
+                                        <TableCell align="right">{formatAmount(doc.total, doc.currency)}</TableCell>
+                                        <TableCell>{doc.dueDate ? new Date(doc.dueDate).toLocaleDateString() : '—'}</TableCell>
+                                        <TableCell>
+                                            <Chip size="small" label={`${doc.step.stepOrder}. ${doc.step.name}`} color="info" variant="outlined" />
+                                        </TableCell>
+                                        <TableCell>{new Date(doc.createdAt).toLocaleDateString()}</TableCell>
+                                        <TableCell align="right">
+                                            <IconButton size="small">
+                                                <Visibility />
+                                            </IconButton>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                )}
+            </Paper>
+        </Container>
+    );
+};
+
+export default ApprovalQueue;
@@ -0,0 +1,313 @@
+// Approval status, steps and history for a document, with the approve / reject / send back actions
+import React, { useState } from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Button,
+    Stepper,
+    Step,
+    StepLabel,
+    List,
+    ListItem,
+    ListItemIcon,
+    ListItemText,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Alert,
+    CircularProgress,
+    Collapse
+} from '@mui/material';
+import {
+    CheckCircle,
+    Cancel,
+    Undo,
+    Send,
+    Payment,
+    History,
+    AutoAwesome,
+    HourglassEmpty,
+    ExpandMore,
+    ExpandLess
+} from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+export const WORKFLOW_STATUS_LABELS = {
+    extracted: 'Extracted',
+    needs_review: 'Needs Review',
+    needs_correction: 'Needs Correction',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    ready_for_payment: 'Ready for Payment'
+};
+
+export const getWorkflowStatusColor = (status) => {
+    switch (status) {
+        case 'approved': return 'success';
+        case 'ready_for_payment': return 'primary';
+        case 'rejected': return 'error';
+        case 'needs_correction': return 'warning';
+        case 'needs_review': return 'info';
+        default: return 'default';
+    }
+};
+
+// What each action posts and what its dialog asks for
+const ACTIONS = {
+    approve: { label: 'Approve', endpoint: 'approve', field: 'comment', required: false, color: 'success', icon: <CheckCircle /> },
+    reject: { label: 'Reject', endpoint: 'reject', field: 'reason', required: true, color: 'error', icon: <Cancel /> },
+    sendBack: { label: 'Send Back for Correction', endpoint: 'send-back', field: 'comment', required: true, color: 'warning', icon: <Undo /> },
+    resubmit: { label: 'Submit for Review', endpoint: 'resubmit', field: 'comment', required: false, color: 'primary', icon: <Send /> },
+    release: { label: 'Ready for Payment', endpoint: 'ready-for-payment', field: 'comment', required: false, color: 'primary', icon: <Payment /> }
+};
+
+const getTransitionIcon = (action) => {
+    switch (action) {
+        case 'approve': return <CheckCircle color="success" fontSize="small" />;
+        case 'reject': return <Cancel color="error" fontSize="small" />;
+        case 'send_back': return <Undo color="warning" fontSize="small" />;
+        case 'release': return <Payment color="primary" fontSize="small" />;
+        case 'extract': return <AutoAwesome color="action" fontSize="small" />;
+        default: return <Send color="action" fontSize="small" />;
+    }
+};
+
+const ApprovalWorkflowPanel = ({ documentId, hasUnsavedChanges = false, onNotify }) => {
+    const queryClient = useQueryClient();
+    const [pendingAction, setPendingAction] = useState(null);
+    const [note, setNote] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+
+    const { data: workflow, isLoading, error } = useQuery({
+        queryKey: ['workflow', documentId],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${documentId}/workflow`);
+            return response.data;
+        },
+        enabled: !!documentId
+    });
+
+    const actionMutation = useMutation({
+        mutationFn: async ({ action, text }) => {
+            const { endpoint, field } = ACTIONS[action];
+            const response = await api.post(`/api/documents/${documentId}/workflow/${endpoint}`, { [field]: text });
+            return response.data;
+        },
+        onSuccess: (result) => {
+            queryClient.invalidateQueries({ queryKey: ['workflow', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['document', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['documents'] });
+            queryClient.invalidateQueries({ queryKey: ['pendingApprovals'] });
+            onNotify?.(`Document is now ${WORKFLOW_STATUS_LABELS[result.status] || result.status}`, 'success');
+            setPendingAction(null);
+            setNote('');
+        },
+        onError: (error) => {
+            onNotify?.(`${ACTIONS[pendingAction]?.label || 'Action'} failed: ${error.response?.data?.error || error.message}`, 'error');
+        }
+    });
+
+    if (isLoading) {
+        return (
+            <Card variant="outlined" sx={{ mb: 3 }}>
+                <CardContent sx={{ display: 'flex', justifyContent: 'center' }}>
+                    <CircularProgress size={24} />
+                </CardContent>
+            </Card>
+        );
+    }
+
+    if (error) {
+        return (
+            <Alert severity="warning" sx={{ mb: 3 }}>
+                Approval status unavailable: {error.response?.data?.error || error.message}
+            </Alert>
+        );
+    }
+
+    const { status, steps = [], transitions = [], permissions = {}, openDuplicateCount = 0 } = workflow;
+    const availableActions = [
+        permissions.canReview && 'approve',
+        permissions.canReview && 'reject',
+        (permissions.canReview || permissions.canSendBack) && 'sendBack',
+        permissions.canResubmit && 'resubmit',
+        permissions.canReleaseForPayment && 'release'
+    ].filter(Boolean);
+
+    const activeStepIndex = steps.findIndex(step => step.status === 'pending');
+    const lastSentBack = status === 'needs_correction'
+        ? [...transitions].reverse().find(t => t.action === 'send_back')
+        : null;
+    const rejection = status === 'rejected'
+        ? [...transitions].reverse().find(t => t.action === 'reject')
+        : null;
+
+    const action = pendingAction ? ACTIONS[pendingAction] : null;
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                    <Typography variant="h6">Approval</Typography>
+                    <Chip
+                        icon={status === 'needs_review' ? <HourglassEmpty /> : undefined}
+                        label={WORKFLOW_STATUS_LABELS[status] || 'Not submitted'}
+                        color={getWorkflowStatusColor(status)}
+                    />
+                </Box>
+
+                {lastSentBack && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                        Sent back by {lastSentBack.actorName || 'a reviewer'}: {lastSentBack.comment}
+                    </Alert>
+                )}
+
+                {rejection && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        Rejected by {rejection.actorName || 'a reviewer'}: {rejection.comment}
+                    </Alert>
+                )}
+
+                {steps.length > 0 && (
+                    <Stepper
+                        activeStep={activeStepIndex === -1 ? steps.length : activeStepIndex}
+                        alternativeLabel
+                        sx={{ mb: 2 }}
+                    >
+                        {steps.map(step => (
+                            <Step key={step.id} completed={step.status === 'approved'}>
+                                <StepLabel
+                                    error={step.status === 'rejected'}
+                                    optional={
+                                        <Typography variant="caption" color="text.secondary">
+                                            {step.decidedByName || step.approverRole}
+                                        </Typography>
+                                    }
+                                >
+                                    {step.name}
+                                </StepLabel>
+                            </Step>
+                        ))}
+                    </Stepper>
+                )}
+
+                {availableActions.length > 0 && (
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                        {availableActions.map(key => (
+                            <Button
+                                key={key}
+                                variant={key === 'approve' || key === 'resubmit' || key === 'release' ? 'contained' : 'outlined'}
+                                color={ACTIONS[key].color}
+                                size="small"
+                                startIcon={ACTIONS[key].icon}
+                                onClick={() => setPendingAction(key)}
+                                disabled={actionMutation.isPending || hasUnsavedChanges || (key === 'approve' && openDuplicateCount > 0)}
+                            >
+                                {ACTIONS[key].label}
+                            </Button>
+                        ))}
+                    </Box>
+                )}
+
+                {openDuplicateCount > 0 && availableActions.includes('approve') && (
+                    <Typography variant="caption" color="error" display="block">
+                        Resolve the suspected duplicates above before approving.
+                    </Typography>
+                )}
+
+                {hasUnsavedChanges && availableActions.length > 0 && (
+                    <Typography variant="caption" color="text.secondary">
+                        Save your changes before changing the approval status.
+                    </Typography>
+                )}
+
+                {transitions.length > 0 && (
+                    <>
+                        <Button
+                            size="small"
+                            startIcon={<History />}
+                            endIcon={showHistory ? <ExpandLess /> : <ExpandMore />}
+                            onClick={() => setShowHistory(!showHistory)}
+                            sx={{ mt: 1 }}
+                        >
+                            History ({transitions.length})
+                        </Button>
+                        <Collapse in={showHistory}>
+                            <List dense>
+                                {[...transitions].reverse().map(transition => (
+                                    <ListItem key={transition.id} alignItems="flex-start">
+                                        <ListItemIcon sx={{ minWidth: 32, mt: 0.5 }}>
+                                            {getTransitionIcon(transition.action)}
+                                        </ListItemIcon>
+                                        <ListItemText
+                                            primary={`${WORKFLOW_STATUS_LABELS[transition.fromStatus] || 'New'} → ${WORKFLOW_STATUS_LABELS[transition.toStatus] || transition.toStatus}`}
+                                            secondary={
+                                                <>
+                                                    {transition.actorName || 'System'} · {new Date(transition.createdAt).toLocaleString()}
+                                                    {transition.comment && (
+                                                        <Typography component="span" variant="body2" display="block" color="text.primary">
+                                                            {transition.comment}
+                                                        </Typography>
+                                                    )}
+                                                </>
+                                            }
+                                        />
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </Collapse>
+                    </>
+                )}
+            </CardContent>
+
+            <Dialog open={!!action} onClose={() => setPendingAction(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{action?.label}</DialogTitle>
+                <DialogContent>
+                    <TextField
+                        autoFocus
+                        fullWidth
+                        multiline
+                        minRows={3}
+                        margin="dense"
+                        label={action?.field === 'reason' ? 'Reason for rejection' : action?.required ? 'What needs correcting?' : 'Comment (optional)'}
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        required={action?.required}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setPendingAction(null)}>Cancel</Button>
+                    <Button
+                        variant="contained"
+                        color={action?.color}
+                        onClick={() => actionMutation.mutate({ action: pendingAction, text: note.trim() })}
+                        disabled={actionMutation.isPending || (action?.required && !note.trim())}
+                    >
+                        {actionMutation.isPending ? 'Saving...' : action?.label}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Card>
+    );
+};
+
+export default ApprovalWorkflowPanel;
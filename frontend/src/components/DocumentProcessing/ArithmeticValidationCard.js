@@ -0,0 +1,117 @@
+// Results of the arithmetic and tax consistency checks, with the value most likely misread by OCR
+import React from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Button,
+    Alert
+} from '@mui/material';
+import { Calculate, CheckCircle } from '@mui/icons-material';
+
+const RULE_LABELS = {
+    line_amount: 'Qty × price',
+    line_items_sum: 'Lines = subtotal',
+    total: 'Total',
+    tax_rate: 'Tax rate',
+    balance_due: 'Balance due'
+};
+
+const FIELD_LABELS = {
+    'amounts.subtotal': 'Subtotal',
+    'amounts.tax': 'Tax',
+    'amounts.taxRate': 'Tax rate',
+    'amounts.discount': 'Discount',
+    'amounts.total': 'Total',
+    'amounts.amountPaid': 'Amount paid',
+    'amounts.balanceDue': 'Balance due'
+};
+
+const ITEM_FIELD_LABELS = {
+    quantity: 'quantity',
+    unitPrice: 'unit price',
+    amount: 'amount'
+};
+
+const getFieldLabel = (path) => {
+    if (FIELD_LABELS[path]) return FIELD_LABELS[path];
+
+    const [collection, index, field] = path.split('.');
+    if ((collection === 'items' || collection === 'lineItems') && field) {
+        return `Line ${Number(index) + 1} ${ITEM_FIELD_LABELS[field] || field}`;
+    }
+    return path;
+};
+
+const formatValue = (value) => (value === null || value === undefined ? 'missing' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 }));
+
+// Only header amounts map one-to-one onto editable fields; line items are edited in the table
+const canApply = (path) => path.startsWith('amounts.');
+
+const ArithmeticValidationCard = ({ validation, editMode, onApplySuggestion }) => {
+    if (!validation || validation.checked.length === 0) {
+        return null;
+    }
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: validation.valid ? 0 : 2 }}>
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Calculate fontSize="small" />
+                        Arithmetic Checks
+                    </Typography>
+                    {validation.valid ? (
+                        <Chip
+                            size="small"
+                            color="success"
+                            icon={<CheckCircle />}
+                            label={`${validation.checked.length} check${validation.checked.length > 1 ? 's' : ''} passed`}
+                        />
+                    ) : (
+                        <Chip
+                            size="small"
+                            color="error"
+                            label={`${validation.issues.length} issue${validation.issues.length > 1 ? 's' : ''}`}
+                        />
+                    )}
+                </Box>
+
+                {validation.issues.map((issue, index) => (
+                    <Alert
+                        key={`${issue.rule}-${index}`}
+                        severity="error"
+                        sx={{ mb: 1 }}
+                        action={editMode && issue.suggestion && canApply(issue.suggestion.field) && (
+                            <Button
+                                color="inherit"
+                                size="small"
+                                onClick={() => onApplySuggestion(issue.suggestion.field, issue.suggestion.suggestedValue)}
+                            >
+                                Apply
+                            </Button>
+                        )}
+                    >
+                        <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+                            {RULE_LABELS[issue.rule] || issue.rule}: {issue.message}
+                        </Typography>
+                        <Typography variant="body2">
+                            Expected {formatValue(issue.expected)}, found {formatValue(issue.actual)} (off by {formatValue(Math.abs(issue.difference))})
+                        </Typography>
+                        {issue.suggestion && (
+                            <Typography variant="body2" sx={{ mt: 0.5 }}>
+                                Likely misread: <strong>{getFieldLabel(issue.suggestion.field)}</strong>{' '}
+                                {formatValue(issue.suggestion.currentValue)} → {formatValue(issue.suggestion.suggestedValue)}
+                                {issue.suggestion.reason && ` (${issue.suggestion.reason})`}
+                            </Typography>
+                        )}
+                    </Alert>
+                ))}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ArithmeticValidationCard;
@@ -0,0 +1,156 @@
+// Credit and debit notes of an invoice, or the invoice a note adjusts, with the balance net of them
+import React from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Link,
+    List,
+    ListItem,
+    ListItemText,
+    Table,
+    TableBody,
+    TableCell,
+    TableRow
+} from '@mui/material';
+import { ReceiptLong } from '@mui/icons-material';
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+export const DOCUMENT_TYPE_LABELS = {
+    invoice: 'Invoice',
+    credit_note: 'Credit note',
+    debit_note: 'Debit note',
+    prepayment: 'Prepayment invoice'
+};
+
+const formatAmount = (value, currency) => (value === null || value === undefined
+    ? '—'
+    : `${Number(value).toFixed(2)}${currency ? ` ${currency}` : ''}`);
+
+const CreditNotesCard = ({ documentId, documentType }) => {
+    const navigate = useNavigate();
+    const adjustment = documentType === 'credit_note' || documentType === 'debit_note';
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['documentAdjustments', documentId],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${documentId}/adjustments`);
+            return response.data;
+        },
+        enabled: !!documentId
+    });
+
+    if (isLoading || !data) {
+        return null;
+    }
+    // An invoice nothing adjusts needs no card
+    if (!adjustment && data.adjustments.length === 0) {
+        return null;
+    }
+
+    const { invoice, adjustments, balance } = data;
+
+    const entryLabel = (entry) => `${DOCUMENT_TYPE_LABELS[entry.documentType] || entry.documentType}${entry.invoiceNumber ? ` #${entry.invoiceNumber}` : ''}`;
+
+    const entryLink = (entry) => (entry.id === documentId
+        ? <Typography component="span" variant="body2" sx={{ fontWeight: 'bold' }}>{entryLabel(entry)} (this document)</Typography>
+        : (
+            <Link component="button" variant="body2" onClick={() => navigate(`/documents/${entry.id}`)}>
+                {entryLabel(entry)}
+            </Link>
+        ));
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <ReceiptLong fontSize="small" />
+                        Credit &amp; Debit Notes
+                    </Typography>
+                    {balance && (
+                        <Chip
+                            size="small"
+                            label={balance.outstanding === 0 ? 'Settled' : `Outstanding ${formatAmount(balance.outstanding, balance.currency)}`}
+                            color={balance.outstanding === 0 ? 'success' : 'default'}
+                        />
+                    )}
+                </Box>
+
+                {!invoice ? (
+                    <Typography variant="body2" color="text.secondary">
+                        {data.referencedInvoiceNumber
+                            ? `No invoice numbered ${data.referencedInvoiceNumber} has been processed yet; this note is linked once it is.`
+                            : 'The invoice this note adjusts was not found on the document. Enter the referenced invoice number to link it.'}
+                    </Typography>
+                ) : (
+                    <>
+                        <List dense>
+                            {[invoice, ...adjustments].map(entry => (
+                                <ListItem key={entry.id} disableGutters>
+                                    <ListItemText
+                                        primary={entryLink(entry)}
+                                        secondary={[
+                                            entry.date,
+                                            entry.workflowStatus,
+                                            entry.paymentStatus && `payment ${entry.paymentStatus}`
+                                        ].filter(Boolean).join(' · ')}
+                                    />
+                                    <Typography
+                                        variant="body2"
+                                        color={entry.total < 0 ? 'error.main' : 'text.primary'}
+                                        sx={{ ml: 2, whiteSpace: 'nowrap' }}
+                                    >
+                                        {formatAmount(entry.total, entry.currency)}
+                                    </Typography>
+                                </ListItem>
+                            ))}
+                        </List>
+
+                        <Table size="small">
+                            <TableBody>
+                                <TableRow>
+                                    <TableCell>Invoice total</TableCell>
+                                    <TableCell align="right">{formatAmount(balance.total, balance.currency)}</TableCell>
+                                </TableRow>
+                                <TableRow>
+                                    <TableCell>Credit and debit notes</TableCell>
+                                    <TableCell align="right">{formatAmount(balance.adjustments, balance.currency)}</TableCell>
+                                </TableRow>
+                                <TableRow>
+                                    <TableCell>Paid</TableCell>
+                                    <TableCell align="right">{formatAmount(balance.paid, balance.currency)}</TableCell>
+                                </TableRow>
+                                <TableRow>
+                                    <TableCell sx={{ fontWeight: 'bold' }}>Outstanding</TableCell>
+                                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                                        {formatAmount(balance.outstanding, balance.currency)}
+                                    </TableCell>
+                                </TableRow>
+                            </TableBody>
+                        </Table>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default CreditNotesCard;
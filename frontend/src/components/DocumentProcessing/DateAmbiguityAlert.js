@@ -0,0 +1,61 @@
+// Dates whose day and month could be swapped ("03/04/25") and that nothing on the invoice settled;
+// the reviewer picks the reading in edit mode
+import React from 'react';
+import {
+    Box,
+    Alert,
+    AlertTitle,
+    Typography,
+    Chip
+} from '@mui/material';
+
+const FIELD_LABELS = {
+    date: 'Invoice date',
+    dueDate: 'Due date',
+    'orderInfo.orderDate': 'Order date'
+};
+
+// Spelled out so the reading itself is not ambiguous
+const formatReading = (iso) => new Date(`${iso}T00:00:00Z`).toLocaleDateString(undefined, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+});
+
+const DateAmbiguityAlert = ({ dateReview, editMode, onResolve }) => {
+    const pending = Object.entries(dateReview?.fields || {}).filter(([, entry]) => entry);
+    if (pending.length === 0) {
+        return null;
+    }
+
+    return (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+            <AlertTitle>Check the day and month</AlertTitle>
+            {pending.map(([path, entry]) => (
+                <Box key={path} sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5, mb: 0.5 }}>
+                    <Typography variant="body2" sx={{ mr: 0.5 }}>
+                        {FIELD_LABELS[path] || path} printed as <strong>{entry.printed}</strong>:
+                    </Typography>
+                    {entry.candidates.map(candidate => (
+                        <Chip
+                            key={candidate.iso}
+                            size="small"
+                            label={formatReading(candidate.iso)}
+                            color={candidate.iso === entry.iso ? 'warning' : 'default'}
+                            variant={candidate.iso === entry.iso ? 'filled' : 'outlined'}
+                            onClick={editMode ? () => onResolve(path, candidate.iso) : undefined}
+                        />
+                    ))}
+                </Box>
+            ))}
+            <Typography variant="caption" color="text.secondary">
+                {editMode
+                    ? 'Pick the date the vendor meant; the highlighted one is used until then.'
+                    : 'The highlighted reading is used until a reviewer picks one in edit mode.'}
+            </Typography>
+        </Alert>
+    );
+};
+
+export default DateAmbiguityAlert;
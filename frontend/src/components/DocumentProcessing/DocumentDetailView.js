@@ -26,6 +26,7 @@ import {
     AppBar,
     Toolbar,
     TextField,
+    MenuItem,
     Snackbar,
     Dialog,
     DialogTitle,
@@ -68,11 +69,24 @@ import {
     ExpandMore,
     Add,
     Delete,
-    ShoppingCart
+    ShoppingCart,
+    MyLocation,
+    HighlightAlt
 } from '@mui/icons-material';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from 'axios';
 import SimplePDFViewer from './SimplePDFViewer';
+import RegionOverlay from './RegionOverlay';
+import ApprovalWorkflowPanel from './ApprovalWorkflowPanel';
+import DuplicateReview from './DuplicateReview';
+import VendorMatchCard from './VendorMatchCard';
+import DocumentSplitCard from './DocumentSplitCard';
+import CreditNotesCard, { DOCUMENT_TYPE_LABELS } from './CreditNotesCard';
+import PurchaseOrderMatchCard from './PurchaseOrderMatchCard';
+import ArithmeticValidationCard from './ArithmeticValidationCard';
+import DateAmbiguityAlert from './DateAmbiguityAlert';
+import RevisionHistoryCard from './RevisionHistoryCard';
+import { formatCurrencyWithSymbol, formatBaseAmount } from '../utils/invoiceUtils';
 
 // Configure axios defaults
 const api = axios.create({
@@ -102,6 +116,8 @@ const DocumentDetailView = () => {
     const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
     const [saveDialog, setSaveDialog] = useState(false);
     const [showRawData, setShowRawData] = useState(false);
+    const [activeHighlight, setActiveHighlight] = useState(null);
+    const [regionTarget, setRegionTarget] = useState(null);
 
     // Fetch document details
     const { data: invoiceDocument, isLoading, error: fetchError } = useQuery({
@@ -124,6 +140,10 @@ const DocumentDetailView = () => {
         onSuccess: () => {
             queryClient.invalidateQueries({ queryKey: ['document', documentId] });
             queryClient.invalidateQueries({ queryKey: ['documents'] });
+            queryClient.invalidateQueries({ queryKey: ['vendorMatch', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['poMatch', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['documentAdjustments', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['documentHistory', documentId] });
             setSnackbar({
                 open: true,
                 message: 'Document updated successfully!',
@@ -142,6 +162,33 @@ const DocumentDetailView = () => {
         }
     });
 
+    // OCR a region drawn on the document and put the text into the field being filled
+    const regionOcrMutation = useMutation({
+        mutationFn: async ({ page, bbox, field }) => {
+            const response = await api.post(`/api/documents/${documentId}/ocr-region`, { page, bbox, field });
+            return response.data;
+        },
+        onSuccess: (result) => {
+            handleFieldChange(result.field, result.text, result.location);
+            setActiveHighlight({ ...result.location, label: regionTarget?.label });
+            setRegionTarget(null);
+            setSnackbar({
+                open: true,
+                message: result.text
+                    ? `Filled "${regionTarget?.label}" from the selected region (${Math.round(result.confidence || 0)}% confidence)`
+                    : 'No text found in the selected region',
+                severity: result.text ? 'success' : 'warning'
+            });
+        },
+        onError: (error) => {
+            setSnackbar({
+                open: true,
+                message: `Region OCR failed: ${error.response?.data?.error || error.message}`,
+                severity: 'error'
+            });
+        }
+    });
+
     // Enhanced getItemDescription for the new structure
     const getItemDescription = (item) => {
         if (item.description) return item.description;
@@ -183,7 +230,9 @@ const DocumentDetailView = () => {
                     qtyShipped: parseFloat(item.qtyShipped || item.quantity || item.qty || 1),
                     unitPrice: parseFloat(item.unitPrice || item.price || item.rate || 0),
                     netPrice: parseFloat(item.netPrice || item.unitPrice || item.price || 0),
-                    lineTotal: parseFloat(item.lineTotal || item.amount || item.total || 0)
+                    lineTotal: parseFloat(item.lineTotal || item.amount || item.total || 0),
+                    confidence: item.confidence ?? null,
+                    locations: item.locations || null
                 };
             });
         }
@@ -200,7 +249,9 @@ const DocumentDetailView = () => {
                 qtyShipped: parseFloat(item.qtyShipped || item.quantity || item.qty || 1),
                 unitPrice: parseFloat(item.unitPrice || item.price || item.rate || 0),
                 netPrice: parseFloat(item.netPrice || item.unitPrice || item.price || 0),
-                lineTotal: parseFloat(item.lineTotal || item.amount || item.total || 0)
+                lineTotal: parseFloat(item.lineTotal || item.amount || item.total || 0),
+                confidence: item.confidence ?? null,
+                locations: item.locations || null
             }));
         }
 
@@ -261,7 +312,7 @@ const DocumentDetailView = () => {
     const detectCurrency = (invoiceData) => {
         if (invoiceData.amounts?.currency) return invoiceData.amounts.currency;
         if (invoiceData.currency) return invoiceData.currency;
-        return 'USD';
+        return null;
     };
 
     const getNestedValue = (obj, path) => {
@@ -300,23 +351,15 @@ const DocumentDetailView = () => {
         switch (status) {
             case 'completed': return 'success';
             case 'processing': return 'warning';
+            case 'split': return 'info';
             case 'failed': return 'error';
             default: return 'default';
         }
     };
 
-    const formatCurrency = (amount, currency = 'USD') => {
+    const formatCurrency = (amount, currency = null) => {
         if (!amount && amount !== 0) return 'N/A';
-        const currencyMap = {
-            'USD': '$',
-            'CAD': 'CAD $',
-            'MYR': 'RM',
-            'INR': '₹',
-            'EUR': '€',
-            'GBP': '£'
-        };
-        const symbol = currencyMap[currency] || currency + ' ';
-        return `${symbol}${parseFloat(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        return formatCurrencyWithSymbol(amount, currency);
     };
 
     const getConfidenceColor = (confidence) => {
@@ -326,17 +369,44 @@ const DocumentDetailView = () => {
     };
 
     const getConfidenceForField = (fieldName) => {
-        if (invoiceDocument?.metrics?.fieldConfidence?.[fieldName]) {
-            return invoiceDocument.metrics.fieldConfidence[fieldName];
+        const fieldConfidence = invoiceDocument?.metrics?.fieldConfidence || invoiceDocument?.invoiceData?.fieldConfidence;
+        if (fieldConfidence?.[fieldName] != null) {
+            return fieldConfidence[fieldName];
         }
         return invoiceDocument?.metrics?.averageConfidence || 0;
     };
 
+    // Winner, agreement and runner-up values the extraction sources voted for
+    const getConsensusForField = (fieldName) => {
+        return invoiceDocument?.invoiceData?.consensus?.fields?.[fieldName] || null;
+    };
+
+    const getLocationForField = (fieldName) => {
+        return editedData.fieldLocations?.[fieldName] || invoiceDocument?.invoiceData?.fieldLocations?.[fieldName] || null;
+    };
+
+    // Highlight where on the page a value was read from
+    const showLocation = (location, label) => {
+        if (location) {
+            setActiveHighlight({ ...location, label });
+        }
+    };
+
+    const handleRegionSelect = ({ page, bbox }) => {
+        if (regionTarget) {
+            regionOcrMutation.mutate({ page, bbox, field: regionTarget.path });
+        }
+    };
+
     // Edit handling functions
-    const handleFieldChange = (path, value) => {
+    const handleFieldChange = (path, value, location = null) => {
         const pathArray = path.split('.');
         const newData = { ...editedData };
 
+        if (location) {
+            newData.fieldLocations = { ...(editedData.fieldLocations || {}), [path]: location };
+        }
+
         let current = newData;
         for (let i = 0; i < pathArray.length - 1; i++) {
             if (!current[pathArray[i]]) {
@@ -350,6 +420,21 @@ const DocumentDetailView = () => {
         setHasChanges(true);
     };
 
+    // Use one reading of a date whose day and month could be swapped; clearing its review entry
+    // confirms it even when it is the reading already shown
+    const resolveDateReading = (path, iso) => {
+        const [key, nested] = path.split('.');
+        setEditedData({
+            ...editedData,
+            [key]: nested ? { ...editedData[key], [nested]: iso } : iso,
+            dateReview: {
+                ...editedData.dateReview,
+                fields: { ...editedData.dateReview?.fields, [path]: null }
+            }
+        });
+        setHasChanges(true);
+    };
+
     const getFieldValue = (path) => {
         const pathArray = path.split('.');
         let current = editedData;
@@ -449,10 +534,17 @@ const DocumentDetailView = () => {
         );
     }
 
+    // Approved, rejected and released invoices have to be sent back before they can be edited
+    const isLockedByWorkflow = ['approved', 'rejected', 'ready_for_payment'].includes(invoiceDocument.workflowStatus);
+
     const EditableFieldWithConfidence = ({ label, value, fieldName, icon, path, type = 'text', multiline = false }) => {
         const confidence = getConfidenceForField(fieldName);
         const isEditing = editMode;
         const fieldValue = isEditing ? getFieldValue(path) : value;
+        const location = getLocationForField(fieldName);
+        const consensus = getConsensusForField(fieldName);
+        const alternatives = consensus?.alternatives || [];
+        const isRegionTarget = regionTarget?.path === path;
 
         return (
             <Box sx={{ mb: 2 }}>
@@ -463,14 +555,38 @@ const DocumentDetailView = () => {
                             {label}
                         </Typography>
                     </Box>
-                    <Tooltip title={`Confidence: ${confidence.toFixed(1)}%`}>
-                        <Chip
-                            size="small"
-                            label={`${confidence.toFixed(0)}%`}
-                            color={getConfidenceColor(confidence)}
-                            variant="outlined"
-                        />
-                    </Tooltip>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                        {location && (
+                            <Tooltip title="Show on document">
+                                <IconButton size="small" onClick={() => showLocation(location, label)}>
+                                    <MyLocation fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        )}
+                        {isEditing && (
+                            <Tooltip title="Draw a box on the document to fill this field">
+                                <IconButton
+                                    size="small"
+                                    color={isRegionTarget ? 'primary' : 'default'}
+                                    onClick={() => setRegionTarget(isRegionTarget ? null : { path, label })}
+                                >
+                                    <HighlightAlt fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        )}
+                        <Tooltip
+                            title={consensus
+                                ? `Confidence: ${confidence.toFixed(1)}% · ${consensus.agreement}% of source weight agrees (${consensus.sources.join(', ')})`
+                                : `Confidence: ${confidence.toFixed(1)}%`}
+                        >
+                            <Chip
+                                size="small"
+                                label={`${confidence.toFixed(0)}%`}
+                                color={getConfidenceColor(confidence)}
+                                variant="outlined"
+                            />
+                        </Tooltip>
+                    </Box>
                 </Box>
 
                 {isEditing ? (
@@ -488,6 +604,7 @@ const DocumentDetailView = () => {
                 ) : (
                     <Typography
                         variant="body1"
+                        onClick={() => showLocation(location, label)}
                         sx={{
                             fontWeight: 500,
                             minHeight: '1.5em',
@@ -495,12 +612,34 @@ const DocumentDetailView = () => {
                             bgcolor: 'grey.50',
                             borderRadius: 1,
                             border: '1px solid',
-                            borderColor: 'grey.200'
+                            borderColor: 'grey.200',
+                            cursor: location ? 'pointer' : 'default'
                         }}
                     >
                         {fieldValue || 'Not found'}
                     </Typography>
                 )}
+
+                {alternatives.length > 0 && (
+                    <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                        <Typography variant="caption" color="text.secondary">
+                            Other sources read:
+                        </Typography>
+                        {alternatives.map((alternative) => (
+                            <Tooltip
+                                key={String(alternative.value)}
+                                title={`${alternative.sources.join(', ')}${isEditing ? ' · click to use this value' : ''}`}
+                            >
+                                <Chip
+                                    size="small"
+                                    variant="outlined"
+                                    label={String(alternative.value)}
+                                    onClick={isEditing ? () => handleFieldChange(path, alternative.value) : undefined}
+                                />
+                            </Tooltip>
+                        ))}
+                    </Box>
+                )}
             </Box>
         );
     };
@@ -508,7 +647,7 @@ const DocumentDetailView = () => {
     // Enhanced Line Items Component with new 8-field structure
     const LineItemsSection = () => {
         const lineItems = editedData.lineItems || editedData.items || [];
-        const currency = editedData.amounts?.currency || 'USD';
+        const currency = editedData.amounts?.currency || null;
 
         console.log('🔍 LineItemsSection - items to display:', lineItems);
 
@@ -529,7 +668,12 @@ const DocumentDetailView = () => {
                 {lineItems.length > 0 ? (
                     <Box>
                         {lineItems.map((item, index) => (
-                            <Card key={item.id || index} variant="outlined" sx={{ mb: 2 }}>
+                            <Card
+                                key={item.id || index}
+                                variant="outlined"
+                                onClick={() => showLocation(item.locations?.row, `Item ${index + 1}`)}
+                                sx={{ mb: 2, cursor: item.locations?.row ? 'pointer' : 'default' }}
+                            >
                                 <CardContent sx={{ py: 2 }}>
                                     <Grid container spacing={2}>
                                         <Grid item xs={12}>
@@ -545,11 +689,23 @@ const DocumentDetailView = () => {
                                                         />
                                                     )}
                                                 </Typography>
-                                                {item.customerPartNo && (
-                                                    <Typography variant="caption" color="text.secondary">
-                                                        Customer Part: {item.customerPartNo}
-                                                    </Typography>
-                                                )}
+                                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                                    {item.customerPartNo && (
+                                                        <Typography variant="caption" color="text.secondary">
+                                                            Customer Part: {item.customerPartNo}
+                                                        </Typography>
+                                                    )}
+                                                    {item.confidence != null && (
+                                                        <Tooltip title={`Confidence: ${Number(item.confidence).toFixed(1)}%`}>
+                                                            <Chip
+                                                                label={`${Number(item.confidence).toFixed(0)}%`}
+                                                                color={getConfidenceColor(item.confidence)}
+                                                                size="small"
+                                                                variant="outlined"
+                                                            />
+                                                        </Tooltip>
+                                                    )}
+                                                </Box>
                                             </Box>
                                             <Typography variant="body1" sx={{ fontWeight: 'bold', mb: 2 }}>
                                                 {item.description || 'No description'}
@@ -763,6 +919,7 @@ const DocumentDetailView = () => {
                             control={
                                 <Switch
                                     checked={editMode}
+                                    disabled={isLockedByWorkflow && !editMode}
                                     onChange={(e) => {
                                         if (e.target.checked) {
                                             setEditMode(true);
@@ -777,7 +934,7 @@ const DocumentDetailView = () => {
                                     size="small"
                                 />
                             }
-                            label="Edit"
+                            label={isLockedByWorkflow ? 'Locked' : 'Edit'}
                             sx={{ ml: 1 }}
                         />
 
@@ -841,6 +998,25 @@ const DocumentDetailView = () => {
                 </Alert>
             )}
 
+            {/* Part of a split upload */}
+            {invoiceDocument.parentDocumentId && (
+                <Alert severity="info" sx={{ mx: 2, mt: 1 }}>
+                    <Typography variant="body2">
+                        Split out of a multi-document upload
+                        {invoiceDocument.pageRange && ` (pages ${invoiceDocument.pageRange.start}–${invoiceDocument.pageRange.end})`}.{' '}
+                        <Link
+                            href="#"
+                            onClick={(e) => {
+                                e.preventDefault();
+                                navigate(`/documents/${invoiceDocument.parentDocumentId}`);
+                            }}
+                        >
+                            Open the upload
+                        </Link>
+                    </Typography>
+                </Alert>
+            )}
+
             {/* Main Content - Fixed Side-by-Side Layout */}
             <Box sx={{
                 flex: 1,
@@ -886,6 +1062,54 @@ const DocumentDetailView = () => {
                             </CardContent>
                         </Card>
 
+                        {/* Page Classification & Split */}
+                        {!invoiceDocument.parentDocumentId && (invoiceDocument.pageClassification || invoiceDocument.status === 'split') && (
+                            <DocumentSplitCard
+                                documentId={documentId}
+                                onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+                            />
+                        )}
+
+                        {/* Suspected Duplicates */}
+                        <DuplicateReview
+                            document={invoiceDocument}
+                            onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+                        />
+
+                        {/* Arithmetic Checks */}
+                        <ArithmeticValidationCard
+                            validation={invoiceDocument.validation}
+                            editMode={editMode}
+                            onApplySuggestion={handleFieldChange}
+                        />
+
+                        {/* Credit & Debit Notes */}
+                        <CreditNotesCard
+                            documentId={documentId}
+                            documentType={editedData.documentType || 'invoice'}
+                        />
+
+                        {/* Purchase Order Match */}
+                        <PurchaseOrderMatchCard
+                            documentId={documentId}
+                            onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+                        />
+
+                        {/* Approval Workflow */}
+                        <ApprovalWorkflowPanel
+                            documentId={documentId}
+                            hasUnsavedChanges={hasChanges}
+                            onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+                        />
+
+                        {/* Edit History */}
+                        <RevisionHistoryCard
+                            documentId={documentId}
+                            workflowStatus={invoiceDocument.workflowStatus}
+                            hasUnsavedChanges={hasChanges}
+                            onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+                        />
+
                         {/* Invoice Details */}
                         <Box sx={{ mb: 4 }}>
                             <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', fontWeight: 'bold', mb: 2 }}>
@@ -893,6 +1117,30 @@ const DocumentDetailView = () => {
                                 Invoice Details
                             </Typography>
 
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                                <Typography variant="body2" color="text.secondary">Document type</Typography>
+                                {editMode ? (
+                                    <TextField
+                                        select
+                                        size="small"
+                                        value={editedData.documentType || 'invoice'}
+                                        onChange={(e) => handleFieldChange('documentType', e.target.value)}
+                                        sx={{ minWidth: 200 }}
+                                    >
+                                        {Object.entries(DOCUMENT_TYPE_LABELS).map(([type, label]) => (
+                                            <MenuItem key={type} value={type}>{label}</MenuItem>
+                                        ))}
+                                    </TextField>
+                                ) : (
+                                    <Chip
+                                        size="small"
+                                        label={DOCUMENT_TYPE_LABELS[editedData.documentType] || DOCUMENT_TYPE_LABELS.invoice}
+                                        color={editedData.documentType === 'credit_note' ? 'secondary' : 'default'}
+                                        variant="outlined"
+                                    />
+                                )}
+                            </Box>
+
                             <EditableFieldWithConfidence
                                 label="Invoice Number"
                                 value={editedData.invoiceNumber}
@@ -916,6 +1164,20 @@ const DocumentDetailView = () => {
                                 type="date"
                                 icon={<Schedule fontSize="small" />}
                             />
+                            <DateAmbiguityAlert
+                                dateReview={editedData.dateReview}
+                                editMode={editMode}
+                                onResolve={resolveDateReading}
+                            />
+                            {['credit_note', 'debit_note'].includes(editedData.documentType) && (
+                                <EditableFieldWithConfidence
+                                    label="Referenced Invoice"
+                                    value={editedData.referencedInvoiceNumber}
+                                    fieldName="referencedInvoiceNumber"
+                                    path="referencedInvoiceNumber"
+                                    icon={<Description fontSize="small" />}
+                                />
+                            )}
                             <EditableFieldWithConfidence
                                 label="PO Number"
                                 value={editedData.orderInfo?.orderNumber}
@@ -932,6 +1194,11 @@ const DocumentDetailView = () => {
                                 Vendor Information
                             </Typography>
 
+                            <VendorMatchCard
+                                documentId={documentId}
+                                onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+                            />
+
                             <EditableFieldWithConfidence
                                 label="Vendor Name"
                                 value={editedData.vendor?.name}
@@ -1024,6 +1291,17 @@ const DocumentDetailView = () => {
                                     <Typography variant="h5" color="success.contrastText" align="center" sx={{ fontWeight: 'bold' }}>
                                         Total: {formatCurrency(editedData.amounts.total, editedData.amounts?.currency)}
                                     </Typography>
+                                    {formatBaseAmount(invoiceDocument.baseAmounts) && (
+                                        <Typography variant="body2" color="success.contrastText" align="center">
+                                            {formatBaseAmount(invoiceDocument.baseAmounts)} at {invoiceDocument.baseAmounts.rate} {invoiceDocument.baseAmounts.currency} per {invoiceDocument.baseAmounts.sourceCurrency}
+                                            {invoiceDocument.baseAmounts.rateDate ? ` (rate of ${invoiceDocument.baseAmounts.rateDate})` : ''}
+                                        </Typography>
+                                    )}
+                                    {invoiceDocument.baseAmounts && invoiceDocument.baseAmounts.rate === null && (
+                                        <Typography variant="body2" color="success.contrastText" align="center">
+                                            No {invoiceDocument.baseAmounts.sourceCurrency} to {invoiceDocument.baseAmounts.currency} exchange rate yet; import one to convert this invoice
+                                        </Typography>
+                                    )}
                                 </Box>
                             )}
                         </Box>
@@ -1117,7 +1395,7 @@ const DocumentDetailView = () => {
                             <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center' }}>
                                 <Visibility sx={{ mr: 1 }} />
                                 Original Document
-                                {editMode && (
+                                {editMode && !regionTarget && (
                                     <Chip
                                         label="Refer to PDF for corrections"
                                         color="info"
@@ -1125,6 +1403,26 @@ const DocumentDetailView = () => {
                                         sx={{ ml: 2 }}
                                     />
                                 )}
+                                {regionTarget && (
+                                    <Chip
+                                        label={regionOcrMutation.isPending
+                                            ? 'Reading selected region...'
+                                            : `Draw a box around ${regionTarget.label}`}
+                                        color="primary"
+                                        size="small"
+                                        onDelete={() => setRegionTarget(null)}
+                                        sx={{ ml: 2 }}
+                                    />
+                                )}
+                                {activeHighlight && !regionTarget && (
+                                    <Chip
+                                        label={`Showing ${activeHighlight.label || 'field'}`}
+                                        color="warning"
+                                        size="small"
+                                        onDelete={() => setActiveHighlight(null)}
+                                        sx={{ ml: 2 }}
+                                    />
+                                )}
                             </Typography>
                         </Box>
 
@@ -1138,7 +1436,28 @@ const DocumentDetailView = () => {
                                 <SimplePDFViewer
                                     documentUrl={pdfUrl}
                                     filename={invoiceDocument.originalName}
+                                    highlight={activeHighlight}
+                                    selectingRegion={Boolean(regionTarget) && !regionOcrMutation.isPending}
+                                    onRegionSelect={handleRegionSelect}
                                 />
+                            ) : invoiceDocument.originalName?.toLowerCase().endsWith('.xml') ? (
+                                // Structured e-invoices have no page image; show the XML they were read from
+                                <Box
+                                    component="pre"
+                                    sx={{
+                                        height: '100%',
+                                        m: 0,
+                                        p: 2,
+                                        overflow: 'auto',
+                                        fontSize: '0.75rem',
+                                        fontFamily: 'monospace',
+                                        whiteSpace: 'pre-wrap',
+                                        wordBreak: 'break-all',
+                                        bgcolor: 'white'
+                                    }}
+                                >
+                                    {invoiceDocument.extractedText || 'XML source not available'}
+                                </Box>
                             ) : (
                                 <Box
                                     sx={{
@@ -1151,22 +1470,31 @@ const DocumentDetailView = () => {
                                         overflow: 'auto'
                                     }}
                                 >
-                                    <img
-                                        src={pdfUrl || `http://localhost:5000/uploads/${invoiceDocument.filename}`}
-                                        alt="Document"
-                                        style={{
-                                            maxWidth: '100%',
-                                            maxHeight: '100%',
-                                            objectFit: 'contain',
-                                            border: '1px solid #ddd',
-                                            borderRadius: '4px',
-                                            backgroundColor: 'white'
-                                        }}
-                                        onError={(e) => {
-                                            e.target.style.display = 'none';
-                                            setError('Failed to load document image');
-                                        }}
-                                    />
+                                    <Box sx={{ position: 'relative', display: 'inline-block', maxWidth: '100%', maxHeight: '100%' }}>
+                                        <img
+                                            src={pdfUrl || `http://localhost:5000/uploads/${invoiceDocument.filename}`}
+                                            alt="Document"
+                                            style={{
+                                                display: 'block',
+                                                maxWidth: '100%',
+                                                maxHeight: '100%',
+                                                objectFit: 'contain',
+                                                border: '1px solid #ddd',
+                                                borderRadius: '4px',
+                                                backgroundColor: 'white'
+                                            }}
+                                            onError={(e) => {
+                                                e.target.style.display = 'none';
+                                                setError('Failed to load document image');
+                                            }}
+                                        />
+                                        <RegionOverlay
+                                            pageNumber={1}
+                                            highlight={activeHighlight}
+                                            selecting={Boolean(regionTarget) && !regionOcrMutation.isPending}
+                                            onRegionSelect={handleRegionSelect}
+                                        />
+                                    </Box>
                                 </Box>
                             )}
                         </Box>
@@ -2,7 +2,8 @@
 import React, { useState, useEffect } from 'react';
 import {
     safeGetVendorName,
-    safeFormatCurrency,
+    formatCurrencyWithSymbol,
+    formatBaseAmount,
     safeGetTotalAmount,
     safeGetCurrency
 } from '../utils/invoiceUtils';
@@ -30,7 +31,8 @@ import {
     Alert,
     Divider,
     LinearProgress,
-    CircularProgress
+    CircularProgress,
+    Tooltip
 } from '@mui/material';
 import { DataGrid } from '@mui/x-data-grid';
 import {
@@ -56,6 +58,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import DocumentUpload from './DocumentUpload';
+import { WORKFLOW_STATUS_LABELS, getWorkflowStatusColor } from './ApprovalWorkflowPanel';
 
 // Configure axios defaults with authentication
 const api = axios.create({
@@ -154,7 +157,7 @@ const DocumentList = () => {
         }
     });
 
-    // Debug query to check what's in memory
+    // Debug query to check what is stored for this user
     const { data: debugData } = useQuery({
         queryKey: ['debug-documents'],
         queryFn: async () => {
@@ -184,6 +187,8 @@ const DocumentList = () => {
         },
         onError: (error) => {
             console.error('❌ Failed to delete document:', error);
+            // Deletion is refused while the document or one split out of it is in a payment run
+            window.alert(error.response?.data?.error || 'Failed to delete document');
         }
     });
 
@@ -219,6 +224,7 @@ const DocumentList = () => {
         switch (status) {
             case 'completed': return 'success';
             case 'processing': return 'warning';
+            case 'split': return 'info';
             case 'failed': return 'error';
             default: return 'default';
         }
@@ -279,7 +285,7 @@ const DocumentList = () => {
 
     const formatCurrency = (amount, invoiceData) => {
         if (!amount && amount !== 0) return 'N/A';
-        return safeFormatCurrency(amount, invoiceData);
+        return formatCurrencyWithSymbol(amount, safeGetCurrency(invoiceData));
     };
 
     const columns = [
@@ -294,6 +300,12 @@ const DocumentList = () => {
                     <Typography variant="body2" sx={{ ml: 1 }} noWrap>
                         {params.value}
                     </Typography>
+                    {params.row.invoiceData?.documentType === 'credit_note' && (
+                        <Chip label="Credit note" size="small" color="secondary" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                    {params.row.invoiceData?.documentType === 'debit_note' && (
+                        <Chip label="Debit note" size="small" variant="outlined" sx={{ ml: 1 }} />
+                    )}
                 </Box>
             )
         },
@@ -313,26 +325,64 @@ const DocumentList = () => {
                 </Box>
             )
         },
+        {
+            field: 'workflowStatus',
+            headerName: 'Approval',
+            width: 230,
+            renderCell: (params) => (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    {params.value && (
+                        <Chip
+                            label={WORKFLOW_STATUS_LABELS[params.value] || params.value}
+                            color={getWorkflowStatusColor(params.value)}
+                            size="small"
+                            variant="outlined"
+                        />
+                    )}
+                    {params.row.openDuplicateCount > 0 && (
+                        <Tooltip title="Suspected duplicate invoice">
+                            <Chip label="Duplicate?" color="error" size="small" />
+                        </Tooltip>
+                    )}
+                </Box>
+            )
+        },
         {
             field: 'vendor',
             headerName: 'Vendor',
             width: 150,
             valueGetter: (value, row) => {
-                return safeGetVendorName(row.invoiceData);
+                return row.matchedVendor?.name || safeGetVendorName(row.invoiceData);
             }
         },
+        {
+            field: 'businessEntity',
+            headerName: 'Entity',
+            width: 110,
+            valueGetter: (value) => value?.code || ''
+        },
         {
             field: 'amount',
             headerName: 'Amount',
-            width: 120,
+            width: 140,
             valueGetter: (value, row) => {
                 return safeGetTotalAmount(row.invoiceData);
             },
-            renderCell: (params) => (
-                <Typography variant="body2" fontWeight="medium">
-                    {formatCurrency(params.value, params.row.invoiceData)}
-                </Typography>
-            )
+            renderCell: (params) => {
+                const baseAmount = formatBaseAmount(params.row.baseAmounts);
+                return (
+                    <Box>
+                        <Typography variant="body2" fontWeight="medium">
+                            {formatCurrency(params.value, params.row.invoiceData)}
+                        </Typography>
+                        {baseAmount && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                                {baseAmount}
+                            </Typography>
+                        )}
+                    </Box>
+                );
+            }
         },
         {
             field: 'confidence',
@@ -401,7 +451,7 @@ const DocumentList = () => {
                         <Typography variant="body2">
                             User ID: {debugInfo.user?.id}<br />
                             Email: {debugInfo.user?.email}<br />
-                            Total Documents in Memory: {debugInfo.totalDocuments}<br />
+                            Storage: {debugInfo.storage}<br />
                             User Documents: {debugInfo.userDocuments}<br />
                         </Typography>
 
@@ -426,7 +476,7 @@ const DocumentList = () => {
                     <Typography variant="subtitle2">Debug Status:</Typography>
                     <Typography variant="body2">
                         User: {debugInfo.user?.email} (ID: {debugInfo.user?.id})<br />
-                        Documents in memory: {debugInfo.totalDocuments}<br />
+                        Storage: {debugInfo.storage}<br />
                         Your documents: {debugInfo.userDocuments}<br />
                         Filtered documents showing: {filteredDocuments.length}
                     </Typography>
@@ -0,0 +1,216 @@
+// Page classification of an upload and the documents it was split into, with split points to adjust
+import React, { useEffect, useState } from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Button,
+    Checkbox,
+    FormControl,
+    Link,
+    List,
+    ListItem,
+    ListItemText,
+    MenuItem,
+    Select,
+    CircularProgress
+} from '@mui/material';
+import { ContentCut } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+const TYPE_LABELS = {
+    invoice: 'Invoice',
+    credit_note: 'Credit note',
+    statement: 'Statement',
+    remittance: 'Remittance',
+    purchase_order: 'Purchase order',
+    other: 'Other'
+};
+
+const getConfidenceColor = (confidence) => {
+    if (confidence >= 70) return 'success';
+    if (confidence >= 40) return 'warning';
+    return 'default';
+};
+
+// { [startPage]: type } from the segments the upload is split into now
+const boundariesOf = (segments) => Object.fromEntries(
+    (segments || []).map(segment => [segment.startPage, segment.type])
+);
+
+const DocumentSplitCard = ({ documentId, onNotify }) => {
+    const queryClient = useQueryClient();
+    const navigate = useNavigate();
+    const [boundaries, setBoundaries] = useState({});
+
+    const { data: split, isLoading } = useQuery({
+        queryKey: ['documentSplit', documentId],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${documentId}/split`);
+            return response.data;
+        },
+        enabled: !!documentId
+    });
+
+    useEffect(() => {
+        if (split) setBoundaries(boundariesOf(split.segments));
+    }, [split]);
+
+    const splitMutation = useMutation({
+        mutationFn: async () => {
+            const response = await api.put(`/api/documents/${documentId}/split`, {
+                boundaries: Object.entries(boundaries).map(([startPage, type]) => ({ startPage: Number(startPage), type }))
+            });
+            return response.data;
+        },
+        onSuccess: (result) => {
+            queryClient.invalidateQueries({ queryKey: ['documentSplit', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['document', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['documents'] });
+            onNotify?.(
+                result.children.length > 0
+                    ? `Split into ${result.children.length} document(s), queued for processing`
+                    : 'Split removed, upload queued for processing as one document',
+                'success'
+            );
+        },
+        onError: (error) => {
+            onNotify?.(`Split failed: ${error.response?.data?.error || error.message}`, 'error');
+        }
+    });
+
+    if (isLoading || !split || split.pages.length === 0) {
+        return null;
+    }
+
+    const saved = boundariesOf(split.segments);
+    const changed = JSON.stringify(boundaries) !== JSON.stringify(saved);
+
+    const toggleBoundary = (page) => {
+        const next = { ...boundaries };
+        if (next[page.page]) {
+            delete next[page.page];
+        } else {
+            next[page.page] = page.type;
+        }
+        setBoundaries(next);
+    };
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <ContentCut fontSize="small" />
+                        Pages &amp; Split
+                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        {split.manual && <Chip size="small" variant="outlined" label="Split by hand" />}
+                        {splitMutation.isPending && <CircularProgress size={20} />}
+                    </Box>
+                </Box>
+
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    Tick the pages a new document starts on. Invoice and credit note parts are processed as documents of their own.
+                </Typography>
+
+                <List dense>
+                    {split.pages.map(page => (
+                        <ListItem
+                            key={page.page}
+                            disableGutters
+                            secondaryAction={boundaries[page.page] && (
+                                <FormControl size="small" sx={{ minWidth: 150 }}>
+                                    <Select
+                                        value={boundaries[page.page]}
+                                        onChange={(e) => setBoundaries({ ...boundaries, [page.page]: e.target.value })}
+                                        disabled={splitMutation.isPending}
+                                    >
+                                        {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                                            <MenuItem key={type} value={type}>{label}</MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            )}
+                        >
+                            <Checkbox
+                                size="small"
+                                checked={!!boundaries[page.page]}
+                                onChange={() => toggleBoundary(page)}
+                                disabled={page.page === 1 || splitMutation.isPending}
+                            />
+                            <ListItemText
+                                primary={`Page ${page.page}${page.invoiceNumber ? ` · #${page.invoiceNumber}` : ''}`}
+                                secondary={
+                                    <Chip
+                                        component="span"
+                                        size="small"
+                                        variant="outlined"
+                                        label={page.continuation ? 'Continuation' : `${TYPE_LABELS[page.type] || page.type} ${page.confidence}%`}
+                                        color={page.continuation ? 'default' : getConfidenceColor(page.confidence)}
+                                    />
+                                }
+                            />
+                        </ListItem>
+                    ))}
+                </List>
+
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mb: split.children.length > 0 ? 2 : 0 }}>
+                    <Button size="small" onClick={() => setBoundaries(saved)} disabled={!changed || splitMutation.isPending}>
+                        Reset
+                    </Button>
+                    <Button
+                        size="small"
+                        variant="contained"
+                        startIcon={<ContentCut />}
+                        onClick={() => splitMutation.mutate()}
+                        disabled={!changed || splitMutation.isPending}
+                    >
+                        Apply Split
+                    </Button>
+                </Box>
+
+                {split.children.length > 0 && (
+                    <>
+                        <Typography variant="subtitle2">Documents split out of this upload</Typography>
+                        <List dense>
+                            {split.children.map(child => (
+                                <ListItem key={child.id} disableGutters>
+                                    <ListItemText
+                                        primary={
+                                            <Link component="button" variant="body2" onClick={() => navigate(`/documents/${child.id}`)}>
+                                                {TYPE_LABELS[child.documentClass] || child.documentClass}
+                                                {child.pageRange && `, pages ${child.pageRange.start}–${child.pageRange.end}`}
+                                                {child.invoiceNumber && ` · #${child.invoiceNumber}`}
+                                            </Link>
+                                        }
+                                        secondary={`${child.status}${child.workflowStatus ? ` · ${child.workflowStatus}` : ''}${child.total !== null ? ` · ${child.total}` : ''}`}
+                                    />
+                                </ListItem>
+                            ))}
+                        </List>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default DocumentSplitCard;
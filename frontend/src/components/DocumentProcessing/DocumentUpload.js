@@ -12,7 +12,11 @@ import {
     ListItemIcon,
     ListItemText,
     Chip,
-    IconButton
+    IconButton,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem
 } from '@mui/material';
 import {
     CloudUpload,
@@ -47,6 +51,15 @@ const DocumentUpload = ({ onUploadComplete }) => {
     const [uploadingFiles, setUploadingFiles] = useState([]);
     const [socket, setSocket] = useState(null);
     const [connectionError, setConnectionError] = useState(null);
+    const [businessEntities, setBusinessEntities] = useState([]);
+    const [businessEntityId, setBusinessEntityId] = useState('');
+
+    // Entities to upload for; left empty, the entity is detected from the invoice's bill-to party
+    React.useEffect(() => {
+        api.get('/api/business-entities', { params: { includeInactive: false } })
+            .then(response => setBusinessEntities(response.data.entities || []))
+            .catch(() => setBusinessEntities([]));
+    }, []);
 
     // Initialize socket connection
     React.useEffect(() => {
@@ -152,6 +165,9 @@ const DocumentUpload = ({ onUploadComplete }) => {
                 const formData = new FormData();
                 formData.append('document', file);
                 formData.append('socketId', socket.id);
+                if (businessEntityId) {
+                    formData.append('businessEntityId', businessEntityId);
+                }
 
                 console.log(`📤 Uploading ${file.name} with socket ID: ${socket.id}`);
 
@@ -213,7 +229,7 @@ const DocumentUpload = ({ onUploadComplete }) => {
                 ));
             }
         }
-    }, [socket]);
+    }, [socket, businessEntityId]);
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({
         onDrop,
@@ -221,7 +237,9 @@ const DocumentUpload = ({ onUploadComplete }) => {
             'application/pdf': ['.pdf'],
             'image/jpeg': ['.jpg', '.jpeg'],
             'image/png': ['.png'],
-            'image/tiff': ['.tif', '.tiff']
+            'image/tiff': ['.tif', '.tiff'],
+            'application/xml': ['.xml'],
+            'text/xml': ['.xml']
         },
         maxFiles: 10,
         maxSize: 10 * 1024 * 1024 // 10MB
@@ -241,6 +259,8 @@ const DocumentUpload = ({ onUploadComplete }) => {
             case 'png':
             case 'tiff':
                 return <Image color="primary" />;
+            case 'xml':
+                return <Description color="success" />;
             default:
                 return <Description />;
         }
@@ -279,6 +299,24 @@ const DocumentUpload = ({ onUploadComplete }) => {
                 </Alert>
             )}
 
+            {businessEntities.length > 0 && (
+                <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+                    <InputLabel>Business Entity</InputLabel>
+                    <Select
+                        value={businessEntityId}
+                        label="Business Entity"
+                        onChange={(e) => setBusinessEntityId(e.target.value)}
+                    >
+                        <MenuItem value="">Detect from invoice</MenuItem>
+                        {businessEntities.map(entity => (
+                            <MenuItem key={entity.id} value={entity.id}>
+                                {entity.code} - {entity.name}
+                            </MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+            )}
+
             {/* Upload Area */}
             <Paper
                 {...getRootProps()}
@@ -305,7 +343,7 @@ const DocumentUpload = ({ onUploadComplete }) => {
                 </Typography>
 
                 <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                    Supported formats: PDF, JPEG, PNG, TIFF (max 10MB each)
+                    Supported formats: PDF (incl. ZUGFeRD/Factur-X), JPEG, PNG, TIFF, UBL/CII XML e-invoices (max 10MB each)
                 </Typography>
 
                 <Button variant="contained" component="span" disabled={!socket || !socket.connected}>
@@ -0,0 +1,273 @@
+// Suspected duplicate invoices for a document: banner, side-by-side comparison and resolution
+import React, { useState } from 'react';
+import {
+    Box,
+    Alert,
+    Button,
+    Chip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Typography,
+    Tabs,
+    Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    TextField,
+    Paper
+} from '@mui/material';
+import { CompareArrows, CheckCircle, Cancel, ContentCopy } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+const REASON_LABELS = {
+    fileHash: 'Identical file',
+    invoiceNumber: 'Invoice number',
+    vendor: 'Vendor',
+    total: 'Total',
+    date: 'Invoice date'
+};
+
+const RESOLUTION_LABELS = {
+    open: 'Unresolved',
+    not_duplicate: 'Not a duplicate',
+    confirmed_duplicate: 'Confirmed duplicate'
+};
+
+// Rows of the field comparison; `reason` ties a row to the detector's match reasons
+const COMPARED_FIELDS = [
+    { label: 'Invoice #', get: data => data?.invoiceNumber, reason: 'invoiceNumber' },
+    { label: 'Vendor', get: data => data?.vendor?.name, reason: 'vendor' },
+    { label: 'Invoice Date', get: data => data?.date, reason: 'date' },
+    { label: 'Total', get: data => data?.amounts?.total, reason: 'total' },
+    { label: 'Currency', get: data => data?.amounts?.currency },
+    { label: 'Due Date', get: data => data?.dueDate },
+    { label: 'Line Items', get: data => (Array.isArray(data?.items) ? data.items.length : null) }
+];
+
+const DocumentPreview = ({ filename, originalName }) => {
+    const url = `http://localhost:5000/uploads/${filename}`;
+    const isPdf = originalName?.toLowerCase().endsWith('.pdf');
+
+    return (
+        <Paper variant="outlined" sx={{ height: 480, overflow: 'auto', bgcolor: 'grey.100' }}>
+            {isPdf ? (
+                <iframe
+                    src={url}
+                    title={originalName}
+                    style={{ width: '100%', height: '100%', border: 'none' }}
+                />
+            ) : (
+                <img src={url} alt={originalName} style={{ width: '100%', display: 'block' }} />
+            )}
+        </Paper>
+    );
+};
+
+const DuplicateReview = ({ document, onNotify }) => {
+    const queryClient = useQueryClient();
+    const [open, setOpen] = useState(false);
+    const [selected, setSelected] = useState(0);
+    const [comment, setComment] = useState('');
+
+    const { data } = useQuery({
+        queryKey: ['duplicates', document.id],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${document.id}/duplicates`);
+            return response.data;
+        },
+        enabled: !!document.id
+    });
+
+    const resolveMutation = useMutation({
+        mutationFn: async ({ flagId, resolution }) => {
+            const response = await api.post(`/api/documents/${document.id}/duplicates/${flagId}/resolve`, {
+                resolution,
+                comment: comment.trim() || undefined
+            });
+            return response.data;
+        },
+        onSuccess: (result, { resolution }) => {
+            queryClient.invalidateQueries({ queryKey: ['duplicates', document.id] });
+            queryClient.invalidateQueries({ queryKey: ['document', document.id] });
+            queryClient.invalidateQueries({ queryKey: ['workflow', document.id] });
+            queryClient.invalidateQueries({ queryKey: ['documents'] });
+            onNotify?.(`Marked as ${RESOLUTION_LABELS[resolution].toLowerCase()}`, 'success');
+            setComment('');
+            if (!result.duplicates.some(flag => flag.status === 'open')) {
+                setOpen(false);
+            }
+        },
+        onError: (error) => {
+            onNotify?.(`Failed to resolve duplicate: ${error.response?.data?.error || error.message}`, 'error');
+        }
+    });
+
+    const duplicates = data?.duplicates || [];
+    if (duplicates.length === 0) return null;
+
+    const openFlags = duplicates.filter(flag => flag.status === 'open');
+    const flag = duplicates[Math.min(selected, duplicates.length - 1)];
+    const other = flag.duplicateOf;
+
+    return (
+        <>
+            <Alert
+                severity={openFlags.length > 0 ? 'error' : 'info'}
+                icon={<ContentCopy />}
+                sx={{ mb: 3 }}
+                action={
+                    <Button color="inherit" size="small" startIcon={<CompareArrows />} onClick={() => setOpen(true)}>
+                        Compare
+                    </Button>
+                }
+            >
+                {openFlags.length > 0
+                    ? `Possible duplicate of ${openFlags.length} other invoice${openFlags.length > 1 ? 's' : ''}. Resolve before approving.`
+                    : `${duplicates.length} suspected duplicate${duplicates.length > 1 ? 's' : ''} resolved.`}
+            </Alert>
+
+            <Dialog open={open} onClose={() => setOpen(false)} maxWidth="xl" fullWidth>
+                <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <CompareArrows />
+                    Suspected Duplicates
+                </DialogTitle>
+                <DialogContent dividers>
+                    {duplicates.length > 1 && (
+                        <Tabs value={selected} onChange={(e, value) => setSelected(value)} sx={{ mb: 2 }} variant="scrollable">
+                            {duplicates.map(item => (
+                                <Tab
+                                    key={item.id}
+                                    label={`${item.duplicateOf?.originalName || 'Deleted document'} (${Math.round(item.score)}%)`}
+                                />
+                            ))}
+                        </Tabs>
+                    )}
+
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+                        <Chip
+                            label={flag.matchType === 'exact' ? 'Identical file' : `${Math.round(flag.score)}% match`}
+                            color={flag.matchType === 'exact' ? 'error' : 'warning'}
+                            size="small"
+                        />
+                        {flag.reasons.map(reason => (
+                            <Chip key={reason} label={REASON_LABELS[reason] || reason} size="small" variant="outlined" />
+                        ))}
+                        <Chip
+                            label={RESOLUTION_LABELS[flag.status]}
+                            color={flag.status === 'open' ? 'default' : flag.status === 'not_duplicate' ? 'success' : 'error'}
+                            size="small"
+                        />
+                        {flag.resolvedAt && (
+                            <Typography variant="caption" color="text.secondary">
+                                by {flag.resolvedByName || 'a reviewer'} on {new Date(flag.resolvedAt).toLocaleString()}
+                                {flag.resolutionComment && ` — ${flag.resolutionComment}`}
+                            </Typography>
+                        )}
+                    </Box>
+
+                    <Table size="small" sx={{ mb: 2 }}>
+                        <TableHead>
+                            <TableRow>
+                                <TableCell />
+                                <TableCell>This document ({document.originalName})</TableCell>
+                                <TableCell>
+                                    {other ? `${other.originalName} · uploaded ${new Date(other.createdAt).toLocaleDateString()}` : 'Deleted document'}
+                                </TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {COMPARED_FIELDS.map(field => {
+                                const matched = field.reason && flag.reasons.includes(field.reason);
+                                return (
+                                    <TableRow key={field.label} sx={{ bgcolor: matched ? 'rgba(255, 193, 7, 0.12)' : undefined }}>
+                                        <TableCell sx={{ fontWeight: 'bold' }}>
+                                            {field.label}
+                                            {matched && <Chip label="match" size="small" color="warning" sx={{ ml: 1 }} />}
+                                        </TableCell>
+                                        <TableCell>{field.get(document.invoiceData) ?? '—'}</TableCell>
+                                        <TableCell>{field.get(other?.invoiceData) ?? '—'}</TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                            <DocumentPreview filename={document.filename} originalName={document.originalName} />
+                        </Box>
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                            {other ? (
+                                <DocumentPreview filename={other.filename} originalName={other.originalName} />
+                            ) : (
+                                <Alert severity="info">The other document has been deleted.</Alert>
+                            )}
+                        </Box>
+                    </Box>
+
+                    {flag.status === 'open' && (
+                        <TextField
+                            fullWidth
+                            size="small"
+                            label="Comment (optional)"
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                            sx={{ mt: 2 }}
+                        />
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    {other && (
+                        <Button onClick={() => window.open(`/documents/${other.id}`, '_blank')}>
+                            Open Other Document
+                        </Button>
+                    )}
+                    <Box sx={{ flex: 1 }} />
+                    <Button onClick={() => setOpen(false)}>Close</Button>
+                    {flag.status === 'open' && (
+                        <>
+                            <Button
+                                variant="outlined"
+                                color="success"
+                                startIcon={<CheckCircle />}
+                                disabled={resolveMutation.isPending}
+                                onClick={() => resolveMutation.mutate({ flagId: flag.id, resolution: 'not_duplicate' })}
+                            >
+                                Not a Duplicate
+                            </Button>
+                            <Button
+                                variant="contained"
+                                color="error"
+                                startIcon={<Cancel />}
+                                disabled={resolveMutation.isPending}
+                                onClick={() => resolveMutation.mutate({ flagId: flag.id, resolution: 'confirmed_duplicate' })}
+                            >
+                                Confirm Duplicate
+                            </Button>
+                        </>
+                    )}
+                </DialogActions>
+            </Dialog>
+        </>
+    );
+};
+
+export default DuplicateReview;
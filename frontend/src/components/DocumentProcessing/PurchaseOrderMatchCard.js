@@ -0,0 +1,210 @@
+// Three-way match of the invoice against its purchase order and goods receipts, with the exceptions raised
+import React, { useState } from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Button,
+    Alert,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Collapse,
+    Tooltip
+} from '@mui/material';
+import { Inventory, Refresh, ExpandMore, ExpandLess } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+export const MATCH_EXCEPTION_LABELS = {
+    po_not_found: 'PO not found',
+    po_closed: 'PO closed',
+    over_billing: 'Over-billing',
+    unreceived_quantity: 'Unreceived quantity',
+    price_variance: 'Price variance',
+    amount_variance: 'Amount variance',
+    total_variance: 'Total variance',
+    unmatched_line: 'Line not on PO',
+    vendor_mismatch: 'Vendor mismatch',
+    currency_mismatch: 'Currency mismatch'
+};
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : Number(value).toLocaleString());
+
+const getLineStatusColor = (status) => {
+    switch (status) {
+        case 'matched': return 'success';
+        case 'exception': return 'error';
+        default: return 'warning';
+    }
+};
+
+const PurchaseOrderMatchCard = ({ documentId, onNotify }) => {
+    const queryClient = useQueryClient();
+    const [showLines, setShowLines] = useState(false);
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['poMatch', documentId],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${documentId}/po-match`);
+            return response.data;
+        },
+        enabled: !!documentId
+    });
+
+    const rematchMutation = useMutation({
+        mutationFn: async () => {
+            const response = await api.post(`/api/documents/${documentId}/po-match`);
+            return response.data;
+        },
+        onSuccess: (result) => {
+            queryClient.setQueryData(['poMatch', documentId], result);
+            onNotify?.(
+                result.match.exceptions.length > 0
+                    ? `${result.match.exceptions.length} match exception(s) remain`
+                    : 'Purchase order match re-run',
+                result.match.exceptions.length > 0 ? 'warning' : 'success'
+            );
+        },
+        onError: (error) => {
+            onNotify?.(`PO match failed: ${error.response?.data?.error || error.message}`, 'error');
+        }
+    });
+
+    const match = data?.match;
+    if (isLoading || !match || match.status === 'no_po') {
+        return null;
+    }
+
+    const purchaseOrder = data.purchaseOrder;
+    const errors = match.exceptions.filter(exception => exception.severity === 'error');
+    const warnings = match.exceptions.filter(exception => exception.severity !== 'error');
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Inventory fontSize="small" />
+                        PO Match {match.poNumber && `· ${match.poNumber}`}
+                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Chip
+                            size="small"
+                            label={match.status === 'matched' ? 'Matched' : `${match.exceptions.length} exception${match.exceptions.length > 1 ? 's' : ''}`}
+                            color={match.status === 'matched' ? 'success' : errors.length > 0 ? 'error' : 'warning'}
+                        />
+                        <Tooltip title="Re-run the match against the latest PO and goods receipts">
+                            <span>
+                                <Button
+                                    size="small"
+                                    startIcon={<Refresh />}
+                                    onClick={() => rematchMutation.mutate()}
+                                    disabled={rematchMutation.isPending}
+                                >
+                                    Re-match
+                                </Button>
+                            </span>
+                        </Tooltip>
+                    </Box>
+                </Box>
+
+                {purchaseOrder && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                        {purchaseOrder.vendorName || 'Unknown vendor'} · {purchaseOrder.lines.length} line{purchaseOrder.lines.length !== 1 ? 's' : ''} · {formatNumber(purchaseOrder.totalAmount)} {purchaseOrder.currency || ''}
+                        {purchaseOrder.status !== 'open' && ` · ${purchaseOrder.status}`}
+                    </Typography>
+                )}
+
+                {[...errors, ...warnings].map((exception, index) => (
+                    <Alert
+                        key={`${exception.type}-${index}`}
+                        severity={exception.severity === 'error' ? 'error' : 'warning'}
+                        sx={{ mb: 1 }}
+                    >
+                        <strong>{MATCH_EXCEPTION_LABELS[exception.type] || exception.type}:</strong> {exception.message}
+                    </Alert>
+                ))}
+
+                {match.lines.length > 0 && (
+                    <>
+                        <Button
+                            size="small"
+                            endIcon={showLines ? <ExpandLess /> : <ExpandMore />}
+                            onClick={() => setShowLines(!showLines)}
+                            sx={{ mt: 1 }}
+                        >
+                            Line Matching ({match.lines.filter(line => line.poLineId).length}/{match.lines.length})
+                        </Button>
+                        <Collapse in={showLines}>
+                            <Table size="small" sx={{ mt: 1 }}>
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Invoice Line</TableCell>
+                                        <TableCell>PO Line</TableCell>
+                                        <TableCell align="right">Billed</TableCell>
+                                        <TableCell align="right">Ordered</TableCell>
+                                        <TableCell align="right">Received</TableCell>
+                                        <TableCell align="right">Price</TableCell>
+                                        <TableCell align="right">PO Price</TableCell>
+                                        <TableCell>Status</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {match.lines.map(line => (
+                                        <TableRow key={line.invoiceLineIndex}>
+                                            <TableCell>{line.invoiceLineIndex + 1}. {line.description || '—'}</TableCell>
+                                            <TableCell>
+                                                {line.poLineId ? `${line.poLineNumber}. ${line.poDescription || ''}` : '—'}
+                                            </TableCell>
+                                            <TableCell align="right">
+                                                {formatNumber(line.quantity)}
+                                                {line.previouslyBilledQuantity > 0 && (
+                                                    <Typography variant="caption" color="text.secondary" display="block">
+                                                        +{formatNumber(line.previouslyBilledQuantity)} earlier
+                                                    </Typography>
+                                                )}
+                                            </TableCell>
+                                            <TableCell align="right">{formatNumber(line.orderedQuantity)}</TableCell>
+                                            <TableCell align="right">{formatNumber(line.receivedQuantity)}</TableCell>
+                                            <TableCell align="right">{formatNumber(line.unitPrice)}</TableCell>
+                                            <TableCell align="right">{formatNumber(line.poUnitPrice)}</TableCell>
+                                            <TableCell>
+                                                <Chip size="small" label={line.status} color={getLineStatusColor(line.status)} variant="outlined" />
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </Collapse>
+                    </>
+                )}
+
+                {errors.length > 0 && (
+                    <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                        Review these exceptions before approving. Matched with {match.tolerances?.pricePercent}% price and {match.tolerances?.quantityPercent}% quantity tolerance.
+                    </Typography>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default PurchaseOrderMatchCard;
@@ -20,6 +20,7 @@ import {
     Download,
     PictureAsPdf
 } from '@mui/icons-material';
+import RegionOverlay from './RegionOverlay';
 
 // Dynamic import to handle loading issues
 let Document, Page, pdfjs;
@@ -41,7 +42,7 @@ const loadPDFJS = async () => {
     }
 };
 
-const ReactPDFViewer = ({ documentUrl, filename }) => {
+const ReactPDFViewer = ({ documentUrl, filename, highlight, selectingRegion = false, onRegionSelect }) => {
     const [numPages, setNumPages] = useState(null);
     const [pageNumber, setPageNumber] = useState(1);
     const [scale, setScale] = useState(1.0);
@@ -61,6 +62,13 @@ const ReactPDFViewer = ({ documentUrl, filename }) => {
         initPDF();
     }, []);
 
+    // Jump to the page of the highlighted field
+    React.useEffect(() => {
+        if (highlight?.page) {
+            setPageNumber(highlight.page);
+        }
+    }, [highlight]);
+
     const onDocumentLoadSuccess = ({ numPages }) => {
         setNumPages(numPages);
         setLoading(false);
@@ -215,12 +223,20 @@ const ReactPDFViewer = ({ documentUrl, filename }) => {
                         loading=""
                         error=""
                     >
-                        <Page
-                            pageNumber={pageNumber}
-                            scale={scale}
-                            renderTextLayer={false}
-                            renderAnnotationLayer={false}
-                        />
+                        <Box sx={{ position: 'relative' }}>
+                            <Page
+                                pageNumber={pageNumber}
+                                scale={scale}
+                                renderTextLayer={false}
+                                renderAnnotationLayer={false}
+                            />
+                            <RegionOverlay
+                                pageNumber={pageNumber}
+                                highlight={highlight}
+                                selecting={selectingRegion}
+                                onRegionSelect={onRegionSelect}
+                            />
+                        </Box>
                     </Document>
                 )}
             </Box>
@@ -0,0 +1,125 @@
+// Overlay for a rendered document page: highlights a field's bounding box and lets the
+// reviewer draw a box to OCR. Boxes are normalized ({ x, y, width, height } in 0-1).
+import React, { useState, useRef } from 'react';
+import { Box, Typography } from '@mui/material';
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const toPercentStyle = (bbox) => ({
+    left: `${bbox.x * 100}%`,
+    top: `${bbox.y * 100}%`,
+    width: `${bbox.width * 100}%`,
+    height: `${bbox.height * 100}%`
+});
+
+const RegionOverlay = ({ pageNumber = 1, highlight, selecting = false, onRegionSelect }) => {
+    const overlayRef = useRef(null);
+    const [dragStart, setDragStart] = useState(null);
+    const [dragBox, setDragBox] = useState(null);
+
+    const getPoint = (event) => {
+        const rect = overlayRef.current.getBoundingClientRect();
+        return {
+            x: clamp((event.clientX - rect.left) / rect.width),
+            y: clamp((event.clientY - rect.top) / rect.height)
+        };
+    };
+
+    const boxFromPoints = (start, end) => ({
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y)
+    });
+
+    const handleMouseDown = (event) => {
+        if (!selecting) return;
+        event.preventDefault();
+        const point = getPoint(event);
+        setDragStart(point);
+        setDragBox({ ...point, width: 0, height: 0 });
+    };
+
+    const handleMouseMove = (event) => {
+        if (!selecting || !dragStart) return;
+        setDragBox(boxFromPoints(dragStart, getPoint(event)));
+    };
+
+    const handleMouseUp = (event) => {
+        if (!selecting || !dragStart) return;
+        const bbox = boxFromPoints(dragStart, getPoint(event));
+        setDragStart(null);
+        setDragBox(null);
+
+        // Ignore clicks and accidental tiny drags
+        if (bbox.width > 0.005 && bbox.height > 0.005 && onRegionSelect) {
+            onRegionSelect({ page: pageNumber, bbox });
+        }
+    };
+
+    const showHighlight = highlight?.bbox && (highlight.page || 1) === pageNumber;
+
+    return (
+        <Box
+            ref={overlayRef}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={() => { setDragStart(null); setDragBox(null); }}
+            sx={{
+                position: 'absolute',
+                inset: 0,
+                zIndex: 2,
+                cursor: selecting ? 'crosshair' : 'default',
+                pointerEvents: selecting ? 'auto' : 'none'
+            }}
+        >
+            {showHighlight && (
+                <Box
+                    sx={{
+                        position: 'absolute',
+                        ...toPercentStyle(highlight.bbox),
+                        border: '2px solid',
+                        borderColor: 'warning.main',
+                        bgcolor: 'rgba(255, 193, 7, 0.25)',
+                        borderRadius: 0.5,
+                        boxSizing: 'border-box'
+                    }}
+                >
+                    {highlight.label && (
+                        <Typography
+                            variant="caption"
+                            sx={{
+                                position: 'absolute',
+                                bottom: '100%',
+                                left: 0,
+                                px: 0.5,
+                                bgcolor: 'warning.main',
+                                color: 'warning.contrastText',
+                                whiteSpace: 'nowrap',
+                                borderRadius: 0.5
+                            }}
+                        >
+                            {highlight.label}
+                        </Typography>
+                    )}
+                </Box>
+            )}
+
+            {dragBox && (
+                <Box
+                    sx={{
+                        position: 'absolute',
+                        ...toPercentStyle(dragBox),
+                        border: '2px dashed',
+                        borderColor: 'primary.main',
+                        bgcolor: 'rgba(25, 118, 210, 0.15)',
+                        boxSizing: 'border-box'
+                    }}
+                />
+            )}
+        </Box>
+    );
+};
+
+export default RegionOverlay;
@@ -0,0 +1,201 @@
+// Every version of the invoice data, from the machine extraction (version 0) on, with per-field
+// diffs and revert to any earlier version
+import React, { useState } from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Button,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Collapse,
+    IconButton,
+    Tooltip
+} from '@mui/material';
+import { History, ExpandMore, ExpandLess, Restore } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+const FROZEN_STATUSES = ['approved', 'rejected', 'ready_for_payment'];
+
+const SOURCE_LABELS = {
+    extraction: { label: 'Extracted', color: 'info' },
+    edit: { label: 'Edited', color: 'primary' },
+    revert: { label: 'Reverted', color: 'warning' }
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const editorName = (editedBy) => {
+    if (!editedBy) return 'System';
+    return [editedBy.firstName, editedBy.lastName].filter(Boolean).join(' ') || editedBy.email;
+};
+
+const RevisionHistoryCard = ({ documentId, workflowStatus, hasUnsavedChanges, onNotify }) => {
+    const queryClient = useQueryClient();
+    const [expanded, setExpanded] = useState(false);
+    const [openVersion, setOpenVersion] = useState(null);
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['documentHistory', documentId],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${documentId}/history`);
+            return response.data;
+        },
+        enabled: !!documentId
+    });
+
+    const revertMutation = useMutation({
+        mutationFn: async (version) => {
+            const response = await api.post(`/api/documents/${documentId}/revisions/${version}/revert`);
+            return response.data;
+        },
+        onSuccess: (result) => {
+            queryClient.invalidateQueries({ queryKey: ['document', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['documents'] });
+            queryClient.invalidateQueries({ queryKey: ['documentHistory', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['vendorMatch', documentId] });
+            queryClient.invalidateQueries({ queryKey: ['poMatch', documentId] });
+            onNotify?.(result.message, 'success');
+        },
+        onError: (error) => {
+            onNotify?.(error.response?.data?.error || 'Failed to revert document', 'error');
+        }
+    });
+
+    const revisions = data?.revisions || [];
+    if (isLoading || revisions.length === 0) {
+        return null;
+    }
+
+    const isFrozen = FROZEN_STATUSES.includes(workflowStatus);
+    const revertDisabledReason = hasUnsavedChanges
+        ? 'Save or discard your changes first'
+        : isFrozen ? 'Send the document back for correction to change it' : null;
+
+    const handleRevert = (version) => {
+        if (window.confirm(`Restore the invoice data of version ${version}? This is saved as a new version.`)) {
+            revertMutation.mutate(version);
+        }
+    };
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', fontWeight: 'bold' }}>
+                        <History sx={{ mr: 1 }} />
+                        Edit History
+                        <Chip label={`v${data.currentVersion}`} size="small" sx={{ ml: 1 }} />
+                    </Typography>
+                    <Button
+                        size="small"
+                        endIcon={expanded ? <ExpandLess /> : <ExpandMore />}
+                        onClick={() => setExpanded(!expanded)}
+                    >
+                        {expanded ? 'Hide' : `${revisions.length} version${revisions.length === 1 ? '' : 's'}`}
+                    </Button>
+                </Box>
+
+                <Collapse in={expanded}>
+                    <Box sx={{ mt: 2 }}>
+                        {[...revisions].reverse().map((revision) => {
+                            const source = SOURCE_LABELS[revision.source] || { label: revision.source, color: 'default' };
+                            const isCurrent = revision.version === data.currentVersion;
+                            const isOpen = openVersion === revision.version;
+
+                            return (
+                                <Box
+                                    key={revision.version}
+                                    sx={{ borderLeft: 3, borderColor: isCurrent ? 'primary.main' : 'divider', pl: 2, pb: 2 }}
+                                >
+                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                                        <Typography variant="subtitle2">Version {revision.version}</Typography>
+                                        <Chip label={source.label} color={source.color} size="small" variant="outlined" />
+                                        {isCurrent && <Chip label="Current" color="primary" size="small" />}
+                                        <Box sx={{ flexGrow: 1 }} />
+                                        {revision.changedFields.length > 0 && (
+                                            <Button
+                                                size="small"
+                                                endIcon={isOpen ? <ExpandLess /> : <ExpandMore />}
+                                                onClick={() => setOpenVersion(isOpen ? null : revision.version)}
+                                            >
+                                                {revision.changedFields.length} field{revision.changedFields.length === 1 ? '' : 's'}
+                                            </Button>
+                                        )}
+                                        {!isCurrent && (
+                                            <Tooltip title={revertDisabledReason || `Restore version ${revision.version}`}>
+                                                <span>
+                                                    <IconButton
+                                                        size="small"
+                                                        disabled={!!revertDisabledReason || revertMutation.isPending}
+                                                        onClick={() => handleRevert(revision.version)}
+                                                    >
+                                                        <Restore fontSize="small" />
+                                                    </IconButton>
+                                                </span>
+                                            </Tooltip>
+                                        )}
+                                    </Box>
+                                    <Typography variant="caption" color="text.secondary">
+                                        {editorName(revision.editedBy)} · {new Date(revision.createdAt).toLocaleString()}
+                                        {revision.revertedToVersion !== null && ` · restored version ${revision.revertedToVersion}`}
+                                    </Typography>
+
+                                    <Collapse in={isOpen}>
+                                        <Table size="small" sx={{ mt: 1 }}>
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell>Field</TableCell>
+                                                    <TableCell>Before</TableCell>
+                                                    <TableCell>After</TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {Object.entries(revision.changes).map(([field, change]) => (
+                                                    <TableRow key={field}>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>{field}</TableCell>
+                                                        <TableCell sx={{ color: 'error.main', wordBreak: 'break-word' }}>
+                                                            {formatValue(change.from)}
+                                                        </TableCell>
+                                                        <TableCell sx={{ color: 'success.main', wordBreak: 'break-word' }}>
+                                                            {formatValue(change.to)}
+                                                        </TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </Collapse>
+                                </Box>
+                            );
+                        })}
+                    </Box>
+                </Collapse>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default RevisionHistoryCard;
@@ -25,8 +25,9 @@ import {
     FullscreenExit,
     FitScreen
 } from '@mui/icons-material';
+import ReactPDFViewer from './ReactPDFViewer';
 
-const SimplePDFViewer = ({ documentUrl, filename }) => {
+const SimplePDFViewer = ({ documentUrl, filename, highlight, selectingRegion = false, onRegionSelect }) => {
     const [viewStrategy, setViewStrategy] = useState('object');
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -104,7 +105,22 @@ const SimplePDFViewer = ({ documentUrl, filename }) => {
         );
     };
 
+    // The browser's built-in viewer can't be drawn on, so highlights and region selection use the canvas viewer
+    const needsOverlay = Boolean(highlight) || selectingRegion;
+
     const renderPDFViewer = () => {
+        if (needsOverlay) {
+            return (
+                <ReactPDFViewer
+                    documentUrl={documentUrl}
+                    filename={filename}
+                    highlight={highlight}
+                    selectingRegion={selectingRegion}
+                    onRegionSelect={onRegionSelect}
+                />
+            );
+        }
+
         if (loading) {
             return (
                 <Box
@@ -332,7 +348,7 @@ const SimplePDFViewer = ({ documentUrl, filename }) => {
                     </Box>
 
                     {/* Zoom Controls */}
-                    {viewStrategy !== 'fallback' && (
+                    {viewStrategy !== 'fallback' && !needsOverlay && (
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mx: 2 }}>
                             <IconButton size="small" onClick={handleZoomOut} disabled={zoom <= 50}>
                                 <ZoomOut />
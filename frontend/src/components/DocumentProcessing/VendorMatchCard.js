@@ -0,0 +1,200 @@
+// Vendor record the invoice is matched to, with candidates to link and one-click vendor creation
+import React, { useState } from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Button,
+    List,
+    ListItem,
+    ListItemText,
+    Autocomplete,
+    TextField,
+    CircularProgress
+} from '@mui/material';
+import { Store, AddBusiness, LinkOff, Link as LinkIcon } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+
+const api = axios.create({
+    baseURL: 'http://localhost:5000',
+    timeout: 30000,
+});
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+const METHOD_LABELS = {
+    taxId: 'Tax ID',
+    bankAccount: 'Bank account',
+    emailDomain: 'Email domain',
+    name: 'Name',
+    manual: 'Linked manually'
+};
+
+const getMatchColor = (confidence) => {
+    if (confidence >= 90) return 'success';
+    if (confidence >= 70) return 'warning';
+    return 'error';
+};
+
+const VendorMatchCard = ({ documentId, onNotify }) => {
+    const queryClient = useQueryClient();
+    const [picking, setPicking] = useState(false);
+
+    const { data: match, isLoading } = useQuery({
+        queryKey: ['vendorMatch', documentId],
+        queryFn: async () => {
+            const response = await api.get(`/api/documents/${documentId}/vendor-match`);
+            return response.data;
+        },
+        enabled: !!documentId
+    });
+
+    const { data: vendorsData } = useQuery({
+        queryKey: ['vendors', '', false],
+        queryFn: async () => {
+            const response = await api.get('/api/vendors');
+            return response.data;
+        },
+        enabled: picking
+    });
+
+    const onLinked = (message) => {
+        queryClient.invalidateQueries({ queryKey: ['vendorMatch', documentId] });
+        queryClient.invalidateQueries({ queryKey: ['document', documentId] });
+        queryClient.invalidateQueries({ queryKey: ['documents'] });
+        queryClient.invalidateQueries({ queryKey: ['vendors'] });
+        setPicking(false);
+        onNotify?.(message, 'success');
+    };
+
+    const onFailed = (error) => {
+        onNotify?.(`Vendor update failed: ${error.response?.data?.error || error.message}`, 'error');
+    };
+
+    const linkMutation = useMutation({
+        mutationFn: async (vendorId) => {
+            const response = await api.put(`/api/documents/${documentId}/vendor`, { vendorId });
+            return response.data;
+        },
+        onSuccess: (result) => onLinked(result.matchedVendor ? `Linked to ${result.matchedVendor.name}` : 'Vendor unlinked'),
+        onError: onFailed
+    });
+
+    const createMutation = useMutation({
+        mutationFn: async () => {
+            const response = await api.post(`/api/documents/${documentId}/vendor`, {});
+            return response.data;
+        },
+        onSuccess: (result) => onLinked(`Vendor "${result.vendor.name}" created and linked`),
+        onError: onFailed
+    });
+
+    if (isLoading || !match) {
+        return null;
+    }
+
+    const busy = linkMutation.isPending || createMutation.isPending;
+    const candidates = (match.candidates || []).filter(candidate => candidate.vendor.id !== match.matchedVendor?.id);
+
+    return (
+        <Card variant="outlined" sx={{ mb: 3 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Store fontSize="small" />
+                        Vendor Record
+                    </Typography>
+                    {busy && <CircularProgress size={20} />}
+                </Box>
+
+                {match.matchedVendor ? (
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                        <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                            {match.matchedVendor.name}
+                        </Typography>
+                        {match.confidence !== null && (
+                            <Chip
+                                size="small"
+                                label={`${Math.round(match.confidence)}%`}
+                                color={getMatchColor(match.confidence)}
+                            />
+                        )}
+                        {match.method && (
+                            <Chip size="small" variant="outlined" label={METHOD_LABELS[match.method] || match.method} />
+                        )}
+                        <Box sx={{ flex: 1 }} />
+                        <Button size="small" onClick={() => setPicking(!picking)} disabled={busy}>
+                            Change
+                        </Button>
+                        <Button size="small" color="inherit" startIcon={<LinkOff />} onClick={() => linkMutation.mutate(null)} disabled={busy}>
+                            Unlink
+                        </Button>
+                    </Box>
+                ) : (
+                    <Box>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                            No vendor record matches “{match.suggestedVendor?.name || 'this vendor'}”.
+                        </Typography>
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                            <Button
+                                size="small"
+                                variant="contained"
+                                startIcon={<AddBusiness />}
+                                onClick={() => createMutation.mutate()}
+                                disabled={busy || !match.suggestedVendor?.name}
+                            >
+                                Create Vendor
+                            </Button>
+                            <Button size="small" startIcon={<LinkIcon />} onClick={() => setPicking(!picking)} disabled={busy}>
+                                Link Existing
+                            </Button>
+                        </Box>
+                    </Box>
+                )}
+
+                {candidates.length > 0 && (
+                    <List dense sx={{ mt: 1 }}>
+                        {candidates.map(candidate => (
+                            <ListItem
+                                key={candidate.vendor.id}
+                                secondaryAction={
+                                    <Button size="small" onClick={() => linkMutation.mutate(candidate.vendor.id)} disabled={busy}>
+                                        Link
+                                    </Button>
+                                }
+                            >
+                                <ListItemText
+                                    primary={candidate.vendor.name}
+                                    secondary={`${Math.round(candidate.confidence)}% · ${candidate.reasons.map(reason => METHOD_LABELS[reason] || reason).join(', ')}`}
+                                />
+                            </ListItem>
+                        ))}
+                    </List>
+                )}
+
+                {picking && (
+                    <Autocomplete
+                        sx={{ mt: 2 }}
+                        size="small"
+                        options={vendorsData?.vendors || []}
+                        loading={!vendorsData}
+                        getOptionLabel={(vendor) => vendor.name}
+                        onChange={(e, vendor) => vendor && linkMutation.mutate(vendor.id)}
+                        renderInput={(params) => <TextField {...params} label="Link to vendor" autoFocus />}
+                    />
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default VendorMatchCard;
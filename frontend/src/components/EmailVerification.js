@@ -37,7 +37,7 @@ const EmailVerification = () => {
 
     const verifyEmail = async () => {
       try {
-        const response = await axios.post('/verify-email', { token });
+        const response = await axios.post('/api/verify-email', { token });
         setStatus('success');
         setMessage(response.data.message);
         
@@ -0,0 +1,490 @@
+// frontend/src/components/PaymentRuns/PaymentRunPage.js
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  Tooltip,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Payments, Download, Settings, CheckCircle, Cancel, Warning } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const STATUS_COLORS = {
+  scheduled: 'info',
+  paid: 'success',
+  cancelled: 'default'
+};
+
+const NACHA_FIELDS = [
+  { key: 'immediateDestination', label: 'Immediate destination (bank routing number)' },
+  { key: 'immediateDestinationName', label: 'Immediate destination name' },
+  { key: 'immediateOrigin', label: 'Immediate origin' },
+  { key: 'immediateOriginName', label: 'Immediate origin name' },
+  { key: 'companyName', label: 'Company name (16 characters)' },
+  { key: 'companyIdentification', label: 'Company identification' },
+  { key: 'originatingDfi', label: 'Originating DFI (first 8 digits of routing number)' },
+  { key: 'entryDescription', label: 'Entry description (10 characters)' }
+];
+
+const SEPA_FIELDS = [
+  { key: 'debtorName', label: 'Debtor name' },
+  { key: 'debtorIban', label: 'Debtor IBAN' },
+  { key: 'debtorBic', label: 'Debtor BIC (optional)' },
+  { key: 'initiatingPartyName', label: 'Initiating party name' }
+];
+
+const formatAmount = (value, currency) => (
+  value === null || value === undefined ? '' : `${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency || ''}`.trim()
+);
+
+const downloadBatch = async (batch) => {
+  const response = await axios.get(`/api/payment-runs/${batch.id}/download`, { responseType: 'blob' });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = batch.fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const PaymentRunPage = () => {
+  const [method, setMethod] = useState('nacha');
+  const [dueBefore, setDueBefore] = useState(today());
+  const [executionDate, setExecutionDate] = useState(today());
+  const [result, setResult] = useState(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settingsForm, setSettingsForm] = useState(null);
+
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canManage = hasPermission('payment.manage');
+
+  const { data: methodsData } = useQuery({
+    queryKey: ['paymentMethods'],
+    queryFn: async () => {
+      const response = await axios.get('/api/payment-runs/methods');
+      return response.data;
+    }
+  });
+
+  const {
+    data: plan,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['payableInvoices', method, dueBefore],
+    queryFn: async () => {
+      const response = await axios.get('/api/payment-runs/payable', { params: { method, dueBefore } });
+      return response.data;
+    },
+    enabled: Boolean(dueBefore)
+  });
+
+  const { data: batchesData } = useQuery({
+    queryKey: ['paymentRuns'],
+    queryFn: async () => {
+      const response = await axios.get('/api/payment-runs');
+      return response.data;
+    }
+  });
+
+  const methods = methodsData?.methods || [];
+  const payments = plan?.payments || [];
+  const excluded = plan?.excluded || [];
+  const documentIds = payments.flatMap(payment => payment.invoices.map(invoice => invoice.documentId));
+  const totalAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  const refreshPayments = () => {
+    queryClient.invalidateQueries({ queryKey: ['payableInvoices'] });
+    queryClient.invalidateQueries({ queryKey: ['paymentRuns'] });
+    queryClient.invalidateQueries({ queryKey: ['documents'] });
+  };
+
+  // Pay exactly the invoices on screen, not whatever became due since the preview loaded
+  const createMutation = useMutation({
+    mutationFn: async () => {
+      const response = await axios.post('/api/payment-runs', { method, dueBefore, executionDate, documentIds });
+      await downloadBatch(response.data);
+      return response.data;
+    },
+    onSuccess: (batch) => {
+      refreshPayments();
+      setResult({
+        severity: 'success',
+        message: `Scheduled ${batch.paymentCount} payment(s) for ${batch.documentCount} invoice(s) in ${batch.fileName}. Send the file to your bank, then mark the run paid.`
+      });
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      const details = [
+        ...(data?.excluded || []).map(item => `${item.invoiceNumber || item.documentId}: ${item.problems.join(', ')}`),
+        ...(data?.errors || [])
+      ];
+      refreshPayments();
+      setResult({ severity: 'error', message: [data?.error || 'Payment run failed', ...details].join(' · ') });
+    }
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: ({ batchId, action }) => axios.post(`/api/payment-runs/${batchId}/${action}`),
+    onSuccess: (response, { action }) => {
+      refreshPayments();
+      setResult({
+        severity: 'info',
+        message: action === 'mark-paid'
+          ? 'Payment run marked paid.'
+          : 'Payment run cancelled; its invoices can be paid in another run.'
+      });
+    },
+    onError: (error) => {
+      setResult({ severity: 'error', message: error.response?.data?.error || 'Failed to update payment run' });
+    }
+  });
+
+  const saveSettingsMutation = useMutation({
+    mutationFn: (values) => axios.put('/api/payment-runs/settings', values),
+    onSuccess: () => setSettingsOpen(false)
+  });
+
+  const handleOpenSettings = async () => {
+    saveSettingsMutation.reset();
+    const response = await axios.get('/api/payment-runs/settings');
+    setSettingsForm(response.data);
+    setSettingsOpen(true);
+  };
+
+  const handleSettingChange = (section, key, value) => {
+    setSettingsForm({ ...settingsForm, [section]: { ...settingsForm[section], [key]: value } });
+  };
+
+  const handleStatus = (batch, action) => {
+    const message = action === 'mark-paid'
+      ? `Mark ${batch.fileName} as paid? Its ${batch.documentCount} invoice(s) will be recorded as paid.`
+      : `Cancel ${batch.fileName}? Only do this if the file was not sent or the bank rejected it.`;
+    if (window.confirm(message)) {
+      statusMutation.mutate({ batchId: batch.id, action });
+    }
+  };
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load payable invoices: {error.response?.data?.error || error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  const methodLabel = (id) => methods.find(item => item.id === id)?.label || id;
+  const currency = methods.find(item => item.id === method)?.currency;
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Payments fontSize="large" />
+          Payment Runs
+        </Typography>
+        {canManage && (
+          <Button variant="outlined" startIcon={<Settings />} onClick={handleOpenSettings}>
+            Bank Settings
+          </Button>
+        )}
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Approved invoices that are due are paid once per vendor and bank account. Bank details come from the
+        vendor record, or from the invoice when the vendor has none.
+      </Typography>
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 2 }} onClose={() => setResult(null)}>
+          {result.message}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          select
+          size="small"
+          label="Payment file"
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          sx={{ minWidth: 300 }}
+        >
+          {methods.map(item => (
+            <MenuItem key={item.id} value={item.id}>{item.label} ({item.currency})</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          size="small"
+          type="date"
+          label="Due on or before"
+          value={dueBefore}
+          onChange={(e) => setDueBefore(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="Pay on"
+          value={executionDate}
+          onChange={(e) => setExecutionDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Box sx={{ flex: 1 }} />
+        {canManage && (
+          <Button
+            variant="contained"
+            startIcon={<Download />}
+            onClick={() => createMutation.mutate()}
+            disabled={documentIds.length === 0 || !executionDate || createMutation.isPending}
+          >
+            {createMutation.isPending
+              ? 'Creating...'
+              : `Pay ${formatAmount(totalAmount, currency)}`}
+          </Button>
+        )}
+      </Box>
+
+      <Paper sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Payee</TableCell>
+              <TableCell>Account</TableCell>
+              <TableCell>Invoices</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {!isLoading && payments.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5}>
+                  <Typography variant="body2" color="text.secondary">No invoices ready to pay.</Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {payments.map(payment => (
+              <TableRow key={payment.key}>
+                <TableCell>{payment.payeeName}</TableCell>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{payment.accountMasked}</TableCell>
+                <TableCell>
+                  {payment.invoices.map(invoice => (
+                    <Chip
+                      key={invoice.documentId}
+                      size="small"
+                      label={invoice.invoiceNumber || invoice.documentId.slice(0, 8)}
+                      title={invoice.dueDate ? `Due ${invoice.dueDate}` : 'No due date'}
+                      sx={{ mr: 0.5, mb: 0.5 }}
+                    />
+                  ))}
+                </TableCell>
+                <TableCell align="right">{formatAmount(payment.amount, currency)}</TableCell>
+                <TableCell>
+                  {payment.warnings.length > 0 && (
+                    <Tooltip title={payment.warnings.join('; ')}>
+                      <Warning color="warning" fontSize="small" />
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {excluded.length > 0 && (
+        <>
+          <Typography variant="h6" gutterBottom>
+            Not Payable by {methodLabel(method)}
+          </Typography>
+          <Paper sx={{ mb: 4 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Invoice #</TableCell>
+                  <TableCell>Vendor</TableCell>
+                  <TableCell>Due</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Problems</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {excluded.map(item => (
+                  <TableRow key={item.documentId}>
+                    <TableCell>{item.invoiceNumber || '—'}</TableCell>
+                    <TableCell>{item.payeeName || '—'}</TableCell>
+                    <TableCell>{item.dueDate || '—'}</TableCell>
+                    <TableCell align="right">{formatAmount(item.amount, item.currency)}</TableCell>
+                    <TableCell>{item.problems.join('; ')}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        </>
+      )}
+
+      <Typography variant="h6" gutterBottom>
+        Payment Run History
+      </Typography>
+      <Paper>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Created</TableCell>
+              <TableCell>File</TableCell>
+              <TableCell>Pay on</TableCell>
+              <TableCell align="right">Payments</TableCell>
+              <TableCell align="right">Invoices</TableCell>
+              <TableCell align="right">Total</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(batchesData?.batches || []).length === 0 && (
+              <TableRow>
+                <TableCell colSpan={8}>
+                  <Typography variant="body2" color="text.secondary">No payment runs yet.</Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {(batchesData?.batches || []).map(batch => (
+              <TableRow key={batch.id}>
+                <TableCell>{new Date(batch.createdAt).toLocaleString()}</TableCell>
+                <TableCell title={batch.fileName}>{methodLabel(batch.method)}</TableCell>
+                <TableCell>{batch.executionDate}</TableCell>
+                <TableCell align="right">{batch.paymentCount}</TableCell>
+                <TableCell align="right">{batch.documentCount}</TableCell>
+                <TableCell align="right">{formatAmount(batch.totalAmount, batch.currency)}</TableCell>
+                <TableCell>
+                  <Chip size="small" color={STATUS_COLORS[batch.status] || 'default'} label={batch.status} />
+                </TableCell>
+                <TableCell align="right">
+                  {canManage && (
+                    <Tooltip title="Download file">
+                      <IconButton size="small" onClick={() => downloadBatch(batch)}>
+                        <Download fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  {canManage && batch.status === 'scheduled' && (
+                    <>
+                      <Tooltip title="Mark paid">
+                        <IconButton size="small" color="success" onClick={() => handleStatus(batch, 'mark-paid')}>
+                          <CheckCircle fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Cancel run">
+                        <IconButton size="small" color="error" onClick={() => handleStatus(batch, 'cancel')}>
+                          <Cancel fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {/* Bank Settings Dialog */}
+      <Dialog open={settingsOpen} onClose={() => setSettingsOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Bank Settings</DialogTitle>
+        <DialogContent>
+          {saveSettingsMutation.isError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {saveSettingsMutation.error.response?.data?.error || 'Failed to save settings'}
+            </Alert>
+          )}
+          {settingsForm && (
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <Typography variant="subtitle2">NACHA ACH</Typography>
+              </Grid>
+              {NACHA_FIELDS.map(field => (
+                <Grid item xs={12} sm={6} key={field.key}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={field.label}
+                    value={settingsForm.nacha[field.key] || ''}
+                    onChange={(e) => handleSettingChange('nacha', field.key, e.target.value)}
+                  />
+                </Grid>
+              ))}
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="SEC code"
+                  value={settingsForm.nacha.secCode}
+                  onChange={(e) => handleSettingChange('nacha', 'secCode', e.target.value)}
+                >
+                  {['CCD', 'PPD', 'CTX'].map(code => (
+                    <MenuItem key={code} value={code}>{code}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12}>
+                <Typography variant="subtitle2">SEPA Credit Transfer</Typography>
+              </Grid>
+              {SEPA_FIELDS.map(field => (
+                <Grid item xs={12} sm={6} key={field.key}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={field.label}
+                    value={settingsForm.sepa[field.key] || ''}
+                    onChange={(e) => handleSettingChange('sepa', field.key, e.target.value)}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSettingsOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => saveSettingsMutation.mutate(settingsForm)}
+            disabled={saveSettingsMutation.isPending}
+          >
+            {saveSettingsMutation.isPending ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default PaymentRunPage;
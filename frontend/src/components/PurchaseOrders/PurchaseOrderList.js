@@ -0,0 +1,432 @@
+// frontend/src/components/PurchaseOrders/PurchaseOrderList.js
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  Tooltip,
+  InputAdornment,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Delete, Search, Inventory, UploadFile, LocalShipping, Tune, Visibility } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const STATUS_COLORS = {
+  open: 'success',
+  closed: 'default',
+  cancelled: 'error'
+};
+
+const TOLERANCE_FIELDS = [
+  { key: 'quantityPercent', label: 'Quantity tolerance (%)', helperText: 'Billed quantity may exceed ordered / received by this much' },
+  { key: 'pricePercent', label: 'Unit price tolerance (%)', helperText: 'Invoice unit price may differ from the PO price by this much' },
+  { key: 'amountAbsolute', label: 'Line amount tolerance', helperText: 'Rounding allowed on line amounts, in currency units' },
+  { key: 'totalPercent', label: 'Subtotal tolerance (%)', helperText: 'Invoice subtotal may differ from the matched PO lines by this much' }
+];
+
+const PurchaseOrderDetail = ({ purchaseOrderId }) => {
+  const { data: purchaseOrder, isLoading } = useQuery({
+    queryKey: ['purchaseOrder', purchaseOrderId],
+    queryFn: async () => {
+      const response = await axios.get(`/api/purchase-orders/${purchaseOrderId}`);
+      return response.data;
+    },
+    enabled: !!purchaseOrderId
+  });
+
+  if (isLoading || !purchaseOrder) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {purchaseOrder.vendorName || 'Unknown vendor'} · ordered {purchaseOrder.orderDate || '—'} · {purchaseOrder.totalAmount?.toLocaleString()} {purchaseOrder.currency || ''}
+      </Typography>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>#</TableCell>
+            <TableCell>Item</TableCell>
+            <TableCell>Description</TableCell>
+            <TableCell align="right">Ordered</TableCell>
+            <TableCell align="right">Received</TableCell>
+            <TableCell align="right">Billed</TableCell>
+            <TableCell align="right">Unit Price</TableCell>
+            <TableCell align="right">Amount</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {purchaseOrder.lines.map(line => (
+            <TableRow key={line.id}>
+              <TableCell>{line.lineNumber}</TableCell>
+              <TableCell>{line.itemCode || '—'}</TableCell>
+              <TableCell>{line.description || '—'}</TableCell>
+              <TableCell align="right">{line.quantity}</TableCell>
+              <TableCell align="right" sx={{ color: line.quantityReceived < line.quantity ? 'warning.main' : undefined }}>
+                {line.quantityReceived}
+              </TableCell>
+              <TableCell align="right" sx={{ color: line.quantityBilled > line.quantityReceived ? 'error.main' : undefined }}>
+                {line.quantityBilled}
+              </TableCell>
+              <TableCell align="right">{line.unitPrice.toLocaleString()}</TableCell>
+              <TableCell align="right">{line.amount.toLocaleString()}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+        Goods Receipts ({purchaseOrder.receipts.length})
+      </Typography>
+      {purchaseOrder.receipts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">Nothing received yet.</Typography>
+      ) : (
+        purchaseOrder.receipts.map(receipt => (
+          <Typography key={receipt.id} variant="body2">
+            {receipt.receiptNumber} · {receipt.receivedDate || 'no date'} · {receipt.lines
+              .map(line => `line ${line.lineNumber}: ${Number(line.quantityReceived)}`)
+              .join(', ')}
+          </Typography>
+        ))
+      )}
+    </>
+  );
+};
+
+const PurchaseOrderList = () => {
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+  const [tolerancesOpen, setTolerancesOpen] = useState(false);
+  const [tolerances, setTolerances] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const poFileInput = useRef(null);
+  const receiptFileInput = useRef(null);
+
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canManage = hasPermission('purchase_order.manage');
+
+  // Fetch purchase orders
+  const {
+    data: ordersData,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['purchaseOrders', search, status],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      if (search) params.append('search', search);
+      if (status) params.append('status', status);
+      const response = await axios.get(`/api/purchase-orders?${params}`);
+      return response.data;
+    }
+  });
+
+  const importMutation = useMutation({
+    mutationFn: async ({ kind, file }) => {
+      const csv = await file.text();
+      const endpoint = kind === 'orders' ? '/api/purchase-orders/import' : '/api/goods-receipts/import';
+      const response = await axios.post(endpoint, { csv });
+      return { kind, ...response.data };
+    },
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] });
+      queryClient.invalidateQueries({ queryKey: ['purchaseOrder'] });
+      queryClient.invalidateQueries({ queryKey: ['poMatch'] });
+      const noun = result.kind === 'orders' ? 'purchase order' : 'goods receipt';
+      setImportResult({
+        severity: 'success',
+        message: `Imported ${result.created} new and ${result.updated} updated ${noun}(s); ${result.rematchedDocuments} invoice(s) re-matched.`
+      });
+    },
+    onError: (error) => {
+      const details = error.response?.data?.errors;
+      setImportResult({
+        severity: 'error',
+        message: details ? details.join(' · ') : error.response?.data?.error || 'Import failed'
+      });
+    }
+  });
+
+  const deleteOrderMutation = useMutation({
+    mutationFn: (purchaseOrderId) => axios.delete(`/api/purchase-orders/${purchaseOrderId}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] });
+    }
+  });
+
+  const saveTolerancesMutation = useMutation({
+    mutationFn: (values) => axios.put('/api/purchase-orders/tolerances', values),
+    onSuccess: () => {
+      setTolerancesOpen(false);
+    }
+  });
+
+  const handleFileSelected = (kind) => (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      setImportResult(null);
+      importMutation.mutate({ kind, file });
+    }
+  };
+
+  const handleOpenTolerances = async () => {
+    saveTolerancesMutation.reset();
+    const response = await axios.get('/api/purchase-orders/tolerances');
+    setTolerances(response.data);
+    setTolerancesOpen(true);
+  };
+
+  const handleDeleteOrder = (order) => {
+    if (window.confirm(`Delete purchase order ${order.poNumber}? Its goods receipts and invoice matches are removed too.`)) {
+      deleteOrderMutation.mutate(order.id);
+    }
+  };
+
+  const columns = [
+    { field: 'poNumber', headerName: 'PO Number', width: 150 },
+    { field: 'vendorName', headerName: 'Vendor', flex: 1, minWidth: 180 },
+    { field: 'orderDate', headerName: 'Order Date', width: 120 },
+    { field: 'currency', headerName: 'Currency', width: 90 },
+    { field: 'lineCount', headerName: 'Lines', width: 80, type: 'number' },
+    {
+      field: 'totalAmount',
+      headerName: 'Total',
+      width: 120,
+      type: 'number',
+      valueFormatter: (value) => (value === null || value === undefined ? '' : value.toLocaleString())
+    },
+    { field: 'receiptCount', headerName: 'Receipts', width: 90, type: 'number' },
+    {
+      field: 'status',
+      headerName: 'Status',
+      width: 110,
+      renderCell: (params) => (
+        <Chip label={params.value} size="small" color={STATUS_COLORS[params.value] || 'default'} />
+      )
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 110,
+      sortable: false,
+      renderCell: (params) => (
+        <Box>
+          <Tooltip title="View lines and receipts">
+            <IconButton size="small" onClick={() => setSelectedOrderId(params.row.id)}>
+              <Visibility fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          {hasPermission('purchase_order.delete') && (
+            <Tooltip title="Delete purchase order">
+              <IconButton size="small" color="error" onClick={() => handleDeleteOrder(params.row)}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+      )
+    }
+  ];
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load purchase orders: {error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  const selectedOrder = ordersData?.purchaseOrders.find(order => order.id === selectedOrderId);
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Inventory fontSize="large" />
+          Purchase Orders
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          {hasPermission('purchase_order.configure') && (
+            <Button variant="outlined" startIcon={<Tune />} onClick={handleOpenTolerances}>
+              Tolerances
+            </Button>
+          )}
+          {canManage && (
+            <>
+              <Button
+                variant="outlined"
+                startIcon={<LocalShipping />}
+                onClick={() => receiptFileInput.current?.click()}
+                disabled={importMutation.isPending}
+              >
+                Import Receipts
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<UploadFile />}
+                onClick={() => poFileInput.current?.click()}
+                disabled={importMutation.isPending}
+              >
+                Import POs
+              </Button>
+              <input ref={poFileInput} type="file" accept=".csv,text/csv" hidden onChange={handleFileSelected('orders')} />
+              <input ref={receiptFileInput} type="file" accept=".csv,text/csv" hidden onChange={handleFileSelected('receipts')} />
+            </>
+          )}
+        </Box>
+      </Box>
+
+      {canManage && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          PO CSV columns: po_number, vendor_name, currency, order_date, line_number, item_code, description, quantity, unit_price.
+          Receipt CSV columns: receipt_number, po_number, received_date, line_number, quantity_received.
+        </Typography>
+      )}
+
+      {importMutation.isPending && (
+        <Alert severity="info" sx={{ mb: 2 }}>Importing…</Alert>
+      )}
+
+      {importResult && (
+        <Alert severity={importResult.severity} sx={{ mb: 2 }} onClose={() => setImportResult(null)}>
+          {importResult.message}
+        </Alert>
+      )}
+
+      {deleteOrderMutation.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {deleteOrderMutation.error.response?.data?.error || 'Failed to delete purchase order'}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <TextField
+          size="small"
+          placeholder="Search by PO number or vendor"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ flex: 1 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            )
+          }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          <MenuItem value="open">Open</MenuItem>
+          <MenuItem value="closed">Closed</MenuItem>
+          <MenuItem value="cancelled">Cancelled</MenuItem>
+        </TextField>
+      </Box>
+
+      <Paper sx={{ height: 560, width: '100%' }}>
+        <DataGrid
+          rows={ordersData?.purchaseOrders || []}
+          columns={columns}
+          initialState={{
+            pagination: {
+              paginationModel: { pageSize: 10 }
+            }
+          }}
+          pageSizeOptions={[10, 25, 50]}
+          loading={isLoading}
+          disableRowSelectionOnClick
+          sx={{ border: 0 }}
+        />
+      </Paper>
+
+      {/* Purchase Order Detail Dialog */}
+      <Dialog open={!!selectedOrderId} onClose={() => setSelectedOrderId(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Purchase Order {selectedOrder?.poNumber}</DialogTitle>
+        <DialogContent dividers>
+          {selectedOrderId && <PurchaseOrderDetail purchaseOrderId={selectedOrderId} />}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedOrderId(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Match Tolerances Dialog */}
+      <Dialog open={tolerancesOpen} onClose={() => setTolerancesOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Three-Way Match Tolerances</DialogTitle>
+        <DialogContent>
+          {saveTolerancesMutation.isError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {saveTolerancesMutation.error.response?.data?.error || 'Failed to save tolerances'}
+            </Alert>
+          )}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            {tolerances && TOLERANCE_FIELDS.map(field => (
+              <Grid item xs={12} sm={6} key={field.key}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label={field.label}
+                  helperText={field.helperText}
+                  value={tolerances[field.key]}
+                  onChange={(e) => setTolerances({ ...tolerances, [field.key]: e.target.value })}
+                  inputProps={{ min: 0, step: 0.01 }}
+                />
+              </Grid>
+            ))}
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTolerancesOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={() => saveTolerancesMutation.mutate(Object.fromEntries(
+              TOLERANCE_FIELDS.map(field => [field.key, Number(tolerances[field.key])])
+            ))}
+            disabled={saveTolerancesMutation.isPending}
+          >
+            {saveTolerancesMutation.isPending ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default PurchaseOrderList;
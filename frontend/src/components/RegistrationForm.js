@@ -52,7 +52,7 @@ const RegistrationForm = () => {
     // Check password strength in real-time
     if (name === 'password' && value) {
       try {
-        const response = await axios.post('/check-password-strength', { password: value });
+        const response = await axios.post('/api/check-password-strength', { password: value });
         setPasswordStrength(response.data);
       } catch (error) {
         console.error('Password strength check failed:', error);
@@ -94,7 +94,7 @@ const RegistrationForm = () => {
     setMessage('');
 
     try {
-      const response = await axios.post('/register', formData);
+      const response = await axios.post('/api/register', formData);
       setMessage(response.data.message);
       
       // Show verification URL for localhost
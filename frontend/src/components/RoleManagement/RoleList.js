@@ -0,0 +1,291 @@
+// frontend/src/components/RoleManagement/RoleList.js
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  Tooltip,
+  Checkbox,
+  FormControlLabel,
+  FormGroup
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Add, Edit, Delete, AdminPanelSettings, Lock } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMPTY_ROLE = {
+  name: '',
+  description: '',
+  permissions: []
+};
+
+const RoleList = () => {
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedRole, setSelectedRole] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_ROLE);
+
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canManage = hasPermission('role.manage');
+
+  // Fetch roles
+  const {
+    data: rolesData,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['roles'],
+    queryFn: async () => {
+      const response = await axios.get('/api/roles');
+      return response.data;
+    }
+  });
+
+  // Fetch the permission catalogue
+  const { data: permissionsData } = useQuery({
+    queryKey: ['permissions'],
+    queryFn: async () => {
+      const response = await axios.get('/api/roles/permissions');
+      return response.data;
+    },
+    enabled: canManage
+  });
+
+  const permissionsByResource = (permissionsData?.permissions || []).reduce((groups, permission) => {
+    (groups[permission.resource] = groups[permission.resource] || []).push(permission);
+    return groups;
+  }, {});
+
+  const saveRoleMutation = useMutation({
+    mutationFn: ({ isNew, name, ...role }) => (isNew
+      ? axios.post('/api/roles', { name, ...role })
+      : axios.put(`/api/roles/${encodeURIComponent(name)}`, role)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+      setDialogOpen(false);
+      setSelectedRole(null);
+    }
+  });
+
+  const deleteRoleMutation = useMutation({
+    mutationFn: (name) => axios.delete(`/api/roles/${encodeURIComponent(name)}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+    }
+  });
+
+  const handleAddRole = () => {
+    setSelectedRole(null);
+    setFormData(EMPTY_ROLE);
+    saveRoleMutation.reset();
+    setDialogOpen(true);
+  };
+
+  const handleEditRole = (role) => {
+    setSelectedRole(role);
+    setFormData({
+      name: role.name,
+      description: role.description || '',
+      permissions: role.permissions
+    });
+    saveRoleMutation.reset();
+    setDialogOpen(true);
+  };
+
+  const handleDeleteRole = (role) => {
+    if (window.confirm(`Delete role "${role.name}"?`)) {
+      deleteRoleMutation.mutate(role.name);
+    }
+  };
+
+  const togglePermission = (name) => {
+    setFormData({
+      ...formData,
+      permissions: formData.permissions.includes(name)
+        ? formData.permissions.filter(permission => permission !== name)
+        : [...formData.permissions, name]
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveRoleMutation.mutate({ isNew: !selectedRole, ...formData });
+  };
+
+  const columns = [
+    {
+      field: 'name',
+      headerName: 'Role',
+      width: 180,
+      renderCell: (params) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2" sx={{ textTransform: 'capitalize' }}>{params.value}</Typography>
+          {params.row.isSystem && <Chip icon={<Lock />} label="Built-in" size="small" variant="outlined" />}
+        </Box>
+      )
+    },
+    { field: 'description', headerName: 'Description', flex: 1, minWidth: 200 },
+    {
+      field: 'permissions',
+      headerName: 'Permissions',
+      width: 120,
+      type: 'number',
+      valueGetter: (value) => value?.length || 0
+    },
+    {
+      field: 'userCount',
+      headerName: 'Users',
+      width: 90,
+      type: 'number'
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 110,
+      sortable: false,
+      renderCell: (params) => (
+        canManage && !params.row.isSystem && (
+          <Box>
+            <Tooltip title="Edit role">
+              <IconButton size="small" onClick={() => handleEditRole(params.row)}>
+                <Edit fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Delete role">
+              <IconButton size="small" color="error" onClick={() => handleDeleteRole(params.row)}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        )
+      )
+    }
+  ];
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load roles: {error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <AdminPanelSettings fontSize="large" />
+          Roles & Permissions
+        </Typography>
+        {canManage && (
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={handleAddRole}
+          >
+            Add Role
+          </Button>
+        )}
+      </Box>
+
+      {deleteRoleMutation.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {deleteRoleMutation.error.response?.data?.error || 'Failed to delete role'}
+        </Alert>
+      )}
+
+      <Paper sx={{ height: 480, width: '100%' }}>
+        <DataGrid
+          rows={rolesData?.roles || []}
+          columns={columns}
+          getRowId={(row) => row.name}
+          loading={isLoading}
+          hideFooter
+          disableRowSelectionOnClick
+          sx={{ border: 0 }}
+        />
+      </Paper>
+
+      {/* Add / Edit Role Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="md" fullWidth>
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>{selectedRole ? `Edit Role: ${selectedRole.name}` : 'Add Role'}</DialogTitle>
+          <DialogContent>
+            {saveRoleMutation.isError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {saveRoleMutation.error.response?.data?.error || 'Failed to save role'}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  label="Name"
+                  helperText="Lowercase letters, digits, - or _"
+                  disabled={!!selectedRole}
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value.toLowerCase() })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  label="Description"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                />
+              </Grid>
+              {Object.entries(permissionsByResource).map(([resource, permissions]) => (
+                <Grid item xs={12} sm={6} md={4} key={resource}>
+                  <Typography variant="subtitle2" sx={{ textTransform: 'capitalize' }}>
+                    {resource.replace(/_/g, ' ')}
+                  </Typography>
+                  <FormGroup>
+                    {permissions.map((permission) => (
+                      <Tooltip key={permission.name} title={permission.description || ''} placement="right">
+                        <FormControlLabel
+                          control={
+                            <Checkbox
+                              size="small"
+                              checked={formData.permissions.includes(permission.name)}
+                              onChange={() => togglePermission(permission.name)}
+                            />
+                          }
+                          label={permission.action}
+                        />
+                      </Tooltip>
+                    ))}
+                  </FormGroup>
+                </Grid>
+              ))}
+            </Grid>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={saveRoleMutation.isPending}>
+              {saveRoleMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default RoleList;
@@ -49,6 +49,7 @@ const UserList = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [anchorEl, setAnchorEl] = useState(null);
   const [menuUserId, setMenuUserId] = useState(null);
+  const [actionResult, setActionResult] = useState(null);
   const [formData, setFormData] = useState({
     email: '',
     firstName: '',
@@ -73,7 +74,7 @@ const UserList = () => {
   } = useQuery({
     queryKey: ['users'],
     queryFn: async () => {
-      const response = await axios.get('/users');
+      const response = await axios.get('/api/users', { params: { limit: 500 } });
       return response.data;
     }
   });
@@ -82,19 +83,31 @@ const UserList = () => {
   const { data: userStats } = useQuery({
     queryKey: ['user-stats'],
     queryFn: async () => {
-      const response = await axios.get('/users/stats/overview');
+      const response = await axios.get('/api/users/stats/overview');
       return response.data;
     },
     enabled: hasPermission('user.read')
   });
 
+  // Built-in and custom roles users can be given
+  const { data: rolesData } = useQuery({
+    queryKey: ['roles'],
+    queryFn: async () => {
+      const response = await axios.get('/api/roles');
+      return response.data;
+    },
+    enabled: hasPermission('user.read')
+  });
+  const roles = rolesData?.roles || [];
+
   // Invite user mutation
   const inviteUserMutation = useMutation({
-    mutationFn: (userData) => axios.post('/auth/invite', userData),
-    onSuccess: () => {
+    mutationFn: (userData) => axios.post('/api/auth/invite', userData),
+    onSuccess: (response) => {
       queryClient.invalidateQueries({ queryKey: ['users'] });
       queryClient.invalidateQueries({ queryKey: ['user-stats'] });
       setInviteDialogOpen(false);
+      setActionResult({ severity: 'success', message: `Invitation sent to ${formData.email}. Link: ${response.data.invitationUrl}` });
       setFormData({ email: '', firstName: '', lastName: '', role: 'viewer' });
     },
     onError: (error) => {
@@ -104,7 +117,7 @@ const UserList = () => {
 
   // Update user mutation
   const updateUserMutation = useMutation({
-    mutationFn: ({ id, ...userData }) => axios.put(`/users/${id}`, userData),
+    mutationFn: ({ id, ...userData }) => axios.put(`/api/users/${id}`, userData),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['users'] });
       setEditDialogOpen(false);
@@ -115,21 +128,42 @@ const UserList = () => {
 
   // Suspend user mutation
   const suspendUserMutation = useMutation({
-    mutationFn: (userId) => axios.post(`/users/${userId}/suspend`),
+    mutationFn: (userId) => axios.post(`/api/users/${userId}/suspend`),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['users'] });
       queryClient.invalidateQueries({ queryKey: ['user-stats'] });
       handleCloseMenu();
+    },
+    onError: (error) => {
+      handleCloseMenu();
+      setActionResult({ severity: 'error', message: error.response?.data?.error || 'Failed to suspend user' });
     }
   });
 
   // Reactivate user mutation
   const reactivateUserMutation = useMutation({
-    mutationFn: (userId) => axios.post(`/users/${userId}/reactivate`),
+    mutationFn: (userId) => axios.post(`/api/users/${userId}/reactivate`),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['users'] });
       queryClient.invalidateQueries({ queryKey: ['user-stats'] });
       handleCloseMenu();
+    },
+    onError: (error) => {
+      handleCloseMenu();
+      setActionResult({ severity: 'error', message: error.response?.data?.error || 'Failed to reactivate user' });
+    }
+  });
+
+  // Resend invitation mutation
+  const resendInvitationMutation = useMutation({
+    mutationFn: (userId) => axios.post(`/api/auth/invite/${userId}/resend`),
+    onSuccess: (response) => {
+      handleCloseMenu();
+      setActionResult({ severity: 'success', message: `Invitation resent. Link: ${response.data.invitationUrl}` });
+    },
+    onError: (error) => {
+      handleCloseMenu();
+      setActionResult({ severity: 'error', message: error.response?.data?.error || 'Failed to resend invitation' });
     }
   });
 
@@ -280,9 +314,17 @@ const UserList = () => {
 
   const handleEditSubmit = (e) => {
     e.preventDefault();
-    updateUserMutation.mutate({ id: selectedUser.id, ...editFormData });
+    // Invited users become active by accepting their invitation
+    const { status, ...fields } = editFormData;
+    updateUserMutation.mutate({
+      id: selectedUser.id,
+      ...fields,
+      ...(selectedUser.status === 'pending' ? {} : { status })
+    });
   };
 
+  const menuUserStatus = usersData?.users.find(u => u.id === menuUserId)?.status;
+
   if (error) {
     return (
       <Container>
@@ -362,6 +404,12 @@ const UserList = () => {
         )}
       </Box>
 
+      {actionResult && (
+        <Alert severity={actionResult.severity} sx={{ mb: 2 }} onClose={() => setActionResult(null)}>
+          {actionResult.message}
+        </Alert>
+      )}
+
       <Paper sx={{ height: 500, width: '100%' }}>
         <DataGrid
           rows={usersData?.users || []}
@@ -398,14 +446,15 @@ const UserList = () => {
         
         {hasPermission('user.update') && menuUserId !== currentUser?.id && (
           <>
-            {usersData?.users.find(u => u.id === menuUserId)?.status === 'active' ? (
+            {menuUserStatus === 'active' && (
               <MenuItem onClick={() => handleSuspendUser(menuUserId)}>
                 <ListItemIcon>
                   <Block fontSize="small" />
                 </ListItemIcon>
                 <ListItemText>Suspend User</ListItemText>
               </MenuItem>
-            ) : (
+            )}
+            {menuUserStatus === 'suspended' && (
               <MenuItem onClick={() => handleReactivateUser(menuUserId)}>
                 <ListItemIcon>
                   <CheckCircle fontSize="small" />
@@ -413,6 +462,14 @@ const UserList = () => {
                 <ListItemText>Reactivate User</ListItemText>
               </MenuItem>
             )}
+            {menuUserStatus === 'pending' && hasPermission('user.invite') && (
+              <MenuItem onClick={() => resendInvitationMutation.mutate(menuUserId)}>
+                <ListItemIcon>
+                  <Email fontSize="small" />
+                </ListItemIcon>
+                <ListItemText>Resend Invitation</ListItemText>
+              </MenuItem>
+            )}
           </>
         )}
       </Menu>
@@ -464,9 +521,11 @@ const UserList = () => {
                 onChange={(e) => setFormData({ ...formData, role: e.target.value })}
                 label="Role"
               >
-                <MenuItem value="viewer">Viewer</MenuItem>
-                <MenuItem value="validator">Validator</MenuItem>
-                <MenuItem value="admin">Admin</MenuItem>
+                {roles.map((role) => (
+                  <MenuItem key={role.name} value={role.name} sx={{ textTransform: 'capitalize' }}>
+                    {role.name}
+                  </MenuItem>
+                ))}
               </Select>
             </FormControl>
           </DialogContent>
@@ -517,23 +576,27 @@ const UserList = () => {
                 onChange={(e) => setEditFormData({ ...editFormData, role: e.target.value })}
                 label="Role"
               >
-                <MenuItem value="viewer">Viewer</MenuItem>
-                <MenuItem value="validator">Validator</MenuItem>
-                <MenuItem value="admin">Admin</MenuItem>
+                {roles.map((role) => (
+                  <MenuItem key={role.name} value={role.name} sx={{ textTransform: 'capitalize' }}>
+                    {role.name}
+                  </MenuItem>
+                ))}
               </Select>
             </FormControl>
 
-            <FormControl fullWidth margin="dense">
-              <InputLabel>Status</InputLabel>
-              <Select
-                value={editFormData.status}
-                onChange={(e) => setEditFormData({ ...editFormData, status: e.target.value })}
-                label="Status"
-              >
-                <MenuItem value="active">Active</MenuItem>
-                <MenuItem value="suspended">Suspended</MenuItem>
-              </Select>
-            </FormControl>
+            {selectedUser?.status !== 'pending' && (
+              <FormControl fullWidth margin="dense">
+                <InputLabel>Status</InputLabel>
+                <Select
+                  value={editFormData.status}
+                  onChange={(e) => setEditFormData({ ...editFormData, status: e.target.value })}
+                  label="Status"
+                >
+                  <MenuItem value="active">Active</MenuItem>
+                  <MenuItem value="suspended">Suspended</MenuItem>
+                </Select>
+              </FormControl>
+            )}
           </DialogContent>
           <DialogActions>
             <Button onClick={() => setEditDialogOpen(false)}>Cancel</Button>
@@ -0,0 +1,393 @@
+// frontend/src/components/VendorManagement/VendorList.js
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  Tooltip,
+  InputAdornment,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Add, Edit, Delete, Search, Store, RestartAlt } from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMPTY_VENDOR = {
+  name: '',
+  aliases: [],
+  taxId: '',
+  email: '',
+  phone: '',
+  address: '',
+  bankAccount: '',
+  bankRouting: '',
+  defaultCurrency: '',
+  paymentTerms: '',
+  isActive: true
+};
+
+// Share of a vendor template's values reviewers kept as extracted
+const hitRateColor = (hitRate) => {
+  if (hitRate >= 90) return 'success';
+  if (hitRate >= 70) return 'warning';
+  return 'error';
+};
+
+const VendorList = () => {
+  const [search, setSearch] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedVendor, setSelectedVendor] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_VENDOR);
+  const [aliasText, setAliasText] = useState('');
+
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canManage = hasPermission('vendor.manage');
+
+  // Fetch vendors
+  const {
+    data: vendorsData,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['vendors', search, showInactive],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      if (search) params.append('search', search);
+      if (showInactive) params.append('includeInactive', 'true');
+      const response = await axios.get(`/api/vendors?${params}`);
+      return response.data;
+    }
+  });
+
+  // Learned extraction templates, keyed by vendor
+  const { data: templatesData } = useQuery({
+    queryKey: ['vendorTemplates'],
+    queryFn: async () => {
+      const response = await axios.get('/api/vendor-templates');
+      return response.data;
+    }
+  });
+  const templatesByVendor = Object.fromEntries(
+    (templatesData?.templates || []).map(template => [template.vendorId, template])
+  );
+
+  const saveVendorMutation = useMutation({
+    mutationFn: ({ id, ...vendor }) => (id
+      ? axios.put(`/api/vendors/${id}`, vendor)
+      : axios.post('/api/vendors', vendor)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['vendors'] });
+      setDialogOpen(false);
+      setSelectedVendor(null);
+    }
+  });
+
+  const deleteVendorMutation = useMutation({
+    mutationFn: (vendorId) => axios.delete(`/api/vendors/${vendorId}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['vendors'] });
+    }
+  });
+
+  const resetTemplateMutation = useMutation({
+    mutationFn: (vendorId) => axios.delete(`/api/vendors/${vendorId}/template`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['vendorTemplates'] });
+    }
+  });
+
+  const handleAddVendor = () => {
+    setSelectedVendor(null);
+    setFormData(EMPTY_VENDOR);
+    setAliasText('');
+    saveVendorMutation.reset();
+    setDialogOpen(true);
+  };
+
+  const handleEditVendor = (vendor) => {
+    setSelectedVendor(vendor);
+    setFormData({
+      ...EMPTY_VENDOR,
+      ...Object.fromEntries(Object.entries(vendor).filter(([key, value]) => key in EMPTY_VENDOR && value !== null))
+    });
+    setAliasText((vendor.aliases || []).join(', '));
+    saveVendorMutation.reset();
+    setDialogOpen(true);
+  };
+
+  const handleDeleteVendor = (vendor) => {
+    if (window.confirm(`Delete vendor "${vendor.name}"? Invoices linked to it will become unmatched.`)) {
+      deleteVendorMutation.mutate(vendor.id);
+    }
+  };
+
+  const handleResetTemplate = (vendor) => {
+    if (window.confirm(`Forget the extraction template learned for "${vendor.name}"? It is relearned from the next corrected invoice.`)) {
+      resetTemplateMutation.mutate(vendor.id);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveVendorMutation.mutate({
+      id: selectedVendor?.id,
+      ...formData,
+      aliases: aliasText.split(',').map(alias => alias.trim()).filter(Boolean)
+    });
+  };
+
+  const handleChange = (field) => (e) => {
+    setFormData({ ...formData, [field]: e.target.value });
+  };
+
+  const columns = [
+    {
+      field: 'name',
+      headerName: 'Vendor',
+      flex: 1,
+      minWidth: 200,
+      renderCell: (params) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2">{params.value}</Typography>
+          {!params.row.isActive && <Chip label="Inactive" size="small" variant="outlined" />}
+        </Box>
+      )
+    },
+    { field: 'taxId', headerName: 'Tax ID', width: 140 },
+    { field: 'email', headerName: 'Email', flex: 1, minWidth: 180 },
+    { field: 'bankAccount', headerName: 'Bank Account', width: 180 },
+    { field: 'defaultCurrency', headerName: 'Currency', width: 90 },
+    {
+      field: 'invoiceCount',
+      headerName: 'Invoices',
+      width: 90,
+      type: 'number'
+    },
+    {
+      field: 'template',
+      headerName: 'Template',
+      width: 120,
+      sortable: false,
+      valueGetter: (value, row) => templatesByVendor[row.id] || null,
+      renderCell: (params) => {
+        const template = params.value;
+        if (!template) return null;
+
+        const summary = `${template.learnedFields.length} field${template.learnedFields.length === 1 ? '' : 's'}` +
+          `${template.hasLineItemLayout ? ' + line items' : ''} learned from ${template.correctionsLearned} correction${template.correctionsLearned === 1 ? '' : 's'}`;
+        return (
+          <Tooltip
+            title={template.hitRate === null
+              ? `${summary}; not applied to an invoice yet`
+              : `${summary}; ${template.fieldsCorrected} of ${template.fieldsApplied} values on ${template.documents} invoice${template.documents === 1 ? '' : 's'} corrected`}
+          >
+            {template.hitRate === null
+              ? <Chip label="Learning" size="small" variant="outlined" />
+              : <Chip label={`${template.hitRate}% hit`} size="small" color={hitRateColor(template.hitRate)} />}
+          </Tooltip>
+        );
+      }
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 140,
+      sortable: false,
+      renderCell: (params) => (
+        <Box>
+          {canManage && (
+            <Tooltip title="Edit vendor">
+              <IconButton size="small" onClick={() => handleEditVendor(params.row)}>
+                <Edit fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canManage && templatesByVendor[params.row.id] && (
+            <Tooltip title="Reset learned template">
+              <IconButton size="small" onClick={() => handleResetTemplate(params.row)}>
+                <RestartAlt fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {hasPermission('vendor.delete') && (
+            <Tooltip title="Delete vendor">
+              <IconButton size="small" color="error" onClick={() => handleDeleteVendor(params.row)}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+      )
+    }
+  ];
+
+  if (error) {
+    return (
+      <Container>
+        <Alert severity="error">
+          Failed to load vendors: {error.message}
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Store fontSize="large" />
+          Vendors
+        </Typography>
+        {canManage && (
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={handleAddVendor}
+          >
+            Add Vendor
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <TextField
+          size="small"
+          placeholder="Search by name, tax ID or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ flex: 1 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            )
+          }}
+        />
+        <FormControlLabel
+          control={<Switch checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />}
+          label="Show inactive"
+        />
+      </Box>
+
+      {deleteVendorMutation.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {deleteVendorMutation.error.response?.data?.error || 'Failed to delete vendor'}
+        </Alert>
+      )}
+      {resetTemplateMutation.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {resetTemplateMutation.error.response?.data?.error || 'Failed to reset vendor template'}
+        </Alert>
+      )}
+
+      <Paper sx={{ height: 560, width: '100%' }}>
+        <DataGrid
+          rows={vendorsData?.vendors || []}
+          columns={columns}
+          initialState={{
+            pagination: {
+              paginationModel: { pageSize: 10 }
+            }
+          }}
+          pageSizeOptions={[10, 25, 50]}
+          loading={isLoading}
+          disableRowSelectionOnClick
+          sx={{ border: 0 }}
+        />
+      </Paper>
+
+      {/* Add / Edit Vendor Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="md" fullWidth>
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>{selectedVendor ? 'Edit Vendor' : 'Add Vendor'}</DialogTitle>
+          <DialogContent>
+            {saveVendorMutation.isError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {saveVendorMutation.error.response?.data?.error || 'Failed to save vendor'}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={8}>
+                <TextField fullWidth required label="Name" value={formData.name} onChange={handleChange('name')} />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField fullWidth label="Tax ID" value={formData.taxId} onChange={handleChange('taxId')} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Other names on invoices"
+                  helperText="Comma-separated; used for matching"
+                  value={aliasText}
+                  onChange={(e) => setAliasText(e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField fullWidth type="email" label="Email" value={formData.email} onChange={handleChange('email')} />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField fullWidth label="Phone" value={formData.phone} onChange={handleChange('phone')} />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField fullWidth multiline minRows={2} label="Address" value={formData.address} onChange={handleChange('address')} />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField fullWidth label="Bank Account / IBAN" value={formData.bankAccount} onChange={handleChange('bankAccount')} />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField fullWidth label="Routing Number / BIC" value={formData.bankRouting} onChange={handleChange('bankRouting')} />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Default Currency"
+                  value={formData.defaultCurrency}
+                  onChange={(e) => setFormData({ ...formData, defaultCurrency: e.target.value.toUpperCase().slice(0, 3) })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField fullWidth label="Payment Terms" value={formData.paymentTerms} onChange={handleChange('paymentTerms')} />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                  }
+                  label="Active"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={saveVendorMutation.isPending}>
+              {saveVendorMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default VendorList;
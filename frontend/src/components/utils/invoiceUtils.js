@@ -68,10 +68,10 @@ export const safeGetTotalAmount = (invoiceData) => {
 };
 
 /**
- * Safely extract currency from invoice data
+ * Safely extract currency (ISO 4217 code) from invoice data; null when none was detected
  */
 export const safeGetCurrency = (invoiceData) => {
-  if (!invoiceData) return 'USD';
+  if (!invoiceData) return null;
   
   if (invoiceData.amounts?.currency) {
     return invoiceData.amounts.currency;
@@ -81,29 +81,39 @@ export const safeGetCurrency = (invoiceData) => {
     return invoiceData.currency;
   }
   
-  return 'USD';
+  return null;
 };
 
 /**
- * Format currency with proper symbol
+ * Format an amount in its currency (ISO 4217 code) with the browser's locale.
+ * Without a currency, or with a code the browser does not know, the plain number is shown.
  */
-export const formatCurrencyWithSymbol = (amount, currency = 'USD') => {
-  if (!amount || amount === null || amount === undefined) return 'N/A';
-  
-  const currencySymbols = {
-    'USD': '$',
-    'CAD': 'CAD $',
-    'INR': '₹',
-    'EUR': '€',
-    'GBP': '£'
-  };
+export const formatCurrencyWithSymbol = (amount, currency = null) => {
+  if (amount === null || amount === undefined || amount === '') return 'N/A';
   
-  const symbol = currencySymbols[currency] || '$';
   const numericAmount = Number(amount);
   
   if (isNaN(numericAmount)) return 'N/A';
   
-  return `${symbol}${numericAmount.toLocaleString()}`;
+  if (currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(numericAmount);
+    } catch (error) {
+      return `${numericAmount.toLocaleString()} ${currency}`;
+    }
+  }
+  
+  return numericAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+/**
+ * Format the amount a document carries in the company's base currency, e.g. "≈ $1,234.56";
+ * null when it is in the base currency already or was not converted
+ */
+export const formatBaseAmount = (baseAmounts) => {
+  if (!baseAmounts || baseAmounts.total === null || baseAmounts.total === undefined) return null;
+  if (baseAmounts.sourceCurrency === baseAmounts.currency) return null;
+  return `≈ ${formatCurrencyWithSymbol(baseAmounts.total, baseAmounts.currency)}`;
 };
 
 /**
@@ -127,7 +137,7 @@ export const safeGetAmounts = (invoiceData) => {
       total: null,
       amountPaid: null,
       balanceDue: null,
-      currency: 'USD'
+      currency: null
     };
   }
   
@@ -140,7 +150,7 @@ export const safeGetAmounts = (invoiceData) => {
       total: invoiceData.amounts.total || null,
       amountPaid: invoiceData.amounts.amountPaid || null,
       balanceDue: invoiceData.amounts.balanceDue || null,
-      currency: invoiceData.amounts.currency || 'USD'
+      currency: invoiceData.amounts.currency || null
     };
   }
   
@@ -152,7 +162,7 @@ export const safeGetAmounts = (invoiceData) => {
     total: invoiceData.total || null,
     amountPaid: invoiceData.amountPaid || null,
     balanceDue: invoiceData.balanceDue || null,
-    currency: invoiceData.currency || 'USD'
+    currency: invoiceData.currency || null
   };
 };
 
@@ -195,6 +205,7 @@ export default {
   safeGetTotalAmount,
   safeGetCurrency,
   formatCurrencyWithSymbol,
+  formatBaseAmount,
   safeFormatCurrency,
   safeGetAmounts,
   debugInvoiceData,
@@ -38,7 +38,7 @@ export const AuthProvider = ({ children }) => {
             }
 
             // Fixed endpoint - matches enhanced server
-            const response = await axios.get('/users/profile', {
+            const response = await axios.get('/api/users/profile', {
                 headers: {
                     Authorization: `Bearer ${token}`
                 }
@@ -61,8 +61,7 @@ export const AuthProvider = ({ children }) => {
 
     const login = async (email, password) => {
         try {
-            // Fixed endpoint - matches enhanced server
-            const response = await axios.post('/auth/login', { email, password });
+            const response = await axios.post('/api/auth/login', { email, password });
             const { token, user: userData } = response.data;
 
             if (token) {
@@ -76,6 +75,7 @@ export const AuthProvider = ({ children }) => {
                     firstName: userData.firstName,
                     lastName: userData.lastName,
                     role: userData.role,
+                    permissions: userData.permissions || [],
                     status: userData.status || 'active',
                     companyId: userData.companyId,
                     company: userData.company,
@@ -95,8 +95,7 @@ export const AuthProvider = ({ children }) => {
 
     const register = async (userData) => {
         try {
-            // Fixed endpoint - matches enhanced server
-            const response = await axios.post('/register', userData);
+            const response = await axios.post('/api/register', userData);
             const { token, user: newUser } = response.data;
 
             if (token) {
@@ -110,6 +109,7 @@ export const AuthProvider = ({ children }) => {
                     firstName: newUser.firstName,
                     lastName: newUser.lastName,
                     role: newUser.role,
+                    permissions: newUser.permissions || [],
                     status: newUser.status
                 });
 
@@ -126,8 +126,7 @@ export const AuthProvider = ({ children }) => {
 
     const verifyEmail = async (token) => {
         try {
-            // Fixed endpoint - matches enhanced server
-            const response = await axios.post('/verify-email', { token });
+            const response = await axios.post('/api/verify-email', { token });
             const { token: authToken, user: userData } = response.data;
 
             if (authToken) {
@@ -140,6 +139,7 @@ export const AuthProvider = ({ children }) => {
                     firstName: userData.firstName,
                     lastName: userData.lastName,
                     role: userData.role,
+                    permissions: userData.permissions || [],
                     status: userData.status
                 });
 
@@ -155,6 +155,8 @@ export const AuthProvider = ({ children }) => {
     };
 
     const logout = () => {
+        // Recorded in the audit log; the token is dropped regardless of the outcome
+        axios.post('/api/auth/logout').catch(() => {});
         localStorage.removeItem('token');
         delete axios.defaults.headers.common['Authorization'];
         setUser(null);
@@ -162,8 +164,7 @@ export const AuthProvider = ({ children }) => {
 
     const acceptInvitation = async (token, password) => {
         try {
-            // This endpoint might not exist in the enhanced server yet
-            const response = await axios.post('/auth/accept-invitation', { token, password });
+            const response = await axios.post('/api/auth/accept-invitation', { token, password });
             const { token: authToken, user: userData } = response.data;
 
             localStorage.setItem('token', authToken);
@@ -182,8 +183,7 @@ export const AuthProvider = ({ children }) => {
 
     const updateProfile = async (profileData) => {
         try {
-            // Fixed endpoint - matches enhanced server
-            await axios.put('/users/profile', profileData);
+            await axios.put('/api/users/profile', profileData);
             await fetchUserProfile(); // Refresh user data
             return { success: true };
         } catch (error) {
@@ -195,32 +195,15 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
-    // Enhanced permission checking
+    // Permissions of the user's role, as loaded from the server with the profile
     const hasPermission = (permission) => {
-        if (!user) return false;
-
-        const rolePermissions = {
-            admin: [
-                'user.create', 'user.read', 'user.update', 'user.delete', 'user.invite',
-                'business_entity.read', 'business_entity.create', 'business_entity.update', 'business_entity.delete',
-                'audit.read', 'document.read', 'document.create', 'document.delete',
-                'analytics.read'
-            ],
-            validator: [
-                'user.read', 'business_entity.read', 'document.read', 'analytics.read'
-            ],
-            viewer: [
-                'user.read', 'business_entity.read', 'document.read'
-            ]
-        };
-
-        return rolePermissions[user.role]?.includes(permission) || false;
+        return user?.permissions?.includes(permission) || false;
     };
 
     // Helper function to check password strength
     const checkPasswordStrength = async (password) => {
         try {
-            const response = await axios.post('/check-password-strength', { password });
+            const response = await axios.post('/api/check-password-strength', { password });
             return response.data;
         } catch (error) {
             console.error('Password strength check failed:', error);
@@ -231,7 +214,7 @@ export const AuthProvider = ({ children }) => {
     // Helper function for localhost email verification bypass
     const manualVerifyUser = async (email) => {
         try {
-            const response = await axios.post('/localhost/verify-user', { email });
+            const response = await axios.post('/api/localhost/verify-user', { email });
             return { success: true, message: response.data.message };
         } catch (error) {
             console.error('Manual verification failed:', error);